@@ -0,0 +1,207 @@
+-- ============================================
+-- Application Messages
+-- ============================================
+-- One message thread per application between the applicant and the
+-- software house. The student's university can read the thread but not post.
+--
+-- Messages are sent through the backend (POST /api/applications/:id/messages)
+-- with the service role, because attachments are uploaded to the private
+-- 'message-attachments' bucket there; end users only get SELECT on messages.
+-- Each participant keeps a read marker (application_message_reads) that they
+-- update themselves; unread counts compare messages against it.
+--
+-- A new message notifies the other side (type 'message'); while that
+-- notification is unread, further messages in the thread do not add another.
+--
+-- Requires add_notification_type_registry.sql.
+
+-- Step 1: Messages
+CREATE TABLE IF NOT EXISTS public.application_messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  application_id UUID NOT NULL REFERENCES public.applications(id) ON DELETE CASCADE,
+  sender_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  sender_side TEXT NOT NULL CHECK (sender_side IN ('applicant', 'software_house')),
+  body TEXT NOT NULL DEFAULT '',
+  -- [{ path, name, size, mime_type }] in the message-attachments bucket
+  attachments JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (length(btrim(body)) > 0 OR jsonb_array_length(attachments) > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_application_messages_thread
+ON public.application_messages(application_id, created_at);
+
+-- Step 2: Read markers
+CREATE TABLE IF NOT EXISTS public.application_message_reads (
+  application_id UUID NOT NULL REFERENCES public.applications(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  last_read_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (application_id, user_id)
+);
+
+-- Step 3: Who can see a thread, and on which side
+--   applicant      - applied (student or guest)
+--   software_house - owns the internship
+--   university     - the applicant's university (read-only)
+CREATE OR REPLACE FUNCTION application_message_side(app_id UUID, uid UUID)
+RETURNS TEXT AS $$
+  SELECT CASE
+    WHEN a.user_id = uid THEN 'applicant'
+    WHEN i.software_house_id = uid THEN 'software_house'
+    WHEN EXISTS (
+      SELECT 1 FROM students s
+      WHERE s.user_id = a.user_id AND s.university_id = uid
+    ) THEN 'university'
+    ELSE NULL
+  END
+  FROM applications a
+  JOIN internships i ON i.id = a.internship_id
+  WHERE a.id = app_id;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Step 4: RLS
+ALTER TABLE public.application_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.application_message_reads ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Participants can view application messages" ON public.application_messages;
+CREATE POLICY "Participants can view application messages"
+ON public.application_messages FOR SELECT
+USING (application_message_side(application_id, auth.uid()) IS NOT NULL);
+
+DROP POLICY IF EXISTS "Participants manage their read markers" ON public.application_message_reads;
+CREATE POLICY "Participants manage their read markers"
+ON public.application_message_reads FOR ALL
+USING (user_id = auth.uid())
+WITH CHECK (
+  user_id = auth.uid()
+  AND application_message_side(application_id, auth.uid()) IS NOT NULL
+);
+
+GRANT SELECT ON public.application_messages TO authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.application_message_reads TO authenticated;
+GRANT EXECUTE ON FUNCTION application_message_side(UUID, UUID) TO authenticated;
+
+-- Step 5: Unread messages per thread for the caller (posting sides only)
+CREATE OR REPLACE FUNCTION get_unread_message_counts()
+RETURNS TABLE (application_id UUID, unread INTEGER) AS $$
+  SELECT m.application_id, COUNT(*)::INTEGER
+  FROM application_messages m
+  LEFT JOIN application_message_reads r
+    ON r.application_id = m.application_id AND r.user_id = auth.uid()
+  WHERE m.sender_id <> auth.uid()
+    AND (r.last_read_at IS NULL OR m.created_at > r.last_read_at)
+    AND application_message_side(m.application_id, auth.uid()) IN ('applicant', 'software_house')
+  GROUP BY m.application_id;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION get_unread_message_counts() TO authenticated;
+
+-- Step 6: Notification type
+INSERT INTO public.notification_types
+  (type, label, description, icon, severity, default_email, email_templates, sort_order)
+VALUES
+  ('message', 'Messages',
+   'Someone sends you a message about an application',
+   'chat', 'info', 'daily', '{"*": "message_received"}', 15)
+ON CONFLICT (type) DO UPDATE SET
+  label = EXCLUDED.label,
+  description = EXCLUDED.description,
+  icon = EXCLUDED.icon,
+  severity = EXCLUDED.severity,
+  default_email = EXCLUDED.default_email,
+  email_templates = EXCLUDED.email_templates,
+  sort_order = EXCLUDED.sort_order,
+  updated_at = now();
+
+INSERT INTO public.notification_type_audiences (type, role, statuses, default_email)
+VALUES
+  ('message', 'student', NULL, NULL),
+  ('message', 'guest', NULL, NULL),
+  ('message', 'software_house', NULL, NULL)
+ON CONFLICT (type, role) DO UPDATE SET
+  statuses = EXCLUDED.statuses,
+  default_email = EXCLUDED.default_email;
+
+-- Step 7: Notify the other side
+CREATE OR REPLACE FUNCTION notify_application_message()
+RETURNS TRIGGER AS $$
+DECLARE
+  recipient UUID;
+  internship_title TEXT;
+  sender_name TEXT;
+BEGIN
+  SELECT
+    CASE WHEN NEW.sender_side = 'applicant' THEN i.software_house_id ELSE a.user_id END,
+    i.title
+  INTO recipient, internship_title
+  FROM applications a
+  JOIN internships i ON i.id = a.internship_id
+  WHERE a.id = NEW.application_id;
+
+  SELECT COALESCE(p.organization_name, p.full_name, p.email) INTO sender_name
+  FROM profiles p WHERE p.id = NEW.sender_id;
+
+  IF recipient IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM notifications
+    WHERE user_id = recipient
+      AND type = 'message'
+      AND related_id = NEW.application_id
+      AND is_read = FALSE
+  ) THEN
+    INSERT INTO notifications (user_id, type, title, message, related_id, related_type, metadata, is_read)
+    VALUES (
+      recipient,
+      'message',
+      'New Message',
+      COALESCE(sender_name, 'Someone') || ' sent you a message about "' ||
+        COALESCE(internship_title, 'the internship') || '".',
+      NEW.application_id,
+      'application',
+      jsonb_build_object(
+        'application_id', NEW.application_id,
+        'message_id', NEW.id,
+        'sender_side', NEW.sender_side,
+        'sender_name', sender_name,
+        'internship_title', internship_title,
+        'preview', left(NEW.body, 140),
+        'attachments', jsonb_array_length(NEW.attachments)
+      ),
+      FALSE
+    );
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS trigger_notify_application_message ON public.application_messages;
+CREATE TRIGGER trigger_notify_application_message
+  AFTER INSERT ON public.application_messages
+  FOR EACH ROW
+  EXECUTE FUNCTION notify_application_message();
+
+-- Step 8: Private bucket for attachments (only the backend reads and writes;
+-- participants download through short-lived signed URLs)
+INSERT INTO storage.buckets (id, name, public)
+SELECT 'message-attachments', 'message-attachments', FALSE
+WHERE NOT EXISTS (
+  SELECT 1 FROM storage.buckets WHERE id = 'message-attachments'
+);
+
+-- Step 9: Realtime delivery of new messages
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime')
+     AND NOT EXISTS (
+       SELECT 1 FROM pg_publication_tables
+       WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'application_messages'
+     ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.application_messages;
+  END IF;
+END $$;
+
+-- Verify
+SELECT
+  (SELECT COUNT(*) FROM public.application_messages) AS messages,
+  (SELECT COUNT(*) FROM public.notification_type_audiences WHERE type = 'message') AS message_audiences,
+  (SELECT public FROM storage.buckets WHERE id = 'message-attachments') AS bucket_public;
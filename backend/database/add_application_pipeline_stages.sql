@@ -0,0 +1,285 @@
+-- ============================================
+-- Multi-stage Hiring Pipeline for Applications
+-- ============================================
+-- Extends applications.status beyond pending/accepted/rejected with
+-- shortlisting, interviews, offers, joining and withdrawal stages.
+--
+-- Stage metadata (labels, ordering, terminal flag) and the allowed
+-- transitions live in tables so they can be tuned without code changes.
+-- Every status change is recorded in application_stage_history.
+--
+-- NOTE: PostgreSQL does not allow a freshly added enum value to be used in
+-- the same transaction. Stage columns below are TEXT (compared against
+-- status::text), so this whole script can be run in one go.
+--
+-- After running this script, re-run create_notification_triggers.sql and
+-- create_notifications_table.sql so stage notifications and unread counts
+-- pick up the new stages.
+
+-- Step 1: Extend the application_status enum
+ALTER TYPE application_status ADD VALUE IF NOT EXISTS 'shortlisted';
+ALTER TYPE application_status ADD VALUE IF NOT EXISTS 'interview_scheduled';
+ALTER TYPE application_status ADD VALUE IF NOT EXISTS 'offer_extended';
+ALTER TYPE application_status ADD VALUE IF NOT EXISTS 'offer_accepted';
+ALTER TYPE application_status ADD VALUE IF NOT EXISTS 'joined';
+ALTER TYPE application_status ADD VALUE IF NOT EXISTS 'withdrawn';
+
+-- Step 2: Stage definitions
+CREATE TABLE IF NOT EXISTS public.application_stages (
+  stage TEXT PRIMARY KEY,
+  label TEXT NOT NULL,
+  description TEXT,
+  position INTEGER NOT NULL,
+  is_terminal BOOLEAN NOT NULL DEFAULT FALSE,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  notify_applicant BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+INSERT INTO public.application_stages (stage, label, description, position, is_terminal, notify_applicant) VALUES
+  ('pending', 'Pending', 'Application received, awaiting review', 1, FALSE, FALSE),
+  ('shortlisted', 'Shortlisted', 'Applicant shortlisted for further evaluation', 2, FALSE, TRUE),
+  ('interview_scheduled', 'Interview Scheduled', 'Interview arranged with the applicant', 3, FALSE, TRUE),
+  ('offer_extended', 'Offer Extended', 'Internship offer sent to the applicant', 4, FALSE, TRUE),
+  ('offer_accepted', 'Offer Accepted', 'Applicant accepted the offer', 5, FALSE, FALSE),
+  ('accepted', 'Accepted', 'Application accepted directly by the software house', 6, FALSE, TRUE),
+  ('joined', 'Joined', 'Intern has joined the software house', 7, TRUE, TRUE),
+  ('rejected', 'Rejected', 'Application was not successful', 8, TRUE, TRUE),
+  ('withdrawn', 'Withdrawn', 'Applicant withdrew from the process', 9, TRUE, FALSE)
+ON CONFLICT (stage) DO NOTHING;
+
+-- Step 3: Allowed transitions
+-- actor: 'software_house' (owner of the internship) or 'applicant' (student/guest)
+CREATE TABLE IF NOT EXISTS public.application_stage_transitions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  from_stage TEXT NOT NULL REFERENCES public.application_stages(stage) ON DELETE CASCADE,
+  to_stage TEXT NOT NULL REFERENCES public.application_stages(stage) ON DELETE CASCADE,
+  actor TEXT NOT NULL CHECK (actor IN ('software_house', 'applicant')),
+  UNIQUE (from_stage, to_stage, actor)
+);
+
+INSERT INTO public.application_stage_transitions (from_stage, to_stage, actor) VALUES
+  -- Software house moves the application forward
+  ('pending', 'shortlisted', 'software_house'),
+  ('pending', 'interview_scheduled', 'software_house'),
+  ('pending', 'offer_extended', 'software_house'),
+  ('pending', 'accepted', 'software_house'),
+  ('pending', 'rejected', 'software_house'),
+  ('shortlisted', 'interview_scheduled', 'software_house'),
+  ('shortlisted', 'offer_extended', 'software_house'),
+  ('shortlisted', 'rejected', 'software_house'),
+  ('interview_scheduled', 'shortlisted', 'software_house'),
+  ('interview_scheduled', 'offer_extended', 'software_house'),
+  ('interview_scheduled', 'rejected', 'software_house'),
+  ('offer_extended', 'rejected', 'software_house'),
+  ('offer_accepted', 'joined', 'software_house'),
+  ('accepted', 'joined', 'software_house'),
+  -- Applicant responds to offers or leaves the process
+  ('offer_extended', 'offer_accepted', 'applicant'),
+  ('pending', 'withdrawn', 'applicant'),
+  ('shortlisted', 'withdrawn', 'applicant'),
+  ('interview_scheduled', 'withdrawn', 'applicant'),
+  ('offer_extended', 'withdrawn', 'applicant'),
+  ('offer_accepted', 'withdrawn', 'applicant'),
+  ('accepted', 'withdrawn', 'applicant')
+ON CONFLICT (from_stage, to_stage, actor) DO NOTHING;
+
+-- Step 4: Per-application stage history
+CREATE TABLE IF NOT EXISTS public.application_stage_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  application_id UUID NOT NULL REFERENCES public.applications(id) ON DELETE CASCADE,
+  from_stage TEXT,
+  to_stage TEXT NOT NULL,
+  changed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_application_stage_history_application_id
+  ON public.application_stage_history(application_id, created_at);
+
+-- Step 5: Validate transitions before the status is written
+-- Requests made with the service role (auth.uid() IS NULL) may use any
+-- configured transition; users are limited to the transitions for their side.
+CREATE OR REPLACE FUNCTION public.validate_application_stage_transition()
+RETURNS TRIGGER AS $$
+DECLARE
+  actor_role TEXT;
+  actor_side TEXT;
+BEGIN
+  IF OLD.status IS NOT DISTINCT FROM NEW.status THEN
+    RETURN NEW;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM public.application_stages
+    WHERE stage = NEW.status::text AND is_active = FALSE
+  ) THEN
+    RAISE EXCEPTION 'Stage "%" is not enabled', NEW.status;
+  END IF;
+
+  IF auth.uid() IS NOT NULL THEN
+    SELECT role::text INTO actor_role FROM public.profiles WHERE id = auth.uid();
+
+    -- Admins can correct any stage
+    IF actor_role = 'admin' THEN
+      RETURN NEW;
+    END IF;
+
+    actor_side := CASE
+      WHEN auth.uid() = NEW.user_id THEN 'applicant'
+      ELSE 'software_house'
+    END;
+
+    IF NOT EXISTS (
+      SELECT 1 FROM public.application_stage_transitions
+      WHERE from_stage = OLD.status::text
+        AND to_stage = NEW.status::text
+        AND actor = actor_side
+    ) THEN
+      RAISE EXCEPTION 'Invalid stage transition from "%" to "%"', OLD.status, NEW.status;
+    END IF;
+  ELSIF NOT EXISTS (
+    SELECT 1 FROM public.application_stage_transitions
+    WHERE from_stage = OLD.status::text
+      AND to_stage = NEW.status::text
+  ) THEN
+    RAISE EXCEPTION 'Invalid stage transition from "%" to "%"', OLD.status, NEW.status;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_validate_application_stage ON public.applications;
+CREATE TRIGGER trigger_validate_application_stage
+  BEFORE UPDATE OF status ON public.applications
+  FOR EACH ROW
+  WHEN (OLD.status IS DISTINCT FROM NEW.status)
+  EXECUTE FUNCTION public.validate_application_stage_transition();
+
+-- Step 6: Record every stage change (and the initial stage on insert)
+CREATE OR REPLACE FUNCTION public.record_application_stage_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO public.application_stage_history (application_id, from_stage, to_stage, changed_by)
+    VALUES (NEW.id, NULL, NEW.status::text, NEW.user_id);
+  ELSIF OLD.status IS DISTINCT FROM NEW.status THEN
+    INSERT INTO public.application_stage_history (application_id, from_stage, to_stage, changed_by, note)
+    VALUES (NEW.id, OLD.status::text, NEW.status::text, auth.uid(), NEW.feedback);
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_record_application_stage_insert ON public.applications;
+CREATE TRIGGER trigger_record_application_stage_insert
+  AFTER INSERT ON public.applications
+  FOR EACH ROW
+  EXECUTE FUNCTION public.record_application_stage_change();
+
+DROP TRIGGER IF EXISTS trigger_record_application_stage_update ON public.applications;
+CREATE TRIGGER trigger_record_application_stage_update
+  AFTER UPDATE OF status ON public.applications
+  FOR EACH ROW
+  WHEN (OLD.status IS DISTINCT FROM NEW.status)
+  EXECUTE FUNCTION public.record_application_stage_change();
+
+-- Backfill: one history row per existing application so timelines are not empty
+INSERT INTO public.application_stage_history (application_id, from_stage, to_stage, changed_by, created_at)
+SELECT a.id, NULL, a.status::text, a.user_id, a.applied_at
+FROM public.applications a
+WHERE NOT EXISTS (
+  SELECT 1 FROM public.application_stage_history h WHERE h.application_id = a.id
+);
+
+-- Step 7: RLS
+ALTER TABLE public.application_stages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.application_stage_transitions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.application_stage_history ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Authenticated users can view application stages" ON public.application_stages;
+DROP POLICY IF EXISTS "Admins can manage application stages" ON public.application_stages;
+DROP POLICY IF EXISTS "Authenticated users can view stage transitions" ON public.application_stage_transitions;
+DROP POLICY IF EXISTS "Admins can manage stage transitions" ON public.application_stage_transitions;
+DROP POLICY IF EXISTS "Participants can view application stage history" ON public.application_stage_history;
+DROP POLICY IF EXISTS "Applicants can update own application stage" ON public.applications;
+
+CREATE POLICY "Authenticated users can view application stages"
+ON public.application_stages FOR SELECT TO authenticated
+USING (TRUE);
+
+CREATE POLICY "Admins can manage application stages"
+ON public.application_stages FOR ALL
+USING ((SELECT role FROM public.profiles WHERE id = auth.uid()) = 'admin')
+WITH CHECK ((SELECT role FROM public.profiles WHERE id = auth.uid()) = 'admin');
+
+CREATE POLICY "Authenticated users can view stage transitions"
+ON public.application_stage_transitions FOR SELECT TO authenticated
+USING (TRUE);
+
+CREATE POLICY "Admins can manage stage transitions"
+ON public.application_stage_transitions FOR ALL
+USING ((SELECT role FROM public.profiles WHERE id = auth.uid()) = 'admin')
+WITH CHECK ((SELECT role FROM public.profiles WHERE id = auth.uid()) = 'admin');
+
+-- History is visible to the applicant, the internship owner, the student's
+-- university and admins (same audience as the application itself)
+CREATE POLICY "Participants can view application stage history"
+ON public.application_stage_history FOR SELECT
+USING (
+  EXISTS (
+    SELECT 1 FROM public.applications a
+    JOIN public.internships i ON i.id = a.internship_id
+    WHERE a.id = application_stage_history.application_id
+      AND (
+        a.user_id = auth.uid()
+        OR i.software_house_id = auth.uid()
+        OR EXISTS (
+          SELECT 1 FROM public.students s
+          WHERE s.user_id = a.user_id AND s.university_id = auth.uid()
+        )
+        OR (SELECT role FROM public.profiles WHERE id = auth.uid()) = 'admin'
+      )
+  )
+);
+
+-- Applicants can move their own application (accept offer / withdraw);
+-- the transition trigger limits which stages they can reach and the
+-- trigger in Step 8 keeps them from changing any other column
+CREATE POLICY "Applicants can update own application stage"
+ON public.applications FOR UPDATE
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+GRANT SELECT ON public.application_stages TO authenticated;
+GRANT SELECT ON public.application_stage_transitions TO authenticated;
+GRANT SELECT ON public.application_stage_history TO authenticated;
+
+-- Step 8: Applicants may only change the status of their application
+-- (RLS cannot restrict columns, and the cover letter, CV snapshot, feedback,
+-- score and screening results must stay as submitted or as set by the owner)
+CREATE OR REPLACE FUNCTION public.restrict_applicant_application_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF auth.uid() IS NULL OR auth.uid() IS DISTINCT FROM OLD.user_id THEN
+    RETURN NEW;
+  END IF;
+
+  IF (to_jsonb(NEW) - 'status' - 'updated_at') IS DISTINCT FROM (to_jsonb(OLD) - 'status' - 'updated_at') THEN
+    RAISE EXCEPTION 'Applicants can only change the status of their application';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_restrict_applicant_application_update ON public.applications;
+CREATE TRIGGER trigger_restrict_applicant_application_update
+  BEFORE UPDATE ON public.applications
+  FOR EACH ROW
+  EXECUTE FUNCTION public.restrict_applicant_application_update();
+
+-- Verify stages and transitions
+SELECT stage, label, position, is_terminal FROM public.application_stages ORDER BY position;
+SELECT from_stage, to_stage, actor FROM public.application_stage_transitions ORDER BY from_stage, actor;
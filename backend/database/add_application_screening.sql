@@ -0,0 +1,165 @@
+-- ============================================
+-- Cover Letters and Screening Questions
+-- ============================================
+-- Software houses can attach screening questions to a posting
+-- (internships.screening_questions). Students answer them, plus an optional
+-- cover letter, when applying.
+--
+-- Question shape (see backend/utils/screening.js):
+--   { id, type: 'text' | 'multiple_choice' | 'yes_no' | 'number',
+--     prompt, required, options[], knockout, expected_answer, min, max }
+-- Answer shape (applications.screening_answers):
+--   [{ question_id, type, prompt, answer }]
+--
+-- Yes/no questions marked as knockout are checked here on insert, so the
+-- result does not depend on which client submitted the application.
+-- A failed knockout rejects the application straight away.
+--
+-- Re-run create_notification_triggers.sql afterwards so auto-rejected
+-- applications do not notify the software house.
+
+-- Step 1: Columns
+ALTER TABLE public.internships
+ADD COLUMN IF NOT EXISTS screening_questions JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE public.applications
+ADD COLUMN IF NOT EXISTS cover_letter TEXT;
+
+ALTER TABLE public.applications
+ADD COLUMN IF NOT EXISTS screening_answers JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- NULL when the posting has no knockout questions
+ALTER TABLE public.applications
+ADD COLUMN IF NOT EXISTS screening_passed BOOLEAN;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'applications_cover_letter_length'
+  ) THEN
+    ALTER TABLE public.applications
+      ADD CONSTRAINT applications_cover_letter_length
+      CHECK (cover_letter IS NULL OR char_length(cover_letter) <= 5000);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'internships_screening_questions_array'
+  ) THEN
+    ALTER TABLE public.internships
+      ADD CONSTRAINT internships_screening_questions_array
+      CHECK (jsonb_typeof(screening_questions) = 'array');
+  END IF;
+END $$;
+
+-- Step 2: Evaluate knockout questions before the application is stored
+CREATE OR REPLACE FUNCTION public.evaluate_application_screening()
+RETURNS TRIGGER AS $$
+DECLARE
+  questions JSONB;
+  question JSONB;
+  given TEXT;
+  has_knockout BOOLEAN := FALSE;
+  failed TEXT[] := '{}';
+BEGIN
+  SELECT COALESCE(i.screening_questions, '[]'::jsonb) INTO questions
+  FROM public.internships i
+  WHERE i.id = NEW.internship_id;
+
+  FOR question IN SELECT value FROM jsonb_array_elements(COALESCE(questions, '[]'::jsonb)) LOOP
+    IF question->>'type' = 'yes_no' AND COALESCE((question->>'knockout')::boolean, FALSE) THEN
+      has_knockout := TRUE;
+
+      given := NULL;
+      SELECT lower(a.value->>'answer') INTO given
+      FROM jsonb_array_elements(COALESCE(NEW.screening_answers, '[]'::jsonb)) AS a
+      WHERE a.value->>'question_id' = question->>'id'
+      LIMIT 1;
+
+      IF given IS DISTINCT FROM lower(COALESCE(question->>'expected_answer', 'yes')) THEN
+        failed := array_append(failed, question->>'prompt');
+      END IF;
+    END IF;
+  END LOOP;
+
+  IF NOT has_knockout THEN
+    NEW.screening_passed := NULL;
+    RETURN NEW;
+  END IF;
+
+  NEW.screening_passed := cardinality(failed) = 0;
+  IF NOT NEW.screening_passed THEN
+    NEW.status := 'rejected';
+    NEW.feedback := 'Automatically rejected: your answer to "' || failed[1] ||
+      '" does not meet a requirement for this internship.';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_evaluate_application_screening ON public.applications;
+CREATE TRIGGER trigger_evaluate_application_screening
+  BEFORE INSERT ON public.applications
+  FOR EACH ROW
+  EXECUTE FUNCTION public.evaluate_application_screening();
+
+-- Step 3: Tell the applicant when screening rejected them
+-- (the status-change trigger only fires on UPDATE)
+CREATE OR REPLACE FUNCTION public.notify_screening_rejection()
+RETURNS TRIGGER AS $$
+DECLARE
+  internship_title TEXT;
+BEGIN
+  IF NEW.screening_passed IS DISTINCT FROM FALSE THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT i.title INTO internship_title
+  FROM public.internships i
+  WHERE i.id = NEW.internship_id;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM public.notifications
+    WHERE user_id = NEW.user_id
+      AND type = 'application_status'
+      AND related_id = NEW.id
+      AND related_type = 'application'
+      AND metadata->>'status' = 'rejected'
+  ) THEN
+    INSERT INTO public.notifications (user_id, type, title, message, related_id, related_type, metadata, is_read)
+    VALUES (
+      NEW.user_id,
+      'application_status',
+      'Application Not Successful',
+      'Your application for "' || COALESCE(internship_title, 'the internship') || '" was not successful. ' || NEW.feedback,
+      NEW.id,
+      'application',
+      jsonb_build_object(
+        'status', 'rejected',
+        'internship_title', internship_title,
+        'feedback', NEW.feedback,
+        'auto_rejected', TRUE
+      ),
+      FALSE
+    );
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_notify_screening_rejection ON public.applications;
+CREATE TRIGGER trigger_notify_screening_rejection
+  AFTER INSERT ON public.applications
+  FOR EACH ROW
+  EXECUTE FUNCTION public.notify_screening_rejection();
+
+-- Verify
+SELECT table_name, column_name, data_type
+FROM information_schema.columns
+WHERE table_schema = 'public'
+  AND (
+    (table_name = 'internships' AND column_name = 'screening_questions')
+    OR (table_name = 'applications' AND column_name IN ('cover_letter', 'screening_answers', 'screening_passed'))
+  )
+ORDER BY table_name, column_name;
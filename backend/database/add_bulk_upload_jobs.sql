@@ -0,0 +1,127 @@
+-- ============================================
+-- Background Bulk Student Import
+-- ============================================
+-- A bulk upload is now a job. The API stores every CSV row in
+-- bulk_upload_rows and returns straight away; the backend job
+-- (backend/jobs/bulkImport.js) creates the accounts in chunks and keeps the
+-- progress on bulk_uploads up to date.
+--
+-- bulk_uploads.status:
+--   uploading  - created by the upload page, rows not stored yet; the job
+--                ignores it until the API has stored every row
+--   queued     - rows stored, waiting for the job
+--   processing - the job is working through the rows
+--   completed  - every row was processed (some may have failed)
+--   failed     - the file could not be read
+--   cancelled  - stopped by the university; processed rows are kept
+--
+-- Failed rows can be retried: only those rows go back to 'pending'.
+-- A job interrupted by a restart resumes from the rows still pending.
+
+-- Step 1: Job columns on bulk_uploads
+ALTER TABLE public.bulk_uploads
+ADD COLUMN IF NOT EXISTS processed_records INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE public.bulk_uploads
+ADD COLUMN IF NOT EXISTS cancel_requested BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE public.bulk_uploads
+ADD COLUMN IF NOT EXISTS started_at TIMESTAMPTZ;
+
+ALTER TABLE public.bulk_uploads
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT now();
+
+ALTER TABLE public.bulk_uploads
+ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE public.bulk_uploads
+DROP CONSTRAINT IF EXISTS bulk_uploads_status_check;
+
+ALTER TABLE public.bulk_uploads
+ADD CONSTRAINT bulk_uploads_status_check
+CHECK (status IN ('uploading', 'queued', 'processing', 'completed', 'failed', 'cancelled'));
+
+-- Universities create uploads in the initial state only; the API queues them
+DROP POLICY IF EXISTS bulk_university_insert ON public.bulk_uploads;
+CREATE POLICY bulk_university_insert ON public.bulk_uploads
+  FOR INSERT TO authenticated
+  WITH CHECK (auth.uid() = university_id AND status = 'uploading');
+
+CREATE INDEX IF NOT EXISTS idx_bulk_uploads_status
+ON public.bulk_uploads(status)
+WHERE status IN ('queued', 'processing');
+
+-- Step 2: One row per CSV line
+CREATE TABLE IF NOT EXISTS public.bulk_upload_rows (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  bulk_upload_id UUID NOT NULL REFERENCES public.bulk_uploads(id) ON DELETE CASCADE,
+  row_number INTEGER NOT NULL,
+  data JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'succeeded', 'failed', 'cancelled')),
+  error TEXT,
+  student_id UUID REFERENCES public.students(id) ON DELETE SET NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  processed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (bulk_upload_id, row_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bulk_upload_rows_upload_status
+ON public.bulk_upload_rows(bulk_upload_id, status, row_number);
+
+-- Step 3: Recount progress from the rows
+CREATE OR REPLACE FUNCTION public.refresh_bulk_upload_progress(p_bulk_upload_id UUID)
+RETURNS public.bulk_uploads
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  upload public.bulk_uploads;
+BEGIN
+  UPDATE public.bulk_uploads b
+  SET
+    total_records = counts.total,
+    successful_records = counts.succeeded,
+    failed_records = counts.failed,
+    processed_records = counts.succeeded + counts.failed,
+    updated_at = now()
+  FROM (
+    SELECT
+      COUNT(*)::INT AS total,
+      COUNT(*) FILTER (WHERE status = 'succeeded')::INT AS succeeded,
+      COUNT(*) FILTER (WHERE status = 'failed')::INT AS failed
+    FROM public.bulk_upload_rows
+    WHERE bulk_upload_id = p_bulk_upload_id
+  ) AS counts
+  WHERE b.id = p_bulk_upload_id
+  RETURNING b.* INTO upload;
+
+  RETURN upload;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.refresh_bulk_upload_progress(UUID) FROM PUBLIC, anon, authenticated;
+
+-- Step 4: RLS - universities read the rows of their own uploads.
+-- Rows are written by the backend with the service role key only.
+ALTER TABLE public.bulk_upload_rows ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS bulk_rows_university_select ON public.bulk_upload_rows;
+CREATE POLICY bulk_rows_university_select ON public.bulk_upload_rows
+  FOR SELECT TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.bulk_uploads b
+      WHERE b.id = bulk_upload_rows.bulk_upload_id
+        AND b.university_id = auth.uid()
+    )
+  );
+
+-- Verify
+SELECT column_name, data_type, column_default
+FROM information_schema.columns
+WHERE table_schema = 'public'
+  AND table_name IN ('bulk_uploads', 'bulk_upload_rows')
+ORDER BY table_name, ordinal_position;
@@ -0,0 +1,63 @@
+-- ============================================
+-- Bulk Student Sync (upsert mode)
+-- ============================================
+-- A bulk upload in 'sync' mode matches each row to an existing student of
+-- the university by student_id or email and:
+--   - updates the changed fields (name, student ID, batch, degree program,
+--     semester, phone, CGPA); blank cells keep the stored value
+--   - deactivates students whose status column says they left
+--     (left, graduated, withdrawn, ...) and reactivates returning ones
+--   - creates students that do not exist yet
+-- Each row records what it did (action) and the fields it changed
+-- (changes: { field: { from, to } }). When the upload finishes the job
+-- writes the per-row changes to bulk_uploads.error_log.
+--
+-- A deactivated student keeps their record and history; profiles.is_active
+-- is set to false as well so they can no longer sign in.
+
+-- Step 1: Import mode on bulk_uploads
+ALTER TABLE public.bulk_uploads
+ADD COLUMN IF NOT EXISTS mode TEXT NOT NULL DEFAULT 'create';
+
+ALTER TABLE public.bulk_uploads
+DROP CONSTRAINT IF EXISTS bulk_uploads_mode_check;
+
+ALTER TABLE public.bulk_uploads
+ADD CONSTRAINT bulk_uploads_mode_check
+CHECK (mode IN ('create', 'sync'));
+
+-- Step 2: What each row did
+ALTER TABLE public.bulk_upload_rows
+ADD COLUMN IF NOT EXISTS action TEXT;
+
+ALTER TABLE public.bulk_upload_rows
+ADD COLUMN IF NOT EXISTS changes JSONB;
+
+ALTER TABLE public.bulk_upload_rows
+DROP CONSTRAINT IF EXISTS bulk_upload_rows_action_check;
+
+ALTER TABLE public.bulk_upload_rows
+ADD CONSTRAINT bulk_upload_rows_action_check
+CHECK (action IS NULL OR action IN ('create', 'update', 'unchanged', 'deactivate', 'reactivate'));
+
+-- Step 3: Active flag on students
+ALTER TABLE public.students
+ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT true;
+
+ALTER TABLE public.students
+ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMPTZ;
+
+-- Sync lookups are by student ID within a university
+CREATE INDEX IF NOT EXISTS idx_students_university_student_id
+ON public.students(university_id, student_id);
+
+-- Verify
+SELECT table_name, column_name, data_type, column_default
+FROM information_schema.columns
+WHERE table_schema = 'public'
+  AND (
+    (table_name = 'bulk_uploads' AND column_name = 'mode')
+    OR (table_name = 'bulk_upload_rows' AND column_name IN ('action', 'changes'))
+    OR (table_name = 'students' AND column_name IN ('is_active', 'deactivated_at'))
+  )
+ORDER BY table_name, ordinal_position;
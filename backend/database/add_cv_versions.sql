@@ -0,0 +1,235 @@
+-- ============================================
+-- Named CV Versions with Change History
+-- ============================================
+-- Students can keep several named CVs (e.g. "Frontend-focused",
+-- "Data-focused") and pick one when applying. Every saved change is kept
+-- in cv_version_history so revisions can be compared and restored.
+--
+-- cv_forms stays the student's main CV: the default version is copied into
+-- it on every save, so everything that reads cv_forms (profile views,
+-- recommendations, PDF export) keeps working unchanged.
+--
+-- Existing cv_forms rows are seeded as a "Default" version.
+
+-- Step 1: Versions
+CREATE TABLE IF NOT EXISTS public.cv_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL CHECK (length(trim(name)) > 0),
+  personal JSONB NOT NULL DEFAULT '{}'::jsonb,
+  education JSONB NOT NULL DEFAULT '[]'::jsonb,
+  skills TEXT[] NOT NULL DEFAULT '{}',
+  experience JSONB,
+  projects JSONB,
+  certifications JSONB,
+  languages JSONB,
+  is_complete BOOLEAN NOT NULL DEFAULT FALSE,
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  -- Bumped whenever the CV content changes
+  revision INTEGER NOT NULL DEFAULT 1,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (user_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cv_versions_user_id ON public.cv_versions(user_id);
+-- At most one default version per student
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cv_versions_one_default
+  ON public.cv_versions(user_id) WHERE is_default;
+
+-- Step 2: History (one row per saved revision)
+CREATE TABLE IF NOT EXISTS public.cv_version_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  cv_version_id UUID NOT NULL REFERENCES public.cv_versions(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  revision INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  content JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (cv_version_id, revision)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cv_version_history_version ON public.cv_version_history(cv_version_id, revision DESC);
+
+-- Step 3: Remember which version an application was submitted with
+ALTER TABLE public.applications
+ADD COLUMN IF NOT EXISTS cv_version_id UUID REFERENCES public.cv_versions(id) ON DELETE SET NULL;
+
+ALTER TABLE public.applications
+ADD COLUMN IF NOT EXISTS cv_version_name TEXT;
+
+-- Step 4: Bump revision when content changes
+CREATE OR REPLACE FUNCTION bump_cv_version_revision()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF (NEW.personal, NEW.education, NEW.skills, NEW.experience, NEW.projects, NEW.certifications, NEW.languages)
+     IS DISTINCT FROM
+     (OLD.personal, OLD.education, OLD.skills, OLD.experience, OLD.projects, OLD.certifications, OLD.languages)
+  THEN
+    NEW.revision := OLD.revision + 1;
+    NEW.updated_at := now();
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_bump_cv_version_revision ON public.cv_versions;
+CREATE TRIGGER trigger_bump_cv_version_revision
+  BEFORE UPDATE ON public.cv_versions
+  FOR EACH ROW
+  EXECUTE FUNCTION bump_cv_version_revision();
+
+-- Step 5: Work out is_complete from the content on every save, so a student
+-- cannot mark an unfinished CV as complete by writing the flag directly
+-- (mirrors isCVContentComplete() in backend/utils/cvDiff.js)
+CREATE OR REPLACE FUNCTION public.cv_is_complete(p_personal JSONB, p_education JSONB, p_skills TEXT[])
+RETURNS BOOLEAN AS $$
+  SELECT
+    COALESCE(btrim(p_personal->>'name'), '') <> ''
+    AND COALESCE(btrim(p_personal->>'email'), '') <> ''
+    AND COALESCE(btrim(p_personal->>'phone'), '') <> ''
+    AND CASE WHEN jsonb_typeof(p_education) = 'array' THEN jsonb_array_length(p_education) > 0 ELSE FALSE END
+    AND EXISTS (SELECT 1 FROM unnest(COALESCE(p_skills, '{}')) AS s WHERE btrim(s) <> '');
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION set_cv_is_complete()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.is_complete := public.cv_is_complete(NEW.personal, NEW.education, NEW.skills);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_set_cv_version_is_complete ON public.cv_versions;
+CREATE TRIGGER trigger_set_cv_version_is_complete
+  BEFORE INSERT OR UPDATE ON public.cv_versions
+  FOR EACH ROW
+  EXECUTE FUNCTION set_cv_is_complete();
+
+-- cv_forms is also writable by its owner (and read by is_cv_complete())
+DROP TRIGGER IF EXISTS trigger_set_cv_form_is_complete ON public.cv_forms;
+CREATE TRIGGER trigger_set_cv_form_is_complete
+  BEFORE INSERT OR UPDATE ON public.cv_forms
+  FOR EACH ROW
+  EXECUTE FUNCTION set_cv_is_complete();
+
+-- Correct flags saved before the trigger existed
+UPDATE public.cv_forms
+SET is_complete = public.cv_is_complete(personal, education, skills)
+WHERE is_complete IS DISTINCT FROM public.cv_is_complete(personal, education, skills);
+
+UPDATE public.cv_versions
+SET is_complete = public.cv_is_complete(personal, education, skills)
+WHERE is_complete IS DISTINCT FROM public.cv_is_complete(personal, education, skills);
+
+-- Step 6: Record history and keep cv_forms in sync with the default version
+CREATE OR REPLACE FUNCTION record_cv_version_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' OR NEW.revision <> OLD.revision THEN
+    INSERT INTO public.cv_version_history (cv_version_id, user_id, revision, name, content)
+    VALUES (
+      NEW.id,
+      NEW.user_id,
+      NEW.revision,
+      NEW.name,
+      jsonb_build_object(
+        'personal', NEW.personal,
+        'education', NEW.education,
+        'skills', to_jsonb(NEW.skills),
+        'experience', COALESCE(NEW.experience, '[]'::jsonb),
+        'projects', COALESCE(NEW.projects, '[]'::jsonb),
+        'certifications', COALESCE(NEW.certifications, '[]'::jsonb),
+        'languages', COALESCE(NEW.languages, '[]'::jsonb)
+      )
+    )
+    ON CONFLICT (cv_version_id, revision) DO NOTHING;
+  END IF;
+
+  IF NEW.is_default AND (
+    TG_OP = 'INSERT' OR NEW.revision <> OLD.revision OR NOT OLD.is_default
+  ) THEN
+    INSERT INTO public.cv_forms (
+      user_id, personal, education, skills, experience, projects,
+      certifications, languages, is_complete, updated_at
+    )
+    VALUES (
+      NEW.user_id, NEW.personal, NEW.education, NEW.skills, NEW.experience, NEW.projects,
+      NEW.certifications, NEW.languages, NEW.is_complete, now()
+    )
+    ON CONFLICT (user_id) DO UPDATE SET
+      personal = EXCLUDED.personal,
+      education = EXCLUDED.education,
+      skills = EXCLUDED.skills,
+      experience = EXCLUDED.experience,
+      projects = EXCLUDED.projects,
+      certifications = EXCLUDED.certifications,
+      languages = EXCLUDED.languages,
+      is_complete = EXCLUDED.is_complete,
+      updated_at = now();
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_record_cv_version_change ON public.cv_versions;
+CREATE TRIGGER trigger_record_cv_version_change
+  AFTER INSERT OR UPDATE ON public.cv_versions
+  FOR EACH ROW
+  EXECUTE FUNCTION record_cv_version_change();
+
+-- Step 7: Switch the default version in one statement (the partial unique
+-- index would reject setting the new default before clearing the old one)
+CREATE OR REPLACE FUNCTION set_default_cv_version(p_version_id UUID)
+RETURNS VOID AS $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM public.cv_versions WHERE id = p_version_id AND user_id = auth.uid()
+  ) THEN
+    RAISE EXCEPTION 'CV version not found';
+  END IF;
+
+  UPDATE public.cv_versions
+  SET is_default = FALSE
+  WHERE user_id = auth.uid() AND is_default AND id <> p_version_id;
+
+  UPDATE public.cv_versions
+  SET is_default = TRUE
+  WHERE id = p_version_id;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+-- Step 8: RLS (owners only; history rows are written by the trigger)
+ALTER TABLE public.cv_versions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.cv_version_history ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage own CV versions" ON public.cv_versions;
+DROP POLICY IF EXISTS "Users can view own CV history" ON public.cv_version_history;
+
+CREATE POLICY "Users can manage own CV versions"
+ON public.cv_versions FOR ALL
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can view own CV history"
+ON public.cv_version_history FOR SELECT
+USING (auth.uid() = user_id);
+
+-- Step 9: Seed a default version from each existing CV
+INSERT INTO public.cv_versions (
+  user_id, name, personal, education, skills, experience, projects,
+  certifications, languages, is_complete, is_default, created_at, updated_at
+)
+SELECT
+  cf.user_id, 'Default', cf.personal, cf.education, cf.skills, cf.experience, cf.projects,
+  cf.certifications, cf.languages, cf.is_complete, TRUE, cf.created_at, cf.updated_at
+FROM public.cv_forms cf
+WHERE NOT EXISTS (
+  SELECT 1 FROM public.cv_versions v WHERE v.user_id = cf.user_id
+);
+
+-- Verify
+SELECT user_id, name, is_default, revision, is_complete
+FROM public.cv_versions
+ORDER BY user_id, is_default DESC, name;
@@ -0,0 +1,135 @@
+-- ============================================
+-- Transactional Email Outbox
+-- ============================================
+-- Emails are no longer sent through Supabase's built-in SMTP. Each email is
+-- queued in email_outbox as a template name plus a payload; the backend job
+-- (backend/jobs/emailOutbox.js) renders it (backend/utils/emailTemplates.js),
+-- sends it with the configured transport (backend/utils/mailer.js) and
+-- records the outcome, so admins can see what was delivered.
+--
+-- email_outbox.status:
+--   pending - waiting to be sent (again, after next_attempt_at)
+--   sending - picked up by the job
+--   sent    - accepted by the transport
+--   failed  - gave up after max_attempts, or the template is unknown
+--
+-- Notifications for internship approvals/rejections, application status
+-- changes and new applications also queue an email (trigger below).
+-- Account approval emails are queued by POST /api/admin/send-approval-email.
+--
+-- Payloads are readable by admins, so they never hold a working sign-in or
+-- confirmation link: templates that need one get it generated by the job at
+-- send time (sendTimeLink in emailTemplates.js).
+
+-- Step 1: Outbox
+CREATE TABLE IF NOT EXISTS public.email_outbox (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  template TEXT NOT NULL,
+  to_email TEXT NOT NULL,
+  to_user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  notification_id UUID UNIQUE REFERENCES public.notifications(id) ON DELETE SET NULL,
+  subject TEXT,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_error TEXT,
+  transport TEXT,
+  message_id TEXT,
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE public.email_outbox
+DROP CONSTRAINT IF EXISTS email_outbox_status_check;
+
+ALTER TABLE public.email_outbox
+ADD CONSTRAINT email_outbox_status_check
+CHECK (status IN ('pending', 'sending', 'sent', 'failed'));
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_due
+ON public.email_outbox(next_attempt_at)
+WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_created_at
+ON public.email_outbox(created_at DESC);
+
+-- Step 2: Admins can see delivery status; only the backend writes
+ALTER TABLE public.email_outbox ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS email_outbox_admin_select ON public.email_outbox;
+CREATE POLICY email_outbox_admin_select ON public.email_outbox
+  FOR SELECT TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.profiles p
+      WHERE p.id = auth.uid() AND p.role = 'admin'
+    )
+  );
+
+-- Step 3: Queue an email for notifications that have a template
+CREATE OR REPLACE FUNCTION queue_notification_email()
+RETURNS TRIGGER AS $$
+DECLARE
+  recipient RECORD;
+  email_template TEXT;
+BEGIN
+  email_template := CASE
+    WHEN NEW.type = 'internship_approval' AND NEW.metadata->>'status' = 'approved' THEN 'internship_approved'
+    WHEN NEW.type = 'internship_approval' AND NEW.metadata->>'status' = 'rejected' THEN 'internship_rejected'
+    WHEN NEW.type = 'application_status' THEN 'application_status_changed'
+    WHEN NEW.type = 'new_application' THEN 'application_received'
+    ELSE NULL
+  END;
+
+  IF email_template IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT p.email, p.role, COALESCE(p.full_name, p.organization_name) AS name
+  INTO recipient
+  FROM profiles p
+  WHERE p.id = NEW.user_id;
+
+  IF recipient.email IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  INSERT INTO email_outbox (template, to_email, to_user_id, notification_id, payload)
+  VALUES (
+    email_template,
+    recipient.email,
+    NEW.user_id,
+    NEW.id,
+    COALESCE(NEW.metadata, '{}'::jsonb) || jsonb_build_object(
+      'name', recipient.name,
+      'recipient_role', recipient.role,
+      'title', NEW.title,
+      'message', NEW.message,
+      'related_id', NEW.related_id
+    )
+  )
+  ON CONFLICT (notification_id) DO NOTHING;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS trigger_queue_notification_email ON notifications;
+CREATE TRIGGER trigger_queue_notification_email
+  AFTER INSERT ON notifications
+  FOR EACH ROW
+  EXECUTE FUNCTION queue_notification_email();
+
+-- Step 4: Remove confirmation links queued before they were generated at send time
+UPDATE public.email_outbox
+SET payload = payload - 'link'
+WHERE template = 'email_confirmation'
+  AND payload ? 'link';
+
+-- Verify
+SELECT status, COUNT(*) AS emails
+FROM public.email_outbox
+GROUP BY status;
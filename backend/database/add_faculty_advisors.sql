@@ -0,0 +1,195 @@
+-- ============================================
+-- Faculty Advisors
+-- ============================================
+-- A university can create faculty advisor accounts (role 'faculty_advisor',
+-- profiles.university_id = the university). Each advisor is assigned a
+-- subset of the university's students, by batch, by degree program or by
+-- picking students one by one, and can only read those students' records:
+-- students, profiles, applications, placements, evaluations and logbooks.
+--
+-- A student matches an advisor when any of the advisor's assignments
+-- matches, so "batch 2022" plus two students from batch 2021 is a valid
+-- set. Matching happens in advised_students() below; keep it in sync with
+-- isAssignedStudent() in backend/utils/advisors.js.
+--
+-- Advisor accounts and assignments are written by the backend with the
+-- service role:
+--   POST /api/university/advisors                  - create an advisor
+--   PUT  /api/university/advisors/:id              - rename / (de)activate
+--   PUT  /api/university/advisors/:id/assignments  - replace assignments
+--
+-- The new enum value cannot be used in the transaction that adds it, so
+-- everything below compares role::text instead.
+--
+-- Run after add_placements.sql, add_placement_evaluations.sql and
+-- add_logbook.sql.
+
+-- Step 1: The role
+ALTER TYPE user_role ADD VALUE IF NOT EXISTS 'faculty_advisor';
+
+-- Step 2: Assignments (one row per batch, degree program or student)
+CREATE TABLE IF NOT EXISTS public.advisor_assignments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  advisor_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  university_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL CHECK (kind IN ('batch', 'degree_program', 'student')),
+  batch INTEGER,
+  degree_program TEXT,
+  student_id UUID REFERENCES public.students(id) ON DELETE CASCADE,
+  created_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT advisor_assignments_value_check CHECK (
+    (kind = 'batch' AND batch IS NOT NULL AND degree_program IS NULL AND student_id IS NULL)
+    OR (kind = 'degree_program' AND degree_program IS NOT NULL AND batch IS NULL AND student_id IS NULL)
+    OR (kind = 'student' AND student_id IS NOT NULL AND batch IS NULL AND degree_program IS NULL)
+  )
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_advisor_assignments_unique
+ON public.advisor_assignments(advisor_id, kind, COALESCE(batch::text, lower(degree_program), student_id::text));
+
+CREATE INDEX IF NOT EXISTS idx_advisor_assignments_university_id ON public.advisor_assignments(university_id);
+
+ALTER TABLE public.advisor_assignments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Universities and advisors can view advisor assignments" ON public.advisor_assignments;
+CREATE POLICY "Universities and advisors can view advisor assignments"
+ON public.advisor_assignments FOR SELECT
+USING (
+  university_id = auth.uid()
+  OR advisor_id = auth.uid()
+  OR (SELECT role FROM public.profiles WHERE id = auth.uid()) = 'admin'
+);
+
+GRANT SELECT ON public.advisor_assignments TO authenticated;
+
+-- Step 3: Students assigned to the calling advisor (nothing for other roles
+-- or deactivated advisors). SECURITY DEFINER so policies on students and
+-- profiles can call it without recursing into their own RLS. Students are
+-- matched against the university on the assignment row, which only the
+-- backend writes, never the advisor's own profiles.university_id.
+CREATE OR REPLACE FUNCTION public.advised_students()
+RETURNS TABLE (student_id UUID, user_id UUID) AS $$
+  SELECT s.id, s.user_id
+  FROM students s
+  JOIN profiles adv ON adv.id = auth.uid()
+  WHERE adv.role::text = 'faculty_advisor'
+    AND adv.is_active IS DISTINCT FROM FALSE
+    AND EXISTS (
+      SELECT 1 FROM advisor_assignments a
+      WHERE a.advisor_id = adv.id
+        AND a.university_id = s.university_id
+        AND (
+          (a.kind = 'batch' AND a.batch = s.batch)
+          OR (a.kind = 'degree_program' AND lower(a.degree_program) = lower(btrim(s.degree_program)))
+          OR (a.kind = 'student' AND a.student_id = s.id)
+        )
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.advised_students() TO authenticated;
+
+-- Step 4: Read access for advisors (added next to the existing policies,
+-- which stay as they are)
+DROP POLICY IF EXISTS "Universities can view their faculty advisors" ON public.profiles;
+CREATE POLICY "Universities can view their faculty advisors"
+ON public.profiles FOR SELECT
+USING (role::text = 'faculty_advisor' AND university_id = auth.uid());
+
+DROP POLICY IF EXISTS "Faculty advisors can view assigned student profiles" ON public.profiles;
+CREATE POLICY "Faculty advisors can view assigned student profiles"
+ON public.profiles FOR SELECT
+USING (id IN (SELECT a.user_id FROM public.advised_students() a));
+
+DROP POLICY IF EXISTS "Faculty advisors can view assigned students" ON public.students;
+CREATE POLICY "Faculty advisors can view assigned students"
+ON public.students FOR SELECT
+USING (id IN (SELECT a.student_id FROM public.advised_students() a));
+
+DROP POLICY IF EXISTS "Faculty advisors can view assigned students' applications" ON public.applications;
+CREATE POLICY "Faculty advisors can view assigned students' applications"
+ON public.applications FOR SELECT
+USING (user_id IN (SELECT a.user_id FROM public.advised_students() a));
+
+DROP POLICY IF EXISTS "Faculty advisors can view assigned students' placements" ON public.placements;
+CREATE POLICY "Faculty advisors can view assigned students' placements"
+ON public.placements FOR SELECT
+USING (student_id IN (SELECT a.user_id FROM public.advised_students() a));
+
+DROP POLICY IF EXISTS "Faculty advisors can view assigned students' evaluations" ON public.placement_evaluations;
+CREATE POLICY "Faculty advisors can view assigned students' evaluations"
+ON public.placement_evaluations FOR SELECT
+USING (student_id IN (SELECT a.user_id FROM public.advised_students() a));
+
+DROP POLICY IF EXISTS "Faculty advisors can view assigned students' logbooks" ON public.logbook_entries;
+CREATE POLICY "Faculty advisors can view assigned students' logbooks"
+ON public.logbook_entries FOR SELECT
+USING (student_id IN (SELECT a.user_id FROM public.advised_students() a));
+
+-- Step 5: Logbook compliance for advisors too (same as add_logbook.sql plus
+-- the assigned students)
+CREATE OR REPLACE FUNCTION public.get_logbook_compliance(student_ids UUID[])
+RETURNS TABLE (
+  student_id UUID,
+  placement_id UUID,
+  placement_status TEXT,
+  due_weeks INTEGER,
+  submitted_weeks INTEGER,
+  overdue_weeks INTEGER,
+  approved_entries INTEGER,
+  flagged_entries INTEGER,
+  last_submitted_at TIMESTAMPTZ
+) AS $$
+  SELECT
+    p.student_id,
+    p.id,
+    p.status,
+    (SELECT COUNT(*)::INTEGER FROM logbook_due_weeks(p.start_date, p.end_date)),
+    (SELECT COUNT(*)::INTEGER FROM logbook_due_weeks(p.start_date, p.end_date) w
+      WHERE EXISTS (SELECT 1 FROM logbook_entries e WHERE e.placement_id = p.id AND e.week_start = w)),
+    (SELECT COUNT(*)::INTEGER FROM logbook_due_weeks(p.start_date, p.end_date) w
+      WHERE NOT EXISTS (SELECT 1 FROM logbook_entries e WHERE e.placement_id = p.id AND e.week_start = w)),
+    (SELECT COUNT(*)::INTEGER FROM logbook_entries e WHERE e.placement_id = p.id AND e.status = 'approved'),
+    (SELECT COUNT(*)::INTEGER FROM logbook_entries e WHERE e.placement_id = p.id AND e.flagged),
+    (SELECT MAX(e.submitted_at) FROM logbook_entries e WHERE e.placement_id = p.id)
+  FROM placements p
+  WHERE p.student_id = ANY(student_ids)
+    AND p.status IN ('ongoing', 'completed', 'incomplete')
+    AND (
+      p.student_id = auth.uid()
+      OR p.software_house_id = auth.uid()
+      OR p.university_id = auth.uid()
+      OR p.student_id IN (SELECT a.user_id FROM advised_students() a)
+      OR (SELECT role FROM profiles WHERE id = auth.uid()) = 'admin'
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.get_logbook_compliance(UUID[]) TO authenticated;
+
+-- Step 6: Advisors cannot change their own role, university or active flag
+-- ("Users can update own profile" allows any column); the university does
+-- that through the backend
+CREATE OR REPLACE FUNCTION public.protect_advisor_profile()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF auth.uid() IS NOT NULL
+    AND auth.uid() = OLD.id
+    AND 'faculty_advisor' IN (OLD.role::text, NEW.role::text)
+    AND (NEW.role, NEW.university_id, NEW.is_active) IS DISTINCT FROM (OLD.role, OLD.university_id, OLD.is_active)
+  THEN
+    RAISE EXCEPTION 'Faculty advisors cannot change their own role, university or account status';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_protect_advisor_profile ON public.profiles;
+CREATE TRIGGER trigger_protect_advisor_profile
+  BEFORE UPDATE ON public.profiles
+  FOR EACH ROW
+  EXECUTE FUNCTION public.protect_advisor_profile();
+
+-- Verify
+SELECT
+  (SELECT COUNT(*) FROM public.profiles WHERE role::text = 'faculty_advisor') AS advisors,
+  (SELECT COUNT(*) FROM public.advisor_assignments) AS assignments;
@@ -0,0 +1,300 @@
+-- ============================================
+-- Internship Posting Lifecycle
+-- ============================================
+-- Postings get an application deadline, a number of openings and a
+-- lifecycle status (internships.posting_status):
+--   open   - accepting applications
+--   closed - deadline passed, or closed by the software house
+--   filled - every opening has an accepted offer
+--
+-- posting_status is separate from internships.status, which stays the
+-- admin review state (pending / approved / rejected).
+--
+-- close_due_internships() is run on a schedule by the backend
+-- (backend/jobs/internshipLifecycle.js). Applications to a posting that is
+-- not open, or whose deadline has passed, are refused on insert.
+--
+-- Re-run create_notifications_table.sql afterwards so 'internship_closed'
+-- notifications are counted for software houses.
+
+-- Step 1: Columns
+ALTER TABLE public.internships
+ADD COLUMN IF NOT EXISTS application_deadline TIMESTAMPTZ;
+
+-- NULL means no limit on the number of interns
+ALTER TABLE public.internships
+ADD COLUMN IF NOT EXISTS openings INTEGER;
+
+ALTER TABLE public.internships
+ADD COLUMN IF NOT EXISTS posting_status TEXT NOT NULL DEFAULT 'open';
+
+ALTER TABLE public.internships
+ADD COLUMN IF NOT EXISTS closed_at TIMESTAMPTZ;
+
+-- 'deadline' | 'filled' | 'manual'
+ALTER TABLE public.internships
+ADD COLUMN IF NOT EXISTS closed_reason TEXT;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'internships_posting_status_check'
+  ) THEN
+    ALTER TABLE public.internships
+      ADD CONSTRAINT internships_posting_status_check
+      CHECK (posting_status IN ('open', 'closed', 'filled'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'internships_openings_positive'
+  ) THEN
+    ALTER TABLE public.internships
+      ADD CONSTRAINT internships_openings_positive
+      CHECK (openings IS NULL OR openings > 0);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'internships_closed_reason_check'
+  ) THEN
+    ALTER TABLE public.internships
+      ADD CONSTRAINT internships_closed_reason_check
+      CHECK (closed_reason IS NULL OR closed_reason IN ('deadline', 'filled', 'manual'));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_internships_posting_status
+  ON public.internships (posting_status, application_deadline);
+
+-- Step 2: Seats taken on a posting
+CREATE OR REPLACE FUNCTION public.internship_filled_openings(p_internship_id UUID)
+RETURNS INTEGER AS $$
+  SELECT COUNT(*)::INTEGER
+  FROM public.applications a
+  WHERE a.internship_id = p_internship_id
+    AND a.status::text IN ('accepted', 'offer_accepted', 'joined');
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Step 3: Close postings that are past their deadline or have no seats left
+-- Returns the postings that changed
+CREATE OR REPLACE FUNCTION public.close_due_internships()
+RETURNS TABLE (internship_id UUID, posting_status TEXT, closed_reason TEXT) AS $$
+BEGIN
+  RETURN QUERY
+  WITH filled AS (
+    UPDATE public.internships i
+    SET posting_status = 'filled',
+        closed_at = NOW(),
+        closed_reason = 'filled'
+    WHERE i.posting_status = 'open'
+      AND i.openings IS NOT NULL
+      AND public.internship_filled_openings(i.id) >= i.openings
+    RETURNING i.id, i.posting_status, i.closed_reason
+  ), expired AS (
+    UPDATE public.internships i
+    SET posting_status = 'closed',
+        closed_at = NOW(),
+        closed_reason = 'deadline'
+    WHERE i.posting_status = 'open'
+      AND i.application_deadline IS NOT NULL
+      AND i.application_deadline <= NOW()
+      AND i.id NOT IN (SELECT f.id FROM filled f)
+    RETURNING i.id, i.posting_status, i.closed_reason
+  )
+  SELECT f.id, f.posting_status, f.closed_reason FROM filled f
+  UNION ALL
+  SELECT e.id, e.posting_status, e.closed_reason FROM expired e;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only the backend (service role) runs the scheduled close
+REVOKE EXECUTE ON FUNCTION public.close_due_internships() FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION public.close_due_internships() FROM authenticated;
+
+-- Step 4: Software houses close and reopen their own postings
+-- (internships RLS only lets admins update rows)
+CREATE OR REPLACE FUNCTION public.close_internship_posting(p_internship_id UUID)
+RETURNS public.internships AS $$
+DECLARE
+  posting public.internships;
+BEGIN
+  SELECT * INTO posting FROM public.internships WHERE id = p_internship_id;
+
+  IF posting.id IS NULL THEN
+    RAISE EXCEPTION 'Internship not found';
+  END IF;
+  IF posting.software_house_id IS DISTINCT FROM auth.uid() THEN
+    RAISE EXCEPTION 'Unauthorized: Can only close own internships';
+  END IF;
+  IF posting.posting_status <> 'open' THEN
+    RAISE EXCEPTION 'This internship is already %', posting.posting_status;
+  END IF;
+
+  UPDATE public.internships
+  SET posting_status = 'closed',
+      closed_at = NOW(),
+      closed_reason = 'manual'
+  WHERE id = p_internship_id
+  RETURNING * INTO posting;
+
+  RETURN posting;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.reopen_internship_posting(
+  p_internship_id UUID,
+  p_deadline TIMESTAMPTZ DEFAULT NULL,
+  p_openings INTEGER DEFAULT NULL
+)
+RETURNS public.internships AS $$
+DECLARE
+  posting public.internships;
+  new_deadline TIMESTAMPTZ;
+  new_openings INTEGER;
+BEGIN
+  SELECT * INTO posting FROM public.internships WHERE id = p_internship_id;
+
+  IF posting.id IS NULL THEN
+    RAISE EXCEPTION 'Internship not found';
+  END IF;
+  IF posting.software_house_id IS DISTINCT FROM auth.uid() THEN
+    RAISE EXCEPTION 'Unauthorized: Can only reopen own internships';
+  END IF;
+  IF posting.posting_status = 'open' THEN
+    RAISE EXCEPTION 'This internship is already open';
+  END IF;
+
+  new_deadline := COALESCE(p_deadline, posting.application_deadline);
+  new_openings := COALESCE(p_openings, posting.openings);
+
+  IF new_deadline IS NOT NULL AND new_deadline <= NOW() THEN
+    RAISE EXCEPTION 'Choose an application deadline in the future to reopen this internship';
+  END IF;
+  IF new_openings IS NOT NULL AND public.internship_filled_openings(p_internship_id) >= new_openings THEN
+    RAISE EXCEPTION 'All % openings are filled. Add more openings to reopen this internship', new_openings;
+  END IF;
+
+  UPDATE public.internships
+  SET posting_status = 'open',
+      application_deadline = new_deadline,
+      openings = new_openings,
+      closed_at = NULL,
+      closed_reason = NULL
+  WHERE id = p_internship_id
+  RETURNING * INTO posting;
+
+  RETURN posting;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.internship_filled_openings(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.close_internship_posting(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.reopen_internship_posting(UUID, TIMESTAMPTZ, INTEGER) TO authenticated;
+
+-- Step 5: Refuse late applications, whichever client submits them
+-- (the scheduled job may not have closed the posting yet)
+CREATE OR REPLACE FUNCTION public.check_internship_accepting_applications()
+RETURNS TRIGGER AS $$
+DECLARE
+  posting_state TEXT;
+  deadline TIMESTAMPTZ;
+BEGIN
+  SELECT i.posting_status, i.application_deadline INTO posting_state, deadline
+  FROM public.internships i
+  WHERE i.id = NEW.internship_id;
+
+  IF posting_state IS DISTINCT FROM 'open' THEN
+    RAISE EXCEPTION 'This internship is no longer accepting applications';
+  END IF;
+  IF deadline IS NOT NULL AND deadline <= NOW() THEN
+    RAISE EXCEPTION 'Applications for this internship closed on %', to_char(deadline, 'Mon DD, YYYY');
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_check_internship_accepting_applications ON public.applications;
+CREATE TRIGGER trigger_check_internship_accepting_applications
+  BEFORE INSERT ON public.applications
+  FOR EACH ROW
+  EXECUTE FUNCTION public.check_internship_accepting_applications();
+
+-- Step 6: Tell the software house when a posting closes on its own
+-- (postings they close themselves do not notify them)
+CREATE OR REPLACE FUNCTION public.notify_internship_closed()
+RETURNS TRIGGER AS $$
+DECLARE
+  notification_title VARCHAR(255);
+  notification_message TEXT;
+  pending_count INTEGER;
+BEGIN
+  IF NEW.posting_status = 'open' OR COALESCE(NEW.closed_reason, '') = 'manual' THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT COUNT(*)::INTEGER INTO pending_count
+  FROM public.applications a
+  WHERE a.internship_id = NEW.id
+    AND a.status::text IN ('pending', 'shortlisted', 'interview_scheduled');
+
+  IF NEW.posting_status = 'filled' THEN
+    notification_title := 'Internship Filled';
+    notification_message := 'All ' || NEW.openings || ' openings for "' || COALESCE(NEW.title, 'Untitled') ||
+      '" are filled and the posting is now closed to new applications.';
+  ELSE
+    notification_title := 'Internship Closed';
+    notification_message := 'The application deadline for "' || COALESCE(NEW.title, 'Untitled') ||
+      '" has passed and the posting is now closed to new applications.';
+  END IF;
+
+  IF pending_count > 0 THEN
+    notification_message := notification_message || ' ' || pending_count ||
+      CASE WHEN pending_count = 1 THEN ' application is' ELSE ' applications are' END ||
+      ' still waiting for a decision.';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM public.notifications
+    WHERE user_id = NEW.software_house_id
+      AND type = 'internship_closed'
+      AND related_id = NEW.id
+      AND related_type = 'internship'
+      AND metadata->>'closed_at' = NEW.closed_at::text
+  ) THEN
+    INSERT INTO public.notifications (user_id, type, title, message, related_id, related_type, metadata, is_read)
+    VALUES (
+      NEW.software_house_id,
+      'internship_closed',
+      notification_title,
+      notification_message,
+      NEW.id,
+      'internship',
+      jsonb_build_object(
+        'posting_status', NEW.posting_status,
+        'reason', NEW.closed_reason,
+        'internship_title', NEW.title,
+        'pending_applications', pending_count,
+        'closed_at', NEW.closed_at::text
+      ),
+      FALSE
+    );
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_notify_internship_closed ON public.internships;
+CREATE TRIGGER trigger_notify_internship_closed
+  AFTER UPDATE OF posting_status ON public.internships
+  FOR EACH ROW
+  WHEN (OLD.posting_status IS DISTINCT FROM NEW.posting_status)
+  EXECUTE FUNCTION public.notify_internship_closed();
+
+-- Verify
+SELECT column_name, data_type, column_default
+FROM information_schema.columns
+WHERE table_schema = 'public'
+  AND table_name = 'internships'
+  AND column_name IN ('application_deadline', 'openings', 'posting_status', 'closed_at', 'closed_reason')
+ORDER BY column_name;
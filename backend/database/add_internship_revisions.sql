@@ -0,0 +1,474 @@
+-- ============================================
+-- Internship Posting Revisions
+-- ============================================
+-- Every edit to a posting is stored in internship_revisions with a
+-- field-level diff (changes: [{ field, before, after, cosmetic }]).
+--
+-- Edits to a posting that is still pending (or was rejected) are applied
+-- straight away. Edits to an approved posting are held as a pending
+-- revision for admin review; the approved content stays live until the
+-- admin approves the changes.
+--
+-- Cosmetic edits can skip that review (internship_review_settings):
+--   - fields in exempt_fields never need review (deadline, openings)
+--   - long text fields in cosmetic_fields (description, requirements)
+--     count as cosmetic when at most cosmetic_max_word_changes words differ
+--     after ignoring case and punctuation (typo fixes, rewording a few
+--     words). Short fields such as the title, location and duration are
+--     never cosmetic: a few words are the whole value.
+-- The same rules are mirrored in backend/utils/internshipRevisions.js.
+--
+-- Run after add_application_screening.sql and add_internship_lifecycle.sql
+-- (editable fields include screening_questions, application_deadline and openings).
+
+-- Step 1: Columns on internships
+ALTER TABLE public.internships
+ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1;
+
+ALTER TABLE public.internships
+ADD COLUMN IF NOT EXISTS pending_revision_id UUID;
+
+-- Step 2: Review settings (single row)
+CREATE TABLE IF NOT EXISTS public.internship_review_settings (
+  id BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+  skip_cosmetic_review BOOLEAN NOT NULL DEFAULT TRUE,
+  cosmetic_fields TEXT[] NOT NULL DEFAULT ARRAY['description', 'requirements'],
+  cosmetic_max_word_changes INTEGER NOT NULL DEFAULT 4 CHECK (cosmetic_max_word_changes >= 0),
+  exempt_fields TEXT[] NOT NULL DEFAULT ARRAY['application_deadline', 'openings'],
+  updated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO public.internship_review_settings (id) VALUES (TRUE)
+ON CONFLICT (id) DO NOTHING;
+
+-- Earlier versions let short fields be cosmetic; drop them from existing settings
+ALTER TABLE public.internship_review_settings
+ALTER COLUMN cosmetic_fields SET DEFAULT ARRAY['description', 'requirements'];
+
+UPDATE public.internship_review_settings
+SET cosmetic_fields = ARRAY(
+  SELECT f FROM unnest(cosmetic_fields) AS f WHERE f IN ('description', 'requirements')
+)
+WHERE NOT cosmetic_fields <@ ARRAY['description', 'requirements'];
+
+ALTER TABLE public.internship_review_settings
+DROP CONSTRAINT IF EXISTS internship_review_settings_cosmetic_fields_check;
+
+ALTER TABLE public.internship_review_settings
+ADD CONSTRAINT internship_review_settings_cosmetic_fields_check
+CHECK (cosmetic_fields <@ ARRAY['description', 'requirements']);
+
+-- Step 3: Revisions
+CREATE TABLE IF NOT EXISTS public.internship_revisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  internship_id UUID NOT NULL REFERENCES public.internships(id) ON DELETE CASCADE,
+  -- internships.revision this produced once applied (NULL while pending/rejected)
+  revision INTEGER,
+  base_revision INTEGER NOT NULL DEFAULT 1,
+  kind TEXT NOT NULL CHECK (kind IN ('initial', 'cosmetic', 'material')),
+  status TEXT NOT NULL CHECK (status IN ('applied', 'pending', 'approved', 'rejected', 'superseded')),
+  changes JSONB NOT NULL DEFAULT '[]'::jsonb,
+  proposed JSONB NOT NULL DEFAULT '{}'::jsonb,
+  snapshot JSONB,
+  submitted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  reviewed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMPTZ,
+  feedback TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (internship_id, revision)
+);
+
+CREATE INDEX IF NOT EXISTS idx_internship_revisions_internship
+  ON public.internship_revisions (internship_id, created_at DESC);
+
+-- At most one revision waiting for review per posting
+CREATE UNIQUE INDEX IF NOT EXISTS idx_internship_revisions_one_pending
+  ON public.internship_revisions (internship_id)
+  WHERE status = 'pending';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'internships_pending_revision_fk'
+  ) THEN
+    ALTER TABLE public.internships
+      ADD CONSTRAINT internships_pending_revision_fk
+      FOREIGN KEY (pending_revision_id) REFERENCES public.internship_revisions(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+-- Step 4: Helpers
+CREATE OR REPLACE FUNCTION public.internship_editable_fields()
+RETURNS TEXT[] AS $$
+  SELECT ARRAY[
+    'title', 'description', 'skills', 'duration', 'location', 'stipend', 'requirements',
+    'type', 'screening_questions', 'application_deadline', 'openings'
+  ];
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Editable fields of a posting as JSON
+CREATE OR REPLACE FUNCTION public.internship_snapshot(p_internship public.internships)
+RETURNS JSONB AS $$
+  SELECT COALESCE(jsonb_object_agg(f, to_jsonb(p_internship)->f), '{}'::jsonb)
+  FROM unnest(public.internship_editable_fields()) AS f;
+$$ LANGUAGE sql STABLE;
+
+-- Number of words added or removed between two texts, ignoring case and punctuation
+CREATE OR REPLACE FUNCTION public.internship_word_changes(p_before TEXT, p_after TEXT)
+RETURNS INTEGER AS $$
+  WITH before_words AS (
+    SELECT w FROM regexp_split_to_table(
+      btrim(regexp_replace(lower(COALESCE(p_before, '')), '[^[:alnum:]]+', ' ', 'g')), ' '
+    ) AS w
+    WHERE w <> ''
+  ), after_words AS (
+    SELECT w FROM regexp_split_to_table(
+      btrim(regexp_replace(lower(COALESCE(p_after, '')), '[^[:alnum:]]+', ' ', 'g')), ' '
+    ) AS w
+    WHERE w <> ''
+  )
+  SELECT (
+    (SELECT COUNT(*) FROM (SELECT w FROM before_words EXCEPT ALL SELECT w FROM after_words) removed) +
+    (SELECT COUNT(*) FROM (SELECT w FROM after_words EXCEPT ALL SELECT w FROM before_words) added)
+  )::INTEGER;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Field-level diff between a posting and the values submitted for it
+CREATE OR REPLACE FUNCTION public.diff_internship(p_internship public.internships, p_values JSONB)
+RETURNS JSONB AS $$
+DECLARE
+  settings public.internship_review_settings;
+  merged public.internships;
+  result JSONB;
+BEGIN
+  SELECT * INTO settings FROM public.internship_review_settings WHERE id;
+  merged := jsonb_populate_record(p_internship, COALESCE(p_values, '{}'::jsonb));
+
+  SELECT COALESCE(jsonb_agg(
+    jsonb_build_object(
+      'field', f,
+      'before', to_jsonb(p_internship)->f,
+      'after', to_jsonb(merged)->f,
+      'cosmetic', (
+        f = ANY(COALESCE(settings.exempt_fields, '{}'))
+        OR (
+          f IN ('description', 'requirements')
+          AND f = ANY(COALESCE(settings.cosmetic_fields, '{}'))
+          AND public.internship_word_changes(to_jsonb(p_internship)->>f, to_jsonb(merged)->>f)
+            <= COALESCE(settings.cosmetic_max_word_changes, 0)
+        )
+      )
+    ) ORDER BY ord
+  ), '[]'::jsonb) INTO result
+  FROM unnest(public.internship_editable_fields()) WITH ORDINALITY AS t(f, ord)
+  WHERE (to_jsonb(p_internship)->f) IS DISTINCT FROM (to_jsonb(merged)->f);
+
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Write values to a posting and bump its revision number
+CREATE OR REPLACE FUNCTION public.apply_internship_values(p_internship_id UUID, p_values JSONB)
+RETURNS public.internships AS $$
+DECLARE
+  posting public.internships;
+  merged public.internships;
+BEGIN
+  SELECT * INTO posting FROM public.internships WHERE id = p_internship_id FOR UPDATE;
+  merged := jsonb_populate_record(posting, COALESCE(p_values, '{}'::jsonb));
+
+  UPDATE public.internships
+  SET title = merged.title,
+      description = merged.description,
+      skills = merged.skills,
+      duration = merged.duration,
+      location = merged.location,
+      stipend = merged.stipend,
+      requirements = merged.requirements,
+      type = merged.type,
+      screening_questions = merged.screening_questions,
+      application_deadline = merged.application_deadline,
+      openings = merged.openings,
+      revision = posting.revision + 1,
+      updated_at = NOW()
+  WHERE id = p_internship_id
+  RETURNING * INTO posting;
+
+  RETURN posting;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.apply_internship_values(UUID, JSONB) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION public.apply_internship_values(UUID, JSONB) FROM authenticated;
+
+-- Step 5: Software house submits an edit
+-- Returns { revision_id, status: 'applied' | 'pending', kind, changes }
+CREATE OR REPLACE FUNCTION public.submit_internship_revision(p_internship_id UUID, p_values JSONB)
+RETURNS JSONB AS $$
+DECLARE
+  posting public.internships;
+  settings public.internship_review_settings;
+  values_in JSONB;
+  diff JSONB;
+  proposed JSONB;
+  change_kind TEXT;
+  needs_review BOOLEAN;
+  revision_id UUID;
+  updated public.internships;
+BEGIN
+  SELECT * INTO posting FROM public.internships WHERE id = p_internship_id;
+
+  IF posting.id IS NULL THEN
+    RAISE EXCEPTION 'Internship not found';
+  END IF;
+  IF posting.software_house_id IS DISTINCT FROM auth.uid() THEN
+    RAISE EXCEPTION 'Unauthorized: Can only update own internships';
+  END IF;
+
+  SELECT COALESCE(jsonb_object_agg(key, value), '{}'::jsonb) INTO values_in
+  FROM jsonb_each(COALESCE(p_values, '{}'::jsonb))
+  WHERE key = ANY(public.internship_editable_fields());
+
+  diff := public.diff_internship(posting, values_in);
+  IF jsonb_array_length(diff) = 0 THEN
+    RAISE EXCEPTION 'No changes to save';
+  END IF;
+
+  SELECT jsonb_object_agg(c->>'field', c->'after') INTO proposed
+  FROM jsonb_array_elements(diff) AS c;
+
+  change_kind := CASE
+    WHEN EXISTS (SELECT 1 FROM jsonb_array_elements(diff) AS c WHERE NOT (c->>'cosmetic')::boolean)
+      THEN 'material'
+    ELSE 'cosmetic'
+  END;
+
+  SELECT * INTO settings FROM public.internship_review_settings WHERE id;
+  needs_review := posting.status::text = 'approved'
+    AND NOT (change_kind = 'cosmetic' AND COALESCE(settings.skip_cosmetic_review, TRUE));
+
+  IF needs_review THEN
+    -- A newer edit replaces the one waiting for review
+    UPDATE public.internship_revisions
+    SET status = 'superseded'
+    WHERE internship_id = p_internship_id AND status = 'pending';
+
+    INSERT INTO public.internship_revisions (
+      internship_id, base_revision, kind, status, changes, proposed, submitted_by
+    )
+    VALUES (p_internship_id, posting.revision, change_kind, 'pending', diff, proposed, auth.uid())
+    RETURNING id INTO revision_id;
+
+    UPDATE public.internships SET pending_revision_id = revision_id WHERE id = p_internship_id;
+
+    INSERT INTO public.notifications (user_id, type, title, message, related_id, related_type, metadata, is_read)
+    SELECT
+      p.id,
+      'internship_approval',
+      'Internship Changes Need Review',
+      '"' || COALESCE(posting.title, 'Untitled') || '" was edited after approval. Review ' ||
+        jsonb_array_length(diff) || CASE WHEN jsonb_array_length(diff) = 1 THEN ' change.' ELSE ' changes.' END,
+      p_internship_id,
+      'internship',
+      jsonb_build_object('status', 'pending', 'internship_title', posting.title, 'revision_id', revision_id),
+      FALSE
+    FROM public.profiles p
+    WHERE p.role = 'admin'
+      AND NOT EXISTS (
+        SELECT 1 FROM public.notifications n
+        WHERE n.user_id = p.id
+          AND n.type = 'internship_approval'
+          AND n.metadata->>'revision_id' = revision_id::text
+      );
+
+    RETURN jsonb_build_object('revision_id', revision_id, 'status', 'pending', 'kind', change_kind, 'changes', diff);
+  END IF;
+
+  updated := public.apply_internship_values(p_internship_id, proposed);
+
+  -- Editing a rejected posting resubmits it for review
+  IF posting.status::text = 'rejected' THEN
+    UPDATE public.internships
+    SET status = 'pending', feedback = NULL
+    WHERE id = p_internship_id
+    RETURNING * INTO updated;
+  END IF;
+
+  INSERT INTO public.internship_revisions (
+    internship_id, revision, base_revision, kind, status, changes, proposed, snapshot, submitted_by
+  )
+  VALUES (
+    p_internship_id, updated.revision, posting.revision, change_kind, 'applied', diff, proposed,
+    public.internship_snapshot(updated), auth.uid()
+  )
+  RETURNING id INTO revision_id;
+
+  RETURN jsonb_build_object('revision_id', revision_id, 'status', 'applied', 'kind', change_kind, 'changes', diff);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Step 6: Admin approves or rejects a pending revision
+CREATE OR REPLACE FUNCTION public.review_internship_revision(
+  p_revision_id UUID,
+  p_approve BOOLEAN,
+  p_feedback TEXT DEFAULT NULL
+)
+RETURNS public.internship_revisions AS $$
+DECLARE
+  rev public.internship_revisions;
+  posting public.internships;
+  updated public.internships;
+BEGIN
+  IF (SELECT role FROM public.profiles WHERE id = auth.uid()) IS DISTINCT FROM 'admin' THEN
+    RAISE EXCEPTION 'Unauthorized: Admin access required';
+  END IF;
+
+  SELECT * INTO rev FROM public.internship_revisions WHERE id = p_revision_id FOR UPDATE;
+  IF rev.id IS NULL THEN
+    RAISE EXCEPTION 'Revision not found';
+  END IF;
+  IF rev.status <> 'pending' THEN
+    RAISE EXCEPTION 'This revision was already %', rev.status;
+  END IF;
+  IF NOT p_approve AND NULLIF(btrim(COALESCE(p_feedback, '')), '') IS NULL THEN
+    RAISE EXCEPTION 'Feedback is required when rejecting changes';
+  END IF;
+
+  SELECT * INTO posting FROM public.internships WHERE id = rev.internship_id;
+
+  IF p_approve THEN
+    updated := public.apply_internship_values(rev.internship_id, rev.proposed);
+    UPDATE public.internship_revisions
+    SET status = 'approved',
+        revision = updated.revision,
+        snapshot = public.internship_snapshot(updated),
+        reviewed_by = auth.uid(),
+        reviewed_at = NOW(),
+        feedback = NULLIF(btrim(COALESCE(p_feedback, '')), '')
+    WHERE id = p_revision_id
+    RETURNING * INTO rev;
+  ELSE
+    UPDATE public.internship_revisions
+    SET status = 'rejected',
+        reviewed_by = auth.uid(),
+        reviewed_at = NOW(),
+        feedback = btrim(p_feedback)
+    WHERE id = p_revision_id
+    RETURNING * INTO rev;
+  END IF;
+
+  UPDATE public.internships SET pending_revision_id = NULL
+  WHERE id = rev.internship_id AND pending_revision_id = p_revision_id;
+
+  INSERT INTO public.notifications (user_id, type, title, message, related_id, related_type, metadata, is_read)
+  VALUES (
+    posting.software_house_id,
+    'internship_approval',
+    CASE WHEN p_approve THEN 'Internship Changes Approved' ELSE 'Internship Changes Rejected' END,
+    CASE WHEN p_approve
+      THEN 'Your changes to "' || COALESCE(posting.title, 'Untitled') || '" have been approved and are now live.'
+      ELSE 'Your changes to "' || COALESCE(posting.title, 'Untitled') || '" were not approved. ' || rev.feedback
+    END,
+    rev.internship_id,
+    'internship',
+    jsonb_build_object(
+      'status', CASE WHEN p_approve THEN 'approved' ELSE 'rejected' END,
+      'internship_title', posting.title,
+      'revision_id', rev.id,
+      'feedback', rev.feedback
+    ),
+    FALSE
+  );
+
+  PERFORM public.log_admin_action(
+    auth.uid(),
+    CASE WHEN p_approve THEN 'approve_internship_revision' ELSE 'reject_internship_revision' END,
+    'internship',
+    rev.internship_id,
+    rev.feedback,
+    jsonb_build_object('revision_id', rev.id, 'kind', rev.kind, 'fields',
+      (SELECT jsonb_agg(c->>'field') FROM jsonb_array_elements(rev.changes) AS c))
+  );
+
+  RETURN rev;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.internship_word_changes(TEXT, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.submit_internship_revision(UUID, JSONB) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.review_internship_revision(UUID, BOOLEAN, TEXT) TO authenticated;
+
+-- Step 7: Record the first revision of new postings
+CREATE OR REPLACE FUNCTION public.record_initial_internship_revision()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO public.internship_revisions (
+    internship_id, revision, base_revision, kind, status, snapshot, proposed, submitted_by
+  )
+  VALUES (
+    NEW.id, NEW.revision, NEW.revision, 'initial', 'applied',
+    public.internship_snapshot(NEW), public.internship_snapshot(NEW), NEW.software_house_id
+  )
+  ON CONFLICT (internship_id, revision) DO NOTHING;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_record_initial_internship_revision ON public.internships;
+CREATE TRIGGER trigger_record_initial_internship_revision
+  AFTER INSERT ON public.internships
+  FOR EACH ROW
+  EXECUTE FUNCTION public.record_initial_internship_revision();
+
+-- Backfill existing postings
+INSERT INTO public.internship_revisions (
+  internship_id, revision, base_revision, kind, status, snapshot, proposed, submitted_by, created_at
+)
+SELECT i.id, i.revision, i.revision, 'initial', 'applied',
+  public.internship_snapshot(i), public.internship_snapshot(i), i.software_house_id, i.created_at
+FROM public.internships i
+WHERE NOT EXISTS (
+  SELECT 1 FROM public.internship_revisions r WHERE r.internship_id = i.id
+);
+
+-- Step 8: RLS
+ALTER TABLE public.internship_revisions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.internship_review_settings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Software houses can view own internship revisions" ON public.internship_revisions;
+CREATE POLICY "Software houses can view own internship revisions"
+  ON public.internship_revisions FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.internships i
+      WHERE i.id = internship_revisions.internship_id
+        AND i.software_house_id = auth.uid()
+    )
+  );
+
+DROP POLICY IF EXISTS "Admins can view internship revisions" ON public.internship_revisions;
+CREATE POLICY "Admins can view internship revisions"
+  ON public.internship_revisions FOR SELECT
+  USING ((SELECT role FROM public.profiles WHERE id = auth.uid()) = 'admin');
+
+DROP POLICY IF EXISTS "Authenticated users can view review settings" ON public.internship_review_settings;
+CREATE POLICY "Authenticated users can view review settings"
+  ON public.internship_review_settings FOR SELECT
+  USING (auth.uid() IS NOT NULL);
+
+DROP POLICY IF EXISTS "Admins can update review settings" ON public.internship_review_settings;
+CREATE POLICY "Admins can update review settings"
+  ON public.internship_review_settings FOR UPDATE
+  USING ((SELECT role FROM public.profiles WHERE id = auth.uid()) = 'admin')
+  WITH CHECK ((SELECT role FROM public.profiles WHERE id = auth.uid()) = 'admin');
+
+GRANT SELECT ON public.internship_revisions TO authenticated;
+GRANT SELECT, UPDATE ON public.internship_review_settings TO authenticated;
+
+-- Verify
+SELECT r.kind, r.status, COUNT(*) AS revisions
+FROM public.internship_revisions r
+GROUP BY r.kind, r.status
+ORDER BY r.kind, r.status;
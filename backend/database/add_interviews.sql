@@ -0,0 +1,243 @@
+-- ============================================
+-- Interview Scheduling for Applications
+-- ============================================
+-- Software houses propose one or more time slots for an application,
+-- the applicant books one, and either side can reschedule or cancel.
+--
+-- All writes go through the backend (/api/interviews/*) using the service
+-- role, so only SELECT policies are defined for end users.
+-- Notifications are created by triggers below (type 'interview').
+--
+-- Run after add_application_pipeline_stages.sql, then re-run
+-- create_notifications_table.sql so unread counts include 'interview'.
+
+-- Step 1: Interviews
+CREATE TABLE IF NOT EXISTS public.interviews (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  application_id UUID NOT NULL REFERENCES public.applications(id) ON DELETE CASCADE,
+  software_house_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  student_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'proposed'
+    CHECK (status IN ('proposed', 'scheduled', 'reschedule_requested', 'cancelled', 'completed')),
+  duration_minutes INTEGER NOT NULL DEFAULT 30 CHECK (duration_minutes > 0 AND duration_minutes <= 480),
+  location TEXT,
+  meeting_link TEXT,
+  notes TEXT,
+  selected_slot_id UUID,
+  scheduled_start TIMESTAMPTZ,
+  scheduled_end TIMESTAMPTZ,
+  -- Bumped on every reschedule so notifications are not de-duplicated away
+  revision INTEGER NOT NULL DEFAULT 1,
+  reschedule_reason TEXT,
+  reschedule_requested_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  cancelled_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  cancel_reason TEXT,
+  created_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_interviews_application_id ON public.interviews(application_id);
+CREATE INDEX IF NOT EXISTS idx_interviews_student_id ON public.interviews(student_id);
+CREATE INDEX IF NOT EXISTS idx_interviews_software_house_id ON public.interviews(software_house_id);
+
+-- Step 2: Proposed slots (one row per option offered to the applicant)
+CREATE TABLE IF NOT EXISTS public.interview_slots (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  interview_id UUID NOT NULL REFERENCES public.interviews(id) ON DELETE CASCADE,
+  start_at TIMESTAMPTZ NOT NULL,
+  end_at TIMESTAMPTZ NOT NULL,
+  revision INTEGER NOT NULL DEFAULT 1,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (end_at > start_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_interview_slots_interview_id ON public.interview_slots(interview_id, revision);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'interviews_selected_slot_id_fkey'
+  ) THEN
+    ALTER TABLE public.interviews
+      ADD CONSTRAINT interviews_selected_slot_id_fkey
+      FOREIGN KEY (selected_slot_id) REFERENCES public.interview_slots(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+-- Step 3: RLS (read-only for participants; backend writes with service role)
+ALTER TABLE public.interviews ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.interview_slots ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Participants can view interviews" ON public.interviews;
+DROP POLICY IF EXISTS "Participants can view interview slots" ON public.interview_slots;
+
+CREATE POLICY "Participants can view interviews"
+ON public.interviews FOR SELECT
+USING (
+  student_id = auth.uid()
+  OR software_house_id = auth.uid()
+  OR EXISTS (
+    SELECT 1 FROM public.students s
+    WHERE s.user_id = interviews.student_id AND s.university_id = auth.uid()
+  )
+  OR (SELECT role FROM public.profiles WHERE id = auth.uid()) = 'admin'
+);
+
+CREATE POLICY "Participants can view interview slots"
+ON public.interview_slots FOR SELECT
+USING (
+  EXISTS (
+    SELECT 1 FROM public.interviews i
+    WHERE i.id = interview_slots.interview_id
+      AND (i.student_id = auth.uid() OR i.software_house_id = auth.uid())
+  )
+  OR (SELECT role FROM public.profiles WHERE id = auth.uid()) = 'admin'
+);
+
+GRANT SELECT ON public.interviews TO authenticated;
+GRANT SELECT ON public.interview_slots TO authenticated;
+
+-- Step 4: Notifications
+-- proposed (insert or new revision)  -> applicant
+-- scheduled                          -> software house (applicant booked) + applicant confirmation
+-- reschedule_requested               -> the other party
+-- cancelled                          -> the other party
+CREATE OR REPLACE FUNCTION notify_interview_change()
+RETURNS TRIGGER AS $$
+DECLARE
+  internship_title TEXT;
+  student_name TEXT;
+  company_name TEXT;
+  event_name TEXT;
+  recipient UUID;
+  notification_title VARCHAR(255);
+  notification_message TEXT;
+  when_text TEXT;
+BEGIN
+  IF TG_OP = 'UPDATE'
+     AND OLD.status IS NOT DISTINCT FROM NEW.status
+     AND OLD.revision IS NOT DISTINCT FROM NEW.revision THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT i.title INTO internship_title
+  FROM applications a
+  JOIN internships i ON i.id = a.internship_id
+  WHERE a.id = NEW.application_id;
+
+  SELECT COALESCE(p.full_name, p.email, 'The applicant') INTO student_name
+  FROM profiles p WHERE p.id = NEW.student_id;
+
+  SELECT COALESCE(p.organization_name, p.full_name, 'The software house') INTO company_name
+  FROM profiles p WHERE p.id = NEW.software_house_id;
+
+  when_text := to_char(NEW.scheduled_start AT TIME ZONE 'UTC', 'Mon DD, YYYY HH24:MI') || ' UTC';
+
+  IF NEW.status = 'proposed' THEN
+    event_name := CASE WHEN NEW.revision > 1 THEN 'rescheduled' ELSE 'proposed' END;
+    recipient := NEW.student_id;
+    notification_title := CASE WHEN NEW.revision > 1 THEN 'New Interview Times Proposed' ELSE 'Interview Invitation' END;
+    notification_message := company_name || ' has proposed interview times for "' ||
+      COALESCE(internship_title, 'the internship') || '". Open your applications to pick a slot.';
+  ELSIF NEW.status = 'scheduled' THEN
+    event_name := 'scheduled';
+    recipient := NEW.software_house_id;
+    notification_title := 'Interview Booked';
+    notification_message := student_name || ' booked an interview for "' ||
+      COALESCE(internship_title, 'the internship') || '" on ' || when_text || '.';
+  ELSIF NEW.status = 'reschedule_requested' THEN
+    event_name := 'reschedule_requested';
+    recipient := CASE WHEN NEW.reschedule_requested_by = NEW.student_id THEN NEW.software_house_id ELSE NEW.student_id END;
+    notification_title := 'Interview Reschedule Requested';
+    notification_message := CASE WHEN recipient = NEW.software_house_id THEN student_name ELSE company_name END ||
+      ' asked to reschedule the interview for "' || COALESCE(internship_title, 'the internship') || '".' ||
+      COALESCE(' Reason: ' || NEW.reschedule_reason, '');
+  ELSIF NEW.status = 'cancelled' THEN
+    event_name := 'cancelled';
+    recipient := CASE WHEN NEW.cancelled_by = NEW.student_id THEN NEW.software_house_id ELSE NEW.student_id END;
+    notification_title := 'Interview Cancelled';
+    notification_message := 'The interview for "' || COALESCE(internship_title, 'the internship') ||
+      '" has been cancelled.' || COALESCE(' Reason: ' || NEW.cancel_reason, '');
+  ELSE
+    RETURN NEW;
+  END IF;
+
+  IF recipient IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM notifications
+    WHERE user_id = recipient
+      AND type = 'interview'
+      AND related_id = NEW.id
+      AND related_type = 'interview'
+      AND metadata->>'event' = event_name
+      AND metadata->>'revision' = NEW.revision::text
+  ) THEN
+    INSERT INTO notifications (user_id, type, title, message, related_id, related_type, metadata, is_read)
+    VALUES (
+      recipient,
+      'interview',
+      notification_title,
+      notification_message,
+      NEW.id,
+      'interview',
+      jsonb_build_object(
+        'event', event_name,
+        'status', NEW.status,
+        'revision', NEW.revision,
+        'application_id', NEW.application_id,
+        'internship_title', internship_title,
+        'scheduled_start', NEW.scheduled_start
+      ),
+      FALSE
+    );
+  END IF;
+
+  -- Booking confirmation for the applicant as well
+  IF NEW.status = 'scheduled' AND NOT EXISTS (
+    SELECT 1 FROM notifications
+    WHERE user_id = NEW.student_id
+      AND type = 'interview'
+      AND related_id = NEW.id
+      AND metadata->>'event' = 'scheduled'
+      AND metadata->>'revision' = NEW.revision::text
+  ) THEN
+    INSERT INTO notifications (user_id, type, title, message, related_id, related_type, metadata, is_read)
+    VALUES (
+      NEW.student_id,
+      'interview',
+      'Interview Confirmed',
+      'Your interview for "' || COALESCE(internship_title, 'the internship') || '" is confirmed for ' || when_text || '.',
+      NEW.id,
+      'interview',
+      jsonb_build_object(
+        'event', 'scheduled',
+        'status', NEW.status,
+        'revision', NEW.revision,
+        'application_id', NEW.application_id,
+        'internship_title', internship_title,
+        'scheduled_start', NEW.scheduled_start
+      ),
+      FALSE
+    );
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS trigger_notify_interview_insert ON public.interviews;
+CREATE TRIGGER trigger_notify_interview_insert
+  AFTER INSERT ON public.interviews
+  FOR EACH ROW
+  EXECUTE FUNCTION notify_interview_change();
+
+DROP TRIGGER IF EXISTS trigger_notify_interview_update ON public.interviews;
+CREATE TRIGGER trigger_notify_interview_update
+  AFTER UPDATE OF status, revision ON public.interviews
+  FOR EACH ROW
+  EXECUTE FUNCTION notify_interview_change();
+
+-- Verify
+SELECT column_name, data_type FROM information_schema.columns
+WHERE table_schema = 'public' AND table_name = 'interviews'
+ORDER BY ordinal_position;
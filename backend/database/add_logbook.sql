@@ -0,0 +1,299 @@
+-- ============================================
+-- Weekly Internship Logbook
+-- ============================================
+-- Interns keep a weekly log of each placement: tasks, hours and learnings,
+-- optionally with attachments. The software house supervisor approves an
+-- entry or asks for changes; the student's university can flag entries it
+-- has concerns about.
+--
+-- Entries are written through the backend with the service role:
+--   POST /api/placements/:id/logbook  - student submits or resubmits a week
+--   PUT  /api/logbook/:id/review      - software house approves / asks for changes
+--   PUT  /api/logbook/:id/flag        - university flags / clears a flag
+-- because attachments are uploaded to the private 'logbook-attachments'
+-- bucket there; end users only get SELECT.
+--
+-- A week is due by the Tuesday after it ends (two days' grace, see
+-- LOGBOOK_GRACE_DAYS in backend/utils/logbook.js). send_logbook_reminders()
+-- is run by the backend's logbook-reminders job and reminds students of
+-- ongoing placements about overdue weeks at most once a week.
+--
+-- Requires add_placements.sql and add_notification_type_registry.sql.
+
+-- Step 1: Entries (one per placement and week)
+CREATE TABLE IF NOT EXISTS public.logbook_entries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  placement_id UUID NOT NULL REFERENCES public.placements(id) ON DELETE CASCADE,
+  student_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  software_house_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  university_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  -- Monday of the week the entry covers
+  week_start DATE NOT NULL CHECK (EXTRACT(ISODOW FROM week_start) = 1),
+  tasks TEXT NOT NULL,
+  hours NUMERIC(4, 1) NOT NULL CHECK (hours >= 0 AND hours <= 168),
+  learnings TEXT NOT NULL DEFAULT '',
+  -- [{ path, name, size, mime_type }] in the logbook-attachments bucket
+  attachments JSONB NOT NULL DEFAULT '[]'::jsonb,
+  status TEXT NOT NULL DEFAULT 'submitted'
+    CHECK (status IN ('submitted', 'approved', 'changes_requested')),
+  supervisor_comment TEXT,
+  reviewed_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMPTZ,
+  flagged BOOLEAN NOT NULL DEFAULT FALSE,
+  flag_note TEXT,
+  flagged_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  flagged_at TIMESTAMPTZ,
+  submitted_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (placement_id, week_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_logbook_entries_student_id ON public.logbook_entries(student_id);
+CREATE INDEX IF NOT EXISTS idx_logbook_entries_software_house_id ON public.logbook_entries(software_house_id, status);
+CREATE INDEX IF NOT EXISTS idx_logbook_entries_university_id ON public.logbook_entries(university_id);
+
+-- Step 2: RLS (the placement's participants and admins can read; backend
+-- writes with service role)
+ALTER TABLE public.logbook_entries ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Participants can view logbook entries" ON public.logbook_entries;
+CREATE POLICY "Participants can view logbook entries"
+ON public.logbook_entries FOR SELECT
+USING (
+  student_id = auth.uid()
+  OR software_house_id = auth.uid()
+  OR university_id = auth.uid()
+  OR (SELECT role FROM public.profiles WHERE id = auth.uid()) = 'admin'
+);
+
+GRANT SELECT ON public.logbook_entries TO authenticated;
+
+-- Step 3: Weeks of a placement whose log is overdue if missing: from the
+-- week it started until the week it ended (or now), once the two days'
+-- grace after the week have passed
+CREATE OR REPLACE FUNCTION public.logbook_due_weeks(p_start DATE, p_end DATE)
+RETURNS SETOF DATE AS $$
+  SELECT gs::date
+  FROM generate_series(
+    date_trunc('week', p_start)::date,
+    LEAST(COALESCE(p_end, CURRENT_DATE), CURRENT_DATE - 9),
+    interval '7 days'
+  ) AS gs
+  WHERE p_start IS NOT NULL;
+$$ LANGUAGE sql STABLE;
+
+-- Step 4: Logbook compliance per placement of the given students (only
+-- placements the caller can see)
+CREATE OR REPLACE FUNCTION public.get_logbook_compliance(student_ids UUID[])
+RETURNS TABLE (
+  student_id UUID,
+  placement_id UUID,
+  placement_status TEXT,
+  due_weeks INTEGER,
+  submitted_weeks INTEGER,
+  overdue_weeks INTEGER,
+  approved_entries INTEGER,
+  flagged_entries INTEGER,
+  last_submitted_at TIMESTAMPTZ
+) AS $$
+  SELECT
+    p.student_id,
+    p.id,
+    p.status,
+    (SELECT COUNT(*)::INTEGER FROM logbook_due_weeks(p.start_date, p.end_date)),
+    (SELECT COUNT(*)::INTEGER FROM logbook_due_weeks(p.start_date, p.end_date) w
+      WHERE EXISTS (SELECT 1 FROM logbook_entries e WHERE e.placement_id = p.id AND e.week_start = w)),
+    (SELECT COUNT(*)::INTEGER FROM logbook_due_weeks(p.start_date, p.end_date) w
+      WHERE NOT EXISTS (SELECT 1 FROM logbook_entries e WHERE e.placement_id = p.id AND e.week_start = w)),
+    (SELECT COUNT(*)::INTEGER FROM logbook_entries e WHERE e.placement_id = p.id AND e.status = 'approved'),
+    (SELECT COUNT(*)::INTEGER FROM logbook_entries e WHERE e.placement_id = p.id AND e.flagged),
+    (SELECT MAX(e.submitted_at) FROM logbook_entries e WHERE e.placement_id = p.id)
+  FROM placements p
+  WHERE p.student_id = ANY(student_ids)
+    AND p.status IN ('ongoing', 'completed', 'incomplete')
+    AND (
+      p.student_id = auth.uid()
+      OR p.software_house_id = auth.uid()
+      OR p.university_id = auth.uid()
+      OR (SELECT role FROM profiles WHERE id = auth.uid()) = 'admin'
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.get_logbook_compliance(UUID[]) TO authenticated;
+
+-- Step 5: Notification types
+INSERT INTO public.notification_types
+  (type, label, description, icon, severity, status_severity, default_email, email_templates, sort_order)
+VALUES
+  ('logbook', 'Logbook',
+   'An intern submits a weekly log, or a log is reviewed or flagged',
+   'book', 'info', '{"approved": "success", "changes_requested": "warning", "flagged": "critical"}',
+   'daily', '{}', 60),
+  ('logbook_reminder', 'Logbook reminders',
+   'A weekly log for your internship is overdue',
+   'book', 'warning', '{}',
+   'daily', '{}', 61)
+ON CONFLICT (type) DO UPDATE SET
+  label = EXCLUDED.label,
+  description = EXCLUDED.description,
+  icon = EXCLUDED.icon,
+  severity = EXCLUDED.severity,
+  status_severity = EXCLUDED.status_severity,
+  default_email = EXCLUDED.default_email,
+  email_templates = EXCLUDED.email_templates,
+  sort_order = EXCLUDED.sort_order,
+  updated_at = now();
+
+-- Software houses hear about submissions; interns about reviews and flags
+INSERT INTO public.notification_type_audiences (type, role, statuses, default_email)
+VALUES
+  ('logbook', 'student', ARRAY['approved', 'changes_requested', 'flagged'], NULL),
+  ('logbook', 'guest', ARRAY['approved', 'changes_requested', 'flagged'], NULL),
+  ('logbook', 'software_house', ARRAY['submitted'], 'daily'),
+  ('logbook_reminder', 'student', NULL, NULL),
+  ('logbook_reminder', 'guest', NULL, NULL)
+ON CONFLICT (type, role) DO UPDATE SET
+  statuses = EXCLUDED.statuses,
+  default_email = EXCLUDED.default_email;
+
+-- Step 6: Notify on submission, review and flag
+CREATE OR REPLACE FUNCTION public.notify_logbook_entry()
+RETURNS TRIGGER AS $$
+DECLARE
+  internship_title TEXT;
+  student_name TEXT;
+  week_label TEXT := to_char(NEW.week_start, 'DD Mon YYYY');
+  log_event TEXT;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    log_event := 'submitted';
+  ELSIF NEW.submitted_at IS DISTINCT FROM OLD.submitted_at AND NEW.status = 'submitted' THEN
+    log_event := 'submitted';
+  ELSIF NEW.status IS DISTINCT FROM OLD.status AND NEW.status IN ('approved', 'changes_requested') THEN
+    log_event := NEW.status;
+  ELSIF NEW.flagged AND NOT OLD.flagged THEN
+    log_event := 'flagged';
+  ELSE
+    RETURN NEW;
+  END IF;
+
+  SELECT i.title INTO internship_title
+  FROM placements p JOIN internships i ON i.id = p.internship_id
+  WHERE p.id = NEW.placement_id;
+
+  IF log_event = 'submitted' THEN
+    SELECT COALESCE(full_name, email) INTO student_name FROM profiles WHERE id = NEW.student_id;
+    INSERT INTO notifications (user_id, type, title, message, related_id, related_type, metadata, is_read)
+    VALUES (
+      NEW.software_house_id,
+      'logbook',
+      'Weekly Log Submitted',
+      COALESCE(student_name, 'Your intern') || ' submitted the log for the week of ' || week_label ||
+        ' ("' || COALESCE(internship_title, 'the internship') || '").',
+      NEW.placement_id,
+      'placement',
+      jsonb_build_object('status', log_event, 'entry_id', NEW.id, 'week_start', NEW.week_start,
+        'student_name', student_name, 'internship_title', internship_title),
+      FALSE
+    );
+  ELSE
+    INSERT INTO notifications (user_id, type, title, message, related_id, related_type, metadata, is_read)
+    VALUES (
+      NEW.student_id,
+      'logbook',
+      CASE log_event
+        WHEN 'approved' THEN 'Weekly Log Approved'
+        WHEN 'changes_requested' THEN 'Changes Requested on Weekly Log'
+        ELSE 'Weekly Log Flagged'
+      END,
+      'Your log for the week of ' || week_label || ' ("' || COALESCE(internship_title, 'the internship') || '") ' ||
+        CASE log_event
+          WHEN 'approved' THEN 'was approved by your supervisor.'
+          WHEN 'changes_requested' THEN 'needs changes: ' || COALESCE(NEW.supervisor_comment, '')
+          ELSE 'was flagged by your university: ' || COALESCE(NEW.flag_note, '')
+        END,
+      NEW.placement_id,
+      'placement',
+      jsonb_build_object('status', log_event, 'entry_id', NEW.id, 'week_start', NEW.week_start,
+        'internship_title', internship_title),
+      FALSE
+    );
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_notify_logbook_entry ON public.logbook_entries;
+CREATE TRIGGER trigger_notify_logbook_entry
+  AFTER INSERT OR UPDATE ON public.logbook_entries
+  FOR EACH ROW
+  EXECUTE FUNCTION public.notify_logbook_entry();
+
+-- Step 7: Overdue reminders (run by the backend job; returns reminders sent)
+CREATE OR REPLACE FUNCTION public.send_logbook_reminders()
+RETURNS INTEGER AS $$
+DECLARE
+  sent INTEGER;
+BEGIN
+  WITH overdue AS (
+    SELECT p.id AS placement_id, p.student_id, i.title AS internship_title,
+      array_agg(w ORDER BY w) AS weeks
+    FROM placements p
+    JOIN internships i ON i.id = p.internship_id
+    CROSS JOIN LATERAL logbook_due_weeks(p.start_date, p.end_date) AS w
+    WHERE p.status = 'ongoing'
+      AND NOT EXISTS (SELECT 1 FROM logbook_entries e WHERE e.placement_id = p.id AND e.week_start = w)
+    GROUP BY p.id, p.student_id, i.title
+  ),
+  due AS (
+    SELECT o.* FROM overdue o
+    WHERE NOT EXISTS (
+      SELECT 1 FROM notifications n
+      WHERE n.user_id = o.student_id
+        AND n.type = 'logbook_reminder'
+        AND n.related_id = o.placement_id
+        AND n.created_at > now() - interval '7 days'
+    )
+  ),
+  inserted AS (
+    INSERT INTO notifications (user_id, type, title, message, related_id, related_type, metadata, is_read)
+    SELECT
+      d.student_id,
+      'logbook_reminder',
+      'Weekly Log Overdue',
+      CASE WHEN cardinality(d.weeks) = 1
+        THEN 'Your log for the week of ' || to_char(d.weeks[1], 'DD Mon YYYY')
+        ELSE cardinality(d.weeks) || ' weekly logs'
+      END || ' for "' || COALESCE(d.internship_title, 'your internship') || '" ' ||
+        CASE WHEN cardinality(d.weeks) = 1 THEN 'is' ELSE 'are' END || ' overdue.',
+      d.placement_id,
+      'placement',
+      jsonb_build_object('placement_id', d.placement_id, 'overdue_weeks', to_jsonb(d.weeks),
+        'internship_title', d.internship_title),
+      FALSE
+    FROM due d
+    RETURNING 1
+  )
+  SELECT COUNT(*)::INTEGER INTO sent FROM inserted;
+
+  RETURN sent;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION public.send_logbook_reminders() FROM PUBLIC;
+
+-- Step 8: Private bucket for attachments (only the backend reads and writes;
+-- participants download through short-lived signed URLs)
+INSERT INTO storage.buckets (id, name, public)
+SELECT 'logbook-attachments', 'logbook-attachments', FALSE
+WHERE NOT EXISTS (
+  SELECT 1 FROM storage.buckets WHERE id = 'logbook-attachments'
+);
+
+-- Verify
+SELECT
+  (SELECT COUNT(*) FROM public.logbook_entries) AS entries,
+  (SELECT COUNT(*) FROM public.notification_type_audiences WHERE type IN ('logbook', 'logbook_reminder')) AS logbook_audiences,
+  (SELECT public FROM storage.buckets WHERE id = 'logbook-attachments') AS bucket_public;
@@ -0,0 +1,236 @@
+-- ============================================
+-- Notification Preferences
+-- ============================================
+-- Each user chooses, per notification type, whether it shows in the app and
+-- how it is emailed:
+--   off       - no email
+--   immediate - one email per notification (through email_outbox)
+--   daily     - collected into a daily digest
+--   weekly    - collected into a weekly digest (Mondays)
+-- The digest job (backend/jobs/notificationDigest.js) emails the unread
+-- notifications that have not been in a digest yet.
+--
+-- Without a saved preference a notification shows in the app. Only the types
+-- that were already emailed before preferences existed (application updates,
+-- new applications and internship approvals/rejections) are emailed
+-- immediately by default, except to admins; every other type defaults to no
+-- email. BEHAVIOUR CHANGE: this keeps existing users from suddenly getting an
+-- email per notification; they opt in to more under Settings.
+-- A user's own account approval never queues an email here;
+-- POST /api/admin/send-approval-email sends it.
+-- Defaults are mirrored in backend/utils/notificationPreferences.js.
+--
+-- Requires add_email_outbox.sql.
+
+-- Step 1: Preferences
+CREATE TABLE IF NOT EXISTS public.notification_preferences (
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  type VARCHAR(50) NOT NULL,
+  in_app BOOLEAN NOT NULL DEFAULT true,
+  email TEXT NOT NULL DEFAULT 'immediate',
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (user_id, type)
+);
+
+ALTER TABLE public.notification_preferences
+DROP CONSTRAINT IF EXISTS notification_preferences_email_check;
+
+ALTER TABLE public.notification_preferences
+ADD CONSTRAINT notification_preferences_email_check
+CHECK (email IN ('off', 'immediate', 'daily', 'weekly'));
+
+CREATE INDEX IF NOT EXISTS idx_notification_preferences_digest
+ON public.notification_preferences(email)
+WHERE email IN ('daily', 'weekly');
+
+ALTER TABLE public.notification_preferences ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS notification_preferences_own ON public.notification_preferences;
+CREATE POLICY notification_preferences_own ON public.notification_preferences
+  FOR ALL TO authenticated
+  USING (user_id = auth.uid())
+  WITH CHECK (user_id = auth.uid());
+
+-- Step 2: Notifications kept only for a digest are hidden in the app
+ALTER TABLE public.notifications
+ADD COLUMN IF NOT EXISTS in_app BOOLEAN NOT NULL DEFAULT true;
+
+ALTER TABLE public.notifications
+ADD COLUMN IF NOT EXISTS digested_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_notifications_digest
+ON public.notifications(user_id, created_at)
+WHERE is_read = FALSE AND digested_at IS NULL;
+
+DROP POLICY IF EXISTS "Users can view their own notifications" ON notifications;
+CREATE POLICY "Users can view their own notifications"
+  ON notifications FOR SELECT
+  USING (auth.uid() = user_id AND in_app);
+
+-- Last digest per user and frequency (backend only)
+CREATE TABLE IF NOT EXISTS public.notification_digest_runs (
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  frequency TEXT NOT NULL CHECK (frequency IN ('daily', 'weekly')),
+  last_sent_at TIMESTAMPTZ NOT NULL,
+  PRIMARY KEY (user_id, frequency)
+);
+
+ALTER TABLE public.notification_digest_runs ENABLE ROW LEVEL SECURITY;
+
+-- Step 3: Default email channel
+CREATE OR REPLACE FUNCTION notification_default_email(notification_type TEXT, user_role TEXT)
+RETURNS TEXT AS $$
+  SELECT CASE
+    WHEN user_role = 'admin' THEN 'off'
+    WHEN notification_type IN ('application_status', 'new_application', 'internship_approval') THEN 'immediate'
+    ELSE 'off'
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Step 4: Apply preferences when a notification is created
+CREATE OR REPLACE FUNCTION apply_notification_preferences()
+RETURNS TRIGGER AS $$
+DECLARE
+  pref RECORD;
+BEGIN
+  SELECT np.in_app, np.email INTO pref
+  FROM notification_preferences np
+  WHERE np.user_id = NEW.user_id AND np.type = NEW.type;
+
+  IF NOT FOUND THEN
+    RETURN NEW;
+  END IF;
+
+  -- Neither shown nor emailed: not stored at all
+  IF NOT pref.in_app AND pref.email = 'off' THEN
+    RETURN NULL;
+  END IF;
+
+  NEW.in_app := pref.in_app;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS trigger_apply_notification_preferences ON notifications;
+CREATE TRIGGER trigger_apply_notification_preferences
+  BEFORE INSERT ON notifications
+  FOR EACH ROW
+  EXECUTE FUNCTION apply_notification_preferences();
+
+-- Step 5: Only 'immediate' queues an email straight away
+-- (replaces the function from add_email_outbox.sql)
+CREATE OR REPLACE FUNCTION queue_notification_email()
+RETURNS TRIGGER AS $$
+DECLARE
+  recipient RECORD;
+  email_channel TEXT;
+  email_template TEXT;
+BEGIN
+  SELECT p.email, p.role, COALESCE(p.full_name, p.organization_name) AS name
+  INTO recipient
+  FROM profiles p
+  WHERE p.id = NEW.user_id;
+
+  IF recipient.email IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  -- The account's own approval email is queued by the admin action
+  IF NEW.type = 'user_approval' AND NEW.related_id = NEW.user_id THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT np.email INTO email_channel
+  FROM notification_preferences np
+  WHERE np.user_id = NEW.user_id AND np.type = NEW.type;
+
+  email_channel := COALESCE(email_channel, notification_default_email(NEW.type, recipient.role));
+  IF email_channel <> 'immediate' THEN
+    RETURN NEW;
+  END IF;
+
+  email_template := CASE
+    WHEN NEW.type = 'internship_approval' AND NEW.metadata->>'status' = 'approved' THEN 'internship_approved'
+    WHEN NEW.type = 'internship_approval' AND NEW.metadata->>'status' = 'rejected' THEN 'internship_rejected'
+    WHEN NEW.type = 'application_status' THEN 'application_status_changed'
+    WHEN NEW.type = 'new_application' THEN 'application_received'
+    ELSE 'notification'
+  END;
+
+  INSERT INTO email_outbox (template, to_email, to_user_id, notification_id, payload)
+  VALUES (
+    email_template,
+    recipient.email,
+    NEW.user_id,
+    NEW.id,
+    COALESCE(NEW.metadata, '{}'::jsonb) || jsonb_build_object(
+      'name', recipient.name,
+      'recipient_role', recipient.role,
+      'type', NEW.type,
+      'title', NEW.title,
+      'message', NEW.message,
+      'related_id', NEW.related_id
+    )
+  )
+  ON CONFLICT (notification_id) DO NOTHING;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Step 6: Unread counts leave out notifications hidden in the app
+CREATE OR REPLACE FUNCTION get_unread_notification_count(user_uuid UUID)
+RETURNS INTEGER AS $$
+  SELECT COUNT(*)::INTEGER
+  FROM notifications
+  WHERE user_id = user_uuid AND is_read = FALSE AND in_app;
+$$ LANGUAGE sql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION get_unread_notification_count_by_role(user_uuid UUID, user_role TEXT)
+RETURNS INTEGER AS $$
+DECLARE
+  allowed_types TEXT[];
+BEGIN
+  CASE user_role
+    WHEN 'admin' THEN
+      allowed_types := ARRAY['user_approval', 'internship_approval'];
+    WHEN 'software_house' THEN
+      allowed_types := ARRAY['internship_approval', 'internship_closed', 'new_application', 'application_status', 'interview'];
+    WHEN 'student', 'guest' THEN
+      allowed_types := ARRAY['application_status', 'interview'];
+    ELSE
+      allowed_types := ARRAY[]::TEXT[];
+  END CASE;
+
+  RETURN (
+    SELECT COUNT(*)::INTEGER
+    FROM notifications
+    WHERE user_id = user_uuid
+      AND is_read = FALSE
+      AND in_app
+      AND (
+        (user_role = 'admin' AND (
+          type = 'user_approval'
+          OR (type = 'internship_approval' AND metadata->>'status' = 'pending')
+        ))
+        OR
+        (user_role = 'software_house' AND (
+          type = 'new_application'
+          OR type = 'internship_closed'
+          OR type = 'application_status'
+          OR type = 'interview'
+          OR (type = 'internship_approval' AND (metadata->>'status' = 'approved' OR metadata->>'status' = 'rejected'))
+        ))
+        OR
+        (user_role NOT IN ('admin', 'software_house') AND (
+          array_length(allowed_types, 1) IS NULL OR type = ANY(allowed_types)
+        ))
+      )
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Verify
+SELECT
+  (SELECT COUNT(*) FROM public.notification_preferences) AS saved_preferences,
+  (SELECT COUNT(*) FROM public.notifications WHERE NOT in_app) AS hidden_notifications;
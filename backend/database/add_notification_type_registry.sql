@@ -0,0 +1,325 @@
+-- ============================================
+-- Notification Type Registry
+-- ============================================
+-- What each notification type is, who sees it and how it is delivered now
+-- lives in two tables instead of being repeated in SQL functions and the
+-- frontend:
+--   notification_types          - label, icon, severity, default channels and
+--                                 email templates of a type
+--   notification_type_audiences - roles that see a type, optionally only for
+--                                 some metadata->>'status' values, with an
+--                                 optional per-role default email channel
+--
+-- Unread counts, the preference/email triggers, the Settings notifications
+-- tab and the notification icons all read these tables. Adding a type means
+-- inserting a row in each and creating the notification from a trigger.
+--
+-- icon: key in NOTIFICATION_ICONS (frontend/src/utils/notifications.jsx)
+-- severity / status_severity: neutral, info, success, warning, critical
+-- email_templates: template by metadata->>'status', '*' for any status;
+--   types without one are sent with the generic 'notification' template
+-- default_email: 'daily' / 'weekly' defaults are honoured by the digest job
+--   through notification_digest_subscriptions(). Only the types emailed
+--   before preferences existed default to 'immediate'; new types should
+--   default to a digest or 'off' so users are not flooded with email.
+--
+-- Requires add_notification_preferences.sql.
+
+-- Step 1: Types
+CREATE TABLE IF NOT EXISTS public.notification_types (
+  type VARCHAR(50) PRIMARY KEY,
+  label TEXT NOT NULL,
+  description TEXT,
+  icon TEXT NOT NULL DEFAULT 'bell',
+  severity TEXT NOT NULL DEFAULT 'info',
+  status_severity JSONB NOT NULL DEFAULT '{}'::jsonb,
+  default_in_app BOOLEAN NOT NULL DEFAULT true,
+  default_email TEXT NOT NULL DEFAULT 'off',
+  email_templates JSONB NOT NULL DEFAULT '{}'::jsonb,
+  configurable BOOLEAN NOT NULL DEFAULT true,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE public.notification_types
+DROP CONSTRAINT IF EXISTS notification_types_severity_check;
+
+ALTER TABLE public.notification_types
+ADD CONSTRAINT notification_types_severity_check
+CHECK (severity IN ('neutral', 'info', 'success', 'warning', 'critical'));
+
+ALTER TABLE public.notification_types
+DROP CONSTRAINT IF EXISTS notification_types_default_email_check;
+
+ALTER TABLE public.notification_types
+ADD CONSTRAINT notification_types_default_email_check
+CHECK (default_email IN ('off', 'immediate', 'daily', 'weekly'));
+
+-- Step 2: Audiences
+CREATE TABLE IF NOT EXISTS public.notification_type_audiences (
+  type VARCHAR(50) NOT NULL REFERENCES public.notification_types(type) ON DELETE CASCADE ON UPDATE CASCADE,
+  role TEXT NOT NULL,
+  statuses TEXT[],
+  default_email TEXT,
+  PRIMARY KEY (type, role)
+);
+
+ALTER TABLE public.notification_type_audiences
+DROP CONSTRAINT IF EXISTS notification_type_audiences_default_email_check;
+
+ALTER TABLE public.notification_type_audiences
+ADD CONSTRAINT notification_type_audiences_default_email_check
+CHECK (default_email IS NULL OR default_email IN ('off', 'immediate', 'daily', 'weekly'));
+
+-- Step 3: Everyone signed in can read the registry; admins maintain it
+ALTER TABLE public.notification_types ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.notification_type_audiences ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS notification_types_read ON public.notification_types;
+CREATE POLICY notification_types_read ON public.notification_types
+  FOR SELECT TO authenticated
+  USING (true);
+
+DROP POLICY IF EXISTS notification_types_admin_manage ON public.notification_types;
+CREATE POLICY notification_types_admin_manage ON public.notification_types
+  FOR ALL TO authenticated
+  USING (EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role = 'admin'))
+  WITH CHECK (EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role = 'admin'));
+
+DROP POLICY IF EXISTS notification_type_audiences_read ON public.notification_type_audiences;
+CREATE POLICY notification_type_audiences_read ON public.notification_type_audiences
+  FOR SELECT TO authenticated
+  USING (true);
+
+DROP POLICY IF EXISTS notification_type_audiences_admin_manage ON public.notification_type_audiences;
+CREATE POLICY notification_type_audiences_admin_manage ON public.notification_type_audiences
+  FOR ALL TO authenticated
+  USING (EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role = 'admin'))
+  WITH CHECK (EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role = 'admin'));
+
+-- Step 4: Current types
+INSERT INTO public.notification_types
+  (type, label, description, icon, severity, status_severity, default_email, email_templates, sort_order)
+VALUES
+  ('application_status', 'Application updates',
+   'An application moves to a new stage, or an applicant accepts or withdraws',
+   'document', 'info',
+   '{"offer_extended": "success", "offer_accepted": "success", "accepted": "success", "joined": "success", "rejected": "critical", "withdrawn": "neutral"}',
+   'immediate', '{"*": "application_status_changed"}', 10),
+  ('new_application', 'New applications',
+   'A student applies to one of your internships',
+   'user-add', 'success', '{}',
+   'immediate', '{"*": "application_received"}', 20),
+  ('interview', 'Interviews',
+   'An interview is scheduled, rescheduled or cancelled',
+   'calendar', 'info', '{"cancelled": "critical"}',
+   'daily', '{}', 30),
+  ('internship_approval', 'Internship reviews',
+   'An internship is submitted for review, approved or rejected',
+   'clipboard', 'info', '{"pending": "warning", "approved": "success", "rejected": "critical"}',
+   'immediate', '{"approved": "internship_approved", "rejected": "internship_rejected"}', 40),
+  ('internship_closed', 'Internship closed',
+   'An internship stops taking applications or its openings are filled',
+   'lock', 'neutral', '{}',
+   'off', '{}', 50),
+  ('user_approval', 'Account approvals',
+   'A new account is waiting for approval',
+   'check-circle', 'success', '{"pending": "warning", "rejected": "critical"}',
+   'off', '{}', 60)
+ON CONFLICT (type) DO UPDATE SET
+  label = EXCLUDED.label,
+  description = EXCLUDED.description,
+  icon = EXCLUDED.icon,
+  severity = EXCLUDED.severity,
+  status_severity = EXCLUDED.status_severity,
+  default_email = EXCLUDED.default_email,
+  email_templates = EXCLUDED.email_templates,
+  sort_order = EXCLUDED.sort_order,
+  updated_at = now();
+
+-- Same audiences as the role checks this replaces: admins only see pending
+-- internship reviews, software houses only the outcome
+INSERT INTO public.notification_type_audiences (type, role, statuses, default_email)
+VALUES
+  ('application_status', 'student', NULL, NULL),
+  ('application_status', 'guest', NULL, NULL),
+  ('application_status', 'software_house', NULL, NULL),
+  ('new_application', 'software_house', NULL, NULL),
+  ('interview', 'student', NULL, NULL),
+  ('interview', 'guest', NULL, NULL),
+  ('interview', 'software_house', NULL, NULL),
+  ('internship_approval', 'admin', ARRAY['pending'], 'off'),
+  ('internship_approval', 'software_house', ARRAY['approved', 'rejected'], NULL),
+  ('internship_closed', 'software_house', NULL, NULL),
+  ('user_approval', 'admin', NULL, 'off')
+ON CONFLICT (type, role) DO UPDATE SET
+  statuses = EXCLUDED.statuses,
+  default_email = EXCLUDED.default_email;
+
+-- Step 5: Notifications must use a registered type
+-- (NOT VALID: existing rows are not re-checked)
+ALTER TABLE public.notifications
+DROP CONSTRAINT IF EXISTS notifications_type_fkey;
+
+ALTER TABLE public.notifications
+ADD CONSTRAINT notifications_type_fkey
+FOREIGN KEY (type) REFERENCES public.notification_types(type) ON UPDATE CASCADE NOT VALID;
+
+-- Step 6: Lookups used by the functions below
+CREATE OR REPLACE FUNCTION notification_visible_to_role(notification_type TEXT, notification_metadata JSONB, user_role TEXT)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM notification_type_audiences a
+    WHERE a.type = notification_type
+      AND a.role = user_role
+      AND (a.statuses IS NULL OR notification_metadata->>'status' = ANY(a.statuses))
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Replaces the hard-coded version from add_notification_preferences.sql
+CREATE OR REPLACE FUNCTION notification_default_email(notification_type TEXT, user_role TEXT)
+RETURNS TEXT AS $$
+  SELECT COALESCE(
+    (SELECT a.default_email FROM notification_type_audiences a WHERE a.type = notification_type AND a.role = user_role),
+    (SELECT t.default_email FROM notification_types t WHERE t.type = notification_type),
+    'off'
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Step 7: Types the user has not configured use the registry defaults
+CREATE OR REPLACE FUNCTION apply_notification_preferences()
+RETURNS TRIGGER AS $$
+DECLARE
+  pref RECORD;
+BEGIN
+  SELECT np.in_app, np.email INTO pref
+  FROM notification_preferences np
+  WHERE np.user_id = NEW.user_id AND np.type = NEW.type;
+
+  IF NOT FOUND THEN
+    NEW.in_app := COALESCE(
+      (SELECT t.default_in_app FROM notification_types t WHERE t.type = NEW.type),
+      true
+    );
+    RETURN NEW;
+  END IF;
+
+  -- Neither shown nor emailed: not stored at all
+  IF NOT pref.in_app AND pref.email = 'off' THEN
+    RETURN NULL;
+  END IF;
+
+  NEW.in_app := pref.in_app;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION queue_notification_email()
+RETURNS TRIGGER AS $$
+DECLARE
+  recipient RECORD;
+  email_channel TEXT;
+  email_template TEXT;
+BEGIN
+  SELECT p.email, p.role, COALESCE(p.full_name, p.organization_name) AS name
+  INTO recipient
+  FROM profiles p
+  WHERE p.id = NEW.user_id;
+
+  IF recipient.email IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  -- The account's own approval email is queued by the admin action
+  IF NEW.type = 'user_approval' AND NEW.related_id = NEW.user_id THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT np.email INTO email_channel
+  FROM notification_preferences np
+  WHERE np.user_id = NEW.user_id AND np.type = NEW.type;
+
+  email_channel := COALESCE(email_channel, notification_default_email(NEW.type, recipient.role));
+  IF email_channel <> 'immediate' THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT COALESCE(
+    t.email_templates->>(NEW.metadata->>'status'),
+    t.email_templates->>'*'
+  ) INTO email_template
+  FROM notification_types t
+  WHERE t.type = NEW.type;
+
+  INSERT INTO email_outbox (template, to_email, to_user_id, notification_id, payload)
+  VALUES (
+    COALESCE(email_template, 'notification'),
+    recipient.email,
+    NEW.user_id,
+    NEW.id,
+    COALESCE(NEW.metadata, '{}'::jsonb) || jsonb_build_object(
+      'name', recipient.name,
+      'recipient_role', recipient.role,
+      'type', NEW.type,
+      'title', NEW.title,
+      'message', NEW.message,
+      'related_id', NEW.related_id
+    )
+  )
+  ON CONFLICT (notification_id) DO NOTHING;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Step 8: Unread count by role reads the audiences
+CREATE OR REPLACE FUNCTION get_unread_notification_count_by_role(user_uuid UUID, user_role TEXT)
+RETURNS INTEGER AS $$
+  SELECT COUNT(*)::INTEGER
+  FROM notifications n
+  WHERE n.user_id = user_uuid
+    AND n.is_read = FALSE
+    AND n.in_app
+    AND notification_visible_to_role(n.type, n.metadata, user_role);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Step 9: Who gets which digest. Saved daily/weekly preferences, plus the
+-- registry default for users who never saved one for a type they have
+-- pending notifications of (same fallback as queue_notification_email)
+CREATE OR REPLACE FUNCTION notification_digest_subscriptions()
+RETURNS TABLE (user_id UUID, type TEXT, frequency TEXT) AS $$
+  SELECT np.user_id, np.type::text, np.email
+  FROM notification_preferences np
+  WHERE np.email IN ('daily', 'weekly')
+  UNION
+  SELECT pending.user_id, pending.type, pending.frequency
+  FROM (
+    SELECT DISTINCT n.user_id, n.type::text AS type,
+           notification_default_email(n.type, p.role::text) AS frequency
+    FROM notifications n
+    JOIN profiles p ON p.id = n.user_id
+    WHERE n.is_read = FALSE
+      AND n.digested_at IS NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM notification_preferences np
+        WHERE np.user_id = n.user_id AND np.type = n.type
+      )
+  ) pending
+  WHERE pending.frequency IN ('daily', 'weekly');
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION notification_digest_subscriptions() FROM PUBLIC, anon, authenticated;
+
+GRANT SELECT ON public.notification_types TO authenticated;
+GRANT SELECT ON public.notification_type_audiences TO authenticated;
+GRANT EXECUTE ON FUNCTION notification_visible_to_role(TEXT, JSONB, TEXT) TO authenticated;
+
+-- Verify
+SELECT t.type, t.label, t.icon, t.severity, t.default_email,
+       array_agg(a.role ORDER BY a.role) AS roles
+FROM public.notification_types t
+LEFT JOIN public.notification_type_audiences a ON a.type = t.type
+GROUP BY t.type, t.label, t.icon, t.severity, t.default_email, t.sort_order
+ORDER BY t.sort_order;
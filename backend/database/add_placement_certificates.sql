@@ -0,0 +1,60 @@
+-- ============================================
+-- Internship Completion Certificates
+-- ============================================
+-- When a placement is marked completed the backend issues a certificate
+-- with a unique verification code. The certificate keeps a snapshot of
+-- what it certifies (student, software house, role and dates) so that a
+-- verification shows exactly what was printed, even if profiles change.
+--
+-- Certificates are issued and revoked by the backend with the service role
+-- (PUT /api/placements/:id): moving a placement out of "completed" revokes
+-- its certificate, completing it again reinstates it with the same code.
+-- Anyone can check a code through the public GET /verify/:code endpoint,
+-- which goes through the backend, so codes cannot be listed with the anon key.
+--
+-- Run after add_placements.sql.
+
+-- Step 1: Certificates (one per placement)
+CREATE TABLE IF NOT EXISTS public.placement_certificates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  placement_id UUID NOT NULL UNIQUE REFERENCES public.placements(id) ON DELETE CASCADE,
+  verification_code TEXT NOT NULL UNIQUE,
+  student_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  software_house_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  university_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  -- Snapshot printed on the certificate
+  student_name TEXT NOT NULL,
+  software_house_name TEXT NOT NULL,
+  university_name TEXT,
+  internship_title TEXT NOT NULL,
+  start_date DATE,
+  end_date DATE,
+  issued_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  issued_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_placement_certificates_student_id ON public.placement_certificates(student_id);
+CREATE INDEX IF NOT EXISTS idx_placement_certificates_university_id ON public.placement_certificates(university_id);
+
+-- Step 2: RLS (the placement's participants and admins can read; backend
+-- writes with service role)
+ALTER TABLE public.placement_certificates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Participants can view placement certificates" ON public.placement_certificates;
+CREATE POLICY "Participants can view placement certificates"
+ON public.placement_certificates FOR SELECT
+USING (
+  student_id = auth.uid()
+  OR software_house_id = auth.uid()
+  OR university_id = auth.uid()
+  OR (SELECT role FROM public.profiles WHERE id = auth.uid()) = 'admin'
+);
+
+GRANT SELECT ON public.placement_certificates TO authenticated;
+
+-- Verify
+SELECT (revoked_at IS NULL) AS valid, COUNT(*) AS certificates
+FROM public.placement_certificates
+GROUP BY (revoked_at IS NULL);
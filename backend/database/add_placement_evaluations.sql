@@ -0,0 +1,135 @@
+-- ============================================
+-- Placement Evaluations and Software House Reviews
+-- ============================================
+-- When a placement ends, the software house supervisor evaluates the intern
+-- ('supervisor' evaluation) and the student reviews the software house
+-- ('student' review). Both are filled in against an evaluation form: a list
+-- of questions that are either a 1-5 rating or a free-text comment.
+--
+--   questions: [{ "key": "technical_skills", "label": "Technical skills",
+--                 "type": "rating" | "comment", "required": true }]
+--
+-- Forms with university_id NULL are the defaults. A university can replace
+-- the supervisor form for its own students; student reviews always use the
+-- default form so company ratings are comparable across universities.
+-- Submitted evaluations keep a copy of the questions they were answered
+-- against, so editing a form later does not change past evaluations.
+--
+-- All writes go through the backend (POST /api/placements/:id/evaluations,
+-- PUT /api/evaluation-forms/:kind) with the service role; end users only
+-- get SELECT. Individual student reviews are not visible to the software
+-- house; listings only show averages through get_software_house_ratings(),
+-- and only once a company has at least 3 reviews.
+--
+-- Requires add_placements.sql.
+
+-- Step 1: Forms
+CREATE TABLE IF NOT EXISTS public.evaluation_forms (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  kind TEXT NOT NULL CHECK (kind IN ('supervisor', 'student')),
+  university_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  questions JSONB NOT NULL DEFAULT '[]'::jsonb,
+  updated_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- One form per kind per university, and one default per kind
+CREATE UNIQUE INDEX IF NOT EXISTS idx_evaluation_forms_owner
+ON public.evaluation_forms(kind, COALESCE(university_id, '00000000-0000-0000-0000-000000000000'::uuid));
+
+INSERT INTO public.evaluation_forms (kind, university_id, title, questions)
+SELECT 'supervisor', NULL, 'Supervisor Evaluation', '[
+  {"key": "technical_skills", "label": "Technical skills", "type": "rating", "required": true},
+  {"key": "work_quality", "label": "Quality of work", "type": "rating", "required": true},
+  {"key": "communication", "label": "Communication", "type": "rating", "required": true},
+  {"key": "professionalism", "label": "Punctuality and professionalism", "type": "rating", "required": true},
+  {"key": "initiative", "label": "Initiative and willingness to learn", "type": "rating", "required": true},
+  {"key": "strengths", "label": "Strengths", "type": "comment", "required": false},
+  {"key": "improvements", "label": "Areas for improvement", "type": "comment", "required": false}
+]'::jsonb
+WHERE NOT EXISTS (
+  SELECT 1 FROM public.evaluation_forms WHERE kind = 'supervisor' AND university_id IS NULL
+);
+
+INSERT INTO public.evaluation_forms (kind, university_id, title, questions)
+SELECT 'student', NULL, 'Software House Review', '[
+  {"key": "mentorship", "label": "Mentorship and supervision", "type": "rating", "required": true},
+  {"key": "learning", "label": "Learning opportunities", "type": "rating", "required": true},
+  {"key": "work_environment", "label": "Work environment", "type": "rating", "required": true},
+  {"key": "as_advertised", "label": "Work matched the internship posting", "type": "rating", "required": true},
+  {"key": "comments", "label": "Comments for future interns", "type": "comment", "required": false}
+]'::jsonb
+WHERE NOT EXISTS (
+  SELECT 1 FROM public.evaluation_forms WHERE kind = 'student' AND university_id IS NULL
+);
+
+-- Step 2: Submitted evaluations (one of each kind per placement)
+CREATE TABLE IF NOT EXISTS public.placement_evaluations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  placement_id UUID NOT NULL REFERENCES public.placements(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL CHECK (kind IN ('supervisor', 'student')),
+  form_id UUID REFERENCES public.evaluation_forms(id) ON DELETE SET NULL,
+  questions JSONB NOT NULL,
+  -- { question key: 1-5 for ratings, text for comments }
+  answers JSONB NOT NULL DEFAULT '{}'::jsonb,
+  -- Average of the rating answers
+  overall_rating NUMERIC(3, 2) CHECK (overall_rating BETWEEN 1 AND 5),
+  author_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  student_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  software_house_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  university_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  submitted_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (placement_id, kind)
+);
+
+CREATE INDEX IF NOT EXISTS idx_placement_evaluations_software_house
+ON public.placement_evaluations(software_house_id, kind);
+CREATE INDEX IF NOT EXISTS idx_placement_evaluations_student
+ON public.placement_evaluations(student_id);
+
+-- Step 3: RLS
+ALTER TABLE public.evaluation_forms ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.placement_evaluations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Authenticated users can view evaluation forms" ON public.evaluation_forms;
+CREATE POLICY "Authenticated users can view evaluation forms"
+ON public.evaluation_forms FOR SELECT TO authenticated
+USING (TRUE);
+
+-- Supervisor evaluations: the student, the software house, the university
+-- and admins. Student reviews: the student, the university and admins.
+DROP POLICY IF EXISTS "Participants can view placement evaluations" ON public.placement_evaluations;
+CREATE POLICY "Participants can view placement evaluations"
+ON public.placement_evaluations FOR SELECT
+USING (
+  student_id = auth.uid()
+  OR university_id = auth.uid()
+  OR (kind = 'supervisor' AND software_house_id = auth.uid())
+  OR (SELECT role FROM public.profiles WHERE id = auth.uid()) = 'admin'
+);
+
+GRANT SELECT ON public.evaluation_forms TO authenticated;
+GRANT SELECT ON public.placement_evaluations TO authenticated;
+
+-- Step 4: Company ratings for listings (only with enough reviews)
+-- Keep the threshold in sync with MIN_REVIEWS_FOR_RATING in
+-- frontend/src/utils/evaluations.js
+CREATE OR REPLACE FUNCTION get_software_house_ratings(house_ids UUID[])
+RETURNS TABLE (software_house_id UUID, review_count INTEGER, average_rating NUMERIC) AS $$
+  SELECT e.software_house_id, COUNT(*)::INTEGER, ROUND(AVG(e.overall_rating), 1)
+  FROM placement_evaluations e
+  WHERE e.kind = 'student'
+    AND e.overall_rating IS NOT NULL
+    AND e.software_house_id = ANY(house_ids)
+  GROUP BY e.software_house_id
+  HAVING COUNT(*) >= 3;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION get_software_house_ratings(UUID[]) TO anon, authenticated;
+
+-- Verify
+SELECT kind, university_id, title, jsonb_array_length(questions) AS questions
+FROM public.evaluation_forms
+ORDER BY kind, university_id NULLS FIRST;
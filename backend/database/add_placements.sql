@@ -0,0 +1,121 @@
+-- ============================================
+-- Placements and Internship Completion Records
+-- ============================================
+-- A placement is created when an applicant accepts an offer (or a software
+-- house accepts an application directly). It follows the internship after
+-- hiring: dates, supervisor, attendance and whether it was completed, plus
+-- the university's credit decision for credit-bearing internship courses.
+--
+-- The software house keeps the placement details up to date; the student's
+-- university records course code, credit hours and credit status. All writes
+-- go through the backend (PUT /api/placements/:id) with the service role,
+-- which limits each side to its own fields; end users only get SELECT.
+--
+-- Run after add_application_pipeline_stages.sql.
+
+-- Step 1: Placements (one per application)
+CREATE TABLE IF NOT EXISTS public.placements (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  application_id UUID NOT NULL UNIQUE REFERENCES public.applications(id) ON DELETE CASCADE,
+  student_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  internship_id UUID NOT NULL REFERENCES public.internships(id) ON DELETE CASCADE,
+  software_house_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  -- The student's university at the time of acceptance (NULL for guests)
+  university_id UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  status TEXT NOT NULL DEFAULT 'upcoming'
+    CHECK (status IN ('upcoming', 'ongoing', 'completed', 'incomplete', 'cancelled')),
+  start_date DATE,
+  end_date DATE,
+  supervisor_name TEXT,
+  supervisor_email TEXT,
+  supervisor_phone TEXT,
+  attendance_percent NUMERIC(5, 2) CHECK (attendance_percent BETWEEN 0 AND 100),
+  software_house_notes TEXT,
+  completed_at TIMESTAMPTZ,
+  -- Internship office
+  course_code TEXT,
+  credit_hours NUMERIC(4, 1) CHECK (credit_hours >= 0),
+  credit_status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (credit_status IN ('pending', 'approved', 'rejected')),
+  university_notes TEXT,
+  updated_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (end_date IS NULL OR start_date IS NULL OR end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_placements_university_id ON public.placements(university_id, status);
+CREATE INDEX IF NOT EXISTS idx_placements_software_house_id ON public.placements(software_house_id);
+CREATE INDEX IF NOT EXISTS idx_placements_student_id ON public.placements(student_id);
+
+-- Step 2: Keep placements in step with the application stage
+--   offer_accepted / accepted - create the placement
+--   joined                    - the internship has started
+--   withdrawn                 - the student left before finishing
+CREATE OR REPLACE FUNCTION public.sync_placement_with_application()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.status::text IN ('offer_accepted', 'accepted', 'joined') THEN
+    INSERT INTO public.placements (application_id, student_id, internship_id, software_house_id, university_id)
+    SELECT NEW.id, NEW.user_id, NEW.internship_id, i.software_house_id,
+      (SELECT s.university_id FROM public.students s WHERE s.user_id = NEW.user_id LIMIT 1)
+    FROM public.internships i
+    WHERE i.id = NEW.internship_id
+    ON CONFLICT (application_id) DO NOTHING;
+  END IF;
+
+  IF NEW.status::text = 'joined' THEN
+    UPDATE public.placements
+    SET status = 'ongoing',
+        start_date = COALESCE(start_date, CURRENT_DATE),
+        updated_at = now()
+    WHERE application_id = NEW.id AND status = 'upcoming';
+  ELSIF NEW.status::text = 'withdrawn' THEN
+    UPDATE public.placements
+    SET status = 'cancelled', updated_at = now()
+    WHERE application_id = NEW.id AND status IN ('upcoming', 'ongoing');
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_sync_placement_with_application ON public.applications;
+CREATE TRIGGER trigger_sync_placement_with_application
+  AFTER UPDATE OF status ON public.applications
+  FOR EACH ROW
+  WHEN (OLD.status IS DISTINCT FROM NEW.status)
+  EXECUTE FUNCTION public.sync_placement_with_application();
+
+-- Backfill: placements for applications already past acceptance
+INSERT INTO public.placements (application_id, student_id, internship_id, software_house_id, university_id, status, start_date)
+SELECT a.id, a.user_id, a.internship_id, i.software_house_id,
+  (SELECT s.university_id FROM public.students s WHERE s.user_id = a.user_id LIMIT 1),
+  CASE WHEN a.status::text = 'joined' THEN 'ongoing' ELSE 'upcoming' END,
+  CASE WHEN a.status::text = 'joined' THEN a.updated_at::date END
+FROM public.applications a
+JOIN public.internships i ON i.id = a.internship_id
+WHERE a.status::text IN ('offer_accepted', 'accepted', 'joined')
+ON CONFLICT (application_id) DO NOTHING;
+
+-- Step 3: RLS (read-only for the student, software house, university and
+-- admins; backend writes with service role)
+ALTER TABLE public.placements ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Participants can view placements" ON public.placements;
+CREATE POLICY "Participants can view placements"
+ON public.placements FOR SELECT
+USING (
+  student_id = auth.uid()
+  OR software_house_id = auth.uid()
+  OR university_id = auth.uid()
+  OR (SELECT role FROM public.profiles WHERE id = auth.uid()) = 'admin'
+);
+
+GRANT SELECT ON public.placements TO authenticated;
+
+-- Verify
+SELECT status, credit_status, COUNT(*) AS placements
+FROM public.placements
+GROUP BY status, credit_status
+ORDER BY status, credit_status;
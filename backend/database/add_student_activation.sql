@@ -0,0 +1,52 @@
+-- ============================================
+-- Student Account Activation
+-- ============================================
+-- Imported students no longer get a generated password. Their account is
+-- created without one and they are emailed a one-time activation link;
+-- opening it lets them choose their own password.
+--
+-- Only a SHA-256 hash of each token is stored. A token is valid until
+-- expires_at, works once (used_at), and sending a new link revokes the
+-- student's older unused links.
+--
+-- students.credentials used to hold the generated password in plain text
+-- and the login page traded the student ID for it. Those passwords are
+-- removed here; students who never set their own password need a new
+-- activation link (University > Students > Send activation links).
+
+-- Step 1: Activation tokens (backend only, via the service role key)
+CREATE TABLE IF NOT EXISTS public.student_activation_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id UUID NOT NULL REFERENCES public.students(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  created_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_student_activation_tokens_student
+ON public.student_activation_tokens(student_id)
+WHERE used_at IS NULL AND revoked_at IS NULL;
+
+ALTER TABLE public.student_activation_tokens ENABLE ROW LEVEL SECURITY;
+-- No policies: clients never read tokens or their hashes
+
+-- Step 2: Invitation state on students
+ALTER TABLE public.students
+ADD COLUMN IF NOT EXISTS invited_at TIMESTAMPTZ;
+
+ALTER TABLE public.students
+ADD COLUMN IF NOT EXISTS activated_at TIMESTAMPTZ;
+
+-- Step 3: Drop the plaintext passwords
+UPDATE public.students
+SET credentials = NULL
+WHERE credentials ? 'password';
+
+-- Verify
+SELECT
+  (SELECT COUNT(*) FROM public.students WHERE credentials ? 'password') AS plaintext_passwords_left,
+  (SELECT COUNT(*) FROM public.students WHERE activated_at IS NULL) AS students_not_activated;
@@ -0,0 +1,64 @@
+-- ============================================
+-- Flexible Student Imports
+-- ============================================
+-- Universities can import students from CSV, XLSX or ODS files whose
+-- headers do not match the template. The column mapping chosen on the
+-- Bulk Upload page is remembered per university so the next export from
+-- the same student information system maps itself.
+--
+-- Imports can also carry a phone number and CGPA for each student.
+
+-- Step 1: Optional columns that imports can fill
+ALTER TABLE public.students
+ADD COLUMN IF NOT EXISTS phone TEXT;
+
+ALTER TABLE public.students
+ADD COLUMN IF NOT EXISTS cgpa NUMERIC(3,2);
+
+ALTER TABLE public.students
+DROP CONSTRAINT IF EXISTS students_cgpa_check;
+
+ALTER TABLE public.students
+ADD CONSTRAINT students_cgpa_check
+CHECK (cgpa IS NULL OR (cgpa >= 0 AND cgpa <= 4));
+
+-- Step 2: Saved column mapping, one per university
+-- mapping: { "<import field>": "<file header>" }, e.g. { "email": "E-mail Address" }
+CREATE TABLE IF NOT EXISTS public.student_import_mappings (
+  university_id UUID PRIMARY KEY REFERENCES public.profiles(id) ON DELETE CASCADE,
+  mapping JSONB NOT NULL DEFAULT '{}'::jsonb,
+  source_headers TEXT[] NOT NULL DEFAULT '{}',
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Step 3: RLS - a university manages its own mapping
+ALTER TABLE public.student_import_mappings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS import_mappings_select_own ON public.student_import_mappings;
+CREATE POLICY import_mappings_select_own ON public.student_import_mappings
+  FOR SELECT TO authenticated
+  USING (university_id = auth.uid());
+
+DROP POLICY IF EXISTS import_mappings_insert_own ON public.student_import_mappings;
+CREATE POLICY import_mappings_insert_own ON public.student_import_mappings
+  FOR INSERT TO authenticated
+  WITH CHECK (
+    university_id = auth.uid()
+    AND EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = auth.uid() AND p.role = 'university')
+  );
+
+DROP POLICY IF EXISTS import_mappings_update_own ON public.student_import_mappings;
+CREATE POLICY import_mappings_update_own ON public.student_import_mappings
+  FOR UPDATE TO authenticated
+  USING (university_id = auth.uid())
+  WITH CHECK (university_id = auth.uid());
+
+-- Verify
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_schema = 'public'
+  AND (
+    (table_name = 'students' AND column_name IN ('phone', 'cgpa'))
+    OR table_name = 'student_import_mappings'
+  )
+ORDER BY table_name, ordinal_position;
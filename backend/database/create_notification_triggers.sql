@@ -163,71 +163,140 @@ DECLARE
   notification_title VARCHAR(255);
   notification_message TEXT;
   internship_title TEXT;
+  internship_owner UUID;
+  student_name TEXT;
+  stage_notifies_applicant BOOLEAN := TRUE;
 BEGIN
   -- Only trigger if status actually changed
   IF OLD.status = NEW.status THEN
     RETURN NEW;
   END IF;
 
-  -- Get internship title
-  SELECT title INTO internship_title
-  FROM internships
-  WHERE id = NEW.internship_id;
+  -- Get internship details
+  SELECT i.title, i.software_house_id INTO internship_title, internship_owner
+  FROM internships i
+  WHERE i.id = NEW.internship_id;
 
-  -- Create notification for student/guest (only if it doesn't already exist)
-  IF NEW.status = 'accepted' THEN
-    -- Check if notification already exists to prevent duplicates
-    IF NOT EXISTS (
+  -- Stages can be muted via application_stages.notify_applicant
+  -- (table is created by add_application_pipeline_stages.sql)
+  IF to_regclass('public.application_stages') IS NOT NULL THEN
+    SELECT COALESCE(s.notify_applicant, TRUE) INTO stage_notifies_applicant
+    FROM application_stages s
+    WHERE s.stage = NEW.status::text;
+    stage_notifies_applicant := COALESCE(stage_notifies_applicant, TRUE);
+  END IF;
+
+  -- Applicant-driven stages (offer accepted / withdrawn) notify the software house
+  IF NEW.status::text IN ('offer_accepted', 'withdrawn') THEN
+    SELECT COALESCE(p.full_name, p.email, 'A student') INTO student_name
+    FROM profiles p
+    WHERE p.id = NEW.user_id;
+
+    IF internship_owner IS NOT NULL AND NOT EXISTS (
       SELECT 1 FROM notifications 
-      WHERE user_id = NEW.user_id 
+      WHERE user_id = internship_owner 
         AND type = 'application_status' 
         AND related_id = NEW.id 
         AND related_type = 'application'
-        AND metadata->>'status' = 'accepted'
+        AND metadata->>'status' = NEW.status::text
     ) THEN
-      notification_title := 'Application Accepted';
-      notification_message := 'Congratulations! Your application for "' || 
-        COALESCE(internship_title, 'the internship') || '" has been accepted.';
-      
+      IF NEW.status::text = 'offer_accepted' THEN
+        notification_title := 'Offer Accepted';
+        notification_message := student_name || ' has accepted your offer for "' || 
+          COALESCE(internship_title, 'the internship') || '".';
+      ELSE
+        notification_title := 'Application Withdrawn';
+        notification_message := student_name || ' has withdrawn their application for "' || 
+          COALESCE(internship_title, 'the internship') || '".';
+      END IF;
+
       INSERT INTO notifications (user_id, type, title, message, related_id, related_type, metadata, is_read)
       VALUES (
-        NEW.user_id,
+        internship_owner,
         'application_status',
         notification_title,
         notification_message,
         NEW.id,
         'application',
-        jsonb_build_object('status', 'accepted', 'internship_title', internship_title),
+        jsonb_build_object(
+          'status', NEW.status::text,
+          'previous_status', OLD.status::text,
+          'internship_title', internship_title,
+          'student_name', student_name
+        ),
         FALSE
       );
     END IF;
-  ELSIF NEW.status = 'rejected' THEN
-    -- Check if notification already exists to prevent duplicates
-    IF NOT EXISTS (
-      SELECT 1 FROM notifications 
-      WHERE user_id = NEW.user_id 
-        AND type = 'application_status' 
-        AND related_id = NEW.id 
-        AND related_type = 'application'
-        AND metadata->>'status' = 'rejected'
-    ) THEN
+  END IF;
+
+  IF NOT stage_notifies_applicant THEN
+    RETURN NEW;
+  END IF;
+
+  -- Build the student/guest message for the new stage
+  CASE NEW.status::text
+    WHEN 'shortlisted' THEN
+      notification_title := 'Application Shortlisted';
+      notification_message := 'Good news! Your application for "' || 
+        COALESCE(internship_title, 'the internship') || '" has been shortlisted.';
+    WHEN 'interview_scheduled' THEN
+      notification_title := 'Interview Scheduled';
+      notification_message := 'You have been invited to interview for "' || 
+        COALESCE(internship_title, 'the internship') || '".';
+    WHEN 'offer_extended' THEN
+      notification_title := 'Offer Received';
+      notification_message := 'Congratulations! You have received an offer for "' || 
+        COALESCE(internship_title, 'the internship') || '". Open your applications to respond.';
+    WHEN 'offer_accepted' THEN
+      notification_title := 'Offer Accepted';
+      notification_message := 'You have accepted the offer for "' || 
+        COALESCE(internship_title, 'the internship') || '".';
+    WHEN 'accepted' THEN
+      notification_title := 'Application Accepted';
+      notification_message := 'Congratulations! Your application for "' || 
+        COALESCE(internship_title, 'the internship') || '" has been accepted.';
+    WHEN 'joined' THEN
+      notification_title := 'Internship Started';
+      notification_message := 'Welcome aboard! You are now marked as joined for "' || 
+        COALESCE(internship_title, 'the internship') || '".';
+    WHEN 'rejected' THEN
       notification_title := 'Application Rejected';
       notification_message := 'Your application for "' || 
         COALESCE(internship_title, 'the internship') || '" has been rejected. ' ||
         COALESCE(NEW.feedback, 'Please try applying to other internships.');
-      
-      INSERT INTO notifications (user_id, type, title, message, related_id, related_type, metadata, is_read)
-      VALUES (
-        NEW.user_id,
-        'application_status',
-        notification_title,
-        notification_message,
-        NEW.id,
-        'application',
-        jsonb_build_object('status', 'rejected', 'internship_title', internship_title, 'feedback', NEW.feedback),
-        FALSE
-      );
-    END IF;
+    WHEN 'withdrawn' THEN
+      notification_title := 'Application Withdrawn';
+      notification_message := 'Your application for "' || 
+        COALESCE(internship_title, 'the internship') || '" has been withdrawn.';
+    ELSE
+      RETURN NEW;
+  END CASE;
+
+  -- Create notification for student/guest (only if it doesn't already exist)
+  IF NOT EXISTS (
+    SELECT 1 FROM notifications 
+    WHERE user_id = NEW.user_id 
+      AND type = 'application_status' 
+      AND related_id = NEW.id 
+      AND related_type = 'application'
+      AND metadata->>'status' = NEW.status::text
+  ) THEN
+    INSERT INTO notifications (user_id, type, title, message, related_id, related_type, metadata, is_read)
+    VALUES (
+      NEW.user_id,
+      'application_status',
+      notification_title,
+      notification_message,
+      NEW.id,
+      'application',
+      jsonb_build_object(
+        'status', NEW.status::text,
+        'previous_status', OLD.status::text,
+        'internship_title', internship_title,
+        'feedback', NEW.feedback
+      ),
+      FALSE
+    );
   END IF;
 
   RETURN NEW;
@@ -252,6 +321,12 @@ DECLARE
   software_house_id UUID;
   student_name TEXT;
 BEGIN
+  -- Applications rejected by a knockout screening question are not announced
+  -- (screening_passed is added by add_application_screening.sql)
+  IF to_jsonb(NEW)->>'screening_passed' = 'false' THEN
+    RETURN NEW;
+  END IF;
+
   -- Get internship details
   SELECT i.title, i.software_house_id INTO internship_title, software_house_id
   FROM internships i
@@ -2,7 +2,7 @@
 CREATE TABLE IF NOT EXISTS notifications (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
-  type VARCHAR(50) NOT NULL, -- 'user_approval', 'internship_approval', 'application_status', 'new_application'
+  type VARCHAR(50) NOT NULL, -- 'user_approval', 'internship_approval', 'application_status', 'new_application', 'interview'
   title VARCHAR(255) NOT NULL,
   message TEXT,
   related_id UUID, -- ID of related entity (profile_id, internship_id, application_id)
@@ -43,6 +43,8 @@ RETURNS INTEGER AS $$
 $$ LANGUAGE sql SECURITY DEFINER;
 
 -- Function to get unread count filtered by role
+-- (replaced by add_notification_type_registry.sql, which reads the roles per type
+-- from notification_type_audiences; do not re-run this part after it)
 CREATE OR REPLACE FUNCTION get_unread_notification_count_by_role(user_uuid UUID, user_role TEXT)
 RETURNS INTEGER AS $$
 DECLARE
@@ -53,9 +55,9 @@ BEGIN
     WHEN 'admin' THEN
       allowed_types := ARRAY['user_approval', 'internship_approval'];
     WHEN 'software_house' THEN
-      allowed_types := ARRAY['internship_approval', 'new_application'];
+      allowed_types := ARRAY['internship_approval', 'internship_closed', 'new_application', 'application_status', 'interview'];
     WHEN 'student', 'guest' THEN
-      allowed_types := ARRAY['application_status'];
+      allowed_types := ARRAY['application_status', 'interview'];
     ELSE
       allowed_types := ARRAY[]::TEXT[];
   END CASE;
@@ -75,9 +77,14 @@ BEGIN
           OR (type = 'internship_approval' AND metadata->>'status' = 'pending')
         ))
         OR
-        -- For software_house: only count approved/rejected internship_approval OR new_application
+        -- For software_house: only count approved/rejected internship_approval, new_application
+        -- applicant-driven application_status changes (offer accepted / withdrawn), interview updates
+        -- or postings closed by the lifecycle job
         (user_role = 'software_house' AND (
           type = 'new_application'
+          OR type = 'internship_closed'
+          OR type = 'application_status'
+          OR type = 'interview'
           OR (type = 'internship_approval' AND (metadata->>'status' = 'approved' OR metadata->>'status' = 'rejected'))
         ))
         OR
@@ -5,7 +5,7 @@
 -- Enums
 CREATE TYPE IF NOT EXISTS user_role AS ENUM ('student', 'university', 'software_house', 'guest', 'admin');
 CREATE TYPE IF NOT EXISTS internship_status AS ENUM ('pending', 'approved', 'rejected');
-CREATE TYPE IF NOT EXISTS application_status AS ENUM ('pending', 'accepted', 'rejected');
+CREATE TYPE IF NOT EXISTS application_status AS ENUM ('pending', 'shortlisted', 'interview_scheduled', 'offer_extended', 'offer_accepted', 'accepted', 'joined', 'rejected', 'withdrawn');
 CREATE TYPE IF NOT EXISTS approval_status AS ENUM ('pending', 'approved', 'rejected');
 
 CREATE TABLE IF NOT EXISTS public.profiles (
@@ -4,7 +4,7 @@
 // ============================================
 
 // Export Supabase client
-export { supabase, getAdminClient } from './config/supabase.js';
+export { supabase, getAdminClient, createUserClient, runWithClient } from './config/supabase.js';
 
 // Export all services
 export * as authService from './services/authService.js';
@@ -14,8 +14,43 @@ export * as applicationService from './services/applicationService.js';
 export * as cvService from './services/cvService.js';
 export * as adminService from './services/adminService.js';
 export * as statusTrackingService from './services/statusTrackingService.js';
+export * as recommendationService from './services/recommendationService.js';
+export * as activationService from './services/activationService.js';
 
 // Export utilities
 export * as csvParser from './utils/csvParser.js';
 export * as helpers from './utils/helpers.js';
+export * as applicationPipeline from './utils/applicationPipeline.js';
+export * as ics from './utils/ics.js';
+export * as skillMatching from './utils/skillMatching.js';
+export * as cvPdf from './utils/cvPdf.js';
+export * as resumeParser from './utils/resumeParser.js';
+export * as uploadTypes from './utils/uploadTypes.js';
+export * as cvDiff from './utils/cvDiff.js';
+export * as screening from './utils/screening.js';
+export * as internshipLifecycle from './utils/internshipLifecycle.js';
+export * as internshipRevisions from './utils/internshipRevisions.js';
+export * as spreadsheet from './utils/spreadsheet.js';
+export * as studentSync from './utils/studentSync.js';
+export * as mailer from './utils/mailer.js';
+export * as emailTemplates from './utils/emailTemplates.js';
+export * as notificationPreferences from './utils/notificationPreferences.js';
+export * as notificationTypes from './utils/notificationTypes.js';
+export * as messages from './utils/messages.js';
+export * as placements from './utils/placements.js';
+export * as evaluations from './utils/evaluations.js';
+export * as certificates from './utils/certificates.js';
+export * as logbook from './utils/logbook.js';
+export * as advisors from './utils/advisors.js';
 
+// Export background jobs
+export * as scheduler from './jobs/scheduler.js';
+export { closeDueInternships } from './jobs/internshipLifecycle.js';
+export { processBulkUploads, enqueueBulkUpload, retryBulkUploadRows, syncStudentRow } from './jobs/bulkImport.js';
+export { processEmailOutbox, enqueueEmail, retryEmail } from './jobs/emailOutbox.js';
+export { sendNotificationDigests } from './jobs/notificationDigest.js';
+export { sendLogbookReminders } from './jobs/logbookReminders.js';
+
+
+// Export REST API router factory
+export { createV1Router } from './routes/v1/index.js';
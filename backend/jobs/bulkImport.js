@@ -0,0 +1,602 @@
+// ============================================
+// Bulk Student Import Job
+// Creates student accounts for queued bulk uploads in chunks, keeping the
+// progress on bulk_uploads current (see database/add_bulk_upload_jobs.sql).
+// Sync uploads also update and deactivate existing students
+// (see database/add_bulk_upload_sync.sql).
+// A cancelled upload stops at the next chunk boundary.
+// ============================================
+
+import { validateStudentCSV } from '../utils/csvParser.js';
+import { SYNC_STUDENT_COLUMNS, indexStudents, planSyncRow, updateIndex } from '../utils/studentSync.js';
+import { sendStudentInvitation } from '../services/activationService.js';
+
+export const BULK_IMPORT_JOB = 'bulk-student-import';
+
+// Picks up uploads left queued or interrupted by a restart
+export const BULK_IMPORT_INTERVAL_MS =
+    Number(process.env.BULK_IMPORT_INTERVAL_MS) || 30 * 1000;
+
+export const BULK_IMPORT_CHUNK_SIZE =
+    Number(process.env.BULK_IMPORT_CHUNK_SIZE) || 50;
+
+// Rows are inserted in batches so a large file is not one huge request
+const ROW_INSERT_BATCH = 500;
+
+const ACTIVE_STATUSES = ['queued', 'processing'];
+
+/**
+ * Recount an upload's processed, succeeded and failed rows
+ * @param {object} adminClient - Supabase client with the service role key
+ * @param {string} bulkUploadId - bulk_uploads.id
+ */
+const refreshProgress = async (adminClient, bulkUploadId) => {
+    const { error } = await adminClient.rpc('refresh_bulk_upload_progress', { p_bulk_upload_id: bulkUploadId });
+    if (error) throw new Error(error.message);
+};
+
+/**
+ * Store the rows of an upload and queue it
+ * @param {object} adminClient - Supabase client with the service role key
+ * @param {string} bulkUploadId - bulk_uploads.id
+ * @param {Array<object>} rows - Parsed CSV rows
+ * @param {Array<object>|null} parseErrors - Lines the parser could not read
+ * @param {string} mode - 'create' or 'sync'
+ */
+export const enqueueBulkUpload = async (adminClient, bulkUploadId, rows, parseErrors = null, mode = 'create') => {
+    for (let start = 0; start < rows.length; start += ROW_INSERT_BATCH) {
+        const batch = rows.slice(start, start + ROW_INSERT_BATCH).map((data, index) => ({
+            bulk_upload_id: bulkUploadId,
+            row_number: start + index + 1,
+            data
+        }));
+
+        const { error } = await adminClient.from('bulk_upload_rows').insert(batch);
+        if (error) throw new Error(error.message);
+    }
+
+    const { error } = await adminClient
+        .from('bulk_uploads')
+        .update({
+            status: 'queued',
+            mode,
+            total_records: rows.length,
+            successful_records: 0,
+            failed_records: 0,
+            processed_records: 0,
+            cancel_requested: false,
+            attempts: 1,
+            error_log: parseErrors ? { parse_errors: parseErrors } : null,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', bulkUploadId);
+    if (error) throw new Error(error.message);
+};
+
+/**
+ * Send the failed (and cancelled) rows of an upload back to the queue,
+ * along with any rows an upload that stopped on an error left pending
+ * @param {object} adminClient - Supabase client with the service role key
+ * @param {object} upload - bulk_uploads row
+ * @returns {Promise<number>} - Number of rows queued again
+ */
+export const retryBulkUploadRows = async (adminClient, upload) => {
+    const { error } = await adminClient
+        .from('bulk_upload_rows')
+        .update({ status: 'pending', error: null, action: null, changes: null })
+        .eq('bulk_upload_id', upload.id)
+        .in('status', ['failed', 'cancelled']);
+    if (error) throw new Error(error.message);
+
+    const { count: pending, error: pendingError } = await adminClient
+        .from('bulk_upload_rows')
+        .select('id', { count: 'exact', head: true })
+        .eq('bulk_upload_id', upload.id)
+        .eq('status', 'pending');
+    if (pendingError) throw new Error(pendingError.message);
+
+    if (!pending) return 0;
+
+    const { error: updateError } = await adminClient
+        .from('bulk_uploads')
+        .update({
+            status: 'queued',
+            cancel_requested: false,
+            completed_at: null,
+            attempts: (upload.attempts || 1) + 1,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', upload.id);
+    if (updateError) throw new Error(updateError.message);
+
+    await refreshProgress(adminClient, upload.id);
+    return pending;
+};
+
+/**
+ * Stop an upload. Rows that were not processed yet are marked cancelled.
+ * @param {object} adminClient - Supabase client with the service role key
+ * @param {string} bulkUploadId - bulk_uploads.id
+ */
+export const finishCancelledUpload = async (adminClient, bulkUploadId) => {
+    const { error } = await adminClient
+        .from('bulk_upload_rows')
+        .update({ status: 'cancelled' })
+        .eq('bulk_upload_id', bulkUploadId)
+        .eq('status', 'pending');
+    if (error) throw new Error(error.message);
+
+    const { error: uploadError } = await adminClient
+        .from('bulk_uploads')
+        .update({ status: 'cancelled', completed_at: new Date().toISOString() })
+        .eq('id', bulkUploadId);
+    if (uploadError) throw new Error(uploadError.message);
+    await refreshProgress(adminClient, bulkUploadId);
+};
+
+// Keeps the IN (...) lists of the lookups to a reasonable URL length
+const LOOKUP_BATCH = 200;
+
+/**
+ * Emails and student IDs among these rows that are already registered.
+ * Emails are checked against every account, student IDs within the university.
+ * @param {object} adminClient - Supabase client with the service role key
+ * @param {string} universityId - University profile ID
+ * @param {Array<object>} studentsData - CSV rows
+ * @returns {Promise<object>} - { emails: Set<string>, studentIds: Set<string> } (lowercased)
+ */
+export const findExistingStudents = async (adminClient, universityId, studentsData) => {
+    const emails = [...new Set(studentsData.map(r => r.email?.trim().toLowerCase()).filter(Boolean))];
+    const studentIds = [...new Set(studentsData.map(r => r.student_id?.trim()).filter(Boolean))];
+    const existing = { emails: new Set(), studentIds: new Set() };
+
+    for (let start = 0; start < emails.length; start += LOOKUP_BATCH) {
+        const batch = emails.slice(start, start + LOOKUP_BATCH);
+        const [students, profiles] = await Promise.all([
+            adminClient.from('students').select('email').in('email', batch),
+            adminClient.from('profiles').select('email').in('email', batch)
+        ]);
+        if (students.error) throw new Error(students.error.message);
+        if (profiles.error) throw new Error(profiles.error.message);
+
+        [...(students.data || []), ...(profiles.data || [])].forEach(r => {
+            if (r.email) existing.emails.add(r.email.toLowerCase());
+        });
+    }
+
+    for (let start = 0; start < studentIds.length; start += LOOKUP_BATCH) {
+        const { data, error } = await adminClient
+            .from('students')
+            .select('student_id')
+            .eq('university_id', universityId)
+            .in('student_id', studentIds.slice(start, start + LOOKUP_BATCH));
+        if (error) throw new Error(error.message);
+
+        (data || []).forEach(r => {
+            if (r.student_id) existing.studentIds.add(r.student_id.toLowerCase());
+        });
+    }
+
+    return existing;
+};
+
+/**
+ * Create the auth user, student record and profile for one CSV row.
+ * Whatever was created is rolled back when a later step fails.
+ * @param {object} adminClient - Supabase client with the service role key
+ * @param {string} universityId - University profile ID
+ * @param {object} studentData - CSV row
+ * @param {object} existing - Result of findExistingStudents; updated as rows are created
+ * @returns {Promise<object>} - { student, error }
+ */
+export const importStudentRow = async (adminClient, universityId, studentData, existing) => {
+    const studentEmail = studentData.email?.trim().toLowerCase();
+
+    const validation = validateStudentCSV(studentData);
+    if (!validation.valid) return { student: null, error: validation.error };
+
+    if (existing.emails.has(studentEmail)) {
+        return { student: null, error: 'Email is already registered' };
+    }
+
+    const studentKey = studentData.student_id.trim().toLowerCase();
+    if (existing.studentIds.has(studentKey)) {
+        return { student: null, error: 'Student ID is already registered at this university' };
+    }
+
+    // No password: the student sets one from the activation link
+    const { data: authData, error: authError } = await adminClient.auth.admin.createUser({
+        email: studentEmail,
+        email_confirm: true,
+        user_metadata: {
+            role: 'student',
+            full_name: studentData.name.trim()
+        }
+    });
+
+    if (authError) {
+        const errorMsg = authError.message?.toLowerCase() || '';
+        if (errorMsg.includes('already exists') || errorMsg.includes('user already registered') || errorMsg.includes('already been registered')) {
+            return { student: null, error: 'Email already exists in system' };
+        }
+        return { student: null, error: authError.message };
+    }
+
+    if (!authData?.user?.id) {
+        return { student: null, error: 'Failed to create auth user: no user ID returned' };
+    }
+
+    const userId = authData.user.id;
+    const rollbackAuthUser = () => adminClient.auth.admin.deleteUser(userId).catch(() => {
+        console.warn(`[Bulk Import] Failed to rollback auth user ${userId}`);
+    });
+
+    const { data: student, error: studentError } = await adminClient
+        .from('students')
+        .insert({
+            user_id: userId,
+            university_id: universityId,
+            name: studentData.name.trim(),
+            email: studentEmail,
+            student_id: studentData.student_id.trim(),
+            batch: studentData.batch ? parseInt(studentData.batch) : null,
+            degree_program: studentData.degree_program ? studentData.degree_program.trim() : null,
+            semester: studentData.semester ? parseInt(studentData.semester) : null,
+            phone: studentData.phone ? studentData.phone.trim() : null,
+            cgpa: studentData.cgpa ? Number(studentData.cgpa) : null
+        })
+        .select()
+        .single();
+
+    if (studentError) {
+        await rollbackAuthUser();
+        return { student: null, error: studentError.message };
+    }
+
+    const { error: profileError } = await adminClient
+        .from('profiles')
+        .upsert({
+            id: userId,
+            role: 'student',
+            email: studentEmail,
+            university_id: universityId,
+            full_name: studentData.name.trim()
+        }, {
+            onConflict: 'id'
+        });
+
+    if (profileError) {
+        await adminClient.from('students').delete().eq('user_id', userId);
+        await rollbackAuthUser();
+        return { student: null, error: `Profile creation failed: ${profileError.message}` };
+    }
+
+    existing.emails.add(studentEmail);
+    existing.studentIds.add(studentKey);
+
+    // The account exists either way; a failed email can be resent from the Students page
+    const { error: inviteError } = await sendStudentInvitation(adminClient, student, { createdBy: universityId });
+    if (inviteError) {
+        console.warn(`[Bulk Import] Invitation not sent to ${studentEmail}: ${inviteError}`);
+    }
+
+    return { student, error: null };
+};
+
+// Splits a lookup list into LOOKUP_BATCH sized pieces
+const chunk = (values) => {
+    const batches = [];
+    for (let start = 0; start < values.length; start += LOOKUP_BATCH) {
+        batches.push(values.slice(start, start + LOOKUP_BATCH));
+    }
+    return batches;
+};
+
+/**
+ * The university's students that the rows of a sync refer to, by student ID or email
+ * @param {object} adminClient - Supabase client with the service role key
+ * @param {string} universityId - University profile ID
+ * @param {Array<object>} studentsData - CSV rows
+ * @returns {Promise<object>} - Result of indexStudents
+ */
+export const findStudentsForSync = async (adminClient, universityId, studentsData) => {
+    const emails = [...new Set(studentsData.map(r => r.email?.trim().toLowerCase()).filter(Boolean))];
+    const studentIds = [...new Set(studentsData.map(r => r.student_id?.trim()).filter(Boolean))];
+    const students = new Map();
+
+    const lookups = [
+        ...chunk(emails).map(batch => ['email', batch]),
+        ...chunk(studentIds).map(batch => ['student_id', batch])
+    ];
+    for (const [column, batch] of lookups) {
+        const { data, error } = await adminClient
+            .from('students')
+            .select(SYNC_STUDENT_COLUMNS)
+            .eq('university_id', universityId)
+            .in(column, batch);
+        if (error) throw new Error(error.message);
+        (data || []).forEach(student => students.set(student.id, student));
+    }
+
+    return indexStudents([...students.values()]);
+};
+
+/**
+ * Apply one row of a sync: update the changed fields and the active flag of
+ * an existing student, or create the student when there is no match.
+ * The profile is updated first so a retry after a partial failure still
+ * sees the student row unchanged and applies the row again.
+ * @param {object} adminClient - Supabase client with the service role key
+ * @param {string} universityId - University profile ID
+ * @param {object} studentData - CSV row
+ * @param {object} index - Result of findStudentsForSync; updated as rows are applied
+ * @param {object} existing - Result of findExistingStudents, for creates
+ * @returns {Promise<object>} - { student, action, changes, error }
+ */
+export const syncStudentRow = async (adminClient, universityId, studentData, index, existing) => {
+    const plan = planSyncRow(studentData, index);
+    if (plan.action === 'error') return { student: null, action: null, changes: null, error: plan.reason };
+
+    if (plan.action === 'create') {
+        const { student, error } = await importStudentRow(adminClient, universityId, studentData, existing);
+        if (student) updateIndex(index, student);
+        return { student, action: error ? null : 'create', changes: null, error };
+    }
+
+    const { student, action, changes } = plan;
+    const now = new Date().toISOString();
+    const studentUpdate = Object.entries(changes).reduce((update, [field, change]) => {
+        update[field] = change.to;
+        return update;
+    }, {});
+    const profileUpdate = {};
+    if (changes.name) profileUpdate.full_name = changes.name.to;
+
+    // Deactivated students cannot sign in (profiles.is_active is checked at login)
+    if (action === 'deactivate') {
+        studentUpdate.is_active = false;
+        studentUpdate.deactivated_at = now;
+        profileUpdate.is_active = false;
+    } else if (action === 'reactivate') {
+        studentUpdate.is_active = true;
+        studentUpdate.deactivated_at = null;
+        profileUpdate.is_active = true;
+    }
+
+    if (Object.keys(studentUpdate).length === 0) return { student, action, changes, error: null };
+
+    if (Object.keys(profileUpdate).length > 0) {
+        const { error: profileError } = await adminClient
+            .from('profiles')
+            .update({ ...profileUpdate, updated_at: now })
+            .eq('id', student.user_id);
+        if (profileError) return { student: null, action: null, changes: null, error: `Profile update failed: ${profileError.message}` };
+    }
+
+    const { data: updated, error } = await adminClient
+        .from('students')
+        .update({ ...studentUpdate, updated_at: now })
+        .eq('id', student.id)
+        .select(SYNC_STUDENT_COLUMNS)
+        .single();
+    if (error) return { student: null, action: null, changes: null, error: error.message };
+
+    updateIndex(index, updated, student);
+    return { student: updated, action, changes, error: null };
+};
+
+/**
+ * Write the per-row outcome of a sync to bulk_uploads.error_log:
+ * { parse_errors, mode, summary: { create, update, ... }, changes: [...] }.
+ * Unchanged rows are only counted.
+ * @param {object} adminClient - Supabase client with the service role key
+ * @param {object} upload - bulk_uploads row
+ */
+const writeSyncReport = async (adminClient, upload) => {
+    const summary = { create: 0, update: 0, deactivate: 0, reactivate: 0, unchanged: 0, failed: 0 };
+    const changes = [];
+
+    for (let from = 0; ; from += ROW_INSERT_BATCH) {
+        const { data: rows, error } = await adminClient
+            .from('bulk_upload_rows')
+            .select('row_number, data, status, action, changes, error')
+            .eq('bulk_upload_id', upload.id)
+            .in('status', ['succeeded', 'failed'])
+            .order('row_number', { ascending: true })
+            .range(from, from + ROW_INSERT_BATCH - 1);
+        if (error) throw new Error(error.message);
+
+        (rows || []).forEach(row => {
+            const action = row.status === 'failed' ? 'failed' : row.action;
+            if (summary[action] !== undefined) summary[action] += 1;
+            if (action === 'unchanged') return;
+            changes.push({
+                row: row.row_number,
+                student_id: row.data?.student_id || null,
+                email: row.data?.email || null,
+                action,
+                changes: row.changes || null,
+                error: row.error || null
+            });
+        });
+        if (!rows || rows.length < ROW_INSERT_BATCH) break;
+    }
+
+    const { error } = await adminClient
+        .from('bulk_uploads')
+        .update({
+            error_log: {
+                ...(upload.error_log?.parse_errors ? { parse_errors: upload.error_log.parse_errors } : {}),
+                mode: 'sync',
+                summary,
+                changes
+            }
+        })
+        .eq('id', upload.id);
+    if (error) throw new Error(error.message);
+};
+
+/**
+ * Process the next chunk of pending rows of an upload
+ * @param {object} adminClient - Supabase client with the service role key
+ * @param {object} upload - bulk_uploads row
+ * @returns {Promise<boolean>} - Whether rows are left
+ */
+const processChunk = async (adminClient, upload) => {
+    const { data: rows, error } = await adminClient
+        .from('bulk_upload_rows')
+        .select('id, row_number, data, attempts')
+        .eq('bulk_upload_id', upload.id)
+        .eq('status', 'pending')
+        .order('row_number', { ascending: true })
+        .limit(BULK_IMPORT_CHUNK_SIZE);
+    if (error) throw new Error(error.message);
+
+    if (!rows || rows.length === 0) return false;
+
+    const chunkData = rows.map(r => r.data || {});
+    const existing = await findExistingStudents(adminClient, upload.university_id, chunkData);
+    const syncIndex = upload.mode === 'sync'
+        ? await findStudentsForSync(adminClient, upload.university_id, chunkData)
+        : null;
+
+    for (const row of rows) {
+        let result;
+        try {
+            result = syncIndex
+                ? await syncStudentRow(adminClient, upload.university_id, row.data || {}, syncIndex, existing)
+                : await importStudentRow(adminClient, upload.university_id, row.data || {}, existing);
+        } catch (err) {
+            result = { student: null, error: err.message || 'Unknown error' };
+        }
+
+        const { error: rowError } = await adminClient
+            .from('bulk_upload_rows')
+            .update({
+                status: result.error ? 'failed' : 'succeeded',
+                error: result.error,
+                action: result.error ? null : (result.action || 'create'),
+                changes: result.changes && Object.keys(result.changes).length > 0 ? result.changes : null,
+                student_id: result.student?.id || null,
+                attempts: (row.attempts || 0) + 1,
+                processed_at: new Date().toISOString()
+            })
+            .eq('id', row.id);
+        // Stop rather than pick the same row up again in the next chunk
+        if (rowError) throw new Error(`Failed to record row ${row.row_number}: ${rowError.message}`);
+    }
+
+    await refreshProgress(adminClient, upload.id);
+    return rows.length === BULK_IMPORT_CHUNK_SIZE;
+};
+
+/**
+ * Work through one upload chunk by chunk until it is done or cancelled
+ * @param {object} adminClient - Supabase client with the service role key
+ * @param {object} upload - bulk_uploads row
+ * @returns {Promise<string>} - Final status
+ */
+const processUpload = async (adminClient, upload) => {
+    if (upload.status === 'queued') {
+        const { error } = await adminClient
+            .from('bulk_uploads')
+            .update({ status: 'processing', started_at: upload.started_at || new Date().toISOString() })
+            .eq('id', upload.id);
+        if (error) throw new Error(error.message);
+    }
+
+    for (;;) {
+        // Cancellation is checked between chunks
+        const { data: current, error } = await adminClient
+            .from('bulk_uploads')
+            .select('cancel_requested')
+            .eq('id', upload.id)
+            .maybeSingle();
+        if (error) throw new Error(error.message);
+
+        if (!current) return 'deleted';
+        if (current.cancel_requested) {
+            await finishCancelledUpload(adminClient, upload.id);
+            if (upload.mode === 'sync') await writeSyncReport(adminClient, upload);
+            return 'cancelled';
+        }
+
+        const hasMore = await processChunk(adminClient, upload);
+        if (!hasMore) break;
+    }
+
+    const { error } = await adminClient
+        .from('bulk_uploads')
+        .update({ status: 'completed', completed_at: new Date().toISOString() })
+        .eq('id', upload.id);
+    if (error) throw new Error(error.message);
+    await refreshProgress(adminClient, upload.id);
+    if (upload.mode === 'sync') await writeSyncReport(adminClient, upload);
+    return 'completed';
+};
+
+/**
+ * Mark an upload that stopped on an error as failed. Rows already processed
+ * keep their outcome; the rest stay pending, so a retry picks them up.
+ * @param {object} adminClient - Supabase client with the service role key
+ * @param {object} upload - bulk_uploads row
+ * @param {string} message - What went wrong
+ */
+const failUpload = async (adminClient, upload, message) => {
+    const { error } = await adminClient
+        .from('bulk_uploads')
+        .update({
+            status: 'failed',
+            completed_at: new Date().toISOString(),
+            error_log: { ...(upload.error_log || {}), error: message },
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', upload.id);
+    if (error) throw new Error(`Could not mark upload ${upload.id} as failed: ${error.message}`);
+};
+
+/**
+ * Process every queued or interrupted upload, oldest first
+ * @param {object} adminClient - Supabase client with the service role key
+ * @returns {Promise<object>} - { processed: number, cancelled: number, failed: number }
+ */
+export const processBulkUploads = async (adminClient) => {
+    const summary = { processed: 0, cancelled: 0, failed: 0 };
+    const seen = new Set();
+
+    for (;;) {
+        const { data: upload, error } = await adminClient
+            .from('bulk_uploads')
+            .select('*')
+            .in('status', ACTIVE_STATUSES)
+            .order('created_at', { ascending: true })
+            .limit(1)
+            .maybeSingle();
+        if (error) throw new Error(error.message);
+        if (!upload) break;
+
+        // Every path through processUpload leaves the upload inactive, so
+        // seeing it again means a status write did not stick
+        if (seen.has(upload.id)) {
+            throw new Error(`Upload ${upload.id} is still ${upload.status} after being processed; stopping this run`);
+        }
+        seen.add(upload.id);
+
+        console.log(`[Bulk Import] Processing upload ${upload.id} (${upload.file_name})`);
+        let status;
+        try {
+            status = await processUpload(adminClient, upload);
+        } catch (err) {
+            // One broken upload must not hold up the ones queued behind it
+            console.error(`[Bulk Import] Upload ${upload.id} failed:`, err);
+            await failUpload(adminClient, upload, err.message || 'Unknown error');
+            summary.failed += 1;
+            continue;
+        }
+        if (status === 'cancelled') summary.cancelled += 1;
+        else summary.processed += 1;
+        console.log(`[Bulk Import] Upload ${upload.id} ${status}`);
+    }
+
+    return summary;
+};
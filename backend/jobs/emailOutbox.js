@@ -0,0 +1,231 @@
+// ============================================
+// Email Outbox Job
+// Sends the emails queued in email_outbox (see database/add_email_outbox.sql).
+// Each send is retried in place with retryWithBackoff; an email that still
+// fails is tried again on a later run, waiting longer each time, until
+// max_attempts is reached.
+// ============================================
+
+import { retryWithBackoff } from '../utils/helpers.js';
+import { sendMail } from '../utils/mailer.js';
+import { EMAIL_TEMPLATES, renderEmail } from '../utils/emailTemplates.js';
+
+export const EMAIL_OUTBOX_JOB = 'email-outbox';
+
+export const EMAIL_OUTBOX_INTERVAL_MS =
+    Number(process.env.EMAIL_OUTBOX_INTERVAL_MS) || 30 * 1000;
+
+export const EMAIL_OUTBOX_BATCH_SIZE =
+    Number(process.env.EMAIL_OUTBOX_BATCH_SIZE) || 20;
+
+// Quick retries within one run (e.g. a dropped SMTP connection)
+const SEND_RETRIES = 2;
+const SEND_RETRY_DELAY_MS = 500;
+
+// Between runs: 1 minute, 2, 4, ... capped at 6 hours
+const FIRST_RETRY_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+// A 'sending' row this old was left behind by a restart
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+/**
+ * Wait before the next attempt of an email that has failed `attempts` times
+ * @param {number} attempts
+ * @returns {number} - Milliseconds
+ */
+export const nextAttemptDelayMs = (attempts) =>
+    Math.min(FIRST_RETRY_DELAY_MS * 2 ** Math.max(0, attempts - 1), MAX_RETRY_DELAY_MS);
+
+/**
+ * Queue an email
+ * @param {object} adminClient - Supabase client with the service role key
+ * @param {object} email - { template, to, userId, payload }
+ * @returns {Promise<object>} - { email, error }
+ */
+export const enqueueEmail = async (adminClient, { template, to, userId = null, payload = {} }) => {
+    if (!EMAIL_TEMPLATES[template]) return { email: null, error: `Unknown email template "${template}"` };
+    if (!to) return { email: null, error: 'Email needs a recipient' };
+
+    const { data, error } = await adminClient
+        .from('email_outbox')
+        .insert({
+            template,
+            to_email: to,
+            to_user_id: userId,
+            payload
+        })
+        .select('id, template, to_email, status, created_at')
+        .single();
+
+    if (error) return { email: null, error: error.message };
+    return { email: data, error: null };
+};
+
+/**
+ * Queue a failed email again with a fresh set of attempts
+ * @param {object} adminClient - Supabase client with the service role key
+ * @param {string} emailId - email_outbox.id
+ * @returns {Promise<object>} - { email, error }
+ */
+export const retryEmail = async (adminClient, emailId) => {
+    const { data, error } = await adminClient
+        .from('email_outbox')
+        .update({
+            status: 'pending',
+            attempts: 0,
+            next_attempt_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', emailId)
+        .eq('status', 'failed')
+        .select('id, status')
+        .maybeSingle();
+
+    if (error) return { email: null, error: error.message };
+    if (!data) return { email: null, error: 'Only failed emails can be retried' };
+    return { email: data, error: null };
+};
+
+/**
+ * Add the link of a sendTimeLink template to the payload. Sign-in and
+ * confirmation links are generated here, just before sending, so no
+ * working link is ever stored in email_outbox.
+ * @param {object} adminClient - Supabase client with the service role key
+ * @param {object} email - email_outbox row
+ * @returns {Promise<object>} - { payload, error, permanent }
+ */
+const withSendTimeLink = async (adminClient, email) => {
+    const type = EMAIL_TEMPLATES[email.template]?.sendTimeLink;
+    if (!type) return { payload: email.payload, error: null, permanent: false };
+    if (!email.to_user_id) return { payload: null, error: 'Email has no recipient account to link to', permanent: true };
+
+    const { data: userData, error: userError } = await adminClient.auth.admin.getUserById(email.to_user_id);
+    if (userError) return { payload: null, error: userError.message, permanent: false };
+    if (!userData?.user) return { payload: null, error: 'Recipient account no longer exists', permanent: true };
+    if (type === 'signup' && userData.user.email_confirmed_at) {
+        return { payload: null, error: 'Email address is already confirmed', permanent: true };
+    }
+
+    const { data, error } = await adminClient.auth.admin.generateLink({
+        type,
+        email: userData.user.email,
+        options: email.payload?.redirect_to ? { redirectTo: email.payload.redirect_to } : undefined
+    });
+    if (error || !data?.properties?.action_link) {
+        return { payload: null, error: error?.message || 'No link was generated', permanent: false };
+    }
+    return { payload: { ...email.payload, link: data.properties.action_link }, error: null, permanent: false };
+};
+
+/**
+ * Send one claimed email and record the outcome
+ * @param {object} adminClient - Supabase client with the service role key
+ * @param {object} email - email_outbox row
+ * @returns {Promise<string>} - 'sent' | 'retrying' | 'failed'
+ */
+const deliverEmail = async (adminClient, email) => {
+    const now = new Date();
+    const attempts = email.attempts + 1;
+    let subject = null;
+
+    try {
+        const linked = await withSendTimeLink(adminClient, email);
+        if (linked.error && !linked.permanent) throw new Error(linked.error);
+        const rendered = linked.error ? { error: linked.error } : renderEmail(email.template, linked.payload);
+
+        // A template that cannot render, or an account that cannot get a link,
+        // will not work next time either
+        if (rendered.error) {
+            await adminClient
+                .from('email_outbox')
+                .update({ status: 'failed', attempts, last_error: rendered.error, updated_at: now.toISOString() })
+                .eq('id', email.id);
+            return 'failed';
+        }
+        subject = rendered.subject;
+
+        const { messageId, transport } = await retryWithBackoff(
+            () => sendMail({ to: email.to_email, subject: rendered.subject, text: rendered.text, html: rendered.html }),
+            SEND_RETRIES,
+            SEND_RETRY_DELAY_MS
+        );
+
+        await adminClient
+            .from('email_outbox')
+            .update({
+                status: 'sent',
+                attempts,
+                subject,
+                transport,
+                message_id: messageId,
+                last_error: null,
+                sent_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', email.id);
+        return 'sent';
+    } catch (err) {
+        const giveUp = attempts >= email.max_attempts;
+        await adminClient
+            .from('email_outbox')
+            .update({
+                status: giveUp ? 'failed' : 'pending',
+                attempts,
+                subject,
+                last_error: err.message,
+                next_attempt_at: new Date(Date.now() + nextAttemptDelayMs(attempts)).toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', email.id);
+        console.warn(`[Email Outbox] ${email.template} to ${email.to_email} failed (attempt ${attempts}): ${err.message}`);
+        return giveUp ? 'failed' : 'retrying';
+    }
+};
+
+/**
+ * Send the emails that are due
+ * @param {object} adminClient - Supabase client with the service role key
+ * @returns {Promise<object>} - { sent, retrying, failed }
+ */
+export const processEmailOutbox = async (adminClient) => {
+    const summary = { sent: 0, retrying: 0, failed: 0 };
+
+    // Emails stuck in 'sending' after a restart go back in the queue
+    await adminClient
+        .from('email_outbox')
+        .update({ status: 'pending', updated_at: new Date().toISOString() })
+        .eq('status', 'sending')
+        .lt('updated_at', new Date(Date.now() - STALE_SENDING_MS).toISOString());
+
+    const { data: due, error } = await adminClient
+        .from('email_outbox')
+        .select('*')
+        .eq('status', 'pending')
+        .lte('next_attempt_at', new Date().toISOString())
+        .order('next_attempt_at', { ascending: true })
+        .limit(EMAIL_OUTBOX_BATCH_SIZE);
+
+    if (error) throw new Error(error.message);
+
+    for (const email of due || []) {
+        // Claim the row so a second process does not send it too
+        const { data: claimed, error: claimError } = await adminClient
+            .from('email_outbox')
+            .update({ status: 'sending', updated_at: new Date().toISOString() })
+            .eq('id', email.id)
+            .eq('status', 'pending')
+            .select('id');
+
+        if (claimError) throw new Error(claimError.message);
+        if (!claimed || claimed.length === 0) continue;
+
+        const outcome = await deliverEmail(adminClient, email);
+        summary[outcome] += 1;
+    }
+
+    if (summary.sent + summary.retrying + summary.failed > 0) {
+        console.log(`Email outbox: sent ${summary.sent}, retrying ${summary.retrying}, failed ${summary.failed}`);
+    }
+    return summary;
+};
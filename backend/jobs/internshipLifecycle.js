@@ -0,0 +1,32 @@
+// ============================================
+// Internship Lifecycle Job
+// Closes postings whose deadline has passed or whose openings are filled.
+// The software house is notified by trigger_notify_internship_closed.
+// ============================================
+
+export const INTERNSHIP_LIFECYCLE_JOB = 'close-due-internships';
+
+// Every 15 minutes unless INTERNSHIP_LIFECYCLE_INTERVAL_MS is set
+export const INTERNSHIP_LIFECYCLE_INTERVAL_MS =
+    Number(process.env.INTERNSHIP_LIFECYCLE_INTERVAL_MS) || 15 * 60 * 1000;
+
+/**
+ * Close due postings
+ * @param {object} adminClient - Supabase client with the service role key
+ * @returns {Promise<object>} - { closed: number, filled: number }
+ */
+export const closeDueInternships = async (adminClient) => {
+    const { data, error } = await adminClient.rpc('close_due_internships');
+    if (error) throw new Error(error.message);
+
+    const rows = data || [];
+    const summary = {
+        closed: rows.filter(r => r.posting_status === 'closed').length,
+        filled: rows.filter(r => r.posting_status === 'filled').length
+    };
+
+    if (rows.length > 0) {
+        console.log(`Internship lifecycle: closed ${summary.closed}, filled ${summary.filled}`);
+    }
+    return summary;
+};
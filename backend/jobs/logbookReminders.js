@@ -0,0 +1,28 @@
+// ============================================
+// Logbook Reminder Job
+// Reminds interns of ongoing placements about overdue weekly logs through
+// the notifications table. send_logbook_reminders() sends at most one
+// reminder per placement a week (see database/add_logbook.sql).
+// ============================================
+
+export const LOGBOOK_REMINDER_JOB = 'logbook-reminders';
+
+// Every 6 hours unless LOGBOOK_REMINDER_INTERVAL_MS is set
+export const LOGBOOK_REMINDER_INTERVAL_MS =
+    Number(process.env.LOGBOOK_REMINDER_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+
+/**
+ * Send due logbook reminders
+ * @param {object} adminClient - Supabase client with the service role key
+ * @returns {Promise<object>} - { reminded: number }
+ */
+export const sendLogbookReminders = async (adminClient) => {
+    const { data, error } = await adminClient.rpc('send_logbook_reminders');
+    if (error) throw new Error(error.message);
+
+    const reminded = Number(data) || 0;
+    if (reminded > 0) {
+        console.log(`Logbook reminders: reminded ${reminded} intern(s)`);
+    }
+    return { reminded };
+};
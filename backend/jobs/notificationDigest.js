@@ -0,0 +1,140 @@
+// ============================================
+// Notification Digest Job
+// Emails each user who chose a daily or weekly digest, or gets one by the
+// registry default, the unread notifications of those types that were not in
+// an earlier digest (see database/add_notification_preferences.sql and
+// notification_digest_subscriptions() in add_notification_type_registry.sql).
+// The email itself goes through the outbox.
+// ============================================
+
+import { enqueueEmail } from './emailOutbox.js';
+import { isDigestDue } from '../utils/notificationPreferences.js';
+import { fetchNotificationTypes } from '../utils/notificationTypes.js';
+
+export const NOTIFICATION_DIGEST_JOB = 'notification-digest';
+
+// Hourly unless NOTIFICATION_DIGEST_INTERVAL_MS is set; digests are only
+// sent once their scheduled time has passed
+export const NOTIFICATION_DIGEST_INTERVAL_MS =
+    Number(process.env.NOTIFICATION_DIGEST_INTERVAL_MS) || 60 * 60 * 1000;
+
+// Items listed in one email; the rest are counted
+const MAX_DIGEST_ITEMS = 50;
+
+/**
+ * Send one user's digest
+ * @param {object} adminClient - Supabase client with the service role key
+ * @param {object} digest - { userId, frequency, types }
+ * @param {Map<string, string>} labels - Registry label by type
+ * @returns {Promise<number>} - Notifications included
+ */
+const sendDigest = async (adminClient, { userId, frequency, types }, labels) => {
+    const { data: profile, error: profileError } = await adminClient
+        .from('profiles')
+        .select('email, full_name, organization_name')
+        .eq('id', userId)
+        .maybeSingle();
+
+    if (profileError) throw new Error(profileError.message);
+
+    const { data: items, error, count } = await adminClient
+        .from('notifications')
+        .select('id, type, title, message, created_at', { count: 'exact' })
+        .eq('user_id', userId)
+        .in('type', types)
+        .eq('is_read', false)
+        .is('digested_at', null)
+        .order('created_at', { ascending: false })
+        .limit(MAX_DIGEST_ITEMS);
+
+    if (error) throw new Error(error.message);
+
+    if (profile?.email && items && items.length > 0) {
+        const { error: queueError } = await enqueueEmail(adminClient, {
+            template: 'notification_digest',
+            to: profile.email,
+            userId,
+            payload: {
+                name: profile.full_name || profile.organization_name,
+                frequency,
+                total: count ?? items.length,
+                items: items.map(({ type, title, message, created_at }) => ({ type, label: labels.get(type) || type, title, message, created_at }))
+            }
+        });
+        if (queueError) throw new Error(queueError);
+
+        const { error: markError } = await adminClient
+            .from('notifications')
+            .update({ digested_at: new Date().toISOString() })
+            .in('id', items.map(n => n.id));
+
+        if (markError) throw new Error(markError.message);
+    }
+
+    // Recorded even when there was nothing to send, so the next digest
+    // covers only what arrives after this one
+    const { error: runError } = await adminClient
+        .from('notification_digest_runs')
+        .upsert({ user_id: userId, frequency, last_sent_at: new Date().toISOString() }, { onConflict: 'user_id,frequency' });
+
+    if (runError) throw new Error(runError.message);
+    return items?.length || 0;
+};
+
+/**
+ * Queue the digests that are due
+ * @param {object} adminClient - Supabase client with the service role key
+ * @returns {Promise<object>} - { digests, notifications, failed }
+ */
+export const sendNotificationDigests = async (adminClient) => {
+    const summary = { digests: 0, notifications: 0, failed: 0 };
+    const now = new Date();
+
+    const { data: subscriptions, error } = await adminClient.rpc('notification_digest_subscriptions');
+
+    if (error) throw new Error(error.message);
+    if (!subscriptions || subscriptions.length === 0) return summary;
+
+    // One digest per user and frequency, covering the types that chose it
+    const digests = new Map();
+    for (const sub of subscriptions) {
+        const key = `${sub.user_id}:${sub.frequency}`;
+        if (!digests.has(key)) digests.set(key, { userId: sub.user_id, frequency: sub.frequency, types: [] });
+        digests.get(key).types.push(sub.type);
+    }
+
+    const userIds = [...new Set(subscriptions.map(s => s.user_id))];
+    const { data: runs, error: runsError } = await adminClient
+        .from('notification_digest_runs')
+        .select('user_id, frequency, last_sent_at')
+        .in('user_id', userIds);
+
+    if (runsError) throw new Error(runsError.message);
+
+    const lastSent = new Map((runs || []).map(r => [`${r.user_id}:${r.frequency}`, r.last_sent_at]));
+
+    const { types: registry, error: registryError } = await fetchNotificationTypes(adminClient);
+    if (registryError) throw new Error(registryError);
+    const labels = new Map(registry.map(t => [t.type, t.label]));
+
+    for (const [key, digest] of digests) {
+        if (!isDigestDue(digest.frequency, lastSent.get(key), now)) continue;
+
+        try {
+            const included = await sendDigest(adminClient, digest, labels);
+            if (included > 0) {
+                summary.digests += 1;
+                summary.notifications += included;
+            }
+        } catch (err) {
+            // Left due, so the next run tries this user again
+            summary.failed += 1;
+            console.warn(`[Notification Digest] ${digest.frequency} digest for ${digest.userId} failed: ${err.message}`);
+        }
+    }
+
+    if (summary.digests + summary.failed > 0) {
+        console.log(`Notification digest: queued ${summary.digests} (${summary.notifications} notifications), failed ${summary.failed}`);
+    }
+    return summary;
+};
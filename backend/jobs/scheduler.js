@@ -0,0 +1,84 @@
+// ============================================
+// Background Job Scheduler
+// Runs registered jobs on a fixed interval inside the API process
+// ============================================
+
+const jobs = new Map();
+
+/**
+ * Register a job
+ * @param {string} name - Unique job name
+ * @param {object} options - { intervalMs, run: async () => any, runOnStart }
+ */
+export const registerJob = (name, { intervalMs, run, runOnStart = true }) => {
+    if (jobs.has(name)) throw new Error(`Job "${name}" is already registered`);
+    if (!intervalMs || intervalMs < 1000) throw new Error(`Job "${name}" needs an interval of at least one second`);
+
+    jobs.set(name, {
+        name,
+        intervalMs,
+        run,
+        runOnStart,
+        timer: null,
+        running: false,
+        lastRunAt: null,
+        lastError: null
+    });
+};
+
+/**
+ * Run a job once now. A run that is still in progress is not started again.
+ * @param {string} name - Job name
+ * @returns {Promise<object>} - { result, error }
+ */
+export const runJob = async (name) => {
+    const job = jobs.get(name);
+    if (!job) return { result: null, error: `Job "${name}" not found` };
+    if (job.running) return { result: null, error: `Job "${name}" is already running` };
+
+    job.running = true;
+    try {
+        const result = await job.run();
+        job.lastError = null;
+        return { result, error: null };
+    } catch (error) {
+        console.error(`Job ${name} error:`, error);
+        job.lastError = error.message;
+        return { result: null, error: error.message };
+    } finally {
+        job.running = false;
+        job.lastRunAt = new Date().toISOString();
+    }
+};
+
+/**
+ * Start every registered job
+ */
+export const startScheduler = () => {
+    jobs.forEach((job) => {
+        if (job.timer) return;
+        job.timer = setInterval(() => runJob(job.name), job.intervalMs);
+        // Do not keep the process alive just for the scheduler
+        job.timer.unref?.();
+        if (job.runOnStart) runJob(job.name);
+    });
+};
+
+/**
+ * Stop every registered job
+ */
+export const stopScheduler = () => {
+    jobs.forEach((job) => {
+        clearInterval(job.timer);
+        job.timer = null;
+    });
+};
+
+/**
+ * Status of the registered jobs
+ * @returns {Array} - [{ name, intervalMs, running, lastRunAt, lastError }]
+ */
+export const listJobs = () =>
+    [...jobs.values()].map(({ name, intervalMs, running, lastRunAt, lastError }) => ({
+        name, intervalMs, running, lastRunAt, lastError
+    }));
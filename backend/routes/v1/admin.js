@@ -0,0 +1,75 @@
+// ============================================
+// API v1 - Admin Review (FR-07, UC-07)
+// ============================================
+
+import { Router } from 'express';
+import * as adminService from '../../services/adminService.js';
+import { requireRole, sendResult, handle } from './helpers.js';
+
+const router = Router();
+
+router.use(requireRole('admin'));
+
+const REVIEW_ACTIONS = ['approve', 'reject'];
+
+// Validate { action, feedback } for review routes
+const readReview = (req, res) => {
+    const { action, feedback } = req.body || {};
+    if (!REVIEW_ACTIONS.includes(action)) {
+        res.status(400).json({ error: 'Invalid action. Must be "approve" or "reject"' });
+        return null;
+    }
+    return { action, feedback: feedback || null };
+};
+
+router.get('/pending', handle('ADMIN_PENDING_ERROR', async (req, res) => {
+    sendResult(res, await adminService.getPendingItems());
+}));
+
+router.get('/stats', handle('ADMIN_STATS_ERROR', async (req, res) => {
+    sendResult(res, await adminService.getPlatformStats());
+}));
+
+router.get('/logs', handle('ADMIN_LOGS_ERROR', async (req, res) => {
+    sendResult(res, await adminService.getAdminLogs(req.query));
+}));
+
+router.post('/internships/:id/review', handle('ADMIN_REVIEW_ERROR', async (req, res) => {
+    const review = readReview(req, res);
+    if (!review) return;
+    sendResult(res, await adminService.reviewInternship(req.params.id, review.action, review.feedback));
+}));
+
+// Edits to approved internships waiting for review
+router.get('/internship-revisions', handle('ADMIN_REVISIONS_ERROR', async (req, res) => {
+    sendResult(res, await adminService.getPendingInternshipRevisions());
+}));
+
+router.post('/internship-revisions/:id/review', handle('ADMIN_REVIEW_ERROR', async (req, res) => {
+    const review = readReview(req, res);
+    if (!review) return;
+    sendResult(res, await adminService.reviewInternshipRevision(req.params.id, review.action, review.feedback));
+}));
+
+// Which internship edits skip review
+router.get('/internship-review-settings', handle('ADMIN_SETTINGS_ERROR', async (req, res) => {
+    sendResult(res, await adminService.getInternshipReviewSettings());
+}));
+
+router.put('/internship-review-settings', handle('ADMIN_SETTINGS_ERROR', async (req, res) => {
+    sendResult(res, await adminService.updateInternshipReviewSettings(req.body || {}));
+}));
+
+router.post('/software-houses/:id/review', handle('ADMIN_REVIEW_ERROR', async (req, res) => {
+    const review = readReview(req, res);
+    if (!review) return;
+    sendResult(res, await adminService.reviewSoftwareHouse(req.params.id, review.action, review.feedback));
+}));
+
+router.post('/guests/:id/review', handle('ADMIN_REVIEW_ERROR', async (req, res) => {
+    const review = readReview(req, res);
+    if (!review) return;
+    sendResult(res, await adminService.reviewGuest(req.params.id, review.action, review.feedback));
+}));
+
+export default router;
@@ -0,0 +1,38 @@
+// ============================================
+// API v1 - Applications (FR-04, UC-04)
+// ============================================
+
+import { Router } from 'express';
+import * as applicationService from '../../services/applicationService.js';
+import { requireRole, sendResult, handle } from './helpers.js';
+
+const router = Router();
+
+// Caller's own applications (?status=)
+router.get('/', requireRole('student', 'guest'), handle('APPLICATION_LIST_ERROR', async (req, res) => {
+    sendResult(res, await applicationService.getUserApplications({ status: req.query.status }));
+}));
+
+// Pipeline stages and allowed transitions
+router.get('/pipeline', handle('APPLICATION_PIPELINE_ERROR', async (req, res) => {
+    sendResult(res, await applicationService.getPipelineConfig());
+}));
+
+router.get('/:id', handle('APPLICATION_GET_ERROR', async (req, res) => {
+    sendResult(res, await applicationService.getApplicationById(req.params.id));
+}));
+
+router.get('/:id/history', handle('APPLICATION_HISTORY_ERROR', async (req, res) => {
+    sendResult(res, await applicationService.getApplicationStageHistory(req.params.id));
+}));
+
+// Move an application to another pipeline stage ({ status, feedback })
+router.patch('/:id/status', requireRole('software_house', 'student', 'guest'), handle('APPLICATION_STATUS_ERROR', async (req, res) => {
+    const { status, feedback } = req.body || {};
+    if (!status) {
+        return res.status(400).json({ error: 'Missing required field: status' });
+    }
+    sendResult(res, await applicationService.updateApplicationStatus(req.params.id, status, feedback || null));
+}));
+
+export default router;
@@ -0,0 +1,71 @@
+// ============================================
+// API v1 - CV Forms (FR-05, UC-05)
+// ============================================
+
+import { Router } from 'express';
+import * as cvService from '../../services/cvService.js';
+import { requireRole, sendResult, handle } from './helpers.js';
+
+const router = Router();
+
+// Caller's own CV form
+router.get('/', requireRole('student', 'guest'), handle('CV_GET_ERROR', async (req, res) => {
+    sendResult(res, await cvService.getCVForm());
+}));
+
+router.put('/', requireRole('student', 'guest'), handle('CV_SAVE_ERROR', async (req, res) => {
+    sendResult(res, await cvService.saveCVForm(req.body || {}));
+}));
+
+router.get('/status', requireRole('student', 'guest'), handle('CV_STATUS_ERROR', async (req, res) => {
+    const { cvForm, ...status } = await cvService.isCVComplete(req.auth.user.id);
+    sendResult(res, status);
+}));
+
+router.get('/preview', requireRole('student', 'guest'), handle('CV_PREVIEW_ERROR', async (req, res) => {
+    sendResult(res, await cvService.generateCVPreview(req.auth.user.id));
+}));
+
+// Named CV versions
+router.get('/versions', requireRole('student', 'guest'), handle('CV_VERSION_LIST_ERROR', async (req, res) => {
+    sendResult(res, await cvService.listCVVersions());
+}));
+
+router.post('/versions', requireRole('student', 'guest'), handle('CV_VERSION_SAVE_ERROR', async (req, res) => {
+    sendResult(res, await cvService.saveCVVersion(req.body || {}), 201);
+}));
+
+// Field-level diff between two versions (?with=<otherVersionId>)
+router.get('/versions/:id/compare', requireRole('student', 'guest'), handle('CV_VERSION_COMPARE_ERROR', async (req, res) => {
+    if (!req.query.with) {
+        return res.status(400).json({ error: 'Query parameter "with" is required' });
+    }
+    sendResult(res, await cvService.compareCVVersions(req.params.id, req.query.with));
+}));
+
+router.get('/versions/:id/history', requireRole('student', 'guest'), handle('CV_VERSION_HISTORY_ERROR', async (req, res) => {
+    sendResult(res, await cvService.getCVVersionHistory(req.params.id));
+}));
+
+router.get('/versions/:id', requireRole('student', 'guest'), handle('CV_VERSION_GET_ERROR', async (req, res) => {
+    sendResult(res, await cvService.getCVVersion(req.params.id));
+}));
+
+router.put('/versions/:id', requireRole('student', 'guest'), handle('CV_VERSION_SAVE_ERROR', async (req, res) => {
+    sendResult(res, await cvService.saveCVVersion(req.body || {}, req.params.id));
+}));
+
+router.post('/versions/:id/default', requireRole('student', 'guest'), handle('CV_VERSION_DEFAULT_ERROR', async (req, res) => {
+    sendResult(res, await cvService.setDefaultCVVersion(req.params.id));
+}));
+
+router.delete('/versions/:id', requireRole('student', 'guest'), handle('CV_VERSION_DELETE_ERROR', async (req, res) => {
+    sendResult(res, await cvService.deleteCVVersion(req.params.id));
+}));
+
+// Another user's CV form (software houses reviewing applicants, admins)
+router.get('/:userId', requireRole('software_house', 'admin'), handle('CV_GET_ERROR', async (req, res) => {
+    sendResult(res, await cvService.getCVFormByUserId(req.params.userId));
+}));
+
+export default router;
@@ -0,0 +1,68 @@
+// ============================================
+// API v1 Helpers
+// Shared middleware and response mapping for /api/v1 routers
+// ============================================
+
+/**
+ * Restrict a route to the given roles (req.auth is set by the v1 router)
+ * @param {...string} roles - Allowed roles
+ * @returns {function} - Express middleware
+ */
+export const requireRole = (...roles) => (req, res, next) => {
+    if (!roles.includes(req.auth?.role)) {
+        return res.status(403).json({
+            error: `Forbidden: ${roles.join(' or ')} role required`
+        });
+    }
+    next();
+};
+
+/**
+ * Map a service error message to an HTTP status code
+ * Services return plain messages, so this keys off their wording.
+ * @param {string} message - Error message from a service
+ * @returns {number} - HTTP status code
+ */
+export const statusForError = (message = '') => {
+    const text = message.toLowerCase();
+    if (text.includes('authentication required')) return 401;
+    if (text.startsWith('unauthorized') || text.startsWith('only ') || text.includes('forbidden')) return 403;
+    if (text.includes('not found') || text.includes('no rows')) return 404;
+    if (text.includes('already')) return 409;
+    return 400;
+};
+
+/**
+ * Send a service result ({ ..., error }) as a JSON response
+ * @param {object} res - Express response
+ * @param {object} result - Service result
+ * @param {number} successStatus - Status code on success
+ * @returns {object} - Express response
+ */
+export const sendResult = (res, result, successStatus = 200) => {
+    const { error, ...data } = result || {};
+    if (error) {
+        return res.status(statusForError(error)).json({ error });
+    }
+    return res.status(successStatus).json(data);
+};
+
+/**
+ * Wrap an async route handler so thrown errors become 500 responses
+ * @param {string} code - Error code for the response body
+ * @param {function} fn - Async route handler
+ * @returns {function} - Express route handler
+ */
+export const handle = (code, fn) => async (req, res) => {
+    try {
+        await fn(req, res);
+    } catch (err) {
+        console.error(`[API v1] ${req.method} ${req.originalUrl} error:`, err);
+        if (res.headersSent) return;
+        res.status(500).json({
+            error: err.message || 'Internal server error',
+            code,
+            details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+        });
+    }
+};
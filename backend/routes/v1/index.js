@@ -0,0 +1,58 @@
+// ============================================
+// API v1 Router
+// Versioned REST layer over the domain services.
+// Every request is authenticated with requireAuth; services then run
+// with a Supabase client scoped to the caller's access token.
+// ============================================
+
+import { Router } from 'express';
+import { createUserClient, runWithClient } from '../../config/supabase.js';
+import internshipsRouter from './internships.js';
+import applicationsRouter from './applications.js';
+import cvRouter from './cv.js';
+import studentsRouter from './students.js';
+import adminRouter from './admin.js';
+import recommendationsRouter from './recommendations.js';
+
+/**
+ * Build the /api/v1 router
+ * @param {object} options
+ * @param {function} options.requireAuth - (req, res) => { user, role, university_id } | null
+ * @param {object|null} options.supabaseAdmin - Service role client (optional)
+ * @returns {object} - Express router
+ */
+export const createV1Router = ({ requireAuth, supabaseAdmin = null }) => {
+    const router = Router();
+
+    router.use(async (req, res, next) => {
+        try {
+            const auth = await requireAuth(req, res);
+            if (!auth) return;
+
+            const token = req.headers.authorization.split(' ')[1];
+            req.auth = auth;
+            req.hasAdminClient = !!supabaseAdmin;
+            req.adminClient = supabaseAdmin;
+
+            const client = createUserClient(token, supabaseAdmin);
+            runWithClient(client, () => next());
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    router.use('/internships', internshipsRouter);
+    router.use('/applications', applicationsRouter);
+    router.use('/cv', cvRouter);
+    router.use('/students', studentsRouter);
+    router.use('/admin', adminRouter);
+    router.use('/recommendations', recommendationsRouter);
+
+    router.use((req, res) => {
+        res.status(404).json({ error: `Not found: ${req.method} ${req.originalUrl}` });
+    });
+
+    return router;
+};
+
+export default createV1Router;
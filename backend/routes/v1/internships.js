@@ -0,0 +1,94 @@
+// ============================================
+// API v1 - Internships (FR-03, UC-03)
+// ============================================
+
+import { Router } from 'express';
+import * as internshipService from '../../services/internshipService.js';
+import * as applicationService from '../../services/applicationService.js';
+import { requireRole, sendResult, handle } from './helpers.js';
+
+const router = Router();
+
+// Columns callers may never set directly (status changes go through admin review,
+// posting_status through the close/reopen routes and the lifecycle job)
+const PROTECTED_FIELDS = [
+    'id', 'status', 'software_house_id', 'approved_at', 'approved_by', 'created_at',
+    'posting_status', 'closed_at', 'closed_reason', 'revision', 'pending_revision_id'
+];
+
+const withoutProtectedFields = (body = {}) => {
+    const data = { ...body };
+    PROTECTED_FIELDS.forEach(field => delete data[field]);
+    return data;
+};
+
+// List approved internships (filters: location, skills, search, include_closed)
+router.get('/', handle('INTERNSHIP_LIST_ERROR', async (req, res) => {
+    const filters = { ...req.query };
+    if (typeof filters.skills === 'string') {
+        filters.skills = filters.skills.split(',').map(s => s.trim()).filter(Boolean);
+    }
+    sendResult(res, await internshipService.getApprovedInternships(filters));
+}));
+
+// Internships awaiting admin review
+router.get('/pending', requireRole('admin'), handle('INTERNSHIP_PENDING_ERROR', async (req, res) => {
+    sendResult(res, await internshipService.getPendingInternships());
+}));
+
+// Internships owned by the calling software house
+router.get('/mine', requireRole('software_house'), handle('INTERNSHIP_LIST_ERROR', async (req, res) => {
+    sendResult(res, await internshipService.getSoftwareHouseInternships(req.auth.user.id));
+}));
+
+router.get('/:id', handle('INTERNSHIP_GET_ERROR', async (req, res) => {
+    sendResult(res, await internshipService.getInternshipById(req.params.id));
+}));
+
+router.post('/', requireRole('software_house'), handle('INTERNSHIP_CREATE_ERROR', async (req, res) => {
+    sendResult(res, await internshipService.createInternship(withoutProtectedFields(req.body)), 201);
+}));
+
+// Edit a posting. Edits to an approved posting may be held for admin review;
+// the response's revision.status is 'applied' or 'pending'.
+router.patch('/:id', requireRole('software_house'), handle('INTERNSHIP_UPDATE_ERROR', async (req, res) => {
+    sendResult(res, await internshipService.updateInternship(req.params.id, withoutProtectedFields(req.body)));
+}));
+
+router.get('/:id/revisions', requireRole('software_house', 'admin'), handle('INTERNSHIP_REVISIONS_ERROR', async (req, res) => {
+    sendResult(res, await internshipService.getInternshipRevisions(req.params.id));
+}));
+
+router.delete('/:id', requireRole('software_house'), handle('INTERNSHIP_DELETE_ERROR', async (req, res) => {
+    sendResult(res, await internshipService.deleteInternship(req.params.id));
+}));
+
+// Stop taking applications
+router.post('/:id/close', requireRole('software_house'), handle('INTERNSHIP_CLOSE_ERROR', async (req, res) => {
+    sendResult(res, await internshipService.closeInternship(req.params.id));
+}));
+
+// Take applications again. Body: { application_deadline?, openings? }
+router.post('/:id/reopen', requireRole('software_house'), handle('INTERNSHIP_REOPEN_ERROR', async (req, res) => {
+    sendResult(res, await internshipService.reopenInternship(req.params.id, req.body || {}));
+}));
+
+// Apply for an internship
+// Body: { cv_version_id?, cover_letter?, answers?: { [questionId]: answer } }
+router.post('/:id/applications', requireRole('student', 'guest'), handle('APPLICATION_CREATE_ERROR', async (req, res) => {
+    sendResult(res, await applicationService.applyForInternship(req.params.id, {
+        cvVersionId: req.body?.cv_version_id,
+        coverLetter: req.body?.cover_letter,
+        answers: req.body?.answers
+    }), 201);
+}));
+
+// Applications received for an internship (?sort=score&min_score=60)
+router.get('/:id/applications', requireRole('software_house'), handle('APPLICATION_LIST_ERROR', async (req, res) => {
+    sendResult(res, await applicationService.getInternshipApplications(req.params.id, {
+        sort: req.query.sort,
+        minScore: req.query.min_score
+    }));
+}));
+
+export default router;
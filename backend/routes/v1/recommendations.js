@@ -0,0 +1,27 @@
+// ============================================
+// API v1 - Internship Recommendations
+// ============================================
+
+import { Router } from 'express';
+import * as recommendationService from '../../services/recommendationService.js';
+import { requireRole, sendResult, handle } from './helpers.js';
+
+const router = Router();
+
+router.use(requireRole('student', 'guest'));
+
+// Ranked approved internships (?limit=5&min_score=1&include_applied=true)
+router.get('/', handle('RECOMMENDATIONS_ERROR', async (req, res) => {
+    sendResult(res, await recommendationService.getRecommendedInternships({
+        limit: req.query.limit,
+        minScore: req.query.min_score,
+        includeApplied: req.query.include_applied === 'true'
+    }));
+}));
+
+// Match breakdown for a single internship
+router.get('/internships/:id', handle('RECOMMENDATION_MATCH_ERROR', async (req, res) => {
+    sendResult(res, await recommendationService.getInternshipMatch(req.params.id));
+}));
+
+export default router;
@@ -0,0 +1,45 @@
+// ============================================
+// API v1 - Students (FR-02, UC-02)
+// ============================================
+
+import { Router } from 'express';
+import * as studentService from '../../services/studentService.js';
+import { requireRole, sendResult, handle } from './helpers.js';
+
+const router = Router();
+
+// Students registered by the calling university
+router.get('/', requireRole('university'), handle('STUDENT_LIST_ERROR', async (req, res) => {
+    sendResult(res, await studentService.getUniversityStudents(req.auth.user.id));
+}));
+
+// Bulk upload history for the calling university
+router.get('/uploads', requireRole('university'), handle('BULK_UPLOAD_HISTORY_ERROR', async (req, res) => {
+    sendResult(res, await studentService.getBulkUploadHistory(req.auth.user.id));
+}));
+
+router.get('/:id', requireRole('university', 'admin'), handle('STUDENT_GET_ERROR', async (req, res) => {
+    sendResult(res, await studentService.getStudentById(req.params.id));
+}));
+
+// Register a single student (requires the service role key for account creation)
+router.post('/', requireRole('university'), handle('STUDENT_CREATE_ERROR', async (req, res) => {
+    if (!req.hasAdminClient) {
+        return res.status(500).json({ error: 'Service role key is not configured', code: 'SERVICE_ROLE_KEY_MISSING' });
+    }
+    sendResult(res, await studentService.registerStudent(req.body || {}, req.auth.user.id, { adminClient: req.adminClient }), 201);
+}));
+
+// Register several students ({ students: [...] })
+router.post('/bulk', requireRole('university'), handle('STUDENT_BULK_CREATE_ERROR', async (req, res) => {
+    if (!req.hasAdminClient) {
+        return res.status(500).json({ error: 'Service role key is not configured', code: 'SERVICE_ROLE_KEY_MISSING' });
+    }
+    const { students } = req.body || {};
+    if (!Array.isArray(students) || students.length === 0) {
+        return res.status(400).json({ error: 'Missing required field: students (non-empty array)' });
+    }
+    sendResult(res, await studentService.registerStudentsBulk(students, req.auth.user.id, { adminClient: req.adminClient }), 201);
+}));
+
+export default router;
@@ -4,9 +4,77 @@ import multer from 'multer'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import fs from 'fs'
+import { randomUUID } from 'crypto'
 import { createClient } from '@supabase/supabase-js'
-import { generatePassword } from './utils/helpers.js'
-import { parseCSV, validateStudentCSV } from './utils/csvParser.js'
+import { parseCSV, buildImportReport, summarizeImportReport, suggestColumnMapping, IMPORT_MODES } from './utils/csvParser.js'
+import { buildSyncReport } from './utils/studentSync.js'
+import { readSpreadsheet, getSpreadsheetType, MAX_SPREADSHEET_SIZE } from './utils/spreadsheet.js'
+import { generateICS } from './utils/ics.js'
+import { renderCVToPDF, listCVTemplates, CV_TEMPLATES, DEFAULT_CV_TEMPLATE } from './utils/cvPdf.js'
+import { parseResume, RESUME_MIME_TYPES, MAX_RESUME_SIZE } from './utils/resumeParser.js'
+import { createV1Router } from './routes/v1/index.js'
+import { registerJob, runJob, startScheduler, listJobs } from './jobs/scheduler.js'
+import { closeDueInternships, INTERNSHIP_LIFECYCLE_JOB, INTERNSHIP_LIFECYCLE_INTERVAL_MS } from './jobs/internshipLifecycle.js'
+import {
+  processBulkUploads,
+  enqueueBulkUpload,
+  retryBulkUploadRows,
+  findExistingStudents,
+  findStudentsForSync,
+  finishCancelledUpload,
+  BULK_IMPORT_JOB,
+  BULK_IMPORT_INTERVAL_MS,
+} from './jobs/bulkImport.js'
+import { sendStudentInvitation, verifyActivationToken, activateStudentAccount } from './services/activationService.js'
+import { enqueueEmail, retryEmail, processEmailOutbox, EMAIL_OUTBOX_JOB, EMAIL_OUTBOX_INTERVAL_MS } from './jobs/emailOutbox.js'
+import { sendNotificationDigests, NOTIFICATION_DIGEST_JOB, NOTIFICATION_DIGEST_INTERVAL_MS } from './jobs/notificationDigest.js'
+import { sendLogbookReminders, LOGBOOK_REMINDER_JOB, LOGBOOK_REMINDER_INTERVAL_MS } from './jobs/logbookReminders.js'
+import { getMailTransportName, getMailConfigError } from './utils/mailer.js'
+import { redactForLog } from './utils/helpers.js'
+import {
+  MESSAGE_ATTACHMENT_BUCKET,
+  MESSAGE_ATTACHMENT_TYPES,
+  MAX_MESSAGE_ATTACHMENTS,
+  MAX_MESSAGE_ATTACHMENT_SIZE,
+  ATTACHMENT_URL_TTL_SECONDS,
+  getMessageSide,
+  normalizeMessageBody,
+  buildAttachmentPath,
+} from './utils/messages.js'
+import { getPlacementSide, normalizePlacementUpdate } from './utils/placements.js'
+import {
+  EVALUATION_KINDS,
+  isPlacementEnded,
+  getEvaluationKindForSide,
+  normalizeFormQuestions,
+  normalizeEvaluationAnswers,
+} from './utils/evaluations.js'
+import {
+  generateVerificationCode,
+  normalizeVerificationCode,
+  getCertificateVerifyUrl,
+  buildCertificateRecord,
+  toPublicCertificate,
+  renderCertificateToPDF,
+} from './utils/certificates.js'
+import {
+  LOGBOOK_ATTACHMENT_BUCKET,
+  LOGBOOK_ATTACHMENT_TYPES,
+  LOGBOOK_PLACEMENT_STATUSES,
+  MAX_LOGBOOK_ATTACHMENTS,
+  MAX_LOGBOOK_ATTACHMENT_SIZE,
+  normalizeLogbookEntry,
+  normalizeLogbookReview,
+  normalizeLogbookFlag,
+  buildLogbookAttachmentPath,
+} from './utils/logbook.js'
+import {
+  ADVISOR_ROLE,
+  MAX_ADVISOR_NAME_LENGTH,
+  normalizeAdvisorAccount,
+  normalizeAdvisorAssignments,
+  isAssignedStudent,
+} from './utils/advisors.js'
 import dotenv from 'dotenv'
 
 dotenv.config()
@@ -26,6 +94,38 @@ const supabaseAdmin = supabaseServiceKey ? createClient(supabaseUrl, supabaseSer
   auth: { autoRefreshToken: false, persistSession: false },
 }) : null
 
+// Emails carry activation and sign-in links, so production must not fall
+// back to the console transport
+if (!getMailTransportName()) {
+  console.error(`[Mailer] ${getMailConfigError()}`)
+  process.exit(1)
+}
+
+// Background jobs (need the service role key; set DISABLE_JOBS=true to turn off)
+const jobsEnabled = !!supabaseAdmin && process.env.DISABLE_JOBS !== 'true'
+if (supabaseAdmin) {
+  registerJob(INTERNSHIP_LIFECYCLE_JOB, {
+    intervalMs: INTERNSHIP_LIFECYCLE_INTERVAL_MS,
+    run: () => closeDueInternships(supabaseAdmin),
+  })
+  registerJob(BULK_IMPORT_JOB, {
+    intervalMs: BULK_IMPORT_INTERVAL_MS,
+    run: () => processBulkUploads(supabaseAdmin),
+  })
+  registerJob(EMAIL_OUTBOX_JOB, {
+    intervalMs: EMAIL_OUTBOX_INTERVAL_MS,
+    run: () => processEmailOutbox(supabaseAdmin),
+  })
+  registerJob(NOTIFICATION_DIGEST_JOB, {
+    intervalMs: NOTIFICATION_DIGEST_INTERVAL_MS,
+    run: () => sendNotificationDigests(supabaseAdmin),
+  })
+  registerJob(LOGBOOK_REMINDER_JOB, {
+    intervalMs: LOGBOOK_REMINDER_INTERVAL_MS,
+    run: () => sendLogbookReminders(supabaseAdmin),
+  })
+}
+
 // Create uploads directory if it doesn't exist
 const uploadsDir = path.join(__dirname, 'uploads')
 if (!fs.existsSync(uploadsDir)) {
@@ -63,28 +163,85 @@ const upload = multer({
   },
 })
 
+// Resumes are parsed in memory and never written to disk
+const resumeUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_RESUME_SIZE },
+  fileFilter: (req, file, cb) => {
+    if (RESUME_MIME_TYPES[file.mimetype]) {
+      return cb(null, true)
+    }
+    cb(new Error('Only PDF and DOCX resumes are allowed'))
+  },
+})
+
+// Student import spreadsheets are read in memory as well
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_SPREADSHEET_SIZE },
+  fileFilter: (req, file, cb) => {
+    if (getSpreadsheetType(file.mimetype, file.originalname)) {
+      return cb(null, true)
+    }
+    cb(new Error('Only CSV, XLSX and ODS files are allowed'))
+  },
+})
+
+// Message attachments are kept in memory and uploaded to private storage
+const messageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_MESSAGE_ATTACHMENT_SIZE, files: MAX_MESSAGE_ATTACHMENTS },
+  fileFilter: (req, file, cb) => {
+    if (MESSAGE_ATTACHMENT_TYPES[file.mimetype]) {
+      return cb(null, true)
+    }
+    cb(new Error(`Attachments must be one of: ${Object.values(MESSAGE_ATTACHMENT_TYPES).join(', ')}`))
+  },
+})
+
+// Logbook attachments likewise go to private storage
+const logbookUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_LOGBOOK_ATTACHMENT_SIZE, files: MAX_LOGBOOK_ATTACHMENTS },
+  fileFilter: (req, file, cb) => {
+    if (LOGBOOK_ATTACHMENT_TYPES[file.mimetype]) {
+      return cb(null, true)
+    }
+    cb(new Error(`Attachments must be one of: ${Object.values(LOGBOOK_ATTACHMENT_TYPES).join(', ')}`))
+  },
+})
+
 // Enable CORS for all routes and handle preflight requests
 app.use(cors())
 app.options('*', cors())
 
-// Basic request logging to aid debugging
+// JSON parser with strict: false to handle empty bodies gracefully
+// Bulk uploads send the CSV text inline (files are capped at 5MB)
+app.use(express.json({ strict: false, limit: '6mb' }))
+
+// Basic request logging to aid debugging. Passwords, tokens and other
+// secrets in the body are redacted (see redactForLog in utils/helpers.js).
 app.use((req, res, next) => {
   const timestamp = new Date().toISOString()
   console.log(`[${timestamp}] ${req.method} ${req.originalUrl}`)
   console.log(`[Headers] Authorization: ${req.headers.authorization ? 'Present' : 'Missing'}`)
-  if (req.body && Object.keys(req.body).length > 0) {
-    console.log(`[Request Body]`, JSON.stringify(req.body, null, 2))
+  if (req.body && typeof req.body === 'object' && Object.keys(req.body).length > 0) {
+    console.log(`[Request Body]`, JSON.stringify(redactForLog(req.body), null, 2))
   }
   next()
 })
-// JSON parser with strict: false to handle empty bodies gracefully
-app.use(express.json({ strict: false }))
 
 // Wrapper to catch async errors
 const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next)
 }
 
+// ============================================
+// Versioned REST API (internships, applications, CVs, students, admin review)
+// Mounted before the global error handler so its errors reach it
+// ============================================
+app.use('/api/v1', createV1Router({ requireAuth, supabaseAdmin }))
+
 // Global error handler middleware
 app.use((err, req, res, next) => {
   console.error('[Global Error Handler]', err)
@@ -269,146 +426,77 @@ app.post('/api/profile/upload-picture', upload.single('picture'), async (req, re
   }
 })
 
-// Student login verification: verify email and student_id match
-app.post('/api/auth/student-login-verify', async (req, res) => {
+// ============================================
+// Student account activation
+// Students created by a university have no password; they open the emailed
+// one-time link and choose one (see services/activationService.js).
+// ============================================
+
+const activationErrorStatus = (code) => {
+  if (code === 'DATABASE_ERROR' || code === 'PASSWORD_UPDATE_FAILED') return 500
+  if (code === 'PASSWORD_TOO_SHORT') return 400
+  return 410
+}
+
+// Check an activation link before showing the password form
+app.post('/api/auth/activation/verify', async (req, res) => {
   try {
     if (!supabaseAdmin) {
-      console.error('[Student Login Verify] Service role key not configured')
-      return res.status(500).json({ 
+      return res.status(500).json({
         error: 'Service role key is not configured',
         code: 'SERVICE_ROLE_KEY_MISSING'
       })
     }
 
-    const { email, student_id } = req.body || {}
-    
-    if (!email || !student_id) {
-      return res.status(400).json({ 
-        error: 'Missing required fields: email and student_id are required' 
-      })
-    }
-
-    console.log(`[Student Login Verify] Verifying student login for email: ${email}, student_id: ${student_id}`)
-
-    // Find student by email
-    const { data: student, error: studentError } = await supabaseAdmin
-      .from('students')
-      .select('user_id, email, student_id, credentials')
-      .eq('email', email.trim().toLowerCase())
-      .maybeSingle()
-
-    if (studentError) {
-      console.error('[Student Login Verify] Database error:', studentError)
-      return res.status(500).json({ 
-        error: 'Database error while verifying student',
-        code: 'DATABASE_ERROR'
-      })
-    }
-
-    if (!student) {
-      console.warn(`[Student Login Verify] Student not found for email: ${email}`)
-      return res.status(404).json({ 
-        valid: false,
-        error: 'Email not found in students database' 
-      })
-    }
-
-    // Verify student_id matches (case-sensitive)
-    if (student.student_id !== student_id.trim()) {
-      console.warn(`[Student Login Verify] Student ID mismatch for email: ${email}. Expected: ${student.student_id}, Got: ${student_id}`)
-      return res.status(401).json({ 
-        valid: false,
-        error: 'Student ID does not match' 
-      })
-    }
-
-    // Verify user role is 'student' in profiles table
-    const { data: profile, error: profileError } = await supabaseAdmin
-      .from('profiles')
-      .select('role, is_active, approval_status')
-      .eq('id', student.user_id)
-      .maybeSingle()
-
-    if (profileError) {
-      console.error('[Student Login Verify] Profile error:', profileError)
-      return res.status(500).json({ 
-        error: 'Error checking user profile',
-        code: 'PROFILE_ERROR'
-      })
+    const { token } = req.body || {}
+    const { activation, student, error, code } = await verifyActivationToken(supabaseAdmin, token)
+    if (error) {
+      return res.status(activationErrorStatus(code)).json({ valid: false, error, code })
     }
 
-    if (!profile) {
-      console.warn(`[Student Login Verify] Profile not found for user: ${student.user_id}, attempting to create...`)
-      
-      // Try to create the profile if it doesn't exist
-      const { data: newProfile, error: createProfileError } = await supabaseAdmin
-        .from('profiles')
-        .upsert({
-          id: student.user_id,
-          role: 'student',
-          email: student.email,
-          full_name: student.name || null
-        }, {
-          onConflict: 'id'
-        })
-        .select('role, is_active, approval_status')
-        .single()
-
-      if (createProfileError || !newProfile) {
-        console.error(`[Student Login Verify] Failed to create profile for user: ${student.user_id}`, createProfileError)
-        return res.status(404).json({ 
-          valid: false,
-          error: 'User profile not found and could not be created. Please contact administrator.' 
-        })
-      }
-      
-      // Use the newly created profile
-      profile = newProfile
-      console.log(`[Student Login Verify] Profile created for user: ${student.user_id}`)
-    }
+    return res.json({
+      valid: true,
+      name: student.name,
+      email: student.email,
+      expires_at: activation.expires_at
+    })
+  } catch (err) {
+    console.error('[Activation] Verify error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'ACTIVATION_VERIFY_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
 
-    if (profile.role !== 'student') {
-      console.warn(`[Student Login Verify] User role is not student. Role: ${profile.role}`)
-      return res.status(403).json({ 
-        valid: false,
-        error: 'Account is not a student account' 
+// Set the student's password from an activation link
+app.post('/api/auth/activate', async (req, res) => {
+  try {
+    if (!supabaseAdmin) {
+      return res.status(500).json({
+        error: 'Service role key is not configured',
+        code: 'SERVICE_ROLE_KEY_MISSING'
       })
     }
 
-    // Check if account is active
-    if (profile.is_active === false) {
-      console.warn(`[Student Login Verify] Account is deactivated for user: ${student.user_id}`)
-      return res.status(403).json({ 
-        valid: false,
-        error: 'Account is deactivated. Please contact administrator.' 
-      })
+    const { token, password } = req.body || {}
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Missing required fields: token and password are required' })
     }
 
-    // Get actual password from credentials JSONB
-    const credentials = student.credentials || {}
-    const actualPassword = credentials.password
-
-    if (!actualPassword) {
-      console.error(`[Student Login Verify] No password found in credentials for user: ${student.user_id}`)
-      return res.status(500).json({ 
-        error: 'Password not found in student record',
-        code: 'PASSWORD_MISSING'
-      })
+    const { student, error, code } = await activateStudentAccount(supabaseAdmin, token, password)
+    if (error) {
+      return res.status(activationErrorStatus(code)).json({ error, code })
     }
 
-    console.log(`[Student Login Verify] ✅ Verification successful for email: ${email}, user_id: ${student.user_id}`)
-
-    return res.json({
-      valid: true,
-      user_id: student.user_id,
-      actual_password: actualPassword
-    })
+    console.log(`[Activation] Student account activated: ${student.user_id}`)
+    return res.json({ success: true, email: student.email })
   } catch (err) {
-    console.error('[Student Login Verify] Route error:', err)
-    console.error('[Student Login Verify] Stack:', err.stack)
-    return res.status(500).json({ 
+    console.error('[Activation] Activate error:', err)
+    return res.status(500).json({
       error: err.message || 'Internal server error',
-      code: 'STUDENT_LOGIN_VERIFY_ERROR',
+      code: 'ACTIVATION_ERROR',
       details: process.env.NODE_ENV === 'development' ? err.stack : undefined
     })
   }
@@ -443,15 +531,59 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log('  GET  /api/uploads/:filename')
   console.log('  POST /api/auth/check-email')
   console.log('  POST /api/auth/resend-confirmation')
+  console.log('  POST /api/admin/send-approval-email')
   console.log('  POST /api/auth/ensure-profile')
-  console.log('  POST /api/auth/student-login-verify')
+  console.log('  POST /api/auth/activation/verify')
+  console.log('  POST /api/auth/activate')
   console.log('  POST /api/admin/create-user')
   console.log('  PUT  /api/admin/users/:id')
   console.log('  DELETE /api/admin/users/:id')
   console.log('  POST /api/admin/users/:id/activate')
   console.log('  POST /api/admin/users/:id/deactivate')
   console.log('  POST /api/university/bulk-upload-students')
+  console.log('  POST /api/university/bulk-upload-students/dry-run')
+  console.log('  POST /api/university/bulk-upload-students/read')
+  console.log('  POST /api/university/bulk-uploads/:id/retry')
+  console.log('  POST /api/university/bulk-uploads/:id/cancel')
+  console.log('  POST /api/university/students/invitations')
+  console.log('  GET  /api/interviews')
+  console.log('  POST /api/interviews')
+  console.log('  POST /api/interviews/:id/book')
+  console.log('  POST /api/interviews/:id/reschedule')
+  console.log('  POST /api/interviews/:id/cancel')
+  console.log('  GET  /api/interviews/:id/ics')
+  console.log('  POST /api/applications/:id/messages')
+  console.log('  GET  /api/messages/:id/attachments/:index')
+  console.log('  PUT  /api/placements/:id')
+  console.log('  POST /api/placements/:id/evaluations')
+  console.log('  PUT  /api/evaluation-forms/:kind')
+  console.log('  GET  /api/placements/:id/certificate')
+  console.log('  GET  /api/certificates/verify/:code')
+  console.log('  GET  /verify/:code')
+  console.log('  POST /api/placements/:id/logbook')
+  console.log('  PUT  /api/logbook/:id/review')
+  console.log('  PUT  /api/logbook/:id/flag')
+  console.log('  GET  /api/logbook/:id/attachments/:index')
+  console.log('  POST /api/university/advisors')
+  console.log('  PUT  /api/university/advisors/:id')
+  console.log('  PUT  /api/university/advisors/:id/assignments')
+  console.log('  GET  /api/cv/templates')
+  console.log('  GET  /api/cv/:userId/pdf')
+  console.log('  GET  /api/applications/:id/cv/pdf')
+  console.log('  POST /api/cv/import')
+  console.log('  GET  /api/admin/jobs')
+  console.log('  POST /api/admin/jobs/:name/run')
+  console.log('  POST /api/admin/emails/:id/retry')
+  console.log('  *    /api/v1/internships | applications | cv | students | admin | recommendations')
   console.log('='.repeat(60))
+
+  if (jobsEnabled) {
+    startScheduler()
+    console.log(`Background jobs: ${listJobs().map(job => job.name).join(', ')}`)
+  } else {
+    console.log('Background jobs: disabled')
+  }
+  console.log(`Mail transport: ${getMailTransportName()}`)
 })
 
 // Check if email already exists in the system
@@ -535,15 +667,25 @@ app.post('/api/auth/check-email', async (req, res) => {
   }
 })
 
-// Send approval/rejection email to user
+// Queue the approval/rejection email for an account (admins only)
 app.post('/api/admin/send-approval-email', async (req, res) => {
   try {
-    const { userId, action, feedback, userEmail: providedEmail, userName, userRole } = req.body
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+    if (auth.role !== 'admin') {
+      return res.status(403).json({ error: 'Forbidden: Admin required' })
+    }
+
+    const { userId, action, feedback, userEmail: providedEmail, userName, userRole } = req.body || {}
     
     if (!userId || !action) {
       return res.status(400).json({ error: 'Missing required fields: userId and action are required' })
     }
 
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({ error: 'Invalid action. Must be "approve" or "reject"' })
+    }
+
     if (!supabaseAdmin) {
       return res.status(500).json({ 
         error: 'Service role key not configured',
@@ -563,117 +705,40 @@ app.post('/api/admin/send-approval-email', async (req, res) => {
       userEmail = authUser.user.email
     }
 
-    if (!['approve', 'reject'].includes(action)) {
-      return res.status(400).json({ error: 'Invalid action. Must be "approve" or "reject"' })
-    }
-
-    console.log(`[Approval Email] Sending ${action} email to ${userEmail} for user ${userId}`)
-
-    const frontendUrl = process.env.VITE_FRONTEND_URL || 'http://localhost:5173'
-    const loginUrl = `${frontendUrl}/login`
-    
-    // Prepare email content based on action
-    const isApproved = action === 'approve'
-    const subject = isApproved 
-      ? 'Account Approved - Welcome to AIILP Platform'
-      : 'Account Review - Action Required'
-    
-    const emailBody = isApproved
-      ? `Dear ${userName || 'User'},
-
-Your account has been approved! You can now log in to the AIILP platform.
-
-Login URL: ${loginUrl}
-
-Your Role: ${userRole ? userRole.replace('_', ' ') : 'User'}
-
-Thank you for your patience during the review process.
-
-Best regards,
-AIILP Admin Team`
-      : `Dear ${userName || 'User'},
-
-We regret to inform you that your account request has been reviewed and we are unable to approve it at this time.
-
-${feedback ? `Reason: ${feedback}` : 'Please contact support for more information.'}
-
-If you believe this is an error or have additional information to provide, please contact our support team.
-
-Best regards,
-AIILP Admin Team`
-
-    // Use Supabase's email sending capability
-    // Since Supabase doesn't have a direct custom email API, we'll use inviteUserByEmail 
-    // for approved users (to send a welcome email) or generateLink for rejected users
-    if (isApproved) {
-      // For approved users, send an invitation email that acts as a welcome/approval email
-      // This uses Supabase's built-in email templates via SMTP
-      const { data: inviteData, error: inviteError } = await supabaseAdmin.auth.admin.inviteUserByEmail(userEmail, {
-        redirectTo: loginUrl,
-        data: {
-          approval_status: 'approved',
-          custom_message: emailBody
-        }
-      })
-
-      if (!inviteError) {
-        console.log(`[Approval Email] ✅ Approval email sent to ${userEmail} via inviteUserByEmail`)
-        return res.json({ 
-          success: true,
-          message: 'Approval email sent successfully',
-          method: 'inviteUserByEmail'
-        })
-      }
-
-      console.warn(`[Approval Email] inviteUserByEmail failed:`, inviteError?.message || inviteError)
-    }
-
-    // Fallback: Use generateLink to create a link (email will be sent via SMTP if configured)
-    // For rejected users, we'll generate a recovery link that can be used to contact support
-    const linkType = isApproved ? 'signup' : 'recovery'
-    const { data: linkData, error: linkError } = await supabaseAdmin.auth.admin.generateLink({
-      type: linkType,
-      email: userEmail,
-      options: {
-        redirectTo: loginUrl,
-      }
+    const { email, error } = await enqueueEmail(supabaseAdmin, {
+      template: action === 'approve' ? 'account_approved' : 'account_rejected',
+      to: userEmail,
+      userId,
+      payload: { name: userName || null, role: userRole || null, feedback: feedback || null }
     })
+    if (error) throw new Error(error)
 
-    if (linkError) {
-      console.error(`[Approval Email] generateLink failed:`, linkError)
-      return res.status(400).json({ 
-        error: 'Failed to send approval email',
-        details: linkError.message || 'Both email methods failed',
-        troubleshooting: [
-          '1. Check SMTP configuration in Supabase Dashboard → Project Settings → Authentication → SMTP Settings',
-          '2. Verify the email address is correct',
-          '3. Check Supabase Auth Logs for email delivery errors'
-        ]
-      })
-    }
+    console.log(`[Approval Email] Queued ${action} email ${email.id} for ${userEmail}`)
+    runJob(EMAIL_OUTBOX_JOB)
 
-    console.log(`[Approval Email] ✅ Link generated for ${action} email to ${userEmail}`)
-    console.log(`[Approval Email] Note: Email should be sent automatically via SMTP if configured`)
-    
-    return res.json({ 
+    return res.status(202).json({ 
       success: true,
-      message: `${action === 'approve' ? 'Approval' : 'Rejection'} email link generated. Email should be sent via SMTP.`,
-      method: 'generateLink',
-      warning: 'If email not received, verify SMTP is configured in Supabase'
+      message: `${action === 'approve' ? 'Approval' : 'Rejection'} email queued`,
+      emailId: email.id,
+      status: email.status
     })
   } catch (err) {
     console.error('[Approval Email] Exception:', err)
     return res.status(500).json({ 
       error: err.message || 'Internal error',
-      details: 'Check backend logs for more information'
+      code: 'APPROVAL_EMAIL_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
     })
   }
 })
 
 // Resend confirmation email for a user
+// Only unconfirmed accounts get an email, and the reply is the same either
+// way so the endpoint does not reveal which addresses are registered. The
+// outbox job generates the confirmation link when it sends the email.
 app.post('/api/auth/resend-confirmation', async (req, res) => {
   try {
-    const { email } = req.body
+    const { email } = req.body || {}
     if (!email) {
       return res.status(400).json({ error: 'Email is required' })
     }
@@ -686,65 +751,44 @@ app.post('/api/auth/resend-confirmation', async (req, res) => {
       })
     }
 
-    console.log(`[Resend Confirmation] Attempting to send confirmation email to ${email}`)
-
-    // Method 1: Try to use inviteUserByEmail (works for unconfirmed users)
-    // This actually sends an email, not just generates a link
-    const { data: inviteData, error: inviteError } = await supabaseAdmin.auth.admin.inviteUserByEmail(email, {
-      redirectTo: `${process.env.VITE_FRONTEND_URL || 'http://localhost:5173'}/login?verified=true`,
-      data: {}
-    })
-
-    if (!inviteError) {
-      console.log('[Resend Confirmation] ✅ Confirmation email sent via inviteUserByEmail')
-      return res.json({ 
-        success: true,
-        message: 'Confirmation email sent successfully. Please check your email inbox.',
-        method: 'inviteUserByEmail'
-      })
+    const normalizedEmail = String(email).trim().toLowerCase()
+    const accepted = {
+      success: true,
+      message: 'If that address has an unconfirmed account, a confirmation email is on its way.'
     }
 
-    console.warn('[Resend Confirmation] inviteUserByEmail failed:', inviteError?.message || inviteError)
-    console.log('[Resend Confirmation] Trying generateLink as fallback...')
-
-    // Method 2: Fallback to generateLink (generates link but may not send email automatically)
-    const { data: linkData, error: linkError } = await supabaseAdmin.auth.admin.generateLink({
-      type: 'signup',
-      email: email,
-      options: {
-        redirectTo: `${process.env.VITE_FRONTEND_URL || 'http://localhost:5173'}/login?verified=true`,
+    const { data: profile, error: profileError } = await supabaseAdmin
+      .from('profiles')
+      .select('id, full_name, organization_name')
+      .eq('email', normalizedEmail)
+      .maybeSingle()
+    if (profileError) throw new Error(profileError.message)
+    if (!profile) return res.status(202).json(accepted)
+
+    const { data: userData, error: userError } = await supabaseAdmin.auth.admin.getUserById(profile.id)
+    if (userError) throw new Error(userError.message)
+    if (!userData?.user || userData.user.email_confirmed_at) return res.status(202).json(accepted)
+
+    const { error } = await enqueueEmail(supabaseAdmin, {
+      template: 'email_confirmation',
+      to: userData.user.email,
+      userId: profile.id,
+      payload: {
+        name: profile.full_name || profile.organization_name || null,
+        redirect_to: `${process.env.VITE_FRONTEND_URL || 'http://localhost:5173'}/login?verified=true`
       }
     })
+    if (error) throw new Error(error)
 
-    if (linkError) {
-      console.error('[Resend Confirmation] generateLink also failed:', linkError)
-      return res.status(400).json({ 
-        error: 'Failed to send confirmation email',
-        details: linkError.message || 'Both inviteUserByEmail and generateLink failed',
-        troubleshooting: [
-          '1. Check if email confirmation is enabled in Supabase Dashboard → Authentication → Providers → Email',
-          '2. Configure SMTP in Supabase Dashboard → Project Settings → Authentication → SMTP Settings',
-          '3. Verify the email address is correct and user exists',
-          '4. Check Supabase Auth Logs for email delivery errors'
-        ]
-      })
-    }
+    runJob(EMAIL_OUTBOX_JOB)
 
-    console.log('[Resend Confirmation] ⚠️  Link generated but email may not be sent automatically')
-    console.log('[Resend Confirmation] Note: generateLink creates a link but requires SMTP to send email')
-    
-    return res.json({ 
-      success: true,
-      message: 'Confirmation link generated. Email should be sent if SMTP is configured.',
-      warning: 'If email not received, SMTP may not be configured in Supabase',
-      method: 'generateLink',
-      troubleshooting: 'See backend/EMAIL_CONFIGURATION.md for SMTP setup instructions'
-    })
+    return res.status(202).json(accepted)
   } catch (err) {
     console.error('[Resend Confirmation] Exception:', err)
     return res.status(500).json({ 
       error: err.message || 'Internal error',
-      details: 'Check backend logs for more information'
+      code: 'RESEND_CONFIRMATION_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
     })
   }
 })
@@ -1397,7 +1441,7 @@ app.post('/api/university/bulk-upload-students', async (req, res) => {
       })
     }
 
-    const { csvText, universityId, bulkUploadId } = req.body || {}
+    const { csvText, universityId, bulkUploadId, mapping, mode = 'create' } = req.body || {}
     
     if (!csvText || !universityId || !bulkUploadId) {
       return res.status(400).json({ 
@@ -1405,17 +1449,45 @@ app.post('/api/university/bulk-upload-students', async (req, res) => {
       })
     }
 
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Invalid mode. Use one of: ${IMPORT_MODES.join(', ')}` })
+    }
+
     // Verify universityId matches authenticated user
     if (auth.user.id !== universityId) {
       return res.status(403).json({ error: 'Forbidden: University ID does not match authenticated user' })
     }
 
+    const { data: bulkUpload } = await supabaseAdmin
+      .from('bulk_uploads')
+      .select('id, university_id, status')
+      .eq('id', bulkUploadId)
+      .maybeSingle()
+
+    if (!bulkUpload || bulkUpload.university_id !== universityId) {
+      return res.status(404).json({ error: 'Bulk upload not found' })
+    }
+
+    // Each upload takes one file: posting again would add a second copy of the rows
+    const { count: storedRows, error: rowsError } = await supabaseAdmin
+      .from('bulk_upload_rows')
+      .select('id', { count: 'exact', head: true })
+      .eq('bulk_upload_id', bulkUploadId)
+    if (rowsError) throw new Error(rowsError.message)
+
+    if (bulkUpload.status !== 'uploading' || storedRows > 0) {
+      return res.status(409).json({
+        error: `This upload has already been submitted (status: ${bulkUpload.status}). Start a new upload instead.`,
+        code: 'BULK_UPLOAD_ALREADY_SUBMITTED'
+      })
+    }
+
     console.log(`[Bulk Upload] Processing CSV for university ${universityId}, bulk upload ${bulkUploadId}`)
     console.log(`[Bulk Upload] CSV text length: ${csvText.length} characters`)
     console.log(`[Bulk Upload] CSV preview (first 200 chars): ${csvText.substring(0, 200)}`)
 
-    // Parse CSV
-    const { data: studentsData, error: parseError } = parseCSV(csvText)
+    // Parse CSV, matching columns with the mapping chosen on the upload page
+    const { data: studentsData, errors: parseErrors, error: parseError } = parseCSV(csvText, { mapping, mode })
 
     if (parseError) {
       console.error(`[Bulk Upload] CSV parsing error: ${parseError}`)
@@ -1457,237 +1529,22 @@ app.post('/api/university/bulk-upload-students', async (req, res) => {
       return res.status(400).json({ error: 'No valid student data found in CSV' })
     }
 
-    // Process students
-    const results = {
-      successful: [],
-      failed: [],
-      total: studentsData.length
-    }
-
-    console.log(`[Bulk Upload] Starting to process ${studentsData.length} students`)
-
-    // Pre-fetch all existing emails once (more efficient)
-    console.log('[Bulk Upload] Fetching existing emails...')
-    let existingStudents = []
-    try {
-      const { data, error } = await supabaseAdmin
-        .from('students')
-        .select('email')
-      if (error) {
-        console.error('[Bulk Upload] Error fetching existing students:', error)
-      } else {
-        existingStudents = data || []
-      }
-    } catch (err) {
-      console.error('[Bulk Upload] Exception fetching existing students:', err)
-    }
-    
-    const existingEmails = new Set(
-      existingStudents.map(s => s.email?.toLowerCase()).filter(Boolean)
-    )
-    console.log(`[Bulk Upload] Found ${existingEmails.size} existing student emails`)
-
-    for (let i = 0; i < studentsData.length; i++) {
-      const studentData = studentsData[i]
-      const studentEmail = studentData.email?.trim().toLowerCase()
-      
-      console.log(`[Bulk Upload] Processing student ${i + 1}/${studentsData.length}: ${studentEmail}`)
-      
-      try {
-        // Validate student data
-        const validation = validateStudentCSV(studentData)
-        if (!validation.valid) {
-          console.warn(`[Bulk Upload] Validation failed for ${studentEmail}: ${validation.error}`)
-          results.failed.push({
-            data: studentData,
-            error: validation.error
-          })
-          continue
-        }
-
-        // Check if email exists in students table (using pre-fetched set)
-        if (existingEmails.has(studentEmail)) {
-          console.warn(`[Bulk Upload] Email already exists: ${studentEmail}`)
-          results.failed.push({
-            data: studentData,
-            error: 'Email already exists in students table'
-          })
-          continue
-        }
-
-        // Note: We'll check auth.users by attempting to create the user
-        // If creation fails with "user already exists", we'll catch it below
-
-        // Generate password
-        const tempPassword = generatePassword(12)
-
-        // Create auth user
-        console.log(`[Bulk Upload] Creating auth user for ${studentEmail}`)
-        const { data: authData, error: authError } = await supabaseAdmin.auth.admin.createUser({
-          email: studentEmail,
-          password: tempPassword,
-          email_confirm: true,
-          user_metadata: {
-            role: 'student',
-            full_name: studentData.name.trim()
-          }
-        })
-
-        if (authError) {
-          console.error(`[Bulk Upload] Auth user creation failed for ${studentEmail}:`, authError)
-          // Check if error is due to existing user
-          const errorMsg = authError.message?.toLowerCase() || ''
-          if (errorMsg.includes('already exists') || errorMsg.includes('user already registered') || errorMsg.includes('already been registered')) {
-            results.failed.push({
-              data: studentData,
-              error: 'Email already exists in system'
-            })
-          } else {
-            results.failed.push({
-              data: studentData,
-              error: authError.message
-            })
-          }
-          continue
-        }
-
-        if (!authData?.user?.id) {
-          console.error(`[Bulk Upload] No user ID returned for ${studentEmail}`)
-          results.failed.push({
-            data: studentData,
-            error: 'Failed to create auth user: no user ID returned'
-          })
-          continue
-        }
-
-        console.log(`[Bulk Upload] Auth user created: ${authData.user.id} for ${studentEmail}`)
-
-        // Create student record
-        const studentPayload = {
-          user_id: authData.user.id,
-          university_id: universityId,
-          name: studentData.name.trim(),
-          email: studentEmail,
-          student_id: studentData.student_id.trim(),
-          batch: studentData.batch ? parseInt(studentData.batch) : null,
-          degree_program: studentData.degree_program ? studentData.degree_program.trim() : null,
-          semester: studentData.semester ? parseInt(studentData.semester) : null,
-          credentials: {
-            password: tempPassword,
-            generated_at: new Date().toISOString()
-          }
-        }
-
-        console.log(`[Bulk Upload] Creating student record for ${studentEmail}`)
-        const { data: student, error: studentError } = await supabaseAdmin
-          .from('students')
-          .insert(studentPayload)
-          .select()
-          .single()
-
-        if (studentError) {
-          console.error(`[Bulk Upload] Student record creation failed for ${studentEmail}:`, studentError)
-          // Rollback: delete auth user
-          await supabaseAdmin.auth.admin.deleteUser(authData.user.id).catch(() => {
-            console.warn(`[Bulk Upload] Failed to rollback auth user ${authData.user.id}`)
-          })
-          results.failed.push({
-            data: studentData,
-            error: studentError.message
-          })
-          continue
-        }
-
-        console.log(`[Bulk Upload] Student record created: ${student.id} for ${studentEmail}`)
-        
-        // Add to existing emails set to prevent duplicates in same batch
-        existingEmails.add(studentEmail)
-
-        // Ensure profile exists and update with university_id
-        console.log(`[Bulk Upload] Ensuring profile exists for user ${authData.user.id}`)
-        const { error: profileError } = await supabaseAdmin
-          .from('profiles')
-          .upsert({ 
-            id: authData.user.id,
-            role: 'student',
-            email: studentEmail,
-            university_id: universityId,
-            full_name: studentData.name.trim()
-          }, {
-            onConflict: 'id'
-          })
-
-        if (profileError) {
-          console.error(`[Bulk Upload] Failed to create/update profile for user ${authData.user.id}:`, profileError)
-          // This is critical - if profile creation fails, we should rollback
-          await supabaseAdmin.auth.admin.deleteUser(authData.user.id).catch(() => {
-            console.warn(`[Bulk Upload] Failed to rollback auth user ${authData.user.id}`)
-          })
-          await supabaseAdmin.from('students').delete().eq('user_id', authData.user.id).catch(() => {})
-          results.failed.push({
-            data: studentData,
-            error: `Profile creation failed: ${profileError.message}`
-          })
-          continue
-        } else {
-          console.log(`[Bulk Upload] Profile created/updated for user ${authData.user.id}`)
-        }
-
-        results.successful.push({
-          student,
-          credentials: {
-            email: studentEmail,
-            password: tempPassword
-          }
-        })
-        
-        console.log(`[Bulk Upload] ✅ Successfully processed student ${i + 1}/${studentsData.length}: ${studentEmail}`)
-      } catch (error) {
-        console.error(`[Bulk Upload] ❌ Error processing student ${i + 1}/${studentsData.length} (${studentEmail}):`, error)
-        console.error('[Bulk Upload] Error stack:', error.stack)
-        results.failed.push({
-          data: studentData,
-          error: error.message || 'Unknown error'
-        })
-      }
-    }
-
-    // Update bulk upload record
-    try {
-      const { error: updateErr } = await supabaseAdmin
-        .from('bulk_uploads')
-        .update({
-          status: results.failed.length === 0 ? 'completed' : 'completed',
-          successful_records: results.successful.length,
-          failed_records: results.failed.length,
-          error_log: results.failed.length > 0 ? {
-            errors: results.failed
-          } : null,
-          completed_at: new Date().toISOString()
-        })
-        .eq('id', bulkUploadId)
-      if (updateErr) {
-        console.error('[Bulk Upload] Failed to update bulk_uploads:', updateErr)
-      }
-    } catch (updateErr) {
-      console.error('[Bulk Upload] Exception updating bulk_uploads:', updateErr)
-    }
+    // Rows are stored and processed by the bulk import job, so large files
+    // do not time out the request. Progress is kept on bulk_uploads.
+    await enqueueBulkUpload(supabaseAdmin, bulkUploadId, studentsData, parseErrors || null, mode)
+    console.log(`[Bulk Upload] Queued ${studentsData.length} students for bulk upload ${bulkUploadId} (${mode})`)
 
-    console.log(`[Bulk Upload] Completed: ${results.successful.length} successful, ${results.failed.length} failed`)
+    // Start now rather than waiting for the next scheduled run
+    runJob(BULK_IMPORT_JOB)
 
-    const responseData = {
+    return res.status(202).json({
       success: true,
-      results: {
-        successful: results.successful.length,
-        failed: results.failed.length,
-        total: results.total,
-        errors: results.failed.length > 0 ? results.failed : null
-      }
-    }
-    
-    console.log('[Bulk Upload] Sending response:', JSON.stringify(responseData, null, 2))
-    
-    return res.status(200).json(responseData)
+      bulkUploadId,
+      status: 'queued',
+      mode,
+      total: studentsData.length,
+      parseErrors: parseErrors || null
+    })
   } catch (err) {
     console.error('[Bulk Upload] Route error:', err)
     console.error('[Bulk Upload] Stack:', err.stack)
@@ -1716,4 +1573,2036 @@ app.post('/api/university/bulk-upload-students', async (req, res) => {
       details: process.env.NODE_ENV === 'development' ? err.stack : undefined
     })
   }
-})
\ No newline at end of file
+})
+// Dry run of a bulk upload: reports what each row would do without
+// creating any accounts or bulk upload records
+app.post('/api/university/bulk-upload-students/dry-run', async (req, res) => {
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+
+    if (auth.role !== 'university') {
+      return res.status(403).json({ error: 'Forbidden: Only universities can upload students' })
+    }
+
+    if (!supabaseAdmin) {
+      return res.status(500).json({
+        error: 'Service role key is not configured. Please set SUPABASE_SERVICE_ROLE_KEY in backend/.env file and restart the server.',
+        code: 'SERVICE_ROLE_KEY_MISSING'
+      })
+    }
+
+    const { csvText, mapping, mode = 'create' } = req.body || {}
+    if (!csvText) {
+      return res.status(400).json({ error: 'Missing required field: csvText' })
+    }
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Invalid mode. Use one of: ${IMPORT_MODES.join(', ')}` })
+    }
+
+    const { data: studentsData, errors: parseErrors, error: parseError } = parseCSV(csvText, { mapping, mode })
+    if (parseError) {
+      return res.status(400).json({ error: parseError })
+    }
+
+    const existing = await findExistingStudents(supabaseAdmin, auth.user.id, studentsData)
+    const report = mode === 'sync'
+      ? buildSyncReport(studentsData, await findStudentsForSync(supabaseAdmin, auth.user.id, studentsData), existing)
+      : buildImportReport(studentsData, existing)
+
+    return res.json({
+      success: true,
+      mode,
+      summary: summarizeImportReport(report),
+      report,
+      parseErrors: parseErrors || null
+    })
+  } catch (err) {
+    console.error('[Bulk Upload] Dry run error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'BULK_UPLOAD_DRY_RUN_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// Read an uploaded CSV/XLSX/ODS file into header names and rows so the
+// university can map its columns before uploading. Nothing is saved.
+app.post('/api/university/bulk-upload-students/read', async (req, res) => {
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+
+    if (auth.role !== 'university') {
+      return res.status(403).json({ error: 'Forbidden: Only universities can upload students' })
+    }
+
+    const uploadError = await new Promise(resolve => spreadsheetUpload.single('file')(req, res, resolve))
+    if (uploadError) {
+      const message = uploadError.code === 'LIMIT_FILE_SIZE'
+        ? `File is too large (max ${MAX_SPREADSHEET_SIZE / (1024 * 1024)}MB)`
+        : uploadError.message
+      return res.status(400).json({ error: message })
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' })
+    }
+
+    let sheet
+    try {
+      sheet = await readSpreadsheet(req.file.buffer, getSpreadsheetType(req.file.mimetype, req.file.originalname))
+    } catch (readErr) {
+      console.warn('[Bulk Upload] Could not read spreadsheet:', readErr.message)
+      return res.status(422).json({ error: readErr.message || 'Could not read this file', code: 'SPREADSHEET_PARSE_FAILED' })
+    }
+
+    return res.json({
+      headers: sheet.headers,
+      rows: sheet.rows,
+      truncated: sheet.truncated,
+      suggestedMapping: suggestColumnMapping(sheet.headers)
+    })
+  } catch (err) {
+    console.error('[Bulk Upload] Read error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'BULK_UPLOAD_READ_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// Load a bulk upload owned by the authenticated university
+const loadOwnBulkUpload = async (req, res) => {
+  const auth = await requireAuth(req, res)
+  if (!auth) return null
+
+  if (auth.role !== 'university') {
+    res.status(403).json({ error: 'Forbidden: Only universities can manage bulk uploads' })
+    return null
+  }
+
+  if (!supabaseAdmin) {
+    res.status(500).json({
+      error: 'Service role key is not configured. Please set SUPABASE_SERVICE_ROLE_KEY in backend/.env file and restart the server.',
+      code: 'SERVICE_ROLE_KEY_MISSING'
+    })
+    return null
+  }
+
+  const { data: upload, error } = await supabaseAdmin
+    .from('bulk_uploads')
+    .select('*')
+    .eq('id', req.params.id)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!upload || upload.university_id !== auth.user.id) {
+    res.status(404).json({ error: 'Bulk upload not found' })
+    return null
+  }
+
+  return upload
+}
+
+// Queue the failed and cancelled rows of a bulk upload again
+app.post('/api/university/bulk-uploads/:id/retry', async (req, res) => {
+  try {
+    const upload = await loadOwnBulkUpload(req, res)
+    if (!upload) return
+
+    if (upload.status === 'queued' || upload.status === 'processing') {
+      return res.status(409).json({ error: 'This upload is still being processed' })
+    }
+
+    const retried = await retryBulkUploadRows(supabaseAdmin, upload)
+    if (retried === 0) {
+      return res.status(400).json({ error: 'There are no failed rows to retry' })
+    }
+
+    runJob(BULK_IMPORT_JOB)
+    return res.status(202).json({ success: true, bulkUploadId: upload.id, status: 'queued', retried })
+  } catch (err) {
+    console.error('[Bulk Upload] Retry error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'BULK_UPLOAD_RETRY_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// Cancel a bulk upload. A running job stops after its current chunk.
+app.post('/api/university/bulk-uploads/:id/cancel', async (req, res) => {
+  try {
+    const upload = await loadOwnBulkUpload(req, res)
+    if (!upload) return
+
+    if (upload.status !== 'queued' && upload.status !== 'processing') {
+      return res.status(409).json({ error: `This upload is already ${upload.status}` })
+    }
+
+    const { error } = await supabaseAdmin
+      .from('bulk_uploads')
+      .update({ cancel_requested: true, updated_at: new Date().toISOString() })
+      .eq('id', upload.id)
+    if (error) throw error
+
+    // Nothing has picked a queued upload up yet, so finish it here
+    if (upload.status === 'queued') {
+      await finishCancelledUpload(supabaseAdmin, upload.id)
+    }
+
+    return res.json({ success: true, bulkUploadId: upload.id, status: upload.status === 'queued' ? 'cancelled' : 'cancelling' })
+  } catch (err) {
+    console.error('[Bulk Upload] Cancel error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'BULK_UPLOAD_CANCEL_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// Email new activation links to the university's students ({ studentIds }).
+// Earlier links stop working; students who already activated are skipped.
+const MAX_INVITATIONS_PER_REQUEST = 500
+
+app.post('/api/university/students/invitations', async (req, res) => {
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+
+    if (auth.role !== 'university') {
+      return res.status(403).json({ error: 'Forbidden: Only universities can invite students' })
+    }
+
+    if (!supabaseAdmin) {
+      return res.status(500).json({
+        error: 'Service role key is not configured. Please set SUPABASE_SERVICE_ROLE_KEY in backend/.env file and restart the server.',
+        code: 'SERVICE_ROLE_KEY_MISSING'
+      })
+    }
+
+    const { studentIds } = req.body || {}
+    if (!Array.isArray(studentIds) || studentIds.length === 0) {
+      return res.status(400).json({ error: 'Missing required field: studentIds (non-empty array)' })
+    }
+    if (studentIds.length > MAX_INVITATIONS_PER_REQUEST) {
+      return res.status(400).json({ error: `At most ${MAX_INVITATIONS_PER_REQUEST} students can be invited at once` })
+    }
+
+    const { data: students, error } = await supabaseAdmin
+      .from('students')
+      .select('id, user_id, name, email, activated_at')
+      .eq('university_id', auth.user.id)
+      .in('id', studentIds)
+    if (error) throw error
+
+    const { data: university } = await supabaseAdmin
+      .from('profiles')
+      .select('organization_name, full_name')
+      .eq('id', auth.user.id)
+      .maybeSingle()
+    const universityName = university?.organization_name || university?.full_name || null
+
+    const results = { sent: [], skipped: [], failed: [] }
+    for (const student of students || []) {
+      if (student.activated_at) {
+        results.skipped.push({ id: student.id, email: student.email, reason: 'Already activated' })
+        continue
+      }
+      const { invitation, error: inviteError } = await sendStudentInvitation(supabaseAdmin, student, {
+        createdBy: auth.user.id,
+        universityName
+      })
+      if (inviteError) results.failed.push({ id: student.id, email: student.email, error: inviteError })
+      else results.sent.push({ id: student.id, ...invitation })
+    }
+
+    const found = new Set((students || []).map((s) => s.id))
+    studentIds.filter((id) => !found.has(id)).forEach((id) => {
+      results.skipped.push({ id, email: null, reason: 'Student not found' })
+    })
+
+    console.log(`[Activation] ${results.sent.length} invitation(s) sent by university ${auth.user.id}`)
+    return res.json({ success: true, ...results })
+  } catch (err) {
+    console.error('[Activation] Invitation error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'STUDENT_INVITATION_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// ============================================
+// Interview scheduling
+// Software houses propose slots, applicants book one; either side can
+// reschedule or cancel. Notifications are created by DB triggers
+// (see database/add_interviews.sql).
+// ============================================
+
+const ACTIVE_INTERVIEW_STATUSES = ['proposed', 'scheduled', 'reschedule_requested']
+const CLOSED_APPLICATION_STATUSES = ['rejected', 'withdrawn', 'joined']
+const MAX_INTERVIEW_SLOTS = 10
+
+// Helper: validate proposed slots ([{ start_at, end_at? }]) and fill in end times
+function normalizeInterviewSlots(slots, durationMinutes) {
+  if (!Array.isArray(slots) || slots.length === 0) {
+    return { error: 'At least one interview slot is required' }
+  }
+  if (slots.length > MAX_INTERVIEW_SLOTS) {
+    return { error: `A maximum of ${MAX_INTERVIEW_SLOTS} slots can be proposed at once` }
+  }
+  const now = Date.now()
+  const normalized = []
+  for (const slot of slots) {
+    const start = new Date(slot?.start_at)
+    if (isNaN(start.getTime())) {
+      return { error: 'Each slot needs a valid start_at date' }
+    }
+    if (start.getTime() <= now) {
+      return { error: 'Interview slots must be in the future' }
+    }
+    const end = slot?.end_at ? new Date(slot.end_at) : new Date(start.getTime() + durationMinutes * 60000)
+    if (isNaN(end.getTime()) || end <= start) {
+      return { error: 'Each slot must end after it starts' }
+    }
+    normalized.push({ start_at: start.toISOString(), end_at: end.toISOString() })
+  }
+  normalized.sort((a, b) => new Date(a.start_at) - new Date(b.start_at))
+  return { slots: normalized }
+}
+
+// Helper: load an interview and work out which side the caller is on
+async function loadInterviewForUser(interviewId, auth) {
+  const { data: interview, error } = await supabaseAdmin
+    .from('interviews')
+    .select('*, interview_slots(*)')
+    .eq('id', interviewId)
+    .maybeSingle()
+  if (error) throw error
+  if (!interview) return { status: 404, error: 'Interview not found' }
+
+  let side = null
+  if (interview.software_house_id === auth.user.id) side = 'software_house'
+  else if (interview.student_id === auth.user.id) side = 'applicant'
+  else if (auth.role === 'admin') side = 'admin'
+
+  if (!side) return { status: 403, error: 'Forbidden: Not a participant in this interview' }
+  return { interview, side }
+}
+
+// List interviews for an application (or all of the caller's interviews)
+app.get('/api/interviews', async (req, res) => {
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+    if (!supabaseAdmin) {
+      return res.status(500).json({ error: 'Service role key is not configured', code: 'SERVICE_ROLE_KEY_MISSING' })
+    }
+
+    let query = supabaseAdmin
+      .from('interviews')
+      .select('*, interview_slots(*)')
+      .order('created_at', { ascending: false })
+
+    if (auth.role !== 'admin') {
+      query = query.or(`student_id.eq.${auth.user.id},software_house_id.eq.${auth.user.id}`)
+    }
+    if (req.query.application_id) {
+      query = query.eq('application_id', req.query.application_id)
+    }
+
+    const { data, error } = await query
+    if (error) throw error
+
+    // Only expose slots from the current revision
+    const interviews = (data || []).map(i => ({
+      ...i,
+      interview_slots: (i.interview_slots || [])
+        .filter(s => s.revision === i.revision)
+        .sort((a, b) => new Date(a.start_at) - new Date(b.start_at))
+    }))
+
+    return res.json({ interviews })
+  } catch (err) {
+    console.error('[Interviews] List error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'INTERVIEW_LIST_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// Propose interview slots for an application (software house only)
+app.post('/api/interviews', async (req, res) => {
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+    if (auth.role !== 'software_house') {
+      return res.status(403).json({ error: 'Forbidden: Only software houses can schedule interviews' })
+    }
+    if (!supabaseAdmin) {
+      return res.status(500).json({ error: 'Service role key is not configured', code: 'SERVICE_ROLE_KEY_MISSING' })
+    }
+
+    const { application_id, slots, duration_minutes, location, meeting_link, notes } = req.body || {}
+    if (!application_id) {
+      return res.status(400).json({ error: 'Missing required field: application_id' })
+    }
+    const duration = parseInt(duration_minutes, 10) || 30
+    if (duration <= 0 || duration > 480) {
+      return res.status(400).json({ error: 'duration_minutes must be between 1 and 480' })
+    }
+
+    const { data: application, error: appError } = await supabaseAdmin
+      .from('applications')
+      .select('id, user_id, status, internships:internship_id ( software_house_id )')
+      .eq('id', application_id)
+      .maybeSingle()
+    if (appError) throw appError
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' })
+    }
+    if (application.internships?.software_house_id !== auth.user.id) {
+      return res.status(403).json({ error: 'Forbidden: Can only schedule interviews for own internships' })
+    }
+    if (CLOSED_APPLICATION_STATUSES.includes(application.status)) {
+      return res.status(400).json({ error: `Cannot schedule an interview for a ${application.status} application` })
+    }
+
+    const { data: existing } = await supabaseAdmin
+      .from('interviews')
+      .select('id')
+      .eq('application_id', application_id)
+      .in('status', ACTIVE_INTERVIEW_STATUSES)
+      .limit(1)
+    if (existing && existing.length > 0) {
+      return res.status(409).json({ error: 'This application already has an active interview. Reschedule or cancel it instead.' })
+    }
+
+    const { slots: normalizedSlots, error: slotError } = normalizeInterviewSlots(slots, duration)
+    if (slotError) {
+      return res.status(400).json({ error: slotError })
+    }
+
+    console.log(`[Interviews] Proposing ${normalizedSlots.length} slot(s) for application ${application_id}`)
+
+    const { data: interview, error: insertError } = await supabaseAdmin
+      .from('interviews')
+      .insert({
+        application_id,
+        software_house_id: auth.user.id,
+        student_id: application.user_id,
+        status: 'proposed',
+        duration_minutes: duration,
+        location: location || null,
+        meeting_link: meeting_link || null,
+        notes: notes || null,
+        created_by: auth.user.id
+      })
+      .select()
+      .single()
+    if (insertError) throw insertError
+
+    const { data: insertedSlots, error: slotsError } = await supabaseAdmin
+      .from('interview_slots')
+      .insert(normalizedSlots.map(s => ({ ...s, interview_id: interview.id, revision: 1 })))
+      .select()
+    if (slotsError) {
+      await supabaseAdmin.from('interviews').delete().eq('id', interview.id)
+      throw slotsError
+    }
+
+    return res.status(201).json({ interview: { ...interview, interview_slots: insertedSlots } })
+  } catch (err) {
+    console.error('[Interviews] Propose error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'INTERVIEW_PROPOSE_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// Book one of the proposed slots (applicant only)
+app.post('/api/interviews/:id/book', async (req, res) => {
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+    if (!supabaseAdmin) {
+      return res.status(500).json({ error: 'Service role key is not configured', code: 'SERVICE_ROLE_KEY_MISSING' })
+    }
+
+    const result = await loadInterviewForUser(req.params.id, auth)
+    if (result.error) return res.status(result.status).json({ error: result.error })
+    const { interview, side } = result
+    if (side !== 'applicant') {
+      return res.status(403).json({ error: 'Forbidden: Only the applicant can book an interview slot' })
+    }
+    if (interview.status !== 'proposed') {
+      return res.status(400).json({ error: `Cannot book an interview that is ${interview.status.replace('_', ' ')}` })
+    }
+
+    const { slot_id } = req.body || {}
+    const slot = (interview.interview_slots || []).find(s => s.id === slot_id && s.revision === interview.revision)
+    if (!slot) {
+      return res.status(400).json({ error: 'Selected slot is not available' })
+    }
+    if (new Date(slot.start_at).getTime() <= Date.now()) {
+      return res.status(400).json({ error: 'Selected slot is in the past. Please ask for new times.' })
+    }
+
+    const { data: updated, error: updateError } = await supabaseAdmin
+      .from('interviews')
+      .update({
+        status: 'scheduled',
+        selected_slot_id: slot.id,
+        scheduled_start: slot.start_at,
+        scheduled_end: slot.end_at,
+        reschedule_reason: null,
+        reschedule_requested_by: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', interview.id)
+      .eq('status', 'proposed')
+      .select()
+      .maybeSingle()
+    if (updateError) throw updateError
+    if (!updated) {
+      return res.status(409).json({ error: 'Interview was changed by the other party. Please refresh.' })
+    }
+
+    // Move the application into the interview stage when it is still early in the pipeline
+    const { error: stageError } = await supabaseAdmin
+      .from('applications')
+      .update({ status: 'interview_scheduled', updated_at: new Date().toISOString() })
+      .eq('id', interview.application_id)
+      .in('status', ['pending', 'shortlisted'])
+    if (stageError) {
+      console.warn('[Interviews] Could not move application to interview_scheduled:', stageError.message)
+    }
+
+    return res.json({ interview: updated })
+  } catch (err) {
+    console.error('[Interviews] Book error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'INTERVIEW_BOOK_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// Reschedule: software house proposes new slots; applicant requests new times
+app.post('/api/interviews/:id/reschedule', async (req, res) => {
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+    if (!supabaseAdmin) {
+      return res.status(500).json({ error: 'Service role key is not configured', code: 'SERVICE_ROLE_KEY_MISSING' })
+    }
+
+    const result = await loadInterviewForUser(req.params.id, auth)
+    if (result.error) return res.status(result.status).json({ error: result.error })
+    const { interview, side } = result
+    if (!ACTIVE_INTERVIEW_STATUSES.includes(interview.status)) {
+      return res.status(400).json({ error: `Cannot reschedule an interview that is ${interview.status}` })
+    }
+
+    const { slots, reason, duration_minutes, location, meeting_link, notes } = req.body || {}
+
+    if (side === 'applicant') {
+      if (interview.status === 'reschedule_requested') {
+        return res.status(400).json({ error: 'A reschedule has already been requested' })
+      }
+      const { data: updated, error } = await supabaseAdmin
+        .from('interviews')
+        .update({
+          status: 'reschedule_requested',
+          reschedule_reason: reason || null,
+          reschedule_requested_by: auth.user.id,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', interview.id)
+        .select()
+        .single()
+      if (error) throw error
+      return res.json({ interview: updated })
+    }
+
+    if (side !== 'software_house') {
+      return res.status(403).json({ error: 'Forbidden: Only interview participants can reschedule' })
+    }
+
+    const duration = parseInt(duration_minutes, 10) || interview.duration_minutes
+    const { slots: normalizedSlots, error: slotError } = normalizeInterviewSlots(slots, duration)
+    if (slotError) {
+      return res.status(400).json({ error: slotError })
+    }
+
+    const revision = interview.revision + 1
+    const { error: slotsError } = await supabaseAdmin
+      .from('interview_slots')
+      .insert(normalizedSlots.map(s => ({ ...s, interview_id: interview.id, revision })))
+    if (slotsError) throw slotsError
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('interviews')
+      .update({
+        status: 'proposed',
+        revision,
+        duration_minutes: duration,
+        location: location !== undefined ? location : interview.location,
+        meeting_link: meeting_link !== undefined ? meeting_link : interview.meeting_link,
+        notes: notes !== undefined ? notes : interview.notes,
+        selected_slot_id: null,
+        scheduled_start: null,
+        scheduled_end: null,
+        reschedule_reason: reason || null,
+        reschedule_requested_by: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', interview.id)
+      .select()
+      .single()
+    if (error) throw error
+
+    console.log(`[Interviews] Interview ${interview.id} rescheduled (revision ${revision})`)
+    return res.json({ interview: updated })
+  } catch (err) {
+    console.error('[Interviews] Reschedule error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'INTERVIEW_RESCHEDULE_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// Cancel an interview (either participant)
+app.post('/api/interviews/:id/cancel', async (req, res) => {
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+    if (!supabaseAdmin) {
+      return res.status(500).json({ error: 'Service role key is not configured', code: 'SERVICE_ROLE_KEY_MISSING' })
+    }
+
+    const result = await loadInterviewForUser(req.params.id, auth)
+    if (result.error) return res.status(result.status).json({ error: result.error })
+    const { interview } = result
+    if (!ACTIVE_INTERVIEW_STATUSES.includes(interview.status)) {
+      return res.status(400).json({ error: `Interview is already ${interview.status}` })
+    }
+
+    const { reason } = req.body || {}
+    const { data: updated, error } = await supabaseAdmin
+      .from('interviews')
+      .update({
+        status: 'cancelled',
+        cancelled_by: auth.user.id,
+        cancel_reason: reason || null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', interview.id)
+      .select()
+      .single()
+    if (error) throw error
+
+    return res.json({ interview: updated })
+  } catch (err) {
+    console.error('[Interviews] Cancel error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'INTERVIEW_CANCEL_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// Download a booked interview as an .ics calendar file
+app.get('/api/interviews/:id/ics', async (req, res) => {
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+    if (!supabaseAdmin) {
+      return res.status(500).json({ error: 'Service role key is not configured', code: 'SERVICE_ROLE_KEY_MISSING' })
+    }
+
+    const result = await loadInterviewForUser(req.params.id, auth)
+    if (result.error) return res.status(result.status).json({ error: result.error })
+    const { interview } = result
+    if (interview.status !== 'scheduled' || !interview.scheduled_start) {
+      return res.status(400).json({ error: 'Only booked interviews can be exported' })
+    }
+
+    const { data: application } = await supabaseAdmin
+      .from('applications')
+      .select('internships:internship_id ( title ), profiles:user_id ( full_name, email )')
+      .eq('id', interview.application_id)
+      .maybeSingle()
+    const { data: company } = await supabaseAdmin
+      .from('profiles')
+      .select('organization_name, full_name')
+      .eq('id', interview.software_house_id)
+      .maybeSingle()
+
+    const internshipTitle = application?.internships?.title || 'Internship'
+    const companyName = company?.organization_name || company?.full_name || 'Software House'
+    const candidateName = application?.profiles?.full_name || application?.profiles?.email || 'Applicant'
+
+    const ics = generateICS({
+      uid: interview.id,
+      start: interview.scheduled_start,
+      end: interview.scheduled_end,
+      title: `Interview: ${internshipTitle} (${companyName})`,
+      description: [
+        `Candidate: ${candidateName}`,
+        `Company: ${companyName}`,
+        interview.meeting_link ? `Join: ${interview.meeting_link}` : null,
+        interview.notes || null
+      ].filter(Boolean).join('\n'),
+      location: interview.location || interview.meeting_link,
+      url: interview.meeting_link,
+      sequence: interview.revision - 1
+    })
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8')
+    res.setHeader('Content-Disposition', `attachment; filename="interview-${interview.id}.ics"`)
+    return res.send(ics)
+  } catch (err) {
+    console.error('[Interviews] ICS export error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'INTERVIEW_ICS_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// ============================================
+// Application messages
+// ============================================
+// The applicant and the software house write in one thread per application;
+// the applicant's university can read it. Threads are read directly from
+// Supabase (RLS); sending goes through here so attachments can be stored in
+// the private bucket.
+
+// Helper: load an application and work out which side of its thread the caller is on
+async function loadApplicationThreadForUser(applicationId, auth) {
+  const { data: application, error } = await supabaseAdmin
+    .from('applications')
+    .select('id, user_id, internships:internship_id ( software_house_id )')
+    .eq('id', applicationId)
+    .maybeSingle()
+  if (error) throw error
+  if (!application) return { status: 404, error: 'Application not found' }
+
+  let student = null
+  if (auth.role === 'university') {
+    const { data } = await supabaseAdmin
+      .from('students')
+      .select('university_id')
+      .eq('user_id', application.user_id)
+      .maybeSingle()
+    student = data
+  }
+
+  const side = getMessageSide(application, auth, student)
+  if (!side) return { status: 403, error: 'Forbidden: Not a participant in this conversation' }
+  return { application, side }
+}
+
+// Send a message (applicant or software house), with optional attachments
+app.post('/api/applications/:id/messages', async (req, res) => {
+  const uploadedPaths = []
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+    if (!supabaseAdmin) {
+      return res.status(500).json({ error: 'Service role key is not configured', code: 'SERVICE_ROLE_KEY_MISSING' })
+    }
+
+    const uploadError = await new Promise(resolve => messageUpload.array('attachments', MAX_MESSAGE_ATTACHMENTS)(req, res, resolve))
+    if (uploadError) {
+      const message = uploadError.code === 'LIMIT_FILE_SIZE'
+        ? `Attachments can be at most ${MAX_MESSAGE_ATTACHMENT_SIZE / (1024 * 1024)}MB each`
+        : uploadError.code === 'LIMIT_FILE_COUNT' || uploadError.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `Attach at most ${MAX_MESSAGE_ATTACHMENTS} files`
+          : uploadError.message
+      return res.status(400).json({ error: message })
+    }
+
+    const result = await loadApplicationThreadForUser(req.params.id, auth)
+    if (result.error) return res.status(result.status).json({ error: result.error })
+    if (result.side === 'university') {
+      return res.status(403).json({ error: 'Forbidden: Universities can read this conversation but not reply' })
+    }
+
+    const files = req.files || []
+    const { body, error: bodyError } = normalizeMessageBody(req.body?.body, files.length)
+    if (bodyError) {
+      return res.status(400).json({ error: bodyError })
+    }
+
+    const attachments = []
+    for (const file of files) {
+      const storagePath = buildAttachmentPath(req.params.id, file.originalname, randomUUID())
+      const { error: storageError } = await supabaseAdmin.storage
+        .from(MESSAGE_ATTACHMENT_BUCKET)
+        .upload(storagePath, file.buffer, { contentType: file.mimetype, upsert: false })
+      if (storageError) throw storageError
+      uploadedPaths.push(storagePath)
+      attachments.push({ path: storagePath, name: file.originalname, size: file.size, mime_type: file.mimetype })
+    }
+
+    const { data: message, error: insertError } = await supabaseAdmin
+      .from('application_messages')
+      .insert({
+        application_id: req.params.id,
+        sender_id: auth.user.id,
+        sender_side: result.side,
+        body,
+        attachments
+      })
+      .select()
+      .single()
+    if (insertError) throw insertError
+
+    // Sending a message also means the sender has read the thread up to here
+    await supabaseAdmin
+      .from('application_message_reads')
+      .upsert({ application_id: req.params.id, user_id: auth.user.id, last_read_at: message.created_at }, { onConflict: 'application_id,user_id' })
+
+    return res.status(201).json({ message })
+  } catch (err) {
+    console.error('[Messages] Send error:', err)
+    if (uploadedPaths.length > 0) {
+      await supabaseAdmin.storage.from(MESSAGE_ATTACHMENT_BUCKET).remove(uploadedPaths)
+    }
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'MESSAGE_SEND_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// Short-lived download link for a message attachment (any participant)
+app.get('/api/messages/:id/attachments/:index', async (req, res) => {
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+    if (!supabaseAdmin) {
+      return res.status(500).json({ error: 'Service role key is not configured', code: 'SERVICE_ROLE_KEY_MISSING' })
+    }
+
+    const { data: message, error } = await supabaseAdmin
+      .from('application_messages')
+      .select('id, application_id, attachments')
+      .eq('id', req.params.id)
+      .maybeSingle()
+    if (error) throw error
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' })
+    }
+
+    const result = await loadApplicationThreadForUser(message.application_id, auth)
+    if (result.error) return res.status(result.status).json({ error: result.error })
+
+    const attachment = (message.attachments || [])[parseInt(req.params.index, 10)]
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' })
+    }
+
+    const { data: signed, error: signError } = await supabaseAdmin.storage
+      .from(MESSAGE_ATTACHMENT_BUCKET)
+      .createSignedUrl(attachment.path, ATTACHMENT_URL_TTL_SECONDS, { download: attachment.name })
+    if (signError) throw signError
+
+    return res.json({ url: signed.signedUrl, name: attachment.name, expires_in: ATTACHMENT_URL_TTL_SECONDS })
+  } catch (err) {
+    console.error('[Messages] Attachment error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'MESSAGE_ATTACHMENT_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// ============================================
+// Placements
+// ============================================
+// A placement is created by a trigger when an offer is accepted. Placements
+// are read directly from Supabase (RLS); updates go through here so the
+// software house and the university can each only change their own fields.
+
+// Update a placement (software house: details and completion, university: credit)
+app.put('/api/placements/:id', async (req, res) => {
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+    if (!supabaseAdmin) {
+      return res.status(500).json({ error: 'Service role key is not configured', code: 'SERVICE_ROLE_KEY_MISSING' })
+    }
+
+    const { data: placement, error: loadError } = await supabaseAdmin
+      .from('placements')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle()
+    if (loadError) throw loadError
+    if (!placement) {
+      return res.status(404).json({ error: 'Placement not found' })
+    }
+
+    const side = getPlacementSide(placement, auth)
+    if (!side || side === 'student') {
+      return res.status(403).json({ error: 'Forbidden: Only the software house or the university can update a placement' })
+    }
+
+    const { values, error: validationError } = normalizePlacementUpdate(req.body || {}, side, placement)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
+    const { data: updated, error: updateError } = await supabaseAdmin
+      .from('placements')
+      .update({ ...values, updated_by: auth.user.id, updated_at: new Date().toISOString() })
+      .eq('id', placement.id)
+      .select()
+      .single()
+    if (updateError) throw updateError
+
+    // Completing a placement issues its certificate; leaving "completed" revokes it.
+    // A failure here is logged only: the certificate is also issued on first download.
+    try {
+      if (updated.status === 'completed') {
+        await issuePlacementCertificate(updated, auth.user.id)
+      } else if (placement.status === 'completed') {
+        await revokePlacementCertificate(placement.id)
+      }
+    } catch (certError) {
+      console.error('[Certificates] Issue/revoke error:', certError)
+    }
+
+    return res.json({ placement: updated })
+  } catch (err) {
+    console.error('[Placements] Update error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'PLACEMENT_UPDATE_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// ============================================
+// Placement evaluations
+// ============================================
+// After a placement ends the software house evaluates the intern and the
+// student reviews the software house, each against an evaluation form.
+
+// Helper: the form used for an evaluation kind (the university's own
+// supervisor form if it has one, otherwise the default)
+async function loadEvaluationForm(kind, universityId) {
+  let query = supabaseAdmin
+    .from('evaluation_forms')
+    .select('*')
+    .eq('kind', kind)
+  query = kind === 'supervisor' && universityId
+    ? query.or(`university_id.eq.${universityId},university_id.is.null`)
+    : query.is('university_id', null)
+
+  const { data, error } = await query
+  if (error) throw error
+  return (data || []).find(f => f.university_id) || (data || [])[0] || null
+}
+
+// Submit the caller's evaluation of an ended placement
+app.post('/api/placements/:id/evaluations', async (req, res) => {
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+    if (!supabaseAdmin) {
+      return res.status(500).json({ error: 'Service role key is not configured', code: 'SERVICE_ROLE_KEY_MISSING' })
+    }
+
+    const { data: placement, error: loadError } = await supabaseAdmin
+      .from('placements')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle()
+    if (loadError) throw loadError
+    if (!placement) {
+      return res.status(404).json({ error: 'Placement not found' })
+    }
+
+    const kind = getEvaluationKindForSide(getPlacementSide(placement, auth))
+    if (!kind) {
+      return res.status(403).json({ error: 'Forbidden: Only the software house or the intern can evaluate a placement' })
+    }
+    if (!isPlacementEnded(placement)) {
+      return res.status(400).json({ error: 'Evaluations open once the placement has ended' })
+    }
+
+    const { data: existing, error: existingError } = await supabaseAdmin
+      .from('placement_evaluations')
+      .select('id')
+      .eq('placement_id', placement.id)
+      .eq('kind', kind)
+      .maybeSingle()
+    if (existingError) throw existingError
+    if (existing) {
+      return res.status(409).json({ error: `The ${EVALUATION_KINDS[kind].toLowerCase()} has already been submitted` })
+    }
+
+    const form = await loadEvaluationForm(kind, placement.university_id)
+    if (!form) {
+      return res.status(500).json({ error: 'No evaluation form is configured', code: 'EVALUATION_FORM_MISSING' })
+    }
+
+    const { answers, overall_rating, error: answersError } = normalizeEvaluationAnswers(form.questions, req.body?.answers)
+    if (answersError) {
+      return res.status(400).json({ error: answersError })
+    }
+
+    const { data: evaluation, error: insertError } = await supabaseAdmin
+      .from('placement_evaluations')
+      .insert({
+        placement_id: placement.id,
+        kind,
+        form_id: form.id,
+        questions: form.questions,
+        answers,
+        overall_rating,
+        author_id: auth.user.id,
+        student_id: placement.student_id,
+        software_house_id: placement.software_house_id,
+        university_id: placement.university_id
+      })
+      .select()
+      .single()
+    if (insertError) throw insertError
+
+    return res.status(201).json({ evaluation })
+  } catch (err) {
+    console.error('[Evaluations] Submit error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'EVALUATION_SUBMIT_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// Save an evaluation form: universities customise the supervisor form for
+// their students, admins edit the defaults
+app.put('/api/evaluation-forms/:kind', async (req, res) => {
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+    const { kind } = req.params
+    if (!EVALUATION_KINDS[kind]) {
+      return res.status(404).json({ error: 'Unknown evaluation form' })
+    }
+    if (auth.role !== 'admin' && !(auth.role === 'university' && kind === 'supervisor')) {
+      return res.status(403).json({ error: 'Forbidden: Universities can only customise the supervisor evaluation form' })
+    }
+    if (!supabaseAdmin) {
+      return res.status(500).json({ error: 'Service role key is not configured', code: 'SERVICE_ROLE_KEY_MISSING' })
+    }
+
+    const { questions, error: questionsError } = normalizeFormQuestions(req.body?.questions)
+    if (questionsError) {
+      return res.status(400).json({ error: questionsError })
+    }
+    const title = (typeof req.body?.title === 'string' && req.body.title.trim()) || EVALUATION_KINDS[kind]
+
+    const universityId = auth.role === 'university' ? auth.user.id : null
+    let lookup = supabaseAdmin.from('evaluation_forms').select('id').eq('kind', kind)
+    lookup = universityId ? lookup.eq('university_id', universityId) : lookup.is('university_id', null)
+    const { data: current, error: lookupError } = await lookup.maybeSingle()
+    if (lookupError) throw lookupError
+
+    const values = { title, questions, updated_by: auth.user.id, updated_at: new Date().toISOString() }
+    const { data: form, error: saveError } = current
+      ? await supabaseAdmin.from('evaluation_forms').update(values).eq('id', current.id).select().single()
+      : await supabaseAdmin.from('evaluation_forms').insert({ kind, university_id: universityId, ...values }).select().single()
+    if (saveError) throw saveError
+
+    return res.json({ form })
+  } catch (err) {
+    console.error('[Evaluations] Form save error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'EVALUATION_FORM_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// ============================================
+// Completion certificates
+// ============================================
+// A completed placement gets a PDF certificate with a verification code and
+// a QR code. Anyone can check a code without logging in: GET /verify/:code
+// (browsers are sent to the React verification page) and
+// GET /api/certificates/verify/:code, which that page calls.
+
+/**
+ * Issue (or reinstate and refresh) the certificate of a completed placement
+ * @param {object} placement - placements row
+ * @param {string|null} issuedBy - Profile ID of the user completing it
+ * @returns {Promise<object>} placement_certificates row
+ */
+async function issuePlacementCertificate(placement, issuedBy = null) {
+  const [{ data: existing, error: existingError }, { data: profiles, error: profilesError }, { data: internship, error: internshipError }] = await Promise.all([
+    supabaseAdmin.from('placement_certificates').select('*').eq('placement_id', placement.id).maybeSingle(),
+    supabaseAdmin
+      .from('profiles')
+      .select('id, full_name, organization_name')
+      .in('id', [placement.student_id, placement.software_house_id, placement.university_id].filter(Boolean)),
+    supabaseAdmin.from('internships').select('title').eq('id', placement.internship_id).maybeSingle()
+  ])
+  if (existingError) throw existingError
+  if (profilesError) throw profilesError
+  if (internshipError) throw internshipError
+
+  const profileById = Object.fromEntries((profiles || []).map(p => [p.id, p]))
+  const orgName = (id) => profileById[id]?.organization_name || profileById[id]?.full_name || null
+  const record = buildCertificateRecord(placement, {
+    studentName: profileById[placement.student_id]?.full_name,
+    softwareHouseName: orgName(placement.software_house_id),
+    universityName: placement.university_id ? orgName(placement.university_id) : null,
+    internshipTitle: internship?.title
+  })
+
+  if (existing) {
+    const { data, error } = await supabaseAdmin
+      .from('placement_certificates')
+      .update({ ...record, revoked_at: null, updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .select()
+      .single()
+    if (error) throw error
+    return data
+  }
+
+  // Retry on the (unlikely) chance of a verification code collision
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const { data, error } = await supabaseAdmin
+      .from('placement_certificates')
+      .insert({ ...record, verification_code: generateVerificationCode(), issued_by: issuedBy })
+      .select()
+      .single()
+    if (!error) return data
+    if (error.code !== '23505' || !String(error.message).includes('verification_code')) throw error
+  }
+  throw new Error('Could not generate a unique verification code')
+}
+
+// Helper: mark a placement's certificate as revoked
+async function revokePlacementCertificate(placementId) {
+  const now = new Date().toISOString()
+  const { error } = await supabaseAdmin
+    .from('placement_certificates')
+    .update({ revoked_at: now, updated_at: now })
+    .eq('placement_id', placementId)
+    .is('revoked_at', null)
+  if (error) throw error
+}
+
+// Helper: look up a certificate by verification code for the public check
+async function findCertificateByCode(rawCode) {
+  const code = normalizeVerificationCode(rawCode)
+  if (!code) return null
+  const { data, error } = await supabaseAdmin
+    .from('placement_certificates')
+    .select('*')
+    .eq('verification_code', code)
+    .maybeSingle()
+  if (error) throw error
+  return data
+}
+
+// Download the certificate of a completed placement
+app.get('/api/placements/:id/certificate', async (req, res) => {
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+    if (!supabaseAdmin) {
+      return res.status(500).json({ error: 'Service role key is not configured', code: 'SERVICE_ROLE_KEY_MISSING' })
+    }
+
+    const { data: placement, error: loadError } = await supabaseAdmin
+      .from('placements')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle()
+    if (loadError) throw loadError
+    if (!placement) {
+      return res.status(404).json({ error: 'Placement not found' })
+    }
+    if (!getPlacementSide(placement, auth)) {
+      return res.status(403).json({ error: 'Forbidden: You are not part of this placement' })
+    }
+    if (placement.status !== 'completed') {
+      return res.status(409).json({ error: 'A certificate is only available once the placement is completed' })
+    }
+
+    // Placements completed before certificates existed get one on first download
+    const { data: existing, error: certError } = await supabaseAdmin
+      .from('placement_certificates')
+      .select('*')
+      .eq('placement_id', placement.id)
+      .maybeSingle()
+    if (certError) throw certError
+    const certificate = existing && !existing.revoked_at ? existing : await issuePlacementCertificate(placement)
+
+    const pdf = await renderCertificateToPDF(certificate)
+    res.setHeader('Content-Type', 'application/pdf')
+    res.setHeader('Content-Disposition', `attachment; filename="certificate-${certificate.verification_code}.pdf"`)
+    res.setHeader('Cache-Control', 'private, no-store')
+    return res.send(pdf)
+  } catch (err) {
+    console.error('[Certificates] Download error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'CERTIFICATE_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// Public: verify a certificate code (JSON)
+async function sendCertificateVerification(req, res) {
+  try {
+    if (!supabaseAdmin) {
+      return res.status(500).json({ error: 'Service role key is not configured', code: 'SERVICE_ROLE_KEY_MISSING' })
+    }
+
+    const certificate = await findCertificateByCode(req.params.code)
+    if (!certificate) {
+      return res.status(404).json({ error: 'No certificate matches this verification code' })
+    }
+
+    res.setHeader('Cache-Control', 'no-store')
+    return res.json({ certificate: toPublicCertificate(certificate) })
+  } catch (err) {
+    console.error('[Certificates] Verify error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'CERTIFICATE_VERIFY_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+}
+
+app.get('/api/certificates/verify/:code', sendCertificateVerification)
+
+// Public: verification link printed on certificates. Browsers are redirected
+// to the React verification page; other clients get the same JSON as above.
+app.get('/verify/:code', (req, res) => {
+  if (req.accepts(['json', 'html']) === 'html') {
+    return res.redirect(302, getCertificateVerifyUrl(normalizeVerificationCode(req.params.code) || req.params.code))
+  }
+  return sendCertificateVerification(req, res)
+})
+
+// ============================================
+// Weekly logbook
+// ============================================
+// Interns log each week of a placement; the software house reviews entries
+// and the university (or the student's faculty advisor) can flag them.
+// Entries are read directly from Supabase (RLS); writes go through here
+// because attachments are stored privately.
+
+// Helper: load a logbook entry and the caller's side of its placement
+async function loadLogbookEntryForUser(entryId, auth) {
+  const { data: entry, error } = await supabaseAdmin
+    .from('logbook_entries')
+    .select('*')
+    .eq('id', entryId)
+    .maybeSingle()
+  if (error) throw error
+  if (!entry) return { status: 404, error: 'Logbook entry not found' }
+
+  // Entries carry the placement's student, software house and university;
+  // faculty advisors see the entries of their assigned students
+  let side = getPlacementSide(entry, auth)
+  if (!side && await isAdvisorOfStudent(auth, entry.student_id)) side = 'advisor'
+  if (!side) return { status: 403, error: 'Forbidden: You are not part of this placement' }
+  return { entry, side }
+}
+
+// Submit a week (or resubmit one that is not approved yet)
+app.post('/api/placements/:id/logbook', async (req, res) => {
+  const uploadedPaths = []
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+    if (!supabaseAdmin) {
+      return res.status(500).json({ error: 'Service role key is not configured', code: 'SERVICE_ROLE_KEY_MISSING' })
+    }
+
+    const uploadError = await new Promise(resolve => logbookUpload.array('attachments', MAX_LOGBOOK_ATTACHMENTS)(req, res, resolve))
+    if (uploadError) {
+      const message = uploadError.code === 'LIMIT_FILE_SIZE'
+        ? `Attachments can be at most ${MAX_LOGBOOK_ATTACHMENT_SIZE / (1024 * 1024)}MB each`
+        : uploadError.code === 'LIMIT_FILE_COUNT' || uploadError.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `Attach at most ${MAX_LOGBOOK_ATTACHMENTS} files`
+          : uploadError.message
+      return res.status(400).json({ error: message })
+    }
+
+    const { data: placement, error: loadError } = await supabaseAdmin
+      .from('placements')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle()
+    if (loadError) throw loadError
+    if (!placement) {
+      return res.status(404).json({ error: 'Placement not found' })
+    }
+    if (getPlacementSide(placement, auth) !== 'student') {
+      return res.status(403).json({ error: 'Forbidden: Only the intern can write logbook entries' })
+    }
+    if (!LOGBOOK_PLACEMENT_STATUSES.includes(placement.status)) {
+      return res.status(409).json({ error: 'The logbook opens once the internship has started' })
+    }
+
+    const { values, error: validationError } = normalizeLogbookEntry(req.body || {}, placement)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
+    const { data: existing, error: existingError } = await supabaseAdmin
+      .from('logbook_entries')
+      .select('id, status, attachments')
+      .eq('placement_id', placement.id)
+      .eq('week_start', values.week_start)
+      .maybeSingle()
+    if (existingError) throw existingError
+    if (existing?.status === 'approved') {
+      return res.status(409).json({ error: 'This week has been approved and can no longer be changed' })
+    }
+
+    const files = req.files || []
+    const keptAttachments = existing?.attachments || []
+    if (keptAttachments.length + files.length > MAX_LOGBOOK_ATTACHMENTS) {
+      return res.status(400).json({ error: `A week can have at most ${MAX_LOGBOOK_ATTACHMENTS} attachments` })
+    }
+
+    const attachments = [...keptAttachments]
+    for (const file of files) {
+      const storagePath = buildLogbookAttachmentPath(placement.id, file.originalname, randomUUID())
+      const { error: storageError } = await supabaseAdmin.storage
+        .from(LOGBOOK_ATTACHMENT_BUCKET)
+        .upload(storagePath, file.buffer, { contentType: file.mimetype, upsert: false })
+      if (storageError) throw storageError
+      uploadedPaths.push(storagePath)
+      attachments.push({ path: storagePath, name: file.originalname, size: file.size, mime_type: file.mimetype })
+    }
+
+    const now = new Date().toISOString()
+    const query = existing
+      ? supabaseAdmin
+        .from('logbook_entries')
+        .update({ ...values, attachments, status: 'submitted', submitted_at: now, updated_at: now })
+        .eq('id', existing.id)
+      : supabaseAdmin
+        .from('logbook_entries')
+        .insert({
+          ...values,
+          attachments,
+          placement_id: placement.id,
+          student_id: placement.student_id,
+          software_house_id: placement.software_house_id,
+          university_id: placement.university_id
+        })
+    const { data: entry, error: saveError } = await query.select().single()
+    if (saveError) throw saveError
+
+    return res.status(existing ? 200 : 201).json({ entry })
+  } catch (err) {
+    console.error('[Logbook] Submit error:', err)
+    if (uploadedPaths.length > 0) {
+      await supabaseAdmin.storage.from(LOGBOOK_ATTACHMENT_BUCKET).remove(uploadedPaths)
+    }
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'LOGBOOK_SUBMIT_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// Supervisor approves an entry or asks for changes
+app.put('/api/logbook/:id/review', async (req, res) => {
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+    if (!supabaseAdmin) {
+      return res.status(500).json({ error: 'Service role key is not configured', code: 'SERVICE_ROLE_KEY_MISSING' })
+    }
+
+    const result = await loadLogbookEntryForUser(req.params.id, auth)
+    if (result.error) return res.status(result.status).json({ error: result.error })
+    if (!['software_house', 'admin'].includes(result.side)) {
+      return res.status(403).json({ error: 'Forbidden: Only the software house can review logbook entries' })
+    }
+    if (result.entry.status !== 'submitted') {
+      return res.status(409).json({ error: 'This entry is not awaiting review' })
+    }
+
+    const { values, error: validationError } = normalizeLogbookReview(req.body || {})
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
+    const now = new Date().toISOString()
+    const { data: entry, error: updateError } = await supabaseAdmin
+      .from('logbook_entries')
+      .update({ ...values, reviewed_by: auth.user.id, reviewed_at: now, updated_at: now })
+      .eq('id', result.entry.id)
+      .select()
+      .single()
+    if (updateError) throw updateError
+
+    return res.json({ entry })
+  } catch (err) {
+    console.error('[Logbook] Review error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'LOGBOOK_REVIEW_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// University flags an entry (or clears its flag)
+app.put('/api/logbook/:id/flag', async (req, res) => {
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+    if (!supabaseAdmin) {
+      return res.status(500).json({ error: 'Service role key is not configured', code: 'SERVICE_ROLE_KEY_MISSING' })
+    }
+
+    const result = await loadLogbookEntryForUser(req.params.id, auth)
+    if (result.error) return res.status(result.status).json({ error: result.error })
+    if (!['university', 'advisor', 'admin'].includes(result.side)) {
+      return res.status(403).json({ error: "Forbidden: Only the student's university or faculty advisor can flag logbook entries" })
+    }
+
+    const { values, error: validationError } = normalizeLogbookFlag(req.body || {})
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
+    const now = new Date().toISOString()
+    const { data: entry, error: updateError } = await supabaseAdmin
+      .from('logbook_entries')
+      .update({
+        ...values,
+        flagged_by: values.flagged ? auth.user.id : null,
+        flagged_at: values.flagged ? now : null,
+        updated_at: now
+      })
+      .eq('id', result.entry.id)
+      .select()
+      .single()
+    if (updateError) throw updateError
+
+    return res.json({ entry })
+  } catch (err) {
+    console.error('[Logbook] Flag error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'LOGBOOK_FLAG_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// Short-lived download link for a logbook attachment (any participant)
+app.get('/api/logbook/:id/attachments/:index', async (req, res) => {
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+    if (!supabaseAdmin) {
+      return res.status(500).json({ error: 'Service role key is not configured', code: 'SERVICE_ROLE_KEY_MISSING' })
+    }
+
+    const result = await loadLogbookEntryForUser(req.params.id, auth)
+    if (result.error) return res.status(result.status).json({ error: result.error })
+
+    const attachment = (result.entry.attachments || [])[parseInt(req.params.index, 10)]
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' })
+    }
+
+    const { data: signed, error: signError } = await supabaseAdmin.storage
+      .from(LOGBOOK_ATTACHMENT_BUCKET)
+      .createSignedUrl(attachment.path, ATTACHMENT_URL_TTL_SECONDS, { download: attachment.name })
+    if (signError) throw signError
+
+    return res.json({ url: signed.signedUrl, name: attachment.name, expires_in: ATTACHMENT_URL_TTL_SECONDS })
+  } catch (err) {
+    console.error('[Logbook] Attachment error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'LOGBOOK_ATTACHMENT_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// ============================================
+// Faculty advisors
+// ============================================
+// A university creates advisor accounts and assigns each one a subset of its
+// students, by batch, degree program or one by one. Advisors read those
+// students' records directly from Supabase (RLS, see
+// database/add_faculty_advisors.sql); accounts and assignments are written here.
+
+const ADVISOR_FIELDS = 'id, full_name, email, is_active, university_id, created_at'
+
+// Helper: whether a student (profile ID) is assigned to the calling advisor.
+// Only assignments made by the student's own university count; the advisor's
+// profiles.university_id is not trusted for this.
+async function isAdvisorOfStudent(auth, studentUserId) {
+  if (auth.role !== ADVISOR_ROLE || !studentUserId) return false
+
+  const [advisorResult, studentResult, assignmentsResult] = await Promise.all([
+    supabaseAdmin.from('profiles').select('is_active').eq('id', auth.user.id).maybeSingle(),
+    supabaseAdmin
+      .from('students')
+      .select('id, batch, degree_program, university_id')
+      .eq('user_id', studentUserId)
+      .maybeSingle(),
+    supabaseAdmin
+      .from('advisor_assignments')
+      .select('kind, batch, degree_program, student_id, university_id')
+      .eq('advisor_id', auth.user.id)
+  ])
+  for (const result of [advisorResult, studentResult, assignmentsResult]) {
+    if (result.error) throw result.error
+  }
+  if (advisorResult.data?.is_active === false || !studentResult.data) return false
+  const assignments = (assignmentsResult.data || []).filter(a => a.university_id === studentResult.data.university_id)
+  return isAssignedStudent(studentResult.data, assignments)
+}
+
+// Helper: load an advisor of the calling university
+async function loadOwnAdvisor(advisorId, auth) {
+  const { data: advisor, error } = await supabaseAdmin
+    .from('profiles')
+    .select(ADVISOR_FIELDS)
+    .eq('id', advisorId)
+    .eq('role', ADVISOR_ROLE)
+    .maybeSingle()
+  if (error) throw error
+  if (!advisor || advisor.university_id !== auth.user.id) return { status: 404, error: 'Faculty advisor not found' }
+  return { advisor }
+}
+
+// Helper: replace an advisor's assignments, after checking that manually
+// assigned students belong to the university
+async function replaceAdvisorAssignments(advisorId, auth, assignments) {
+  const studentIds = assignments.filter(a => a.kind === 'student').map(a => a.student_id)
+  if (studentIds.length > 0) {
+    const { data: students, error } = await supabaseAdmin
+      .from('students')
+      .select('id')
+      .eq('university_id', auth.user.id)
+      .in('id', studentIds)
+    if (error) throw error
+    if ((students || []).length !== new Set(studentIds).size) {
+      return { status: 400, error: 'Some of the chosen students are not registered with your university' }
+    }
+  }
+
+  const { error: deleteError } = await supabaseAdmin
+    .from('advisor_assignments')
+    .delete()
+    .eq('advisor_id', advisorId)
+  if (deleteError) throw deleteError
+  if (assignments.length === 0) return { assignments: [] }
+
+  const { data: rows, error: insertError } = await supabaseAdmin
+    .from('advisor_assignments')
+    .insert(assignments.map(a => ({ ...a, advisor_id: advisorId, university_id: auth.user.id, created_by: auth.user.id })))
+    .select('*')
+  if (insertError) throw insertError
+  return { assignments: rows || [] }
+}
+
+// Create an advisor account ({ full_name, email, password, assignments? }).
+// The university shares the password; the advisor can change it in Settings.
+app.post('/api/university/advisors', async (req, res) => {
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+    if (auth.role !== 'university') {
+      return res.status(403).json({ error: 'Forbidden: Only universities can create faculty advisors' })
+    }
+    if (!supabaseAdmin) {
+      return res.status(500).json({ error: 'Service role key is not configured', code: 'SERVICE_ROLE_KEY_MISSING' })
+    }
+
+    const { values, error: validationError } = normalizeAdvisorAccount(req.body || {})
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+    const { values: assignments, error: assignmentsError } = normalizeAdvisorAssignments(req.body?.assignments || [])
+    if (assignmentsError) {
+      return res.status(400).json({ error: assignmentsError })
+    }
+
+    const { data, error: createError } = await supabaseAdmin.auth.admin.createUser({
+      email: values.email,
+      password: values.password,
+      email_confirm: true,
+      user_metadata: { full_name: values.full_name, role: ADVISOR_ROLE },
+    })
+    if (createError) {
+      return res.status(400).json({ error: createError.message })
+    }
+    const userId = data?.user?.id
+    if (!userId) {
+      return res.status(500).json({ error: 'User creation failed: no user id' })
+    }
+
+    const { data: advisor, error: profileError } = await supabaseAdmin
+      .from('profiles')
+      .insert({
+        id: userId,
+        role: ADVISOR_ROLE,
+        university_id: auth.user.id,
+        email: values.email,
+        full_name: values.full_name,
+        approval_status: 'approved',
+        is_active: true,
+      })
+      .select(ADVISOR_FIELDS)
+      .single()
+    if (profileError) {
+      await supabaseAdmin.auth.admin.deleteUser(userId).catch(() => {})
+      throw profileError
+    }
+
+    const result = await replaceAdvisorAssignments(userId, auth, assignments)
+    if (result.error) {
+      // Keep the account; the university can fix the assignments afterwards
+      return res.status(201).json({ advisor, assignments: [], warning: result.error })
+    }
+    return res.status(201).json({ advisor, assignments: result.assignments })
+  } catch (err) {
+    console.error('[Advisors] Create error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'ADVISOR_CREATE_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// Rename an advisor or (de)activate the account ({ full_name?, is_active? })
+app.put('/api/university/advisors/:id', async (req, res) => {
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+    if (auth.role !== 'university') {
+      return res.status(403).json({ error: 'Forbidden: Only universities can manage faculty advisors' })
+    }
+    if (!supabaseAdmin) {
+      return res.status(500).json({ error: 'Service role key is not configured', code: 'SERVICE_ROLE_KEY_MISSING' })
+    }
+
+    const result = await loadOwnAdvisor(req.params.id, auth)
+    if (result.error) return res.status(result.status).json({ error: result.error })
+
+    const { full_name, is_active } = req.body || {}
+    const updates = {}
+    if (full_name !== undefined) {
+      const name = typeof full_name === 'string' ? full_name.trim() : ''
+      if (!name || name.length > MAX_ADVISOR_NAME_LENGTH) {
+        return res.status(400).json({ error: `Names must be 1 to ${MAX_ADVISOR_NAME_LENGTH} characters` })
+      }
+      updates.full_name = name
+    }
+    if (is_active !== undefined) {
+      if (typeof is_active !== 'boolean') {
+        return res.status(400).json({ error: 'is_active must be true or false' })
+      }
+      updates.is_active = is_active
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' })
+    }
+
+    const { data: advisor, error: updateError } = await supabaseAdmin
+      .from('profiles')
+      .update(updates)
+      .eq('id', req.params.id)
+      .select(ADVISOR_FIELDS)
+      .single()
+    if (updateError) throw updateError
+
+    return res.json({ advisor })
+  } catch (err) {
+    console.error('[Advisors] Update error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'ADVISOR_UPDATE_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// Replace an advisor's assignments ({ assignments: [{ kind, batch | degree_program | student_id }] })
+app.put('/api/university/advisors/:id/assignments', async (req, res) => {
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+    if (auth.role !== 'university') {
+      return res.status(403).json({ error: 'Forbidden: Only universities can assign students to faculty advisors' })
+    }
+    if (!supabaseAdmin) {
+      return res.status(500).json({ error: 'Service role key is not configured', code: 'SERVICE_ROLE_KEY_MISSING' })
+    }
+
+    const loaded = await loadOwnAdvisor(req.params.id, auth)
+    if (loaded.error) return res.status(loaded.status).json({ error: loaded.error })
+
+    const { values: assignments, error: validationError } = normalizeAdvisorAssignments(req.body?.assignments)
+    if (validationError) {
+      return res.status(400).json({ error: validationError })
+    }
+
+    const result = await replaceAdvisorAssignments(req.params.id, auth, assignments)
+    if (result.error) return res.status(result.status).json({ error: result.error })
+
+    return res.json({ assignments: result.assignments })
+  } catch (err) {
+    console.error('[Advisors] Assignments error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'ADVISOR_ASSIGNMENTS_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// ============================================
+// CV PDF export
+// ============================================
+// A student's CV can be downloaded by the student, by the university the
+// student belongs to (and the faculty advisor they are assigned to), and by
+// software houses the student has applied to.
+
+/**
+ * Whether the caller may download a student's CV
+ * @param {object} auth - Result of requireAuth
+ * @param {string} studentUserId - CV owner's user ID
+ * @returns {Promise<boolean>}
+ */
+async function canAccessStudentCV(auth, studentUserId) {
+  if (auth.user.id === studentUserId) return true
+
+  if (auth.role === 'university') {
+    const { data: student } = await supabaseAdmin
+      .from('students')
+      .select('user_id')
+      .eq('user_id', studentUserId)
+      .eq('university_id', auth.user.id)
+      .maybeSingle()
+    return !!student
+  }
+
+  if (auth.role === ADVISOR_ROLE) return isAdvisorOfStudent(auth, studentUserId)
+
+  if (auth.role === 'software_house') {
+    const { data: applications } = await supabaseAdmin
+      .from('applications')
+      .select('id, internships:internship_id!inner ( software_house_id )')
+      .eq('user_id', studentUserId)
+      .eq('internships.software_house_id', auth.user.id)
+      .limit(1)
+    return (applications || []).length > 0
+  }
+
+  return false
+}
+
+/**
+ * Send a rendered CV as a PDF download
+ * @param {object} res - Express response
+ * @param {object} cv - CV record or snapshot
+ * @param {string} template - Template ID
+ * @param {string} filenameBase - File name without extension
+ */
+async function sendCVPdf(res, cv, template, filenameBase) {
+  const pdf = await renderCVToPDF(cv, { template })
+  const safeName = String(filenameBase || 'cv').replace(/[^a-z0-9_-]+/gi, '-').replace(/^-+|-+$/g, '') || 'cv'
+  res.setHeader('Content-Type', 'application/pdf')
+  res.setHeader('Content-Disposition', `attachment; filename="${safeName}.pdf"`)
+  res.setHeader('Cache-Control', 'private, no-store')
+  return res.send(pdf)
+}
+
+// Available CV templates
+app.get('/api/cv/templates', async (req, res) => {
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+    return res.json({ templates: listCVTemplates(), default: DEFAULT_CV_TEMPLATE })
+  } catch (err) {
+    console.error('[CV PDF] Templates error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'CV_TEMPLATES_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// Current CV (cv_forms) of a student as PDF (?template=classic|modern|compact)
+app.get('/api/cv/:userId/pdf', async (req, res) => {
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+    if (!supabaseAdmin) {
+      return res.status(500).json({ error: 'Service role key is not configured', code: 'SERVICE_ROLE_KEY_MISSING' })
+    }
+
+    const template = req.query.template || DEFAULT_CV_TEMPLATE
+    if (!CV_TEMPLATES[template]) {
+      return res.status(400).json({ error: `Unknown template: ${template}` })
+    }
+
+    if (!(await canAccessStudentCV(auth, req.params.userId))) {
+      return res.status(403).json({ error: 'Forbidden: You do not have access to this CV' })
+    }
+
+    // ?version=<cv_versions.id> exports a named CV version (owner only)
+    if (req.query.version && auth.user.id !== req.params.userId) {
+      return res.status(403).json({ error: 'Forbidden: Only the owner can export other CV versions' })
+    }
+
+    const { data: cv, error } = req.query.version
+      ? await supabaseAdmin
+        .from('cv_versions')
+        .select('*')
+        .eq('id', req.query.version)
+        .eq('user_id', req.params.userId)
+        .maybeSingle()
+      : await supabaseAdmin
+        .from('cv_forms')
+        .select('*')
+        .eq('user_id', req.params.userId)
+        .maybeSingle()
+    if (error) throw error
+    if (!cv) return res.status(404).json({ error: 'CV not found' })
+
+    const filenameBase = cv.name ? `CV-${cv.personal?.name || req.params.userId}-${cv.name}` : `CV-${cv.personal?.name || req.params.userId}`
+    return sendCVPdf(res, cv, template, filenameBase)
+  } catch (err) {
+    console.error('[CV PDF] Export error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'CV_PDF_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// CV snapshot submitted with an application as PDF
+app.get('/api/applications/:id/cv/pdf', async (req, res) => {
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+    if (!supabaseAdmin) {
+      return res.status(500).json({ error: 'Service role key is not configured', code: 'SERVICE_ROLE_KEY_MISSING' })
+    }
+
+    const template = req.query.template || DEFAULT_CV_TEMPLATE
+    if (!CV_TEMPLATES[template]) {
+      return res.status(400).json({ error: `Unknown template: ${template}` })
+    }
+
+    const { data: application, error } = await supabaseAdmin
+      .from('applications')
+      .select('id, user_id, cv_data, internships:internship_id ( title, software_house_id )')
+      .eq('id', req.params.id)
+      .maybeSingle()
+    if (error) throw error
+    if (!application) return res.status(404).json({ error: 'Application not found' })
+
+    let allowed = application.user_id === auth.user.id ||
+      application.internships?.software_house_id === auth.user.id
+    if (!allowed && ['university', ADVISOR_ROLE].includes(auth.role)) {
+      allowed = await canAccessStudentCV(auth, application.user_id)
+    }
+    if (!allowed) {
+      return res.status(403).json({ error: 'Forbidden: You do not have access to this CV' })
+    }
+    if (!application.cv_data) {
+      return res.status(404).json({ error: 'No CV was submitted with this application' })
+    }
+
+    const name = application.cv_data.personal?.name || application.user_id
+    return sendCVPdf(res, application.cv_data, template, `CV-${name}-${application.internships?.title || 'application'}`)
+  } catch (err) {
+    console.error('[CV PDF] Application export error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'CV_PDF_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// ============================================
+// CV import from resume files
+// ============================================
+// Parses an uploaded PDF/DOCX resume into the cv_forms shape and returns
+// it with per-field confidence. Nothing is saved; the student reviews the
+// prefill in the CV builder and saves it themselves.
+app.post('/api/cv/import', async (req, res) => {
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+    if (auth.role !== 'student' && auth.role !== 'guest') {
+      return res.status(403).json({ error: 'Forbidden: Only students and guests can import a resume' })
+    }
+
+    const uploadError = await new Promise(resolve => resumeUpload.single('resume')(req, res, resolve))
+    if (uploadError) {
+      const message = uploadError.code === 'LIMIT_FILE_SIZE'
+        ? `Resume is too large (max ${MAX_RESUME_SIZE / (1024 * 1024)}MB)`
+        : uploadError.message
+      return res.status(400).json({ error: message })
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'No resume uploaded' })
+    }
+
+    let result
+    try {
+      result = await parseResume(req.file.buffer, req.file.mimetype)
+    } catch (parseErr) {
+      console.warn('[CV Import] Could not parse resume:', parseErr.message)
+      return res.status(422).json({ error: parseErr.message || 'Could not read this resume', code: 'RESUME_PARSE_FAILED' })
+    }
+
+    return res.json({
+      cv: result.cv,
+      confidence: result.confidence,
+      warnings: result.warnings,
+      source: { filename: req.file.originalname, size: req.file.size, text_length: result.textLength }
+    })
+  } catch (err) {
+    console.error('[CV Import] Error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'CV_IMPORT_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// ============================================
+// Background jobs (admin only)
+// ============================================
+app.get('/api/admin/jobs', async (req, res) => {
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+    if (auth.role !== 'admin') {
+      return res.status(403).json({ error: 'Forbidden: Admin required' })
+    }
+
+    return res.json({ enabled: jobsEnabled, jobs: listJobs() })
+  } catch (err) {
+    console.error('[Jobs] Error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'JOBS_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// Run a job now instead of waiting for its next interval
+app.post('/api/admin/jobs/:name/run', async (req, res) => {
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+    if (auth.role !== 'admin') {
+      return res.status(403).json({ error: 'Forbidden: Admin required' })
+    }
+    if (!supabaseAdmin) {
+      return res.status(500).json({
+        error: 'Service role key is not configured. Please set SUPABASE_SERVICE_ROLE_KEY in backend/.env file and restart the server.',
+        code: 'SERVICE_ROLE_KEY_MISSING'
+      })
+    }
+
+    const { result, error } = await runJob(req.params.name)
+    if (error) {
+      const status = error.includes('not found') ? 404 : error.includes('already running') ? 409 : 500
+      return res.status(status).json({ error })
+    }
+    return res.json({ success: true, result })
+  } catch (err) {
+    console.error('[Jobs] Run error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'JOB_RUN_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
+
+// Queue a failed email again (delivery status is read from email_outbox directly)
+app.post('/api/admin/emails/:id/retry', async (req, res) => {
+  try {
+    const auth = await requireAuth(req, res)
+    if (!auth) return
+    if (auth.role !== 'admin') {
+      return res.status(403).json({ error: 'Forbidden: Admin required' })
+    }
+
+    if (!supabaseAdmin) {
+      return res.status(500).json({
+        error: 'Service role key is not configured',
+        code: 'SERVICE_ROLE_KEY_MISSING'
+      })
+    }
+
+    const { email, error } = await retryEmail(supabaseAdmin, req.params.id)
+    if (error) {
+      return res.status(409).json({ error })
+    }
+
+    runJob(EMAIL_OUTBOX_JOB)
+    return res.status(202).json({ success: true, emailId: email.id, status: email.status })
+  } catch (err) {
+    console.error('[Email Outbox] Retry error:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error',
+      code: 'EMAIL_RETRY_ERROR',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    })
+  }
+})
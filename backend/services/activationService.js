@@ -0,0 +1,187 @@
+// ============================================
+// Student Account Activation Service
+// Students created by a university get no password. They are emailed a
+// one-time, expiring activation link and choose their own password
+// (see database/add_student_activation.sql).
+// Every function takes the service role client: activation tokens are not
+// readable through RLS.
+// ============================================
+
+import crypto from 'node:crypto';
+import { sendMail } from '../utils/mailer.js';
+import { MIN_PASSWORD_LENGTH } from '../utils/helpers.js';
+
+// Read lazily so dotenv can load first
+export const getActivationTokenTtlHours = () =>
+    Number(process.env.ACTIVATION_TOKEN_TTL_HOURS) || 72;
+
+export { MIN_PASSWORD_LENGTH };
+
+const getFrontendUrl = () => process.env.VITE_FRONTEND_URL || 'http://localhost:5173';
+
+// Only the hash is stored, so a leaked table cannot be used to activate accounts
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Create an activation token for a student, revoking their earlier unused ones
+ * @param {object} adminClient - Supabase client with the service role key
+ * @param {object} student - students row ({ id, user_id })
+ * @param {string|null} createdBy - Profile ID of whoever sent the invitation
+ * @returns {Promise<object>} - { token, expiresAt, error }
+ */
+export const createActivationToken = async (adminClient, student, createdBy = null) => {
+    const now = new Date();
+
+    const { error: revokeError } = await adminClient
+        .from('student_activation_tokens')
+        .update({ revoked_at: now.toISOString() })
+        .eq('student_id', student.id)
+        .is('used_at', null)
+        .is('revoked_at', null);
+
+    if (revokeError) return { token: null, expiresAt: null, error: revokeError.message };
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(now.getTime() + getActivationTokenTtlHours() * 60 * 60 * 1000).toISOString();
+
+    const { error } = await adminClient
+        .from('student_activation_tokens')
+        .insert({
+            student_id: student.id,
+            user_id: student.user_id,
+            token_hash: hashToken(token),
+            expires_at: expiresAt,
+            created_by: createdBy
+        });
+
+    if (error) return { token: null, expiresAt: null, error: error.message };
+    return { token, expiresAt, error: null };
+};
+
+/**
+ * Email a student a new activation link
+ * @param {object} adminClient - Supabase client with the service role key
+ * @param {object} student - students row ({ id, user_id, name, email })
+ * @param {object} options - { createdBy, universityName }
+ * @returns {Promise<object>} - { invitation: { email, expires_at }, error }
+ */
+export const sendStudentInvitation = async (adminClient, student, { createdBy = null, universityName = null } = {}) => {
+    const { token, expiresAt, error } = await createActivationToken(adminClient, student, createdBy);
+    if (error) return { invitation: null, error };
+
+    const link = `${getFrontendUrl()}/activate/${token}`;
+    const expires = new Date(expiresAt).toUTCString();
+    const from = universityName ? ` by ${universityName}` : '';
+
+    try {
+        await sendMail({
+            to: student.email,
+            subject: 'Activate your AIILP student account',
+            text: [
+                `Hello ${student.name || 'student'},`,
+                '',
+                `An AIILP student account has been created for you${from}.`,
+                'Open the link below to choose your password and activate it:',
+                '',
+                link,
+                '',
+                `The link works once and expires on ${expires}.`,
+                'If it has expired, ask your university to send a new one.'
+            ].join('\n')
+        });
+    } catch (err) {
+        return { invitation: null, error: `Could not send activation email: ${err.message}` };
+    }
+
+    await adminClient
+        .from('students')
+        .update({ invited_at: new Date().toISOString() })
+        .eq('id', student.id);
+
+    return { invitation: { email: student.email, expires_at: expiresAt }, error: null };
+};
+
+/**
+ * Look up a token that can still be used
+ * @param {object} adminClient - Supabase client with the service role key
+ * @param {string} token - Token from the activation link
+ * @returns {Promise<object>} - { activation, student, error, code }
+ *   code: 'TOKEN_INVALID' | 'TOKEN_USED' | 'TOKEN_EXPIRED' | 'DATABASE_ERROR'
+ */
+export const verifyActivationToken = async (adminClient, token) => {
+    if (!token || typeof token !== 'string') {
+        return { activation: null, student: null, error: 'Activation link is invalid', code: 'TOKEN_INVALID' };
+    }
+
+    const { data: activation, error } = await adminClient
+        .from('student_activation_tokens')
+        .select('id, student_id, user_id, expires_at, used_at, revoked_at')
+        .eq('token_hash', hashToken(token))
+        .maybeSingle();
+
+    if (error) return { activation: null, student: null, error: error.message, code: 'DATABASE_ERROR' };
+    if (!activation || activation.revoked_at) {
+        return { activation: null, student: null, error: 'Activation link is invalid or has been replaced by a newer one', code: 'TOKEN_INVALID' };
+    }
+    if (activation.used_at) {
+        return { activation: null, student: null, error: 'This activation link has already been used. Sign in with your password.', code: 'TOKEN_USED' };
+    }
+    if (new Date(activation.expires_at) <= new Date()) {
+        return { activation: null, student: null, error: 'This activation link has expired. Ask your university to send a new one.', code: 'TOKEN_EXPIRED' };
+    }
+
+    const { data: student, error: studentError } = await adminClient
+        .from('students')
+        .select('id, user_id, name, email')
+        .eq('id', activation.student_id)
+        .maybeSingle();
+
+    if (studentError) return { activation: null, student: null, error: studentError.message, code: 'DATABASE_ERROR' };
+    if (!student) return { activation: null, student: null, error: 'Activation link is invalid', code: 'TOKEN_INVALID' };
+
+    return { activation, student, error: null, code: null };
+};
+
+/**
+ * Set the student's password and use up the token
+ * @param {object} adminClient - Supabase client with the service role key
+ * @param {string} token - Token from the activation link
+ * @param {string} password - Password chosen by the student
+ * @returns {Promise<object>} - { student, error, code }
+ */
+export const activateStudentAccount = async (adminClient, token, password) => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return { student: null, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`, code: 'PASSWORD_TOO_SHORT' };
+    }
+
+    const { activation, student, error, code } = await verifyActivationToken(adminClient, token);
+    if (error) return { student: null, error, code };
+
+    // Claim the token first so two submissions of the same link cannot both succeed
+    const usedAt = new Date().toISOString();
+    const { data: claimed, error: claimError } = await adminClient
+        .from('student_activation_tokens')
+        .update({ used_at: usedAt })
+        .eq('id', activation.id)
+        .is('used_at', null)
+        .select('id');
+
+    if (claimError) return { student: null, error: claimError.message, code: 'DATABASE_ERROR' };
+    if (!claimed || claimed.length === 0) {
+        return { student: null, error: 'This activation link has already been used. Sign in with your password.', code: 'TOKEN_USED' };
+    }
+
+    const { error: passwordError } = await adminClient.auth.admin.updateUserById(activation.user_id, { password });
+    if (passwordError) {
+        // Give the token back so the student can try again
+        await adminClient.from('student_activation_tokens').update({ used_at: null }).eq('id', activation.id);
+        return { student: null, error: passwordError.message, code: 'PASSWORD_UPDATE_FAILED' };
+    }
+
+    await adminClient
+        .from('students')
+        .update({ activated_at: usedAt })
+        .eq('id', student.id);
+
+    return { student: { ...student, activated_at: usedAt }, error: null, code: null };
+};
@@ -4,6 +4,7 @@
 // ============================================
 
 import { supabase } from '../config/supabase.js';
+import { EDITABLE_FIELDS, FIELD_LABELS, WORDING_FIELDS, DEFAULT_REVIEW_SETTINGS } from '../utils/internshipRevisions.js';
 
 /**
  * Get all pending items for admin dashboard
@@ -154,6 +155,151 @@ export const reviewInternship = async (internshipId, action, feedback = null) =>
     }
 };
 
+/**
+ * Get edits to approved internships that are waiting for review
+ * @returns {Promise<object>} - Pending revisions with their internship
+ */
+export const getPendingInternshipRevisions = async () => {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+        if (userError || !user) throw new Error('Authentication required');
+
+        const { data: revisions, error } = await supabase
+            .from('internship_revisions')
+            .select(`
+                *,
+                internship:internship_id (
+                    id,
+                    title,
+                    status,
+                    revision,
+                    software_house_id,
+                    profiles:software_house_id (
+                        id,
+                        organization_name,
+                        full_name
+                    )
+                )
+            `)
+            .eq('status', 'pending')
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+
+        return { revisions, error: null };
+    } catch (error) {
+        console.error('Get pending internship revisions error:', error);
+        return { revisions: null, error: error.message };
+    }
+};
+
+/**
+ * Approve or reject an edit to an approved internship
+ * @param {string} revisionId - Revision ID
+ * @param {string} action - 'approve' or 'reject'
+ * @param {string} feedback - Required when rejecting
+ * @returns {Promise<object>} - Reviewed revision
+ */
+export const reviewInternshipRevision = async (revisionId, action, feedback = null) => {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+        if (userError || !user) throw new Error('Authentication required');
+
+        if (!['approve', 'reject'].includes(action)) {
+            throw new Error('Invalid action. Must be "approve" or "reject"');
+        }
+
+        if (action === 'reject' && !feedback?.trim()) {
+            throw new Error('Feedback is required when rejecting changes');
+        }
+
+        // The database function checks the admin role and revision status, and logs the action
+        const { data: revision, error } = await supabase.rpc('review_internship_revision', {
+            p_revision_id: revisionId,
+            p_approve: action === 'approve',
+            p_feedback: feedback
+        });
+
+        if (error) throw error;
+
+        return { revision, error: null };
+    } catch (error) {
+        console.error('Review internship revision error:', error);
+        return { revision: null, error: error.message };
+    }
+};
+
+/**
+ * Get the rules for which internship edits skip review
+ * @returns {Promise<object>} - internship_review_settings row
+ */
+export const getInternshipReviewSettings = async () => {
+    try {
+        const { data: settings, error } = await supabase
+            .from('internship_review_settings')
+            .select('*')
+            .maybeSingle();
+
+        if (error) throw error;
+
+        return { settings: settings || { ...DEFAULT_REVIEW_SETTINGS }, error: null };
+    } catch (error) {
+        console.error('Get internship review settings error:', error);
+        return { settings: null, error: error.message };
+    }
+};
+
+/**
+ * Update the rules for which internship edits skip review
+ * @param {object} changes - { skip_cosmetic_review, cosmetic_fields, cosmetic_max_word_changes, exempt_fields }
+ * @returns {Promise<object>} - Updated settings
+ */
+export const updateInternshipReviewSettings = async (changes = {}) => {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+        if (userError || !user) throw new Error('Authentication required');
+
+        const updates = { updated_by: user.id, updated_at: new Date().toISOString() };
+
+        if (changes.skip_cosmetic_review !== undefined) {
+            updates.skip_cosmetic_review = !!changes.skip_cosmetic_review;
+        }
+
+        for (const key of ['cosmetic_fields', 'exempt_fields']) {
+            if (changes[key] === undefined) continue;
+            if (!Array.isArray(changes[key]) || changes[key].some(f => !EDITABLE_FIELDS.includes(f))) {
+                throw new Error(`${key} must be a list of internship fields`);
+            }
+            if (key === 'cosmetic_fields' && changes[key].some(f => !WORDING_FIELDS.includes(f))) {
+                throw new Error(`Only ${WORDING_FIELDS.map(f => FIELD_LABELS[f]).join(' and ')} can skip review by word count`);
+            }
+            updates[key] = [...new Set(changes[key])];
+        }
+
+        if (changes.cosmetic_max_word_changes !== undefined) {
+            const max = Number(changes.cosmetic_max_word_changes);
+            if (!Number.isInteger(max) || max < 0 || max > 50) {
+                throw new Error('Word change limit must be a whole number between 0 and 50');
+            }
+            updates.cosmetic_max_word_changes = max;
+        }
+
+        const { data: settings, error } = await supabase
+            .from('internship_review_settings')
+            .update(updates)
+            .eq('id', true)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        return { settings, error: null };
+    } catch (error) {
+        console.error('Update internship review settings error:', error);
+        return { settings: null, error: error.message };
+    }
+};
+
 /**
  * Approve or reject a software house account
  * @param {string} profileId - Profile ID
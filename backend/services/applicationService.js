@@ -5,13 +5,31 @@
 
 import { supabase } from '../config/supabase.js';
 import { isCVComplete } from './cvService.js';
+import { isCVContentComplete } from '../utils/cvDiff.js';
+import {
+    DEFAULT_STAGES,
+    DEFAULT_TRANSITIONS,
+    isValidStage,
+    canTransition,
+    getStageLabel
+} from '../utils/applicationPipeline.js';
+import { scoreCandidate } from '../utils/skillMatching.js';
+import {
+    MAX_COVER_LETTER_LENGTH,
+    validateScreeningAnswers,
+    buildScreeningAnswers
+} from '../utils/screening.js';
+import { getClosedMessage } from '../utils/internshipLifecycle.js';
 
 /**
  * Apply for an internship
  * @param {string} internshipId - Internship ID
+ * @param {object} options - { cvVersionId, coverLetter, answers }
+ *   cvVersionId: CV version to submit (defaults to the main CV)
+ *   answers: screening answers keyed by question ID
  * @returns {Promise<object>} - Created application
  */
-export const applyForInternship = async (internshipId) => {
+export const applyForInternship = async (internshipId, options = {}) => {
     try {
         const { data: { user }, error: userError } = await supabase.auth.getUser();
         if (userError || !user) throw new Error('Authentication required');
@@ -27,16 +45,45 @@ export const applyForInternship = async (internshipId) => {
             throw new Error('Only students and guest users can apply for internships');
         }
 
-        // Check if CV form is complete
-        const cvCheck = await isCVComplete(user.id);
-        if (!cvCheck.isComplete) {
-            throw new Error('Please complete your CV Form before applying');
+        // Use the chosen CV version, otherwise the main CV form
+        let cvForm;
+        let cvVersion = null;
+        if (options.cvVersionId) {
+            const { data: version } = await supabase
+                .from('cv_versions')
+                .select('*')
+                .eq('id', options.cvVersionId)
+                .eq('user_id', user.id)
+                .maybeSingle();
+
+            if (!version) {
+                throw new Error('CV version not found');
+            }
+            if (!isCVContentComplete(version)) {
+                throw new Error(`Please complete the "${version.name}" CV before applying with it`);
+            }
+            cvForm = version;
+            cvVersion = version;
+        } else {
+            const cvCheck = await isCVComplete(user.id);
+            if (!cvCheck.isComplete) {
+                throw new Error('Please complete your CV Form before applying');
+            }
+            cvForm = cvCheck.cvForm;
+
+            const { data: defaultVersion } = await supabase
+                .from('cv_versions')
+                .select('id, name')
+                .eq('user_id', user.id)
+                .eq('is_default', true)
+                .maybeSingle();
+            cvVersion = defaultVersion || null;
         }
 
         // Check if internship exists and is approved
         const { data: internship } = await supabase
             .from('internships')
-            .select('id, status')
+            .select('id, status, screening_questions, posting_status, application_deadline')
             .eq('id', internshipId)
             .single();
 
@@ -48,6 +95,24 @@ export const applyForInternship = async (internshipId) => {
             throw new Error('This internship is not available for applications');
         }
 
+        const closedMessage = getClosedMessage(internship);
+        if (closedMessage) {
+            throw new Error(closedMessage);
+        }
+
+        const coverLetter = typeof options.coverLetter === 'string' ? options.coverLetter.trim() : '';
+        if (coverLetter.length > MAX_COVER_LETTER_LENGTH) {
+            throw new Error(`Cover letter must be ${MAX_COVER_LETTER_LENGTH} characters or fewer`);
+        }
+
+        const questions = internship.screening_questions || [];
+        const answerErrors = validateScreeningAnswers(questions, options.answers);
+        const firstError = Object.keys(answerErrors)[0];
+        if (firstError) {
+            const question = questions.find(q => q.id === firstError);
+            throw new Error(`Screening question "${question?.prompt}": ${answerErrors[firstError]}`);
+        }
+
         // Check if already applied
         const { data: existing } = await supabase
             .from('applications')
@@ -60,13 +125,6 @@ export const applyForInternship = async (internshipId) => {
             throw new Error('You have already applied for this internship');
         }
 
-        // Get CV form data
-        const { data: cvForm } = await supabase
-            .from('cv_forms')
-            .select('*')
-            .eq('user_id', user.id)
-            .single();
-
         // Create application
         const { data: application, error } = await supabase
             .from('applications')
@@ -74,6 +132,12 @@ export const applyForInternship = async (internshipId) => {
                 user_id: user.id,
                 internship_id: internshipId,
                 status: 'pending',
+                cv_version_id: cvVersion?.id || null,
+                cv_version_name: cvVersion?.name || null,
+                cover_letter: coverLetter || null,
+                // Knockout answers are evaluated by a database trigger, which
+                // may reject the application immediately
+                screening_answers: buildScreeningAnswers(questions, options.answers),
                 cv_data: {
                     personal: cvForm.personal,
                     education: cvForm.education,
@@ -150,10 +214,12 @@ export const getUserApplications = async (filters = {}) => {
 
 /**
  * Get applications for an internship (software house view)
+ * Each application carries a match score computed from its cv_data snapshot.
  * @param {string} internshipId - Internship ID
+ * @param {object} options - { sort: 'date' | 'score', minScore }
  * @returns {Promise<object>} - List of applications
  */
-export const getInternshipApplications = async (internshipId) => {
+export const getInternshipApplications = async (internshipId, options = {}) => {
     try {
         const { data: { user }, error: userError } = await supabase.auth.getUser();
         if (userError || !user) throw new Error('Authentication required');
@@ -161,7 +227,7 @@ export const getInternshipApplications = async (internshipId) => {
         // Verify user owns the internship
         const { data: internship } = await supabase
             .from('internships')
-            .select('software_house_id')
+            .select('software_house_id, skills, requirements')
             .eq('id', internshipId)
             .single();
 
@@ -188,7 +254,21 @@ export const getInternshipApplications = async (internshipId) => {
 
         if (error) throw error;
 
-        return { applications, error: null };
+        let scored = (applications || []).map(application => ({
+            ...application,
+            match: scoreCandidate(application.cv_data, internship)
+        }));
+
+        const minScore = Number(options.minScore) || 0;
+        if (minScore > 0) {
+            scored = scored.filter(a => a.match.score >= minScore);
+        }
+
+        if (options.sort === 'score') {
+            scored.sort((a, b) => b.match.score - a.match.score);
+        }
+
+        return { applications: scored, error: null };
     } catch (error) {
         console.error('Get internship applications error:', error);
         return { applications: null, error: error.message };
@@ -196,10 +276,41 @@ export const getInternshipApplications = async (internshipId) => {
 };
 
 /**
- * Update application status (software house)
+ * Load pipeline stages and transitions (falls back to defaults if the
+ * pipeline tables have not been created yet)
+ * @returns {Promise<object>} - Stages and transitions
+ */
+export const getPipelineConfig = async () => {
+    try {
+        const [{ data: stages, error: stagesError }, { data: transitions, error: transitionsError }] = await Promise.all([
+            supabase
+                .from('application_stages')
+                .select('*')
+                .eq('is_active', true)
+                .order('position', { ascending: true }),
+            supabase
+                .from('application_stage_transitions')
+                .select('from_stage, to_stage, actor')
+        ]);
+
+        if (stagesError || transitionsError || !stages?.length) {
+            return { stages: DEFAULT_STAGES, transitions: DEFAULT_TRANSITIONS, error: null };
+        }
+
+        return { stages, transitions: transitions || [], error: null };
+    } catch (error) {
+        console.error('Get pipeline config error:', error);
+        return { stages: DEFAULT_STAGES, transitions: DEFAULT_TRANSITIONS, error: error.message };
+    }
+};
+
+/**
+ * Update application status / pipeline stage
+ * Software houses move applications through the pipeline for their own
+ * internships; applicants can accept an offer or withdraw their own application.
  * @param {string} applicationId - Application ID
- * @param {string} status - New status (accepted/rejected)
- * @param {string} feedback - Optional feedback
+ * @param {string} status - New stage (see application_stages)
+ * @param {string} feedback - Optional feedback / note
  * @returns {Promise<object>} - Updated application
  */
 export const updateApplicationStatus = async (applicationId, status, feedback = null) => {
@@ -207,9 +318,11 @@ export const updateApplicationStatus = async (applicationId, status, feedback =
         const { data: { user }, error: userError } = await supabase.auth.getUser();
         if (userError || !user) throw new Error('Authentication required');
 
+        const { stages, transitions } = await getPipelineConfig();
+
         // Validate status
-        if (!['accepted', 'rejected'].includes(status)) {
-            throw new Error('Invalid status. Must be "accepted" or "rejected"');
+        if (!isValidStage(status, stages)) {
+            throw new Error(`Invalid status "${status}"`);
         }
 
         // Get application and verify ownership
@@ -228,16 +341,31 @@ export const updateApplicationStatus = async (applicationId, status, feedback =
             throw new Error('Application not found');
         }
 
-        if (application.internships.software_house_id !== user.id) {
+        let actor = null;
+        if (application.internships?.software_house_id === user.id) {
+            actor = 'software_house';
+        } else if (application.user_id === user.id) {
+            actor = 'applicant';
+        }
+
+        if (!actor) {
             throw new Error('Unauthorized: Can only update applications for own internships');
         }
 
-        // Update application
+        if (!canTransition(application.status, status, actor, transitions)) {
+            throw new Error(`Cannot move application from "${getStageLabel(application.status, stages)}" to "${getStageLabel(status, stages)}"`);
+        }
+
+        if (status === 'rejected' && !feedback) {
+            throw new Error('Feedback is required when rejecting an application');
+        }
+
+        // Update application (stage history is recorded by database trigger)
         const { data: updatedApplication, error } = await supabase
             .from('applications')
             .update({
                 status,
-                feedback,
+                feedback: feedback ?? application.feedback,
                 updated_at: new Date().toISOString()
             })
             .eq('id', applicationId)
@@ -253,6 +381,39 @@ export const updateApplicationStatus = async (applicationId, status, feedback =
     }
 };
 
+/**
+ * Get stage history for an application
+ * @param {string} applicationId - Application ID
+ * @returns {Promise<object>} - Ordered list of stage changes
+ */
+export const getApplicationStageHistory = async (applicationId) => {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+        if (userError || !user) throw new Error('Authentication required');
+
+        // Access is enforced by RLS on application_stage_history
+        const { data: history, error } = await supabase
+            .from('application_stage_history')
+            .select(`
+                *,
+                profiles:changed_by (
+                    full_name,
+                    organization_name,
+                    role
+                )
+            `)
+            .eq('application_id', applicationId)
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+
+        return { history: history || [], error: null };
+    } catch (error) {
+        console.error('Get application stage history error:', error);
+        return { history: null, error: error.message };
+    }
+};
+
 /**
  * Get application by ID
  * @param {string} applicationId - Application ID
@@ -4,6 +4,7 @@
 // ============================================
 
 import { supabase } from '../config/supabase.js';
+import { diffCV, summarizeCVDiff, pickCVContent, isCVContentComplete } from '../utils/cvDiff.js';
 
 /**
  * Create or update CV form
@@ -32,60 +33,25 @@ export const saveCVForm = async (cvData) => {
             throw new Error(validation.error);
         }
 
-        // Check if CV form exists
-        const { data: existing } = await supabase
-            .from('cv_forms')
+        // The default CV version is the source of truth; a trigger copies it
+        // into cv_forms (see database/add_cv_versions.sql)
+        const { data: defaultVersion } = await supabase
+            .from('cv_versions')
             .select('id')
             .eq('user_id', user.id)
+            .eq('is_default', true)
+            .maybeSingle();
+
+        const { error: versionError } = await saveCVVersion(cvData, defaultVersion?.id || null);
+        if (versionError) throw new Error(versionError);
+
+        const { data: result, error } = await supabase
+            .from('cv_forms')
+            .select('*')
+            .eq('user_id', user.id)
             .single();
 
-        let result;
-        if (existing) {
-            // Update existing CV form
-            const { data: cvForm, error } = await supabase
-                .from('cv_forms')
-                .update({
-                    personal: cvData.personal,
-                    education: cvData.education,
-                    skills: Array.isArray(cvData.skills) 
-                        ? cvData.skills 
-                        : cvData.skills.split(',').map(s => s.trim()),
-                    experience: cvData.experience,
-                    projects: cvData.projects,
-                    certifications: cvData.certifications,
-                    languages: cvData.languages,
-                    is_complete: validation.isComplete,
-                    updated_at: new Date().toISOString()
-                })
-                .eq('id', existing.id)
-                .select()
-                .single();
-
-            if (error) throw error;
-            result = cvForm;
-        } else {
-            // Create new CV form
-            const { data: cvForm, error } = await supabase
-                .from('cv_forms')
-                .insert({
-                    user_id: user.id,
-                    personal: cvData.personal,
-                    education: cvData.education,
-                    skills: Array.isArray(cvData.skills) 
-                        ? cvData.skills 
-                        : cvData.skills.split(',').map(s => s.trim()),
-                    experience: cvData.experience,
-                    projects: cvData.projects,
-                    certifications: cvData.certifications,
-                    languages: cvData.languages,
-                    is_complete: validation.isComplete
-                })
-                .select()
-                .single();
-
-            if (error) throw error;
-            result = cvForm;
-        }
+        if (error) throw error;
 
         return { cvForm: result, error: null };
     } catch (error) {
@@ -177,23 +143,11 @@ export const isCVComplete = async (userId) => {
             return { isComplete: false, error: null };
         }
 
-        // Check mandatory fields
-        const hasPersonal = cvForm.personal && 
-            cvForm.personal.name && 
-            cvForm.personal.email;
-        const hasEducation = cvForm.education && 
-            Array.isArray(cvForm.education) && 
-            cvForm.education.length > 0;
-        const hasSkills = cvForm.skills && 
-            Array.isArray(cvForm.skills) && 
-            cvForm.skills.length > 0;
-
-        const isComplete = hasPersonal && hasEducation && hasSkills;
-
-        return { 
-            isComplete: isComplete && cvForm.is_complete, 
+        // Checked from the content rather than the stored flag
+        return {
+            isComplete: isCVContentComplete(cvForm),
             cvForm,
-            error: null 
+            error: null
         };
     } catch (error) {
         console.error('Check CV complete error:', error);
@@ -235,6 +189,253 @@ export const generateCVPreview = async (userId) => {
     }
 };
 
+/**
+ * Get the signed-in student (or guest) user
+ * @returns {Promise<object>} - Auth user
+ */
+const getCVOwner = async () => {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) throw new Error('Authentication required');
+
+    const { data: profile } = await supabase
+        .from('profiles')
+        .select('role')
+        .eq('id', user.id)
+        .single();
+
+    if (profile?.role !== 'student' && profile?.role !== 'guest') {
+        throw new Error('Only students and guest users can manage CV forms');
+    }
+    return user;
+};
+
+/**
+ * List the caller's named CV versions (default first)
+ * @returns {Promise<object>} - Versions without full content
+ */
+export const listCVVersions = async () => {
+    try {
+        const user = await getCVOwner();
+
+        const { data: versions, error } = await supabase
+            .from('cv_versions')
+            .select('id, name, is_default, is_complete, revision, skills, created_at, updated_at')
+            .eq('user_id', user.id)
+            .order('is_default', { ascending: false })
+            .order('name', { ascending: true });
+
+        if (error) throw error;
+
+        return { versions: versions || [], error: null };
+    } catch (error) {
+        console.error('List CV versions error:', error);
+        return { versions: null, error: error.message };
+    }
+};
+
+/**
+ * Get one of the caller's CV versions
+ * @param {string} versionId - CV version ID
+ * @returns {Promise<object>} - CV version with content
+ */
+export const getCVVersion = async (versionId) => {
+    try {
+        const user = await getCVOwner();
+
+        const { data: version, error } = await supabase
+            .from('cv_versions')
+            .select('*')
+            .eq('id', versionId)
+            .eq('user_id', user.id)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!version) throw new Error('CV version not found');
+
+        return { version, error: null };
+    } catch (error) {
+        console.error('Get CV version error:', error);
+        return { version: null, error: error.message };
+    }
+};
+
+/**
+ * Create a named CV version, or update an existing one.
+ * The first version a student creates becomes their default.
+ * @param {object} cvData - CV content plus optional name
+ * @param {string|null} versionId - Version to update (null to create)
+ * @returns {Promise<object>} - Saved CV version
+ */
+export const saveCVVersion = async (cvData, versionId = null) => {
+    try {
+        const user = await getCVOwner();
+
+        const validation = validateCVForm(cvData);
+        if (!validation.valid) {
+            throw new Error(validation.error);
+        }
+
+        const content = {
+            ...pickCVContent(cvData),
+            skills: Array.isArray(cvData.skills)
+                ? cvData.skills
+                : cvData.skills.split(',').map(s => s.trim()).filter(Boolean)
+        };
+        // Recomputed by the database on save (cv_is_complete())
+        content.is_complete = isCVContentComplete(content);
+        const name = typeof cvData.name === 'string' ? cvData.name.trim() : '';
+
+        let query;
+        if (versionId) {
+            query = supabase
+                .from('cv_versions')
+                .update({ ...content, ...(name && { name }) })
+                .eq('id', versionId)
+                .eq('user_id', user.id);
+        } else {
+            const { count } = await supabase
+                .from('cv_versions')
+                .select('id', { count: 'exact', head: true })
+                .eq('user_id', user.id);
+
+            query = supabase
+                .from('cv_versions')
+                .insert({
+                    ...content,
+                    user_id: user.id,
+                    name: name || 'Default',
+                    is_default: !count
+                });
+        }
+
+        const { data: version, error } = await query.select().single();
+
+        if (error) {
+            if (error.code === '23505') {
+                throw new Error(`You already have a CV version named "${name}"`);
+            }
+            if (error.code === 'PGRST116') {
+                throw new Error('CV version not found');
+            }
+            throw error;
+        }
+
+        return { version, error: null };
+    } catch (error) {
+        console.error('Save CV version error:', error);
+        return { version: null, error: error.message };
+    }
+};
+
+/**
+ * Make a CV version the default (copied into cv_forms)
+ * @param {string} versionId - CV version ID
+ * @returns {Promise<object>} - Updated CV version
+ */
+export const setDefaultCVVersion = async (versionId) => {
+    try {
+        await getCVOwner();
+
+        const { error } = await supabase.rpc('set_default_cv_version', { p_version_id: versionId });
+        if (error) throw error;
+
+        return await getCVVersion(versionId);
+    } catch (error) {
+        console.error('Set default CV version error:', error);
+        return { version: null, error: error.message };
+    }
+};
+
+/**
+ * Delete a CV version (the default version cannot be deleted)
+ * @param {string} versionId - CV version ID
+ * @returns {Promise<object>} - Success status
+ */
+export const deleteCVVersion = async (versionId) => {
+    try {
+        const { version, error: getError } = await getCVVersion(versionId);
+        if (getError) throw new Error(getError);
+
+        if (version.is_default) {
+            throw new Error('The default CV version cannot be deleted. Make another version the default first.');
+        }
+
+        const { error } = await supabase
+            .from('cv_versions')
+            .delete()
+            .eq('id', versionId);
+
+        if (error) throw error;
+
+        return { success: true, error: null };
+    } catch (error) {
+        console.error('Delete CV version error:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Revision history of a CV version, newest first, each with the
+ * changes made since the previous revision
+ * @param {string} versionId - CV version ID
+ * @returns {Promise<object>} - History entries
+ */
+export const getCVVersionHistory = async (versionId) => {
+    try {
+        const { error: getError } = await getCVVersion(versionId);
+        if (getError) throw new Error(getError);
+
+        const { data: rows, error } = await supabase
+            .from('cv_version_history')
+            .select('id, revision, name, content, created_at')
+            .eq('cv_version_id', versionId)
+            .order('revision', { ascending: true });
+
+        if (error) throw error;
+
+        const history = (rows || []).map((row, index) => {
+            const changes = index > 0 ? diffCV(rows[index - 1].content, row.content) : [];
+            return {
+                ...row,
+                changes,
+                summary: index > 0 ? summarizeCVDiff(changes) : 'Created'
+            };
+        }).reverse();
+
+        return { history, error: null };
+    } catch (error) {
+        console.error('Get CV version history error:', error);
+        return { history: null, error: error.message };
+    }
+};
+
+/**
+ * Compare two of the caller's CV versions
+ * @param {string} baseId - Version to compare from
+ * @param {string} otherId - Version to compare to
+ * @returns {Promise<object>} - { base, other, changes, summary }
+ */
+export const compareCVVersions = async (baseId, otherId) => {
+    try {
+        const [{ version: base, error: baseError }, { version: other, error: otherError }] =
+            await Promise.all([getCVVersion(baseId), getCVVersion(otherId)]);
+        if (baseError || otherError) throw new Error(baseError || otherError);
+
+        const changes = diffCV(base, other);
+
+        return {
+            base: { id: base.id, name: base.name, revision: base.revision },
+            other: { id: other.id, name: other.name, revision: other.revision },
+            changes,
+            summary: summarizeCVDiff(changes),
+            error: null
+        };
+    } catch (error) {
+        console.error('Compare CV versions error:', error);
+        return { base: null, other: null, changes: null, error: error.message };
+    }
+};
+
 /**
  * Validate CV form data
  * @param {object} cvData - CV form data
@@ -263,15 +464,8 @@ const validateCVForm = (cvData) => {
         errors.push('Skills: At least one skill is required');
     }
 
-    const isValid = errors.length === 0;
-    const isComplete = isValid && 
-        cvData.personal && 
-        cvData.education && 
-        cvData.skills;
-
     return {
-        valid: isValid,
-        isComplete,
+        valid: errors.length === 0,
         error: errors.length > 0 ? errors.join('; ') : null
     };
 };
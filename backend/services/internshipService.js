@@ -4,6 +4,9 @@
 // ============================================
 
 import { supabase } from '../config/supabase.js';
+import { normalizeScreeningQuestions } from '../utils/screening.js';
+import { normalizeLifecycleFields, isAcceptingApplications } from '../utils/internshipLifecycle.js';
+import { pickEditableFields } from '../utils/internshipRevisions.js';
 
 /**
  * Create a new internship posting
@@ -36,6 +39,16 @@ export const createInternship = async (internshipData) => {
             throw new Error('Please fill all required fields');
         }
 
+        const { questions: screeningQuestions, error: screeningError } =
+            normalizeScreeningQuestions(internshipData.screening_questions);
+        if (screeningError) throw new Error(screeningError);
+
+        const { values: lifecycle, error: lifecycleError } = normalizeLifecycleFields({
+            application_deadline: internshipData.application_deadline ?? null,
+            openings: internshipData.openings ?? null
+        });
+        if (lifecycleError) throw new Error(lifecycleError);
+
         // Create internship
         const { data: internship, error } = await supabase
             .from('internships')
@@ -50,6 +63,9 @@ export const createInternship = async (internshipData) => {
                 location: internshipData.location,
                 stipend: internshipData.stipend,
                 requirements: internshipData.requirements,
+                screening_questions: screeningQuestions,
+                application_deadline: lifecycle.application_deadline,
+                openings: lifecycle.openings,
                 status: 'pending'
             })
             .select()
@@ -66,6 +82,7 @@ export const createInternship = async (internshipData) => {
 
 /**
  * Get all approved internships
+ * Postings that are closed or filled are left out unless filters.include_closed is set.
  * @param {object} filters - Filter options (status, skills, etc.)
  * @returns {Promise<object>} - List of internships
  */
@@ -84,6 +101,11 @@ export const getApprovedInternships = async (filters = {}) => {
             .eq('status', 'approved')
             .order('approved_at', { ascending: false });
 
+        const openOnly = !filters.include_closed || filters.include_closed === 'false';
+        if (openOnly) {
+            query = query.eq('posting_status', 'open');
+        }
+
         // Apply filters
         if (filters.skills && filters.skills.length > 0) {
             query = query.contains('skills', filters.skills);
@@ -97,10 +119,13 @@ export const getApprovedInternships = async (filters = {}) => {
             query = query.or(`title.ilike.%${filters.search}%,description.ilike.%${filters.search}%`);
         }
 
-        const { data: internships, error } = await query;
+        const { data, error } = await query;
 
         if (error) throw error;
 
+        // The lifecycle job may not have closed postings whose deadline just passed
+        const internships = openOnly ? (data || []).filter(i => isAcceptingApplications(i)) : data;
+
         return { internships, error: null };
     } catch (error) {
         console.error('Get internships error:', error);
@@ -179,17 +204,19 @@ export const getSoftwareHouseInternships = async (softwareHouseId) => {
 };
 
 /**
- * Update internship (only if pending)
+ * Update internship
+ * Every edit is kept as a revision. Edits to an approved posting are held
+ * for admin review, unless they are cosmetic and cosmetic edits skip review
+ * (see database/add_internship_revisions.sql).
  * @param {string} internshipId - Internship ID
  * @param {object} updates - Fields to update
- * @returns {Promise<object>} - Updated internship
+ * @returns {Promise<object>} - { internship, revision: { revision_id, status, kind, changes } }
  */
 export const updateInternship = async (internshipId, updates) => {
     try {
         const { data: { user }, error: userError } = await supabase.auth.getUser();
         if (userError || !user) throw new Error('Authentication required');
 
-        // Check if internship exists and is pending
         const { data: existing } = await supabase
             .from('internships')
             .select('software_house_id, status')
@@ -198,28 +225,72 @@ export const updateInternship = async (internshipId, updates) => {
 
         if (!existing) throw new Error('Internship not found');
 
-        if (existing.status !== 'pending') {
-            throw new Error('Can only update pending internships');
-        }
-
         if (existing.software_house_id !== user.id) {
             throw new Error('Unauthorized: Can only update own internships');
         }
 
-        // Update internship
-        const { data: internship, error } = await supabase
+        let values = pickEditableFields(updates);
+
+        if (typeof values.skills === 'string') {
+            values.skills = values.skills.split(',').map(s => s.trim()).filter(Boolean);
+        }
+
+        if (values.screening_questions !== undefined) {
+            const { questions, error: screeningError } = normalizeScreeningQuestions(values.screening_questions);
+            if (screeningError) throw new Error(screeningError);
+            values = { ...values, screening_questions: questions };
+        }
+
+        if (values.application_deadline !== undefined || values.openings !== undefined) {
+            const { values: lifecycle, error: lifecycleError } = normalizeLifecycleFields(values);
+            if (lifecycleError) throw new Error(lifecycleError);
+            values = { ...values, ...lifecycle };
+        }
+
+        const { data: revision, error } = await supabase.rpc('submit_internship_revision', {
+            p_internship_id: internshipId,
+            p_values: values
+        });
+
+        if (error) throw error;
+
+        const { data: internship, error: fetchError } = await supabase
             .from('internships')
-            .update(updates)
-            .eq('id', internshipId)
             .select()
+            .eq('id', internshipId)
             .single();
 
-        if (error) throw error;
+        if (fetchError) throw fetchError;
 
-        return { internship, error: null };
+        return { internship, revision, error: null };
     } catch (error) {
         console.error('Update internship error:', error);
-        return { internship: null, error: error.message };
+        return { internship: null, revision: null, error: error.message };
+    }
+};
+
+/**
+ * Revision history of an internship (owner or admin)
+ * @param {string} internshipId - Internship ID
+ * @returns {Promise<object>} - Revisions, newest first
+ */
+export const getInternshipRevisions = async (internshipId) => {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+        if (userError || !user) throw new Error('Authentication required');
+
+        const { data: revisions, error } = await supabase
+            .from('internship_revisions')
+            .select('*')
+            .eq('internship_id', internshipId)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        return { revisions, error: null };
+    } catch (error) {
+        console.error('Get internship revisions error:', error);
+        return { revisions: null, error: error.message };
     }
 };
 
@@ -264,6 +335,59 @@ export const deleteInternship = async (internshipId) => {
     }
 };
 
+/**
+ * Stop taking applications for an internship (software house only)
+ * @param {string} internshipId - Internship ID
+ * @returns {Promise<object>} - Updated internship
+ */
+export const closeInternship = async (internshipId) => {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+        if (userError || !user) throw new Error('Authentication required');
+
+        const { data: internship, error } = await supabase.rpc('close_internship_posting', {
+            p_internship_id: internshipId
+        });
+
+        if (error) throw error;
+
+        return { internship, error: null };
+    } catch (error) {
+        console.error('Close internship error:', error);
+        return { internship: null, error: error.message };
+    }
+};
+
+/**
+ * Reopen a closed or filled internship (software house only)
+ * A passed deadline or filled openings must be extended in the same call.
+ * @param {string} internshipId - Internship ID
+ * @param {object} changes - { application_deadline?, openings? }
+ * @returns {Promise<object>} - Updated internship
+ */
+export const reopenInternship = async (internshipId, changes = {}) => {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+        if (userError || !user) throw new Error('Authentication required');
+
+        const { values, error: lifecycleError } = normalizeLifecycleFields(changes);
+        if (lifecycleError) throw new Error(lifecycleError);
+
+        const { data: internship, error } = await supabase.rpc('reopen_internship_posting', {
+            p_internship_id: internshipId,
+            p_deadline: values.application_deadline ?? null,
+            p_openings: values.openings ?? null
+        });
+
+        if (error) throw error;
+
+        return { internship, error: null };
+    } catch (error) {
+        console.error('Reopen internship error:', error);
+        return { internship: null, error: error.message };
+    }
+};
+
 /**
  * Get pending internships (for admin)
  * @returns {Promise<object>} - List of pending internships
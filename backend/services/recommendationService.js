@@ -0,0 +1,107 @@
+// ============================================
+// Internship Recommendation Service
+// Ranks approved internships against the student's CV skills
+// ============================================
+
+import { supabase } from '../config/supabase.js';
+import { collectCVSkills, rankInternships } from '../utils/skillMatching.js';
+import { isAcceptingApplications } from '../utils/internshipLifecycle.js';
+
+/**
+ * Get recommended internships for the current student
+ * Only internships still accepting applications are ranked.
+ * @param {object} options - { limit, minScore, includeApplied }
+ * @returns {Promise<object>} - { recommendations, skills }
+ */
+export const getRecommendedInternships = async (options = {}) => {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+        if (userError || !user) throw new Error('Authentication required');
+
+        const { data: cvForm, error: cvError } = await supabase
+            .from('cv_forms')
+            .select('skills, projects')
+            .eq('user_id', user.id)
+            .maybeSingle();
+
+        if (cvError) throw cvError;
+
+        const skills = collectCVSkills(cvForm);
+        if (skills.length === 0) {
+            return { recommendations: [], skills, error: null };
+        }
+
+        const { data: internships, error } = await supabase
+            .from('internships')
+            .select(`
+                *,
+                profiles:software_house_id (
+                    id,
+                    organization_name,
+                    full_name
+                )
+            `)
+            .eq('status', 'approved')
+            .eq('posting_status', 'open');
+
+        if (error) throw error;
+
+        let candidates = (internships || []).filter(i => isAcceptingApplications(i));
+        if (!options.includeApplied) {
+            const { data: applications, error: appliedError } = await supabase
+                .from('applications')
+                .select('internship_id')
+                .eq('user_id', user.id);
+
+            if (appliedError) throw appliedError;
+
+            const applied = new Set((applications || []).map(a => a.internship_id));
+            candidates = candidates.filter(i => !applied.has(i.id));
+        }
+
+        const recommendations = rankInternships(cvForm, candidates, {
+            limit: parseInt(options.limit, 10) || 0,
+            minScore: options.minScore !== undefined ? Number(options.minScore) : 1
+        });
+
+        return { recommendations, skills, error: null };
+    } catch (error) {
+        console.error('Get recommendations error:', error);
+        return { recommendations: null, skills: null, error: error.message };
+    }
+};
+
+/**
+ * Explain how well the current student matches one internship
+ * @param {string} internshipId - Internship ID
+ * @returns {Promise<object>} - { match }
+ */
+export const getInternshipMatch = async (internshipId) => {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+        if (userError || !user) throw new Error('Authentication required');
+
+        const [{ data: cvForm, error: cvError }, { data: internship, error }] = await Promise.all([
+            supabase
+                .from('cv_forms')
+                .select('skills, projects')
+                .eq('user_id', user.id)
+                .maybeSingle(),
+            supabase
+                .from('internships')
+                .select('*')
+                .eq('id', internshipId)
+                .single()
+        ]);
+
+        if (cvError) throw cvError;
+        if (error) throw error;
+
+        const [match] = rankInternships(cvForm, [internship], { minScore: 0 });
+
+        return { match: match || null, error: null };
+    } catch (error) {
+        console.error('Get internship match error:', error);
+        return { match: null, error: error.message };
+    }
+};
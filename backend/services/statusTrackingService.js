@@ -4,6 +4,7 @@
 // ============================================
 
 import { supabase } from '../config/supabase.js';
+import { ACTIVE_STAGES, SUCCESS_STAGES } from '../utils/applicationPipeline.js';
 
 /**
  * Get application statuses for a user
@@ -170,7 +171,15 @@ export const getUserApplicationStats = async () => {
             total: applications?.length || 0,
             pending: applications?.filter(a => a.status === 'pending').length || 0,
             accepted: applications?.filter(a => a.status === 'accepted').length || 0,
-            rejected: applications?.filter(a => a.status === 'rejected').length || 0
+            rejected: applications?.filter(a => a.status === 'rejected').length || 0,
+            withdrawn: applications?.filter(a => a.status === 'withdrawn').length || 0,
+            // Still moving through the pipeline / reached a successful outcome
+            in_progress: applications?.filter(a => ACTIVE_STAGES.includes(a.status)).length || 0,
+            successful: applications?.filter(a => SUCCESS_STAGES.includes(a.status)).length || 0,
+            by_stage: (applications || []).reduce((acc, a) => {
+                acc[a.status] = (acc[a.status] || 0) + 1;
+                return acc;
+            }, {})
         };
 
         return { stats, error: null };
@@ -5,15 +5,17 @@
 
 import { supabase } from '../config/supabase.js';
 import { parseCSV, validateStudentCSV } from '../utils/csvParser.js';
-import { generatePassword } from '../utils/helpers.js';
+import { sendStudentInvitation } from './activationService.js';
 
 /**
- * Register a single student
+ * Register a single student. The account has no password until the student
+ * opens the emailed activation link.
  * @param {object} studentData - Student data
  * @param {string} universityId - University ID
- * @returns {Promise<object>} - Created student record
+ * @param {object} options - { adminClient } Service role client, needed to send the invitation
+ * @returns {Promise<object>} - Created student record and invitation
  */
-export const registerStudent = async (studentData, universityId) => {
+export const registerStudent = async (studentData, universityId, { adminClient = null } = {}) => {
     try {
         const { data: { user }, error: userError } = await supabase.auth.getUser();
         if (userError || !user) throw new Error('Authentication required');
@@ -29,13 +31,9 @@ export const registerStudent = async (studentData, universityId) => {
             throw new Error('Unauthorized: Only universities can register students');
         }
 
-        // Generate temporary password
-        const tempPassword = generatePassword(12);
-        
-        // Create auth user
+        // Create auth user (no password)
         const { data: authData, error: authError } = await supabase.auth.admin.createUser({
             email: studentData.email,
-            password: tempPassword,
             email_confirm: true,
             user_metadata: {
                 role: 'student',
@@ -56,11 +54,7 @@ export const registerStudent = async (studentData, universityId) => {
                 student_id: studentData.student_id,
                 batch: studentData.batch,
                 degree_program: studentData.degree_program,
-                semester: studentData.semester,
-                credentials: {
-                    password: tempPassword,
-                    generated_at: new Date().toISOString()
-                }
+                semester: studentData.semester
             })
             .select()
             .single();
@@ -77,19 +71,27 @@ export const registerStudent = async (studentData, universityId) => {
             .update({ university_id: universityId })
             .eq('id', authData.user.id);
 
+        // A failed email does not undo the registration; it can be resent
+        let invitation = null;
+        let invitationError = adminClient ? null : 'Service role key is not configured';
+        if (adminClient) {
+            const result = await sendStudentInvitation(adminClient, student, { createdBy: user.id });
+            invitation = result.invitation;
+            invitationError = result.error;
+        }
+
         return {
             student,
-            credentials: {
-                email: studentData.email,
-                password: tempPassword
-            },
+            invitation,
+            invitationError,
             error: null
         };
     } catch (error) {
         console.error('Register student error:', error);
         return {
             student: null,
-            credentials: null,
+            invitation: null,
+            invitationError: null,
             error: error.message
         };
     }
@@ -99,9 +101,10 @@ export const registerStudent = async (studentData, universityId) => {
  * Register multiple students from CSV data
  * @param {Array} studentsData - Array of student data objects
  * @param {string} universityId - University ID
+ * @param {object} options - { adminClient } passed on to registerStudent
  * @returns {Promise<object>} - Registration results
  */
-export const registerStudentsBulk = async (studentsData, universityId) => {
+export const registerStudentsBulk = async (studentsData, universityId, options = {}) => {
     try {
         const { data: { user }, error: userError } = await supabase.auth.getUser();
         if (userError || !user) throw new Error('Authentication required');
@@ -152,7 +155,7 @@ export const registerStudentsBulk = async (studentsData, universityId) => {
                 }
 
                 // Register student
-                const result = await registerStudent(studentData, universityId);
+                const result = await registerStudent(studentData, universityId, options);
                 if (result.error) {
                     results.failed.push({
                         data: studentData,
@@ -161,7 +164,8 @@ export const registerStudentsBulk = async (studentsData, universityId) => {
                 } else {
                     results.successful.push({
                         student: result.student,
-                        credentials: result.credentials
+                        invitation: result.invitation,
+                        invitationError: result.invitationError
                     });
                 }
             } catch (error) {
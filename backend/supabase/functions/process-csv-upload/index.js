@@ -116,13 +116,10 @@ serve(async (req) => {
                     continue;
                 }
 
-                // Generate password
-                const tempPassword = generatePassword(12);
-
-                // Create auth user
+                // Create auth user without a password; the student sets one from
+                // the activation link the university sends (Students page)
                 const { data: authData, error: authError } = await supabase.auth.admin.createUser({
                     email: studentData.email,
-                    password: tempPassword,
                     email_confirm: true,
                     user_metadata: {
                         role: 'student',
@@ -149,11 +146,7 @@ serve(async (req) => {
                         student_id: studentData.student_id,
                         batch: studentData.batch,
                         degree_program: studentData.degree_program,
-                        semester: studentData.semester,
-                        credentials: {
-                            password: tempPassword,
-                            generated_at: new Date().toISOString()
-                        }
+                        semester: studentData.semester
                     })
                     .select()
                     .single();
@@ -174,13 +167,7 @@ serve(async (req) => {
                     .update({ university_id: universityId })
                     .eq('id', authData.user.id);
 
-                results.successful.push({
-                    student,
-                    credentials: {
-                        email: studentData.email,
-                        password: tempPassword
-                    }
-                });
+                results.successful.push({ student });
             } catch (error) {
                 results.failed.push({
                     data: studentData,
@@ -309,16 +296,4 @@ function validateStudentCSV(studentData) {
     };
 }
 
-function generatePassword(length = 12) {
-    const charset = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*';
-    let password = '';
-    password += 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'[Math.floor(Math.random() * 26)];
-    password += 'abcdefghijklmnopqrstuvwxyz'[Math.floor(Math.random() * 26)];
-    password += '0123456789'[Math.floor(Math.random() * 10)];
-    password += '!@#$%^&*'[Math.floor(Math.random() * 8)];
-    for (let i = password.length; i < length; i++) {
-        password += charset[Math.floor(Math.random() * charset.length)];
-    }
-    return password.split('').sort(() => Math.random() - 0.5).join('');
-}
 
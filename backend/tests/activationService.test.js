@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createActivationToken,
+    verifyActivationToken,
+    activateStudentAccount
+} from '../services/activationService.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+const student = { id: 'student-1', user_id: 'user-1', name: 'Ayesha Khan', email: 'ayesha@example.edu' };
+
+const setup = () => createFakeSupabase({ students: [{ ...student, activated_at: null }], student_activation_tokens: [] });
+
+test('a new token activates the account once', async () => {
+    const client = setup();
+    const { token, error } = await createActivationToken(client, student, 'admin-1');
+    assert.equal(error, null);
+
+    const stored = client.tables.student_activation_tokens[0];
+    assert.notEqual(stored.token_hash, token, 'only the hash is stored');
+    assert.equal(stored.created_by, 'admin-1');
+
+    const verified = await verifyActivationToken(client, token);
+    assert.equal(verified.code, null);
+    assert.equal(verified.student.email, student.email);
+
+    const activated = await activateStudentAccount(client, token, 'correct horse');
+    assert.equal(activated.error, null);
+    assert.equal(client.passwords['user-1'], 'correct horse');
+    assert.ok(client.tables.students[0].activated_at);
+
+    const again = await activateStudentAccount(client, token, 'another password');
+    assert.equal(again.code, 'TOKEN_USED');
+    assert.equal(client.passwords['user-1'], 'correct horse');
+});
+
+test('a new token revokes the earlier unused one', async () => {
+    const client = setup();
+    const first = await createActivationToken(client, student);
+    const second = await createActivationToken(client, student);
+
+    assert.equal((await verifyActivationToken(client, first.token)).code, 'TOKEN_INVALID');
+    assert.equal((await verifyActivationToken(client, second.token)).code, null);
+});
+
+test('expired and unknown tokens are rejected', async () => {
+    const client = setup();
+    const { token } = await createActivationToken(client, student);
+    client.tables.student_activation_tokens[0].expires_at = new Date(Date.now() - 1000).toISOString();
+
+    assert.equal((await verifyActivationToken(client, token)).code, 'TOKEN_EXPIRED');
+    assert.equal((await verifyActivationToken(client, 'not-a-token')).code, 'TOKEN_INVALID');
+    assert.equal((await activateStudentAccount(client, token, 'correct horse')).code, 'TOKEN_EXPIRED');
+});
+
+test('a short password is refused before the token is used', async () => {
+    const client = setup();
+    const { token } = await createActivationToken(client, student);
+
+    const result = await activateStudentAccount(client, token, 'short');
+    assert.equal(result.code, 'PASSWORD_TOO_SHORT');
+    assert.equal(client.tables.student_activation_tokens[0].used_at ?? null, null);
+});
+
+test('the token is given back when the password cannot be set', async () => {
+    const client = setup();
+    const { token } = await createActivationToken(client, student);
+    client.failures['auth.updateUserById'] = 'Auth service unavailable';
+
+    const result = await activateStudentAccount(client, token, 'correct horse');
+    assert.equal(result.code, 'PASSWORD_UPDATE_FAILED');
+    assert.equal(client.tables.student_activation_tokens[0].used_at, null);
+
+    delete client.failures['auth.updateUserById'];
+    assert.equal((await activateStudentAccount(client, token, 'correct horse')).error, null);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_STAGES,
+    DEFAULT_TRANSITIONS,
+    isValidStage,
+    getNextStages,
+    canTransition,
+    getStageLabel
+} from '../utils/applicationPipeline.js';
+
+test('every transition is between known stages', () => {
+    DEFAULT_TRANSITIONS.forEach(t => {
+        assert.ok(isValidStage(t.from_stage), t.from_stage);
+        assert.ok(isValidStage(t.to_stage), t.to_stage);
+    });
+    assert.equal(isValidStage('hired'), false);
+});
+
+test('terminal stages have no way out', () => {
+    DEFAULT_STAGES.filter(s => s.is_terminal).forEach(s => {
+        assert.deepEqual(getNextStages(s.stage, 'software_house'), []);
+        assert.deepEqual(getNextStages(s.stage, 'applicant'), []);
+    });
+});
+
+test('transitions depend on who makes them', () => {
+    assert.ok(canTransition('pending', 'shortlisted', 'software_house'));
+    assert.equal(canTransition('pending', 'shortlisted', 'applicant'), false);
+
+    assert.ok(canTransition('offer_extended', 'offer_accepted', 'applicant'));
+    assert.equal(canTransition('offer_extended', 'offer_accepted', 'software_house'), false);
+
+    assert.ok(canTransition('interview_scheduled', 'withdrawn', 'applicant'));
+    assert.equal(canTransition('joined', 'withdrawn', 'applicant'), false);
+});
+
+test('custom transitions replace the defaults', () => {
+    const transitions = [{ from_stage: 'pending', to_stage: 'joined', actor: 'software_house' }];
+    assert.deepEqual(getNextStages('pending', 'software_house', transitions), ['joined']);
+    assert.equal(canTransition('pending', 'shortlisted', 'software_house', transitions), false);
+});
+
+test('stage labels fall back to the stage key', () => {
+    assert.equal(getStageLabel('interview_scheduled'), 'Interview Scheduled');
+    assert.equal(getStageLabel('technical_test'), 'Technical Test');
+    assert.equal(getStageLabel(''), '');
+});
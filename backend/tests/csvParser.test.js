@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseCSV,
+    parseStudentStatus,
+    suggestColumnMapping,
+    validateColumnMapping,
+    validateStudentCSV,
+    buildImportReport,
+    summarizeImportReport,
+    generateCSVTemplate
+} from '../utils/csvParser.js';
+
+test('the template parses back into one valid student', () => {
+    const { data, error } = parseCSV(generateCSVTemplate());
+    assert.equal(error, null);
+    assert.equal(data.length, 1);
+    assert.equal(validateStudentCSV(data[0]).valid, true);
+});
+
+test('quoted cells, a byte order mark and blank lines are handled', () => {
+    const csv = '﻿name,email,student_id,degree_program\n"Khan, Ayesha",ayesha@example.edu,STU-1,"BS ""CS"""\n\n';
+    const { data, error } = parseCSV(csv);
+    assert.equal(error, null);
+    assert.equal(data[0].name, 'Khan, Ayesha');
+    assert.equal(data[0].degree_program, 'BS "CS"');
+});
+
+test('rows with the wrong number of cells are reported, not imported', () => {
+    const { data, errors } = parseCSV('name,email,student_id\nA,a@example.edu,1\nB,b@example.edu\n');
+    assert.equal(data.length, 1);
+    assert.equal(errors[0].row, 3);
+});
+
+test('columns are recognised by their usual names', () => {
+    const mapping = suggestColumnMapping(['Full Name', 'E-mail', 'Roll No', 'CGPA', 'Mobile']);
+    assert.deepEqual(mapping, { name: 'Full Name', email: 'E-mail', student_id: 'Roll No', phone: 'Mobile', cgpa: 'CGPA' });
+});
+
+test('a mapping must cover the required fields for its mode', () => {
+    assert.match(validateColumnMapping({ name: 'Name' }, ['Name']), /Missing required headers: email, student_id/);
+    assert.equal(validateColumnMapping({ email: 'Email' }, ['Email'], 'sync'), null);
+    assert.match(validateColumnMapping({ name: 'Name', email: 'Mail', student_id: 'Name' }, ['Name', 'Mail']), /more than one field/);
+    assert.match(validateColumnMapping({ name: 'Name', email: 'Mail', student_id: 'Roll' }, ['Name', 'Mail']), /not in the file/);
+});
+
+test('optional columns are validated when filled in', () => {
+    const row = { name: 'A', email: 'a@example.edu', student_id: '1', cgpa: '4.5', phone: 'abc', status: 'paused' };
+    const { valid, error } = validateStudentCSV(row);
+    assert.equal(valid, false);
+    assert.match(error, /Invalid phone number/);
+    assert.match(error, /CGPA must be between 0 and 4/);
+    assert.match(error, /Unknown status "paused"/);
+});
+
+test('status values are read case-insensitively', () => {
+    assert.equal(parseStudentStatus('Graduated'), 'left');
+    assert.equal(parseStudentStatus(' enrolled '), 'active');
+    assert.equal(parseStudentStatus(''), null);
+    assert.equal(parseStudentStatus('on leave'), 'unknown');
+});
+
+test('the import report flags existing and repeated students', () => {
+    const rows = [
+        { name: 'A', email: 'A@example.edu', student_id: 'S1' },
+        { name: 'B', email: 'a@example.edu', student_id: 'S2' },
+        { name: 'C', email: 'c@example.edu', student_id: 's1' },
+        { name: 'D', email: 'd@example.edu', student_id: 'S4' },
+        { name: 'E', email: 'e@example.edu', student_id: 'S5' },
+        { name: '', email: 'f@example.edu', student_id: 'S6' }
+    ];
+    const report = buildImportReport(rows, { emails: new Set(['d@example.edu']), studentIds: new Set(['s5']) });
+
+    assert.deepEqual(report.map(r => r.outcome), ['create', 'skip', 'skip', 'skip', 'skip', 'error']);
+    assert.equal(report[1].reason, 'Same email as row 1');
+    assert.equal(report[2].reason, 'Same student ID as row 1');
+    assert.equal(report[3].reason, 'Email is already registered');
+    assert.equal(report[4].reason, 'Student ID is already registered at this university');
+
+    const summary = summarizeImportReport(report);
+    assert.equal(summary.total, 6);
+    assert.equal(summary.create, 1);
+    assert.equal(summary.skip, 4);
+    assert.equal(summary.error, 1);
+});
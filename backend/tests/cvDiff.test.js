@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isCVContentComplete, diffCV } from '../utils/cvDiff.js';
+
+const cv = {
+    personal: { name: 'Ayesha Khan', email: 'ayesha@example.edu', phone: '+92 300 1234567' },
+    education: [{ institution: 'FAST', degree: 'BSCS' }],
+    skills: ['React']
+};
+
+test('a CV is complete with contact details, education and a skill', () => {
+    assert.equal(isCVContentComplete(cv), true);
+    assert.equal(isCVContentComplete({ ...cv, personal: { ...cv.personal, phone: '  ' } }), false);
+    assert.equal(isCVContentComplete({ ...cv, education: [] }), false);
+    assert.equal(isCVContentComplete({ ...cv, skills: [''] }), false);
+    assert.equal(isCVContentComplete(null), false);
+});
+
+test('the stored flag is not trusted', () => {
+    assert.equal(isCVContentComplete({ personal: {}, education: [], skills: [], is_complete: true }), false);
+});
+
+test('an added skill is one change', () => {
+    const changes = diffCV(cv, { ...cv, skills: ['React', 'Node.js'] });
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].section, 'skills');
+    assert.equal(changes[0].type, 'added');
+});
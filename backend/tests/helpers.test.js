@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { redactForLog } from '../utils/helpers.js';
+
+test('passwords and tokens are left out of logged bodies', () => {
+    const body = {
+        token: 'activation-token',
+        password: 'correct horse',
+        full_name: 'Ayesha Khan',
+        assignments: [{ student_id: 's1', access_token: 'abc' }],
+        settings: { new_password: 'x', current_password: '' }
+    };
+
+    assert.deepEqual(redactForLog(body), {
+        token: '[REDACTED]',
+        password: '[REDACTED]',
+        full_name: 'Ayesha Khan',
+        assignments: [{ student_id: 's1', access_token: '[REDACTED]' }],
+        settings: { new_password: '[REDACTED]', current_password: '' }
+    });
+    assert.equal(body.password, 'correct horse', 'the body itself is not changed');
+});
+
+test('long text is shortened', () => {
+    const logged = redactForLog({ csvText: 'name,email\n'.repeat(100) });
+    assert.equal(logged.csvText.length, 200);
+    assert.ok(logged.csvText.endsWith('...'));
+});
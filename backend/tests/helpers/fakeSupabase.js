@@ -0,0 +1,115 @@
+// ============================================
+// Fake Supabase Client
+// In-memory tables behind the small part of the supabase-js query
+// builder the services use (select/insert/update, eq/is filters,
+// single/maybeSingle), for tests that must not reach a database
+// ============================================
+
+import crypto from 'node:crypto';
+
+class FakeQuery {
+    constructor(client, table) {
+        this.client = client;
+        this.table = table;
+        this.action = null;
+        this.payload = null;
+        this.returning = false;
+        this.filters = [];
+        this.mode = 'many';
+    }
+
+    select() {
+        if (this.action) this.returning = true;
+        else this.action = 'select';
+        return this;
+    }
+
+    insert(rows) {
+        this.action = 'insert';
+        this.payload = Array.isArray(rows) ? rows : [rows];
+        return this;
+    }
+
+    update(values) {
+        this.action = 'update';
+        this.payload = values;
+        return this;
+    }
+
+    eq(column, value) {
+        this.filters.push(row => row[column] === value);
+        return this;
+    }
+
+    is(column, value) {
+        this.filters.push(row => (row[column] ?? null) === value);
+        return this;
+    }
+
+    single() {
+        this.mode = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.mode = 'maybeSingle';
+        return this;
+    }
+
+    run() {
+        const failure = this.client.failures[`${this.table}.${this.action}`];
+        if (failure) return { data: null, error: { message: failure } };
+
+        const rows = this.client.tables[this.table] ||= [];
+        let result;
+
+        if (this.action === 'insert') {
+            result = this.payload.map(row => ({ id: crypto.randomUUID(), ...row }));
+            rows.push(...result);
+            if (!this.returning) return { data: null, error: null };
+        } else {
+            result = rows.filter(row => this.filters.every(filter => filter(row)));
+            if (this.action === 'update') {
+                result.forEach(row => Object.assign(row, this.payload));
+                if (!this.returning) return { data: null, error: null };
+            }
+        }
+
+        const data = result.map(row => ({ ...row }));
+        if (this.mode === 'many') return { data, error: null };
+        if (data.length > 1) return { data: null, error: { message: 'Multiple rows returned' } };
+        if (data.length === 0 && this.mode === 'single') return { data: null, error: { message: 'No rows returned' } };
+        return { data: data[0] || null, error: null };
+    }
+
+    then(resolve, reject) {
+        return Promise.resolve().then(() => this.run()).then(resolve, reject);
+    }
+}
+
+/**
+ * Create a fake admin client
+ * @param {object} tables - { table: rows } to start with
+ * @returns {object} - Client with .tables, .failures ({ 'table.action': message })
+ *   and .passwords ({ userId: password }) to inspect or rig in tests
+ */
+export const createFakeSupabase = (tables = {}) => {
+    const client = {
+        tables: structuredClone(tables),
+        failures: {},
+        passwords: {},
+        from: (table) => new FakeQuery(client, table),
+        auth: {
+            admin: {
+                updateUserById: async (userId, { password }) => {
+                    if (client.failures['auth.updateUserById']) {
+                        return { data: null, error: { message: client.failures['auth.updateUserById'] } };
+                    }
+                    client.passwords[userId] = password;
+                    return { data: { user: { id: userId } }, error: null };
+                }
+            }
+        }
+    };
+    return client;
+};
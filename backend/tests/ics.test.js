@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatICSDate, escapeICSText, generateICS } from '../utils/ics.js';
+
+test('dates are written as UTC timestamps', () => {
+    assert.equal(formatICSDate('2025-03-04T09:30:00.000Z'), '20250304T093000Z');
+    assert.equal(formatICSDate(new Date(Date.UTC(2025, 11, 31, 23, 5, 9))), '20251231T230509Z');
+});
+
+test('special characters are escaped', () => {
+    assert.equal(escapeICSText('Room 4, Block B; bring CV\nAsk for HR\\Admin'), 'Room 4\\, Block B\\; bring CV\\nAsk for HR\\\\Admin');
+    assert.equal(escapeICSText(null), '');
+});
+
+test('an event is a complete calendar with CRLF line endings', () => {
+    const ics = generateICS({
+        uid: 'interview-1',
+        start: '2025-03-04T09:30:00Z',
+        end: '2025-03-04T10:00:00Z',
+        title: 'Interview: Frontend Intern',
+        location: 'Office, Lahore',
+        sequence: 2
+    });
+
+    const lines = ics.split('\r\n');
+    assert.equal(lines[0], 'BEGIN:VCALENDAR');
+    assert.equal(lines.at(-1), '');
+    assert.equal(lines.at(-2), 'END:VCALENDAR');
+    assert.ok(lines.includes('UID:interview-1@aiilp'));
+    assert.ok(lines.includes('DTSTART:20250304T093000Z'));
+    assert.ok(lines.includes('SEQUENCE:2'));
+    assert.ok(lines.includes('STATUS:CONFIRMED'));
+    assert.ok(lines.includes('LOCATION:Office\\, Lahore'));
+    assert.equal(lines.some(line => line.startsWith('DESCRIPTION:')), false);
+});
+
+test('long lines are folded at 75 characters', () => {
+    const description = 'x'.repeat(200);
+    const ics = generateICS({ uid: 'u', start: new Date(), end: new Date(), title: 't', description });
+
+    const lines = ics.split('\r\n');
+    assert.ok(lines.every(line => line.length <= 75));
+
+    const start = lines.findIndex(line => line.startsWith('DESCRIPTION:'));
+    const unfolded = [lines[start], ...lines.slice(start + 1).filter(line => line.startsWith(' ')).map(line => line.slice(1))].join('');
+    assert.equal(unfolded, `DESCRIPTION:${description}`);
+});
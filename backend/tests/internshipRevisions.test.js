@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    pickEditableFields,
+    countWordChanges,
+    diffInternship,
+    classifyChanges,
+    needsReview,
+    DEFAULT_REVIEW_SETTINGS
+} from '../utils/internshipRevisions.js';
+
+const posting = {
+    status: 'approved',
+    title: 'Frontend Developer Intern',
+    description: 'Work with our product team on the customer dashboard using React and TypeScript.',
+    requirements: 'Good knowledge of JavaScript and CSS.',
+    skills: ['React', 'TypeScript'],
+    duration: '3 months',
+    location: 'Lahore',
+    stipend: 25000,
+    application_deadline: '2025-06-30T00:00:00.000Z',
+    openings: 2
+};
+
+test('only editable fields are kept', () => {
+    assert.deepEqual(pickEditableFields({ title: 'X', status: 'approved', company_id: 'c1' }), { title: 'X' });
+});
+
+test('word changes ignore case and punctuation', () => {
+    assert.equal(countWordChanges('Good knowledge of JavaScript.', 'good knowledge of javascript'), 0);
+    assert.equal(countWordChanges('Good knowledge of JavaScript', 'Solid knowledge of JavaScript'), 2);
+    assert.equal(countWordChanges(null, 'one two'), 2);
+});
+
+test('unchanged values are not reported', () => {
+    const changes = diffInternship(posting, {
+        title: posting.title,
+        stipend: '25000',
+        application_deadline: '2025-06-30',
+        skills: ['React', 'TypeScript']
+    });
+    assert.deepEqual(changes, []);
+    assert.equal(needsReview(posting, changes), false);
+});
+
+test('small wording fixes and exempt fields skip review', () => {
+    const changes = diffInternship(posting, {
+        description: 'Work with our product team on the customer dashboard, using React and TypeScript!',
+        requirements: 'Good knowledge of JavaScript and CSS3.',
+        openings: 3,
+        application_deadline: '2025-07-15'
+    });
+    assert.equal(changes.length, 4);
+    assert.equal(classifyChanges(changes), 'cosmetic');
+    assert.equal(needsReview(posting, changes), false);
+});
+
+test('skills, stipend and rewritten text send an approved posting back to review', () => {
+    assert.ok(needsReview(posting, diffInternship(posting, { skills: ['React'] })));
+    assert.ok(needsReview(posting, diffInternship(posting, { stipend: 0 })));
+    assert.ok(needsReview(posting, diffInternship(posting, {
+        requirements: 'Must already know Rust, Go, Kubernetes and Terraform.'
+    })));
+});
+
+test('title, location and duration changes always need review', () => {
+    const changes = diffInternship(posting, {
+        title: 'Backend Developer Intern',
+        location: 'Remote',
+        duration: '6 months'
+    });
+    assert.deepEqual(changes.map(c => c.cosmetic), [false, false, false]);
+    assert.equal(classifyChanges(changes), 'material');
+    assert.ok(needsReview(posting, changes));
+
+    assert.ok(needsReview(posting, diffInternship(posting, { location: 'Remote' })));
+});
+
+test('the word-count rule only applies to long text fields', () => {
+    const settings = { ...DEFAULT_REVIEW_SETTINGS, cosmetic_fields: ['title', 'location', 'duration', 'description'] };
+    const changes = diffInternship(posting, { title: 'Backend Developer Intern', duration: '6 months' }, settings);
+    assert.ok(changes.every(c => !c.cosmetic));
+    assert.ok(needsReview(posting, changes, settings));
+});
+
+test('postings that are not approved never need a new review', () => {
+    const pending = { ...posting, status: 'pending_approval' };
+    assert.equal(needsReview(pending, diffInternship(pending, { skills: ['Go'] })), false);
+});
+
+test('review can be required for every change', () => {
+    const settings = { skip_cosmetic_review: false, cosmetic_fields: ['description'], cosmetic_max_word_changes: 4, exempt_fields: [] };
+    const changes = diffInternship(posting, { openings: 5 }, settings);
+    assert.equal(changes[0].cosmetic, false);
+    assert.ok(needsReview(posting, changes, settings));
+});
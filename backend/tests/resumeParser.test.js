@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderCVToPDF, CV_TEMPLATES } from '../utils/cvPdf.js';
+import { parseResume, parseResumeText } from '../utils/resumeParser.js';
+
+const cv = {
+    personal: {
+        name: 'Ayesha Khan',
+        email: 'ayesha.khan@example.edu',
+        phone: '+92 300 1234567',
+        address: 'House 12, Street 4, Lahore',
+        date_of_birth: ''
+    },
+    education: [
+        { institution: 'FAST National University of Computer and Emerging Sciences', degree: 'BS Computer Science', year: '2025', gpa: '3.45' },
+        { institution: 'Punjab College', degree: 'FSc Pre-Engineering', year: '2021', gpa: '' }
+    ],
+    skills: ['JavaScript', 'TypeScript', 'React', 'Node.js', 'Express', 'PostgreSQL', 'Docker', 'Git', 'Tailwind CSS', 'REST API design', 'Unit testing', 'Figma'],
+    experience: [
+        {
+            company: 'Arbisoft',
+            role: 'Frontend Intern',
+            duration: 'Jun 2024 - Aug 2024',
+            description: 'Built dashboard components in React for the billing team, wrote unit tests for the invoice pages and moved the old class components to hooks while keeping every screen working.'
+        },
+        {
+            company: 'Systems Limited',
+            role: 'QA Intern',
+            duration: 'Summer 2023',
+            description: '- Wrote test plans for the mobile banking app\n- Automated the login and transfer checks'
+        }
+    ],
+    projects: [
+        {
+            title: 'Campus Marketplace',
+            description: 'A marketplace for students to buy and sell used books.',
+            technologies: ['React', 'Express', 'MongoDB', 'Socket.IO', 'Redis', 'Docker Compose', 'GitHub Actions', 'Cloudinary', 'Stripe', 'Jest', 'Playwright', 'Tailwind CSS', 'Nginx'],
+            link: 'https://github.com/ayesha/marketplace'
+        },
+        { title: 'Weather CLI', description: 'Command line weather forecasts.', technologies: ['Python'], link: '' },
+        { title: 'Portfolio', description: 'My personal website, built by hand.', technologies: [], link: 'https://ayesha.dev' }
+    ],
+    certifications: [
+        { name: 'AWS Certified Cloud Practitioner', issuer: 'Amazon Web Services', date: '2024' },
+        { name: 'Responsive Web Design', issuer: 'freeCodeCamp', date: 'Mar 2023' }
+    ],
+    languages: [
+        { language: 'English', proficiency: 'Professional working proficiency' },
+        { language: 'Urdu', proficiency: 'Native' },
+        { language: 'Punjabi', proficiency: 'Native' },
+        { language: 'Arabic', proficiency: 'Elementary reading and writing' },
+        { language: 'German', proficiency: '' }
+    ]
+};
+
+for (const template of Object.keys(CV_TEMPLATES)) {
+    test(`a CV rendered with the ${template} template parses back unchanged`, async () => {
+        const pdf = await renderCVToPDF(cv, { template });
+        const { cv: parsed, warnings } = await parseResume(pdf, 'application/pdf');
+        assert.deepEqual(parsed, cv);
+        assert.deepEqual(warnings, []);
+    });
+}
+
+test('other resumes still use the general heuristics', () => {
+    const { cv: parsed } = parseResumeText([
+        'Bilal Ahmed',
+        'bilal@example.com | +92 321 7654321',
+        '',
+        'Education',
+        'BS Software Engineering, COMSATS University 2024',
+        '',
+        'Certifications',
+        'Google Data Analytics - Coursera, 2023',
+        '',
+        'Languages',
+        'English (Fluent), Urdu (Native)'
+    ].join('\n'));
+
+    assert.equal(parsed.personal.name, 'Bilal Ahmed');
+    assert.equal(parsed.education[0].year, '2024');
+    assert.deepEqual(parsed.certifications, [{ name: 'Google Data Analytics', issuer: 'Coursera', date: '2023' }]);
+    assert.deepEqual(parsed.languages.map(l => l.language), ['English', 'Urdu']);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MAX_SCREENING_QUESTIONS,
+    normalizeScreeningQuestions,
+    validateScreeningAnswers,
+    buildScreeningAnswers,
+    evaluateKnockouts
+} from '../utils/screening.js';
+
+const questions = [
+    { id: 'eligible', type: 'yes_no', prompt: 'Are you eligible to work on site?', knockout: true, expected_answer: 'yes', required: true },
+    { id: 'stack', type: 'multiple_choice', prompt: 'Preferred stack', options: ['MERN', 'Django'], required: false },
+    { id: 'hours', type: 'number', prompt: 'Hours per week', min: 10, max: 40, required: true },
+    { id: 'why', type: 'text', prompt: 'Why us?', required: false }
+];
+
+test('questions are cleaned up and knockouts made required', () => {
+    const { questions: normalized, error } = normalizeScreeningQuestions([
+        { type: 'yes_no', prompt: '  Can you relocate? ', knockout: true, required: false },
+        { type: 'multiple_choice', prompt: 'Shift', options: ['Day', ' Day ', 'Night', ''] },
+        { type: 'number', prompt: 'Years of experience', min: '', max: '5' }
+    ]);
+
+    assert.equal(error, null);
+    assert.deepEqual(normalized[0], {
+        id: 'q1', type: 'yes_no', prompt: 'Can you relocate?', required: true, knockout: true, expected_answer: 'yes'
+    });
+    assert.deepEqual(normalized[1].options, ['Day', 'Night']);
+    assert.equal(normalized[2].min, null);
+    assert.equal(normalized[2].max, 5);
+});
+
+test('invalid question lists are refused', () => {
+    assert.match(normalizeScreeningQuestions('nope').error, /must be a list/);
+    assert.match(normalizeScreeningQuestions([{ type: 'essay', prompt: 'x' }]).error, /unknown question type/);
+    assert.match(normalizeScreeningQuestions([{ type: 'multiple_choice', prompt: 'x', options: ['A'] }]).error, /two options/);
+    assert.match(normalizeScreeningQuestions([{ type: 'number', prompt: 'x', min: 5, max: 1 }]).error, /greater than maximum/);
+    assert.match(
+        normalizeScreeningQuestions([{ id: 'a', type: 'text', prompt: 'x' }, { id: 'a', type: 'text', prompt: 'y' }]).error,
+        /unique/
+    );
+
+    const tooMany = Array.from({ length: MAX_SCREENING_QUESTIONS + 1 }, () => ({ type: 'text', prompt: 'x' }));
+    assert.match(normalizeScreeningQuestions(tooMany).error, /at most/);
+    assert.deepEqual(normalizeScreeningQuestions(undefined), { questions: [], error: null });
+});
+
+test('answers are checked against each question', () => {
+    assert.deepEqual(validateScreeningAnswers(questions, { eligible: 'yes', hours: '20' }), {});
+
+    const errors = validateScreeningAnswers(questions, { eligible: 'maybe', stack: 'Rails', hours: '50' });
+    assert.equal(errors.eligible, 'Answer yes or no');
+    assert.equal(errors.stack, 'Choose one of the options');
+    assert.equal(errors.hours, 'Must be at most 40');
+    assert.equal(errors.why, undefined);
+
+    assert.equal(validateScreeningAnswers(questions, {}).hours, 'This question is required');
+});
+
+test('knockout answers decide whether the applicant passes', () => {
+    const passing = buildScreeningAnswers(questions, { eligible: 'yes', hours: '20' });
+    assert.equal(passing.find(a => a.question_id === 'hours').answer, 20);
+    assert.equal(passing.find(a => a.question_id === 'why').answer, null);
+    assert.deepEqual(evaluateKnockouts(questions, passing), { passed: true, failed: [] });
+
+    const failing = buildScreeningAnswers(questions, { eligible: 'no', hours: '20' });
+    assert.deepEqual(evaluateKnockouts(questions, failing), { passed: false, failed: ['Are you eligible to work on site?'] });
+
+    assert.deepEqual(evaluateKnockouts(questions.slice(1), failing), { passed: null, failed: [] });
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    normalizeSkill,
+    collectCVSkills,
+    matchSkills,
+    rankInternships,
+    parseGPA,
+    scoreCandidate
+} from '../utils/skillMatching.js';
+
+test('aliases map to one skill name', () => {
+    assert.equal(normalizeSkill('ReactJS'), 'react');
+    assert.equal(normalizeSkill(' Node '), 'node.js');
+    assert.equal(normalizeSkill('Tailwind  CSS'), 'tailwind');
+    assert.equal(normalizeSkill(null), '');
+});
+
+test('CV skills include project technologies once', () => {
+    const skills = collectCVSkills({
+        skills: ['JavaScript', 'React'],
+        projects: [{ technologies: ['react.js', 'PostgreSQL'] }, { technologies: null }]
+    });
+    assert.deepEqual(skills, ['JavaScript', 'React', 'PostgreSQL']);
+});
+
+test('score is the share of required skills plus a bonus from the requirements', () => {
+    const internship = { skills: ['React', 'Node.js', 'PostgreSQL', 'Docker'], requirements: 'Familiarity with TypeScript is a plus' };
+    const result = matchSkills(['reactjs', 'nodejs', 'TS'], internship);
+
+    assert.deepEqual(result.matched, ['React', 'Node.js']);
+    assert.deepEqual(result.missing, ['PostgreSQL', 'Docker']);
+    assert.deepEqual(result.bonus, ['TS']);
+    assert.equal(result.score, 55);
+    assert.equal(result.explanation, 'Matches 2/4 required skills, missing PostgreSQL and Docker; requirements also mention TS');
+});
+
+test('skills are matched as whole words in the requirements', () => {
+    const result = matchSkills(['Java', 'C'], { skills: [], requirements: 'Experience with JavaScript and C# required' });
+    assert.deepEqual(result.bonus, []);
+    assert.equal(result.score, 0);
+});
+
+test('internships are ranked best match first', () => {
+    const cv = { skills: ['Python', 'Django'] };
+    const internships = [
+        { id: 'a', skills: ['Python', 'React'], created_at: '2024-01-01' },
+        { id: 'b', skills: ['Python', 'Django'], created_at: '2024-01-01' },
+        { id: 'c', skills: ['Go'], created_at: '2024-01-01' }
+    ];
+
+    const ranked = rankInternships(cv, internships);
+    assert.deepEqual(ranked.map(r => r.internship.id), ['b', 'a']);
+    assert.equal(rankInternships(cv, internships, { limit: 1 }).length, 1);
+    assert.deepEqual(rankInternships({ skills: [] }, internships), []);
+});
+
+test('GPAs on different scales are read as a ratio', () => {
+    assert.equal(parseGPA('3.4/4'), 0.85);
+    assert.equal(parseGPA('82%'), 0.82);
+    assert.equal(parseGPA('3.0'), 0.75);
+    assert.equal(parseGPA('8.5'), 0.85);
+    assert.equal(parseGPA('n/a'), null);
+    assert.equal(parseGPA(''), null);
+});
+
+test('candidate score leaves out parts without data', () => {
+    const internship = { skills: ['React', 'Node.js'] };
+    const cv = {
+        skills: ['React', 'Node.js'],
+        projects: [{ title: 'Shop', description: 'Built with React', technologies: [] }],
+        experience: []
+    };
+
+    const result = scoreCandidate(cv, internship);
+    assert.equal(result.gpa, null);
+    assert.equal(result.breakdown.education, null);
+    assert.deepEqual(result.breakdown, { skills: 100, projects: 50, experience: 0, education: null });
+    assert.equal(result.score, Math.round((100 * 60 + 50 * 15) / 90));
+    assert.match(result.explanation, /1 relevant project$/);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { indexStudents, findStudentMatch, diffStudent, planSyncRow, buildSyncReport } from '../utils/studentSync.js';
+
+const students = [
+    { id: '1', user_id: 'u1', email: 'ayesha@example.edu', is_active: true, name: 'Ayesha', student_id: 'S1', batch: 2022, degree_program: 'BSCS', semester: 5, phone: null, cgpa: 3.2 },
+    { id: '2', user_id: 'u2', email: 'bilal@example.edu', is_active: false, name: 'Bilal', student_id: 'S2', batch: 2021, degree_program: 'BSSE', semester: 8, phone: null, cgpa: 3.6 }
+];
+
+test('students are matched by student ID or email', () => {
+    const index = indexStudents(students);
+    assert.equal(findStudentMatch(index, { student_id: 's1' }).student.id, '1');
+    assert.equal(findStudentMatch(index, { email: 'BILAL@example.edu' }).student.id, '2');
+    assert.match(findStudentMatch(index, { student_id: 'S1', email: 'bilal@example.edu' }).error, /different students/);
+    assert.match(findStudentMatch(index, { student_id: 'S1', email: 'new@example.edu' }).error, /cannot be changed/);
+});
+
+test('only filled-in cells that differ are changes', () => {
+    const changes = diffStudent(students[0], { name: 'Ayesha', semester: '6', cgpa: '3.20', phone: '' });
+    assert.deepEqual(changes, { semester: { from: 5, to: 6 } });
+});
+
+test('each row is planned from its status and changes', () => {
+    const index = indexStudents(students);
+    assert.equal(planSyncRow({ student_id: 'S1', semester: '6' }, index).action, 'update');
+    assert.equal(planSyncRow({ student_id: 'S1', semester: '5' }, index).action, 'unchanged');
+    assert.equal(planSyncRow({ student_id: 'S1', status: 'graduated' }, index).action, 'deactivate');
+    assert.equal(planSyncRow({ student_id: 'S2', status: 'active' }, index).action, 'reactivate');
+    assert.equal(planSyncRow({ student_id: 'S1', status: 'left' }, indexStudents([])).action, 'error');
+    assert.match(planSyncRow({ student_id: 'S9', email: 'new@example.edu' }, index).reason, /^New student: Name is required/);
+    assert.equal(planSyncRow({ name: 'New', student_id: 'S9', email: 'new@example.edu' }, index).action, 'create');
+    assert.match(planSyncRow({ email: 'ayesha@example.edu', student_id: 'S2' }, index).reason, /different students/);
+});
+
+test('the sync report carries each row into the next', () => {
+    const index = indexStudents(students);
+    const report = buildSyncReport([
+        { email: 'ayesha@example.edu', student_id: 'S10' },
+        { student_id: 'S10', semester: '6' },
+        { name: 'New', email: 'new@example.edu', student_id: 'S11' },
+        { name: 'Taken', email: 'taken@example.edu', student_id: 'S12' }
+    ], index, { emails: new Set(['taken@example.edu']) });
+
+    assert.deepEqual(report.map(r => r.outcome), ['update', 'update', 'create', 'skip']);
+    assert.deepEqual(report[0].changes, { student_id: { from: 'S1', to: 'S10' } });
+    assert.equal(report[1].name, 'Ayesha');
+    assert.equal(index.byStudentId.has('s10'), false, 'the caller\'s index is not changed');
+});
@@ -0,0 +1,109 @@
+// ============================================
+// Faculty Advisor Utilities
+// Advisor accounts a university creates, and the batches, degree programs
+// and students assigned to each (see database/add_faculty_advisors.sql)
+// ============================================
+
+import { isValidEmail, MIN_PASSWORD_LENGTH } from './helpers.js';
+
+export const ADVISOR_ROLE = 'faculty_advisor';
+
+/**
+ * Ways of assigning students to an advisor and their labels
+ */
+export const ASSIGNMENT_KINDS = {
+    batch: 'Batch',
+    degree_program: 'Degree program',
+    student: 'Student'
+};
+
+export const MAX_ADVISOR_ASSIGNMENTS = 500;
+export const MAX_ADVISOR_NAME_LENGTH = 200;
+
+/**
+ * The university whose students a user works with
+ * @param {object} auth - { user, role, university_id }
+ * @returns {string|null} - The university's own ID, its advisor's university, or null
+ */
+export const getUniversityIdFor = (auth) => {
+    if (auth?.role === 'university') return auth.user.id;
+    if (auth?.role === ADVISOR_ROLE) return auth.university_id || null;
+    return null;
+};
+
+/**
+ * Validate a new advisor account
+ * @param {object} data - { full_name, email, password }
+ * @returns {object} - { values, error }
+ */
+export const normalizeAdvisorAccount = (data = {}) => {
+    const fullName = typeof data.full_name === 'string' ? data.full_name.trim() : '';
+    const email = typeof data.email === 'string' ? data.email.trim().toLowerCase() : '';
+    if (!fullName) return { values: null, error: "Enter the advisor's name" };
+    if (fullName.length > MAX_ADVISOR_NAME_LENGTH) {
+        return { values: null, error: `Names can be at most ${MAX_ADVISOR_NAME_LENGTH} characters` };
+    }
+    if (!email || !isValidEmail(email)) return { values: null, error: 'Enter a valid email address' };
+    if (typeof data.password !== 'string' || data.password.length < MIN_PASSWORD_LENGTH) {
+        return { values: null, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+    }
+    return { values: { full_name: fullName, email, password: data.password }, error: null };
+};
+
+/**
+ * Validate an advisor's full set of assignments (duplicates are dropped)
+ * @param {Array<object>} list - [{ kind, batch?, degree_program?, student_id? }]
+ * @returns {object} - { values, error }
+ */
+export const normalizeAdvisorAssignments = (list) => {
+    if (!Array.isArray(list)) return { values: null, error: 'assignments must be an array' };
+    if (list.length > MAX_ADVISOR_ASSIGNMENTS) {
+        return { values: null, error: `An advisor can have at most ${MAX_ADVISOR_ASSIGNMENTS} assignments` };
+    }
+
+    const values = [];
+    const seen = new Set();
+    for (const item of list) {
+        const kind = item?.kind;
+        if (!ASSIGNMENT_KINDS[kind]) {
+            return { values: null, error: `Assignment kind must be one of: ${Object.keys(ASSIGNMENT_KINDS).join(', ')}` };
+        }
+
+        let value;
+        if (kind === 'batch') {
+            const batch = Number(item.batch);
+            if (!Number.isInteger(batch) || batch <= 0) return { values: null, error: 'Batch must be a year such as 2022' };
+            value = { kind, batch, degree_program: null, student_id: null };
+        } else if (kind === 'degree_program') {
+            const program = typeof item.degree_program === 'string' ? item.degree_program.trim() : '';
+            if (!program) return { values: null, error: 'Choose a degree program' };
+            value = { kind, batch: null, degree_program: program, student_id: null };
+        } else {
+            if (typeof item.student_id !== 'string' || !item.student_id) return { values: null, error: 'Choose a student' };
+            value = { kind, batch: null, degree_program: null, student_id: item.student_id };
+        }
+
+        const key = `${kind}:${String(value.batch ?? value.degree_program ?? value.student_id).toLowerCase()}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        values.push(value);
+    }
+    return { values, error: null };
+};
+
+/**
+ * Whether any of an advisor's assignments covers a student
+ * (matches advised_students() in add_faculty_advisors.sql)
+ * @param {object} student - students row (id, batch, degree_program)
+ * @param {Array<object>} assignments - advisor_assignments rows
+ * @returns {boolean}
+ */
+export const isAssignedStudent = (student, assignments = []) => {
+    if (!student) return false;
+    const program = (student.degree_program || '').trim().toLowerCase();
+    return assignments.some(a =>
+        (a.kind === 'batch' && Number(a.batch) === Number(student.batch)) ||
+        (a.kind === 'degree_program' && !!program && (a.degree_program || '').toLowerCase() === program) ||
+        (a.kind === 'student' && a.student_id === student.id)
+    );
+};
@@ -0,0 +1,106 @@
+// ============================================
+// Application Pipeline Definitions
+// Default hiring stages and allowed transitions
+// (mirrors add_application_pipeline_stages.sql)
+// ============================================
+
+/**
+ * Default pipeline stages, in display order
+ */
+export const DEFAULT_STAGES = [
+    { stage: 'pending', label: 'Pending', position: 1, is_terminal: false },
+    { stage: 'shortlisted', label: 'Shortlisted', position: 2, is_terminal: false },
+    { stage: 'interview_scheduled', label: 'Interview Scheduled', position: 3, is_terminal: false },
+    { stage: 'offer_extended', label: 'Offer Extended', position: 4, is_terminal: false },
+    { stage: 'offer_accepted', label: 'Offer Accepted', position: 5, is_terminal: false },
+    { stage: 'accepted', label: 'Accepted', position: 6, is_terminal: false },
+    { stage: 'joined', label: 'Joined', position: 7, is_terminal: true },
+    { stage: 'rejected', label: 'Rejected', position: 8, is_terminal: true },
+    { stage: 'withdrawn', label: 'Withdrawn', position: 9, is_terminal: true }
+];
+
+/**
+ * Default allowed transitions
+ * actor: 'software_house' (internship owner) or 'applicant' (student/guest)
+ */
+export const DEFAULT_TRANSITIONS = [
+    { from_stage: 'pending', to_stage: 'shortlisted', actor: 'software_house' },
+    { from_stage: 'pending', to_stage: 'interview_scheduled', actor: 'software_house' },
+    { from_stage: 'pending', to_stage: 'offer_extended', actor: 'software_house' },
+    { from_stage: 'pending', to_stage: 'accepted', actor: 'software_house' },
+    { from_stage: 'pending', to_stage: 'rejected', actor: 'software_house' },
+    { from_stage: 'shortlisted', to_stage: 'interview_scheduled', actor: 'software_house' },
+    { from_stage: 'shortlisted', to_stage: 'offer_extended', actor: 'software_house' },
+    { from_stage: 'shortlisted', to_stage: 'rejected', actor: 'software_house' },
+    { from_stage: 'interview_scheduled', to_stage: 'shortlisted', actor: 'software_house' },
+    { from_stage: 'interview_scheduled', to_stage: 'offer_extended', actor: 'software_house' },
+    { from_stage: 'interview_scheduled', to_stage: 'rejected', actor: 'software_house' },
+    { from_stage: 'offer_extended', to_stage: 'rejected', actor: 'software_house' },
+    { from_stage: 'offer_accepted', to_stage: 'joined', actor: 'software_house' },
+    { from_stage: 'accepted', to_stage: 'joined', actor: 'software_house' },
+    { from_stage: 'offer_extended', to_stage: 'offer_accepted', actor: 'applicant' },
+    { from_stage: 'pending', to_stage: 'withdrawn', actor: 'applicant' },
+    { from_stage: 'shortlisted', to_stage: 'withdrawn', actor: 'applicant' },
+    { from_stage: 'interview_scheduled', to_stage: 'withdrawn', actor: 'applicant' },
+    { from_stage: 'offer_extended', to_stage: 'withdrawn', actor: 'applicant' },
+    { from_stage: 'offer_accepted', to_stage: 'withdrawn', actor: 'applicant' },
+    { from_stage: 'accepted', to_stage: 'withdrawn', actor: 'applicant' }
+];
+
+/**
+ * Stages that count as an "active" (in-progress) application
+ */
+export const ACTIVE_STAGES = ['pending', 'shortlisted', 'interview_scheduled', 'offer_extended'];
+
+/**
+ * Stages that count as a successful outcome
+ */
+export const SUCCESS_STAGES = ['accepted', 'offer_accepted', 'joined'];
+
+/**
+ * Check whether a stage is a known pipeline stage
+ * @param {string} stage - Stage key
+ * @param {Array} stages - Stage definitions (defaults to DEFAULT_STAGES)
+ * @returns {boolean} - True if known
+ */
+export const isValidStage = (stage, stages = DEFAULT_STAGES) => {
+    return stages.some(s => s.stage === stage);
+};
+
+/**
+ * Get the stages an actor can move an application to
+ * @param {string} fromStage - Current stage
+ * @param {string} actor - 'software_house' or 'applicant'
+ * @param {Array} transitions - Transition definitions (defaults to DEFAULT_TRANSITIONS)
+ * @returns {string[]} - Allowed next stages
+ */
+export const getNextStages = (fromStage, actor, transitions = DEFAULT_TRANSITIONS) => {
+    return transitions
+        .filter(t => t.from_stage === fromStage && t.actor === actor)
+        .map(t => t.to_stage);
+};
+
+/**
+ * Check whether a transition is allowed for an actor
+ * @param {string} fromStage - Current stage
+ * @param {string} toStage - Requested stage
+ * @param {string} actor - 'software_house' or 'applicant'
+ * @param {Array} transitions - Transition definitions (defaults to DEFAULT_TRANSITIONS)
+ * @returns {boolean} - True if allowed
+ */
+export const canTransition = (fromStage, toStage, actor, transitions = DEFAULT_TRANSITIONS) => {
+    return getNextStages(fromStage, actor, transitions).includes(toStage);
+};
+
+/**
+ * Get display label for a stage
+ * @param {string} stage - Stage key
+ * @param {Array} stages - Stage definitions (defaults to DEFAULT_STAGES)
+ * @returns {string} - Human readable label
+ */
+export const getStageLabel = (stage, stages = DEFAULT_STAGES) => {
+    const found = stages.find(s => s.stage === stage);
+    if (found) return found.label;
+    if (!stage) return '';
+    return stage.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+};
@@ -0,0 +1,180 @@
+// ============================================
+// Completion Certificates
+// Verification codes and PDF rendering for internship completion
+// certificates (see database/add_placement_certificates.sql)
+// ============================================
+
+import crypto from 'crypto';
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+
+// No 0/O, 1/I/L so codes survive being read aloud or retyped from paper
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_GROUPS = 3;
+const CODE_GROUP_LENGTH = 4;
+
+/**
+ * Generate a verification code such as "K7PQ-3MXA-9TZC"
+ * @returns {string}
+ */
+export const generateVerificationCode = () => {
+    const groups = [];
+    for (let g = 0; g < CODE_GROUPS; g++) {
+        let group = '';
+        for (let i = 0; i < CODE_GROUP_LENGTH; i++) {
+            group += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+        }
+        groups.push(group);
+    }
+    return groups.join('-');
+};
+
+/**
+ * Normalise a typed or scanned verification code (case, spaces, dashes)
+ * @param {string} code
+ * @returns {string|null} - Canonical code, or null if it cannot be one
+ */
+export const normalizeVerificationCode = (code) => {
+    const compact = String(code || '').toUpperCase().replace(/[\s-]+/g, '');
+    const length = CODE_GROUPS * CODE_GROUP_LENGTH;
+    if (compact.length !== length) return null;
+    if ([...compact].some(ch => !CODE_ALPHABET.includes(ch))) return null;
+    return compact.match(new RegExp(`.{${CODE_GROUP_LENGTH}}`, 'g')).join('-');
+};
+
+/**
+ * Public page where a certificate can be verified
+ * @param {string} code - Verification code
+ * @returns {string}
+ */
+export const getCertificateVerifyUrl = (code) => {
+    const base = (process.env.VITE_FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+    return `${base}/verify/${encodeURIComponent(code)}`;
+};
+
+/**
+ * Certificate snapshot fields for a completed placement
+ * @param {object} placement - placements row
+ * @param {object} details - { studentName, softwareHouseName, universityName, internshipTitle }
+ * @returns {object} - placement_certificates columns (without the code)
+ */
+export const buildCertificateRecord = (placement, details = {}) => ({
+    placement_id: placement.id,
+    student_id: placement.student_id,
+    software_house_id: placement.software_house_id,
+    university_id: placement.university_id || null,
+    student_name: details.studentName || 'Student',
+    software_house_name: details.softwareHouseName || 'Software house',
+    university_name: details.universityName || null,
+    internship_title: details.internshipTitle || 'Intern',
+    start_date: placement.start_date || null,
+    end_date: placement.end_date || (placement.completed_at ? placement.completed_at.slice(0, 10) : null)
+});
+
+/**
+ * What anyone verifying a code is shown (no IDs or contact details)
+ * @param {object} certificate - placement_certificates row
+ * @returns {object}
+ */
+export const toPublicCertificate = (certificate) => ({
+    verification_code: certificate.verification_code,
+    valid: !certificate.revoked_at,
+    student_name: certificate.student_name,
+    software_house_name: certificate.software_house_name,
+    university_name: certificate.university_name,
+    internship_title: certificate.internship_title,
+    start_date: certificate.start_date,
+    end_date: certificate.end_date,
+    issued_at: certificate.issued_at,
+    revoked_at: certificate.revoked_at
+});
+
+const formatDate = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+};
+
+const COLORS = { accent: '#1d4ed8', text: '#111827', muted: '#4b5563', border: '#bfdbfe' };
+
+/**
+ * Render a completion certificate as a one-page landscape PDF with a QR
+ * code linking to its verification page
+ * @param {object} certificate - placement_certificates row
+ * @returns {Promise<Buffer>} - PDF file contents
+ */
+export const renderCertificateToPDF = async (certificate) => {
+    const verifyUrl = getCertificateVerifyUrl(certificate.verification_code);
+    const qr = await QRCode.toBuffer(verifyUrl, { type: 'png', margin: 1, width: 240, errorCorrectionLevel: 'M' });
+
+    return new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({
+                size: 'A4',
+                layout: 'landscape',
+                margin: 56,
+                info: {
+                    Title: `Internship Certificate - ${certificate.student_name}`,
+                    Author: certificate.software_house_name,
+                    Creator: 'AIILP'
+                }
+            });
+
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            const { width, height } = doc.page;
+            const contentWidth = width - 112;
+
+            doc.lineWidth(3).strokeColor(COLORS.accent).rect(24, 24, width - 48, height - 48).stroke();
+            doc.lineWidth(1).strokeColor(COLORS.border).rect(32, 32, width - 64, height - 64).stroke();
+
+            doc.font('Helvetica-Bold').fontSize(12).fillColor(COLORS.accent)
+                .text('AIILP - ACADEMIC INDUSTRY INTERNSHIP LINKAGE PLATFORM', 56, 72, { width: contentWidth, align: 'center', characterSpacing: 1 });
+            doc.font('Times-Bold').fontSize(34).fillColor(COLORS.text)
+                .text('Certificate of Internship Completion', 56, 104, { width: contentWidth, align: 'center' });
+
+            doc.font('Helvetica').fontSize(13).fillColor(COLORS.muted)
+                .text('This is to certify that', 56, 178, { width: contentWidth, align: 'center' });
+            doc.font('Times-BoldItalic').fontSize(30).fillColor(COLORS.accent)
+                .text(certificate.student_name, 56, 202, { width: contentWidth, align: 'center' });
+
+            const from = formatDate(certificate.start_date);
+            const to = formatDate(certificate.end_date);
+            const period = from && to ? `from ${from} to ${to}` : to ? `ending ${to}` : null;
+
+            doc.moveDown(0.6);
+            doc.font('Helvetica').fontSize(13).fillColor(COLORS.text)
+                .text('has successfully completed an internship as ', 56, doc.y, { width: contentWidth, align: 'center', continued: true })
+                .font('Helvetica-Bold').text(certificate.internship_title, { continued: true })
+                .font('Helvetica').text(' at ', { continued: true })
+                .font('Helvetica-Bold').text(certificate.software_house_name, { continued: true })
+                .font('Helvetica').text(period ? ` ${period}.` : '.');
+            if (certificate.university_name) {
+                doc.moveDown(0.4);
+                doc.font('Helvetica').fontSize(12).fillColor(COLORS.muted)
+                    .text(`Student of ${certificate.university_name}`, 56, doc.y, { width: contentWidth, align: 'center' });
+            }
+
+            const qrSize = 96;
+            const footerY = height - 56 - qrSize;
+            doc.image(qr, width - 56 - qrSize, footerY, { width: qrSize, height: qrSize });
+
+            doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted)
+                .text(`Issued ${formatDate(certificate.issued_at) || ''}`, 56, footerY + 10);
+            doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted)
+                .text('Verification code', 56, footerY + 34);
+            doc.font('Courier-Bold').fontSize(16).fillColor(COLORS.text)
+                .text(certificate.verification_code, 56, footerY + 48);
+            doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+                .text(`Verify at ${verifyUrl}`, 56, footerY + 70, { width: contentWidth - qrSize - 24, link: verifyUrl });
+
+            doc.end();
+        } catch (error) {
+            reject(error);
+        }
+    });
+};
@@ -4,65 +4,165 @@
 // ============================================
 
 /**
- * Parse CSV text into array of objects
+ * Fields a student import can fill, with the column names they are
+ * recognised by when no mapping is given
+ */
+export const STUDENT_IMPORT_FIELDS = [
+    { key: 'name', label: 'Full name', required: true, aliases: ['full name', 'student name', 'name of student'] },
+    { key: 'email', label: 'Email', required: true, aliases: ['email address', 'e-mail', 'student email', 'university email'] },
+    { key: 'student_id', label: 'Student ID', required: true, aliases: ['roll no', 'roll number', 'registration no', 'registration number', 'reg no', 'enrollment no', 'enrollment number', 'student number', 'id'] },
+    { key: 'batch', label: 'Batch', required: false, aliases: ['intake', 'session', 'admission year', 'year of admission'] },
+    { key: 'degree_program', label: 'Degree program', required: false, aliases: ['program', 'programme', 'degree', 'program name'] },
+    { key: 'semester', label: 'Semester', required: false, aliases: ['current semester', 'term'] },
+    { key: 'phone', label: 'Phone', required: false, aliases: ['phone number', 'mobile', 'mobile number', 'contact', 'contact number', 'cell'] },
+    { key: 'cgpa', label: 'CGPA', required: false, aliases: ['gpa', 'cumulative gpa'] },
+    { key: 'status', label: 'Status', required: false, aliases: ['student status', 'enrollment status', 'enrolment status'] }
+];
+
+export const MAX_CGPA = 4;
+
+/**
+ * Import modes: 'create' only adds new students, 'sync' also updates
+ * existing students (matched on student ID or email) and deactivates
+ * students marked as left
+ */
+export const IMPORT_MODES = ['create', 'sync'];
+
+/**
+ * Values of the status column, by the status they set
+ */
+export const STUDENT_STATUS_VALUES = {
+    active: ['active', 'enrolled', 'current', 'continuing'],
+    left: ['left', 'graduated', 'inactive', 'withdrawn', 'dropped', 'deactivated', 'alumni']
+};
+
+/**
+ * Read the status column of a row
+ * @param {string} value - Cell value
+ * @returns {'active'|'left'|'unknown'|null} - null when the cell is blank
+ */
+export const parseStudentStatus = (value) => {
+    const text = String(value || '').trim().toLowerCase();
+    if (!text) return null;
+    return Object.keys(STUDENT_STATUS_VALUES).find(status => STUDENT_STATUS_VALUES[status].includes(text)) || 'unknown';
+};
+
+/**
+ * Column name in the form headers are compared in (case, spacing and separators ignored)
+ * @param {string} header - Column name
+ * @returns {string}
+ */
+export const normalizeHeader = (header) => String(header || '').trim().toLowerCase().replace(/[\s_.-]+/g, ' ');
+
+/**
+ * Guess which column holds each field
+ * @param {Array<string>} headers - Column names of the file
+ * @returns {object} - { field: header }
+ */
+export const suggestColumnMapping = (headers = []) => {
+    const mapping = {};
+    const used = new Set();
+
+    STUDENT_IMPORT_FIELDS.forEach(field => {
+        const names = [field.key, ...field.aliases].map(normalizeHeader);
+        const header = headers.find(h => !used.has(h) && names.includes(normalizeHeader(h)));
+        if (header) {
+            mapping[field.key] = header;
+            used.add(header);
+        }
+    });
+
+    return mapping;
+};
+
+/**
+ * Check a column mapping against the headers of a file.
+ * A sync only needs a column to match existing students on.
+ * @param {object} mapping - { field: header }
+ * @param {Array<string>} headers - Column names of the file
+ * @param {string} mode - One of IMPORT_MODES
+ * @returns {string|null} - Error message
+ */
+export const validateColumnMapping = (mapping = {}, headers = [], mode = 'create') => {
+    const known = new Set(headers.map(normalizeHeader));
+    if (mode === 'sync') {
+        if (!mapping.student_id && !mapping.email) return 'Missing required headers: student_id or email';
+    } else {
+        const missing = STUDENT_IMPORT_FIELDS.filter(f => f.required && !mapping[f.key]).map(f => f.key);
+        if (missing.length > 0) return `Missing required headers: ${missing.join(', ')}`;
+    }
+
+    const used = new Set();
+    for (const field of STUDENT_IMPORT_FIELDS) {
+        const header = mapping[field.key];
+        if (!header) continue;
+        if (!known.has(normalizeHeader(header))) return `Column "${header}" (${field.label}) is not in the file`;
+        if (used.has(normalizeHeader(header))) return `Column "${header}" is mapped to more than one field`;
+        used.add(normalizeHeader(header));
+    }
+
+    return null;
+};
+
+/**
+ * Rename the columns of each row to student fields
+ * @param {Array<object>} rows - Rows keyed by the file's headers
+ * @param {object} mapping - { field: header }
+ * @returns {Array<object>} - Rows keyed by field
+ */
+export const applyColumnMapping = (rows, mapping) =>
+    rows.map(row => {
+        const byHeader = Object.keys(row).reduce((acc, header) => {
+            acc[normalizeHeader(header)] = row[header];
+            return acc;
+        }, {});
+
+        return STUDENT_IMPORT_FIELDS.reduce((student, field) => {
+            const header = mapping[field.key];
+            student[field.key] = header ? String(byHeader[normalizeHeader(header)] ?? '').trim() : '';
+            return student;
+        }, {});
+    });
+
+/**
+ * Parse CSV text into rows keyed by its header row, whatever the headers are
  * @param {string} csvText - CSV file content as text
- * @param {object} options - Parser options
- * @returns {Promise<object>} - Parsed data and errors
+ * @returns {object} - { headers, rows, errors, error }
  */
-export const parseCSV = (csvText, options = {}) => {
+export const parseCSVRows = (csvText) => {
     try {
-        const lines = csvText.split('\n').filter(line => line.trim() !== '');
-        
+        const lines = csvText.replace(/^\uFEFF/, '').split('\n').filter(line => line.trim() !== '');
+
         if (lines.length < 2) {
             return {
-                data: null,
+                headers: null,
+                rows: null,
                 error: 'CSV file must contain at least a header row and one data row'
             };
         }
 
-        // Parse header and normalize to lowercase
-        const header = parseCSVLine(lines[0]).map(h => h.trim().toLowerCase());
-        const expectedHeaders = [
-            'name',
-            'email',
-            'student_id',
-            'batch',
-            'degree_program',
-            'semester'
-        ];
-
-        // Validate headers (header is already lowercase)
-        const missingHeaders = expectedHeaders.filter(h => !header.includes(h));
-        if (missingHeaders.length > 0) {
-            return {
-                data: null,
-                error: `Missing required headers: ${missingHeaders.join(', ')}`
-            };
-        }
-
-        // Parse data rows
-        const data = [];
+        const headers = parseCSVLine(lines[0]).map(h => h.trim());
+        const rows = [];
         const errors = [];
 
         for (let i = 1; i < lines.length; i++) {
             try {
                 const values = parseCSVLine(lines[i]);
                 
-                if (values.length !== header.length) {
+                if (values.length !== headers.length) {
                     errors.push({
                         row: i + 1,
-                        error: `Row ${i + 1} has ${values.length} columns, expected ${header.length}`
+                        error: `Row ${i + 1} has ${values.length} columns, expected ${headers.length}`
                     });
                     continue;
                 }
 
                 const row = {};
-                header.forEach((col, index) => {
-                    // Header is already normalized to lowercase
+                headers.forEach((col, index) => {
                     row[col] = values[index]?.trim() || '';
                 });
 
-                data.push(row);
+                rows.push(row);
             } catch (error) {
                 errors.push({
                     row: i + 1,
@@ -71,27 +171,55 @@ export const parseCSV = (csvText, options = {}) => {
             }
         }
 
-        if (errors.length > 0 && data.length === 0) {
+        if (errors.length > 0 && rows.length === 0) {
             return {
-                data: null,
+                headers,
+                rows: null,
                 error: `Failed to parse CSV: ${errors[0].error}`
             };
         }
 
         return {
-            data,
+            headers,
+            rows,
             errors: errors.length > 0 ? errors : null,
             error: null
         };
     } catch (error) {
         console.error('CSV parsing error:', error);
         return {
-            data: null,
+            headers: null,
+            rows: null,
             error: error.message
         };
     }
 };
 
+/**
+ * Parse CSV text into student objects
+ * Columns are matched to student fields by options.mapping ({ field: header }),
+ * or by name (see STUDENT_IMPORT_FIELDS) when no mapping is given.
+ * @param {string} csvText - CSV file content as text
+ * @param {object} options - { mapping, mode }
+ * @returns {object} - Parsed data and errors
+ */
+export const parseCSV = (csvText, options = {}) => {
+    const { headers, rows, errors, error } = parseCSVRows(csvText);
+    if (error) return { data: null, error };
+
+    const mapping = options.mapping && typeof options.mapping === 'object'
+        ? options.mapping
+        : suggestColumnMapping(headers);
+    const mappingError = validateColumnMapping(mapping, headers, options.mode);
+    if (mappingError) return { data: null, error: mappingError };
+
+    return {
+        data: applyColumnMapping(rows, mapping),
+        errors,
+        error: null
+    };
+};
+
 /**
  * Parse a single CSV line handling quoted values
  * @param {string} line - CSV line
@@ -157,17 +285,146 @@ export const validateStudentCSV = (studentData) => {
         errors.push('Student ID is required');
     }
 
-    // Optional but recommended fields
+    errors.push(...validateOptionalFields(studentData));
+
+    return {
+        valid: errors.length === 0,
+        error: errors.length > 0 ? errors.join('; ') : null
+    };
+};
+
+/**
+ * Errors in the optional columns of a row
+ * @param {object} studentData - Student data object
+ * @returns {Array<string>}
+ */
+const validateOptionalFields = (studentData) => {
+    const errors = [];
+
     if (studentData.batch && isNaN(studentData.batch)) {
         errors.push('Batch must be a number');
     }
 
+    if (studentData.semester && isNaN(studentData.semester)) {
+        errors.push('Semester must be a number');
+    }
+
+    if (studentData.phone && !/^\+?[\d\s()-]{7,20}$/.test(studentData.phone.trim())) {
+        errors.push('Invalid phone number');
+    }
+
+    if (studentData.cgpa) {
+        const cgpa = Number(studentData.cgpa);
+        if (isNaN(cgpa) || cgpa < 0 || cgpa > MAX_CGPA) {
+            errors.push(`CGPA must be between 0 and ${MAX_CGPA}`);
+        }
+    }
+
+    if (parseStudentStatus(studentData.status) === 'unknown') {
+        errors.push(`Unknown status "${studentData.status}"`);
+    }
+
+    return errors;
+};
+
+/**
+ * Validate a row of a sync. Only a student ID or email is required;
+ * blank cells leave the stored value as it is.
+ * @param {object} studentData - Student data object
+ * @returns {object} - Validation result
+ */
+export const validateSyncRow = (studentData) => {
+    const errors = [];
+
+    if (!studentData.student_id?.trim() && !studentData.email?.trim()) {
+        errors.push('Student ID or email is required');
+    }
+
+    if (studentData.email?.trim() && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(studentData.email.trim())) {
+        errors.push('Invalid email format');
+    }
+
+    errors.push(...validateOptionalFields(studentData));
+
     return {
         valid: errors.length === 0,
         error: errors.length > 0 ? errors.join('; ') : null
     };
 };
 
+/**
+ * Labels of the outcomes in an import report
+ */
+export const IMPORT_OUTCOMES = {
+    create: 'Would create',
+    update: 'Would update',
+    deactivate: 'Would deactivate',
+    reactivate: 'Would reactivate',
+    unchanged: 'Unchanged',
+    skip: 'Would skip',
+    error: 'Error'
+};
+
+/**
+ * Work out what importing each row would do, without creating anything.
+ * Rows are numbered like bulk_upload_rows.row_number (first data row is 1).
+ * @param {Array<object>} studentsData - Parsed CSV rows
+ * @param {object} existing - { emails: Set<string>, studentIds: Set<string> } already registered
+ * @returns {Array<object>} - [{ row_number, name, email, student_id, outcome, reason }]
+ */
+export const buildImportReport = (studentsData, existing = {}) => {
+    const existingEmails = existing.emails || new Set();
+    const existingStudentIds = existing.studentIds || new Set();
+    const seenEmails = new Map();
+    const seenStudentIds = new Map();
+
+    return studentsData.map((studentData, index) => {
+        const rowNumber = index + 1;
+        const email = studentData.email?.trim().toLowerCase() || '';
+        const studentId = studentData.student_id?.trim() || '';
+        const entry = {
+            row_number: rowNumber,
+            name: studentData.name?.trim() || '',
+            email,
+            student_id: studentId
+        };
+
+        const validation = validateStudentCSV(studentData);
+        if (!validation.valid) {
+            return { ...entry, outcome: 'error', reason: validation.error };
+        }
+
+        let reason = null;
+        if (existingEmails.has(email)) {
+            reason = 'Email is already registered';
+        } else if (existingStudentIds.has(studentId.toLowerCase())) {
+            reason = 'Student ID is already registered at this university';
+        } else if (seenEmails.has(email)) {
+            reason = `Same email as row ${seenEmails.get(email)}`;
+        } else if (seenStudentIds.has(studentId.toLowerCase())) {
+            reason = `Same student ID as row ${seenStudentIds.get(studentId.toLowerCase())}`;
+        }
+
+        if (!seenEmails.has(email)) seenEmails.set(email, rowNumber);
+        if (!seenStudentIds.has(studentId.toLowerCase())) seenStudentIds.set(studentId.toLowerCase(), rowNumber);
+
+        return reason
+            ? { ...entry, outcome: 'skip', reason }
+            : { ...entry, outcome: 'create', reason: null };
+    });
+};
+
+/**
+ * Count the rows of an import report by outcome
+ * @param {Array<object>} report - Result of buildImportReport or buildSyncReport
+ * @returns {object} - { total, create, skip, error, ... } (every outcome in IMPORT_OUTCOMES)
+ */
+export const summarizeImportReport = (report) =>
+    report.reduce((summary, row) => {
+        summary[row.outcome] += 1;
+        return summary;
+    }, Object.keys(IMPORT_OUTCOMES).reduce((counts, outcome) => ({ ...counts, [outcome]: 0 }), { total: report.length }));
+
 /**
  * Generate CSV template
  * @returns {string} - CSV template string
@@ -179,7 +436,10 @@ export const generateCSVTemplate = () => {
         'student_id',
         'batch',
         'degree_program',
-        'semester'
+        'semester',
+        'phone',
+        'cgpa',
+        'status'
     ];
 
     const exampleRow = [
@@ -188,7 +448,10 @@ export const generateCSVTemplate = () => {
         'STU001',
         '2022',
         'BSE',
-        '6'
+        '6',
+        '+92 300 1234567',
+        '3.45',
+        'active'
     ];
 
     return [headers.join(','), exampleRow.join(',')].join('\n');
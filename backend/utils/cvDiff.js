@@ -0,0 +1,202 @@
+// ============================================
+// CV Diff Utilities
+// Field-level comparison of two CVs (versions, revisions
+// or application snapshots) in the cv_forms shape
+// ============================================
+
+/**
+ * CV content sections, in form order
+ */
+export const CV_CONTENT_FIELDS = [
+    'personal',
+    'education',
+    'skills',
+    'experience',
+    'projects',
+    'certifications',
+    'languages'
+];
+
+/**
+ * Fields that identify an entry in a list section, used to pair up
+ * entries between two CVs (entries are matched by these, not by position)
+ */
+const ENTRY_KEYS = {
+    education: ['institution', 'degree'],
+    experience: ['company', 'role'],
+    projects: ['title'],
+    certifications: ['name'],
+    languages: ['language']
+};
+
+/**
+ * Display names of the CV sections
+ */
+export const CV_SECTION_LABELS = {
+    personal: 'Personal',
+    education: 'Education',
+    skills: 'Skills',
+    experience: 'Experience',
+    projects: 'Projects',
+    certifications: 'Certifications',
+    languages: 'Languages'
+};
+
+/**
+ * Pick the CV content out of a cv_forms / cv_versions row
+ * @param {object} row - Row or snapshot
+ * @returns {object} - { personal, education, skills, ... }
+ */
+export const pickCVContent = (row) => ({
+    personal: row?.personal || {},
+    education: row?.education || [],
+    skills: row?.skills || [],
+    experience: row?.experience || [],
+    projects: row?.projects || [],
+    certifications: row?.certifications || [],
+    languages: row?.languages || []
+});
+
+const hasText = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Whether a CV has everything needed to apply with it: name, email and
+ * phone, at least one education entry and at least one skill
+ * (mirrors cv_is_complete() in database/add_cv_versions.sql, which sets
+ * is_complete on every save)
+ * @param {object} row - cv_forms / cv_versions row or form values
+ * @returns {boolean}
+ */
+export const isCVContentComplete = (row) => {
+    const { personal, education, skills } = pickCVContent(row);
+    return hasText(personal.name) &&
+        hasText(personal.email) &&
+        hasText(personal.phone) &&
+        Array.isArray(education) && education.length > 0 &&
+        Array.isArray(skills) && skills.some(hasText);
+};
+
+/**
+ * Turn a field value into comparable text
+ * @param {*} value
+ * @returns {string}
+ */
+const asText = (value) => {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.join(', ');
+    return String(value).trim();
+};
+
+/**
+ * Identity of a list entry ("institution|degree"), lower-cased
+ * @param {string} section
+ * @param {object} entry
+ * @returns {string}
+ */
+const entryKey = (section, entry) =>
+    ENTRY_KEYS[section].map(field => asText(entry?.[field]).toLowerCase()).join('|');
+
+/**
+ * Short label for a list entry ("BS Computer Science, FAST")
+ * @param {string} section
+ * @param {object} entry
+ * @returns {string}
+ */
+const entryLabel = (section, entry) =>
+    ENTRY_KEYS[section].map(field => asText(entry?.[field])).filter(Boolean).join(', ') || 'Untitled';
+
+/**
+ * Compare two CVs field by field
+ * @param {object} before - Older CV
+ * @param {object} after - Newer CV
+ * @returns {Array} - [{ section, type: 'added'|'removed'|'changed', label, field, before, after }]
+ */
+export const diffCV = (before, after) => {
+    const a = pickCVContent(before);
+    const b = pickCVContent(after);
+    const changes = [];
+
+    const personalFields = new Set([...Object.keys(a.personal), ...Object.keys(b.personal)]);
+    personalFields.forEach(field => {
+        const oldValue = asText(a.personal[field]);
+        const newValue = asText(b.personal[field]);
+        if (oldValue === newValue) return;
+        changes.push({
+            section: 'personal',
+            type: !oldValue ? 'added' : !newValue ? 'removed' : 'changed',
+            label: field.replace(/_/g, ' '),
+            field,
+            before: oldValue || null,
+            after: newValue || null
+        });
+    });
+
+    const oldSkills = new Map(a.skills.map(s => [asText(s).toLowerCase(), s]));
+    const newSkills = new Map(b.skills.map(s => [asText(s).toLowerCase(), s]));
+    newSkills.forEach((skill, key) => {
+        if (!oldSkills.has(key)) changes.push({ section: 'skills', type: 'added', label: skill, field: null, before: null, after: skill });
+    });
+    oldSkills.forEach((skill, key) => {
+        if (!newSkills.has(key)) changes.push({ section: 'skills', type: 'removed', label: skill, field: null, before: skill, after: null });
+    });
+
+    Object.keys(ENTRY_KEYS).forEach(section => {
+        const oldEntries = new Map(a[section].map(e => [entryKey(section, e), e]));
+        const newEntries = new Map(b[section].map(e => [entryKey(section, e), e]));
+
+        newEntries.forEach((entry, key) => {
+            const previous = oldEntries.get(key);
+            if (!previous) {
+                changes.push({ section, type: 'added', label: entryLabel(section, entry), field: null, before: null, after: entry });
+                return;
+            }
+            const fields = new Set([...Object.keys(previous), ...Object.keys(entry)]);
+            fields.forEach(field => {
+                const oldValue = asText(previous[field]);
+                const newValue = asText(entry[field]);
+                if (oldValue === newValue) return;
+                changes.push({
+                    section,
+                    type: 'changed',
+                    label: entryLabel(section, entry),
+                    field,
+                    before: oldValue || null,
+                    after: newValue || null
+                });
+            });
+        });
+        oldEntries.forEach((entry, key) => {
+            if (!newEntries.has(key)) {
+                changes.push({ section, type: 'removed', label: entryLabel(section, entry), field: null, before: entry, after: null });
+            }
+        });
+    });
+
+    return changes;
+};
+
+/**
+ * One-line summary of a diff ("2 skills added, Experience changed")
+ * @param {Array} changes - Result of diffCV
+ * @returns {string}
+ */
+export const summarizeCVDiff = (changes) => {
+    if (!changes || changes.length === 0) return 'No changes';
+
+    const bySection = new Map();
+    changes.forEach(change => {
+        const counts = bySection.get(change.section) || { added: 0, removed: 0, changed: 0 };
+        counts[change.type] += 1;
+        bySection.set(change.section, counts);
+    });
+
+    return [...bySection.entries()].map(([section, counts]) => {
+        if (section === 'skills') {
+            const parts = [];
+            if (counts.added) parts.push(`${counts.added} skill${counts.added === 1 ? '' : 's'} added`);
+            if (counts.removed) parts.push(`${counts.removed} skill${counts.removed === 1 ? '' : 's'} removed`);
+            return parts.join(', ');
+        }
+        return `${CV_SECTION_LABELS[section]} ${counts.changed && !counts.added && !counts.removed ? 'edited' : 'changed'}`;
+    }).join(', ');
+};
@@ -0,0 +1,252 @@
+// ============================================
+// CV PDF Renderer
+// Renders a cv_forms record (or an application's cv_data
+// snapshot) into a PDF using one of several templates
+// ============================================
+
+import PDFDocument from 'pdfkit';
+
+/**
+ * Available CV templates
+ */
+export const CV_TEMPLATES = {
+    classic: {
+        label: 'Classic',
+        description: 'Serif, single column, centred header',
+        fonts: { regular: 'Times-Roman', bold: 'Times-Bold', italic: 'Times-Italic' },
+        sizes: { name: 24, heading: 13, body: 11, small: 10 },
+        colors: { accent: '#111827', text: '#111827', muted: '#4b5563', rule: '#9ca3af' },
+        margin: 56,
+        headerBand: false,
+        centeredHeader: true
+    },
+    modern: {
+        label: 'Modern',
+        description: 'Coloured header band with accent headings',
+        fonts: { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique' },
+        sizes: { name: 26, heading: 12, body: 10, small: 9 },
+        colors: { accent: '#4338ca', text: '#1f2937', muted: '#6b7280', rule: '#c7d2fe', band: '#4338ca', bandText: '#ffffff' },
+        margin: 48,
+        headerBand: true,
+        centeredHeader: false
+    },
+    compact: {
+        label: 'Compact',
+        description: 'Tight spacing to fit more on one page',
+        fonts: { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique' },
+        sizes: { name: 18, heading: 10, body: 9, small: 8 },
+        colors: { accent: '#0f766e', text: '#111827', muted: '#4b5563', rule: '#99f6e4' },
+        margin: 36,
+        headerBand: false,
+        centeredHeader: false
+    }
+};
+
+export const DEFAULT_CV_TEMPLATE = 'modern';
+
+/**
+ * PDF Creator recorded on every rendered CV (the resume parser uses it
+ * to recognise its own layout)
+ */
+export const CV_PDF_CREATOR = 'AIILP';
+
+/**
+ * List templates for clients (id, label, description)
+ * @returns {Array<object>}
+ */
+export const listCVTemplates = () =>
+    Object.entries(CV_TEMPLATES).map(([id, t]) => ({ id, label: t.label, description: t.description }));
+
+const asArray = (value) => (Array.isArray(value) ? value.filter(Boolean) : []);
+
+/**
+ * Draw the name and contact line
+ */
+const drawHeader = (doc, personal, theme) => {
+    const { fonts, sizes, colors, margin } = theme;
+    const contact = [personal.email, personal.phone, personal.address].filter(Boolean).join('  |  ');
+    const width = doc.page.width - margin * 2;
+
+    if (theme.headerBand) {
+        const bandHeight = 96;
+        doc.save().rect(0, 0, doc.page.width, bandHeight).fill(colors.band).restore();
+        doc.font(fonts.bold).fontSize(sizes.name).fillColor(colors.bandText)
+            .text(personal.name || 'Curriculum Vitae', margin, 28, { width });
+        if (contact) {
+            doc.font(fonts.regular).fontSize(sizes.small).fillColor(colors.bandText)
+                .text(contact, margin, doc.y + 4, { width });
+        }
+        doc.y = bandHeight + 20;
+        return;
+    }
+
+    const align = theme.centeredHeader ? 'center' : 'left';
+    doc.font(fonts.bold).fontSize(sizes.name).fillColor(colors.accent)
+        .text(personal.name || 'Curriculum Vitae', margin, margin, { width, align });
+    if (contact) {
+        doc.moveDown(0.2);
+        doc.font(fonts.regular).fontSize(sizes.small).fillColor(colors.muted)
+            .text(contact, { width, align });
+    }
+    doc.moveDown(0.6);
+    drawRule(doc, theme);
+};
+
+/**
+ * Draw a horizontal rule at the current position
+ */
+const drawRule = (doc, theme) => {
+    const y = doc.y;
+    doc.save()
+        .moveTo(theme.margin, y)
+        .lineTo(doc.page.width - theme.margin, y)
+        .lineWidth(0.75)
+        .strokeColor(theme.colors.rule)
+        .stroke()
+        .restore();
+    doc.y = y + 6;
+};
+
+/**
+ * Draw a section heading, starting a new page if it would be orphaned
+ */
+const drawSectionTitle = (doc, title, theme) => {
+    const { fonts, sizes, colors, margin } = theme;
+    if (doc.y > doc.page.height - margin - 60) doc.addPage();
+
+    doc.moveDown(0.6);
+    doc.font(fonts.bold).fontSize(sizes.heading).fillColor(colors.accent)
+        .text(title.toUpperCase(), margin, doc.y, { characterSpacing: 0.5 });
+    drawRule(doc, theme);
+};
+
+/**
+ * Draw one entry (education, experience, project, certification)
+ */
+const drawEntry = (doc, { title, subtitle, meta, body, extra }, theme) => {
+    const { fonts, sizes, colors, margin } = theme;
+    const width = doc.page.width - margin * 2;
+    const top = doc.y;
+
+    doc.font(fonts.bold).fontSize(sizes.body).fillColor(colors.text)
+        .text(title || '', margin, top, { width: meta ? width - 120 : width });
+    const afterTitle = doc.y;
+
+    if (meta) {
+        doc.font(fonts.regular).fontSize(sizes.small).fillColor(colors.muted)
+            .text(meta, margin + width - 120, top, { width: 120, align: 'right' });
+    }
+    doc.y = Math.max(afterTitle, doc.y);
+
+    if (subtitle) {
+        doc.font(fonts.italic).fontSize(sizes.small).fillColor(colors.muted)
+            .text(subtitle, margin, doc.y, { width });
+    }
+    if (body) {
+        doc.moveDown(0.15);
+        doc.font(fonts.regular).fontSize(sizes.body).fillColor(colors.text)
+            .text(body, margin, doc.y, { width, align: 'justify' });
+    }
+    if (extra) {
+        doc.moveDown(0.15);
+        doc.font(fonts.regular).fontSize(sizes.small).fillColor(colors.muted)
+            .text(extra, margin, doc.y, { width });
+    }
+    doc.moveDown(0.5);
+};
+
+/**
+ * Render a CV as a PDF
+ * @param {object} cv - cv_forms record or applications.cv_data snapshot
+ * @param {object} options - { template, title }
+ * @returns {Promise<Buffer>} - PDF file contents
+ */
+export const renderCVToPDF = (cv, options = {}) => new Promise((resolve, reject) => {
+    try {
+        const theme = CV_TEMPLATES[options.template] || CV_TEMPLATES[DEFAULT_CV_TEMPLATE];
+        const personal = cv?.personal || {};
+
+        const doc = new PDFDocument({
+            size: 'A4',
+            margin: theme.margin,
+            info: {
+                Title: options.title || `CV - ${personal.name || 'Student'}`,
+                Author: personal.name || '',
+                Creator: CV_PDF_CREATOR
+            }
+        });
+
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        drawHeader(doc, personal, theme);
+
+        const education = asArray(cv?.education);
+        if (education.length > 0) {
+            drawSectionTitle(doc, 'Education', theme);
+            education.forEach(edu => drawEntry(doc, {
+                title: edu.degree,
+                subtitle: edu.institution,
+                meta: edu.year,
+                extra: edu.gpa ? `GPA: ${edu.gpa}` : null
+            }, theme));
+        }
+
+        const skills = asArray(cv?.skills);
+        if (skills.length > 0) {
+            drawSectionTitle(doc, 'Skills', theme);
+            doc.font(theme.fonts.regular).fontSize(theme.sizes.body).fillColor(theme.colors.text)
+                .text(skills.join('  •  '), theme.margin, doc.y, { width: doc.page.width - theme.margin * 2 });
+        }
+
+        const experience = asArray(cv?.experience);
+        if (experience.length > 0) {
+            drawSectionTitle(doc, 'Experience', theme);
+            experience.forEach(exp => drawEntry(doc, {
+                title: exp.role,
+                subtitle: exp.company,
+                meta: exp.duration,
+                body: exp.description
+            }, theme));
+        }
+
+        const projects = asArray(cv?.projects);
+        if (projects.length > 0) {
+            drawSectionTitle(doc, 'Projects', theme);
+            projects.forEach(project => drawEntry(doc, {
+                title: project.title,
+                subtitle: asArray(project.technologies).join(', '),
+                body: project.description,
+                extra: project.link || null
+            }, theme));
+        }
+
+        const certifications = asArray(cv?.certifications);
+        if (certifications.length > 0) {
+            drawSectionTitle(doc, 'Certifications', theme);
+            certifications.forEach(cert => drawEntry(doc, {
+                title: cert.name,
+                subtitle: cert.issuer,
+                meta: cert.date
+            }, theme));
+        }
+
+        const languages = asArray(cv?.languages);
+        if (languages.length > 0) {
+            drawSectionTitle(doc, 'Languages', theme);
+            doc.font(theme.fonts.regular).fontSize(theme.sizes.body).fillColor(theme.colors.text)
+                .text(
+                    languages.map(l => (l.proficiency ? `${l.language} (${l.proficiency})` : l.language)).join('  •  '),
+                    theme.margin,
+                    doc.y,
+                    { width: doc.page.width - theme.margin * 2 }
+                );
+        }
+
+        doc.end();
+    } catch (error) {
+        reject(error);
+    }
+});
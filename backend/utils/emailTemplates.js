@@ -0,0 +1,237 @@
+// ============================================
+// Email Templates
+// Transactional emails queued in email_outbox are stored as a template name
+// plus a payload and rendered here when they are sent
+// (see database/add_email_outbox.sql and jobs/emailOutbox.js).
+// ============================================
+
+import { DEFAULT_STAGES } from './applicationPipeline.js';
+
+// Read lazily so dotenv can load first
+const getFrontendUrl = () => process.env.VITE_FRONTEND_URL || 'http://localhost:5173';
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const stageLabel = (stage) => DEFAULT_STAGES.find(s => s.stage === stage)?.label || String(stage || '').replace(/_/g, ' ');
+
+const roleLabel = (role) => String(role || 'user').replace(/_/g, ' ');
+
+/**
+ * Build the text and HTML bodies from the same paragraphs
+ * @param {object} content - { greeting, paragraphs: string[], action: { label, url } | null }
+ * @returns {object} - { text, html }
+ */
+const layout = ({ greeting, paragraphs, action = null }) => {
+    const lines = [greeting, '', ...paragraphs.flatMap(p => [p, ''])];
+    if (action) lines.push(`${action.label}: ${action.url}`, '');
+    lines.push('Best regards,', 'AIILP Team');
+
+    const html = [
+        '<div style="font-family: Arial, sans-serif; font-size: 14px; color: #1f2937; max-width: 560px;">',
+        `<p>${escapeHtml(greeting)}</p>`,
+        ...paragraphs.map(p => `<p>${escapeHtml(p)}</p>`),
+        action
+            ? `<p><a href="${escapeHtml(action.url)}" style="display: inline-block; padding: 10px 18px; background: #2563eb; color: #ffffff; border-radius: 6px; text-decoration: none;">${escapeHtml(action.label)}</a></p>`
+            : '',
+        '<p>Best regards,<br>AIILP Team</p>',
+        '</div>'
+    ].join('\n');
+
+    return { text: lines.join('\n'), html };
+};
+
+const hello = (payload) => `Dear ${payload.name || 'User'},`;
+
+/**
+ * Templates by name.
+ * sendTimeLink: Supabase auth link type the outbox job generates just before
+ *   sending and passes as payload.link; the link itself is never stored
+ * render: (payload) => { subject, text, html }
+ */
+export const EMAIL_TEMPLATES = {
+    account_approved: {
+        label: 'Account approved',
+        render: (payload) => ({
+            subject: 'Account Approved - Welcome to AIILP Platform',
+            ...layout({
+                greeting: hello(payload),
+                paragraphs: [
+                    'Your account has been approved! You can now log in to the AIILP platform.',
+                    `Your role: ${roleLabel(payload.role)}`,
+                    'Thank you for your patience during the review process.'
+                ],
+                action: { label: 'Log in', url: `${getFrontendUrl()}/login` }
+            })
+        })
+    },
+
+    account_rejected: {
+        label: 'Account rejected',
+        render: (payload) => ({
+            subject: 'Account Review - Action Required',
+            ...layout({
+                greeting: hello(payload),
+                paragraphs: [
+                    'We regret to inform you that your account request has been reviewed and we are unable to approve it at this time.',
+                    payload.feedback ? `Reason: ${payload.feedback}` : 'Please contact support for more information.',
+                    'If you believe this is an error or have additional information to provide, please contact our support team.'
+                ]
+            })
+        })
+    },
+
+    internship_approved: {
+        label: 'Internship approved',
+        render: (payload) => ({
+            subject: `Internship approved: ${payload.internship_title || 'Untitled'}`,
+            ...layout({
+                greeting: hello(payload),
+                paragraphs: [
+                    `Your internship "${payload.internship_title || 'Untitled'}" has been approved and is now visible to students.`
+                ],
+                action: { label: 'View your internships', url: `${getFrontendUrl()}/internships/my` }
+            })
+        })
+    },
+
+    internship_rejected: {
+        label: 'Internship rejected',
+        render: (payload) => ({
+            subject: `Internship not approved: ${payload.internship_title || 'Untitled'}`,
+            ...layout({
+                greeting: hello(payload),
+                paragraphs: [
+                    `Your internship "${payload.internship_title || 'Untitled'}" has been rejected.`,
+                    payload.feedback ? `Feedback: ${payload.feedback}` : 'Please review the requirements and submit again.'
+                ],
+                action: { label: 'Edit your internships', url: `${getFrontendUrl()}/internships/my` }
+            })
+        })
+    },
+
+    application_status_changed: {
+        label: 'Application status changed',
+        render: (payload) => {
+            // The software house hears about offer acceptances and withdrawals
+            const forOwner = payload.recipient_role === 'software_house';
+            const title = payload.internship_title || 'the internship';
+            return {
+                subject: payload.title || `Application update: ${stageLabel(payload.status)}`,
+                ...layout({
+                    greeting: hello(payload),
+                    paragraphs: [
+                        payload.message || `Your application for "${title}" is now: ${stageLabel(payload.status)}.`
+                    ],
+                    action: forOwner
+                        ? { label: 'Manage applications', url: `${getFrontendUrl()}/applications/manage` }
+                        : { label: 'View your applications', url: `${getFrontendUrl()}/applications` }
+                })
+            };
+        }
+    },
+
+    application_received: {
+        label: 'New application',
+        render: (payload) => ({
+            subject: `New application for ${payload.internship_title || 'your internship'}`,
+            ...layout({
+                greeting: hello(payload),
+                paragraphs: [
+                    `${payload.student_name || 'A student'} has applied for your internship "${payload.internship_title || 'Untitled'}".`
+                ],
+                action: { label: 'Review applications', url: `${getFrontendUrl()}/applications/manage` }
+            })
+        })
+    },
+
+    message_received: {
+        label: 'New message',
+        render: (payload) => {
+            const forOwner = payload.recipient_role === 'software_house';
+            return {
+                subject: `New message about ${payload.internship_title || 'your application'}`,
+                ...layout({
+                    greeting: hello(payload),
+                    paragraphs: [
+                        payload.message || 'You have a new message about an application.',
+                        ...(payload.preview ? [`"${payload.preview}"`] : [])
+                    ],
+                    action: forOwner
+                        ? { label: 'Open conversation', url: `${getFrontendUrl()}/applications/manage` }
+                        : { label: 'Open conversation', url: `${getFrontendUrl()}/applications` }
+                })
+            };
+        }
+    },
+
+    notification: {
+        label: 'Notification',
+        render: (payload) => ({
+            subject: payload.title || 'New notification on AIILP',
+            ...layout({
+                greeting: hello(payload),
+                paragraphs: [payload.message || 'You have a new notification on the AIILP platform.'],
+                action: { label: 'Open AIILP', url: `${getFrontendUrl()}/dashboard` }
+            })
+        })
+    },
+
+    notification_digest: {
+        label: 'Notification digest',
+        render: (payload) => {
+            const items = payload.items || [];
+            const total = payload.total || items.length;
+            return {
+                subject: `Your AIILP ${payload.frequency === 'weekly' ? 'weekly' : 'daily'} digest: ${total} unread notification${total === 1 ? '' : 's'}`,
+                ...layout({
+                    greeting: hello(payload),
+                    paragraphs: [
+                        'Here are your unread notifications since the last digest:',
+                        ...items.map(item => `${item.label ? `[${item.label}] ` : ''}${item.title}: ${item.message}`),
+                        ...(total > items.length ? [`...and ${total - items.length} more.`] : []),
+                        'You can change how you receive notifications in your settings.'
+                    ],
+                    action: { label: 'Open AIILP', url: `${getFrontendUrl()}/dashboard` }
+                })
+            };
+        }
+    },
+
+    email_confirmation: {
+        label: 'Email confirmation',
+        sendTimeLink: 'signup',
+        render: (payload) => ({
+            subject: 'Confirm your email for AIILP',
+            ...layout({
+                greeting: hello(payload),
+                paragraphs: [
+                    'Please confirm your email address by opening the link below. The link works once and then expires.',
+                    'If you did not request this, you can ignore this email.'
+                ],
+                action: { label: 'Confirm email', url: payload.link }
+            })
+        })
+    }
+};
+
+/**
+ * Render a queued email
+ * @param {string} template - Template name
+ * @param {object} payload - Template data
+ * @returns {object} - { subject, text, html, error }
+ */
+export const renderEmail = (template, payload = {}) => {
+    const definition = EMAIL_TEMPLATES[template];
+    if (!definition) return { subject: null, text: null, html: null, error: `Unknown email template "${template}"` };
+
+    try {
+        const { subject, text, html } = definition.render(payload || {});
+        return { subject, text, html, error: null };
+    } catch (error) {
+        return { subject: null, text: null, html: null, error: `Template ${template} failed: ${error.message}` };
+    }
+};
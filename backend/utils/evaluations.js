@@ -0,0 +1,141 @@
+// ============================================
+// Placement Evaluation Utilities
+// Evaluation forms and the answers submitted against them
+// (see database/add_placement_evaluations.sql)
+// ============================================
+
+/**
+ * Evaluation kinds and the side of a placement that fills each in
+ */
+export const EVALUATION_KINDS = {
+    supervisor: 'Supervisor evaluation',
+    student: 'Software house review'
+};
+
+export const EVALUATION_AUTHOR_SIDE = {
+    supervisor: 'software_house',
+    student: 'student'
+};
+
+export const QUESTION_TYPES = ['rating', 'comment'];
+
+export const RATING_SCALE = 5;
+export const MAX_FORM_QUESTIONS = 20;
+export const MAX_QUESTION_LABEL_LENGTH = 200;
+export const MAX_COMMENT_LENGTH = 2000;
+
+// Company ratings are only shown once this many students have reviewed it
+// (matches get_software_house_ratings() in database/add_placement_evaluations.sql)
+export const MIN_REVIEWS_FOR_RATING = 3;
+
+// Evaluations open once the placement has finished (either way)
+const ENDED_PLACEMENT_STATUSES = ['completed', 'incomplete'];
+
+/**
+ * Whether a placement has ended and can be evaluated
+ * @param {object} placement - placements row
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+export const isPlacementEnded = (placement, now = new Date()) => {
+    if (!placement || placement.status === 'cancelled') return false;
+    if (ENDED_PLACEMENT_STATUSES.includes(placement.status)) return true;
+    return !!placement.end_date && placement.end_date < now.toISOString().slice(0, 10);
+};
+
+/**
+ * Evaluation kind a side of the placement submits
+ * @param {string} side - Result of getPlacementSide
+ * @returns {string|null}
+ */
+export const getEvaluationKindForSide = (side) =>
+    Object.keys(EVALUATION_AUTHOR_SIDE).find(kind => EVALUATION_AUTHOR_SIDE[kind] === side) || null;
+
+const toKey = (label) => label
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 40);
+
+/**
+ * Validate the questions of a form
+ * @param {Array} questions - [{ key?, label, type, required? }]
+ * @returns {object} - { questions, error }
+ */
+export const normalizeFormQuestions = (questions) => {
+    if (!Array.isArray(questions) || questions.length === 0) {
+        return { questions: null, error: 'A form needs at least one question' };
+    }
+    if (questions.length > MAX_FORM_QUESTIONS) {
+        return { questions: null, error: `A form can have at most ${MAX_FORM_QUESTIONS} questions` };
+    }
+
+    const normalized = [];
+    const keys = new Set();
+    for (const [index, question] of questions.entries()) {
+        const label = typeof question?.label === 'string' ? question.label.trim() : '';
+        if (!label) {
+            return { questions: null, error: `Question ${index + 1} needs a label` };
+        }
+        if (label.length > MAX_QUESTION_LABEL_LENGTH) {
+            return { questions: null, error: `Question ${index + 1} can be at most ${MAX_QUESTION_LABEL_LENGTH} characters` };
+        }
+        if (!QUESTION_TYPES.includes(question.type)) {
+            return { questions: null, error: `Question ${index + 1} must be a rating or a comment` };
+        }
+
+        let key = toKey(question.key || label) || `question_${index + 1}`;
+        while (keys.has(key)) key = `${key}_${index + 1}`;
+        keys.add(key);
+
+        normalized.push({ key, label, type: question.type, required: question.required !== false });
+    }
+
+    if (!normalized.some(q => q.type === 'rating')) {
+        return { questions: null, error: 'A form needs at least one rating question' };
+    }
+    return { questions: normalized, error: null };
+};
+
+/**
+ * Validate answers against a form's questions
+ * @param {Array} questions - Normalized form questions
+ * @param {object} answers - { key: rating | text }
+ * @returns {object} - { answers, overall_rating, error }
+ */
+export const normalizeEvaluationAnswers = (questions = [], answers = {}) => {
+    const values = {};
+    const ratings = [];
+
+    for (const question of questions) {
+        const raw = answers?.[question.key];
+        const empty = raw === undefined || raw === null || String(raw).trim() === '';
+
+        if (empty) {
+            if (question.required) {
+                return { answers: null, overall_rating: null, error: `Please answer "${question.label}"` };
+            }
+            continue;
+        }
+
+        if (question.type === 'rating') {
+            const rating = Number(raw);
+            if (!Number.isInteger(rating) || rating < 1 || rating > RATING_SCALE) {
+                return { answers: null, overall_rating: null, error: `"${question.label}" must be rated from 1 to ${RATING_SCALE}` };
+            }
+            values[question.key] = rating;
+            ratings.push(rating);
+        } else {
+            const text = String(raw).trim();
+            if (text.length > MAX_COMMENT_LENGTH) {
+                return { answers: null, overall_rating: null, error: `"${question.label}" can be at most ${MAX_COMMENT_LENGTH} characters` };
+            }
+            if (text) values[question.key] = text;
+        }
+    }
+
+    const overall = ratings.length > 0
+        ? Math.round((ratings.reduce((sum, r) => sum + r, 0) / ratings.length) * 100) / 100
+        : null;
+    return { answers: values, overall_rating: overall, error: null };
+};
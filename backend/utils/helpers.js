@@ -37,6 +37,11 @@ export const isValidEmail = (email) => {
     return emailRegex.test(email);
 };
 
+/**
+ * Shortest password accepted when an account sets or is given one
+ */
+export const MIN_PASSWORD_LENGTH = 8;
+
 /**
  * Format date to readable string
  * @param {string|Date} date - Date to format
@@ -158,6 +163,12 @@ export const truncate = (str, maxLength = 100) => {
 export const getStatusColor = (status) => {
     const statusColors = {
         'pending': '#f59e0b', // amber
+        'shortlisted': '#3b82f6', // blue
+        'interview_scheduled': '#8b5cf6', // violet
+        'offer_extended': '#06b6d4', // cyan
+        'offer_accepted': '#14b8a6', // teal
+        'joined': '#059669', // emerald
+        'withdrawn': '#6b7280', // gray
         'approved': '#10b981', // green
         'rejected': '#ef4444', // red
         'accepted': '#10b981', // green
@@ -208,3 +219,29 @@ export const retryWithBackoff = async (fn, retries = 3, delay = 1000) => {
     }
 };
 
+
+// Body fields whose values never go to the logs (passwords, activation
+// and API tokens, keys)
+const SECRET_FIELD_PATTERN = /password|passwd|token|secret|api_?key|private_?key/i;
+
+const MAX_LOGGED_STRING_LENGTH = 200;
+
+/**
+ * Copy of a request body that is safe to log: secret fields are replaced
+ * and long strings (such as CSV files sent inline) are shortened
+ * @param {*} value - Parsed request body
+ * @returns {*} - Redacted copy
+ */
+export const redactForLog = (value) => {
+    if (Array.isArray(value)) return value.map(redactForLog);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+            key,
+            SECRET_FIELD_PATTERN.test(key) && field !== null && field !== undefined && field !== ''
+                ? '[REDACTED]'
+                : redactForLog(field)
+        ]));
+    }
+    if (typeof value === 'string') return truncate(value, MAX_LOGGED_STRING_LENGTH);
+    return value;
+};
@@ -0,0 +1,86 @@
+// ============================================
+// iCalendar (.ics) Generator
+// Builds RFC 5545 calendar files for booked interviews
+// ============================================
+
+/**
+ * Format a date as an iCalendar UTC timestamp (YYYYMMDDTHHMMSSZ)
+ * @param {Date|string} date - Date to format
+ * @returns {string} - iCalendar timestamp
+ */
+export const formatICSDate = (date) => {
+    const d = date instanceof Date ? date : new Date(date);
+    return d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+/**
+ * Escape text for iCalendar property values
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+export const escapeICSText = (text) => {
+    if (!text) return '';
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Fold lines longer than 75 octets as required by RFC 5545
+ * @param {string} line - Content line
+ * @returns {string} - Folded line
+ */
+const foldLine = (line) => {
+    if (line.length <= 75) return line;
+    const parts = [];
+    let rest = line;
+    parts.push(rest.slice(0, 75));
+    rest = rest.slice(75);
+    while (rest.length > 0) {
+        parts.push(' ' + rest.slice(0, 74));
+        rest = rest.slice(74);
+    }
+    return parts.join('\r\n');
+};
+
+/**
+ * Generate an .ics calendar file for a single event
+ * @param {object} event - Event details
+ * @param {string} event.uid - Stable unique ID (e.g. interview ID)
+ * @param {Date|string} event.start - Start time
+ * @param {Date|string} event.end - End time
+ * @param {string} event.title - Event summary
+ * @param {string} event.description - Optional description
+ * @param {string} event.location - Optional location
+ * @param {string} event.url - Optional meeting link
+ * @param {number} event.sequence - Revision number (increase on reschedule)
+ * @param {string} event.status - CONFIRMED or CANCELLED
+ * @returns {string} - iCalendar file contents
+ */
+export const generateICS = (event) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//AIILP//Interview Scheduling//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:${event.uid}@aiilp`,
+        `DTSTAMP:${formatICSDate(new Date())}`,
+        `DTSTART:${formatICSDate(event.start)}`,
+        `DTEND:${formatICSDate(event.end)}`,
+        `SUMMARY:${escapeICSText(event.title)}`,
+        `SEQUENCE:${event.sequence || 0}`,
+        `STATUS:${event.status || 'CONFIRMED'}`
+    ];
+
+    if (event.description) lines.push(`DESCRIPTION:${escapeICSText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeICSText(event.location)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+
+    lines.push('END:VEVENT', 'END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
@@ -0,0 +1,88 @@
+// ============================================
+// Internship Lifecycle Utilities
+// Deadline, openings and open/closed/filled state of a posting
+// (see database/add_internship_lifecycle.sql)
+// ============================================
+
+/**
+ * Posting states and their labels
+ */
+export const POSTING_STATUSES = {
+    open: 'Open',
+    closed: 'Closed',
+    filled: 'Filled'
+};
+
+export const MAX_OPENINGS = 500;
+
+/**
+ * Whether a posting currently takes applications
+ * @param {object} internship - Internship row
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+export const isAcceptingApplications = (internship, now = new Date()) => {
+    if (!internship) return false;
+    if (internship.posting_status && internship.posting_status !== 'open') return false;
+    if (internship.application_deadline && new Date(internship.application_deadline) <= now) return false;
+    return true;
+};
+
+/**
+ * Reason a posting does not take applications, or null when it does
+ * @param {object} internship - Internship row
+ * @param {Date} now - Reference time
+ * @returns {string|null}
+ */
+export const getClosedMessage = (internship, now = new Date()) => {
+    if (isAcceptingApplications(internship, now)) return null;
+    if (internship?.posting_status === 'filled') {
+        return 'All openings for this internship have been filled';
+    }
+    if (internship?.application_deadline && new Date(internship.application_deadline) <= now) {
+        const closedOn = new Date(internship.application_deadline).toLocaleDateString('en-US', {
+            month: 'short', day: 'numeric', year: 'numeric'
+        });
+        return `Applications for this internship closed on ${closedOn}`;
+    }
+    return 'This internship is no longer accepting applications';
+};
+
+/**
+ * Validate the deadline and openings submitted for a posting
+ * @param {object} data - { application_deadline, openings }
+ * @param {Date} now - Reference time
+ * @returns {object} - { values: { application_deadline?, openings? }, error }
+ */
+export const normalizeLifecycleFields = (data = {}, now = new Date()) => {
+    const values = {};
+
+    if (data.application_deadline !== undefined) {
+        if (data.application_deadline === null || data.application_deadline === '') {
+            values.application_deadline = null;
+        } else {
+            const deadline = new Date(data.application_deadline);
+            if (Number.isNaN(deadline.getTime())) {
+                return { values: null, error: 'Application deadline is not a valid date' };
+            }
+            if (deadline <= now) {
+                return { values: null, error: 'Application deadline must be in the future' };
+            }
+            values.application_deadline = deadline.toISOString();
+        }
+    }
+
+    if (data.openings !== undefined) {
+        if (data.openings === null || data.openings === '') {
+            values.openings = null;
+        } else {
+            const openings = Number(data.openings);
+            if (!Number.isInteger(openings) || openings < 1 || openings > MAX_OPENINGS) {
+                return { values: null, error: `Number of openings must be a whole number between 1 and ${MAX_OPENINGS}` };
+            }
+            values.openings = openings;
+        }
+    }
+
+    return { values, error: null };
+};
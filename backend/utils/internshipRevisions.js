@@ -0,0 +1,139 @@
+// ============================================
+// Internship Revision Utilities
+// Field-level diffs of posting edits and the cosmetic/material rules
+// (mirrors diff_internship() in database/add_internship_revisions.sql)
+// ============================================
+
+/**
+ * Fields a software house can edit after posting
+ */
+export const EDITABLE_FIELDS = [
+    'title', 'description', 'skills', 'duration', 'location', 'stipend', 'requirements',
+    'type', 'screening_questions', 'application_deadline', 'openings'
+];
+
+export const FIELD_LABELS = {
+    title: 'Title',
+    description: 'Description',
+    skills: 'Skills',
+    duration: 'Duration',
+    location: 'Location',
+    stipend: 'Stipend',
+    requirements: 'Requirements',
+    type: 'Type',
+    screening_questions: 'Screening questions',
+    application_deadline: 'Application deadline',
+    openings: 'Openings'
+};
+
+/**
+ * Long text fields where changing a few words is a wording fix. In a short
+ * field such as the title, location or duration a few words are the whole
+ * value, so the word-count rule never applies to them.
+ */
+export const WORDING_FIELDS = ['description', 'requirements'];
+
+/**
+ * Defaults of internship_review_settings
+ */
+export const DEFAULT_REVIEW_SETTINGS = {
+    skip_cosmetic_review: true,
+    cosmetic_fields: ['description', 'requirements'],
+    cosmetic_max_word_changes: 4,
+    exempt_fields: ['application_deadline', 'openings']
+};
+
+/**
+ * Keep only editable fields
+ * @param {object} data - Submitted values
+ * @returns {object}
+ */
+export const pickEditableFields = (data = {}) =>
+    EDITABLE_FIELDS.reduce((picked, field) => {
+        if (data[field] !== undefined) picked[field] = data[field];
+        return picked;
+    }, {});
+
+const toWords = (text) =>
+    String(text ?? '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim()
+        .split(' ')
+        .filter(Boolean);
+
+/**
+ * Number of words added or removed between two texts, ignoring case and punctuation
+ * @param {string} before
+ * @param {string} after
+ * @returns {number}
+ */
+export const countWordChanges = (before, after) => {
+    const remaining = new Map();
+    toWords(before).forEach(w => remaining.set(w, (remaining.get(w) || 0) + 1));
+
+    let added = 0;
+    toWords(after).forEach(w => {
+        const count = remaining.get(w) || 0;
+        if (count > 0) remaining.set(w, count - 1);
+        else added += 1;
+    });
+
+    const removed = [...remaining.values()].reduce((sum, n) => sum + n, 0);
+    return added + removed;
+};
+
+const normalizeValue = (field, value) => {
+    if (value === undefined || value === '') return null;
+    if (field === 'application_deadline' && value) return new Date(value).toISOString();
+    if ((field === 'stipend' || field === 'openings') && value !== null) return Number(value);
+    return value;
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Field-level diff between a posting and the values submitted for it
+ * @param {object} before - Current internship
+ * @param {object} values - Submitted values
+ * @param {object} settings - internship_review_settings
+ * @returns {Array} - [{ field, label, before, after, cosmetic }]
+ */
+export const diffInternship = (before = {}, values = {}, settings = DEFAULT_REVIEW_SETTINGS) =>
+    EDITABLE_FIELDS
+        .filter(field => values[field] !== undefined)
+        .map(field => ({
+            field,
+            before: normalizeValue(field, before[field]),
+            after: normalizeValue(field, values[field])
+        }))
+        .filter(change => !sameValue(change.before, change.after))
+        .map(change => ({
+            ...change,
+            label: FIELD_LABELS[change.field],
+            cosmetic: (settings.exempt_fields || []).includes(change.field) || (
+                WORDING_FIELDS.includes(change.field) &&
+                (settings.cosmetic_fields || []).includes(change.field) &&
+                countWordChanges(change.before, change.after) <= (settings.cosmetic_max_word_changes ?? 0)
+            )
+        }));
+
+/**
+ * Whether a set of changes is cosmetic or material
+ * @param {Array} changes - Result of diffInternship
+ * @returns {'cosmetic'|'material'}
+ */
+export const classifyChanges = (changes = []) =>
+    changes.every(change => change.cosmetic) ? 'cosmetic' : 'material';
+
+/**
+ * Whether saving these changes sends an approved posting back to review
+ * @param {object} internship - Current internship
+ * @param {Array} changes - Result of diffInternship
+ * @param {object} settings - internship_review_settings
+ * @returns {boolean}
+ */
+export const needsReview = (internship, changes, settings = DEFAULT_REVIEW_SETTINGS) => {
+    if (internship?.status !== 'approved' || changes.length === 0) return false;
+    return !(classifyChanges(changes) === 'cosmetic' && settings.skip_cosmetic_review !== false);
+};
@@ -0,0 +1,147 @@
+// ============================================
+// Logbook Utilities
+// Weekly progress logs interns keep for a placement, reviewed by the
+// software house and flagged by the university
+// (see database/add_logbook.sql)
+// ============================================
+
+import { MESSAGE_ATTACHMENT_TYPES, sanitizeFileName } from './messages.js';
+
+export const LOGBOOK_ATTACHMENT_BUCKET = 'logbook-attachments';
+
+/**
+ * Entry states and their labels
+ */
+export const LOGBOOK_STATUSES = {
+    submitted: 'Awaiting review',
+    approved: 'Approved',
+    changes_requested: 'Changes requested'
+};
+
+/**
+ * Supervisor decisions on a submitted entry
+ */
+export const LOGBOOK_REVIEW_DECISIONS = ['approved', 'changes_requested'];
+
+// Placements that can be logged against
+export const LOGBOOK_PLACEMENT_STATUSES = ['ongoing', 'completed', 'incomplete'];
+
+// A week's log is due this many days after the week ends (Sunday);
+// logbook_due_weeks() in the migration uses the same grace period
+export const LOGBOOK_GRACE_DAYS = 2;
+
+export const MAX_LOGBOOK_TEXT_LENGTH = 4000;
+export const MAX_LOGBOOK_COMMENT_LENGTH = 1000;
+export const MAX_WEEKLY_HOURS = 80;
+export const MAX_LOGBOOK_ATTACHMENTS = 5;
+export const MAX_LOGBOOK_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+// Same file types as message attachments
+export const LOGBOOK_ATTACHMENT_TYPES = MESSAGE_ATTACHMENT_TYPES;
+
+/**
+ * Monday of the week a date falls in
+ * @param {string|Date} value
+ * @returns {string|null} - YYYY-MM-DD, or null for an invalid date
+ */
+export const getWeekStart = (value) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    const day = date.getUTCDay() || 7;
+    date.setUTCDate(date.getUTCDate() - (day - 1));
+    return date.toISOString().slice(0, 10);
+};
+
+const cleanText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Validate a student's entry for a week
+ * @param {object} data - { week_start, tasks, hours, learnings }
+ * @param {object} placement - placements row
+ * @param {Date} now - Current time (for the latest week that can be logged)
+ * @returns {object} - { values, error }
+ */
+export const normalizeLogbookEntry = (data = {}, placement = {}, now = new Date()) => {
+    const weekStart = data.week_start ? getWeekStart(data.week_start) : null;
+    if (!weekStart) return { values: null, error: 'Choose the week this entry covers' };
+    if (weekStart !== String(data.week_start).slice(0, 10)) {
+        return { values: null, error: 'The week must start on a Monday' };
+    }
+    if (weekStart > getWeekStart(now)) {
+        return { values: null, error: 'You cannot log a week that has not started yet' };
+    }
+    if (placement.start_date && weekStart < getWeekStart(placement.start_date)) {
+        return { values: null, error: 'This week is before the placement started' };
+    }
+    if (placement.end_date && weekStart > placement.end_date) {
+        return { values: null, error: 'This week is after the placement ended' };
+    }
+
+    const tasks = cleanText(data.tasks);
+    const learnings = cleanText(data.learnings);
+    if (!tasks) return { values: null, error: 'Describe the tasks you worked on' };
+    if (tasks.length > MAX_LOGBOOK_TEXT_LENGTH || learnings.length > MAX_LOGBOOK_TEXT_LENGTH) {
+        return { values: null, error: `Tasks and learnings can be at most ${MAX_LOGBOOK_TEXT_LENGTH} characters each` };
+    }
+
+    const hours = Number(data.hours);
+    if (data.hours === '' || data.hours === null || data.hours === undefined || !Number.isFinite(hours)) {
+        return { values: null, error: 'Enter the hours you worked this week' };
+    }
+    if (hours < 0 || hours > MAX_WEEKLY_HOURS) {
+        return { values: null, error: `Hours must be between 0 and ${MAX_WEEKLY_HOURS}` };
+    }
+
+    return {
+        values: { week_start: weekStart, tasks, learnings, hours: Math.round(hours * 10) / 10 },
+        error: null
+    };
+};
+
+/**
+ * Validate a supervisor's review of an entry
+ * @param {object} data - { decision, comment }
+ * @returns {object} - { values, error }
+ */
+export const normalizeLogbookReview = (data = {}) => {
+    if (!LOGBOOK_REVIEW_DECISIONS.includes(data.decision)) {
+        return { values: null, error: `Decision must be one of: ${LOGBOOK_REVIEW_DECISIONS.join(', ')}` };
+    }
+    const comment = cleanText(data.comment);
+    if (data.decision === 'changes_requested' && !comment) {
+        return { values: null, error: 'Tell the intern what to change' };
+    }
+    if (comment.length > MAX_LOGBOOK_COMMENT_LENGTH) {
+        return { values: null, error: `Comments can be at most ${MAX_LOGBOOK_COMMENT_LENGTH} characters` };
+    }
+    return { values: { status: data.decision, supervisor_comment: comment || null }, error: null };
+};
+
+/**
+ * Validate a university flag on an entry
+ * @param {object} data - { flagged, note }
+ * @returns {object} - { values, error }
+ */
+export const normalizeLogbookFlag = (data = {}) => {
+    if (typeof data.flagged !== 'boolean') {
+        return { values: null, error: 'flagged must be true or false' };
+    }
+    if (!data.flagged) return { values: { flagged: false, flag_note: null }, error: null };
+
+    const note = cleanText(data.note);
+    if (!note) return { values: null, error: 'Explain why the entry is flagged' };
+    if (note.length > MAX_LOGBOOK_COMMENT_LENGTH) {
+        return { values: null, error: `Notes can be at most ${MAX_LOGBOOK_COMMENT_LENGTH} characters` };
+    }
+    return { values: { flagged: true, flag_note: note }, error: null };
+};
+
+/**
+ * Storage path of an attachment: one folder per placement
+ * @param {string} placementId
+ * @param {string} fileName - Original file name
+ * @param {string} key - Unique prefix (a random UUID) so uploads never collide
+ * @returns {string}
+ */
+export const buildLogbookAttachmentPath = (placementId, fileName, key) =>
+    `${placementId}/${key}-${sanitizeFileName(fileName)}`;
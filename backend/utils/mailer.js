@@ -0,0 +1,269 @@
+// ============================================
+// Mailer
+// Sends email through a pluggable transport, picked by MAIL_TRANSPORT:
+//   smtp    - plain SMTP to SMTP_HOST:SMTP_PORT (default localhost:1025), for a
+//             local stand-in such as Mailpit or MailHog. No TLS.
+//   file    - writes each message as an .eml file to MAIL_FILE_DIR
+//             (default: <tmp>/aiilp-mail), to open in a mail client
+//   console - logs the recipient and subject of each message (never the
+//             body, which can hold activation and confirmation links)
+// Without MAIL_TRANSPORT, smtp is used when SMTP_HOST is set, else console.
+// In production (NODE_ENV=production) there is no console fallback: the
+// server refuses to start until a transport is configured.
+// A production provider is plugged in with registerMailTransport().
+// ============================================
+
+import net from 'node:net';
+import crypto from 'node:crypto';
+import os from 'node:os';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+
+// Settings are read lazily so dotenv can load first
+export const getMailFrom = () => process.env.MAIL_FROM || 'AIILP <no-reply@aiilp.local>';
+
+const getSmtpTimeout = () => Number(process.env.SMTP_TIMEOUT_MS) || 10 * 1000;
+
+const getMailFileDir = () => process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'aiilp-mail');
+
+const transports = {};
+
+/**
+ * Add (or replace) a transport
+ * @param {string} name - Value of MAIL_TRANSPORT that selects it
+ * @param {object} transport - { send: async (message) => ({ messageId }) }
+ */
+export const registerMailTransport = (name, transport) => {
+    if (typeof transport?.send !== 'function') {
+        throw new Error(`Mail transport "${name}" must have a send(message) function`);
+    }
+    transports[name] = transport;
+};
+
+/**
+ * Name of the transport in use
+ * @returns {string|null} - null in production when none is configured
+ */
+export const getMailTransportName = () => {
+    if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+    if (process.env.SMTP_HOST) return 'smtp';
+    return process.env.NODE_ENV === 'production' ? null : 'console';
+};
+
+/**
+ * What is wrong with the mail settings, if anything
+ * @returns {string|null}
+ */
+export const getMailConfigError = () => {
+    const name = getMailTransportName();
+    if (!name) return 'No mail transport configured: set MAIL_TRANSPORT or SMTP_HOST (NODE_ENV=production has no console fallback)';
+    if (!transports[name]) return `Unknown mail transport "${name}"`;
+    return null;
+};
+
+const domainOf = (address) => (address.match(/@([^>\s]+)/) || [])[1] || 'aiilp.local';
+
+// "Name <a@b.c>" -> "a@b.c"
+const addressOf = (value) => (value.match(/<([^>]+)>/) || [null, value])[1].trim();
+
+// Line breaks would start a new header, so they are never passed through
+const headerValue = (value) => String(value).replace(/[\r\n]+/g, ' ');
+
+// Non-ASCII header values are sent as RFC 2047 encoded words
+const encodeHeader = (value) =>
+    /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+
+const base64Lines = (text) => Buffer.from(text, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+
+/**
+ * RFC 5322 message with a text part and an optional HTML part.
+ * Bodies are base64 encoded so no line needs dot-stuffing.
+ * @param {object} message - { from, to, subject, text, html, messageId }
+ * @returns {string}
+ */
+export const buildMimeMessage = ({ from, to, subject, text, html, messageId }) => {
+    const headers = [
+        `From: ${headerValue(from)}`,
+        `To: ${headerValue(to)}`,
+        `Subject: ${encodeHeader(headerValue(subject))}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: ${messageId}`,
+        'MIME-Version: 1.0'
+    ];
+
+    if (!html) {
+        return [
+            ...headers,
+            'Content-Type: text/plain; charset=UTF-8',
+            'Content-Transfer-Encoding: base64',
+            '',
+            base64Lines(text || '')
+        ].join('\r\n');
+    }
+
+    const boundary = `aiilp-${crypto.randomBytes(12).toString('hex')}`;
+    return [
+        ...headers,
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        '',
+        `--${boundary}`,
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Lines(text || ''),
+        `--${boundary}`,
+        'Content-Type: text/html; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Lines(html),
+        `--${boundary}--`,
+        ''
+    ].join('\r\n');
+};
+
+/**
+ * Line-based SMTP conversation over a socket
+ * @param {net.Socket} socket
+ * @returns {object} - { command(line, expectedCodes) }
+ */
+const smtpConversation = (socket) => {
+    const replies = [];
+    const waiting = [];
+    let buffer = '';
+    let lines = [];
+    let failure = null;
+
+    const settle = () => {
+        while (waiting.length > 0 && (replies.length > 0 || failure)) {
+            const { resolve, reject } = waiting.shift();
+            if (replies.length > 0) resolve(replies.shift());
+            else reject(failure);
+        }
+    };
+
+    socket.on('data', (chunk) => {
+        buffer += chunk.toString('utf8');
+        let end;
+        while ((end = buffer.indexOf('\r\n')) >= 0) {
+            const line = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            lines.push(line);
+            // "250-..." continues a reply, "250 ..." ends it
+            if (/^\d{3}(?: |$)/.test(line)) {
+                replies.push({ code: Number(line.slice(0, 3)), text: lines.join(' | ') });
+                lines = [];
+            }
+        }
+        settle();
+    });
+    socket.on('timeout', () => {
+        failure = new Error('SMTP server did not respond in time');
+        socket.destroy();
+        settle();
+    });
+    socket.on('error', (err) => {
+        failure = err;
+        settle();
+    });
+    socket.on('close', () => {
+        failure = failure || new Error('SMTP connection closed');
+        settle();
+    });
+
+    const command = async (line, expected) => {
+        if (line !== null) socket.write(`${line}\r\n`);
+        const reply = await new Promise((resolve, reject) => {
+            waiting.push({ resolve, reject });
+            settle();
+        });
+        if (!expected.includes(reply.code)) {
+            const verb = line === null ? 'greeting' : line.split(' ')[0];
+            throw new Error(`SMTP ${verb} rejected: ${reply.text}`);
+        }
+        return reply;
+    };
+
+    return { command };
+};
+
+const smtpTransport = {
+    send: async (message) => {
+        const host = process.env.SMTP_HOST || 'localhost';
+        const port = Number(process.env.SMTP_PORT) || 1025;
+
+        const socket = net.createConnection({ host, port });
+        socket.setTimeout(getSmtpTimeout());
+        const { command } = smtpConversation(socket);
+
+        try {
+            await command(null, [220]);
+            await command(`EHLO ${domainOf(message.from)}`, [250]);
+            if (process.env.SMTP_USER) {
+                const credentials = Buffer.from(`\0${process.env.SMTP_USER}\0${process.env.SMTP_PASSWORD || ''}`).toString('base64');
+                await command(`AUTH PLAIN ${credentials}`, [235]);
+            }
+            await command(`MAIL FROM:<${addressOf(headerValue(message.from))}>`, [250]);
+            await command(`RCPT TO:<${addressOf(headerValue(message.to))}>`, [250, 251]);
+            await command('DATA', [354]);
+            await command(`${buildMimeMessage(message)}\r\n.`, [250]);
+            await command('QUIT', [221]).catch(() => {});
+        } finally {
+            socket.end();
+        }
+
+        return { messageId: message.messageId };
+    }
+};
+
+const consoleTransport = {
+    send: async (message) => {
+        // The body is left out; use MAIL_TRANSPORT=file to read messages locally
+        console.log(`[Mailer] Email to ${message.to}: ${message.subject} (console transport, not delivered)`);
+        return { messageId: message.messageId };
+    }
+};
+
+const fileTransport = {
+    send: async (message) => {
+        const dir = getMailFileDir();
+        await fs.mkdir(dir, { recursive: true });
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const file = path.join(dir, `${stamp}-${crypto.randomBytes(4).toString('hex')}.eml`);
+        await fs.writeFile(file, buildMimeMessage(message), 'utf8');
+        console.log(`[Mailer] Wrote email for ${message.to} to ${file}`);
+        return { messageId: message.messageId };
+    }
+};
+
+registerMailTransport('smtp', smtpTransport);
+registerMailTransport('file', fileTransport);
+registerMailTransport('console', consoleTransport);
+
+/**
+ * Send an email with the configured transport
+ * @param {object} mail - { to, subject, text, html? }
+ * @returns {Promise<object>} - { messageId, transport }
+ * @throws {Error} When the transport fails
+ */
+export const sendMail = async ({ to, subject, text, html = null }) => {
+    if (!to || !subject) throw new Error('Email needs a recipient and a subject');
+
+    const configError = getMailConfigError();
+    if (configError) throw new Error(configError);
+
+    const name = getMailTransportName();
+    const transport = transports[name];
+
+    const from = getMailFrom();
+    const message = {
+        from,
+        to,
+        subject,
+        text,
+        html,
+        messageId: `<${crypto.randomUUID()}@${domainOf(from)}>`
+    };
+
+    const { messageId } = await transport.send(message);
+    return { messageId: messageId || message.messageId, transport: name };
+};
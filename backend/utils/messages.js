@@ -0,0 +1,82 @@
+// ============================================
+// Application Message Utilities
+// Limits and attachment handling for the per-application message threads
+// (see database/add_application_messages.sql)
+// ============================================
+
+export const MESSAGE_ATTACHMENT_BUCKET = 'message-attachments';
+
+export const MAX_MESSAGE_LENGTH = 5000;
+export const MAX_MESSAGE_ATTACHMENTS = 5;
+export const MAX_MESSAGE_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+// Signed download links expire quickly; the thread asks for a new one each time
+export const ATTACHMENT_URL_TTL_SECONDS = 60;
+
+/**
+ * Attachment types that can be sent
+ */
+export const MESSAGE_ATTACHMENT_TYPES = {
+    'application/pdf': 'PDF',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'DOCX',
+    'application/msword': 'DOC',
+    'text/plain': 'TXT',
+    'image/png': 'PNG',
+    'image/jpeg': 'JPEG',
+    'image/webp': 'WEBP'
+};
+
+/**
+ * Which side of an application's thread a user is on
+ * (mirrors application_message_side() in the migration)
+ * @param {object} application - { user_id, internships: { software_house_id } }
+ * @param {object} auth - { user, role }
+ * @param {object|null} student - students row of the applicant, if any
+ * @returns {string|null} - 'applicant' | 'software_house' | 'university' | null
+ */
+export const getMessageSide = (application, auth, student = null) => {
+    if (!application || !auth?.user) return null;
+    if (application.user_id === auth.user.id) return 'applicant';
+    if (application.internships?.software_house_id === auth.user.id) return 'software_house';
+    if (auth.role === 'university' && student?.university_id === auth.user.id) return 'university';
+    return null;
+};
+
+/**
+ * Validate a message body
+ * @param {string} body - Text as sent
+ * @param {number} attachmentCount - Files sent with it
+ * @returns {object} - { body, error }
+ */
+export const normalizeMessageBody = (body, attachmentCount = 0) => {
+    const text = typeof body === 'string' ? body.trim() : '';
+    if (!text && attachmentCount === 0) return { body: null, error: 'Write a message or attach a file' };
+    if (text.length > MAX_MESSAGE_LENGTH) {
+        return { body: null, error: `Messages can be at most ${MAX_MESSAGE_LENGTH} characters` };
+    }
+    return { body: text, error: null };
+};
+
+/**
+ * File name safe to use in a storage path
+ * @param {string} name - Original file name
+ * @returns {string}
+ */
+export const sanitizeFileName = (name) => {
+    const cleaned = String(name || 'attachment')
+        .normalize('NFKD')
+        .replace(/[^\w.\- ]+/g, '')
+        .replace(/\s+/g, '_')
+        .slice(-100);
+    return cleaned || 'attachment';
+};
+
+/**
+ * Storage path of an attachment: one folder per application
+ * @param {string} applicationId
+ * @param {string} fileName - Original file name
+ * @param {string} key - Unique prefix (a random UUID) so uploads never collide
+ * @returns {string}
+ */
+export const buildAttachmentPath = (applicationId, fileName, key) =>
+    `${applicationId}/${key}-${sanitizeFileName(fileName)}`;
@@ -0,0 +1,58 @@
+// ============================================
+// Notification Preference Utilities
+// Per-user choice of in-app display and email channel for each notification
+// type, and when the daily/weekly digests are due
+// (see database/add_notification_preferences.sql; the types and their
+// defaults come from utils/notificationTypes.js)
+// ============================================
+
+/**
+ * Email channels and their labels
+ */
+export const EMAIL_CHANNELS = {
+    off: 'Off',
+    immediate: 'Immediately',
+    daily: 'Daily digest',
+    weekly: 'Weekly digest'
+};
+
+export const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+
+// Read lazily so dotenv can load first
+const getDigestHour = () => {
+    const hour = Number(process.env.NOTIFICATION_DIGEST_HOUR);
+    return Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : 8;
+};
+
+// Weekly digests go out on Mondays
+const WEEKLY_DIGEST_DAY = 1;
+
+/**
+ * Most recent scheduled digest time at or before `now` (UTC)
+ * @param {string} frequency - 'daily' | 'weekly'
+ * @param {Date} now - Reference time
+ * @returns {Date}
+ */
+export const latestDigestTime = (frequency, now = new Date()) => {
+    const slot = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), getDigestHour()));
+    if (slot > now) slot.setUTCDate(slot.getUTCDate() - 1);
+
+    if (frequency === 'weekly') {
+        const daysSince = (slot.getUTCDay() - WEEKLY_DIGEST_DAY + 7) % 7;
+        slot.setUTCDate(slot.getUTCDate() - daysSince);
+    }
+    return slot;
+};
+
+/**
+ * Whether a digest should be sent now
+ * @param {string} frequency - 'daily' | 'weekly'
+ * @param {string|Date|null} lastSentAt - When the previous digest went out
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+export const isDigestDue = (frequency, lastSentAt, now = new Date()) => {
+    if (!DIGEST_FREQUENCIES.includes(frequency)) return false;
+    if (!lastSentAt) return true;
+    return new Date(lastSentAt) < latestDigestTime(frequency, now);
+};
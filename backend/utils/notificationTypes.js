@@ -0,0 +1,77 @@
+// ============================================
+// Notification Type Registry
+// Label, icon, severity, audiences and default channels of each notification
+// type, read from notification_types and notification_type_audiences
+// (see database/add_notification_type_registry.sql)
+// ============================================
+
+export const SEVERITIES = ['neutral', 'info', 'success', 'warning', 'critical'];
+
+/**
+ * Load the registry
+ * @param {object} client - Supabase client
+ * @returns {Promise<object>} - { types: Array<object>, error }
+ */
+export const fetchNotificationTypes = async (client) => {
+    const { data, error } = await client
+        .from('notification_types')
+        .select('type, label, description, icon, severity, status_severity, default_in_app, default_email, email_templates, configurable, sort_order, audiences:notification_type_audiences(role, statuses, default_email)')
+        .order('sort_order', { ascending: true });
+
+    if (error) return { types: [], error: error.message };
+    return { types: data || [], error: null };
+};
+
+/**
+ * Audience entry of a type for a role, or null when the role does not see it
+ * @param {object} typeEntry - Registry entry
+ * @param {string} role - User role
+ * @returns {object|null}
+ */
+export const getAudience = (typeEntry, role) =>
+    (typeEntry?.audiences || []).find(a => a.role === role) || null;
+
+/**
+ * Whether a notification is shown to a role
+ * (mirrors notification_visible_to_role() in the migration)
+ * @param {Array<object>} types - Registry
+ * @param {object} notification - Notification row
+ * @param {string} role - User role
+ * @returns {boolean}
+ */
+export const isNotificationVisible = (types, notification, role) => {
+    const audience = getAudience(types.find(t => t.type === notification?.type), role);
+    if (!audience) return false;
+    return !audience.statuses || audience.statuses.includes(notification.metadata?.status);
+};
+
+/**
+ * Types a role sees and can configure
+ * @param {Array<object>} types - Registry
+ * @param {string} role - User role
+ * @returns {Array<object>}
+ */
+export const getPreferenceTypesForRole = (types, role) =>
+    types.filter(t => t.configurable && getAudience(t, role));
+
+/**
+ * Preference used when the user has not saved one
+ * (mirrors notification_default_email() in the migration)
+ * @param {object} typeEntry - Registry entry
+ * @param {string} role - User role
+ * @returns {object} - { type, in_app, email }
+ */
+export const getDefaultPreference = (typeEntry, role) => ({
+    type: typeEntry.type,
+    in_app: typeEntry.default_in_app ?? true,
+    email: getAudience(typeEntry, role)?.default_email || typeEntry.default_email || 'off'
+});
+
+/**
+ * Severity of a notification: by its status when the type sets one
+ * @param {object} typeEntry - Registry entry
+ * @param {object} notification - Notification row
+ * @returns {string}
+ */
+export const getNotificationSeverity = (typeEntry, notification) =>
+    typeEntry?.status_severity?.[notification?.metadata?.status] || typeEntry?.severity || 'info';
@@ -0,0 +1,151 @@
+// ============================================
+// Placement Utilities
+// Completion records that follow an accepted internship offer
+// (see database/add_placements.sql)
+// ============================================
+
+import { isValidEmail } from './helpers.js';
+
+/**
+ * Placement states and their labels
+ */
+export const PLACEMENT_STATUSES = {
+    upcoming: 'Upcoming',
+    ongoing: 'Ongoing',
+    completed: 'Completed',
+    incomplete: 'Incomplete',
+    cancelled: 'Cancelled'
+};
+
+/**
+ * University credit decision and its labels
+ */
+export const CREDIT_STATUSES = {
+    pending: 'Pending',
+    approved: 'Approved',
+    rejected: 'Rejected'
+};
+
+/**
+ * Fields each side of a placement may change
+ */
+export const PLACEMENT_FIELDS = {
+    software_house: [
+        'status', 'start_date', 'end_date', 'supervisor_name', 'supervisor_email',
+        'supervisor_phone', 'attendance_percent', 'software_house_notes'
+    ],
+    university: ['course_code', 'credit_hours', 'credit_status', 'university_notes']
+};
+PLACEMENT_FIELDS.admin = [...PLACEMENT_FIELDS.software_house, ...PLACEMENT_FIELDS.university];
+
+const DATE_FIELDS = ['start_date', 'end_date'];
+const TEXT_FIELDS = ['supervisor_name', 'supervisor_phone', 'software_house_notes', 'course_code', 'university_notes'];
+
+/**
+ * Which side of a placement a user is on
+ * @param {object} placement - placements row
+ * @param {object} auth - { user, role }
+ * @returns {string|null} - 'software_house' | 'university' | 'admin' | 'student' | null
+ */
+export const getPlacementSide = (placement, auth) => {
+    if (!placement || !auth?.user) return null;
+    if (placement.software_house_id === auth.user.id) return 'software_house';
+    if (placement.university_id === auth.user.id) return 'university';
+    if (auth.role === 'admin') return 'admin';
+    if (placement.student_id === auth.user.id) return 'student';
+    return null;
+};
+
+const normalizeDate = (value) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Validate a placement update for one side
+ * @param {object} data - Submitted fields
+ * @param {string} side - Result of getPlacementSide
+ * @param {object} current - Current placements row (for date order)
+ * @returns {object} - { values, error }
+ */
+export const normalizePlacementUpdate = (data = {}, side, current = {}) => {
+    const allowed = PLACEMENT_FIELDS[side] || [];
+    const submitted = Object.keys(data).filter(key => data[key] !== undefined);
+    const notAllowed = submitted.filter(key => !allowed.includes(key));
+    if (notAllowed.length > 0) {
+        return { values: null, error: `You cannot change: ${notAllowed.join(', ')}` };
+    }
+    if (submitted.length === 0) {
+        return { values: null, error: 'Nothing to update' };
+    }
+
+    const values = {};
+    for (const key of submitted) {
+        const raw = data[key];
+        const empty = raw === null || raw === '';
+
+        if (DATE_FIELDS.includes(key)) {
+            if (empty) {
+                values[key] = null;
+            } else {
+                const date = normalizeDate(raw);
+                if (!date) return { values: null, error: `${key.replace('_', ' ')} is not a valid date` };
+                values[key] = date;
+            }
+        } else if (TEXT_FIELDS.includes(key)) {
+            values[key] = empty ? null : String(raw).trim() || null;
+        } else if (key === 'supervisor_email') {
+            if (empty) {
+                values.supervisor_email = null;
+            } else if (!isValidEmail(String(raw).trim())) {
+                return { values: null, error: 'Supervisor email is not valid' };
+            } else {
+                values.supervisor_email = String(raw).trim().toLowerCase();
+            }
+        } else if (key === 'attendance_percent') {
+            if (empty) {
+                values.attendance_percent = null;
+            } else {
+                const attendance = Number(raw);
+                if (!Number.isFinite(attendance) || attendance < 0 || attendance > 100) {
+                    return { values: null, error: 'Attendance must be a percentage between 0 and 100' };
+                }
+                values.attendance_percent = Math.round(attendance * 100) / 100;
+            }
+        } else if (key === 'credit_hours') {
+            if (empty) {
+                values.credit_hours = null;
+            } else {
+                const hours = Number(raw);
+                if (!Number.isFinite(hours) || hours < 0 || hours > 999) {
+                    return { values: null, error: 'Credit hours must be a number between 0 and 999' };
+                }
+                values.credit_hours = Math.round(hours * 10) / 10;
+            }
+        } else if (key === 'status') {
+            if (!PLACEMENT_STATUSES[raw]) {
+                return { values: null, error: `Status must be one of: ${Object.keys(PLACEMENT_STATUSES).join(', ')}` };
+            }
+            values.status = raw;
+        } else if (key === 'credit_status') {
+            if (!CREDIT_STATUSES[raw]) {
+                return { values: null, error: `Credit status must be one of: ${Object.keys(CREDIT_STATUSES).join(', ')}` };
+            }
+            values.credit_status = raw;
+        }
+    }
+
+    const startDate = values.start_date !== undefined ? values.start_date : current.start_date;
+    const endDate = values.end_date !== undefined ? values.end_date : current.end_date;
+    if (startDate && endDate && endDate < startDate) {
+        return { values: null, error: 'End date cannot be before the start date' };
+    }
+
+    // Completion is stamped when the status first becomes 'completed'
+    if (values.status && values.status !== current.status) {
+        values.completed_at = values.status === 'completed' ? new Date().toISOString() : null;
+    }
+
+    return { values, error: null };
+};
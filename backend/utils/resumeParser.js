@@ -0,0 +1,676 @@
+// ============================================
+// Resume Parser
+// Extracts text from PDF/DOCX resumes and maps it
+// heuristically into the cv_forms JSON shape
+// ============================================
+
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import mammoth from 'mammoth';
+import { RESUME_MIME_TYPES } from './uploadTypes.js';
+import { CV_PDF_CREATOR } from './cvPdf.js';
+
+export { RESUME_MIME_TYPES, MAX_RESUME_SIZE } from './uploadTypes.js';
+
+/**
+ * Section headings recognised in resumes, mapped to cv_forms keys
+ */
+const SECTION_HEADINGS = {
+    education: ['education', 'academic background', 'academics', 'qualifications', 'academic qualifications'],
+    experience: ['experience', 'work experience', 'professional experience', 'employment', 'employment history', 'internships', 'work history'],
+    projects: ['projects', 'academic projects', 'personal projects', 'key projects'],
+    skills: ['skills', 'technical skills', 'core skills', 'skills & tools', 'skills and tools', 'technologies', 'tools'],
+    certifications: ['certifications', 'certificates', 'courses', 'certifications & courses', 'licenses & certifications'],
+    languages: ['languages', 'language skills'],
+    summary: ['summary', 'profile', 'objective', 'career objective', 'about me', 'professional summary'],
+    other: ['references', 'hobbies', 'interests', 'achievements', 'awards', 'activities', 'extracurricular activities']
+};
+
+const EMAIL_RE = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
+const PHONE_RE = /(\+?\d[\d\s().-]{7,}\d)/;
+const URL_RE = /\b((?:https?:\/\/|www\.)[^\s,;)]+|github\.com\/[^\s,;)]+)/i;
+const YEAR_RE = /\b(19|20)\d{2}\b/g;
+const HAS_YEAR_RE = /\b(19|20)\d{2}\b/;
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE_RANGE_RE = new RegExp(
+    `((?:${MONTH}\\s*)?(?:19|20)\\d{2}|\\d{1,2}\\/(?:19|20)\\d{2})\\s*(?:-|–|—|to)\\s*((?:${MONTH}\\s*)?(?:19|20)\\d{2}|\\d{1,2}\\/(?:19|20)\\d{2}|present|current|now|ongoing)`,
+    'i'
+);
+const GPA_RE = /\b(?:c?gpa|cgpa)\s*[:\-]?\s*(\d+(?:\.\d+)?(?:\s*\/\s*\d+(?:\.\d+)?)?)/i;
+const DEGREE_RE = /\b(b\.?s\.?c?|m\.?s\.?c?|b\.?e|m\.?e|bachelor'?s?|master'?s?|ph\.?d|mba|bba|associate|diploma|intermediate|f\.?sc|i\.?cs|matric(?:ulation)?|a[- ]levels?|o[- ]levels?|high school|ssc|hssc)\b/i;
+const INSTITUTION_RE = /\b(university|college|institute|school|academy|polytechnic)\b/i;
+const BULLET_RE = /^[\s•·▪●◦\-*–]+/;
+
+/**
+ * Layout name for CVs rendered by cvPdf.js (recognised from the PDF Creator)
+ */
+export const CV_PDF_LAYOUT = 'cv-pdf';
+
+// Vertical gap, in line heights, that separates two entries. cvPdf leaves
+// only half a line between entries, less than most resumes.
+const ENTRY_GAP = 1.8;
+const CV_PDF_ENTRY_GAP = 1.45;
+
+// Width of the right-aligned column cvPdf uses for years and durations
+const CV_PDF_META_WIDTH = 120;
+
+/**
+ * Extract text from a PDF, rebuilding lines from text item positions.
+ * A larger vertical gap than usual between lines becomes a blank line
+ * so entries stay separated. In a rendered CV, the right-aligned year or
+ * duration on an entry's title line is split off with a tab.
+ * @param {Buffer} buffer - PDF contents
+ * @returns {Promise<object>} - { text, layout }
+ */
+const extractPdfText = async (buffer) => {
+    const pdf = await getDocument({
+        data: new Uint8Array(buffer),
+        isEvalSupported: false,
+        useSystemFonts: true
+    }).promise;
+
+    const lines = [];
+    let layout = null;
+    try {
+        const { info } = await pdf.getMetadata();
+        if (info?.Creator === CV_PDF_CREATOR) layout = CV_PDF_LAYOUT;
+
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const { items } = await page.getTextContent();
+
+            let metaColumn = Infinity;
+            if (layout) {
+                const left = Math.min(...items.filter(item => item.str.trim()).map(item => item.transform[4]));
+                metaColumn = page.view[2] - left - CV_PDF_META_WIDTH - 1;
+            }
+
+            let current = '';
+            let lastY = null;
+            let lastEnd = null;
+            let lineHeight = 0;
+
+            items.forEach(item => {
+                if (!item.str && !item.hasEOL) return;
+                const [, , , , x, y] = item.transform;
+
+                if (lastY !== null && Math.abs(y - lastY) > 2) {
+                    lines.push(current);
+                    const gap = layout
+                        ? Math.max(lineHeight, item.height) * CV_PDF_ENTRY_GAP
+                        : (lineHeight || item.height || 10) * ENTRY_GAP;
+                    if (Math.abs(lastY - y) > gap) lines.push('');
+                    current = '';
+                    lastEnd = null;
+                } else if (lastEnd !== null && x >= metaColumn && current.trim() && item.str.trim()) {
+                    current += '\t';
+                } else if (lastEnd !== null && x - lastEnd > 1 && current && !current.endsWith(' ') && !item.str.startsWith(' ')) {
+                    current += ' ';
+                }
+
+                current += item.str;
+                lastY = y;
+                lastEnd = x + (item.width || 0);
+                if (item.height) lineHeight = item.height;
+            });
+
+            lines.push(current, '');
+            page.cleanup();
+        }
+    } finally {
+        await pdf.destroy();
+    }
+
+    return { text: lines.join('\n'), layout };
+};
+
+/**
+ * Extract plain text from an uploaded resume
+ * @param {Buffer} buffer - File contents
+ * @param {string} mimetype - Uploaded MIME type
+ * @returns {Promise<object>} - { text, layout } (layout is CV_PDF_LAYOUT for our own CVs, otherwise null)
+ */
+export const extractResumeText = async (buffer, mimetype) => {
+    const kind = RESUME_MIME_TYPES[mimetype];
+    if (kind === 'pdf') {
+        return extractPdfText(buffer);
+    }
+    if (kind === 'docx') {
+        const { value } = await mammoth.extractRawText({ buffer });
+        return { text: value || '', layout: null };
+    }
+    throw new Error('Unsupported file type. Please upload a PDF or DOCX resume.');
+};
+
+/**
+ * Identify a section heading line
+ * @param {string} line - Trimmed line
+ * @returns {string|null} - Section key or null
+ */
+const detectHeading = (line) => {
+    const cleaned = line.replace(/[:|]+$/, '').replace(BULLET_RE, '').trim().toLowerCase();
+    if (!cleaned || cleaned.length > 40) return null;
+    for (const [section, headings] of Object.entries(SECTION_HEADINGS)) {
+        if (headings.includes(cleaned)) return section;
+    }
+    return null;
+};
+
+/**
+ * Split resume text into a header block and named sections.
+ * Rendered CVs keep the tab before an entry's meta column and only
+ * treat upper-case lines as headings.
+ * @param {string} text - Resume text
+ * @param {string|null} layout - CV_PDF_LAYOUT or null
+ * @returns {object} - { header: string[], sections: { [key]: string[] } }
+ */
+export const splitSections = (text, layout = null) => {
+    const lines = String(text || '')
+        .replace(/\r/g, '')
+        .split('\n')
+        .map(l => (layout === CV_PDF_LAYOUT
+            ? l.replace(/[^\S\t]+/g, ' ').replace(/ ?\t\s*/g, '\t')
+            : l.replace(/\s+/g, ' ')
+        ).trim());
+
+    const header = [];
+    const sections = {};
+    let current = null;
+
+    lines.forEach(line => {
+        const isHeadingLine = line && (layout !== CV_PDF_LAYOUT || line === line.toUpperCase());
+        const heading = isHeadingLine ? detectHeading(line) : null;
+        if (heading) {
+            current = heading;
+            sections[current] = sections[current] || [];
+            return;
+        }
+        if (current) sections[current].push(line);
+        else if (line) header.push(line);
+    });
+
+    return { header, sections };
+};
+
+/**
+ * Group section lines into entries separated by blank lines or date ranges
+ * @param {string[]} lines - Section lines
+ * @returns {string[][]} - Entries
+ */
+const groupEntries = (lines = []) => {
+    const entries = [];
+    let current = [];
+
+    const flush = () => {
+        if (current.length > 0) entries.push(current);
+        current = [];
+    };
+
+    lines.forEach(line => {
+        if (!line) {
+            flush();
+            return;
+        }
+        const isBullet = BULLET_RE.test(line) && line.replace(BULLET_RE, '') !== line;
+        // A new dated, non-bullet line after a description starts a new entry
+        if (!isBullet && current.length > 1 && (DATE_RANGE_RE.test(line) || (HAS_YEAR_RE.test(line) && line.length < 80))) {
+            flush();
+        }
+        current.push(line);
+    });
+    flush();
+
+    return entries;
+};
+
+/**
+ * Split a list-like section (skills, languages) into items
+ * @param {string[]} lines - Section lines
+ * @returns {string[]}
+ */
+const splitList = (lines = []) => {
+    const items = lines
+        .map(l => l.replace(BULLET_RE, '').replace(/^[^:]{1,30}:\s*/, ''))
+        .join(',')
+        .split(/[,;|•·]/)
+        .map(s => s.trim())
+        .filter(s => s && s.length <= 40);
+    return [...new Set(items)];
+};
+
+/**
+ * Strip dates, GPA and trailing separators from a heading-like line
+ * @param {string} line
+ * @returns {string}
+ */
+const cleanField = (line = '') => line
+    .replace(DATE_RANGE_RE, '')
+    .replace(GPA_RE, '')
+    .replace(/[,(]?\s*\b(19|20)\d{2}\b\)?\s*$/, '')
+    .replace(/[\s,|–-]+$/, '')
+    .trim();
+
+/**
+ * Last four-digit year mentioned in a text (usually the end/graduation year)
+ * @param {string} text
+ * @returns {string}
+ */
+const lastYear = (text) => {
+    const years = (text.match(YEAR_RE) || []);
+    return years.length > 0 ? years[years.length - 1] : '';
+};
+
+/**
+ * Personal details from the lines above the first section heading
+ * @param {string[]} headerLines - Lines before the first heading
+ * @param {string} fullText - Whole resume text (for email/DOB anywhere)
+ * @returns {object} - { personal, confidence }
+ */
+const parsePersonal = (headerLines, fullText) => {
+    const personal = { name: '', email: '', phone: '', address: '', date_of_birth: '' };
+    const confidence = {};
+    // Contact details are often on one line separated by pipes or bullets
+    const header = headerLines.flatMap(l => l.split(/\s+[|•·]\s+/)).map(l => l.trim()).filter(Boolean);
+
+    const email = fullText.match(EMAIL_RE);
+    if (email) {
+        personal.email = email[0];
+        confidence['personal.email'] = 'high';
+    }
+
+    const phoneLine = header.find(l => PHONE_RE.test(l) && !DATE_RANGE_RE.test(l)) ||
+        fullText.split('\n').find(l => /phone|mobile|cell|contact/i.test(l) && PHONE_RE.test(l));
+    if (phoneLine) {
+        personal.phone = phoneLine.match(PHONE_RE)[1].trim();
+        confidence['personal.phone'] = /phone|mobile|cell|\+/i.test(phoneLine) ? 'high' : 'medium';
+    }
+
+    const nameLine = header.find(l =>
+        !EMAIL_RE.test(l) && !PHONE_RE.test(l) && !URL_RE.test(l) &&
+        /^[A-Za-z][A-Za-z.'\- ]+$/.test(l) && l.split(' ').length >= 2 && l.split(' ').length <= 5
+    );
+    if (nameLine) {
+        personal.name = nameLine.replace(/\b([a-z])/g, c => c.toUpperCase());
+        confidence['personal.name'] = header.indexOf(nameLine) === 0 ? 'high' : 'medium';
+    }
+
+    const addressLine = header.find(l => /^address\s*[:\-]/i.test(l)) ||
+        header.find(l => l !== nameLine && !EMAIL_RE.test(l) && !PHONE_RE.test(l) && !URL_RE.test(l) && l.includes(',') && l.length < 100);
+    if (addressLine) {
+        personal.address = addressLine.replace(/^address\s*[:\-]\s*/i, '');
+        confidence['personal.address'] = /^address/i.test(addressLine) ? 'medium' : 'low';
+    }
+
+    const dob = fullText.match(/(?:date of birth|dob|born)\s*[:\-]?\s*(\d{4}-\d{2}-\d{2}|\d{1,2}[/.-]\d{1,2}[/.-]\d{4})/i);
+    if (dob) {
+        const raw = dob[1];
+        const parts = raw.includes('-') && raw.length === 10 && raw[4] === '-'
+            ? raw.split('-')
+            : raw.split(/[/.-]/).reverse();
+        if (parts.length === 3) {
+            personal.date_of_birth = `${parts[0]}-${parts[1].padStart(2, '0')}-${parts[2].padStart(2, '0')}`;
+            confidence['personal.date_of_birth'] = 'medium';
+        }
+    }
+
+    return { personal, confidence };
+};
+
+/**
+ * Education entries: degree, institution, year and GPA
+ * @param {string[]} lines - Section lines
+ * @returns {Array<{item: object, confidence: string}>}
+ */
+const parseEducation = (lines) => groupEntries(lines).map(entry => {
+    const text = entry.join(' ');
+    const degreeLine = entry.find(l => DEGREE_RE.test(l)) || '';
+    const institutionLine = entry.find(l => INSTITUTION_RE.test(l)) || '';
+    const gpa = text.match(GPA_RE);
+
+    const item = {
+        institution: cleanField(institutionLine),
+        degree: cleanField(degreeLine && degreeLine !== institutionLine ? degreeLine : entry[0]),
+        year: lastYear(text),
+        gpa: gpa ? gpa[1].replace(/\s+/g, '') : ''
+    };
+    const found = [item.institution && institutionLine, item.degree && degreeLine, item.year].filter(Boolean).length;
+    return { item, confidence: found >= 3 ? 'high' : found === 2 ? 'medium' : 'low' };
+}).filter(({ item }) => item.institution || item.degree);
+
+/**
+ * Experience entries: "Role at Company", "Role | Company" or role/company on two lines
+ * @param {string[]} lines - Section lines
+ * @returns {Array<{item: object, confidence: string}>}
+ */
+const parseExperience = (lines) => groupEntries(lines).map(entry => {
+    const [first, ...rest] = entry;
+    const dateLine = entry.find(l => DATE_RANGE_RE.test(l)) || '';
+    const range = dateLine.match(DATE_RANGE_RE);
+    const titleLine = cleanField(first);
+
+    let role = titleLine;
+    let company = '';
+    const split = titleLine.match(/^(.+?)\s+(?:at|@)\s+(.+)$/i) || titleLine.match(/^(.+?)(?:\s+[–-]\s+|\s*[|,]\s*)(.+)$/);
+    if (split) {
+        role = split[1].trim();
+        company = split[2].trim();
+    } else if (rest[0] && !BULLET_RE.test(rest[0]) && rest[0].length < 80) {
+        company = cleanField(rest[0]);
+        rest.shift();
+    }
+
+    const description = rest
+        .filter(l => l !== dateLine || l.replace(DATE_RANGE_RE, '').trim())
+        .map(l => l.replace(DATE_RANGE_RE, '').replace(BULLET_RE, '').trim())
+        .filter(Boolean)
+        .join('\n');
+
+    const item = { company, role, duration: range ? `${range[1]} - ${range[2]}` : '', description };
+    const found = [role, company, item.duration].filter(Boolean).length;
+    return { item, confidence: found >= 3 ? 'high' : found === 2 ? 'medium' : 'low' };
+}).filter(({ item }) => item.role || item.company);
+
+/**
+ * Project entries with technologies from a "Technologies:" line or the title's parentheses
+ * @param {string[]} lines - Section lines
+ * @returns {Array<{item: object, confidence: string}>}
+ */
+const parseProjects = (lines) => groupEntries(lines).map(entry => {
+    const [first, ...rest] = entry;
+    const text = entry.join('\n');
+    const link = text.match(URL_RE);
+
+    let technologies = [];
+    const techLine = rest.find(l => /^(?:[•·\-*\s]*)(tech(?:nologies|nology| stack)?|tools|built with|stack)\s*[:\-]/i.test(l));
+    if (techLine) {
+        technologies = techLine.replace(/^[^:\-]*[:\-]\s*/, '').split(/[,;|]/).map(s => s.trim()).filter(Boolean);
+    } else {
+        const inTitle = first.match(/\(([^)]+)\)/);
+        if (inTitle) technologies = inTitle[1].split(/[,;|]/).map(s => s.trim()).filter(Boolean);
+    }
+
+    const item = {
+        title: cleanField(first.replace(/\(([^)]+)\)/, '').replace(URL_RE, '').replace(BULLET_RE, '')),
+        description: rest
+            .filter(l => l !== techLine)
+            .map(l => l.replace(URL_RE, '').replace(BULLET_RE, '').trim())
+            .filter(Boolean)
+            .join('\n'),
+        technologies,
+        link: link ? (link[1].startsWith('http') ? link[1] : `https://${link[1]}`) : ''
+    };
+    return { item, confidence: technologies.length > 0 && item.description ? 'medium' : 'low' };
+}).filter(({ item }) => item.title);
+
+/**
+ * One certification per line: "Name - Issuer, Year"
+ * @param {string[]} lines - Section lines
+ * @returns {Array<{item: object, confidence: string}>}
+ */
+const parseCertifications = (lines) => lines.filter(Boolean).map(line => {
+    const text = line.replace(BULLET_RE, '').trim();
+    const date = lastYear(text);
+    const withoutDate = text.replace(/[(,\-–]?\s*(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s*)?(19|20)\d{2}\)?\s*$/i, '').trim();
+    const split = withoutDate.match(/^(.+?)(?:\s+[–-]\s+|\s*[|,]\s*|\s+by\s+|\s+from\s+)(.+)$/i);
+    const item = {
+        name: split ? split[1].trim() : withoutDate,
+        issuer: split ? split[2].trim() : '',
+        date
+    };
+    return { item, confidence: item.issuer ? 'medium' : 'low' };
+}).filter(({ item }) => item.name);
+
+/**
+ * Languages with optional proficiency: "English (Fluent)" or "Urdu - Native"
+ * @param {string[]} lines - Section lines
+ * @returns {Array<{item: object, confidence: string}>}
+ */
+const parseLanguages = (lines) => splitList(lines).map(entry => {
+    const match = entry.match(/^(.+?)\s*(?:\((.+)\)|[:\-–]\s*(.+))$/);
+    const item = match
+        ? { language: match[1].trim(), proficiency: (match[2] || match[3] || '').trim() }
+        : { language: entry, proficiency: '' };
+    return { item, confidence: item.proficiency ? 'high' : 'medium' };
+});
+
+// CVs rendered by cvPdf.js: every entry is a title with its year or duration
+// right-aligned, then an optional subtitle line, the body and a last line
+
+/**
+ * Split lines into entries at blank lines only
+ * @param {string[]} lines - Section lines
+ * @returns {string[][]} - Entries
+ */
+const splitOnBlankLines = (lines = []) => lines
+    .join('\n')
+    .split(/\n{2,}/)
+    .map(block => block.split('\n').filter(Boolean))
+    .filter(entry => entry.length > 0);
+
+/**
+ * Title, meta column and the remaining lines of a rendered entry
+ * @param {string[]} entry - Entry lines
+ * @returns {object} - { title, meta, rest }
+ */
+const splitCVPdfEntry = ([first, ...rest]) => {
+    const tab = first.lastIndexOf('\t');
+    const untab = (line) => line.replace(/\t/g, ' ');
+    return {
+        title: untab(tab === -1 ? first : first.slice(0, tab)).trim(),
+        meta: tab === -1 ? '' : first.slice(tab + 1).trim(),
+        rest: rest.map(untab)
+    };
+};
+
+/**
+ * Rejoin text that was wrapped to the page width; bullet lines stay on their own line
+ * @param {string[]} lines
+ * @returns {string}
+ */
+const joinWrapped = (lines) => lines.reduce((text, line) => {
+    if (!text) return line;
+    return BULLET_RE.test(line) && /^\S+\s/.test(line) ? `${text}\n${line}` : `${text} ${line}`;
+}, '');
+
+/**
+ * Items of a list rendered as "A  •  B  •  C", which may wrap over several lines
+ * @param {string[]} lines - Section lines
+ * @returns {string[]}
+ */
+const splitCVPdfList = (lines = []) => lines
+    .filter(Boolean)
+    .join(' ')
+    .split(/\s*•\s*/)
+    .map(s => s.trim())
+    .filter(Boolean);
+
+/**
+ * A rendered technologies line: short comma-separated names without sentence punctuation
+ * @param {string} line
+ * @returns {boolean}
+ */
+const isTechnologyList = (line = '') => !/[.!?:]$/.test(line) && !URL_RE.test(line) &&
+    line.replace(/,$/, '').split(',').every(part => part.trim() && part.trim().split(' ').length <= 3);
+
+/**
+ * Name above a "email  |  phone  |  address" contact line
+ * @param {string[]} headerLines - Lines before the first section heading
+ * @returns {object} - { personal, confidence }
+ */
+const parseCVPdfPersonal = ([name = '', ...contactLines]) => {
+    const personal = { name: '', email: '', phone: '', address: '', date_of_birth: '' };
+    const confidence = {};
+    // cvPdf prints this placeholder when the CV has no name
+    if (name !== 'Curriculum Vitae') personal.name = name;
+
+    const address = [];
+    contactLines.join(' ').split(' | ').map(part => part.trim()).filter(Boolean).forEach(part => {
+        if (!personal.email && EMAIL_RE.test(part) && !part.includes(' ')) personal.email = part;
+        else if (!personal.phone && address.length === 0 && /^\+?[\d\s().-]{7,}$/.test(part)) personal.phone = part;
+        else address.push(part);
+    });
+    personal.address = address.join(' | ');
+
+    Object.entries(personal).forEach(([field, value]) => {
+        if (value) confidence[`personal.${field}`] = 'high';
+    });
+    return { personal, confidence };
+};
+
+/**
+ * Degree [year] / institution / "GPA: x"
+ * @param {string[]} lines - Section lines
+ * @returns {Array<{item: object, confidence: string}>}
+ */
+const parseCVPdfEducation = (lines) => splitOnBlankLines(lines).map(entry => {
+    const { title, meta, rest } = splitCVPdfEntry(entry);
+    const gpaLine = rest.length > 0 && /^GPA: /.test(rest[rest.length - 1]) ? rest.pop() : '';
+    const item = { institution: rest.join(' '), degree: title, year: meta, gpa: gpaLine.slice(5).trim() };
+    return { item, confidence: 'high' };
+});
+
+/**
+ * Role [duration] / company / description
+ * @param {string[]} lines - Section lines
+ * @returns {Array<{item: object, confidence: string}>}
+ */
+const parseCVPdfExperience = (lines) => splitOnBlankLines(lines).map(entry => {
+    const { title, meta, rest: [company = '', ...description] } = splitCVPdfEntry(entry);
+    const item = { company, role: title, duration: meta, description: joinWrapped(description) };
+    return { item, confidence: 'high' };
+});
+
+/**
+ * Title / technologies / description / link
+ * @param {string[]} lines - Section lines
+ * @returns {Array<{item: object, confidence: string}>}
+ */
+const parseCVPdfProjects = (lines) => splitOnBlankLines(lines).map(entry => {
+    const { title, rest } = splitCVPdfEntry(entry);
+
+    let technologies = [];
+    if (rest.length > 0 && isTechnologyList(rest[0])) {
+        let techText = rest.shift();
+        // A long list wraps after one of its commas
+        while (techText.endsWith(',') && rest.length > 0) techText += ` ${rest.shift()}`;
+        technologies = techText.split(',').map(s => s.trim()).filter(Boolean);
+    }
+    const lastLine = rest[rest.length - 1] || '';
+    const link = rest.length > 0 && URL_RE.test(lastLine) && !lastLine.includes(' ') ? rest.pop() : '';
+
+    const item = { title, description: joinWrapped(rest), technologies, link };
+    return { item, confidence: 'high' };
+});
+
+/**
+ * Name [date] / issuer
+ * @param {string[]} lines - Section lines
+ * @returns {Array<{item: object, confidence: string}>}
+ */
+const parseCVPdfCertifications = (lines) => splitOnBlankLines(lines).map(entry => {
+    const { title, meta, rest } = splitCVPdfEntry(entry);
+    return { item: { name: title, issuer: rest.join(' '), date: meta }, confidence: 'high' };
+});
+
+/**
+ * "Language (Proficiency)" list items
+ * @param {string[]} lines - Section lines
+ * @returns {Array<{item: object, confidence: string}>}
+ */
+const parseCVPdfLanguages = (lines) => splitCVPdfList(lines).map(entry => {
+    const match = entry.match(/^(.+?) \((.+)\)$/);
+    const item = match ? { language: match[1], proficiency: match[2] } : { language: entry, proficiency: '' };
+    return { item, confidence: 'high' };
+});
+
+/**
+ * Section parsers for other resumes and for rendered CVs
+ */
+const PARSERS = {
+    personal: parsePersonal,
+    list: splitList,
+    education: parseEducation,
+    experience: parseExperience,
+    projects: parseProjects,
+    certifications: parseCertifications,
+    languages: parseLanguages
+};
+
+const CV_PDF_PARSERS = {
+    personal: parseCVPdfPersonal,
+    list: splitCVPdfList,
+    education: parseCVPdfEducation,
+    experience: parseCVPdfExperience,
+    projects: parseCVPdfProjects,
+    certifications: parseCVPdfCertifications,
+    languages: parseCVPdfLanguages
+};
+
+/**
+ * Map resume text into the cv_forms shape
+ * @param {string} text - Resume text
+ * @param {string|null} layout - CV_PDF_LAYOUT for CVs rendered by cvPdf.js
+ * @returns {object} - { cv, confidence, warnings }
+ *   confidence maps field paths (e.g. 'personal.email', 'education.0') to high/medium/low
+ */
+export const parseResumeText = (text, layout = null) => {
+    const { header, sections } = splitSections(text, layout);
+    const parsers = layout === CV_PDF_LAYOUT ? CV_PDF_PARSERS : PARSERS;
+    const warnings = [];
+
+    const { personal, confidence } = parsers.personal(header, text);
+
+    const collect = (key, parser) => {
+        const parsed = sections[key] ? parser(sections[key]) : [];
+        parsed.forEach(({ confidence: level }, index) => {
+            confidence[`${key}.${index}`] = level;
+        });
+        return parsed.map(({ item }) => item);
+    };
+
+    const education = collect('education', parsers.education);
+    const experience = collect('experience', parsers.experience);
+    const projects = collect('projects', parsers.projects);
+    const certifications = collect('certifications', parsers.certifications);
+    const languages = collect('languages', parsers.languages);
+
+    const skills = parsers.list(sections.skills);
+    if (skills.length > 0) confidence.skills = skills.length >= 3 ? 'high' : 'medium';
+
+    // Technologies mentioned in projects help fill a sparse skills section
+    if (skills.length === 0) {
+        const fromProjects = [...new Set(projects.flatMap(p => p.technologies))];
+        if (fromProjects.length > 0) {
+            skills.push(...fromProjects);
+            confidence.skills = 'low';
+            warnings.push('No skills section found; skills were taken from project technologies.');
+        }
+    }
+
+    if (!personal.name) warnings.push('Could not find your name. Please enter it manually.');
+    if (!personal.email) warnings.push('Could not find an email address.');
+    if (!personal.phone) warnings.push('Could not find a phone number.');
+    if (education.length === 0) warnings.push('No education section found.');
+    if (Object.keys(sections).length === 0) {
+        warnings.push('No section headings were recognised; most fields will need to be entered manually.');
+    }
+
+    return {
+        cv: { personal, education, skills, experience, projects, certifications, languages },
+        confidence,
+        warnings
+    };
+};
+
+/**
+ * Extract and parse an uploaded resume
+ * @param {Buffer} buffer - File contents
+ * @param {string} mimetype - Uploaded MIME type
+ * @returns {Promise<object>} - { cv, confidence, warnings, textLength }
+ */
+export const parseResume = async (buffer, mimetype) => {
+    const { text, layout } = await extractResumeText(buffer, mimetype);
+    if (!text.trim()) {
+        throw new Error('No text could be read from this file. Scanned resumes are not supported.');
+    }
+    return { ...parseResumeText(text, layout), textLength: text.length };
+};
@@ -0,0 +1,159 @@
+// ============================================
+// Screening Question Utilities
+// Validates the screening questions on a posting and the
+// answers submitted with an application
+// ============================================
+
+/**
+ * Supported question types
+ */
+export const SCREENING_QUESTION_TYPES = {
+    text: 'Free text',
+    multiple_choice: 'Multiple choice',
+    yes_no: 'Yes / No',
+    number: 'Number'
+};
+
+export const MAX_SCREENING_QUESTIONS = 10;
+export const MAX_COVER_LETTER_LENGTH = 5000;
+export const MAX_TEXT_ANSWER_LENGTH = 1000;
+
+/**
+ * Clean up and validate the screening questions for a posting
+ * @param {Array} questions - Questions as submitted by the software house
+ * @returns {object} - { questions, error }
+ */
+export const normalizeScreeningQuestions = (questions) => {
+    if (questions === undefined || questions === null) return { questions: [], error: null };
+    if (!Array.isArray(questions)) return { questions: null, error: 'Screening questions must be a list' };
+    if (questions.length > MAX_SCREENING_QUESTIONS) {
+        return { questions: null, error: `A posting can have at most ${MAX_SCREENING_QUESTIONS} screening questions` };
+    }
+
+    const normalized = [];
+    for (let index = 0; index < questions.length; index++) {
+        const q = questions[index] || {};
+        const label = `Question ${index + 1}`;
+        const prompt = String(q.prompt || '').trim();
+
+        if (!SCREENING_QUESTION_TYPES[q.type]) return { questions: null, error: `${label}: unknown question type` };
+        if (!prompt) return { questions: null, error: `${label}: question text is required` };
+
+        const question = {
+            id: String(q.id || `q${index + 1}`),
+            type: q.type,
+            prompt,
+            required: q.required !== false
+        };
+
+        if (q.type === 'multiple_choice') {
+            const options = [...new Set((q.options || []).map(o => String(o).trim()).filter(Boolean))];
+            if (options.length < 2) return { questions: null, error: `${label}: add at least two options` };
+            question.options = options;
+        }
+
+        if (q.type === 'yes_no') {
+            question.knockout = !!q.knockout;
+            if (question.knockout) {
+                question.expected_answer = q.expected_answer === 'no' ? 'no' : 'yes';
+                // A knockout question always needs an answer
+                question.required = true;
+            }
+        }
+
+        if (q.type === 'number') {
+            const min = q.min === '' || q.min === null || q.min === undefined ? null : Number(q.min);
+            const max = q.max === '' || q.max === null || q.max === undefined ? null : Number(q.max);
+            if (Number.isNaN(min) || Number.isNaN(max)) return { questions: null, error: `${label}: limits must be numbers` };
+            if (min !== null && max !== null && min > max) return { questions: null, error: `${label}: minimum is greater than maximum` };
+            question.min = min;
+            question.max = max;
+        }
+
+        normalized.push(question);
+    }
+
+    const ids = new Set(normalized.map(q => q.id));
+    if (ids.size !== normalized.length) return { questions: null, error: 'Screening question IDs must be unique' };
+
+    return { questions: normalized, error: null };
+};
+
+/**
+ * Check answers against a posting's questions
+ * @param {Array} questions - internships.screening_questions
+ * @param {object} answers - { [questionId]: answer }
+ * @returns {object} - { [questionId]: error message } (empty when valid)
+ */
+export const validateScreeningAnswers = (questions, answers = {}) => {
+    const errors = {};
+
+    (questions || []).forEach(q => {
+        const raw = answers?.[q.id];
+        const value = raw === undefined || raw === null ? '' : String(raw).trim();
+
+        if (!value) {
+            if (q.required) errors[q.id] = 'This question is required';
+            return;
+        }
+
+        if (q.type === 'text' && value.length > MAX_TEXT_ANSWER_LENGTH) {
+            errors[q.id] = `Keep your answer under ${MAX_TEXT_ANSWER_LENGTH} characters`;
+        } else if (q.type === 'multiple_choice' && !(q.options || []).includes(value)) {
+            errors[q.id] = 'Choose one of the options';
+        } else if (q.type === 'yes_no' && value !== 'yes' && value !== 'no') {
+            errors[q.id] = 'Answer yes or no';
+        } else if (q.type === 'number') {
+            const number = Number(value);
+            if (Number.isNaN(number)) {
+                errors[q.id] = 'Enter a number';
+            } else if (q.min !== null && q.min !== undefined && number < q.min) {
+                errors[q.id] = `Must be at least ${q.min}`;
+            } else if (q.max !== null && q.max !== undefined && number > q.max) {
+                errors[q.id] = `Must be at most ${q.max}`;
+            }
+        }
+    });
+
+    return errors;
+};
+
+/**
+ * Snapshot answers with their questions for applications.screening_answers
+ * (so later edits to the posting do not change what the applicant saw)
+ * @param {Array} questions - internships.screening_questions
+ * @param {object} answers - { [questionId]: answer }
+ * @returns {Array} - [{ question_id, type, prompt, answer }]
+ */
+export const buildScreeningAnswers = (questions, answers = {}) =>
+    (questions || []).map(q => {
+        const raw = answers?.[q.id];
+        const value = raw === undefined || raw === null ? '' : String(raw).trim();
+        return {
+            question_id: q.id,
+            type: q.type,
+            prompt: q.prompt,
+            answer: value === '' ? null : q.type === 'number' ? Number(value) : value
+        };
+    });
+
+/**
+ * Evaluate knockout questions (mirrors evaluate_application_screening()
+ * in database/add_application_screening.sql)
+ * @param {Array} questions - internships.screening_questions
+ * @param {Array} screeningAnswers - Result of buildScreeningAnswers
+ * @returns {object} - { passed: boolean|null, failed: string[] }
+ */
+export const evaluateKnockouts = (questions, screeningAnswers = []) => {
+    const knockouts = (questions || []).filter(q => q.type === 'yes_no' && q.knockout);
+    if (knockouts.length === 0) return { passed: null, failed: [] };
+
+    const failed = knockouts
+        .filter(q => {
+            const given = screeningAnswers.find(a => a.question_id === q.id)?.answer;
+            return String(given || '').toLowerCase() !== (q.expected_answer || 'yes');
+        })
+        .map(q => q.prompt);
+
+    return { passed: failed.length === 0, failed };
+};
@@ -0,0 +1,275 @@
+// ============================================
+// Skill Matching Utilities
+// Compares a student's CV skills with an internship's
+// required skills and free-text requirements
+// ============================================
+
+/**
+ * Common spellings mapped to one canonical skill name
+ */
+export const SKILL_ALIASES = {
+    'js': 'javascript',
+    'es6': 'javascript',
+    'ts': 'typescript',
+    'reactjs': 'react',
+    'react.js': 'react',
+    'node': 'node.js',
+    'nodejs': 'node.js',
+    'expressjs': 'express',
+    'express.js': 'express',
+    'vuejs': 'vue',
+    'vue.js': 'vue',
+    'nextjs': 'next.js',
+    'postgres': 'postgresql',
+    'mongo': 'mongodb',
+    'py': 'python',
+    'c sharp': 'c#',
+    'csharp': 'c#',
+    'cpp': 'c++',
+    'golang': 'go',
+    'k8s': 'kubernetes',
+    'ml': 'machine learning',
+    'tailwindcss': 'tailwind',
+    'tailwind css': 'tailwind',
+    'html5': 'html',
+    'css3': 'css'
+};
+
+/**
+ * Normalize a skill name for comparison
+ * @param {string} skill - Raw skill name
+ * @returns {string} - Canonical lowercase skill name
+ */
+export const normalizeSkill = (skill) => {
+    if (!skill) return '';
+    const key = String(skill).toLowerCase().trim().replace(/\s+/g, ' ');
+    return SKILL_ALIASES[key] || key;
+};
+
+/**
+ * Collect the distinct skills on a CV (skills list plus project technologies)
+ * @param {object} cvForm - cv_forms row (or applications.cv_data)
+ * @returns {string[]} - Skills as written on the CV, de-duplicated
+ */
+export const collectCVSkills = (cvForm) => {
+    if (!cvForm) return [];
+
+    const projects = Array.isArray(cvForm.projects) ? cvForm.projects : [];
+    const raw = [
+        ...(Array.isArray(cvForm.skills) ? cvForm.skills : []),
+        ...projects.flatMap(p => (Array.isArray(p?.technologies) ? p.technologies : []))
+    ];
+
+    const seen = new Set();
+    return raw.filter(skill => {
+        const key = normalizeSkill(skill);
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+};
+
+/**
+ * Check whether free text mentions a skill as a whole word
+ * @param {string} text - Text to search
+ * @param {string} skill - Skill name
+ * @returns {boolean}
+ */
+const mentionsSkill = (text, skill) => {
+    const escaped = skill.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9+#.])${escaped}($|[^a-z0-9+#])`, 'i').test(text);
+};
+
+/**
+ * Format a list for an explanation sentence ("A", "A and B", "A, B and C")
+ * @param {string[]} items
+ * @returns {string}
+ */
+const formatList = (items) => {
+    if (items.length <= 1) return items.join('');
+    return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+};
+
+/**
+ * Score how well a set of skills matches an internship.
+ * Required skills (internships.skills) make up the score; CV skills that
+ * are also mentioned in the requirements text add a small bonus.
+ * @param {string[]} candidateSkills - Skills from the CV
+ * @param {object} internship - Internship with skills and requirements
+ * @returns {object} - { score, matched, missing, bonus, required, explanation }
+ */
+export const matchSkills = (candidateSkills, internship) => {
+    const candidate = new Map();
+    (candidateSkills || []).forEach(skill => {
+        const key = normalizeSkill(skill);
+        if (key) candidate.set(key, skill);
+    });
+
+    const required = [];
+    const requiredKeys = new Set();
+    (internship?.skills || []).forEach(skill => {
+        const key = normalizeSkill(skill);
+        if (!key || requiredKeys.has(key)) return;
+        requiredKeys.add(key);
+        required.push(skill);
+    });
+
+    const matched = required.filter(skill => candidate.has(normalizeSkill(skill)));
+    const missing = required.filter(skill => !candidate.has(normalizeSkill(skill)));
+
+    const requirementsText = internship?.requirements || '';
+    const bonus = requirementsText
+        ? [...candidate.entries()]
+            .filter(([key]) => !requiredKeys.has(key) && mentionsSkill(requirementsText, key))
+            .map(([, skill]) => skill)
+        : [];
+
+    let score;
+    if (required.length > 0) {
+        score = Math.round((matched.length / required.length) * 100) + bonus.length * 5;
+    } else {
+        score = bonus.length * 20;
+    }
+    score = Math.min(100, score);
+
+    let explanation;
+    if (required.length > 0) {
+        explanation = `Matches ${matched.length}/${required.length} required skill${required.length === 1 ? '' : 's'}`;
+        explanation += missing.length > 0 ? `, missing ${formatList(missing)}` : ', no gaps';
+    } else {
+        explanation = 'No required skills listed';
+    }
+    if (bonus.length > 0) {
+        explanation += `; requirements also mention ${formatList(bonus)}`;
+    }
+
+    return { score, matched, missing, bonus, required, explanation };
+};
+
+/**
+ * Rank internships for a CV, best match first
+ * @param {object} cvForm - cv_forms row
+ * @param {Array} internships - Internships to rank
+ * @param {object} options - { limit, minScore }
+ * @returns {Array} - [{ internship, score, matched, missing, bonus, explanation }]
+ */
+export const rankInternships = (cvForm, internships, options = {}) => {
+    const { limit = 0, minScore = 1 } = options;
+    const skills = collectCVSkills(cvForm);
+    if (skills.length === 0) return [];
+
+    const ranked = (internships || [])
+        .map(internship => {
+            const { required, ...match } = matchSkills(skills, internship);
+            return { internship, ...match };
+        })
+        .filter(r => r.score >= minScore)
+        .sort((a, b) =>
+            b.score - a.score ||
+            b.matched.length - a.matched.length ||
+            new Date(b.internship.created_at || 0) - new Date(a.internship.created_at || 0)
+        );
+
+    return limit > 0 ? ranked.slice(0, limit) : ranked;
+};
+
+/**
+ * Weights for each part of a candidate score (components without data,
+ * e.g. a CV with no GPA, are left out and the rest re-weighted)
+ */
+export const CANDIDATE_SCORE_WEIGHTS = {
+    skills: 60,
+    projects: 15,
+    experience: 15,
+    education: 10
+};
+
+/**
+ * Parse a GPA string ("3.4", "3.4/4", "82%", "8.1/10") into a 0-1 ratio
+ * @param {string|number} gpa - GPA as entered on the CV
+ * @returns {number|null} - Ratio, or null if it cannot be read
+ */
+export const parseGPA = (gpa) => {
+    if (gpa === null || gpa === undefined || gpa === '') return null;
+    const text = String(gpa).trim();
+
+    const fraction = text.match(/^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)/);
+    if (fraction) {
+        const value = parseFloat(fraction[1]);
+        const scale = parseFloat(fraction[2]);
+        return scale > 0 ? Math.min(1, value / scale) : null;
+    }
+
+    const value = parseFloat(text);
+    if (Number.isNaN(value) || value < 0) return null;
+    if (text.includes('%') || value > 10) return Math.min(1, value / 100);
+    if (value <= 4) return value / 4;
+    if (value <= 5) return value / 5;
+    return value / 10;
+};
+
+/**
+ * Score an applicant's CV snapshot against an internship.
+ * Combines skill coverage with relevant projects, relevant experience
+ * and the best GPA on the CV.
+ * @param {object} cvData - applications.cv_data snapshot
+ * @param {object} internship - Internship with skills and requirements
+ * @returns {object} - { score, breakdown, matched, missing, bonus, gpa, explanation }
+ */
+export const scoreCandidate = (cvData, internship) => {
+    const skillMatch = matchSkills(collectCVSkills(cvData), internship);
+    const requiredKeys = skillMatch.required.map(normalizeSkill);
+
+    const isRelevant = (text, technologies = []) =>
+        technologies.some(t => requiredKeys.includes(normalizeSkill(t))) ||
+        (!!text && requiredKeys.some(key => mentionsSkill(text, key)));
+
+    const projects = Array.isArray(cvData?.projects) ? cvData.projects : [];
+    const relevantProjects = projects.filter(p =>
+        isRelevant(`${p?.title || ''} ${p?.description || ''}`, Array.isArray(p?.technologies) ? p.technologies : [])
+    );
+
+    const experience = Array.isArray(cvData?.experience) ? cvData.experience : [];
+    const relevantExperience = experience.filter(e =>
+        isRelevant(`${e?.role || ''} ${e?.description || ''}`)
+    );
+
+    const gpas = (Array.isArray(cvData?.education) ? cvData.education : [])
+        .map(e => parseGPA(e?.gpa))
+        .filter(g => g !== null);
+    const gpa = gpas.length > 0 ? Math.round(Math.max(...gpas) * 100) / 100 : null;
+
+    const breakdown = {
+        skills: skillMatch.score,
+        projects: Math.min(100, relevantProjects.length * 50),
+        experience: relevantExperience.length > 0 ? 100 : experience.length > 0 ? 50 : 0,
+        education: gpa !== null ? Math.round(gpa * 100) : null
+    };
+
+    let weighted = 0;
+    let totalWeight = 0;
+    Object.entries(CANDIDATE_SCORE_WEIGHTS).forEach(([key, weight]) => {
+        if (breakdown[key] === null) return;
+        weighted += breakdown[key] * weight;
+        totalWeight += weight;
+    });
+    const score = totalWeight > 0 ? Math.round(weighted / totalWeight) : 0;
+
+    const details = [];
+    if (relevantProjects.length > 0) {
+        details.push(`${relevantProjects.length} relevant project${relevantProjects.length === 1 ? '' : 's'}`);
+    }
+    if (relevantExperience.length > 0) {
+        details.push(`${relevantExperience.length} relevant role${relevantExperience.length === 1 ? '' : 's'}`);
+    }
+
+    return {
+        score,
+        breakdown,
+        matched: skillMatch.matched,
+        missing: skillMatch.missing,
+        bonus: skillMatch.bonus,
+        gpa,
+        explanation: details.length > 0 ? `${skillMatch.explanation}; ${details.join(', ')}` : skillMatch.explanation
+    };
+};
@@ -0,0 +1,175 @@
+// ============================================
+// Spreadsheet Reader
+// Reads the first sheet of a CSV, XLSX or ODS file into rows keyed by
+// the header row, for student imports
+// ============================================
+
+import JSZip from 'jszip';
+import { parseCSVRows } from './csvParser.js';
+
+export { SPREADSHEET_TYPES, MAX_SPREADSHEET_SIZE, getSpreadsheetType } from './uploadTypes.js';
+
+export const MAX_SPREADSHEET_ROWS = 10000;
+
+// Repeated empty ODS columns are kept up to this width
+const MAX_COLUMNS = 200;
+
+const decodeXml = (text) =>
+    text
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+
+const attr = (tag, name) => {
+    const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? decodeXml(match[1]) : null;
+};
+
+// Text of every <t> (XLSX) element in a fragment
+const xlsxText = (xml) =>
+    [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(m => decodeXml(m[1])).join('');
+
+// "AB12" -> 27 (zero based column index)
+const columnIndex = (ref) => {
+    const letters = (ref.match(/^[A-Z]+/i) || ['A'])[0].toUpperCase();
+    return [...letters].reduce((n, ch) => n * 26 + (ch.charCodeAt(0) - 64), 0) - 1;
+};
+
+/**
+ * Cells of the first worksheet of an XLSX file
+ * @param {JSZip} zip
+ * @returns {Promise<Array<Array<string>>>}
+ */
+const readXlsxCells = async (zip) => {
+    let sheetPath = 'xl/worksheets/sheet1.xml';
+    const workbook = await zip.file('xl/workbook.xml')?.async('string');
+    const rels = await zip.file('xl/_rels/workbook.xml.rels')?.async('string');
+    const firstSheet = workbook?.match(/<sheet\s[^>]*>/);
+    if (firstSheet && rels) {
+        const relId = attr(firstSheet[0], 'r:id');
+        const rel = [...rels.matchAll(/<Relationship\s[^>]*>/g)].find(m => attr(m[0], 'Id') === relId);
+        const target = rel && attr(rel[0], 'Target');
+        if (target) sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+    }
+
+    const sheet = await zip.file(sheetPath)?.async('string');
+    if (!sheet) throw new Error('The workbook has no worksheet');
+
+    const sharedXml = await zip.file('xl/sharedStrings.xml')?.async('string');
+    const shared = sharedXml ? [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(m => xlsxText(m[1])) : [];
+
+    const rows = [];
+    for (const rowMatch of sheet.matchAll(/<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+        const cells = [];
+        for (const cellMatch of (rowMatch[1] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const tag = `<c${cellMatch[1]}>`;
+            const body = cellMatch[2] || '';
+            const ref = attr(tag, 'r');
+            const type = attr(tag, 't');
+            const index = ref ? columnIndex(ref) : cells.length;
+            const raw = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+            let value = '';
+            if (type === 's') value = shared[Number(raw)] ?? '';
+            else if (type === 'inlineStr') value = xlsxText(body);
+            else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+            else if (raw !== undefined) value = decodeXml(raw);
+
+            if (index < MAX_COLUMNS) cells[index] = value;
+        }
+        rows.push(Array.from(cells, v => v ?? ''));
+        if (rows.length > MAX_SPREADSHEET_ROWS + 1) break;
+    }
+    return rows;
+};
+
+/**
+ * Cells of the first table of an ODS file
+ * @param {JSZip} zip
+ * @returns {Promise<Array<Array<string>>>}
+ */
+const readOdsCells = async (zip) => {
+    const content = await zip.file('content.xml')?.async('string');
+    const table = content?.match(/<table:table\b[^>]*>([\s\S]*?)<\/table:table>/);
+    if (!table) throw new Error('The spreadsheet has no sheet');
+
+    const rows = [];
+    for (const rowMatch of table[1].matchAll(/<table:table-row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/table:table-row>)/g)) {
+        const cells = [];
+        const cellRe = /<table:(?:covered-)?table-cell\b([^>]*?)(?:\/>|>([\s\S]*?)<\/table:(?:covered-)?table-cell>)/g;
+        for (const cellMatch of (rowMatch[2] || '').matchAll(cellRe)) {
+            const tag = `<c${cellMatch[1]}>`;
+            const paragraphs = [...(cellMatch[2] || '').matchAll(/<text:p\b[^>]*>([\s\S]*?)<\/text:p>/g)]
+                .map(m => decodeXml(m[1].replace(/<text:s\b[^>]*\/>/g, ' ').replace(/<[^>]+>/g, '')));
+            const value = paragraphs.join('\n');
+            const repeat = Math.min(Number(attr(tag, 'table:number-columns-repeated')) || 1, MAX_COLUMNS);
+            for (let i = 0; i < repeat && cells.length < MAX_COLUMNS; i++) cells.push(value);
+        }
+
+        // Trailing filler cells and repeated empty rows carry no data
+        while (cells.length && cells[cells.length - 1] === '') cells.pop();
+        if (cells.length === 0) continue;
+
+        rows.push(cells);
+        if (rows.length > MAX_SPREADSHEET_ROWS + 1) break;
+    }
+    return rows;
+};
+
+/**
+ * Turn a grid of cells into header names and row objects
+ * @param {Array<Array<string>>} cells
+ * @returns {object} - { headers, rows }
+ */
+const cellsToRows = (cells) => {
+    const nonEmpty = cells.filter(row => row.some(v => String(v).trim() !== ''));
+    if (nonEmpty.length < 2) {
+        throw new Error('The sheet must contain a header row and at least one data row');
+    }
+
+    // Blank and repeated header names get a unique name so no column is lost
+    const seen = new Map();
+    const headers = nonEmpty[0].map((h, i) => {
+        const name = String(h).trim() || `Column ${i + 1}`;
+        const count = (seen.get(name) || 0) + 1;
+        seen.set(name, count);
+        return count > 1 ? `${name} (${count})` : name;
+    });
+    const rows = nonEmpty.slice(1, MAX_SPREADSHEET_ROWS + 1).map(row =>
+        headers.reduce((obj, header, i) => {
+            obj[header] = String(row[i] ?? '').trim();
+            return obj;
+        }, {})
+    );
+
+    return { headers, rows };
+};
+
+/**
+ * Read the first sheet of a spreadsheet
+ * @param {Buffer} buffer - File contents
+ * @param {'csv'|'xlsx'|'ods'} type - Result of getSpreadsheetType
+ * @returns {Promise<object>} - { headers, rows, truncated }
+ */
+export const readSpreadsheet = async (buffer, type) => {
+    if (type === 'csv') {
+        const { headers, rows, error } = parseCSVRows(buffer.toString('utf8'));
+        if (error) throw new Error(error);
+        return { headers, rows: rows.slice(0, MAX_SPREADSHEET_ROWS), truncated: rows.length > MAX_SPREADSHEET_ROWS };
+    }
+
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(buffer);
+    } catch {
+        throw new Error(`This file is not a valid ${type.toUpperCase()} spreadsheet`);
+    }
+
+    const cells = type === 'xlsx' ? await readXlsxCells(zip) : await readOdsCells(zip);
+    const { headers, rows } = cellsToRows(cells);
+    return { headers, rows, truncated: cells.length > MAX_SPREADSHEET_ROWS + 1 };
+};
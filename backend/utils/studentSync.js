@@ -0,0 +1,186 @@
+// ============================================
+// Student Sync
+// Works out what a row of a sync import does to the university's existing
+// students: update the changed fields, deactivate students marked as left,
+// reactivate returning students, or create a new student.
+// Shared by the dry run and the bulk import job.
+// ============================================
+
+import { validateSyncRow, validateStudentCSV, parseStudentStatus } from './csvParser.js';
+
+/**
+ * Columns a sync can change, with how a cell is turned into the stored value.
+ * Email is the login and is only used to find the student.
+ */
+export const SYNC_FIELDS = {
+    name: value => value.trim(),
+    student_id: value => value.trim(),
+    batch: value => parseInt(value),
+    degree_program: value => value.trim(),
+    semester: value => parseInt(value),
+    phone: value => value.trim(),
+    cgpa: value => Number(value)
+};
+
+/**
+ * Columns loaded for the students a sync may touch
+ */
+export const SYNC_STUDENT_COLUMNS = `id, user_id, email, is_active, ${Object.keys(SYNC_FIELDS).join(', ')}`;
+
+const key = (value) => String(value || '').trim().toLowerCase();
+
+/**
+ * Index students by student ID and email (both lowercased)
+ * @param {Array<object>} students - students rows with SYNC_STUDENT_COLUMNS
+ * @returns {object} - { byStudentId: Map, byEmail: Map }
+ */
+export const indexStudents = (students = []) => {
+    const index = { byStudentId: new Map(), byEmail: new Map() };
+    students.forEach(student => {
+        if (student.student_id) index.byStudentId.set(key(student.student_id), student);
+        if (student.email) index.byEmail.set(key(student.email), student);
+    });
+    return index;
+};
+
+/**
+ * Find the existing student a row refers to
+ * @param {object} index - Result of indexStudents
+ * @param {object} studentData - CSV row
+ * @returns {object} - { student, error }
+ */
+export const findStudentMatch = (index, studentData) => {
+    const email = key(studentData.email);
+    const byId = studentData.student_id?.trim() ? index.byStudentId.get(key(studentData.student_id)) : null;
+    const byEmail = email ? index.byEmail.get(email) : null;
+
+    if (byId && byEmail && byId.id !== byEmail.id) {
+        return { student: null, error: 'Student ID and email belong to different students' };
+    }
+    if (byId && email && key(byId.email) !== email) {
+        return { student: null, error: 'Email does not match the student with this ID (emails cannot be changed by import)' };
+    }
+
+    return { student: byId || byEmail || null, error: null };
+};
+
+/**
+ * Fields of a row that differ from the stored student. Blank cells are ignored.
+ * @param {object} student - students row
+ * @param {object} studentData - CSV row
+ * @returns {object} - { field: { from, to } }
+ */
+export const diffStudent = (student, studentData) =>
+    Object.entries(SYNC_FIELDS).reduce((changes, [field, toValue]) => {
+        const cell = studentData[field];
+        if (cell === undefined || cell === null || String(cell).trim() === '') return changes;
+
+        const to = toValue(String(cell));
+        const from = student[field] ?? null;
+        const same = typeof to === 'number' ? from !== null && Number(from) === to : from === to;
+        if (!same) changes[field] = { from, to };
+        return changes;
+    }, {});
+
+/**
+ * Plan one row of a sync
+ * @param {object} studentData - CSV row
+ * @param {object} index - Result of indexStudents for the university
+ * @returns {object} - { action, student, changes, reason }
+ *   action: 'create' | 'update' | 'unchanged' | 'deactivate' | 'reactivate' | 'error'
+ */
+export const planSyncRow = (studentData, index) => {
+    const validation = validateSyncRow(studentData);
+    if (!validation.valid) return { action: 'error', student: null, changes: null, reason: validation.error };
+
+    const match = findStudentMatch(index, studentData);
+    if (match.error) return { action: 'error', student: null, changes: null, reason: match.error };
+
+    const status = parseStudentStatus(studentData.status);
+
+    if (!match.student) {
+        if (status === 'left') {
+            return { action: 'error', student: null, changes: null, reason: 'No student with this student ID or email' };
+        }
+        // A new student needs every column a create does
+        const createValidation = validateStudentCSV(studentData);
+        if (!createValidation.valid) {
+            return { action: 'error', student: null, changes: null, reason: `New student: ${createValidation.error}` };
+        }
+        return { action: 'create', student: null, changes: null, reason: null };
+    }
+
+    const student = match.student;
+    const changes = diffStudent(student, studentData);
+    if (changes.student_id) {
+        const holder = index.byStudentId.get(key(changes.student_id.to));
+        if (holder && holder.id !== student.id) {
+            return { action: 'error', student, changes: null, reason: 'Student ID is already used by another student' };
+        }
+    }
+
+    let action = Object.keys(changes).length > 0 ? 'update' : 'unchanged';
+    if (status === 'left' && student.is_active !== false) action = 'deactivate';
+    else if (status === 'active' && student.is_active === false) action = 'reactivate';
+
+    return { action, student, changes, reason: null };
+};
+
+/**
+ * Keep the index in step after a row has been applied, so later rows of the
+ * same file see the change
+ * @param {object} index - Result of indexStudents
+ * @param {object} student - Updated students row
+ * @param {object} previous - The row before the update
+ */
+export const updateIndex = (index, student, previous = null) => {
+    if (previous?.student_id) index.byStudentId.delete(key(previous.student_id));
+    if (student.student_id) index.byStudentId.set(key(student.student_id), student);
+    if (student.email) index.byEmail.set(key(student.email), student);
+};
+
+/**
+ * Work out what syncing each row would do, without changing anything.
+ * Rows are planned in order against a copy of the index that each row
+ * updates, as the job does, so a student listed twice shows both effects.
+ * Rows are numbered like bulk_upload_rows.row_number (first data row is 1).
+ * @param {Array<object>} studentsData - Parsed CSV rows
+ * @param {object} index - Result of indexStudents for the rows' students
+ * @param {object} existing - { emails, studentIds } registered anywhere (see findExistingStudents)
+ * @returns {Array<object>} - [{ row_number, name, email, student_id, outcome, reason, changes }]
+ */
+export const buildSyncReport = (studentsData, index, existing = {}) => {
+    const existingEmails = existing.emails || new Set();
+    const working = { byStudentId: new Map(index.byStudentId), byEmail: new Map(index.byEmail) };
+
+    return studentsData.map((studentData, i) => {
+        const rowNumber = i + 1;
+        const plan = planSyncRow(studentData, working);
+        const entry = {
+            row_number: rowNumber,
+            name: studentData.name?.trim() || plan.student?.name || '',
+            email: key(studentData.email) || plan.student?.email || '',
+            student_id: studentData.student_id?.trim() || plan.student?.student_id || ''
+        };
+
+        if (plan.action === 'error') return { ...entry, outcome: 'error', reason: plan.reason, changes: null };
+
+        if (plan.action === 'create') {
+            if (existingEmails.has(entry.email)) {
+                return { ...entry, outcome: 'skip', reason: 'Email is already registered to another account', changes: null };
+            }
+            updateIndex(working, { id: `row-${rowNumber}`, name: entry.name, email: entry.email, student_id: entry.student_id, is_active: true });
+            return { ...entry, outcome: 'create', reason: null, changes: null };
+        }
+
+        const simulated = Object.entries(plan.changes).reduce(
+            (student, [field, change]) => ({ ...student, [field]: change.to }),
+            { ...plan.student }
+        );
+        if (plan.action === 'deactivate') simulated.is_active = false;
+        if (plan.action === 'reactivate') simulated.is_active = true;
+        updateIndex(working, simulated, plan.student);
+
+        return { ...entry, outcome: plan.action, reason: null, changes: plan.changes };
+    });
+};
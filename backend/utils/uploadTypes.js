@@ -0,0 +1,47 @@
+// ============================================
+// Upload Types
+// Accepted file types and size limits of resume and spreadsheet uploads
+// (no parser dependencies, so the frontend imports them too)
+// ============================================
+
+/**
+ * Resume types that can be imported into a CV
+ */
+export const RESUME_MIME_TYPES = {
+    'application/pdf': 'pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx'
+};
+
+export const MAX_RESUME_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Spreadsheet types that can be used for student imports
+ */
+export const SPREADSHEET_TYPES = {
+    'text/csv': 'csv',
+    'application/vnd.ms-excel': 'csv',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+    'application/vnd.oasis.opendocument.spreadsheet': 'ods'
+};
+
+export const MAX_SPREADSHEET_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Spreadsheet type from the MIME type, falling back to the file extension
+ * @param {string} mimetype
+ * @param {string} fileName
+ * @returns {'csv'|'xlsx'|'ods'|null}
+ */
+export const getSpreadsheetType = (mimetype, fileName = '') => {
+    const ext = fileName.toLowerCase().split('.').pop();
+    if (['csv', 'xlsx', 'ods'].includes(ext)) return ext;
+    return SPREADSHEET_TYPES[mimetype] || null;
+};
+
+/**
+ * Value for a file input's accept attribute: the extensions and MIME types of a type map
+ * @param {object} types - MIME type -> extension
+ * @returns {string}
+ */
+export const toAcceptAttribute = (types) =>
+    [...new Set(Object.values(types).map(ext => `.${ext}`)), ...Object.keys(types)].join(',');
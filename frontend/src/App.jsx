@@ -9,39 +9,46 @@ import SoftwareHouseHeader from './components/SoftwareHouseHeader'
 import Sidebar from './components/Sidebar'
 import StudentSidebar from './components/StudentSidebar'
 import SoftwareHouseSidebar from './components/SoftwareHouseSidebar'
-import Login from './pages/Login'
-import Signup from './pages/Signup'
-import StudentDashboard from './pages/student/Dashboard'
-import StudentSettings from './pages/student/Settings'
-import StudentAnalytics from './pages/student/Analytics'
-import GuestDashboard from './pages/guest/Dashboard'
-import UniversityDashboard from './pages/university/Dashboard'
-import SoftwareHouseDashboard from './pages/software_house/Dashboard'
-import AdminDashboard from './pages/admin/Dashboard'
-import UserManagement from './pages/admin/UserManagement'
-import Listings from './pages/Listings'
-import CVForm from './pages/CVForm'
-import Applications from './pages/Applications'
-import BulkUpload from './pages/university/BulkUpload'
-import StudentApplications from './pages/university/StudentApplications'
-import StudentDetail from './pages/university/StudentDetail'
-import UniversityAnalytics from './pages/university/Analytics'
-import UniversitySettings from './pages/university/Settings'
-import Students from './pages/university/Students'
-import PostInternship from './pages/software_house/PostInternship'
-import MyInternships from './pages/software_house/MyInternships'
-import ManageApplications from './pages/software_house/ManageApplications'
-import PendingInternships from './pages/admin/PendingInternships'
-import PendingAccounts from './pages/admin/PendingAccounts'
-import AdminAnalytics from './pages/admin/Analytics'
-import AuditLogs from './pages/admin/AuditLogs'
-import Settings from './pages/admin/Settings'
-import SoftwareHouseSettings from './pages/software_house/Settings'
-import SoftwareHouseAnalytics from './pages/software_house/Analytics'
-import SoftwareHouseNotifications from './pages/software_house/Notifications'
-import AdminNotifications from './pages/admin/Notifications'
-import StudentNotifications from './pages/student/Notifications'
-import Landing from './pages/Landing'
+
+// Pages are split into their own chunks and loaded on first visit
+const Login = React.lazy(() => import('./pages/Login'))
+const Landing = React.lazy(() => import('./pages/Landing'))
+const Signup = React.lazy(() => import('./pages/Signup'))
+const ActivateAccount = React.lazy(() => import('./pages/ActivateAccount'))
+const VerifyCertificate = React.lazy(() => import('./pages/VerifyCertificate'))
+const StudentDashboard = React.lazy(() => import('./pages/student/Dashboard'))
+const StudentSettings = React.lazy(() => import('./pages/student/Settings'))
+const StudentAnalytics = React.lazy(() => import('./pages/student/Analytics'))
+const GuestDashboard = React.lazy(() => import('./pages/guest/Dashboard'))
+const UniversityDashboard = React.lazy(() => import('./pages/university/Dashboard'))
+const SoftwareHouseDashboard = React.lazy(() => import('./pages/software_house/Dashboard'))
+const AdminDashboard = React.lazy(() => import('./pages/admin/Dashboard'))
+const UserManagement = React.lazy(() => import('./pages/admin/UserManagement'))
+const Listings = React.lazy(() => import('./pages/Listings'))
+const CVForm = React.lazy(() => import('./pages/CVForm'))
+const Applications = React.lazy(() => import('./pages/Applications'))
+const BulkUpload = React.lazy(() => import('./pages/university/BulkUpload'))
+const StudentApplications = React.lazy(() => import('./pages/university/StudentApplications'))
+const StudentDetail = React.lazy(() => import('./pages/university/StudentDetail'))
+const UniversityAnalytics = React.lazy(() => import('./pages/university/Analytics'))
+const UniversitySettings = React.lazy(() => import('./pages/university/Settings'))
+const Students = React.lazy(() => import('./pages/university/Students'))
+const Placements = React.lazy(() => import('./pages/university/Placements'))
+const Advisors = React.lazy(() => import('./pages/university/Advisors'))
+const PostInternship = React.lazy(() => import('./pages/software_house/PostInternship'))
+const MyInternships = React.lazy(() => import('./pages/software_house/MyInternships'))
+const ManageApplications = React.lazy(() => import('./pages/software_house/ManageApplications'))
+const PendingInternships = React.lazy(() => import('./pages/admin/PendingInternships'))
+const PendingAccounts = React.lazy(() => import('./pages/admin/PendingAccounts'))
+const AdminAnalytics = React.lazy(() => import('./pages/admin/Analytics'))
+const AuditLogs = React.lazy(() => import('./pages/admin/AuditLogs'))
+const EmailDeliveries = React.lazy(() => import('./pages/admin/EmailDeliveries'))
+const Settings = React.lazy(() => import('./pages/admin/Settings'))
+const SoftwareHouseSettings = React.lazy(() => import('./pages/software_house/Settings'))
+const SoftwareHouseAnalytics = React.lazy(() => import('./pages/software_house/Analytics'))
+const SoftwareHouseNotifications = React.lazy(() => import('./pages/software_house/Notifications'))
+const AdminNotifications = React.lazy(() => import('./pages/admin/Notifications'))
+const StudentNotifications = React.lazy(() => import('./pages/student/Notifications'))
 
 function Layout({ children }) {
   const { profile } = useAuth()
@@ -65,7 +72,9 @@ function Layout({ children }) {
           </div>
         )}
         <main className="flex-1 overflow-y-auto">
-          <div className="max-w-7xl mx-auto p-6">{children}</div>
+          <div className="max-w-7xl mx-auto p-6">
+            <React.Suspense fallback={<div className="p-6">Loading...</div>}>{children}</React.Suspense>
+          </div>
         </main>
       </div>
     </div>
@@ -87,6 +96,7 @@ function RootRedirect() {
       student: '/dashboard/student',
       guest: '/dashboard/guest',
       university: '/dashboard/university',
+      faculty_advisor: '/dashboard/university',
       software_house: '/dashboard/software-house',
       admin: '/dashboard/admin',
     }
@@ -98,77 +108,92 @@ function RootRedirect() {
 export default function App() {
   return (
     <AuthProvider>
-      <Routes>
-        <Route path="/" element={<Landing />} />
-        <Route path="/login" element={<Login />} />
-        <Route path="/signup" element={<Signup />} />
-
-        <Route element={<ProtectedRoute />}> 
-          {/* After login, send users here to jump to their role dashboard */}
-          <Route path="/dashboard" element={<RootRedirect />} />
-
-          {/* Shared pages for student and guest */}
-          <Route path="/cv" element={<Layout><CVForm /></Layout>} />
-          <Route path="/applications" element={<Layout><Applications /></Layout>} />
-          <Route path="/listings" element={<Layout><Listings /></Layout>} />
-
-          <Route element={<RoleRoute allowed={["student"]} />}>
-            <Route path="/dashboard/student" element={<Layout><StudentDashboard /></Layout>} />
-            <Route path="/student/analytics" element={<Layout><StudentAnalytics /></Layout>} />
-            <Route path="/student/notifications" element={<Layout><StudentNotifications /></Layout>} />
-            <Route path="/student/settings" element={<Layout><StudentSettings /></Layout>} />
-          </Route>
+      <React.Suspense fallback={<div className="p-6">Loading...</div>}>
+        <Routes>
+          <Route path="/" element={<Landing />} />
+          <Route path="/login" element={<Login />} />
+          <Route path="/signup" element={<Signup />} />
+          <Route path="/activate/:token" element={<ActivateAccount />} />
+          <Route path="/verify" element={<VerifyCertificate />} />
+          <Route path="/verify/:code" element={<VerifyCertificate />} />
 
-          <Route element={<RoleRoute allowed={["guest"]} />}>
-            <Route path="/dashboard/guest" element={<Layout><GuestDashboard /></Layout>} />
-            <Route path="/guest/analytics" element={<Layout><StudentAnalytics /></Layout>} />
-            <Route path="/guest/notifications" element={<Layout><StudentNotifications /></Layout>} />
-            <Route path="/guest/settings" element={<Layout><StudentSettings /></Layout>} />
-          </Route>
+          <Route element={<ProtectedRoute />}> 
+            {/* After login, send users here to jump to their role dashboard */}
+            <Route path="/dashboard" element={<RootRedirect />} />
+
+            {/* Shared pages for student and guest */}
+            <Route path="/cv" element={<Layout><CVForm /></Layout>} />
+            <Route path="/applications" element={<Layout><Applications /></Layout>} />
+            <Route path="/listings" element={<Layout><Listings /></Layout>} />
+
+            <Route element={<RoleRoute allowed={["student"]} />}>
+              <Route path="/dashboard/student" element={<Layout><StudentDashboard /></Layout>} />
+              <Route path="/student/analytics" element={<Layout><StudentAnalytics /></Layout>} />
+              <Route path="/student/notifications" element={<Layout><StudentNotifications /></Layout>} />
+              <Route path="/student/settings" element={<Layout><StudentSettings /></Layout>} />
+            </Route>
+
+            <Route element={<RoleRoute allowed={["guest"]} />}>
+              <Route path="/dashboard/guest" element={<Layout><GuestDashboard /></Layout>} />
+              <Route path="/guest/analytics" element={<Layout><StudentAnalytics /></Layout>} />
+              <Route path="/guest/notifications" element={<Layout><StudentNotifications /></Layout>} />
+              <Route path="/guest/settings" element={<Layout><StudentSettings /></Layout>} />
+            </Route>
+
+            {/* University pages; faculty advisors share the read-only ones and
+                only see the students assigned to them (RLS) */}
+            <Route element={<RoleRoute allowed={["university", "faculty_advisor"]} />}>
+              <Route path="/dashboard/university" element={<Layout><UniversityDashboard /></Layout>} />
+              <Route path="/university/students" element={<Layout><Students /></Layout>} />
+              <Route path="/university/applications" element={<Layout><StudentApplications /></Layout>} />
+              <Route path="/university/placements" element={<Layout><Placements /></Layout>} />
+              <Route path="/university/settings" element={<Layout><UniversitySettings /></Layout>} />
+            </Route>
 
-          <Route element={<RoleRoute allowed={["university"]} />}>
-            <Route path="/dashboard/university" element={<Layout><UniversityDashboard /></Layout>} />
-            <Route path="/bulk-upload" element={<Layout><BulkUpload /></Layout>} />
-            <Route path="/university/students" element={<Layout><Students /></Layout>} />
-            <Route path="/university/applications" element={<Layout><StudentApplications /></Layout>} />
             <Route
               path="/university/students/:userId"
               element={
-                <Layout>
-                  <React.Suspense fallback={<div className="p-6">Loading...</div>}>
+                <RoleRoute allowed={["university", "faculty_advisor"]} assignedStudentOnly>
+                  <Layout>
                     <StudentDetail />
-                  </React.Suspense>
-                </Layout>
+                  </Layout>
+                </RoleRoute>
               }
             />
-            <Route path="/university/analytics" element={<Layout><UniversityAnalytics /></Layout>} />
-            <Route path="/university/settings" element={<Layout><UniversitySettings /></Layout>} />
-          </Route>
 
-          <Route element={<RoleRoute allowed={["software_house"]} />}>
-            <Route path="/dashboard/software-house" element={<Layout><SoftwareHouseDashboard /></Layout>} />
-            <Route path="/internships/new" element={<Layout><PostInternship /></Layout>} />
-            <Route path="/internships/my" element={<Layout><MyInternships /></Layout>} />
-            <Route path="/applications/manage" element={<Layout><ManageApplications /></Layout>} />
-            <Route path="/software-house/analytics" element={<Layout><SoftwareHouseAnalytics /></Layout>} />
-            <Route path="/software-house/notifications" element={<Layout><SoftwareHouseNotifications /></Layout>} />
-            <Route path="/software-house/settings" element={<Layout><SoftwareHouseSettings /></Layout>} />
-          </Route>
+            <Route element={<RoleRoute allowed={["university"]} />}>
+              <Route path="/bulk-upload" element={<Layout><BulkUpload /></Layout>} />
+              <Route path="/university/advisors" element={<Layout><Advisors /></Layout>} />
+              <Route path="/university/analytics" element={<Layout><UniversityAnalytics /></Layout>} />
+            </Route>
 
-          <Route element={<RoleRoute allowed={["admin"]} />}>
-            <Route path="/dashboard/admin" element={<Layout><AdminDashboard /></Layout>} />
-            <Route path="/admin/pending-internships" element={<Layout><PendingInternships /></Layout>} />
-            <Route path="/admin/pending-accounts" element={<Layout><PendingAccounts /></Layout>} />
-            <Route path="/admin/users" element={<Layout><UserManagement /></Layout>} />
-            <Route path="/admin/logs" element={<Layout><AuditLogs /></Layout>} />
-            <Route path="/admin/notifications" element={<Layout><AdminNotifications /></Layout>} />
-            <Route path="/admin/analytics" element={<Layout><AdminAnalytics /></Layout>} />
-            <Route path="/admin/settings" element={<Layout><Settings /></Layout>} />
-          </Route>
+            <Route element={<RoleRoute allowed={["software_house"]} />}>
+              <Route path="/dashboard/software-house" element={<Layout><SoftwareHouseDashboard /></Layout>} />
+              <Route path="/internships/new" element={<Layout><PostInternship /></Layout>} />
+              <Route path="/internships/:id/edit" element={<Layout><PostInternship /></Layout>} />
+              <Route path="/internships/my" element={<Layout><MyInternships /></Layout>} />
+              <Route path="/applications/manage" element={<Layout><ManageApplications /></Layout>} />
+              <Route path="/software-house/analytics" element={<Layout><SoftwareHouseAnalytics /></Layout>} />
+              <Route path="/software-house/notifications" element={<Layout><SoftwareHouseNotifications /></Layout>} />
+              <Route path="/software-house/settings" element={<Layout><SoftwareHouseSettings /></Layout>} />
+            </Route>
+
+            <Route element={<RoleRoute allowed={["admin"]} />}>
+              <Route path="/dashboard/admin" element={<Layout><AdminDashboard /></Layout>} />
+              <Route path="/admin/pending-internships" element={<Layout><PendingInternships /></Layout>} />
+              <Route path="/admin/pending-accounts" element={<Layout><PendingAccounts /></Layout>} />
+              <Route path="/admin/users" element={<Layout><UserManagement /></Layout>} />
+              <Route path="/admin/logs" element={<Layout><AuditLogs /></Layout>} />
+              <Route path="/admin/emails" element={<Layout><EmailDeliveries /></Layout>} />
+              <Route path="/admin/notifications" element={<Layout><AdminNotifications /></Layout>} />
+              <Route path="/admin/analytics" element={<Layout><AdminAnalytics /></Layout>} />
+              <Route path="/admin/settings" element={<Layout><Settings /></Layout>} />
+            </Route>
 
-          <Route path="/listings" element={<Layout><Listings /></Layout>} />
-        </Route>
-      </Routes>
+            <Route path="/listings" element={<Layout><Listings /></Layout>} />
+          </Route>
+        </Routes>
+      </React.Suspense>
     </AuthProvider>
   )
 }
\ No newline at end of file
@@ -0,0 +1,175 @@
+import React, { useMemo, useState } from 'react'
+import { useQueryClient } from '@tanstack/react-query'
+import toast from 'react-hot-toast'
+import { isAssignedStudent, saveAdvisorAssignments } from '../utils/advisors'
+
+const MAX_LISTED_STUDENTS = 50
+
+/**
+ * Choose which of the university's students a faculty advisor sees: whole
+ * batches, whole degree programs, and/or individual students.
+ * @param {{ advisor: object, students: Array<object>, onSaved?: function }} props
+ */
+export default function AdvisorAssignmentsEditor({ advisor, students = [], onSaved }) {
+  const queryClient = useQueryClient()
+  const initial = advisor?.assignments || []
+  const [batches, setBatches] = useState(() => new Set(initial.filter(a => a.kind === 'batch').map(a => String(a.batch))))
+  const [programs, setPrograms] = useState(() => new Set(initial.filter(a => a.kind === 'degree_program').map(a => a.degree_program)))
+  const [studentIds, setStudentIds] = useState(() => new Set(initial.filter(a => a.kind === 'student').map(a => a.student_id)))
+  const [search, setSearch] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  const availableBatches = useMemo(() => {
+    const values = new Set([...students.map(s => s.batch).filter(Boolean).map(String), ...batches])
+    return Array.from(values).sort((a, b) => b.localeCompare(a, undefined, { numeric: true }))
+  }, [students, batches])
+
+  const availablePrograms = useMemo(() => {
+    const values = new Set([...students.map(s => (s.degree_program || '').trim()).filter(Boolean), ...programs])
+    return Array.from(values).sort((a, b) => a.localeCompare(b))
+  }, [students, programs])
+
+  const draft = useMemo(() => [
+    ...Array.from(batches).map(batch => ({ kind: 'batch', batch: Number(batch) })),
+    ...Array.from(programs).map(program => ({ kind: 'degree_program', degree_program: program })),
+    ...Array.from(studentIds).map(id => ({ kind: 'student', student_id: id })),
+  ], [batches, programs, studentIds])
+
+  // Students covered by a batch or program, so picking them one by one is not needed
+  const groupAssignments = useMemo(() => draft.filter(a => a.kind !== 'student'), [draft])
+  const coveredCount = useMemo(() => students.filter(s => isAssignedStudent(s, draft)).length, [students, draft])
+
+  const matchingStudents = useMemo(() => {
+    const term = search.trim().toLowerCase()
+    return students.filter(s => {
+      if (!term) return studentIds.has(s.id)
+      return [s.name, s.email, s.student_id].filter(Boolean).join(' ').toLowerCase().includes(term)
+    })
+  }, [students, search, studentIds])
+
+  const toggle = (setter, value) => {
+    setter(prev => {
+      const next = new Set(prev)
+      if (next.has(value)) next.delete(value)
+      else next.add(value)
+      return next
+    })
+  }
+
+  const handleSave = async () => {
+    if (saving) return
+    try {
+      setSaving(true)
+      await saveAdvisorAssignments(advisor.id, draft)
+      toast.success('Assignments saved')
+      queryClient.invalidateQueries({ queryKey: ['university-advisors'] })
+      onSaved?.()
+    } catch (err) {
+      toast.error(err.message || 'Failed to save assignments')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-blue-50 border border-blue-100 rounded-lg px-4 py-3 text-sm text-blue-800">
+        {advisor?.full_name || 'This advisor'} will see <span className="font-semibold">{coveredCount}</span> of {students.length} students:
+        their applications, placements, evaluations and logbooks.
+      </div>
+
+      <div>
+        <h4 className="text-sm font-semibold text-gray-900 mb-2">Batches</h4>
+        {availableBatches.length === 0 ? (
+          <p className="text-sm text-gray-500">No batches recorded for your students.</p>
+        ) : (
+          <div className="flex flex-wrap gap-2">
+            {availableBatches.map(batch => (
+              <label
+                key={batch}
+                className={`inline-flex items-center gap-2 px-3 py-1.5 rounded-lg border text-sm cursor-pointer transition ${
+                  batches.has(batch) ? 'bg-blue-50 border-blue-300 text-blue-800' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <input type="checkbox" checked={batches.has(batch)} onChange={() => toggle(setBatches, batch)} />
+                {batch}
+              </label>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div>
+        <h4 className="text-sm font-semibold text-gray-900 mb-2">Degree programs</h4>
+        {availablePrograms.length === 0 ? (
+          <p className="text-sm text-gray-500">No degree programs recorded for your students.</p>
+        ) : (
+          <div className="flex flex-wrap gap-2">
+            {availablePrograms.map(program => (
+              <label
+                key={program}
+                className={`inline-flex items-center gap-2 px-3 py-1.5 rounded-lg border text-sm cursor-pointer transition ${
+                  programs.has(program) ? 'bg-indigo-50 border-indigo-300 text-indigo-800' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <input type="checkbox" checked={programs.has(program)} onChange={() => toggle(setPrograms, program)} />
+                {program}
+              </label>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div>
+        <h4 className="text-sm font-semibold text-gray-900 mb-1">Individual students</h4>
+        <p className="text-xs text-gray-500 mb-2">
+          {studentIds.size > 0 ? `${studentIds.size} picked. ` : ''}Search to add students outside the chosen batches and programs.
+        </p>
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search name, email or student ID"
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+        />
+        {matchingStudents.length > 0 && (
+          <div className="mt-2 border border-gray-200 rounded-lg divide-y divide-gray-100 max-h-64 overflow-y-auto">
+            {matchingStudents.slice(0, MAX_LISTED_STUDENTS).map(s => {
+              const covered = isAssignedStudent(s, groupAssignments)
+              return (
+                <label key={s.id} className="flex items-center gap-3 px-3 py-2 text-sm hover:bg-gray-50 cursor-pointer">
+                  <input type="checkbox" checked={studentIds.has(s.id)} onChange={() => toggle(setStudentIds, s.id)} />
+                  <span className="flex-1 min-w-0">
+                    <span className="font-medium text-gray-900">{s.name || s.email || 'Student'}</span>
+                    <span className="text-gray-500"> · {[s.student_id, s.degree_program, s.batch].filter(Boolean).join(' · ') || '—'}</span>
+                  </span>
+                  {covered && (
+                    <span className="px-2 py-0.5 rounded-full bg-gray-100 text-gray-600 text-xs font-medium">Already covered</span>
+                  )}
+                </label>
+              )
+            })}
+            {matchingStudents.length > MAX_LISTED_STUDENTS && (
+              <p className="px-3 py-2 text-xs text-gray-500">
+                {matchingStudents.length - MAX_LISTED_STUDENTS} more match; refine the search to see them.
+              </p>
+            )}
+          </div>
+        )}
+        {search.trim() && matchingStudents.length === 0 && (
+          <p className="mt-2 text-sm text-gray-500">No students match.</p>
+        )}
+      </div>
+
+      <div className="flex items-center justify-end gap-3 border-t border-gray-200 pt-4">
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="px-6 py-2.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition font-medium shadow-sm disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving ? 'Saving...' : 'Save Assignments'}
+        </button>
+      </div>
+    </div>
+  )
+}
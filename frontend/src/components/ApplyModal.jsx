@@ -0,0 +1,342 @@
+import React, { useEffect, useState } from 'react'
+import { useQuery } from '@tanstack/react-query'
+import { useNavigate } from 'react-router-dom'
+import toast from 'react-hot-toast'
+import Modal from './Modal'
+import { supabase } from '../utils/supabase'
+import { useAuth } from '../context/AuthContext'
+import {
+  MAX_COVER_LETTER_LENGTH,
+  validateScreeningAnswers,
+  buildScreeningAnswers,
+} from '../utils/screening'
+import { getClosedMessage } from '../utils/internshipLifecycle'
+
+async function fetchApplicantCVs(userId) {
+  const [{ data: versions, error: versionsError }, { data: main, error: mainError }] = await Promise.all([
+    supabase
+      .from('cv_versions')
+      .select('id, name, is_default, is_complete, updated_at')
+      .eq('user_id', userId)
+      .order('is_default', { ascending: false })
+      .order('name', { ascending: true }),
+    supabase.from('cv_forms').select('is_complete').eq('user_id', userId).maybeSingle(),
+  ])
+  if (versionsError) throw versionsError
+  if (mainError) throw mainError
+  return { versions: versions || [], mainComplete: !!main?.is_complete }
+}
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition'
+
+/**
+ * Application form for an internship: CV version, optional cover letter
+ * and the posting's screening questions.
+ */
+export default function ApplyModal({ isOpen, onClose, internship, onApplied }) {
+  const { profile } = useAuth()
+  const navigate = useNavigate()
+  const [versionId, setVersionId] = useState(null)
+  const [coverLetter, setCoverLetter] = useState('')
+  const [answers, setAnswers] = useState({})
+  const [errors, setErrors] = useState({})
+  const [submitting, setSubmitting] = useState(false)
+
+  const { data: cvs, isLoading } = useQuery({
+    queryKey: ['cv-versions', profile?.id, 'apply'],
+    queryFn: () => fetchApplicantCVs(profile.id),
+    enabled: isOpen && !!profile?.id,
+  })
+
+  const completeVersions = (cvs?.versions || []).filter((v) => v.is_complete)
+  const questions = internship?.screening_questions || []
+
+  useEffect(() => {
+    if (!isOpen) return
+    setCoverLetter('')
+    setAnswers({})
+    setErrors({})
+  }, [isOpen, internship?.id])
+
+  useEffect(() => {
+    const preferred = completeVersions.find((v) => v.is_default) || completeVersions[0]
+    setVersionId(preferred?.id || null)
+  }, [cvs])
+
+  if (!internship) return null
+  const hasCompleteCV = completeVersions.length > 0 || !!cvs?.mainComplete
+  const closedMessage = getClosedMessage(internship)
+
+  const setAnswer = (questionId, value) => {
+    setAnswers((prev) => ({ ...prev, [questionId]: value }))
+    setErrors((prev) => ({ ...prev, [questionId]: undefined }))
+  }
+
+  const handleSubmit = async () => {
+    if (closedMessage) {
+      toast.error(closedMessage)
+      return
+    }
+
+    const answerErrors = validateScreeningAnswers(questions, answers)
+    if (Object.keys(answerErrors).length > 0) {
+      setErrors(answerErrors)
+      toast.error('Please answer the required questions')
+      return
+    }
+    if (coverLetter.length > MAX_COVER_LETTER_LENGTH) {
+      toast.error(`Cover letter must be ${MAX_COVER_LETTER_LENGTH} characters or fewer`)
+      return
+    }
+
+    setSubmitting(true)
+    try {
+      const { data: existing } = await supabase
+        .from('applications')
+        .select('id')
+        .eq('user_id', profile.id)
+        .eq('internship_id', internship.id)
+        .maybeSingle()
+
+      if (existing) {
+        toast.error('You have already applied for this internship')
+        return
+      }
+
+      // Snapshot the chosen CV version, or the main CV
+      const version = completeVersions.find((v) => v.id === versionId) || null
+      const { data: cvData, error: cvError } = version
+        ? await supabase
+            .from('cv_versions')
+            .select('personal, education, skills, experience, projects, certifications, languages')
+            .eq('id', version.id)
+            .single()
+        : await supabase
+            .from('cv_forms')
+            .select('*')
+            .eq('user_id', profile.id)
+            .single()
+
+      if (cvError || !cvData) {
+        toast.error('CV data not found. Please complete your CV Form.')
+        navigate('/cv')
+        return
+      }
+
+      const { data: application, error } = await supabase
+        .from('applications')
+        .insert({
+          user_id: profile.id,
+          internship_id: internship.id,
+          status: 'pending',
+          cv_data: cvData,
+          ...(version && { cv_version_id: version.id, cv_version_name: version.name }),
+          cover_letter: coverLetter.trim() || null,
+          screening_answers: buildScreeningAnswers(questions, answers),
+        })
+        .select('id, status, feedback')
+        .single()
+
+      if (error) {
+        if (error.code === '23505') {
+          toast.error('You have already applied for this internship')
+        } else {
+          toast.error(error.message)
+        }
+        return
+      }
+
+      // Knockout questions are checked by the database when the application is stored
+      if (application?.status === 'rejected') {
+        toast(application.feedback || 'Your application did not meet the requirements for this internship.', { duration: 6000 })
+      } else {
+        toast.success(version ? `Applied with your "${version.name}" CV!` : 'Applied successfully!')
+      }
+      onApplied?.(application)
+      onClose()
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={`Apply: ${internship.title}`} size="large">
+      {closedMessage ? (
+        <div className="text-center py-6 space-y-4">
+          <p className="text-sm text-gray-600">{closedMessage}.</p>
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition text-sm"
+          >
+            Close
+          </button>
+        </div>
+      ) : isLoading ? (
+        <p className="text-sm text-gray-500">Loading your CV...</p>
+      ) : !hasCompleteCV ? (
+        <div className="text-center py-6 space-y-4">
+          <p className="text-sm text-gray-600">Please complete your CV before applying.</p>
+          <button
+            type="button"
+            onClick={() => {
+              onClose()
+              navigate('/cv')
+            }}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition text-sm font-semibold"
+          >
+            Go to CV Builder
+          </button>
+        </div>
+      ) : (
+        <div className="space-y-6">
+          {/* CV */}
+          <div>
+            <h4 className="text-sm font-semibold text-gray-900 mb-2">CV</h4>
+            {completeVersions.length > 1 ? (
+              <div className="space-y-2">
+                {completeVersions.map((v) => (
+                  <label
+                    key={v.id}
+                    className={`flex items-center justify-between gap-3 rounded-lg border px-4 py-3 cursor-pointer transition ${
+                      versionId === v.id ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+                    }`}
+                  >
+                    <span className="flex items-center gap-3">
+                      <input
+                        type="radio"
+                        name="cv-version"
+                        checked={versionId === v.id}
+                        onChange={() => setVersionId(v.id)}
+                        className="h-4 w-4 text-blue-600 focus:ring-blue-500"
+                      />
+                      <span>
+                        <span className="block text-sm font-medium text-gray-900">{v.name}</span>
+                        <span className="block text-xs text-gray-500">Updated {new Date(v.updated_at).toLocaleDateString()}</span>
+                      </span>
+                    </span>
+                    {v.is_default && (
+                      <span className="px-2 py-0.5 rounded-full bg-blue-100 text-blue-700 text-[11px] font-semibold">Main CV</span>
+                    )}
+                  </label>
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-600">
+                Your {completeVersions[0] ? `"${completeVersions[0].name}"` : 'main'} CV will be sent with this application.
+              </p>
+            )}
+          </div>
+
+          {/* Screening questions */}
+          {questions.length > 0 && (
+            <div className="space-y-4">
+              <h4 className="text-sm font-semibold text-gray-900">Questions from the employer</h4>
+              {questions.map((q, index) => (
+                <div key={q.id}>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    {index + 1}. {q.prompt}
+                    {q.required && <span className="text-red-500"> *</span>}
+                  </label>
+
+                  {q.type === 'text' && (
+                    <textarea
+                      rows={3}
+                      value={answers[q.id] || ''}
+                      onChange={(e) => setAnswer(q.id, e.target.value)}
+                      className={inputClass}
+                    />
+                  )}
+
+                  {q.type === 'number' && (
+                    <input
+                      type="number"
+                      value={answers[q.id] ?? ''}
+                      min={q.min ?? undefined}
+                      max={q.max ?? undefined}
+                      onChange={(e) => setAnswer(q.id, e.target.value)}
+                      className={`${inputClass} md:w-48`}
+                    />
+                  )}
+
+                  {q.type === 'multiple_choice' && (
+                    <div className="space-y-1.5">
+                      {q.options.map((option) => (
+                        <label key={option} className="flex items-center gap-2 text-sm text-gray-700">
+                          <input
+                            type="radio"
+                            name={`question-${q.id}`}
+                            checked={answers[q.id] === option}
+                            onChange={() => setAnswer(q.id, option)}
+                            className="h-4 w-4 text-blue-600 focus:ring-blue-500"
+                          />
+                          {option}
+                        </label>
+                      ))}
+                    </div>
+                  )}
+
+                  {q.type === 'yes_no' && (
+                    <div className="flex gap-3">
+                      {['yes', 'no'].map((option) => (
+                        <button
+                          key={option}
+                          type="button"
+                          onClick={() => setAnswer(q.id, option)}
+                          className={`px-5 py-1.5 rounded-lg border text-sm font-medium capitalize transition ${
+                            answers[q.id] === option
+                              ? 'border-blue-500 bg-blue-50 text-blue-700'
+                              : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                          }`}
+                        >
+                          {option}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+
+                  {errors[q.id] && <p className="mt-1 text-sm text-red-600">{errors[q.id]}</p>}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Cover letter */}
+          <div>
+            <label className="block text-sm font-semibold text-gray-900 mb-2">
+              Cover letter <span className="font-normal text-gray-500">(optional)</span>
+            </label>
+            <textarea
+              rows={6}
+              value={coverLetter}
+              onChange={(e) => setCoverLetter(e.target.value)}
+              placeholder="Tell the software house why you are a good fit for this internship..."
+              className={inputClass}
+            />
+            <p className={`mt-1 text-xs text-right ${coverLetter.length > MAX_COVER_LETTER_LENGTH ? 'text-red-600' : 'text-gray-500'}`}>
+              {coverLetter.length}/{MAX_COVER_LETTER_LENGTH}
+            </p>
+          </div>
+
+          <div className="flex justify-end gap-3 pt-2 border-t">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition text-sm"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleSubmit}
+              disabled={submitting}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {submitting ? 'Submitting...' : 'Submit Application'}
+            </button>
+          </div>
+        </div>
+      )}
+    </Modal>
+  )
+}
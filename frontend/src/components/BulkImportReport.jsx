@@ -0,0 +1,142 @@
+import React, { useState } from 'react'
+import Papa from 'papaparse'
+import { IMPORT_OUTCOMES } from '@backend/utils/csvParser.js'
+
+const OUTCOME_STYLES = {
+  create: 'bg-emerald-100 text-emerald-800',
+  update: 'bg-blue-100 text-blue-800',
+  deactivate: 'bg-gray-200 text-gray-800',
+  reactivate: 'bg-indigo-100 text-indigo-800',
+  unchanged: 'bg-gray-100 text-gray-600',
+  skip: 'bg-amber-100 text-amber-800',
+  error: 'bg-rose-100 text-rose-800',
+}
+
+/**
+ * "semester: 5 → 6; batch: 2021 → 2022"
+ * @param {object|null} changes - { field: { from, to } }
+ * @returns {string}
+ */
+export function formatStudentChanges(changes) {
+  return Object.entries(changes || {})
+    .map(([field, { from, to }]) => `${field.replace(/_/g, ' ')}: ${from ?? '—'} → ${to ?? '—'}`)
+    .join('; ')
+}
+
+/**
+ * Per-row result of a bulk upload dry run, with a CSV download
+ * @param {{ result: { summary, report, parseErrors }, fileName: string, onClose: () => void }} props
+ */
+export default function BulkImportReport({ result, fileName, onClose }) {
+  const [filter, setFilter] = useState('all')
+  const { summary, report, parseErrors } = result
+  const rows = filter === 'all' ? report : report.filter((r) => r.outcome === filter)
+  const hasChanges = report.some((r) => r.changes && Object.keys(r.changes).length > 0)
+  // Sync outcomes only get a tab when some row has them
+  const tabs = Object.keys(IMPORT_OUTCOMES).filter((key) => summary[key] > 0 || ['create', 'skip', 'error'].includes(key))
+
+  const download = () => {
+    const csv = Papa.unparse(report.map((r) => ({
+      row: r.row_number,
+      name: r.name,
+      email: r.email,
+      student_id: r.student_id,
+      outcome: IMPORT_OUTCOMES[r.outcome],
+      changes: formatStudentChanges(r.changes),
+      reason: r.reason || '',
+    })))
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `${(fileName || 'students').replace(/\.(csv|xlsx|ods)$/i, '')}-dry-run-report.csv`
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+    URL.revokeObjectURL(url)
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg border border-gray-200 overflow-hidden">
+      <div className="bg-gradient-to-r from-amber-50 to-yellow-50 px-6 py-4 border-b border-gray-200 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Dry Run Report</h3>
+          <p className="text-xs text-gray-600 mt-0.5">Nothing has been created yet. Fix the file and run again, or upload it as is.</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={download}
+            className="px-4 py-2 bg-white border border-amber-200 text-amber-800 rounded-lg text-sm font-medium hover:bg-amber-50 transition"
+          >
+            Download Report
+          </button>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-600 hover:text-gray-900"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+
+      <div className="p-6 space-y-4">
+        <div className="flex flex-wrap gap-2">
+          {[['all', `All (${summary.total})`], ...tabs.map((key) => [key, `${IMPORT_OUTCOMES[key]} (${summary[key]})`])].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setFilter(key)}
+              className={`px-3 py-1.5 rounded-lg text-sm font-medium transition ${
+                filter === key ? 'bg-indigo-600 text-white' : 'bg-white text-gray-700 border border-gray-300 hover:bg-gray-50'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {parseErrors?.length > 0 && (
+          <div className="p-3 bg-rose-50 border border-rose-200 rounded-lg text-sm text-rose-800">
+            <p className="font-medium">{parseErrors.length} {parseErrors.length === 1 ? 'line' : 'lines'} could not be read and will be skipped:</p>
+            <ul className="mt-1 list-disc list-inside">
+              {parseErrors.slice(0, 10).map((e) => <li key={e.row}>{e.error}</li>)}
+            </ul>
+          </div>
+        )}
+
+        <div className="overflow-auto max-h-96 border border-gray-200 rounded-lg">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 text-xs uppercase tracking-wide text-gray-500 sticky top-0">
+              <tr>
+                <th className="px-3 py-2 text-left font-semibold">Row</th>
+                <th className="px-3 py-2 text-left font-semibold">Student</th>
+                <th className="px-3 py-2 text-left font-semibold">Student ID</th>
+                <th className="px-3 py-2 text-left font-semibold">Result</th>
+                {hasChanges && <th className="px-3 py-2 text-left font-semibold">Changes</th>}
+                <th className="px-3 py-2 text-left font-semibold">Reason</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {rows.map((row) => (
+                <tr key={row.row_number}>
+                  <td className="px-3 py-2 text-gray-500">{row.row_number}</td>
+                  <td className="px-3 py-2 text-gray-800">
+                    {row.name || '-'}
+                    <span className="block text-xs text-gray-500">{row.email}</span>
+                  </td>
+                  <td className="px-3 py-2 font-mono text-gray-700">{row.student_id || '-'}</td>
+                  <td className="px-3 py-2">
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${OUTCOME_STYLES[row.outcome]}`}>
+                      {IMPORT_OUTCOMES[row.outcome]}
+                    </span>
+                  </td>
+                  {hasChanges && <td className="px-3 py-2 text-gray-700">{formatStudentChanges(row.changes)}</td>}
+                  <td className="px-3 py-2 text-gray-600">{row.reason || ''}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  )
+}
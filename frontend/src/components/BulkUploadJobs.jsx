@@ -0,0 +1,246 @@
+import React, { useState } from 'react'
+import { useQuery, useQueryClient } from '@tanstack/react-query'
+import toast from 'react-hot-toast'
+import { supabase } from '../utils/supabase'
+import { apiRequest } from '../utils/api'
+import { formatStudentChanges } from './BulkImportReport'
+
+const STATUS_STYLES = {
+  uploading: 'bg-gray-100 text-gray-700',
+  queued: 'bg-gray-100 text-gray-700',
+  processing: 'bg-blue-100 text-blue-700',
+  completed: 'bg-emerald-100 text-emerald-700',
+  failed: 'bg-rose-100 text-rose-700',
+  cancelled: 'bg-amber-100 text-amber-800',
+}
+
+const SYNC_ACTION_LABELS = {
+  create: 'Created',
+  update: 'Updated',
+  deactivate: 'Deactivated',
+  reactivate: 'Reactivated',
+  failed: 'Failed',
+}
+
+const isActive = (upload) => upload.status === 'queued' || upload.status === 'processing'
+
+// Per-row changes of a finished sync, from bulk_uploads.error_log
+function SyncChanges({ changes }) {
+  if (!changes?.length) return <p className="text-sm text-gray-500">No students were changed.</p>
+
+  return (
+    <div className="overflow-auto max-h-72 border border-gray-200 rounded-lg">
+      <table className="min-w-full text-sm">
+        <thead className="bg-gray-50 text-xs uppercase tracking-wide text-gray-500">
+          <tr>
+            <th className="px-3 py-2 text-left font-semibold">Row</th>
+            <th className="px-3 py-2 text-left font-semibold">Student</th>
+            <th className="px-3 py-2 text-left font-semibold">Result</th>
+            <th className="px-3 py-2 text-left font-semibold">Details</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {changes.map((change) => (
+            <tr key={change.row}>
+              <td className="px-3 py-2 text-gray-500">{change.row}</td>
+              <td className="px-3 py-2 text-gray-800">
+                <span className="font-mono">{change.student_id || '-'}</span>
+                <span className="block text-xs text-gray-500">{change.email}</span>
+              </td>
+              <td className="px-3 py-2 text-gray-700">{SYNC_ACTION_LABELS[change.action] || change.action}</td>
+              <td className={`px-3 py-2 ${change.error ? 'text-rose-700' : 'text-gray-600'}`}>
+                {change.error || formatStudentChanges(change.changes)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+function FailedRows({ uploadId }) {
+  const { data: rows = [], isLoading } = useQuery({
+    queryKey: ['bulk-upload-rows', uploadId],
+    queryFn: async () => {
+      const { data, error } = await supabase
+        .from('bulk_upload_rows')
+        .select('id, row_number, data, status, error')
+        .eq('bulk_upload_id', uploadId)
+        .in('status', ['failed', 'cancelled'])
+        .order('row_number', { ascending: true })
+        .limit(200)
+      if (error) throw error
+      return data || []
+    },
+  })
+
+  if (isLoading) return <p className="text-sm text-gray-500">Loading rows...</p>
+  if (rows.length === 0) return <p className="text-sm text-gray-500">No failed rows.</p>
+
+  return (
+    <div className="overflow-auto max-h-72 border border-gray-200 rounded-lg">
+      <table className="min-w-full text-sm">
+        <thead className="bg-gray-50 text-xs uppercase tracking-wide text-gray-500">
+          <tr>
+            <th className="px-3 py-2 text-left font-semibold">Row</th>
+            <th className="px-3 py-2 text-left font-semibold">Student</th>
+            <th className="px-3 py-2 text-left font-semibold">Problem</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {rows.map((row) => (
+            <tr key={row.id}>
+              <td className="px-3 py-2 text-gray-500">{row.row_number}</td>
+              <td className="px-3 py-2 text-gray-800">
+                {row.data?.name || '-'}
+                <span className="block text-xs text-gray-500">{row.data?.email}</span>
+              </td>
+              <td className="px-3 py-2 text-rose-700">
+                {row.status === 'cancelled' ? 'Not processed (upload cancelled)' : row.error}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+/**
+ * Recent bulk uploads of a university with live progress of running imports
+ */
+export default function BulkUploadJobs({ universityId }) {
+  const queryClient = useQueryClient()
+  const [expandedId, setExpandedId] = useState(null)
+  const [busyId, setBusyId] = useState(null)
+
+  const { data: uploads = [] } = useQuery({
+    queryKey: ['bulk-uploads', universityId],
+    queryFn: async () => {
+      const { data, error } = await supabase
+        .from('bulk_uploads')
+        .select('*')
+        .eq('university_id', universityId)
+        .order('created_at', { ascending: false })
+        .limit(10)
+      if (error) throw error
+      return data || []
+    },
+    enabled: !!universityId,
+    // Poll while an import is running
+    refetchInterval: (query) => ((query.state.data || []).some(isActive) ? 2000 : false),
+  })
+
+  const runAction = async (upload, action) => {
+    try {
+      setBusyId(upload.id)
+      const result = await apiRequest(`/api/university/bulk-uploads/${upload.id}/${action}`, { method: 'POST' })
+      if (action === 'retry') {
+        toast.success(`${result.retried} ${result.retried === 1 ? 'row' : 'rows'} queued again`)
+      } else {
+        toast.success(result.status === 'cancelled' ? 'Upload cancelled' : 'Cancelling after the current batch...')
+      }
+      queryClient.invalidateQueries({ queryKey: ['bulk-uploads', universityId] })
+      queryClient.invalidateQueries({ queryKey: ['bulk-upload-rows', upload.id] })
+    } catch (e) {
+      toast.error(e.message)
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  if (uploads.length === 0) return null
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg border border-gray-200 overflow-hidden">
+      <div className="bg-gradient-to-r from-blue-50 to-indigo-50 px-6 py-4 border-b border-gray-200">
+        <h3 className="text-lg font-semibold text-gray-900">Recent Uploads</h3>
+        <p className="text-xs text-gray-600 mt-0.5">Imports keep running in the background; you can leave this page.</p>
+      </div>
+      <ul className="divide-y divide-gray-100">
+        {uploads.map((upload) => {
+          const total = upload.total_records || 0
+          const processed = upload.processed_records ?? (upload.successful_records + upload.failed_records)
+          const percent = total > 0 ? Math.round((processed / total) * 100) : 0
+          const unprocessed = total - processed
+          // A failed upload the job had started may have rows it never reached
+          const stopped = upload.status === 'cancelled' || (upload.status === 'failed' && !!upload.started_at)
+          const canRetry = !isActive(upload) && (upload.failed_records > 0 || (stopped && unprocessed > 0))
+          const isExpanded = expandedId === upload.id
+          const syncReport = upload.mode === 'sync' ? upload.error_log?.summary && upload.error_log : null
+
+          return (
+            <li key={upload.id} className="px-6 py-4 space-y-3">
+              <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900 truncate">{upload.file_name}</p>
+                  <p className="text-xs text-gray-500">
+                    {upload.mode === 'sync' && 'Sync • '}
+                    {new Date(upload.created_at).toLocaleString()}
+                    {upload.attempts > 1 && ` • attempt ${upload.attempts}`}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2 flex-wrap">
+                  <span className={`px-2.5 py-1 rounded-full text-xs font-semibold capitalize ${STATUS_STYLES[upload.status] || STATUS_STYLES.queued}`}>
+                    {upload.status === 'processing' && upload.cancel_requested ? 'cancelling' : upload.status}
+                  </span>
+                  {isActive(upload) && !upload.cancel_requested && (
+                    <button
+                      onClick={() => runAction(upload, 'cancel')}
+                      disabled={busyId === upload.id}
+                      className="px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-200 transition-colors disabled:opacity-50"
+                    >
+                      Cancel
+                    </button>
+                  )}
+                  {canRetry && (
+                    <button
+                      onClick={() => runAction(upload, 'retry')}
+                      disabled={busyId === upload.id}
+                      className="px-3 py-1.5 bg-blue-50 text-blue-700 rounded-lg text-sm font-medium hover:bg-blue-100 transition-colors disabled:opacity-50"
+                    >
+                      {upload.status === 'cancelled' ? 'Resume' : 'Retry failed rows'}
+                    </button>
+                  )}
+                  {(upload.failed_records > 0 || upload.status === 'cancelled' || syncReport) && (
+                    <button
+                      onClick={() => setExpandedId(isExpanded ? null : upload.id)}
+                      className="px-3 py-1.5 text-sm font-medium text-gray-600 hover:text-gray-900"
+                    >
+                      {isExpanded ? 'Hide rows' : syncReport ? 'View changes' : 'View rows'}
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {upload.status === 'failed' ? (
+                <p className="text-sm text-rose-700">{upload.error_log?.error || 'The file could not be processed.'}</p>
+              ) : (
+                <div>
+                  <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                    <div
+                      className={`h-full transition-all ${upload.failed_records > 0 ? 'bg-amber-500' : 'bg-emerald-500'}`}
+                      style={{ width: `${percent}%` }}
+                    />
+                  </div>
+                  <p className="mt-1.5 text-xs text-gray-600">
+                    {processed} of {total} processed ({percent}%) •{' '}
+                    {syncReport
+                      ? `${syncReport.summary.create} created • ${syncReport.summary.update} updated • ${syncReport.summary.deactivate} deactivated • ${syncReport.summary.reactivate} reactivated • ${syncReport.summary.unchanged} unchanged • `
+                      : `${upload.successful_records} ${upload.mode === 'sync' ? 'applied' : 'created'} • `}
+                    {upload.failed_records} failed
+                  </p>
+                </div>
+              )}
+
+              {isExpanded && (syncReport && !isActive(upload)
+                ? <SyncChanges changes={syncReport.changes} />
+                : <FailedRows uploadId={upload.id} />)}
+            </li>
+          )
+        })}
+      </ul>
+    </div>
+  )
+}
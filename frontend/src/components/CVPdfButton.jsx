@@ -0,0 +1,61 @@
+import React, { useState } from 'react'
+import { useQuery } from '@tanstack/react-query'
+import toast from 'react-hot-toast'
+import { fetchCVTemplates, downloadCVPdf } from '../utils/cvPdf'
+
+/**
+ * Template picker + download button for server-rendered CV PDFs
+ * @param {{ userId?: string, applicationId?: string, versionId?: string, className?: string }} props
+ */
+export default function CVPdfButton({ userId, applicationId, versionId, className = '' }) {
+  const { data: templateData } = useQuery({
+    queryKey: ['cvTemplates'],
+    queryFn: fetchCVTemplates,
+    staleTime: Infinity,
+  })
+  const templates = templateData?.templates || []
+  const [selectedTemplate, setTemplate] = useState(null)
+  const template = selectedTemplate || templateData?.default
+  const [downloading, setDownloading] = useState(false)
+
+  const handleDownload = async () => {
+    if (downloading) return
+    setDownloading(true)
+    try {
+      await downloadCVPdf({ userId, applicationId, versionId, template })
+    } catch (error) {
+      console.error('[CVPdfButton] Download failed:', error)
+      toast.error(error.message || 'Failed to download CV')
+    } finally {
+      setDownloading(false)
+    }
+  }
+
+  return (
+    <div className={`flex items-center gap-2 ${className}`}>
+      <select
+        value={template || ''}
+        disabled={templates.length === 0}
+        onChange={(e) => setTemplate(e.target.value)}
+        className="px-2 py-2 border border-gray-300 rounded-lg text-sm bg-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition"
+        title={templates.find((t) => t.id === template)?.description}
+        aria-label="CV template"
+      >
+        {templates.map((t) => (
+          <option key={t.id} value={t.id}>{t.label}</option>
+        ))}
+      </select>
+      <button
+        type="button"
+        onClick={handleDownload}
+        disabled={downloading}
+        className="px-4 py-2 bg-gray-800 text-white rounded-lg text-sm font-semibold hover:bg-gray-900 transition flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+        </svg>
+        {downloading ? 'Preparing...' : 'Download PDF'}
+      </button>
+    </div>
+  )
+}
@@ -0,0 +1,173 @@
+import React, { useMemo, useState } from 'react'
+import { useQuery } from '@tanstack/react-query'
+import Modal from './Modal'
+import { supabase } from '../utils/supabase'
+import { diffCV, summarizeCVDiff, CV_SECTION_LABELS } from '@backend/utils/cvDiff.js'
+
+const CHANGE_STYLES = {
+  added: 'bg-emerald-50 text-emerald-800 border-emerald-200',
+  removed: 'bg-rose-50 text-rose-800 border-rose-200',
+  changed: 'bg-amber-50 text-amber-800 border-amber-200',
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return ''
+  if (typeof value === 'object') {
+    return Object.values(value).filter((v) => v && typeof v !== 'object').join(' • ')
+  }
+  return String(value)
+}
+
+/**
+ * List of changes produced by diffCV, grouped by section
+ */
+export function CVDiffList({ changes }) {
+  if (!changes || changes.length === 0) {
+    return <p className="text-sm text-gray-500">No differences.</p>
+  }
+
+  const sections = [...new Set(changes.map((c) => c.section))]
+  return (
+    <div className="space-y-3">
+      {sections.map((section) => (
+        <div key={section}>
+          <p className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-1">{CV_SECTION_LABELS[section]}</p>
+          <ul className="space-y-1">
+            {changes.filter((c) => c.section === section).map((change, idx) => (
+              <li key={idx} className={`text-sm border rounded-md px-3 py-1.5 ${CHANGE_STYLES[change.type]}`}>
+                <span className="font-semibold capitalize">{change.type}</span>{' '}
+                <span className="font-medium">{change.label}</span>
+                {change.field && section !== 'personal' && <span className="text-gray-600"> ({change.field.replace(/_/g, ' ')})</span>}
+                {change.type === 'changed' && (
+                  <span className="block text-xs mt-0.5">
+                    <span className="line-through opacity-70">{formatValue(change.before) || 'empty'}</span>
+                    {' → '}
+                    <span>{formatValue(change.after) || 'empty'}</span>
+                  </span>
+                )}
+                {change.type !== 'changed' && section === 'personal' && (
+                  <span className="block text-xs mt-0.5">{formatValue(change.after || change.before)}</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+/**
+ * Revision history of a CV version, with a diff per revision and a
+ * side-by-side comparison against the student's other versions.
+ */
+export default function CVVersionHistory({ isOpen, onClose, version, versions = [], onRestore }) {
+  const [expandedId, setExpandedId] = useState(null)
+  const [compareId, setCompareId] = useState('')
+
+  const { data: history = [], isLoading } = useQuery({
+    queryKey: ['cv-version-history', version?.id, version?.revision],
+    queryFn: async () => {
+      const { data, error } = await supabase
+        .from('cv_version_history')
+        .select('id, revision, name, content, created_at')
+        .eq('cv_version_id', version.id)
+        .order('revision', { ascending: true })
+      if (error) throw error
+      return (data || []).map((row, index) => {
+        const changes = index > 0 ? diffCV(data[index - 1].content, row.content) : []
+        return { ...row, changes, summary: index > 0 ? summarizeCVDiff(changes) : 'Created' }
+      }).reverse()
+    },
+    enabled: isOpen && !!version?.id,
+  })
+
+  const otherVersions = versions.filter((v) => v.id !== version?.id)
+  const comparison = useMemo(() => {
+    const other = otherVersions.find((v) => v.id === compareId)
+    return other ? diffCV(version, other) : null
+  }, [compareId, version, otherVersions])
+
+  if (!version) return null
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={`History: ${version.name}`} size="large">
+      <div className="space-y-6">
+        {otherVersions.length > 0 && (
+          <div className="rounded-lg border border-gray-200 p-4">
+            <div className="flex flex-col md:flex-row md:items-center gap-3">
+              <label className="text-sm font-medium text-gray-700">Compare "{version.name}" with</label>
+              <select
+                value={compareId}
+                onChange={(e) => setCompareId(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">Select a version</option>
+                {otherVersions.map((v) => (
+                  <option key={v.id} value={v.id}>{v.name}</option>
+                ))}
+              </select>
+            </div>
+            {comparison && (
+              <div className="mt-4">
+                <p className="text-sm text-gray-600 mb-3">{summarizeCVDiff(comparison)}</p>
+                <CVDiffList changes={comparison} />
+              </div>
+            )}
+          </div>
+        )}
+
+        <div>
+          <h4 className="text-sm font-semibold text-gray-900 mb-3">Saved revisions</h4>
+          {isLoading ? (
+            <p className="text-sm text-gray-500">Loading history...</p>
+          ) : history.length === 0 ? (
+            <p className="text-sm text-gray-500">No revisions saved yet.</p>
+          ) : (
+            <ol className="space-y-2">
+              {history.map((entry) => {
+                const isCurrent = entry.revision === version.revision
+                const isExpanded = expandedId === entry.id
+                return (
+                  <li key={entry.id} className="rounded-lg border border-gray-200">
+                    <div className="flex items-center justify-between gap-3 px-4 py-3">
+                      <button
+                        type="button"
+                        onClick={() => setExpandedId(isExpanded ? null : entry.id)}
+                        className="text-left min-w-0 flex-1"
+                      >
+                        <p className="text-sm font-medium text-gray-900">
+                          Revision {entry.revision}
+                          {isCurrent && (
+                            <span className="ml-2 px-2 py-0.5 rounded-full bg-blue-100 text-blue-700 text-[11px] font-semibold">Current</span>
+                          )}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {new Date(entry.created_at).toLocaleString()} • {entry.summary}
+                        </p>
+                      </button>
+                      {!isCurrent && onRestore && (
+                        <button
+                          type="button"
+                          onClick={() => onRestore(entry)}
+                          className="px-3 py-1.5 text-xs font-medium border border-blue-200 text-blue-700 rounded-lg hover:bg-blue-50 transition"
+                        >
+                          Restore
+                        </button>
+                      )}
+                    </div>
+                    {isExpanded && entry.changes.length > 0 && (
+                      <div className="border-t px-4 py-3">
+                        <CVDiffList changes={entry.changes} />
+                      </div>
+                    )}
+                  </li>
+                )
+              })}
+            </ol>
+          )}
+        </div>
+      </div>
+    </Modal>
+  )
+}
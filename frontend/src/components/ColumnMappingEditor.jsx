@@ -0,0 +1,52 @@
+import React from 'react'
+import { STUDENT_IMPORT_FIELDS } from '../utils/studentImport'
+
+/**
+ * Pick which column of an import file holds each student field.
+ * In sync mode only a student ID or email column is required.
+ * @param {{ headers: string[], mapping: object, onChange: (mapping: object) => void, error: string|null, mode?: string }} props
+ */
+export default function ColumnMappingEditor({ headers, mapping, onChange, error, mode = 'create' }) {
+  const setField = (key, header) => {
+    const next = { ...mapping }
+    if (header) next[key] = header
+    else delete next[key]
+    onChange(next)
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+        {STUDENT_IMPORT_FIELDS.map((field) => {
+          const required = mode === 'sync' ? false : field.required
+          const takenElsewhere = new Set(
+            Object.entries(mapping).filter(([key]) => key !== field.key).map(([, header]) => header)
+          )
+          return (
+            <label key={field.key} className="block">
+              <span className="block text-xs font-semibold text-gray-700 mb-1">
+                {field.label}
+                {required && <span className="text-rose-600"> *</span>}
+              </span>
+              <select
+                value={mapping[field.key] || ''}
+                onChange={(e) => setField(field.key, e.target.value)}
+                className={`w-full px-3 py-2 border rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                  required && !mapping[field.key] ? 'border-rose-300 bg-rose-50/50' : 'border-gray-300 bg-white'
+                }`}
+              >
+                <option value="">{required ? 'Select a column' : 'Not in file'}</option>
+                {headers.map((header) => (
+                  <option key={header} value={header} disabled={takenElsewhere.has(header)}>
+                    {header}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )
+        })}
+      </div>
+      {error && <p className="text-sm text-rose-700">{error}</p>}
+    </div>
+  )
+}
@@ -0,0 +1,152 @@
+import React, { useEffect, useState } from 'react'
+import { useQuery, useQueryClient } from '@tanstack/react-query'
+import toast from 'react-hot-toast'
+import { fetchEvaluationForm, saveEvaluationForm } from '../utils/evaluations'
+
+const QUESTION_TYPE_LABELS = {
+  rating: 'Rating (1-5)',
+  comment: 'Comment',
+}
+
+const emptyQuestion = () => ({ label: '', type: 'rating', required: true })
+
+/**
+ * Edit the supervisor evaluation form software houses fill in for this
+ * university's interns (starts from the default form until saved)
+ * @param {{ universityId: string, onSaved?: Function }} props
+ */
+export default function EvaluationFormEditor({ universityId, onSaved }) {
+  const queryClient = useQueryClient()
+  const [title, setTitle] = useState('')
+  const [questions, setQuestions] = useState([])
+  const [saving, setSaving] = useState(false)
+
+  const { data: form, isLoading } = useQuery({
+    queryKey: ['evaluation-form', 'supervisor', universityId],
+    queryFn: () => fetchEvaluationForm('supervisor', universityId),
+    enabled: !!universityId
+  })
+
+  useEffect(() => {
+    if (form) {
+      setTitle(form.title)
+      setQuestions(form.questions || [])
+    }
+  }, [form])
+
+  const updateQuestion = (idx, changes) => {
+    setQuestions(prev => prev.map((q, i) => (i === idx ? { ...q, ...changes } : q)))
+  }
+
+  const moveQuestion = (idx, offset) => {
+    setQuestions(prev => {
+      const next = [...prev]
+      const target = idx + offset
+      if (target < 0 || target >= next.length) return prev
+      ;[next[idx], next[target]] = [next[target], next[idx]]
+      return next
+    })
+  }
+
+  const handleSave = async () => {
+    if (saving) return
+    try {
+      setSaving(true)
+      await saveEvaluationForm('supervisor', { title, questions })
+      toast.success('Evaluation form saved')
+      queryClient.invalidateQueries({ queryKey: ['evaluation-form', 'supervisor'] })
+      onSaved && onSaved()
+    } catch (err) {
+      toast.error(err.message || 'Failed to save evaluation form')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500">Loading form...</p>
+  }
+
+  return (
+    <div className="space-y-5">
+      <p className="text-sm text-gray-600">
+        {form?.university_id
+          ? 'Software houses fill in this form for your interns when a placement ends.'
+          : 'Your interns are evaluated with the default form. Saving creates your own version.'}
+        {' '}Evaluations that were already submitted keep the questions they were answered with.
+      </p>
+
+      <label className="block">
+        <span className="text-sm font-medium text-gray-700">Form title</span>
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+        />
+      </label>
+
+      <div className="space-y-3">
+        {questions.map((q, idx) => (
+          <div key={q.key || `new-${idx}`} className="flex flex-col md:flex-row md:items-center gap-2 border border-gray-200 rounded-lg p-3">
+            <input
+              type="text"
+              value={q.label}
+              onChange={(e) => updateQuestion(idx, { label: e.target.value })}
+              placeholder="Question"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+            <select
+              value={q.type}
+              onChange={(e) => updateQuestion(idx, { type: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              {Object.entries(QUESTION_TYPE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <label className="inline-flex items-center gap-1.5 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={q.required !== false}
+                onChange={(e) => updateQuestion(idx, { required: e.target.checked })}
+                className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              Required
+            </label>
+            <div className="flex items-center gap-1">
+              <button type="button" onClick={() => moveQuestion(idx, -1)} disabled={idx === 0} className="px-2 py-1 text-gray-500 hover:text-gray-900 disabled:opacity-30" aria-label="Move up">&uarr;</button>
+              <button type="button" onClick={() => moveQuestion(idx, 1)} disabled={idx === questions.length - 1} className="px-2 py-1 text-gray-500 hover:text-gray-900 disabled:opacity-30" aria-label="Move down">&darr;</button>
+              <button
+                type="button"
+                onClick={() => setQuestions(prev => prev.filter((_, i) => i !== idx))}
+                className="px-2 py-1 text-red-600 hover:text-red-800"
+                aria-label="Remove question"
+              >
+                &times;
+              </button>
+            </div>
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={() => setQuestions(prev => [...prev, emptyQuestion()])}
+          className="px-4 py-2 border border-dashed border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 transition"
+        >
+          + Add question
+        </button>
+      </div>
+
+      <div className="flex justify-end border-t border-gray-200 pt-4">
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={saving}
+          className="px-6 py-2.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition font-medium shadow-sm disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving ? 'Saving...' : 'Save Form'}
+        </button>
+      </div>
+    </div>
+  )
+}
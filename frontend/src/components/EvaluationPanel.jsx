@@ -0,0 +1,128 @@
+import React, { useState } from 'react'
+import { useQuery, useQueryClient } from '@tanstack/react-query'
+import toast from 'react-hot-toast'
+import EvaluationSummary from './EvaluationSummary'
+import {
+  EVALUATION_KINDS,
+  RATING_SCALE,
+  MAX_COMMENT_LENGTH,
+  isPlacementEnded,
+  fetchEvaluationForm,
+  fetchPlacementEvaluations,
+  submitEvaluation
+} from '../utils/evaluations'
+
+/**
+ * Evaluations of an ended placement.
+ * side = 'software_house' evaluates the intern,
+ * side = 'applicant' reviews the software house and sees the supervisor's evaluation.
+ */
+export default function EvaluationPanel({ placement, side }) {
+  const queryClient = useQueryClient()
+  const [answers, setAnswers] = useState({})
+  const [busy, setBusy] = useState(false)
+  const kind = side === 'software_house' ? 'supervisor' : 'student'
+  const ended = isPlacementEnded(placement)
+
+  const { data: evaluations = [], isLoading } = useQuery({
+    queryKey: ['placement-evaluations', placement?.id],
+    queryFn: () => fetchPlacementEvaluations([placement.id]),
+    enabled: !!placement?.id && ended
+  })
+  const own = evaluations.find(e => e.kind === kind)
+
+  const { data: form } = useQuery({
+    queryKey: ['evaluation-form', kind, placement?.university_id || null],
+    queryFn: () => fetchEvaluationForm(kind, placement.university_id),
+    enabled: !!placement?.id && ended && !isLoading && !own
+  })
+
+  if (!ended || isLoading) return null
+
+  const handleSubmit = async () => {
+    if (busy) return
+    try {
+      setBusy(true)
+      await submitEvaluation(placement.id, answers)
+      toast.success(kind === 'supervisor' ? 'Evaluation submitted' : 'Thank you for your review')
+      setAnswers({})
+      queryClient.invalidateQueries({ queryKey: ['placement-evaluations', placement.id] })
+    } catch (err) {
+      toast.error(err.message || 'Failed to submit evaluation')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const supervisorEvaluation = kind === 'student' ? evaluations.find(e => e.kind === 'supervisor') : null
+
+  return (
+    <div className="space-y-4 border-t border-gray-200 pt-4 mt-4">
+      {own ? (
+        <EvaluationSummary
+          evaluation={own}
+          title={kind === 'supervisor' ? 'Your evaluation of the intern' : 'Your review of the software house'}
+        />
+      ) : form ? (
+        <div className="space-y-4">
+          <div>
+            <h6 className="text-sm font-semibold text-gray-900">{form.title}</h6>
+            <p className="text-xs text-gray-500 mt-0.5">
+              {kind === 'supervisor'
+                ? "The intern's university receives this evaluation."
+                : 'Your university sees your review. The software house only sees an average rating once several students have reviewed it.'}
+            </p>
+          </div>
+          {(form.questions || []).map(q => (
+            <div key={q.key}>
+              <label className="block text-sm text-gray-700 mb-1">
+                {q.label}{q.required && <span className="text-red-500"> *</span>}
+              </label>
+              {q.type === 'rating' ? (
+                <div className="flex items-center gap-1">
+                  {Array.from({ length: RATING_SCALE }, (_, i) => i + 1).map(value => (
+                    <button
+                      key={value}
+                      type="button"
+                      onClick={() => setAnswers(prev => ({ ...prev, [q.key]: value }))}
+                      className={`w-9 h-9 rounded-lg border text-sm font-semibold transition ${
+                        answers[q.key] === value
+                          ? 'bg-blue-600 border-blue-600 text-white'
+                          : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                      }`}
+                      aria-label={`${q.label}: ${value} out of ${RATING_SCALE}`}
+                    >
+                      {value}
+                    </button>
+                  ))}
+                </div>
+              ) : (
+                <textarea
+                  rows={3}
+                  maxLength={MAX_COMMENT_LENGTH}
+                  value={answers[q.key] || ''}
+                  onChange={(e) => setAnswers(prev => ({ ...prev, [q.key]: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              )}
+            </div>
+          ))}
+          <div className="flex justify-end">
+            <button
+              type="button"
+              onClick={handleSubmit}
+              disabled={busy}
+              className="px-6 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 transition shadow-sm disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {busy ? 'Submitting...' : `Submit ${EVALUATION_KINDS[kind].toLowerCase()}`}
+            </button>
+          </div>
+        </div>
+      ) : null}
+
+      {supervisorEvaluation && (
+        <EvaluationSummary evaluation={supervisorEvaluation} title="Your supervisor's evaluation" />
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,58 @@
+import React from 'react'
+import { RATING_SCALE } from '../utils/evaluations'
+
+/**
+ * Read-only stars for a 1-5 rating
+ */
+export function RatingStars({ value, className = 'w-4 h-4' }) {
+  const rounded = Math.round(Number(value) || 0)
+  return (
+    <span className="inline-flex items-center" aria-label={`${value} out of ${RATING_SCALE}`}>
+      {Array.from({ length: RATING_SCALE }, (_, i) => (
+        <svg key={i} className={`${className} ${i < rounded ? 'text-amber-400' : 'text-gray-300'}`} fill="currentColor" viewBox="0 0 20 20">
+          <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
+        </svg>
+      ))}
+    </span>
+  )
+}
+
+/**
+ * A submitted evaluation, answered against the questions stored with it
+ * @param {{ evaluation: object, title: string }} props
+ */
+export default function EvaluationSummary({ evaluation, title }) {
+  if (!evaluation) return null
+  const questions = evaluation.questions || []
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+      <div className="flex items-center justify-between gap-2 flex-wrap">
+        <h6 className="text-sm font-semibold text-gray-900">{title}</h6>
+        <div className="flex items-center gap-2">
+          {evaluation.overall_rating != null && (
+            <>
+              <RatingStars value={evaluation.overall_rating} />
+              <span className="text-sm font-semibold text-gray-700">{Number(evaluation.overall_rating).toFixed(1)}</span>
+            </>
+          )}
+          <span className="text-xs text-gray-500">{new Date(evaluation.submitted_at).toLocaleDateString()}</span>
+        </div>
+      </div>
+      <dl className="space-y-2">
+        {questions.map(q => {
+          const answer = evaluation.answers?.[q.key]
+          if (answer === undefined) return null
+          return (
+            <div key={q.key} className={q.type === 'rating' ? 'flex items-center justify-between gap-3' : ''}>
+              <dt className="text-sm text-gray-600">{q.label}</dt>
+              <dd className={q.type === 'rating' ? '' : 'text-sm text-gray-800 whitespace-pre-wrap mt-0.5'}>
+                {q.type === 'rating' ? <RatingStars value={answer} /> : answer}
+              </dd>
+            </div>
+          )
+        })}
+      </dl>
+    </div>
+  )
+}
@@ -5,6 +5,7 @@ import { getProfilePictureUrl, getDefaultProfilePictureUrl } from '../utils/api'
 import { supabase } from '../utils/supabase'
 import ProfilePictureModal from './ProfilePictureModal'
 import { useQuery } from '@tanstack/react-query'
+import { getUniversityId } from '../utils/advisors'
 
 export default function Header() {
   const { user, profile, signOut } = useAuth()
@@ -29,6 +30,8 @@ export default function Header() {
     if (pathname.startsWith('/dashboard/university')) return 'Dashboard'
     if (pathname.startsWith('/university/students')) return 'Students'
     if (pathname.startsWith('/university/applications')) return 'Applications'
+    if (pathname.startsWith('/university/placements')) return 'Placements'
+    if (pathname.startsWith('/university/advisors')) return 'Faculty Advisors'
     if (pathname.startsWith('/university/analytics')) return 'Analytics'
     if (pathname.startsWith('/university/settings')) return 'Settings'
     if (pathname.startsWith('/university/students/')) return 'Student Detail'
@@ -59,11 +62,11 @@ export default function Header() {
       const results = { students: [], applications: [], internships: [] }
 
       try {
-        // Get all student IDs for this university
+        // Get all student IDs for this university (an advisor's RLS returns only their students)
         const { data: universityStudents } = await supabase
           .from('students')
           .select('user_id')
-          .eq('university_id', profile.id)
+          .eq('university_id', getUniversityId(profile))
 
         const studentUserIds = universityStudents?.map(s => s.user_id) || []
 
@@ -167,6 +170,7 @@ export default function Header() {
 
   const roleLabelMap = {
     university: 'University Admin',
+    faculty_advisor: 'Faculty Advisor',
     admin: 'Admin',
     student: 'Student',
     guest: 'Guest',
@@ -196,6 +200,13 @@ export default function Header() {
         </svg>
       )
     }
+    if (pathname.startsWith('/university/placements')) {
+      return (
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 13.255A23.931 23.931 0 0112 15c-3.183 0-6.22-.62-9-1.745M16 6V4a2 2 0 00-2-2h-4a2 2 0 00-2 2v2m4 6h.01M5 20h14a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+        </svg>
+      )
+    }
     if (pathname.startsWith('/university/analytics')) {
       return (
         <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
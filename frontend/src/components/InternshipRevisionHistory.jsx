@@ -0,0 +1,131 @@
+import React, { useState } from 'react'
+import { useQuery } from '@tanstack/react-query'
+import Modal from './Modal'
+import { supabase } from '../utils/supabase'
+import { FIELD_LABELS, formatRevisionValue, REVISION_STATUS_STYLES } from '../utils/internshipRevisions'
+
+/**
+ * Field-by-field before/after table of a posting revision
+ */
+export function InternshipRevisionDiff({ changes }) {
+  if (!changes || changes.length === 0) {
+    return <p className="text-sm text-gray-500">No differences.</p>
+  }
+
+  return (
+    <div className="overflow-x-auto rounded-lg border border-gray-200">
+      <table className="min-w-full text-sm">
+        <thead className="bg-gray-50 text-xs uppercase tracking-wide text-gray-500">
+          <tr>
+            <th className="px-3 py-2 text-left font-semibold">Field</th>
+            <th className="px-3 py-2 text-left font-semibold">Before</th>
+            <th className="px-3 py-2 text-left font-semibold">After</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {changes.map((change) => (
+            <tr key={change.field} className="align-top">
+              <td className="px-3 py-2 whitespace-nowrap">
+                <p className="font-medium text-gray-900">{change.label || FIELD_LABELS[change.field]}</p>
+                <span className={`inline-block mt-1 px-2 py-0.5 rounded-full text-xs font-medium ${change.cosmetic ? 'bg-gray-100 text-gray-600' : 'bg-amber-100 text-amber-800'}`}>
+                  {change.cosmetic ? 'Cosmetic' : 'Material'}
+                </span>
+              </td>
+              <td className="px-3 py-2 text-rose-700 whitespace-pre-wrap break-words">
+                {formatRevisionValue(change.field, change.before) || <span className="text-gray-400 italic">empty</span>}
+              </td>
+              <td className="px-3 py-2 text-emerald-700 whitespace-pre-wrap break-words">
+                {formatRevisionValue(change.field, change.after) || <span className="text-gray-400 italic">empty</span>}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+const describeRevision = (entry) => {
+  if (entry.kind === 'initial') return 'Posted'
+  if (entry.status === 'pending') return 'Waiting for admin review'
+  if (entry.status === 'superseded') return 'Replaced by a later edit'
+  if (entry.status === 'rejected') return 'Rejected by admin'
+  if (entry.status === 'approved') return `Approved as revision ${entry.revision}`
+  return `Published as revision ${entry.revision}`
+}
+
+/**
+ * Revision history of an internship posting with the diff of each edit
+ */
+export default function InternshipRevisionHistory({ isOpen, onClose, internship }) {
+  const [expandedId, setExpandedId] = useState(null)
+
+  const { data: revisions = [], isLoading } = useQuery({
+    queryKey: ['internship-revisions', internship?.id],
+    queryFn: async () => {
+      const { data, error } = await supabase
+        .from('internship_revisions')
+        .select('id, revision, kind, status, changes, feedback, created_at, reviewed_at')
+        .eq('internship_id', internship.id)
+        .order('created_at', { ascending: false })
+      if (error) throw error
+      return data || []
+    },
+    enabled: isOpen && !!internship?.id,
+  })
+
+  if (!internship) return null
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={`History: ${internship.title}`} size="large">
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading history...</p>
+      ) : revisions.length === 0 ? (
+        <p className="text-sm text-gray-500">No revisions recorded yet.</p>
+      ) : (
+        <ol className="space-y-2">
+          {revisions.map((entry) => {
+            const isExpanded = expandedId === entry.id
+            const changes = entry.changes || []
+            return (
+              <li key={entry.id} className="rounded-lg border border-gray-200">
+                <button
+                  type="button"
+                  onClick={() => setExpandedId(isExpanded ? null : entry.id)}
+                  disabled={changes.length === 0}
+                  className="w-full flex items-center justify-between gap-3 px-4 py-3 text-left"
+                >
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900">{describeRevision(entry)}</p>
+                    <p className="text-xs text-gray-500">
+                      {new Date(entry.created_at).toLocaleString()}
+                      {changes.length > 0 && ` • ${changes.map((c) => c.label || FIELD_LABELS[c.field]).join(', ')}`}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2 shrink-0">
+                    {entry.kind !== 'initial' && (
+                      <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-indigo-50 text-indigo-700 capitalize">{entry.kind}</span>
+                    )}
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${REVISION_STATUS_STYLES[entry.status]}`}>
+                      {entry.status}
+                    </span>
+                  </div>
+                </button>
+                {entry.feedback && (
+                  <p className="mx-4 mb-3 text-sm text-rose-700 bg-rose-50 border border-rose-100 rounded-md px-3 py-2">
+                    {entry.feedback}
+                  </p>
+                )}
+                {isExpanded && (
+                  <div className="px-4 pb-4">
+                    <InternshipRevisionDiff changes={changes} />
+                  </div>
+                )}
+              </li>
+            )
+          })}
+        </ol>
+      )}
+    </Modal>
+  )
+}
@@ -0,0 +1,385 @@
+import React, { useState } from 'react'
+import { useQuery, useQueryClient } from '@tanstack/react-query'
+import toast from 'react-hot-toast'
+import {
+  ACTIVE_INTERVIEW_STATUSES,
+  INTERVIEW_STATUS_LABELS,
+  INTERVIEW_STATUS_STYLES,
+  fetchInterviews,
+  proposeInterview,
+  bookInterviewSlot,
+  rescheduleInterview,
+  cancelInterview,
+  downloadInterviewICS,
+  formatSlot
+} from '../utils/interviews'
+
+const CLOSED_APPLICATION_STATUSES = ['rejected', 'withdrawn', 'joined']
+
+const emptyProposal = () => ({
+  slots: [''],
+  duration_minutes: 30,
+  location: '',
+  meeting_link: '',
+  notes: ''
+})
+
+/**
+ * Interview scheduling panel for an application.
+ * side = 'software_house' proposes / reschedules slots,
+ * side = 'applicant' books a slot or asks for a different time.
+ */
+export default function InterviewPanel({ applicationId, applicationStatus, side, onChange }) {
+  const queryClient = useQueryClient()
+  const [mode, setMode] = useState(null) // 'propose' | 'reschedule' | 'request' | 'cancel'
+  const [proposal, setProposal] = useState(emptyProposal)
+  const [reason, setReason] = useState('')
+  const [selectedSlot, setSelectedSlot] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  const { data: interviews = [], isLoading, error } = useQuery({
+    queryKey: ['interviews', applicationId],
+    queryFn: () => fetchInterviews(applicationId),
+    enabled: !!applicationId,
+    retry: 1
+  })
+
+  const active = interviews.find(i => ACTIVE_INTERVIEW_STATUSES.includes(i.status))
+  const past = interviews.filter(i => i !== active)
+  const isSoftwareHouse = side === 'software_house'
+
+  const resetForms = () => {
+    setMode(null)
+    setProposal(emptyProposal())
+    setReason('')
+    setSelectedSlot('')
+  }
+
+  const run = async (fn, successMessage) => {
+    if (busy) return
+    try {
+      setBusy(true)
+      await fn()
+      toast.success(successMessage)
+      resetForms()
+      queryClient.invalidateQueries(['interviews', applicationId])
+      onChange && onChange()
+    } catch (err) {
+      toast.error(err.message || 'Something went wrong. Please try again.')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const buildSlotPayload = () => {
+    const slots = proposal.slots
+      .filter(Boolean)
+      .map(value => ({ start_at: new Date(value).toISOString() }))
+    if (slots.length === 0) {
+      toast.error('Please add at least one time slot')
+      return null
+    }
+    return {
+      slots,
+      duration_minutes: Number(proposal.duration_minutes) || 30,
+      location: proposal.location.trim() || null,
+      meeting_link: proposal.meeting_link.trim() || null,
+      notes: proposal.notes.trim() || null
+    }
+  }
+
+  const handlePropose = () => {
+    const payload = buildSlotPayload()
+    if (!payload) return
+    if (mode === 'reschedule') {
+      run(() => rescheduleInterview(active.id, { ...payload, reason: reason.trim() || null }), 'New interview times sent to the applicant')
+    } else {
+      run(() => proposeInterview({ application_id: applicationId, ...payload }), 'Interview slots sent to the applicant')
+    }
+  }
+
+  const handleDownload = async (interviewId) => {
+    try {
+      await downloadInterviewICS(interviewId)
+    } catch (err) {
+      toast.error(err.message || 'Unable to download calendar file')
+    }
+  }
+
+  const updateSlot = (idx, value) => {
+    setProposal(p => ({ ...p, slots: p.slots.map((s, i) => (i === idx ? value : s)) }))
+  }
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500">Loading interviews...</p>
+  }
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <p className="text-sm text-red-600">{error.message || 'Failed to load interviews.'}</p>
+      )}
+
+      {/* Active interview */}
+      {active ? (
+        <div className="border border-purple-200 bg-purple-50/40 rounded-lg p-4 space-y-3">
+          <div className="flex items-center justify-between gap-2 flex-wrap">
+            <span className={`px-3 py-1 rounded-full text-xs font-semibold border ${INTERVIEW_STATUS_STYLES[active.status]}`}>
+              {INTERVIEW_STATUS_LABELS[active.status]}
+            </span>
+            <span className="text-xs text-gray-500">{active.duration_minutes} min</span>
+          </div>
+
+          {active.status === 'scheduled' && active.scheduled_start && (
+            <p className="text-sm font-semibold text-gray-900">{formatSlot(active.scheduled_start, active.scheduled_end)}</p>
+          )}
+
+          {active.status === 'proposed' && (
+            <div className="space-y-2">
+              <p className="text-xs font-semibold text-gray-500 uppercase">
+                {isSoftwareHouse ? 'Proposed slots' : 'Pick a time that works for you'}
+              </p>
+              {(active.interview_slots || []).map(slot => (
+                <label key={slot.id} className="flex items-center gap-2 text-sm text-gray-800">
+                  {!isSoftwareHouse && (
+                    <input
+                      type="radio"
+                      name={`slot-${active.id}`}
+                      value={slot.id}
+                      checked={selectedSlot === slot.id}
+                      onChange={() => setSelectedSlot(slot.id)}
+                      disabled={new Date(slot.start_at) <= new Date()}
+                    />
+                  )}
+                  <span className={new Date(slot.start_at) <= new Date() ? 'line-through text-gray-400' : ''}>
+                    {formatSlot(slot.start_at, slot.end_at)}
+                  </span>
+                </label>
+              ))}
+            </div>
+          )}
+
+          {active.status === 'reschedule_requested' && (
+            <p className="text-sm text-orange-700">
+              {active.reschedule_requested_by === active.student_id ? 'The applicant' : 'The software house'} asked for a different time.
+              {active.reschedule_reason && <> Reason: {active.reschedule_reason}</>}
+            </p>
+          )}
+
+          {(active.location || active.meeting_link || active.notes) && (
+            <div className="text-sm text-gray-700 space-y-1">
+              {active.location && <p><span className="font-medium">Location:</span> {active.location}</p>}
+              {active.meeting_link && (
+                <p>
+                  <span className="font-medium">Meeting link:</span>{' '}
+                  <a href={active.meeting_link} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline break-all">
+                    {active.meeting_link}
+                  </a>
+                </p>
+              )}
+              {active.notes && <p className="text-gray-600">{active.notes}</p>}
+            </div>
+          )}
+
+          {/* Actions */}
+          {!mode && (
+            <div className="flex flex-wrap gap-2 pt-1">
+              {!isSoftwareHouse && active.status === 'proposed' && (
+                <button
+                  onClick={() => selectedSlot
+                    ? run(() => bookInterviewSlot(active.id, selectedSlot), 'Interview booked!')
+                    : toast.error('Please select a slot')}
+                  disabled={busy}
+                  className="px-4 py-2 bg-purple-600 text-white rounded-lg text-sm font-medium hover:bg-purple-700 transition disabled:opacity-50"
+                >
+                  Book Selected Slot
+                </button>
+              )}
+              {active.status === 'scheduled' && (
+                <button
+                  onClick={() => handleDownload(active.id)}
+                  className="px-4 py-2 border border-purple-300 text-purple-700 rounded-lg text-sm font-medium hover:bg-purple-50 transition"
+                >
+                  Add to Calendar (.ics)
+                </button>
+              )}
+              {isSoftwareHouse ? (
+                <button
+                  onClick={() => {
+                    setProposal({ ...emptyProposal(), duration_minutes: active.duration_minutes, location: active.location || '', meeting_link: active.meeting_link || '', notes: active.notes || '' })
+                    setMode('reschedule')
+                  }}
+                  className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50 transition"
+                >
+                  Propose New Times
+                </button>
+              ) : active.status !== 'reschedule_requested' && (
+                <button
+                  onClick={() => setMode('request')}
+                  className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50 transition"
+                >
+                  {active.status === 'scheduled' ? 'Request Reschedule' : 'None of These Work'}
+                </button>
+              )}
+              <button
+                onClick={() => setMode('cancel')}
+                className="px-4 py-2 border border-red-300 text-red-600 rounded-lg text-sm font-medium hover:bg-red-50 transition"
+              >
+                Cancel Interview
+              </button>
+            </div>
+          )}
+
+          {(mode === 'request' || mode === 'cancel') && (
+            <div className="space-y-2">
+              <textarea
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                rows={3}
+                placeholder={mode === 'cancel' ? 'Reason for cancelling (shared with the other party)...' : 'Let the software house know which times suit you better...'}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+              <div className="flex justify-end gap-2">
+                <button onClick={resetForms} disabled={busy} className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50">
+                  Back
+                </button>
+                <button
+                  onClick={() => mode === 'cancel'
+                    ? run(() => cancelInterview(active.id, reason.trim() || null), 'Interview cancelled')
+                    : run(() => rescheduleInterview(active.id, { reason: reason.trim() || null }), 'Reschedule request sent')}
+                  disabled={busy}
+                  className={`px-4 py-2 rounded-lg text-sm font-medium text-white disabled:opacity-50 ${mode === 'cancel' ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'}`}
+                >
+                  {busy ? 'Sending...' : mode === 'cancel' ? 'Confirm Cancellation' : 'Send Request'}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">
+          {isSoftwareHouse ? 'No interview scheduled for this applicant yet.' : 'No interview has been scheduled yet.'}
+        </p>
+      )}
+
+      {/* Software house: propose / reschedule form */}
+      {isSoftwareHouse && !active && !mode && !CLOSED_APPLICATION_STATUSES.includes(applicationStatus) && (
+        <button
+          onClick={() => setMode('propose')}
+          className="px-4 py-2 bg-purple-600 text-white rounded-lg text-sm font-medium hover:bg-purple-700 transition"
+        >
+          Schedule Interview
+        </button>
+      )}
+
+      {isSoftwareHouse && (mode === 'propose' || mode === 'reschedule') && (
+        <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+          <p className="text-sm font-semibold text-gray-900">
+            {mode === 'reschedule' ? 'Propose new interview times' : 'Propose interview times'}
+          </p>
+          {proposal.slots.map((value, idx) => (
+            <div key={idx} className="flex items-center gap-2">
+              <input
+                type="datetime-local"
+                value={value}
+                onChange={(e) => updateSlot(idx, e.target.value)}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+              {proposal.slots.length > 1 && (
+                <button
+                  onClick={() => setProposal(p => ({ ...p, slots: p.slots.filter((_, i) => i !== idx) }))}
+                  className="p-2 text-gray-400 hover:text-red-600"
+                  title="Remove slot"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </button>
+              )}
+            </div>
+          ))}
+          {proposal.slots.length < 10 && (
+            <button
+              onClick={() => setProposal(p => ({ ...p, slots: [...p.slots, ''] }))}
+              className="text-sm text-blue-600 hover:underline"
+            >
+              + Add another slot
+            </button>
+          )}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div>
+              <label className="block text-xs font-semibold text-gray-600 mb-1">Duration (minutes)</label>
+              <input
+                type="number"
+                min={5}
+                max={480}
+                value={proposal.duration_minutes}
+                onChange={(e) => setProposal(p => ({ ...p, duration_minutes: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-semibold text-gray-600 mb-1">Location</label>
+              <input
+                type="text"
+                value={proposal.location}
+                onChange={(e) => setProposal(p => ({ ...p, location: e.target.value }))}
+                placeholder="Office address or 'Online'"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-xs font-semibold text-gray-600 mb-1">Meeting Link</label>
+              <input
+                type="url"
+                value={proposal.meeting_link}
+                onChange={(e) => setProposal(p => ({ ...p, meeting_link: e.target.value }))}
+                placeholder="https://..."
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-xs font-semibold text-gray-600 mb-1">Notes for the applicant</label>
+              <textarea
+                rows={2}
+                value={proposal.notes}
+                onChange={(e) => setProposal(p => ({ ...p, notes: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+            </div>
+          </div>
+          <div className="flex justify-end gap-2">
+            <button onClick={resetForms} disabled={busy} className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50">
+              Cancel
+            </button>
+            <button
+              onClick={handlePropose}
+              disabled={busy}
+              className="px-4 py-2 bg-purple-600 text-white rounded-lg text-sm font-medium hover:bg-purple-700 disabled:opacity-50"
+            >
+              {busy ? 'Sending...' : 'Send Slots'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* History */}
+      {past.length > 0 && (
+        <div className="space-y-1">
+          <p className="text-xs font-semibold text-gray-500 uppercase">Previous interviews</p>
+          {past.map(i => (
+            <div key={i.id} className="flex items-center justify-between text-sm text-gray-600">
+              <span>
+                {i.scheduled_start ? formatSlot(i.scheduled_start, i.scheduled_end) : new Date(i.created_at).toLocaleDateString()}
+                {i.cancel_reason && <span className="text-gray-400"> — {i.cancel_reason}</span>}
+              </span>
+              <span className={`px-2 py-0.5 rounded-full text-xs border ${INTERVIEW_STATUS_STYLES[i.status]}`}>
+                {INTERVIEW_STATUS_LABELS[i.status]}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,405 @@
+import React, { useMemo, useState } from 'react'
+import { useQuery, useQueryClient } from '@tanstack/react-query'
+import toast from 'react-hot-toast'
+import {
+  LOGBOOK_STATUS_LABELS,
+  LOGBOOK_STATUS_STYLES,
+  LOGBOOK_PLACEMENT_STATUSES,
+  MAX_LOGBOOK_TEXT_LENGTH,
+  MAX_LOGBOOK_COMMENT_LENGTH,
+  MAX_WEEKLY_HOURS,
+  MAX_LOGBOOK_ATTACHMENTS,
+  LOGBOOK_ATTACHMENT_ACCEPT,
+  formatWeek,
+  getLoggableWeeks,
+  isWeekOverdue,
+  fetchLogbookEntries,
+  submitLogbookEntry,
+  reviewLogbookEntry,
+  flagLogbookEntry,
+  openLogbookAttachment
+} from '../utils/logbook'
+import { formatFileSize } from '../utils/messages'
+
+const emptyDraft = (weekStart) => ({ week_start: weekStart || '', tasks: '', hours: '', learnings: '' })
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500'
+
+/**
+ * One logbook entry, with the review controls for the software house and
+ * the flag controls for the university
+ */
+function LogbookEntry({ entry, side, onChanged }) {
+  const [comment, setComment] = useState('')
+  const [note, setNote] = useState('')
+  const [flagging, setFlagging] = useState(false)
+  const [busy, setBusy] = useState(false)
+
+  const run = async (action, successMessage) => {
+    if (busy) return
+    try {
+      setBusy(true)
+      await action()
+      toast.success(successMessage)
+      setComment('')
+      setNote('')
+      setFlagging(false)
+      onChanged()
+    } catch (err) {
+      toast.error(err.message || 'Failed to update logbook entry')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleAttachment = async (index) => {
+    try {
+      await openLogbookAttachment(entry.id, index)
+    } catch (err) {
+      toast.error(err.message || 'Failed to open attachment')
+    }
+  }
+
+  return (
+    <div className={`border rounded-lg p-4 space-y-3 ${entry.flagged ? 'border-rose-200 bg-rose-50/40' : 'border-gray-200'}`}>
+      <div className="flex items-center justify-between gap-2 flex-wrap">
+        <span className="text-sm font-semibold text-gray-900">Week of {formatWeek(entry.week_start)}</span>
+        <div className="flex items-center gap-2">
+          <span className="text-xs text-gray-600">{Number(entry.hours)} h</span>
+          {entry.flagged && (
+            <span className="px-2 py-0.5 rounded-full text-xs font-semibold border bg-rose-50 text-rose-700 border-rose-200">Flagged</span>
+          )}
+          <span className={`px-2 py-0.5 rounded-full text-xs font-semibold border ${LOGBOOK_STATUS_STYLES[entry.status]}`}>
+            {LOGBOOK_STATUS_LABELS[entry.status]}
+          </span>
+        </div>
+      </div>
+
+      <div>
+        <p className="text-xs font-semibold text-gray-500 uppercase">Tasks</p>
+        <p className="text-sm text-gray-800 whitespace-pre-wrap mt-0.5">{entry.tasks}</p>
+      </div>
+      {entry.learnings && (
+        <div>
+          <p className="text-xs font-semibold text-gray-500 uppercase">Learnings</p>
+          <p className="text-sm text-gray-800 whitespace-pre-wrap mt-0.5">{entry.learnings}</p>
+        </div>
+      )}
+      {(entry.attachments || []).length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {entry.attachments.map((file, index) => (
+            <button
+              key={file.path}
+              type="button"
+              onClick={() => handleAttachment(index)}
+              className="inline-flex items-center gap-1.5 px-2.5 py-1 border border-gray-200 rounded-md text-xs text-gray-700 hover:bg-gray-50"
+            >
+              <svg className="w-3.5 h-3.5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13" />
+              </svg>
+              {file.name} <span className="text-gray-400">({formatFileSize(file.size)})</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {entry.supervisor_comment && (
+        <p className="text-sm text-gray-700 bg-gray-50 border border-gray-200 rounded-lg px-3 py-2">
+          <span className="font-medium">Supervisor:</span> {entry.supervisor_comment}
+        </p>
+      )}
+      {entry.flagged && entry.flag_note && (
+        <p className="text-sm text-rose-700 bg-rose-50 border border-rose-200 rounded-lg px-3 py-2">
+          <span className="font-medium">University:</span> {entry.flag_note}
+        </p>
+      )}
+
+      {side === 'software_house' && entry.status === 'submitted' && (
+        <div className="space-y-2 border-t border-gray-200 pt-3">
+          <textarea
+            rows={2}
+            maxLength={MAX_LOGBOOK_COMMENT_LENGTH}
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="Comment for the intern (required when asking for changes)"
+            className={inputClass}
+          />
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              disabled={busy}
+              onClick={() => run(() => reviewLogbookEntry(entry.id, { decision: 'changes_requested', comment }), 'Changes requested')}
+              className="px-4 py-2 border border-amber-300 text-amber-700 rounded-lg text-sm font-medium hover:bg-amber-50 transition disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Request Changes
+            </button>
+            <button
+              type="button"
+              disabled={busy}
+              onClick={() => run(() => reviewLogbookEntry(entry.id, { decision: 'approved', comment }), 'Entry approved')}
+              className="px-4 py-2 bg-emerald-600 text-white rounded-lg text-sm font-medium hover:bg-emerald-700 transition shadow-sm disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Approve
+            </button>
+          </div>
+        </div>
+      )}
+
+      {side === 'university' && (
+        <div className="border-t border-gray-200 pt-3">
+          {entry.flagged ? (
+            <div className="flex justify-end">
+              <button
+                type="button"
+                disabled={busy}
+                onClick={() => run(() => flagLogbookEntry(entry.id, { flagged: false }), 'Flag cleared')}
+                className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50 transition disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Clear Flag
+              </button>
+            </div>
+          ) : flagging ? (
+            <div className="space-y-2">
+              <textarea
+                rows={2}
+                maxLength={MAX_LOGBOOK_COMMENT_LENGTH}
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                placeholder="Why is this entry flagged? The intern sees this note."
+                className={inputClass}
+              />
+              <div className="flex justify-end gap-2">
+                <button
+                  type="button"
+                  onClick={() => setFlagging(false)}
+                  className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50 transition"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  disabled={busy}
+                  onClick={() => run(() => flagLogbookEntry(entry.id, { flagged: true, note }), 'Entry flagged')}
+                  className="px-4 py-2 bg-rose-600 text-white rounded-lg text-sm font-medium hover:bg-rose-700 transition shadow-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Flag Entry
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div className="flex justify-end">
+              <button
+                type="button"
+                onClick={() => setFlagging(true)}
+                className="px-4 py-2 border border-rose-200 text-rose-700 rounded-lg text-sm font-medium hover:bg-rose-50 transition"
+              >
+                Flag
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Weekly logbook of a placement.
+ * side = 'applicant' writes weekly entries,
+ * side = 'software_house' approves them or asks for changes,
+ * side = 'university' reads them and can flag entries.
+ * Renders nothing until the placement has started.
+ */
+export default function LogbookPanel({ placement, side }) {
+  const queryClient = useQueryClient()
+  const [draft, setDraft] = useState(emptyDraft())
+  const [files, setFiles] = useState([])
+  const [formOpen, setFormOpen] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const active = !!placement?.id && LOGBOOK_PLACEMENT_STATUSES.includes(placement.status)
+
+  const { data: entries = [], isLoading } = useQuery({
+    queryKey: ['logbook', placement?.id],
+    queryFn: () => fetchLogbookEntries(placement.id),
+    enabled: active
+  })
+
+  const entryByWeek = useMemo(() => Object.fromEntries(entries.map(e => [e.week_start, e])), [entries])
+  const loggableWeeks = useMemo(() => (active ? getLoggableWeeks(placement) : []), [active, placement])
+  const openWeeks = loggableWeeks.filter(week => entryByWeek[week]?.status !== 'approved')
+  const overdueWeeks = placement?.start_date ? loggableWeeks.filter(week => !entryByWeek[week] && isWeekOverdue(week)) : []
+  const totalHours = entries.reduce((sum, e) => sum + Number(e.hours || 0), 0)
+
+  if (!active || isLoading) return null
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey: ['logbook', placement.id] })
+
+  const selectWeek = (week) => {
+    const existing = entryByWeek[week]
+    setDraft(existing
+      ? { week_start: week, tasks: existing.tasks, hours: String(existing.hours), learnings: existing.learnings || '' }
+      : emptyDraft(week))
+    setFiles([])
+  }
+
+  const openForm = (week) => {
+    selectWeek(week || openWeeks[0] || '')
+    setFormOpen(true)
+  }
+
+  const existingAttachments = entryByWeek[draft.week_start]?.attachments?.length || 0
+
+  const handleSubmit = async () => {
+    if (saving) return
+    if (existingAttachments + files.length > MAX_LOGBOOK_ATTACHMENTS) {
+      toast.error(`A week can have at most ${MAX_LOGBOOK_ATTACHMENTS} attachments`)
+      return
+    }
+    try {
+      setSaving(true)
+      await submitLogbookEntry(placement.id, draft, files)
+      toast.success('Weekly log submitted')
+      setFormOpen(false)
+      setFiles([])
+      refresh()
+    } catch (err) {
+      toast.error(err.message || 'Failed to submit weekly log')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="space-y-4 border-t border-gray-200 pt-4 mt-4">
+      <div className="flex items-center justify-between gap-3 flex-wrap">
+        <div>
+          <h6 className="text-sm font-semibold text-gray-900">Weekly Logbook</h6>
+          <p className="text-xs text-gray-500 mt-0.5">
+            {entries.length} {entries.length === 1 ? 'entry' : 'entries'} · {totalHours} hours logged
+            {overdueWeeks.length > 0 && (
+              <span className="text-rose-600 font-medium"> · {overdueWeeks.length} overdue</span>
+            )}
+          </p>
+        </div>
+        {side === 'applicant' && !formOpen && openWeeks.length > 0 && (
+          <button
+            type="button"
+            onClick={() => openForm(overdueWeeks[overdueWeeks.length - 1])}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 transition shadow-sm"
+          >
+            Log a Week
+          </button>
+        )}
+      </div>
+
+      {side === 'applicant' && overdueWeeks.length > 0 && !formOpen && (
+        <p className="text-sm text-rose-700 bg-rose-50 border border-rose-200 rounded-lg px-3 py-2">
+          Overdue: {overdueWeeks.slice().reverse().map(week => `week of ${formatWeek(week)}`).join('; ')}
+        </p>
+      )}
+
+      {side === 'applicant' && formOpen && (
+        <div className="border border-blue-200 rounded-lg p-4 space-y-3 bg-blue-50/30">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <label className="block md:col-span-2">
+              <span className="text-xs font-semibold text-gray-500 uppercase">Week</span>
+              <select value={draft.week_start} onChange={(e) => selectWeek(e.target.value)} className={`${inputClass} mt-1 bg-white`}>
+                {openWeeks.map(week => (
+                  <option key={week} value={week}>
+                    {formatWeek(week)}{entryByWeek[week] ? ` (${LOGBOOK_STATUS_LABELS[entryByWeek[week].status].toLowerCase()})` : ''}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              <span className="text-xs font-semibold text-gray-500 uppercase">Hours</span>
+              <input
+                type="number"
+                min="0"
+                max={MAX_WEEKLY_HOURS}
+                step="0.5"
+                value={draft.hours}
+                onChange={(e) => setDraft(prev => ({ ...prev, hours: e.target.value }))}
+                className={`${inputClass} mt-1 bg-white`}
+              />
+            </label>
+          </div>
+          <label className="block">
+            <span className="text-xs font-semibold text-gray-500 uppercase">Tasks</span>
+            <textarea
+              rows={3}
+              maxLength={MAX_LOGBOOK_TEXT_LENGTH}
+              value={draft.tasks}
+              onChange={(e) => setDraft(prev => ({ ...prev, tasks: e.target.value }))}
+              placeholder="What did you work on this week?"
+              className={`${inputClass} mt-1 bg-white`}
+            />
+          </label>
+          <label className="block">
+            <span className="text-xs font-semibold text-gray-500 uppercase">Learnings</span>
+            <textarea
+              rows={2}
+              maxLength={MAX_LOGBOOK_TEXT_LENGTH}
+              value={draft.learnings}
+              onChange={(e) => setDraft(prev => ({ ...prev, learnings: e.target.value }))}
+              placeholder="What did you learn?"
+              className={`${inputClass} mt-1 bg-white`}
+            />
+          </label>
+          <label className="block">
+            <span className="text-xs font-semibold text-gray-500 uppercase">
+              Attachments {existingAttachments > 0 && <span className="normal-case font-normal">({existingAttachments} already attached)</span>}
+            </span>
+            <input
+              type="file"
+              multiple
+              accept={LOGBOOK_ATTACHMENT_ACCEPT}
+              onChange={(e) => setFiles(Array.from(e.target.files || []))}
+              className="mt-1 block w-full text-sm text-gray-700"
+            />
+          </label>
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setFormOpen(false)}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50 transition"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleSubmit}
+              disabled={saving || !draft.week_start}
+              className="px-6 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 transition shadow-sm disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? 'Submitting...' : entryByWeek[draft.week_start] ? 'Resubmit' : 'Submit'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-500">No weekly logs yet.</p>
+      ) : (
+        <div className="space-y-3">
+          {entries.map(entry => (
+            <div key={entry.id}>
+              <LogbookEntry entry={entry} side={side} onChanged={refresh} />
+              {side === 'applicant' && entry.status === 'changes_requested' && !formOpen && (
+                <div className="flex justify-end mt-1">
+                  <button
+                    type="button"
+                    onClick={() => openForm(entry.week_start)}
+                    className="text-sm text-blue-600 font-medium hover:text-blue-700"
+                  >
+                    Edit and resubmit
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
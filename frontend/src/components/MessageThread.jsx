@@ -0,0 +1,222 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react'
+import { useQuery, useQueryClient } from '@tanstack/react-query'
+import toast from 'react-hot-toast'
+import { useAuth } from '../context/AuthContext'
+import { useRealtime } from '../hooks/useRealtime'
+import {
+  MAX_MESSAGE_LENGTH,
+  MAX_MESSAGE_ATTACHMENTS,
+  MESSAGE_ATTACHMENT_ACCEPT,
+  fetchMessages,
+  sendMessage,
+  markThreadRead,
+  openAttachment,
+  formatFileSize
+} from '../utils/messages'
+
+const SIDE_LABELS = {
+  applicant: 'Applicant',
+  software_house: 'Software House'
+}
+
+/**
+ * Message thread of an application.
+ * side = 'applicant' | 'software_house' can write,
+ * side = 'university' reads along.
+ */
+export default function MessageThread({ applicationId, side }) {
+  const queryClient = useQueryClient()
+  const { user } = useAuth()
+  const [body, setBody] = useState('')
+  const [files, setFiles] = useState([])
+  const [busy, setBusy] = useState(false)
+  const fileInputRef = useRef(null)
+  const endRef = useRef(null)
+  const canWrite = side === 'applicant' || side === 'software_house'
+
+  const { data: messages = [], isLoading, error } = useQuery({
+    queryKey: ['application-messages', applicationId],
+    queryFn: () => fetchMessages(applicationId),
+    enabled: !!applicationId,
+    retry: 1
+  })
+
+  const handleChange = useCallback(() => {
+    queryClient.invalidateQueries({ queryKey: ['application-messages', applicationId] })
+  }, [queryClient, applicationId])
+
+  useRealtime(`application-messages-${applicationId}`, handleChange, {
+    table: 'application_messages',
+    filter: `application_id=eq.${applicationId}`,
+    event: 'INSERT'
+  })
+
+  // Opening the thread (and every new message while it is open) marks it read
+  useEffect(() => {
+    if (!canWrite || !user?.id || !applicationId || isLoading) return
+    markThreadRead(applicationId, user.id)
+      .then(() => queryClient.invalidateQueries({ queryKey: ['unread-message-counts'] }))
+      .catch(err => console.error('[MessageThread] mark read error', err))
+  }, [canWrite, user?.id, applicationId, isLoading, messages.length, queryClient])
+
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ block: 'nearest' })
+  }, [messages.length])
+
+  const handleFiles = (e) => {
+    const picked = Array.from(e.target.files || [])
+    e.target.value = ''
+    setFiles(prev => {
+      const next = [...prev, ...picked]
+      if (next.length > MAX_MESSAGE_ATTACHMENTS) {
+        toast.error(`Attach at most ${MAX_MESSAGE_ATTACHMENTS} files`)
+        return next.slice(0, MAX_MESSAGE_ATTACHMENTS)
+      }
+      return next
+    })
+  }
+
+  const handleSend = async () => {
+    if (busy) return
+    if (!body.trim() && files.length === 0) {
+      toast.error('Write a message or attach a file')
+      return
+    }
+    try {
+      setBusy(true)
+      await sendMessage(applicationId, { body: body.trim(), files })
+      setBody('')
+      setFiles([])
+      handleChange()
+    } catch (err) {
+      toast.error(err.message || 'Failed to send message')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleOpenAttachment = async (messageId, index) => {
+    try {
+      await openAttachment(messageId, index)
+    } catch (err) {
+      toast.error(err.message || 'Unable to open attachment')
+    }
+  }
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500">Loading messages...</p>
+  }
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <p className="text-sm text-red-600">{error.message || 'Failed to load messages.'}</p>
+      )}
+
+      <div className="max-h-80 overflow-y-auto space-y-3 pr-1">
+        {messages.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            {canWrite ? 'No messages yet. Start the conversation below.' : 'No messages have been exchanged yet.'}
+          </p>
+        ) : (
+          messages.map(m => {
+            const mine = m.sender_id === user?.id
+            return (
+              <div key={m.id} className={`flex ${mine ? 'justify-end' : 'justify-start'}`}>
+                <div className={`max-w-[80%] rounded-lg px-4 py-2.5 border ${mine ? 'bg-blue-50 border-blue-200' : 'bg-gray-50 border-gray-200'}`}>
+                  <div className="flex items-center gap-2 text-xs text-gray-500 mb-1">
+                    <span className="font-semibold text-gray-700">{mine ? 'You' : SIDE_LABELS[m.sender_side]}</span>
+                    <span>{new Date(m.created_at).toLocaleString()}</span>
+                  </div>
+                  {m.body && <p className="text-sm text-gray-800 whitespace-pre-wrap break-words">{m.body}</p>}
+                  {(m.attachments || []).length > 0 && (
+                    <ul className="mt-2 space-y-1">
+                      {m.attachments.map((a, idx) => (
+                        <li key={a.path}>
+                          <button
+                            type="button"
+                            onClick={() => handleOpenAttachment(m.id, idx)}
+                            className="inline-flex items-center gap-1.5 text-sm text-blue-700 hover:underline"
+                          >
+                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13" />
+                            </svg>
+                            {a.name}
+                            <span className="text-xs text-gray-500">({formatFileSize(a.size)})</span>
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              </div>
+            )
+          })
+        )}
+        <div ref={endRef} />
+      </div>
+
+      {canWrite ? (
+        <div className="border-t border-gray-200 pt-4 space-y-3">
+          <textarea
+            value={body}
+            onChange={(e) => setBody(e.target.value)}
+            maxLength={MAX_MESSAGE_LENGTH}
+            rows={3}
+            placeholder="Write a message..."
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+          {files.length > 0 && (
+            <ul className="flex flex-wrap gap-2">
+              {files.map((f, idx) => (
+                <li key={`${f.name}-${idx}`} className="inline-flex items-center gap-1.5 px-2.5 py-1 bg-gray-100 rounded-full text-xs text-gray-700">
+                  {f.name} ({formatFileSize(f.size)})
+                  <button
+                    type="button"
+                    onClick={() => setFiles(prev => prev.filter((_, i) => i !== idx))}
+                    className="text-gray-500 hover:text-red-600"
+                    aria-label={`Remove ${f.name}`}
+                  >
+                    &times;
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="flex items-center justify-between gap-3">
+            <div>
+              <input
+                ref={fileInputRef}
+                type="file"
+                multiple
+                accept={MESSAGE_ATTACHMENT_ACCEPT}
+                onChange={handleFiles}
+                className="hidden"
+              />
+              <button
+                type="button"
+                onClick={() => fileInputRef.current?.click()}
+                disabled={busy || files.length >= MAX_MESSAGE_ATTACHMENTS}
+                className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50 transition disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Attach files
+              </button>
+            </div>
+            <button
+              type="button"
+              onClick={handleSend}
+              disabled={busy}
+              className="px-6 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 transition shadow-sm disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {busy ? 'Sending...' : 'Send'}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <p className="text-xs text-gray-500 border-t border-gray-200 pt-3">
+          You can read this conversation but only the applicant and the software house can reply.
+        </p>
+      )}
+    </div>
+  )
+}
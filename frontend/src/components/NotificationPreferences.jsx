@@ -0,0 +1,142 @@
+import React, { useEffect, useState } from 'react'
+import { useQuery, useQueryClient } from '@tanstack/react-query'
+import toast from 'react-hot-toast'
+import Spinner from './Spinner'
+import { useNotificationTypes } from '../hooks/useNotificationTypes'
+import { getPreferenceTypesForRole } from '../utils/notificationTypes'
+import {
+  EMAIL_CHANNELS,
+  fetchNotificationPreferences,
+  saveNotificationPreferences,
+} from '../utils/notificationPreferences'
+
+/**
+ * In-app and email choice per notification type for the signed-in user
+ * @param {{ userId: string, role: string }} props
+ */
+export default function NotificationPreferences({ userId, role }) {
+  const queryClient = useQueryClient()
+  const { types: registry, isLoading: typesLoading } = useNotificationTypes()
+  const types = getPreferenceTypesForRole(registry, role)
+  const [draft, setDraft] = useState([])
+  const [saving, setSaving] = useState(false)
+
+  const { data: saved, isLoading, error } = useQuery({
+    queryKey: ['notification-preferences', userId, role],
+    queryFn: () => fetchNotificationPreferences(userId, role),
+    enabled: !!userId && types.length > 0,
+  })
+
+  useEffect(() => {
+    if (saved) setDraft(saved)
+  }, [saved])
+
+  const update = (type, changes) => {
+    setDraft(prev => prev.map(p => (p.type === type ? { ...p, ...changes } : p)))
+  }
+
+  const dirty = JSON.stringify(draft) !== JSON.stringify(saved || [])
+
+  const handleSave = async () => {
+    try {
+      setSaving(true)
+      await saveNotificationPreferences(userId, draft)
+      toast.success('Notification preferences saved')
+      queryClient.invalidateQueries({ queryKey: ['notification-preferences', userId] })
+    } catch (err) {
+      console.error('[NotificationPreferences] save error', err)
+      toast.error(err.message || 'Failed to save preferences')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg border border-gray-200 overflow-hidden">
+      <div className="bg-gradient-to-r from-indigo-50 to-blue-50 px-6 py-4 border-b border-gray-200">
+        <div className="flex items-center gap-2">
+          <span className="inline-flex h-8 w-8 items-center justify-center rounded-lg bg-indigo-100 text-indigo-600">
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+            </svg>
+          </span>
+          <h2 className="text-lg font-semibold text-gray-900">Notifications</h2>
+        </div>
+        <p className="text-sm text-gray-600 mt-2">
+          Choose which notifications appear in the app and how they are emailed. Digests collect your unread notifications into one email a day or a week.
+        </p>
+      </div>
+
+      {typesLoading ? (
+        <Spinner />
+      ) : types.length === 0 ? (
+        <p className="p-6 text-sm text-gray-600">There are no notifications to configure for your account yet.</p>
+      ) : isLoading ? (
+        <Spinner />
+      ) : error ? (
+        <p className="p-6 text-sm text-red-700">Could not load your preferences: {error.message}</p>
+      ) : (
+        <div className="p-6">
+          <div className="overflow-x-auto">
+            <table className="min-w-full">
+              <thead>
+                <tr className="text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">
+                  <th className="py-2 pr-6">Notification</th>
+                  <th className="py-2 pr-6">In app</th>
+                  <th className="py-2">Email</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {types.map(({ type, label, description }) => {
+                  const pref = draft.find(p => p.type === type)
+                  if (!pref) return null
+                  return (
+                    <tr key={type} className="align-top">
+                      <td className="py-4 pr-6">
+                        <div className="text-sm font-medium text-gray-900">{label}</div>
+                        <div className="text-xs text-gray-500 mt-0.5">{description}</div>
+                      </td>
+                      <td className="py-4 pr-6">
+                        <input
+                          type="checkbox"
+                          checked={pref.in_app}
+                          onChange={(e) => update(type, { in_app: e.target.checked })}
+                          className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                          aria-label={`Show ${label.toLowerCase()} in the app`}
+                        />
+                      </td>
+                      <td className="py-4">
+                        <select
+                          value={pref.email}
+                          onChange={(e) => update(type, { email: e.target.value })}
+                          className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                          aria-label={`Email for ${label.toLowerCase()}`}
+                        >
+                          {Object.entries(EMAIL_CHANNELS).map(([value, channelLabel]) => (
+                            <option key={value} value={value}>{channelLabel}</option>
+                          ))}
+                        </select>
+                        {!pref.in_app && pref.email === 'off' && (
+                          <div className="text-xs text-amber-700 mt-1">You will not receive these at all.</div>
+                        )}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+          <div className="mt-6">
+            <button
+              onClick={handleSave}
+              disabled={saving || !dirty}
+              className="px-6 py-2.5 bg-gradient-to-r from-blue-600 to-indigo-600 text-white rounded-lg font-semibold hover:from-blue-700 hover:to-indigo-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed shadow-sm"
+            >
+              {saving ? 'Saving...' : 'Save Preferences'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,190 @@
+import React, { useEffect, useState } from 'react'
+import { useQuery, useQueryClient } from '@tanstack/react-query'
+import toast from 'react-hot-toast'
+import EvaluationPanel from './EvaluationPanel'
+import CertificateButton from './CertificateButton'
+import LogbookPanel from './LogbookPanel'
+import {
+  PLACEMENT_STATUS_LABELS,
+  PLACEMENT_STATUS_STYLES,
+  CREDIT_STATUS_LABELS,
+  CREDIT_STATUS_STYLES,
+  fetchPlacementForApplication,
+  updatePlacement,
+  formatPlacementDates
+} from '../utils/placements'
+
+const EDITABLE_FIELDS = [
+  'status', 'start_date', 'end_date', 'supervisor_name', 'supervisor_email',
+  'supervisor_phone', 'attendance_percent', 'software_house_notes'
+]
+
+const toDraft = (placement) => Object.fromEntries(
+  EDITABLE_FIELDS.map(key => [key, placement?.[key] ?? ''])
+)
+
+/**
+ * Placement record of an accepted application.
+ * side = 'software_house' keeps dates, supervisor, attendance and completion up to date,
+ * side = 'applicant' sees them read-only.
+ * While it runs the intern keeps the weekly logbook here for the software house to review.
+ * Once the placement ends, both sides fill in their evaluation here;
+ * a completed placement also offers its completion certificate.
+ * Renders nothing until the offer has been accepted.
+ */
+export default function PlacementPanel({ applicationId, applicationStatus, side }) {
+  const queryClient = useQueryClient()
+  const [draft, setDraft] = useState(toDraft(null))
+  const [busy, setBusy] = useState(false)
+  const canEdit = side === 'software_house'
+
+  const { data: placement, isLoading, error } = useQuery({
+    // The status is part of the key so accepting an offer loads the new placement
+    queryKey: ['placement', applicationId, applicationStatus],
+    queryFn: () => fetchPlacementForApplication(applicationId),
+    enabled: !!applicationId,
+    retry: 1
+  })
+
+  useEffect(() => {
+    if (placement) setDraft(toDraft(placement))
+  }, [placement])
+
+  if (isLoading || (!placement && !error)) return null
+
+  const update = (key, value) => setDraft(prev => ({ ...prev, [key]: value }))
+  const dirty = placement && EDITABLE_FIELDS.some(key => String(draft[key]) !== String(placement[key] ?? ''))
+
+  const handleSave = async () => {
+    if (busy) return
+    const changes = Object.fromEntries(
+      EDITABLE_FIELDS
+        .filter(key => String(draft[key]) !== String(placement[key] ?? ''))
+        .map(key => [key, draft[key]])
+    )
+    try {
+      setBusy(true)
+      await updatePlacement(placement.id, changes)
+      toast.success('Placement updated')
+      queryClient.invalidateQueries({ queryKey: ['placement', applicationId] })
+    } catch (err) {
+      toast.error(err.message || 'Failed to update placement')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500'
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-6">
+      <h5 className="text-sm font-semibold text-gray-700 mb-3 flex items-center gap-2">
+        <svg className="w-4 h-4 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 13.255A23.931 23.931 0 0112 15c-3.183 0-6.22-.62-9-1.745M16 6V4a2 2 0 00-2-2h-4a2 2 0 00-2 2v2m4 6h.01M5 20h14a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+        </svg>
+        Placement
+      </h5>
+
+      {error ? (
+        <p className="text-sm text-red-600">{error.message || 'Failed to load placement.'}</p>
+      ) : canEdit ? (
+        <div className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <label className="block">
+              <span className="text-xs font-semibold text-gray-500 uppercase">Status</span>
+              <select value={draft.status} onChange={(e) => update('status', e.target.value)} className={`${inputClass} mt-1`}>
+                {Object.entries(PLACEMENT_STATUS_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              <span className="text-xs font-semibold text-gray-500 uppercase">Start date</span>
+              <input type="date" value={draft.start_date} onChange={(e) => update('start_date', e.target.value)} className={`${inputClass} mt-1`} />
+            </label>
+            <label className="block">
+              <span className="text-xs font-semibold text-gray-500 uppercase">End date</span>
+              <input type="date" value={draft.end_date} onChange={(e) => update('end_date', e.target.value)} className={`${inputClass} mt-1`} />
+            </label>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <label className="block">
+              <span className="text-xs font-semibold text-gray-500 uppercase">Supervisor</span>
+              <input type="text" value={draft.supervisor_name} onChange={(e) => update('supervisor_name', e.target.value)} className={`${inputClass} mt-1`} />
+            </label>
+            <label className="block">
+              <span className="text-xs font-semibold text-gray-500 uppercase">Supervisor email</span>
+              <input type="email" value={draft.supervisor_email} onChange={(e) => update('supervisor_email', e.target.value)} className={`${inputClass} mt-1`} />
+            </label>
+            <label className="block">
+              <span className="text-xs font-semibold text-gray-500 uppercase">Supervisor phone</span>
+              <input type="tel" value={draft.supervisor_phone} onChange={(e) => update('supervisor_phone', e.target.value)} className={`${inputClass} mt-1`} />
+            </label>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <label className="block">
+              <span className="text-xs font-semibold text-gray-500 uppercase">Attendance (%)</span>
+              <input type="number" min="0" max="100" step="0.5" value={draft.attendance_percent} onChange={(e) => update('attendance_percent', e.target.value)} className={`${inputClass} mt-1`} />
+            </label>
+            <label className="block md:col-span-2">
+              <span className="text-xs font-semibold text-gray-500 uppercase">Notes for the university</span>
+              <input type="text" value={draft.software_house_notes} onChange={(e) => update('software_house_notes', e.target.value)} className={`${inputClass} mt-1`} />
+            </label>
+          </div>
+          <div className="flex items-center justify-between gap-3">
+            <span className={`px-3 py-1 rounded-full text-xs font-semibold border ${CREDIT_STATUS_STYLES[placement.credit_status]}`}>
+              University credit: {CREDIT_STATUS_LABELS[placement.credit_status]}
+            </span>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={busy || !dirty}
+              className="px-6 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 transition shadow-sm disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {busy ? 'Saving...' : 'Save Placement'}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          <div className="flex items-center gap-2 flex-wrap">
+            <span className={`px-3 py-1 rounded-full text-xs font-semibold border ${PLACEMENT_STATUS_STYLES[placement.status]}`}>
+              {PLACEMENT_STATUS_LABELS[placement.status]}
+            </span>
+            <span className="text-sm text-gray-700">{formatPlacementDates(placement)}</span>
+          </div>
+          <dl className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+            <div>
+              <dt className="text-xs font-semibold text-gray-500 uppercase">Supervisor</dt>
+              <dd className="text-gray-800 mt-1">{placement.supervisor_name || 'Not set'}</dd>
+              {placement.supervisor_email && <dd className="text-gray-600">{placement.supervisor_email}</dd>}
+            </div>
+            <div>
+              <dt className="text-xs font-semibold text-gray-500 uppercase">Attendance</dt>
+              <dd className="text-gray-800 mt-1">{placement.attendance_percent != null ? `${placement.attendance_percent}%` : 'Not recorded'}</dd>
+            </div>
+            <div>
+              <dt className="text-xs font-semibold text-gray-500 uppercase">University credit</dt>
+              <dd className="text-gray-800 mt-1">{CREDIT_STATUS_LABELS[placement.credit_status]}</dd>
+            </div>
+          </dl>
+        </div>
+      )}
+
+      {placement?.status === 'completed' && (
+        <div className="flex items-center justify-between gap-3 flex-wrap border-t border-gray-200 pt-4 mt-4">
+          <p className="text-sm text-gray-600">
+            {side === 'software_house'
+              ? 'A completion certificate with a verification code has been issued to the intern.'
+              : 'Your completion certificate carries a verification code anyone can check.'}
+          </p>
+          <CertificateButton placementId={placement.id} />
+        </div>
+      )}
+
+      {placement && <LogbookPanel placement={placement} side={side} />}
+
+      {placement && <EvaluationPanel placement={placement} side={side} />}
+    </div>
+  )
+}
@@ -0,0 +1,165 @@
+import React, { useEffect, useState } from 'react'
+import Modal from './Modal'
+import { RESUME_SECTIONS, getFieldConfidence, getConfidenceClass } from '../utils/resumeImport'
+
+function ConfidenceBadge({ level }) {
+  if (!level) return null
+  return (
+    <span className={`inline-flex px-2 py-0.5 rounded-full text-[11px] font-semibold border capitalize ${getConfidenceClass(level)}`}>
+      {level}
+    </span>
+  )
+}
+
+function entrySummary(section, item) {
+  switch (section) {
+    case 'education':
+      return { title: item.degree || 'Degree not found', subtitle: [item.institution, item.year, item.gpa && `GPA ${item.gpa}`].filter(Boolean).join(' • ') }
+    case 'experience':
+      return { title: item.role || 'Role not found', subtitle: [item.company, item.duration].filter(Boolean).join(' • ') }
+    case 'projects':
+      return { title: item.title, subtitle: (item.technologies || []).join(', ') }
+    case 'certifications':
+      return { title: item.name, subtitle: [item.issuer, item.date].filter(Boolean).join(' • ') }
+    case 'languages':
+      return { title: item.language, subtitle: item.proficiency }
+    default:
+      return { title: '', subtitle: '' }
+  }
+}
+
+function hasData(cv, section) {
+  const value = cv?.[section]
+  if (Array.isArray(value)) return value.length > 0
+  return !!value && Object.values(value).some(Boolean)
+}
+
+/**
+ * Review step for an imported resume: shows what was extracted with
+ * confidence markers and lets the student pick which sections to apply.
+ */
+export default function ResumeImportReview({ isOpen, onClose, result, onApply }) {
+  const [included, setIncluded] = useState({})
+
+  useEffect(() => {
+    if (!result) return
+    const initial = {}
+    RESUME_SECTIONS.forEach(({ key }) => {
+      initial[key] = hasData(result.cv, key)
+    })
+    setIncluded(initial)
+  }, [result])
+
+  if (!result) return null
+  const { cv, confidence, warnings = [], source } = result
+  const selected = RESUME_SECTIONS.filter(({ key }) => included[key]).map(({ key }) => key)
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Review Imported Resume" size="large">
+      <div className="space-y-5">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+          <p className="text-sm text-gray-600">
+            We extracted the details below from <span className="font-medium text-gray-900">{source?.filename || 'your resume'}</span>.
+            Nothing is saved until you apply it to the form and click Save CV.
+          </p>
+          <div className="flex items-center gap-2 text-xs text-gray-500 whitespace-nowrap">
+            <ConfidenceBadge level="high" />
+            <ConfidenceBadge level="medium" />
+            <ConfidenceBadge level="low" />
+          </div>
+        </div>
+
+        {warnings.length > 0 && (
+          <div className="rounded-lg border border-amber-200 bg-amber-50 p-3">
+            <ul className="list-disc list-inside text-sm text-amber-800 space-y-1">
+              {warnings.map((warning, idx) => (
+                <li key={idx}>{warning}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {RESUME_SECTIONS.map(({ key, label }) => {
+          const available = hasData(cv, key)
+          return (
+            <div key={key} className={`rounded-lg border p-4 ${available ? 'border-gray-200' : 'border-dashed border-gray-200 bg-gray-50'}`}>
+              <label className="flex items-center justify-between gap-3">
+                <span className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={!!included[key]}
+                    disabled={!available}
+                    onChange={(e) => setIncluded((prev) => ({ ...prev, [key]: e.target.checked }))}
+                    className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <span className="font-semibold text-gray-900">{label}</span>
+                  {key === 'skills' && <ConfidenceBadge level={getFieldConfidence(confidence, 'skills')} />}
+                </span>
+                {!available && <span className="text-xs text-gray-500">Nothing found</span>}
+              </label>
+
+              {available && key === 'personal' && (
+                <dl className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-3">
+                  {Object.entries(cv.personal).filter(([, value]) => value).map(([field, value]) => (
+                    <div key={field}>
+                      <dt className="flex items-center gap-2 text-xs font-medium text-gray-500 capitalize">
+                        {field.replace(/_/g, ' ')}
+                        <ConfidenceBadge level={getFieldConfidence(confidence, `personal.${field}`)} />
+                      </dt>
+                      <dd className="text-sm text-gray-900 break-words">{value}</dd>
+                    </div>
+                  ))}
+                </dl>
+              )}
+
+              {available && key === 'skills' && (
+                <div className="mt-3 flex flex-wrap gap-2">
+                  {cv.skills.map((skill, idx) => (
+                    <span key={idx} className="px-3 py-1 bg-blue-100 text-blue-800 rounded-full text-sm">
+                      {skill}
+                    </span>
+                  ))}
+                </div>
+              )}
+
+              {available && Array.isArray(cv[key]) && key !== 'skills' && (
+                <ul className="mt-3 divide-y divide-gray-100">
+                  {cv[key].map((item, idx) => {
+                    const { title, subtitle } = entrySummary(key, item)
+                    return (
+                      <li key={idx} className="py-2 flex items-start justify-between gap-3">
+                        <div className="min-w-0">
+                          <p className="text-sm font-medium text-gray-900">{title}</p>
+                          {subtitle && <p className="text-xs text-gray-600">{subtitle}</p>}
+                        </div>
+                        <ConfidenceBadge level={getFieldConfidence(confidence, `${key}.${idx}`)} />
+                      </li>
+                    )
+                  })}
+                </ul>
+              )}
+            </div>
+          )
+        })}
+
+        <div className="flex justify-end gap-3 pt-2 border-t">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition text-sm"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={() => onApply(selected)}
+            disabled={selected.length === 0}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Apply to Form
+          </button>
+        </div>
+      </div>
+    </Modal>
+  )
+}
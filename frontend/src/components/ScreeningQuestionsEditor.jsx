@@ -0,0 +1,206 @@
+import React from 'react'
+import {
+  SCREENING_QUESTION_TYPES,
+  MAX_SCREENING_QUESTIONS,
+  createScreeningQuestion,
+} from '../utils/screening'
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition'
+
+/**
+ * Builder for a posting's screening questions
+ * @param {{ value: Array, onChange: (questions: Array) => void }} props
+ */
+export default function ScreeningQuestionsEditor({ value = [], onChange }) {
+  const update = (index, changes) => {
+    onChange(value.map((q, i) => (i === index ? { ...q, ...changes } : q)))
+  }
+
+  const changeType = (index, type) => {
+    const { id, prompt, required } = value[index]
+    update(index, { ...createScreeningQuestion(type), id, prompt, required })
+  }
+
+  const move = (index, direction) => {
+    const target = index + direction
+    if (target < 0 || target >= value.length) return
+    const next = [...value]
+    ;[next[index], next[target]] = [next[target], next[index]]
+    onChange(next)
+  }
+
+  return (
+    <div className="space-y-4">
+      {value.length === 0 && (
+        <p className="text-sm text-gray-500">
+          No screening questions. Applicants will only send their CV and an optional cover letter.
+        </p>
+      )}
+
+      {value.map((q, index) => (
+        <div key={q.id} className="rounded-lg border border-gray-200 p-4 space-y-3 bg-gray-50/50">
+          <div className="flex items-center justify-between gap-3">
+            <span className="text-sm font-semibold text-gray-700">Question {index + 1}</span>
+            <div className="flex items-center gap-1">
+              <button
+                type="button"
+                onClick={() => move(index, -1)}
+                disabled={index === 0}
+                className="p-1.5 text-gray-500 hover:bg-gray-100 rounded disabled:opacity-30"
+                aria-label="Move up"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 15l7-7 7 7" />
+                </svg>
+              </button>
+              <button
+                type="button"
+                onClick={() => move(index, 1)}
+                disabled={index === value.length - 1}
+                className="p-1.5 text-gray-500 hover:bg-gray-100 rounded disabled:opacity-30"
+                aria-label="Move down"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                </svg>
+              </button>
+              <button
+                type="button"
+                onClick={() => onChange(value.filter((_, i) => i !== index))}
+                className="p-1.5 text-red-500 hover:bg-red-50 rounded"
+                aria-label="Remove question"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <input
+              value={q.prompt}
+              onChange={(e) => update(index, { prompt: e.target.value })}
+              placeholder="e.g., Are you available to work on-site in Lahore?"
+              className={`${inputClass} md:col-span-2`}
+            />
+            <select value={q.type} onChange={(e) => changeType(index, e.target.value)} className={inputClass}>
+              {Object.entries(SCREENING_QUESTION_TYPES).map(([type, label]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          {q.type === 'multiple_choice' && (
+            <div className="space-y-2">
+              {q.options.map((option, optionIndex) => (
+                <div key={optionIndex} className="flex items-center gap-2">
+                  <input
+                    value={option}
+                    onChange={(e) => update(index, {
+                      options: q.options.map((o, i) => (i === optionIndex ? e.target.value : o)),
+                    })}
+                    placeholder={`Option ${optionIndex + 1}`}
+                    className={inputClass}
+                  />
+                  {q.options.length > 2 && (
+                    <button
+                      type="button"
+                      onClick={() => update(index, { options: q.options.filter((_, i) => i !== optionIndex) })}
+                      className="text-xs text-red-600 hover:text-red-700"
+                    >
+                      Remove
+                    </button>
+                  )}
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={() => update(index, { options: [...q.options, ''] })}
+                className="text-sm font-medium text-blue-600 hover:text-blue-700"
+              >
+                + Add option
+              </button>
+            </div>
+          )}
+
+          {q.type === 'number' && (
+            <div className="grid grid-cols-2 gap-3 md:w-1/2">
+              <input
+                type="number"
+                value={q.min ?? ''}
+                onChange={(e) => update(index, { min: e.target.value })}
+                placeholder="Minimum (optional)"
+                className={inputClass}
+              />
+              <input
+                type="number"
+                value={q.max ?? ''}
+                onChange={(e) => update(index, { max: e.target.value })}
+                placeholder="Maximum (optional)"
+                className={inputClass}
+              />
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-center gap-4 text-sm">
+            <label className="flex items-center gap-2 text-gray-700">
+              <input
+                type="checkbox"
+                checked={q.required || q.knockout}
+                disabled={q.knockout}
+                onChange={(e) => update(index, { required: e.target.checked })}
+                className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              Required
+            </label>
+            {q.type === 'yes_no' && (
+              <>
+                <label className="flex items-center gap-2 text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={q.knockout}
+                    onChange={(e) => update(index, { knockout: e.target.checked })}
+                    className="h-4 w-4 rounded border-gray-300 text-red-600 focus:ring-red-500"
+                  />
+                  Knockout question
+                </label>
+                {q.knockout && (
+                  <label className="flex items-center gap-2 text-gray-700">
+                    Reject unless the answer is
+                    <select
+                      value={q.expected_answer}
+                      onChange={(e) => update(index, { expected_answer: e.target.value })}
+                      className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                    >
+                      <option value="yes">Yes</option>
+                      <option value="no">No</option>
+                    </select>
+                  </label>
+                )}
+              </>
+            )}
+          </div>
+          {q.knockout && (
+            <p className="text-xs text-red-600">
+              Applicants who give the other answer are rejected automatically when they apply.
+            </p>
+          )}
+        </div>
+      ))}
+
+      {value.length < MAX_SCREENING_QUESTIONS && (
+        <button
+          type="button"
+          onClick={() => onChange([...value, createScreeningQuestion()])}
+          className="inline-flex items-center gap-2 px-4 py-2 border border-dashed border-blue-300 text-blue-700 rounded-lg hover:bg-blue-50 transition text-sm font-medium"
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+          </svg>
+          Add Screening Question
+        </button>
+      )}
+    </div>
+  )
+}
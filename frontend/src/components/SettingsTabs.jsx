@@ -0,0 +1,29 @@
+import React from 'react'
+
+export const SETTINGS_TABS = [
+  { id: 'account', label: 'Account' },
+  { id: 'notifications', label: 'Notifications' },
+]
+
+/**
+ * Tab bar shared by the Settings pages
+ * @param {{ value: string, onChange: (tab: string) => void }} props
+ */
+export default function SettingsTabs({ value, onChange }) {
+  return (
+    <div className="flex items-center gap-2 border-b border-gray-200" role="tablist">
+      {SETTINGS_TABS.map(tab => (
+        <button
+          key={tab.id}
+          type="button"
+          role="tab"
+          aria-selected={value === tab.id}
+          onClick={() => onChange(tab.id)}
+          className={`px-4 py-2.5 -mb-px text-sm font-semibold border-b-2 transition ${value === tab.id ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+        >
+          {tab.label}
+        </button>
+      ))}
+    </div>
+  )
+}
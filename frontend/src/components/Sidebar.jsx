@@ -44,6 +44,11 @@ export default function Sidebar() {
       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 17v2a2 2 0 002 2h4m4-4V7a2 2 0 00-2-2h-3.5M9 17H7a2 2 0 01-2-2V5a2 2 0 012-2h3.5M9 17h6m0 0h2m-8-6h4m-4-4h1" />
     </svg>
   )
+  const IconMail = () => (
+    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+    </svg>
+  )
   const IconSettings = () => (
     <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l.7 2.148a1 1 0 00.95.69h2.262c.969 0 1.371 1.24.588 1.81l-1.832 1.334a1 1 0 00-.364 1.118l.7 2.148c.3.921-.755 1.688-1.54 1.118l-1.832-1.334a1 1 0 00-1.175 0l-1.832 1.334c-.784.57-1.838-.197-1.539-1.118l.7-2.148a1 1 0 00-.364-1.118L4.45 7.575c-.783-.57-.38-1.81.588-1.81H7.3a1 1 0 00.95-.69l.8-2.148z" />
@@ -51,6 +56,12 @@ export default function Sidebar() {
     </svg>
   )
 
+  const IconBriefcase = () => (
+    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 13.255A23.931 23.931 0 0112 15c-3.183 0-6.22-.62-9-1.745M16 6V4a2 2 0 00-2-2h-4a2 2 0 00-2 2v2m4 6h.01M5 20h14a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+    </svg>
+  )
+
   const baseLinksByRole = {
     student: [
       { to: '/dashboard/student', label: 'Dashboard' },
@@ -68,9 +79,18 @@ export default function Sidebar() {
       { to: '/dashboard/university', label: 'Dashboard', icon: <IconGrid /> },
       { to: '/university/students', label: 'Students', icon: <IconUsers /> },
       { to: '/university/applications', label: 'Applications', icon: <IconGrid /> },
+      { to: '/university/placements', label: 'Placements', icon: <IconBriefcase /> },
+      { to: '/university/advisors', label: 'Faculty Advisors', icon: <IconUsers /> },
       { to: '/university/analytics', label: 'Analytics', icon: <IconChart /> },
       { to: '/university/settings', label: 'Settings', icon: <IconSettings /> },
     ],
+    faculty_advisor: [
+      { to: '/dashboard/university', label: 'Dashboard', icon: <IconGrid /> },
+      { to: '/university/students', label: 'My Students', icon: <IconUsers /> },
+      { to: '/university/applications', label: 'Applications', icon: <IconGrid /> },
+      { to: '/university/placements', label: 'Placements', icon: <IconBriefcase /> },
+      { to: '/university/settings', label: 'Settings', icon: <IconSettings /> },
+    ],
     software_house: [
       { to: '/dashboard/software-house', label: 'Dashboard' },
       { to: '/internships/new', label: 'Post Internship' },
@@ -79,12 +99,6 @@ export default function Sidebar() {
     ],
   }
 
-  const IconBriefcase = () => (
-    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 13.255A23.931 23.931 0 0112 15c-3.183 0-6.22-.62-9-1.745M16 6V4a2 2 0 00-2-2h-4a2 2 0 00-2 2v2m4 6h.01M5 20h14a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
-    </svg>
-  )
-
   const adminLinks = [
     { to: '/dashboard/admin', label: 'Dashboard', icon: <IconDashboard /> },
     { to: '/admin/users', label: 'User Management', icon: <IconUsers /> },
@@ -93,6 +107,7 @@ export default function Sidebar() {
     { to: '/admin/notifications', label: 'Notifications', icon: <IconBell /> },
     { to: '/admin/analytics', label: 'Analytics', icon: <IconChart /> },
     { to: '/admin/logs', label: 'Activity Logs', icon: <IconLogs /> },
+    { to: '/admin/emails', label: 'Email Delivery', icon: <IconMail /> },
     { to: '/admin/settings', label: 'Settings', icon: <IconSettings /> },
   ]
 
@@ -192,7 +207,9 @@ export default function Sidebar() {
                   ? 'Admin'
                   : role === 'university'
                     ? 'University'
-                    : email
+                    : role === 'faculty_advisor'
+                      ? 'Faculty Advisor'
+                      : email
                 }
               </span>
             </div>
@@ -126,132 +126,21 @@ export function AuthProvider({ children }) {
   const signIn = async (email, password, roleHint) => {
     console.log('[Auth] signIn started for', email, 'roleHint:', roleHint)
     try {
-      // Special handling for student login
+      // Students sign in with the password they chose on their activation link
       if (roleHint === 'student') {
-        console.log('[Auth] Student login detected, trying direct login first...')
-        
-        // First, try to sign in directly with the provided password
-        // This allows students who have changed their password to login with the new password
-        const directLoginResult = await supabase.auth.signInWithPassword({ 
-          email: email.trim().toLowerCase(), 
-          password: password.trim() 
-        })
-        
-        // If direct login succeeds, verify it's a student and proceed
-        if (directLoginResult.data?.user && !directLoginResult.error) {
-          console.log('[Auth] Direct login successful, verifying student role...')
-          // Verify the user is actually a student
-          const { data: profileData } = await supabase
-            .from('profiles')
-            .select('role')
-            .eq('id', directLoginResult.data.user.id)
-            .maybeSingle()
-          
-          if (profileData?.role === 'student') {
-            console.log('[Auth] Confirmed student role, using direct login (password may have been changed)')
-            // Use the direct login result and continue with normal flow below
-            // We'll set a flag to skip the student_id verification
-            const { data, error } = directLoginResult
-            
-            if (error) {
-              console.error('[Auth] signIn error after direct login:', error)
-              return { data: null, error }
-            }
-
-            const signedInUser = data.user
-            console.log('[Auth] signIn success. User:', signedInUser?.id)
-
-            if (!signedInUser) {
-              return { data: null, error: { message: 'Login failed: user not found.' } }
-            }
-
-            // Fetch profile
-            const { data: profile, error: profileError } = await supabase
-              .from('profiles')
-              .select('*')
-              .eq('id', signedInUser.id)
-              .maybeSingle()
-
-            if (profileError) {
-              console.error('[Auth] Profile fetch error:', profileError)
-            }
-
-            setUser(signedInUser)
-            setProfile(profile || null)
-
-            return { data: { user: signedInUser, profile }, error: null }
-          } else {
-            // Not a student, sign out and continue with student_id verification
-            console.log('[Auth] User is not a student, trying student_id verification...')
-            await supabase.auth.signOut()
-          }
-        }
-        
-        // If direct login failed or user is not a student, try student_id verification
-        // This handles the case where student is still using student_id as password
-        console.log('[Auth] Direct login failed or not student, trying student_id verification...')
-        
-        // Call backend to verify email and student_id match
-        const isDev = !import.meta.env.PROD
-        const backendUrl = import.meta.env.VITE_BACKEND_URL || ''
-        const verifyUrl = isDev 
-          ? '/api/auth/student-login-verify'
-          : (backendUrl ? `${backendUrl}/api/auth/student-login-verify` : '/api/auth/student-login-verify')
-        
-        try {
-          const verifyResponse = await fetch(verifyUrl, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({ 
-              email: email.trim().toLowerCase(),
-              student_id: password.trim() // password field contains student_id for students
-            }),
-          })
-
-          if (!verifyResponse.ok) {
-            const errorData = await verifyResponse.json().catch(() => ({ error: verifyResponse.statusText }))
-            console.error('[Auth] Student verification failed:', errorData)
-            return { 
-              data: null, 
-              error: { 
-                message: errorData.error || 'Student ID verification failed. Please check your email and student ID, or use your new password if you changed it.' 
-              } 
-            }
-          }
-
-          const verifyResult = await verifyResponse.json()
-          
-          if (!verifyResult.valid) {
-            console.error('[Auth] Student verification returned invalid:', verifyResult)
-            return { 
-              data: null, 
-              error: { 
-                message: verifyResult.error || 'Student ID verification failed. If you changed your password, please use your new password to login.' 
-              } 
-            }
-          }
-
-          // Use the actual password from credentials to sign in
-          console.log('[Auth] Student verification successful, signing in with actual password...')
-          password = verifyResult.actual_password
-        } catch (verifyError) {
-          console.error('[Auth] Student verification error:', verifyError)
-          return { 
-            data: null, 
-            error: { 
-              message: 'Failed to verify student credentials. If you changed your password, please use your new password to login.' 
-            } 
-          }
-        }
+        email = email.trim().toLowerCase()
       }
 
-      // Proceed with normal Supabase auth (using actual password for students, original password for others)
       const { data, error } = await supabase.auth.signInWithPassword({ email, password })
 
       if (error) {
         console.error('[Auth] signIn error:', error)
+        if (roleHint === 'student' && /invalid login credentials/i.test(error.message || '')) {
+          return {
+            data: null,
+            error: { message: 'Invalid email or password. New students must first set a password using the activation link from their invitation email.' },
+          }
+        }
         return { data: null, error }
       }
 
@@ -0,0 +1,16 @@
+import { useQuery } from '@tanstack/react-query'
+import { fetchNotificationTypes } from '../utils/notificationTypes'
+
+/**
+ * Notification type registry (types rarely change, so it is loaded once)
+ * @returns {{ types: Array<object>, isLoading: boolean, error: Error|null }}
+ */
+export function useNotificationTypes() {
+  const { data: types = [], isLoading, error } = useQuery({
+    queryKey: ['notification-types'],
+    queryFn: () => fetchNotificationTypes(),
+    staleTime: Infinity,
+  })
+
+  return { types, isLoading, error }
+}
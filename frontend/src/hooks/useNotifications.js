@@ -3,25 +3,8 @@ import { useQuery, useQueryClient } from '@tanstack/react-query'
 import { supabase } from '../utils/supabase'
 import { fetchNotifications, getUnreadCount, markAsRead, markAllAsRead, deleteNotification, deleteAllNotifications } from '../utils/notifications'
 import { useAuth } from '../context/AuthContext'
-
-/**
- * Get allowed notification types based on user role
- * @param {string} role - User role
- * @returns {Array<string>} Allowed notification types
- */
-function getAllowedNotificationTypes(role) {
-  switch (role) {
-    case 'admin':
-      return ['user_approval', 'internship_approval']
-    case 'software_house':
-      return ['internship_approval', 'new_application']
-    case 'student':
-    case 'guest':
-      return ['application_status']
-    default:
-      return []
-  }
-}
+import { useNotificationTypes } from './useNotificationTypes'
+import { getAllowedNotificationTypes, isNotificationVisible } from '../utils/notificationTypes'
 
 /**
  * Custom hook for managing notifications
@@ -34,8 +17,9 @@ export function useNotifications(options = {}) {
   const userId = profile?.id || user?.id
   const userRole = profile?.role
 
-  // Get allowed notification types for this user
-  const allowedTypes = getAllowedNotificationTypes(userRole)
+  // Types this role sees, from the notification type registry
+  const { types, isLoading: typesLoading } = useNotificationTypes()
+  const allowedTypes = useMemo(() => getAllowedNotificationTypes(types, userRole), [types, userRole])
 
   // Fetch notifications with role-based filtering
   const {
@@ -51,24 +35,12 @@ export function useNotifications(options = {}) {
     refetchInterval: 60000, // Refetch every minute
   })
 
-  // Filter notifications by allowed types
-  // For admin: only show pending internship approvals
-  // For software_house: only show approved/rejected internship approvals (not pending)
+  // Only the types (and statuses) the registry shows to this role,
+  // e.g. admins see pending internship reviews, software houses the outcome
   const notifications = useMemo(() => {
     if (!allNotifications || allowedTypes.length === 0) return []
-    return allNotifications.filter(n => {
-      if (!allowedTypes.includes(n.type)) return false
-      // For admin: only show pending internship approvals
-      if (userRole === 'admin' && n.type === 'internship_approval') {
-        return n.metadata?.status === 'pending'
-      }
-      // For software_house: only show approved/rejected internship approvals (exclude pending)
-      if (userRole === 'software_house' && n.type === 'internship_approval') {
-        return n.metadata?.status === 'approved' || n.metadata?.status === 'rejected'
-      }
-      return true
-    })
-  }, [allNotifications, allowedTypes, userRole])
+    return allNotifications.filter(n => isNotificationVisible(types, n, userRole))
+  }, [allNotifications, allowedTypes, types, userRole])
 
   // Fetch unread count (filtered by role)
   const {
@@ -212,7 +184,7 @@ export function useNotifications(options = {}) {
   return {
     notifications,
     unreadCount,
-    isLoading,
+    isLoading: isLoading || typesLoading,
     error,
     refetch,
     markAsRead: markNotificationAsRead,
@@ -1,10 +1,21 @@
 import { useEffect } from 'react'
 import { supabase } from '../utils/supabase'
 
-export function useRealtime(channelName, onChange) {
+/**
+ * Subscribe to Postgres changes for as long as the component is mounted
+ * @param {string} channelName - Unique per subscription
+ * @param {Function} onChange - Called with each change payload
+ * @param {{ table?: string, filter?: string, event?: string }} [options]
+ *   Narrow the subscription, e.g. { table: 'application_messages', filter: 'application_id=eq.<id>', event: 'INSERT' }
+ */
+export function useRealtime(channelName, onChange, { table, filter, event = '*' } = {}) {
   useEffect(() => {
+    const config = { event, schema: 'public' }
+    if (table) config.table = table
+    if (filter) config.filter = filter
+
     const channel = supabase.channel(channelName)
-      .on('postgres_changes', { event: '*', schema: 'public' }, (payload) => {
+      .on('postgres_changes', config, (payload) => {
         onChange?.(payload)
       })
       .subscribe()
@@ -12,5 +23,5 @@ export function useRealtime(channelName, onChange) {
     return () => {
       supabase.removeChannel(channel)
     }
-  }, [channelName, onChange])
-}
\ No newline at end of file
+  }, [channelName, onChange, table, filter, event])
+}
@@ -0,0 +1,28 @@
+import { useCallback } from 'react'
+import { useQuery, useQueryClient } from '@tanstack/react-query'
+import { useRealtime } from './useRealtime'
+import { fetchUnreadMessageCounts } from '../utils/messages'
+
+/**
+ * Unread messages per application, refreshed when a message arrives
+ * @param {boolean} [enabled=true]
+ * @returns {{ counts: Object<string, number>, isLoading: boolean }}
+ */
+export function useUnreadMessageCounts(enabled = true) {
+  const queryClient = useQueryClient()
+
+  const { data: counts = {}, isLoading } = useQuery({
+    queryKey: ['unread-message-counts'],
+    queryFn: fetchUnreadMessageCounts,
+    enabled,
+    staleTime: 30000
+  })
+
+  const handleChange = useCallback(() => {
+    queryClient.invalidateQueries({ queryKey: ['unread-message-counts'] })
+  }, [queryClient])
+
+  useRealtime('unread-message-counts', handleChange, { table: 'application_messages', event: 'INSERT' })
+
+  return { counts, isLoading }
+}
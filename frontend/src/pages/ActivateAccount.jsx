@@ -0,0 +1,135 @@
+import React, { useEffect, useState } from 'react'
+import { useForm } from 'react-hook-form'
+import { Link, useNavigate, useParams } from 'react-router-dom'
+import toast from 'react-hot-toast'
+import { apiUrl } from '../utils/api'
+import { MIN_PASSWORD_LENGTH } from '@backend/utils/helpers.js'
+
+// Activation endpoints are public: the token in the link is the credential
+async function postActivation(path, body) {
+  let response
+  try {
+    response = await fetch(apiUrl(path), {
+      method: 'POST',
+      headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    })
+  } catch (error) {
+    throw new Error('Cannot connect to backend server. Please make sure it is running.')
+  }
+
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed: ${response.status} ${response.statusText}`)
+  }
+  return data
+}
+
+export default function ActivateAccount() {
+  const { token } = useParams()
+  const navigate = useNavigate()
+  const [status, setStatus] = useState('checking')
+  const [account, setAccount] = useState(null)
+  const [linkError, setLinkError] = useState('')
+  const { register, handleSubmit, watch, formState: { errors, isSubmitting } } = useForm({ mode: 'onChange' })
+
+  useEffect(() => {
+    let cancelled = false
+    postActivation('/api/auth/activation/verify', { token })
+      .then((data) => {
+        if (cancelled) return
+        setAccount(data)
+        setStatus('ready')
+      })
+      .catch((error) => {
+        if (cancelled) return
+        setLinkError(error.message)
+        setStatus('invalid')
+      })
+    return () => { cancelled = true }
+  }, [token])
+
+  const onSubmit = async ({ password }) => {
+    try {
+      await postActivation('/api/auth/activate', { token, password })
+      toast.success('Your account is active. Log in with your new password.')
+      navigate('/login', { replace: true })
+    } catch (error) {
+      toast.error(error.message)
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 p-8">
+      <div className="w-full max-w-md bg-white border border-gray-200 rounded-2xl shadow-sm p-8">
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">Activate your account</h1>
+
+        {status === 'checking' && <p className="text-gray-600">Checking your activation link...</p>}
+
+        {status === 'invalid' && (
+          <div className="space-y-4">
+            <p className="text-sm text-rose-700 bg-rose-50 border border-rose-200 rounded-lg px-4 py-3">{linkError}</p>
+            <Link to="/login" className="inline-block text-sm text-blue-600 font-medium hover:text-blue-700">
+              Go to login
+            </Link>
+          </div>
+        )}
+
+        {status === 'ready' && (
+          <>
+            <p className="text-gray-600 mb-6">
+              Hi {account.name || 'there'}, choose a password for <span className="font-medium text-gray-900">{account.email}</span>.
+            </p>
+
+            <form onSubmit={handleSubmit(onSubmit)} className="space-y-5">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Password</label>
+                <input
+                  {...register('password', {
+                    required: 'Password is required',
+                    minLength: {
+                      value: MIN_PASSWORD_LENGTH,
+                      message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+                    },
+                  })}
+                  type="password"
+                  autoComplete="new-password"
+                  placeholder="Choose a password"
+                  className="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+                {errors.password && <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Confirm password</label>
+                <input
+                  {...register('confirmPassword', {
+                    required: 'Please confirm your password',
+                    validate: (value) => value === watch('password') || 'Passwords do not match',
+                  })}
+                  type="password"
+                  autoComplete="new-password"
+                  placeholder="Repeat the password"
+                  className="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+                {errors.confirmPassword && <p className="mt-1 text-sm text-red-600">{errors.confirmPassword.message}</p>}
+              </div>
+
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="w-full bg-blue-600 text-white py-3 rounded-lg font-semibold hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isSubmitting ? 'Activating...' : 'Activate account'}
+              </button>
+            </form>
+
+            <p className="mt-4 text-xs text-gray-500">
+              This link works once and expires on {new Date(account.expires_at).toLocaleString()}.
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
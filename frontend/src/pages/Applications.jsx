@@ -7,6 +7,21 @@ import Spinner from '../components/Spinner'
 import { useAuth } from '../context/AuthContext'
 import toast from 'react-hot-toast'
 import Modal from '../components/Modal'
+import InterviewPanel from '../components/InterviewPanel'
+import MessageThread from '../components/MessageThread'
+import PlacementPanel from '../components/PlacementPanel'
+import { useUnreadMessageCounts } from '../hooks/useUnreadMessageCounts'
+import {
+  DEFAULT_STAGES,
+  DEFAULT_TRANSITIONS,
+  ACTIVE_STAGES,
+  SUCCESS_STAGES,
+  fetchPipelineConfig,
+  fetchStageHistory,
+  getNextStages,
+  getStageLabel,
+  getStageBadgeClass
+} from '../utils/applicationPipeline'
 
 async function fetchApplications(userId, filters = {}) {
   console.log('[Applications] Fetching applications for user:', userId, 'Filters:', filters)
@@ -224,6 +239,7 @@ export default function Applications() {
   const [withdrawingId, setWithdrawingId] = useState(null)
   const [showWithdrawConfirm, setShowWithdrawConfirm] = useState(false)
   const [appToWithdraw, setAppToWithdraw] = useState(null)
+  const [acceptingOfferId, setAcceptingOfferId] = useState(null)
 
   // Use user.id if profile.id is not available (for guest users)
   const userId = profile?.id || user?.id
@@ -242,6 +258,23 @@ export default function Applications() {
     retry: 2
   })
 
+  const { counts: unreadMessages } = useUnreadMessageCounts(!!userId)
+
+  const { data: pipeline } = useQuery({
+    queryKey: ['applicationPipeline'],
+    queryFn: fetchPipelineConfig,
+    staleTime: 5 * 60 * 1000
+  })
+  const stages = pipeline?.stages || DEFAULT_STAGES
+  const transitions = pipeline?.transitions || DEFAULT_TRANSITIONS
+  const canApplicantMove = (app, stage) => getNextStages(app?.status, 'applicant', transitions).includes(stage)
+
+  const { data: stageHistory = [], refetch: refetchHistory } = useQuery({
+    queryKey: ['applicationStageHistory', selected?.id],
+    queryFn: () => fetchStageHistory(selected.id),
+    enabled: detailsOpen && !!selected?.id
+  })
+
   // Log for debugging
   useEffect(() => {
     if (userId) {
@@ -283,14 +316,9 @@ export default function Applications() {
   }, [userId, refetch])
 
   const getStatusBadge = (status) => {
-    const styles = {
-      pending: 'bg-amber-100 text-amber-800 border-amber-200',
-      accepted: 'bg-emerald-100 text-emerald-800 border-emerald-200',
-      rejected: 'bg-rose-100 text-rose-800 border-rose-200'
-    }
     return (
-      <span className={`px-3 py-1 rounded-full text-xs font-semibold border ${styles[status] || 'bg-gray-100 text-gray-800 border-gray-200'}`}>
-        {status.charAt(0).toUpperCase() + status.slice(1)}
+      <span className={`px-3 py-1 rounded-full text-xs font-semibold border whitespace-nowrap ${getStageBadgeClass(status)}`}>
+        {getStageLabel(status, stages)}
       </span>
     )
   }
@@ -366,9 +394,9 @@ export default function Applications() {
   }
 
   const handleWithdrawClick = (app) => {
-    // Only allow withdrawal if status is pending
-    if (app.status !== 'pending') {
-      toast.error(`Cannot withdraw ${app.status} applications. Only pending applications can be withdrawn.`)
+    // Only allow withdrawal while the application is still open
+    if (!canApplicantMove(app, 'withdrawn')) {
+      toast.error(`Cannot withdraw ${getStageLabel(app.status, stages).toLowerCase()} applications.`)
       return
     }
     setAppToWithdraw(app)
@@ -380,9 +408,10 @@ export default function Applications() {
 
     try {
       setWithdrawingId(appToWithdraw.id)
+      // Keep the application (and its stage history) instead of deleting it
       const { error } = await supabase
         .from('applications')
-        .delete()
+        .update({ status: 'withdrawn', updated_at: new Date().toISOString() })
         .eq('id', appToWithdraw.id)
 
       if (error) throw error
@@ -399,6 +428,34 @@ export default function Applications() {
     }
   }
 
+  const acceptOffer = async (app) => {
+    if (!canApplicantMove(app, 'offer_accepted')) {
+      toast.error('This offer can no longer be accepted.')
+      return
+    }
+
+    try {
+      setAcceptingOfferId(app.id)
+      const { error } = await supabase
+        .from('applications')
+        .update({ status: 'offer_accepted', updated_at: new Date().toISOString() })
+        .eq('id', app.id)
+
+      if (error) throw error
+
+      toast.success('Offer accepted! The software house has been notified.')
+      if (selected?.id === app.id) {
+        setSelected({ ...selected, status: 'offer_accepted' })
+        refetchHistory()
+      }
+      await refetch()
+    } catch (err) {
+      toast.error(err.message || 'Unable to accept offer. Please try again.')
+    } finally {
+      setAcceptingOfferId(null)
+    }
+  }
+
   if (isLoading) return <Spinner />
 
   // Show error if query failed
@@ -406,8 +463,9 @@ export default function Applications() {
   const stats = data
     ? {
         total: data.length,
-        pending: data.filter(a => a.status === 'pending').length,
-        accepted: data.filter(a => a.status === 'accepted').length,
+        inProgress: data.filter(a => ACTIVE_STAGES.includes(a.status)).length,
+        offers: data.filter(a => a.status === 'offer_extended').length,
+        accepted: data.filter(a => SUCCESS_STAGES.includes(a.status)).length,
         rejected: data.filter(a => a.status === 'rejected').length
       }
     : null
@@ -428,8 +486,9 @@ export default function Applications() {
               <p className="text-xs md:text-sm text-gray-600 mt-1">
                 {stats ? (
                   <>
-                    Total: <span className="font-semibold text-gray-900">{stats.total}</span> • Pending:{' '}
-                    <span className="font-semibold text-amber-600">{stats.pending}</span> • Accepted:{' '}
+                    Total: <span className="font-semibold text-gray-900">{stats.total}</span> • In Progress:{' '}
+                    <span className="font-semibold text-amber-600">{stats.inProgress}</span> • Offers:{' '}
+                    <span className="font-semibold text-cyan-600">{stats.offers}</span> • Accepted:{' '}
                     <span className="font-semibold text-emerald-600">{stats.accepted}</span> • Rejected:{' '}
                     <span className="font-semibold text-rose-600">{stats.rejected}</span>
                   </>
@@ -499,9 +558,9 @@ export default function Applications() {
               className="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition"
             >
               <option value="">All Statuses</option>
-              <option value="pending">Pending</option>
-              <option value="accepted">Accepted</option>
-              <option value="rejected">Rejected</option>
+              {stages.map(st => (
+                <option key={st.stage} value={st.stage}>{st.label}</option>
+              ))}
             </select>
           </div>
         </div>
@@ -616,9 +675,21 @@ export default function Applications() {
               {
                 Header: 'Actions',
                 accessor: (r) => {
-                  const canWithdraw = r.status === 'pending'
+                  const canWithdraw = canApplicantMove(r, 'withdrawn')
                   return (
                     <div className="flex items-center gap-2">
+                      {canApplicantMove(r, 'offer_accepted') && (
+                        <button
+                          className="px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 disabled:opacity-50 disabled:cursor-not-allowed transition shadow-sm text-sm font-medium flex items-center gap-2"
+                          disabled={acceptingOfferId === r.id}
+                          onClick={() => acceptOffer(r)}
+                        >
+                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                          </svg>
+                          {acceptingOfferId === r.id ? 'Accepting...' : 'Accept Offer'}
+                        </button>
+                      )}
                       <button
                         className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50 transition shadow-sm flex items-center gap-2"
                         onClick={() => openDetails(r)}
@@ -628,12 +699,17 @@ export default function Applications() {
                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
                         </svg>
                         View
+                        {unreadMessages[r.id] > 0 && (
+                          <span className="px-1.5 py-0.5 bg-blue-600 text-white rounded-full text-xs font-semibold" title="Unread messages">
+                            {unreadMessages[r.id]}
+                          </span>
+                        )}
                       </button>
                       <button
                         className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition shadow-sm text-sm font-medium flex items-center gap-2"
                         disabled={!canWithdraw || withdrawingId === r.id}
                         onClick={() => canWithdraw && handleWithdrawClick(r)}
-                        title={!canWithdraw ? `Cannot withdraw ${r.status} applications` : 'Withdraw application'}
+                        title={!canWithdraw ? `Cannot withdraw ${getStageLabel(r.status, stages).toLowerCase()} applications` : 'Withdraw application'}
                       >
                         {withdrawingId === r.id ? (
                           <>
@@ -816,6 +892,60 @@ export default function Applications() {
               )}
             </div>
 
+            {/* Interview Section */}
+            <div className="bg-white rounded-xl border border-gray-200 p-6">
+              <h5 className="text-sm font-semibold text-gray-700 mb-3 flex items-center gap-2">
+                <svg className="w-4 h-4 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                </svg>
+                Interview
+              </h5>
+              <InterviewPanel
+                applicationId={selected.id}
+                applicationStatus={selected.status}
+                side="applicant"
+                onChange={() => { refetch(); refetchHistory() }}
+              />
+            </div>
+
+            {/* Placement Section (after the offer is accepted) */}
+            <PlacementPanel applicationId={selected.id} applicationStatus={selected.status} side="applicant" />
+
+            {/* Messages Section */}
+            <div className="bg-white rounded-xl border border-gray-200 p-6">
+              <h5 className="text-sm font-semibold text-gray-700 mb-3 flex items-center gap-2">
+                <svg className="w-4 h-4 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 10h.01M12 10h.01M16 10h.01M9 16H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-5l-5 5v-5z" />
+                </svg>
+                Messages
+              </h5>
+              <MessageThread applicationId={selected.id} side="applicant" />
+            </div>
+
+            {/* Stage History */}
+            {stageHistory.length > 0 && (
+              <div className="bg-white rounded-xl border border-gray-200 p-6">
+                <h5 className="text-sm font-semibold text-gray-700 mb-4 flex items-center gap-2">
+                  <svg className="w-4 h-4 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                  </svg>
+                  Application Progress
+                </h5>
+                <ol className="relative border-l-2 border-gray-200 ml-2 space-y-4">
+                  {stageHistory.map((h) => (
+                    <li key={h.id} className="ml-4">
+                      <div className="absolute -left-[7px] w-3 h-3 bg-blue-500 rounded-full border-2 border-white"></div>
+                      <div className="flex items-center gap-2 flex-wrap">
+                        {getStatusBadge(h.to_stage)}
+                        <span className="text-xs text-gray-500">{new Date(h.created_at).toLocaleString()}</span>
+                      </div>
+                      {h.note && <p className="text-sm text-gray-600 mt-1">{h.note}</p>}
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            )}
+
             {/* Action Buttons */}
             <div className="flex items-center justify-end gap-3 border-t border-gray-200 pt-6">
               <button
@@ -824,7 +954,19 @@ export default function Applications() {
               >
                 Close
               </button>
-              {selected.status === 'pending' ? (
+              {canApplicantMove(selected, 'offer_accepted') && (
+                <button
+                  className="px-6 py-2.5 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700 disabled:opacity-50 disabled:cursor-not-allowed transition font-medium shadow-sm flex items-center gap-2"
+                  disabled={acceptingOfferId === selected.id}
+                  onClick={() => acceptOffer(selected)}
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                  </svg>
+                  {acceptingOfferId === selected.id ? 'Accepting...' : 'Accept Offer'}
+                </button>
+              )}
+              {canApplicantMove(selected, 'withdrawn') ? (
                 <button
                   className="px-6 py-2.5 rounded-lg bg-red-600 text-white hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition font-medium shadow-sm flex items-center gap-2"
                   disabled={withdrawingId === selected.id}
@@ -880,7 +1022,7 @@ export default function Applications() {
                 {appToWithdraw?.internships?.title || 'This internship'}
               </p>
               <p className="text-sm text-gray-600 mt-3">
-                This action cannot be undone. You will need to apply again if you change your mind.
+                This action cannot be undone. The software house will be notified and you will not be able to re-apply for this internship.
               </p>
             </div>
           </div>
@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from 'react'
+import React, { useEffect, useRef, useState } from 'react'
 import { useForm, useFieldArray } from 'react-hook-form'
 import { z } from 'zod'
 import { zodResolver } from '@hookform/resolvers/zod'
@@ -6,6 +6,11 @@ import { useAuth } from '../context/AuthContext'
 import { supabase } from '../utils/supabase'
 import toast from 'react-hot-toast'
 import CVPreview from './CVPreview'
+import Modal from '../components/Modal'
+import CVVersionHistory from '../components/CVVersionHistory'
+import { pickCVContent, isCVContentComplete } from '@backend/utils/cvDiff.js'
+import ResumeImportReview from '../components/ResumeImportReview'
+import { importResume, getLowConfidenceFields, RESUME_ACCEPT } from '../utils/resumeImport'
 
 const schema = z.object({
   personal: z.object({
@@ -49,8 +54,17 @@ export default function CVForm() {
   const { profile } = useAuth()
   const [showPreview, setShowPreview] = useState(false)
   const [isSaving, setIsSaving] = useState(false)
+  const [isImporting, setIsImporting] = useState(false)
+  const [importResult, setImportResult] = useState(null)
+  const [reviewFields, setReviewFields] = useState([])
+  const resumeInputRef = useRef(null)
+  const [versions, setVersions] = useState([])
+  const [activeVersionId, setActiveVersionId] = useState(null)
+  const [versionModal, setVersionModal] = useState(null) // 'create' | 'rename' | 'delete'
+  const [versionName, setVersionName] = useState('')
+  const [showHistory, setShowHistory] = useState(false)
   
-  const { register, handleSubmit, control, setValue, watch, formState: { errors, isValid } } = useForm({
+  const { register, handleSubmit, control, setValue, getValues, watch, reset, formState: { errors, isValid, isDirty } } = useForm({
     resolver: zodResolver(schema),
     mode: 'onChange', // Real-time validation
     defaultValues: {
@@ -92,21 +106,135 @@ export default function CVForm() {
   const skillsInput = watch('skillsInput', '')
   const skills = watch('skills', [])
 
+  const activeVersion = versions.find((v) => v.id === activeVersionId) || null
+
+  // Load CV content into the form; keepDefaults leaves it marked as unsaved
+  const fillForm = (data, { keepDefaults = false } = {}) => {
+    const content = pickCVContent(data)
+    reset({
+      ...content,
+      personal: { name: '', email: '', phone: '', address: '', date_of_birth: '', ...content.personal },
+      skillsInput: content.skills.join(', '),
+      projects: content.projects.map((p) => ({
+        ...p,
+        technologiesInput: (p.technologies || []).join(', '),
+      })),
+    }, { keepDefaultValues: keepDefaults })
+  }
+
+  const loadVersions = async () => {
+    const { data, error } = await supabase
+      .from('cv_versions')
+      .select('*')
+      .eq('user_id', profile.id)
+      .order('is_default', { ascending: false })
+      .order('name', { ascending: true })
+    if (error) {
+      toast.error(error.message)
+      return []
+    }
+    setVersions(data || [])
+    return data || []
+  }
+
   useEffect(() => {
     const load = async () => {
-      const { data } = await supabase.from('cv_forms').select('*').eq('user_id', profile.id).maybeSingle()
-      if (data) {
-        setValue('personal', data.personal || {})
-        setValue('education', data.education || [])
-        setValue('skills', data.skills || [])
-        setValue('experience', data.experience || [])
-        setValue('projects', data.projects || [])
-        setValue('certifications', data.certifications || [])
-        setValue('languages', data.languages || [])
+      const list = await loadVersions()
+      const current = list.find((v) => v.is_default) || list[0]
+      if (current) {
+        setActiveVersionId(current.id)
+        fillForm(current)
+        return
       }
+
+      // No versions yet: start from the main CV; the first save creates the default version
+      const { data } = await supabase.from('cv_forms').select('*').eq('user_id', profile.id).maybeSingle()
+      if (data) fillForm(data)
     }
     if (profile?.id) load()
-  }, [profile?.id, setValue])
+  }, [profile?.id])
+
+  const switchVersion = (versionId) => {
+    if (versionId === activeVersionId) return
+    if (isDirty) {
+      toast.error('Save or discard your changes before switching CV versions')
+      return
+    }
+    const version = versions.find((v) => v.id === versionId)
+    if (!version) return
+    setActiveVersionId(version.id)
+    setReviewFields([])
+    fillForm(version)
+  }
+
+  const openVersionModal = (mode) => {
+    setVersionName(mode === 'rename' ? activeVersion?.name || '' : '')
+    setVersionModal(mode)
+  }
+
+  const buildPayload = (form) => ({
+    personal: form.personal,
+    education: form.education || [],
+    skills: form.skills || [],
+    experience: form.experience || [],
+    projects: (form.projects || []).map(({ technologiesInput, ...p }) => p),
+    certifications: form.certifications || [],
+    languages: form.languages || [],
+    // Shown straight away; the database recomputes it on save
+    is_complete: isCVContentComplete(form),
+  })
+
+  const handleVersionNameSubmit = async () => {
+    const name = versionName.trim()
+    if (!name) return toast.error('Please enter a name for this CV version')
+
+    let result
+    if (versionModal === 'rename') {
+      result = await supabase.from('cv_versions').update({ name }).eq('id', activeVersionId).select().single()
+    } else {
+      // New versions start as a copy of what is currently in the form
+      result = await supabase
+        .from('cv_versions')
+        .insert({ ...buildPayload(getValues()), user_id: profile.id, name, is_default: versions.length === 0 })
+        .select()
+        .single()
+    }
+
+    if (result.error) {
+      return toast.error(result.error.code === '23505' ? `You already have a CV version named "${name}"` : result.error.message)
+    }
+
+    await loadVersions()
+    setActiveVersionId(result.data.id)
+    fillForm(result.data)
+    setVersionModal(null)
+    toast.success(versionModal === 'rename' ? 'CV version renamed' : `Created "${name}"`)
+  }
+
+  const handleSetDefault = async () => {
+    const { error } = await supabase.rpc('set_default_cv_version', { p_version_id: activeVersionId })
+    if (error) return toast.error(error.message)
+    await loadVersions()
+    toast.success(`"${activeVersion.name}" is now your main CV`)
+  }
+
+  const handleDeleteVersion = async () => {
+    const { error } = await supabase.from('cv_versions').delete().eq('id', activeVersionId)
+    if (error) return toast.error(error.message)
+    const list = await loadVersions()
+    const next = list.find((v) => v.is_default) || list[0]
+    setActiveVersionId(next?.id || null)
+    if (next) fillForm(next)
+    setVersionModal(null)
+    toast.success('CV version deleted')
+  }
+
+  // Restoring only fills the form; the student still has to save it
+  const handleRestoreRevision = (entry) => {
+    fillForm(entry.content, { keepDefaults: true })
+    setShowHistory(false)
+    toast.success(`Revision ${entry.revision} loaded. Click Save CV to keep it.`)
+  }
 
   const handleSkillsChange = (e) => {
     const value = e.target.value
@@ -115,36 +243,74 @@ export default function CVForm() {
     setValue('skills', skillsArray)
   }
 
+  const handleResumeSelected = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    setIsImporting(true)
+    try {
+      setImportResult(await importResume(file))
+    } catch (error) {
+      toast.error(error.message || 'Could not read this resume')
+    } finally {
+      setIsImporting(false)
+    }
+  }
+
+  // Copy the reviewed sections into the form; saving is still up to the student
+  const applyImport = (sections) => {
+    const { cv, confidence } = importResult
+    const options = { shouldValidate: true, shouldDirty: true }
+
+    sections.forEach((section) => {
+      if (section === 'personal') {
+        const current = getValues('personal') || {}
+        const extracted = Object.fromEntries(Object.entries(cv.personal || {}).filter(([, value]) => value))
+        setValue('personal', { ...current, ...extracted }, options)
+      } else if (section === 'skills') {
+        setValue('skills', cv.skills, options)
+        setValue('skillsInput', cv.skills.join(', '))
+      } else if (section === 'projects') {
+        setValue('projects', cv.projects.map((p) => ({
+          ...p,
+          technologiesInput: (p.technologies || []).join(', '),
+        })), options)
+      } else {
+        setValue(section, cv[section], options)
+      }
+    })
+
+    setReviewFields(getLowConfidenceFields(cv, confidence, sections))
+    setImportResult(null)
+    toast.success('Resume details added to the form. Review them and click Save CV.')
+  }
+
   const onSubmit = async (form) => {
     setIsSaving(true)
-    const isComplete = Boolean(
-      form.personal?.name &&
-      form.personal?.email &&
-      form.personal?.phone &&
-      (form.education?.length || 0) > 0 &&
-      (form.skills?.length || 0) > 0
-    )
-    
-    const payload = {
-      user_id: profile.id,
-      personal: form.personal,
-      education: form.education,
-      skills: form.skills,
-      experience: form.experience || [],
-      projects: form.projects || [],
-      certifications: form.certifications || [],
-      languages: form.languages || [],
-      is_complete: isComplete,
-    }
-    
-    const { error } = await supabase.from('cv_forms').upsert(payload, { onConflict: 'user_id' })
+    const payload = buildPayload(form)
+
+    // Saving a version records a history revision; the default version is
+    // copied into cv_forms by a database trigger
+    const { data, error } = activeVersionId
+      ? await supabase.from('cv_versions').update(payload).eq('id', activeVersionId).select().single()
+      : await supabase
+          .from('cv_versions')
+          .insert({ ...payload, user_id: profile.id, name: 'Default', is_default: true })
+          .select()
+          .single()
     setIsSaving(false)
     if (error) return toast.error(error.message)
+
+    await loadVersions()
+    setActiveVersionId(data.id)
+    fillForm(data)
+    setReviewFields([])
     toast.success('CV saved successfully!')
   }
 
   if (showPreview) {
-    return <CVPreview userId={profile.id} onClose={() => setShowPreview(false)} />
+    return <CVPreview userId={profile.id} versionId={activeVersionId} onClose={() => setShowPreview(false)} />
   }
 
   return (
@@ -171,6 +337,29 @@ export default function CVForm() {
             </div>
           </div>
           <div className="flex flex-wrap gap-2">
+            <input
+              ref={resumeInputRef}
+              type="file"
+              accept={RESUME_ACCEPT}
+              onChange={handleResumeSelected}
+              className="hidden"
+            />
+            <button
+              type="button"
+              onClick={() => resumeInputRef.current?.click()}
+              disabled={isImporting}
+              className="inline-flex items-center gap-2 px-4 py-2 border border-blue-200 rounded-lg text-blue-700 bg-white hover:bg-blue-50 transition text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <svg className={`w-4 h-4 ${isImporting ? 'animate-pulse' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12"
+                />
+              </svg>
+              {isImporting ? 'Reading resume...' : 'Import from Resume'}
+            </button>
             <button
               type="button"
               onClick={() => setShowPreview(true)}
@@ -222,6 +411,177 @@ export default function CVForm() {
         </div>
       </div>
 
+      {/* CV versions */}
+      <div className="bg-white rounded-xl shadow p-4 flex flex-col lg:flex-row lg:items-center lg:justify-between gap-3">
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+          <label className="text-sm font-medium text-gray-700 whitespace-nowrap">CV version</label>
+          {versions.length > 0 ? (
+            <select
+              value={activeVersionId || ''}
+              onChange={(e) => switchVersion(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              {versions.map((v) => (
+                <option key={v.id} value={v.id}>
+                  {v.name}{v.is_default ? ' (main)' : ''}{v.is_complete ? '' : ' - incomplete'}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <span className="text-sm text-gray-500">Your first save creates a "Default" version.</span>
+          )}
+          {activeVersion && (
+            <span className="text-xs text-gray-500">
+              Revision {activeVersion.revision} • saved {new Date(activeVersion.updated_at).toLocaleString()}
+              {isDirty && <span className="ml-2 text-amber-600 font-medium">Unsaved changes</span>}
+            </span>
+          )}
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <button
+            type="button"
+            onClick={() => openVersionModal('create')}
+            className="px-3 py-1.5 text-sm border border-blue-200 text-blue-700 rounded-lg hover:bg-blue-50 transition"
+          >
+            New Version
+          </button>
+          {activeVersion && (
+            <>
+              <button
+                type="button"
+                onClick={() => openVersionModal('rename')}
+                className="px-3 py-1.5 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition"
+              >
+                Rename
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowHistory(true)}
+                className="px-3 py-1.5 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition"
+              >
+                History
+              </button>
+              {!activeVersion.is_default && (
+                <>
+                  <button
+                    type="button"
+                    onClick={handleSetDefault}
+                    disabled={isDirty}
+                    title={isDirty ? 'Save your changes first' : 'Use this version as your main CV'}
+                    className="px-3 py-1.5 text-sm border border-emerald-200 text-emerald-700 rounded-lg hover:bg-emerald-50 transition disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Make Main CV
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => openVersionModal('delete')}
+                    className="px-3 py-1.5 text-sm border border-red-200 text-red-600 rounded-lg hover:bg-red-50 transition"
+                  >
+                    Delete
+                  </button>
+                </>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+
+      <Modal
+        isOpen={versionModal === 'create' || versionModal === 'rename'}
+        onClose={() => setVersionModal(null)}
+        title={versionModal === 'rename' ? 'Rename CV Version' : 'New CV Version'}
+        size="small"
+      >
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+            <input
+              value={versionName}
+              onChange={(e) => setVersionName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleVersionNameSubmit()}
+              placeholder="e.g., Frontend-focused"
+              autoFocus
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+            {versionModal === 'create' && (
+              <p className="mt-2 text-xs text-gray-500">The new version starts as a copy of what is currently in the form.</p>
+            )}
+          </div>
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={() => setVersionModal(null)}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition text-sm"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleVersionNameSubmit}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition text-sm font-semibold"
+            >
+              {versionModal === 'rename' ? 'Rename' : 'Create'}
+            </button>
+          </div>
+        </div>
+      </Modal>
+
+      <Modal isOpen={versionModal === 'delete'} onClose={() => setVersionModal(null)} title="Delete CV Version" size="small">
+        <div className="space-y-4">
+          <p className="text-sm text-gray-700">
+            Are you sure you want to <strong className="text-red-600">delete</strong> "{activeVersion?.name}"? Its history
+            will be removed. Applications already submitted with it keep their copy of the CV.
+          </p>
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={() => setVersionModal(null)}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition text-sm"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleDeleteVersion}
+              className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition text-sm font-semibold"
+            >
+              Delete
+            </button>
+          </div>
+        </div>
+      </Modal>
+
+      <CVVersionHistory
+        isOpen={showHistory}
+        onClose={() => setShowHistory(false)}
+        version={activeVersion}
+        versions={versions}
+        onRestore={handleRestoreRevision}
+      />
+
+      {reviewFields.length > 0 && (
+        <div className="rounded-xl border border-rose-200 bg-rose-50 p-4 flex items-start justify-between gap-3">
+          <div>
+            <p className="text-sm font-semibold text-rose-800">Please double-check these imported fields before saving:</p>
+            <p className="text-sm text-rose-700 mt-1">{reviewFields.join(', ')}</p>
+          </div>
+          <button
+            type="button"
+            onClick={() => setReviewFields([])}
+            className="text-xs font-medium text-rose-700 hover:text-rose-900 whitespace-nowrap"
+          >
+            Dismiss
+          </button>
+        </div>
+      )}
+
+      <ResumeImportReview
+        isOpen={!!importResult}
+        onClose={() => setImportResult(null)}
+        result={importResult}
+        onApply={applyImport}
+      />
+
       <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
         {/* Personal Information */}
         <div className="bg-white rounded-lg shadow p-6">
@@ -4,14 +4,18 @@ import { supabase } from '../utils/supabase'
 import { useAuth } from '../context/AuthContext'
 import { getProfilePictureUrl } from '../utils/api'
 import Spinner from '../components/Spinner'
+import CVPdfButton from '../components/CVPdfButton'
 import toast from 'react-hot-toast'
 
-async function fetchCV(userId) {
-  const { data, error } = await supabase
-    .from('cv_forms')
-    .select('*')
-    .eq('user_id', userId)
-    .single()
+async function fetchCV(userId, versionId) {
+  // A named CV version when given, otherwise the main CV
+  const { data, error } = versionId
+    ? await supabase.from('cv_versions').select('*').eq('id', versionId).single()
+    : await supabase
+        .from('cv_forms')
+        .select('*')
+        .eq('user_id', userId)
+        .single()
   if (error && error.code !== 'PGRST116') throw error
   return data
 }
@@ -26,13 +30,13 @@ async function fetchUserProfile(userId) {
   return data
 }
 
-export default function CVPreview({ userId, onClose }) {
+export default function CVPreview({ userId, versionId, onClose }) {
   const { profile } = useAuth()
   const targetUserId = userId || profile?.id
 
   const { data: cv, isLoading } = useQuery({
-    queryKey: ['cv', targetUserId],
-    queryFn: () => fetchCV(targetUserId),
+    queryKey: ['cv', targetUserId, versionId || 'main'],
+    queryFn: () => fetchCV(targetUserId, versionId),
     enabled: !!targetUserId
   })
 
@@ -121,6 +125,7 @@ export default function CVPreview({ userId, onClose }) {
             </button>
           )}
           <div className="flex gap-3">
+            <CVPdfButton userId={targetUserId} versionId={versionId} />
             <button
               onClick={() => window.print()}
               className="flex items-center gap-2 px-6 py-2.5 bg-gradient-to-r from-blue-600 to-indigo-600 text-white rounded-lg hover:from-blue-700 hover:to-indigo-700 transition-all shadow-lg"
@@ -3,6 +3,10 @@ import { useQuery } from '@tanstack/react-query'
 import { supabase } from '../utils/supabase'
 import Card from '../components/Card'
 import Spinner from '../components/Spinner'
+import ApplyModal from '../components/ApplyModal'
+import { RatingStars } from '../components/EvaluationSummary'
+import { fetchSoftwareHouseRatings } from '../utils/evaluations'
+import { isAcceptingApplications, formatDeadline } from '../utils/internshipLifecycle'
 import { useAuth } from '../context/AuthContext'
 import toast from 'react-hot-toast'
 import { useNavigate } from 'react-router-dom'
@@ -15,6 +19,7 @@ async function fetchApprovedInternships() {
     .from('internships')
     .select('*')
     .eq('status', 'approved')
+    .eq('posting_status', 'open')
   
   console.log('[Listings] Basic query result:', {
     count: basicData?.length || 0,
@@ -39,6 +44,7 @@ async function fetchApprovedInternships() {
       )
     `)
     .eq('status', 'approved')
+    .eq('posting_status', 'open')
     .order('created_at', { ascending: false })
   
   if (error) {
@@ -46,7 +52,7 @@ async function fetchApprovedInternships() {
     // If join fails, return basic data without profiles
     if (basicData && basicData.length > 0) {
       console.warn('[Listings] Join failed, returning data without profiles')
-      return basicData.map(item => ({ ...item, profiles: null }))
+      return basicData.filter((item) => isAcceptingApplications(item)).map(item => ({ ...item, profiles: null }))
     }
     throw error
   }
@@ -57,18 +63,8 @@ async function fetchApprovedInternships() {
     sample: data?.[0]
   })
   
-  return data || []
-}
-
-async function checkCVComplete(userId) {
-  const { data, error } = await supabase
-    .from('cv_forms')
-    .select('is_complete')
-    .eq('user_id', userId)
-    .single()
-  
-  if (error && error.code !== 'PGRST116') throw error
-  return data?.is_complete || false
+  // Deadlines that passed since the lifecycle job last ran
+  return (data || []).filter((item) => isAcceptingApplications(item))
 }
 
 export default function Listings() {
@@ -80,11 +76,22 @@ export default function Listings() {
     retry: 2,
     staleTime: 30000 // Cache for 30 seconds
   })
+  // Student ratings per software house (only companies with enough reviews are returned)
+  const softwareHouseIds = useMemo(
+    () => [...new Set((data || []).map(i => i.software_house_id).filter(Boolean))].sort(),
+    [data]
+  )
+  const { data: ratings = {} } = useQuery({
+    queryKey: ['software-house-ratings', softwareHouseIds],
+    queryFn: () => fetchSoftwareHouseRatings(softwareHouseIds),
+    enabled: softwareHouseIds.length > 0,
+    staleTime: 5 * 60 * 1000
+  })
   const [term, setTerm] = useState('')
   const [skillsFilter, setSkillsFilter] = useState('')
   const [durationFilter, setDurationFilter] = useState('')
   const [typeFilter, setTypeFilter] = useState('')
-  const [applyingId, setApplyingId] = useState(null)
+  const [applyTarget, setApplyTarget] = useState(null)
 
   const { data: userApplications, refetch: refetchUserApplications } = useQuery({
     queryKey: ['applications', profile?.id, 'listings'],
@@ -101,74 +108,13 @@ export default function Listings() {
     staleTime: 60000,
   })
 
-  const apply = async (internshipId) => {
+  const apply = (internship) => {
     if (!profile?.id) {
       toast.error('Please login to apply')
       navigate('/login')
       return
     }
-
-    // Check if CV is complete
-    const cvComplete = await checkCVComplete(profile.id)
-    if (!cvComplete) {
-      toast.error('Please complete your CV Form before applying')
-      navigate('/cv')
-      return
-    }
-
-    try {
-      setApplyingId(internshipId)
-
-      // Check duplicate
-    const { data: existing } = await supabase
-      .from('applications')
-      .select('id')
-      .eq('user_id', profile.id)
-      .eq('internship_id', internshipId)
-      .maybeSingle()
-      
-      if (existing) {
-        toast.error('You have already applied for this internship')
-        return
-      }
-
-      // Fetch CV data to include in application
-      const { data: cvData, error: cvError } = await supabase
-        .from('cv_forms')
-        .select('*')
-        .eq('user_id', profile.id)
-        .single()
-
-      if (cvError || !cvData) {
-        toast.error('CV data not found. Please complete your CV Form.')
-        navigate('/cv')
-        return
-      }
-
-      // Apply with CV data
-    const { error } = await supabase
-      .from('applications')
-        .insert({
-          user_id: profile.id,
-          internship_id: internshipId,
-          status: 'pending',
-          cv_data: cvData
-        })
-      
-      if (error) {
-        if (error.code === '23505') {
-          toast.error('You have already applied for this internship')
-        } else {
-          toast.error(error.message)
-        }
-        return
-      }
-      
-      toast.success('Applied successfully!')
-      refetchUserApplications()
-    } finally {
-      setApplyingId(null)
-    }
+    setApplyTarget(internship)
   }
 
   const filtered = useMemo(() => {
@@ -373,7 +319,7 @@ export default function Listings() {
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
           {filtered.map((i, index) => {
             const alreadyApplied = (userApplications || []).some(a => a.internship_id === i.id)
-            const isProcessing = applyingId === i.id
+            const isProcessing = applyTarget?.id === i.id
             const disabled = alreadyApplied || isProcessing
 
             // Reuse gradient set similar to My Internships
@@ -416,6 +362,20 @@ export default function Listings() {
                       Approved
                     </span>
                   </div>
+                  {(i.application_deadline || i.openings) && (
+                    <div className="absolute bottom-3 left-4 flex flex-wrap gap-2">
+                      {i.application_deadline && (
+                        <span className="px-2.5 py-0.5 rounded-full text-[11px] font-semibold bg-white/90 text-slate-800 shadow">
+                          {formatDeadline(i.application_deadline)}
+                        </span>
+                      )}
+                      {i.openings && (
+                        <span className="px-2.5 py-0.5 rounded-full text-[11px] font-semibold bg-white/90 text-slate-800 shadow">
+                          {i.openings} {i.openings === 1 ? 'opening' : 'openings'}
+                        </span>
+                      )}
+                    </div>
+                  )}
                 </div>
 
                 {/* Content */}
@@ -434,6 +394,16 @@ export default function Listings() {
                       </svg>
                       <span>{i.profiles?.organization_name || i.profiles?.full_name || 'Software House'}</span>
                     </div>
+                    {ratings[i.software_house_id] && (
+                      <div
+                        className="flex items-center gap-1.5 mt-1 text-xs text-slate-600"
+                        title={`Average of ${ratings[i.software_house_id].review_count} intern reviews`}
+                      >
+                        <RatingStars value={ratings[i.software_house_id].average_rating} className="w-3.5 h-3.5" />
+                        <span className="font-semibold text-slate-800">{ratings[i.software_house_id].average_rating.toFixed(1)}</span>
+                        <span>({ratings[i.software_house_id].review_count} reviews)</span>
+                      </div>
+                    )}
                   </div>
 
                   {/* Description */}
@@ -524,7 +494,7 @@ export default function Listings() {
                   {(profile?.role === 'student' || profile?.role === 'guest') && (
                     <div className="pt-3 border-t border-slate-200">
                       <button
-                        onClick={() => !disabled && apply(i.id)}
+                        onClick={() => !disabled && apply(i)}
                         disabled={disabled}
                         className={`w-full px-4 py-2.5 rounded-lg text-sm font-semibold transition flex items-center justify-center gap-2 ${
                           alreadyApplied
@@ -564,6 +534,13 @@ export default function Listings() {
           })}
         </div>
       )}
+
+      <ApplyModal
+        isOpen={!!applyTarget}
+        onClose={() => setApplyTarget(null)}
+        internship={applyTarget}
+        onApplied={() => refetchUserApplications()}
+      />
     </div>
   )
 }
\ No newline at end of file
@@ -58,6 +58,7 @@ export default function Login() {
         student: '/dashboard/student',
         guest: '/dashboard/guest',
         university: '/dashboard/university',
+        faculty_advisor: '/dashboard/university',
         software_house: '/dashboard/software-house',
         admin: '/dashboard/admin',
       }
@@ -108,6 +109,7 @@ export default function Login() {
               >
                 <option value="student">Student</option>
                 <option value="university">University</option>
+                <option value="faculty_advisor">Faculty Advisor</option>
                 <option value="software_house">Software House</option>
                 <option value="guest">Guest</option>
                 <option value="admin">Admin</option>
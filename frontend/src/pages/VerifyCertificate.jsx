@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from 'react'
+import { Link, useNavigate, useParams } from 'react-router-dom'
+import { verifyCertificate } from '../utils/certificates'
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' }) : null)
+
+// Public page: anyone can confirm a completion certificate from its code or QR code
+export default function VerifyCertificate() {
+  const { code } = useParams()
+  const navigate = useNavigate()
+  const [input, setInput] = useState(code || '')
+  const [status, setStatus] = useState(code ? 'checking' : 'idle')
+  const [certificate, setCertificate] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!code) {
+      setStatus('idle')
+      return
+    }
+    let cancelled = false
+    setInput(code)
+    setStatus('checking')
+    verifyCertificate(code)
+      .then((result) => {
+        if (cancelled) return
+        setCertificate(result)
+        setStatus(result ? 'found' : 'not_found')
+      })
+      .catch((err) => {
+        if (cancelled) return
+        setError(err.message)
+        setStatus('error')
+      })
+    return () => { cancelled = true }
+  }, [code])
+
+  const onSubmit = (e) => {
+    e.preventDefault()
+    const value = input.trim()
+    if (value) navigate(`/verify/${encodeURIComponent(value)}`)
+  }
+
+  const from = formatDate(certificate?.start_date)
+  const to = formatDate(certificate?.end_date)
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 p-8">
+      <div className="w-full max-w-lg bg-white border border-gray-200 rounded-2xl shadow-sm p-8">
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">Verify a certificate</h1>
+        <p className="text-gray-600 mb-6">
+          Enter the verification code printed on an AIILP internship completion certificate.
+        </p>
+
+        <form onSubmit={onSubmit} className="flex gap-2 mb-6">
+          <input
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            placeholder="e.g. K7PQ-3MXA-9TZC"
+            autoComplete="off"
+            className="flex-1 px-4 py-2.5 border border-gray-300 rounded-lg font-mono uppercase focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+          <button
+            type="submit"
+            className="px-5 py-2.5 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 transition-colors"
+          >
+            Verify
+          </button>
+        </form>
+
+        {status === 'checking' && <p className="text-gray-600">Checking the certificate...</p>}
+
+        {status === 'error' && (
+          <p className="text-sm text-rose-700 bg-rose-50 border border-rose-200 rounded-lg px-4 py-3">{error}</p>
+        )}
+
+        {status === 'not_found' && (
+          <p className="text-sm text-rose-700 bg-rose-50 border border-rose-200 rounded-lg px-4 py-3">
+            No certificate matches this verification code. Check the code and try again.
+          </p>
+        )}
+
+        {status === 'found' && certificate && (
+          <div className={`rounded-lg border px-5 py-4 ${certificate.valid ? 'border-emerald-200 bg-emerald-50' : 'border-amber-200 bg-amber-50'}`}>
+            <p className={`text-sm font-semibold mb-3 ${certificate.valid ? 'text-emerald-800' : 'text-amber-800'}`}>
+              {certificate.valid
+                ? 'This certificate is authentic and valid.'
+                : `This certificate was revoked on ${formatDate(certificate.revoked_at)}.`}
+            </p>
+            <dl className="space-y-2 text-sm">
+              <div className="flex justify-between gap-4">
+                <dt className="text-gray-600">Student</dt>
+                <dd className="font-medium text-gray-900 text-right">{certificate.student_name}</dd>
+              </div>
+              {certificate.university_name && (
+                <div className="flex justify-between gap-4">
+                  <dt className="text-gray-600">University</dt>
+                  <dd className="font-medium text-gray-900 text-right">{certificate.university_name}</dd>
+                </div>
+              )}
+              <div className="flex justify-between gap-4">
+                <dt className="text-gray-600">Role</dt>
+                <dd className="font-medium text-gray-900 text-right">{certificate.internship_title}</dd>
+              </div>
+              <div className="flex justify-between gap-4">
+                <dt className="text-gray-600">Software house</dt>
+                <dd className="font-medium text-gray-900 text-right">{certificate.software_house_name}</dd>
+              </div>
+              {(from || to) && (
+                <div className="flex justify-between gap-4">
+                  <dt className="text-gray-600">Dates</dt>
+                  <dd className="font-medium text-gray-900 text-right">{from && to ? `${from} – ${to}` : from || to}</dd>
+                </div>
+              )}
+              <div className="flex justify-between gap-4">
+                <dt className="text-gray-600">Issued</dt>
+                <dd className="font-medium text-gray-900 text-right">{formatDate(certificate.issued_at)}</dd>
+              </div>
+              <div className="flex justify-between gap-4">
+                <dt className="text-gray-600">Code</dt>
+                <dd className="font-mono text-gray-900 text-right">{certificate.verification_code}</dd>
+              </div>
+            </dl>
+          </div>
+        )}
+
+        <Link to="/" className="inline-block mt-6 text-sm text-blue-600 font-medium hover:text-blue-700">
+          Go to AIILP
+        </Link>
+      </div>
+    </div>
+  )
+}
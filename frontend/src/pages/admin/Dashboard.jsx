@@ -2,6 +2,7 @@ import React, { useEffect, useState } from 'react'
 import { Link } from 'react-router-dom'
 import { useQuery, useQueryClient } from '@tanstack/react-query'
 import { supabase } from '../../utils/supabase'
+import { apiRequest } from '../../utils/api'
 import { logAdminAction } from '../../utils/logging'
 import Spinner from '../../components/Spinner'
 import Modal from '../../components/Modal'
@@ -286,35 +287,21 @@ export default function AdminDashboard() {
         )
       }
 
-      // Send approval/rejection email to user
+      // Queue the approval/rejection email (sent by the backend outbox)
       try {
-        const backendUrl = import.meta.env.VITE_BACKEND_URL || ''
-        const apiUrl = backendUrl || (import.meta.env.DEV ? '/api' : '')
-        
-        const emailResponse = await fetch(`${apiUrl}/api/admin/send-approval-email`, {
+        await apiRequest('/api/admin/send-approval-email', {
           method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
+          body: {
             userId: item.id,
             action: action === 'Approve' ? 'approve' : 'reject',
             feedback: null,
             userEmail: item.email || null,
             userName: item.full_name || item.organization_name || 'User',
             userRole: item.role || ''
-          })
+          },
         })
-
-        if (emailResponse.ok) {
-          console.log(`[AdminDashboard] ✅ ${action === 'Approve' ? 'Approval' : 'Rejection'} email sent successfully`)
-        } else {
-          const errorData = await emailResponse.json().catch(() => ({}))
-          console.warn(`[AdminDashboard] ⚠️  Failed to send ${action} email:`, errorData.error || 'Unknown error')
-          // Don't throw error - email failure shouldn't block approval/rejection
-        }
       } catch (emailErr) {
-        console.warn(`[AdminDashboard] ⚠️  Exception sending ${action} email:`, emailErr.message)
+        console.warn(`[AdminDashboard] ⚠️  Failed to queue ${action} email:`, emailErr.message)
         // Don't throw error - email failure shouldn't block approval/rejection
       }
 
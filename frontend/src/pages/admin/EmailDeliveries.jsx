@@ -0,0 +1,181 @@
+import React, { useMemo, useState } from 'react'
+import { useQuery, useQueryClient } from '@tanstack/react-query'
+import toast from 'react-hot-toast'
+import { supabase } from '../../utils/supabase'
+import { apiRequest } from '../../utils/api'
+import Spinner from '../../components/Spinner'
+import { EMAIL_TEMPLATES } from '@backend/utils/emailTemplates.js'
+
+const STATUS_STYLES = {
+  pending: 'bg-amber-100 text-amber-700',
+  sending: 'bg-blue-100 text-blue-700',
+  sent: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700',
+}
+
+const STATUSES = ['pending', 'sending', 'sent', 'failed']
+
+async function fetchEmails() {
+  const { data, error } = await supabase
+    .from('email_outbox')
+    .select('id, template, to_email, subject, status, attempts, max_attempts, next_attempt_at, last_error, transport, sent_at, created_at')
+    .order('created_at', { ascending: false })
+    .limit(300)
+  if (error) throw error
+  return data || []
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : '—'
+}
+
+export default function EmailDeliveries() {
+  const queryClient = useQueryClient()
+  const [statusFilter, setStatusFilter] = useState('all')
+  const [templateFilter, setTemplateFilter] = useState('all')
+  const [search, setSearch] = useState('')
+  const [busyId, setBusyId] = useState(null)
+
+  const { data: emails = [], isLoading, error } = useQuery({
+    queryKey: ['email-outbox'],
+    queryFn: fetchEmails,
+    // Poll while something is still queued
+    refetchInterval: (query) => ((query.state.data || []).some(e => e.status === 'pending' || e.status === 'sending') ? 5000 : false),
+  })
+
+  const counts = useMemo(() => STATUSES.reduce((acc, status) => {
+    acc[status] = emails.filter(e => e.status === status).length
+    return acc
+  }, {}), [emails])
+
+  const filtered = useMemo(() => {
+    const term = search.trim().toLowerCase()
+    return emails.filter(e =>
+      (statusFilter === 'all' || e.status === statusFilter)
+      && (templateFilter === 'all' || e.template === templateFilter)
+      && (!term || e.to_email.toLowerCase().includes(term) || (e.subject || '').toLowerCase().includes(term))
+    )
+  }, [emails, statusFilter, templateFilter, search])
+
+  const retry = async (email) => {
+    try {
+      setBusyId(email.id)
+      await apiRequest(`/api/admin/emails/${email.id}/retry`, { method: 'POST' })
+      toast.success('Email queued again')
+      queryClient.invalidateQueries({ queryKey: ['email-outbox'] })
+    } catch (e) {
+      toast.error(e.message)
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  if (isLoading) return <Spinner />
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Email Delivery</h1>
+        <p className="text-sm text-gray-600 mt-1">Transactional emails queued by the platform and whether they were delivered. Failed emails are retried automatically before they are marked as failed.</p>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {STATUSES.map(status => (
+          <button
+            key={status}
+            onClick={() => setStatusFilter(statusFilter === status ? 'all' : status)}
+            className={`text-left bg-white rounded-xl border p-4 shadow-sm transition ${statusFilter === status ? 'border-blue-500 ring-2 ring-blue-100' : 'border-gray-200 hover:border-gray-300'}`}
+          >
+            <div className="text-xs font-semibold uppercase tracking-wider text-gray-500">{status}</div>
+            <div className="text-2xl font-bold text-gray-900 mt-1">{counts[status]}</div>
+          </button>
+        ))}
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg border border-gray-200 overflow-hidden">
+        <div className="px-6 py-4 bg-gray-50 border-b border-gray-200 flex flex-wrap items-center gap-3">
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search recipient or subject"
+            className="flex-1 min-w-[200px] px-4 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+          <select
+            value={templateFilter}
+            onChange={(e) => setTemplateFilter(e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="all">All emails</option>
+            {Object.entries(EMAIL_TEMPLATES).map(([value, { label }]) => (<option key={value} value={value}>{label}</option>))}
+          </select>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="all">All statuses</option>
+            {STATUSES.map(status => (<option key={status} value={status}>{status}</option>))}
+          </select>
+        </div>
+
+        {error ? (
+          <p className="p-6 text-sm text-red-700">Could not load emails: {error.message}</p>
+        ) : filtered.length === 0 ? (
+          <p className="p-12 text-center text-gray-600">No emails found.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full">
+              <thead>
+                <tr className="text-left text-xs font-semibold text-gray-600 uppercase tracking-wider bg-gradient-to-r from-gray-50 to-blue-50">
+                  <th className="px-6 py-3">Email</th>
+                  <th className="px-6 py-3">Recipient</th>
+                  <th className="px-6 py-3">Status</th>
+                  <th className="px-6 py-3">Attempts</th>
+                  <th className="px-6 py-3">Queued</th>
+                  <th className="px-6 py-3">Delivered / next try</th>
+                  <th className="px-6 py-3"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {filtered.map(email => (
+                  <tr key={email.id} className="hover:bg-gray-50 align-top">
+                    <td className="px-6 py-3">
+                      <div className="text-sm font-medium text-gray-900">{EMAIL_TEMPLATES[email.template]?.label || email.template}</div>
+                      {email.subject && <div className="text-xs text-gray-500 mt-0.5">{email.subject}</div>}
+                    </td>
+                    <td className="px-6 py-3 text-sm text-gray-700">{email.to_email}</td>
+                    <td className="px-6 py-3">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[email.status] || 'bg-gray-100 text-gray-700'}`}>
+                        {email.status}
+                      </span>
+                      {email.last_error && <div className="text-xs text-red-600 mt-1 max-w-xs break-words">{email.last_error}</div>}
+                    </td>
+                    <td className="px-6 py-3 text-sm text-gray-700">{email.attempts} / {email.max_attempts}</td>
+                    <td className="px-6 py-3 text-sm text-gray-700">{formatDate(email.created_at)}</td>
+                    <td className="px-6 py-3 text-sm text-gray-700">
+                      {email.status === 'sent'
+                        ? <>{formatDate(email.sent_at)}{email.transport && <span className="text-xs text-gray-500"> via {email.transport}</span>}</>
+                        : email.status === 'pending' ? formatDate(email.next_attempt_at) : '—'}
+                    </td>
+                    <td className="px-6 py-3 text-right">
+                      {email.status === 'failed' && (
+                        <button
+                          onClick={() => retry(email)}
+                          disabled={busyId === email.id}
+                          className="px-3 py-1.5 text-sm font-medium text-blue-600 hover:bg-blue-50 rounded-lg transition disabled:opacity-50"
+                        >
+                          {busyId === email.id ? 'Queueing...' : 'Retry'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -1,6 +1,7 @@
 import React, { useState, useMemo } from 'react'
 import { useNotifications } from '../../hooks/useNotifications'
 import { formatRelativeTime, getNotificationIcon, formatNotificationMessage } from '../../utils/notifications'
+import { SEVERITY_STYLES, getNotificationSeverity } from '../../utils/notificationTypes'
 import Spinner from '../../components/Spinner'
 import Modal from '../../components/Modal'
 import toast from 'react-hot-toast'
@@ -11,31 +12,17 @@ export default function AdminNotifications() {
   const [showDeleteAllConfirm, setShowDeleteAllConfirm] = useState(false)
   const [deleting, setDeleting] = useState(false)
 
-  // Filter notifications by tab (admin only sees user_approval and internship_approval)
+  // Filter notifications by tab (useNotifications already limits them to the
+  // types and statuses the notification type registry shows admins)
   const filteredNotifications = useMemo(() => {
     if (!notifications) return []
-    
-    // Admin should only see:
-    // 1. user_approval notifications
-    // 2. internship_approval notifications with status = 'pending' (only pending internships need approval)
-    const adminNotifications = notifications.filter(n => {
-      if (n.type === 'user_approval') return true
-      if (n.type === 'internship_approval') {
-        // Only show pending internship approvals to admin
-        return n.metadata?.status === 'pending'
-      }
-      return false
-    })
-    
+
     switch (activeTab) {
       case 'user_approval':
-        return adminNotifications.filter(n => n.type === 'user_approval')
       case 'internship_approval':
-        return adminNotifications.filter(n => 
-          n.type === 'internship_approval' && n.metadata?.status === 'pending'
-        )
+        return notifications.filter(n => n.type === activeTab)
       default:
-        return adminNotifications
+        return notifications
     }
   }, [notifications, activeTab])
 
@@ -210,13 +197,7 @@ export default function AdminNotifications() {
                 )}
                 <div className="flex items-start gap-5">
                   {/* Icon */}
-                  <div className={`flex-shrink-0 w-14 h-14 rounded-xl flex items-center justify-center shadow-md transform transition-transform group-hover:scale-110 ${
-                    notification.type === 'user_approval'
-                      ? 'bg-gradient-to-br from-emerald-400 to-emerald-600 text-white'
-                      : notification.type === 'internship_approval'
-                      ? 'bg-gradient-to-br from-blue-400 to-indigo-600 text-white'
-                      : 'bg-gradient-to-br from-gray-400 to-gray-600 text-white'
-                  }`}>
+                  <div className={`flex-shrink-0 w-14 h-14 rounded-xl flex items-center justify-center shadow-md transform transition-transform group-hover:scale-110 ${SEVERITY_STYLES[getNotificationSeverity(notification)]}`}>
                     <div className="w-7 h-7">
                       {getNotificationIcon(notification.type)}
                     </div>
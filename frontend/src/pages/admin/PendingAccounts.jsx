@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react'
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
 import { supabase } from '../../utils/supabase'
+import { apiRequest } from '../../utils/api'
 import { logAdminAction } from '../../utils/logging'
 import Spinner from '../../components/Spinner'
 import Table from '../../components/Table'
@@ -41,36 +42,21 @@ async function reviewAccount(profileId, action, feedback, accountData) {
     )
   }
 
-  // Send approval/rejection email to user
-  // Backend will fetch email from auth.users automatically
+  // Queue the approval/rejection email (sent by the backend outbox)
   try {
-    const backendUrl = import.meta.env.VITE_BACKEND_URL || ''
-    const apiUrl = backendUrl || (import.meta.env.DEV ? '/api' : '')
-    
-    const emailResponse = await fetch(`${apiUrl}/api/admin/send-approval-email`, {
+    await apiRequest('/api/admin/send-approval-email', {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
+      body: {
         userId: profileId,
         action: action,
         feedback: feedback || null,
         userEmail: accountData?.email || null, // Optional - backend will fetch if not provided
         userName: accountData?.full_name || accountData?.organization_name || 'User',
         userRole: accountData?.role || ''
-      })
+      },
     })
-
-    if (emailResponse.ok) {
-      console.log(`[PendingAccounts] ✅ ${action === 'approve' ? 'Approval' : 'Rejection'} email sent successfully`)
-    } else {
-      const errorData = await emailResponse.json().catch(() => ({}))
-      console.warn(`[PendingAccounts] ⚠️  Failed to send ${action} email:`, errorData.error || 'Unknown error')
-      // Don't throw error - email failure shouldn't block approval/rejection
-    }
   } catch (emailErr) {
-    console.warn(`[PendingAccounts] ⚠️  Exception sending ${action} email:`, emailErr.message)
+    console.warn(`[PendingAccounts] ⚠️  Failed to queue ${action} email:`, emailErr.message)
     // Don't throw error - email failure shouldn't block approval/rejection
   }
 }
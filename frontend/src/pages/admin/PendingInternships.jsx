@@ -5,7 +5,9 @@ import { logAdminAction } from '../../utils/logging'
 import Spinner from '../../components/Spinner'
 import Table from '../../components/Table'
 import Modal from '../../components/Modal'
+import InternshipRevisionHistory, { InternshipRevisionDiff } from '../../components/InternshipRevisionHistory'
 import toast from 'react-hot-toast'
+import { EDITABLE_FIELDS, FIELD_LABELS, WORDING_FIELDS, DEFAULT_REVIEW_SETTINGS } from '../../utils/internshipRevisions'
 
 async function fetchAllInternships() {
   const { data, error } = await supabase
@@ -23,6 +25,47 @@ async function fetchAllInternships() {
   return data
 }
 
+async function fetchPendingRevisions() {
+  const { data, error } = await supabase
+    .from('internship_revisions')
+    .select(`
+      *,
+      internship:internship_id (
+        id,
+        title,
+        status,
+        profiles:software_house_id (
+          id,
+          organization_name,
+          full_name
+        )
+      )
+    `)
+    .eq('status', 'pending')
+    .order('created_at', { ascending: true })
+  if (error) throw error
+  return data
+}
+
+async function fetchReviewSettings() {
+  const { data, error } = await supabase
+    .from('internship_review_settings')
+    .select('*')
+    .eq('id', true)
+    .maybeSingle()
+  if (error) throw error
+  return data || DEFAULT_REVIEW_SETTINGS
+}
+
+async function reviewRevision(id, approve, feedback) {
+  const { error } = await supabase.rpc('review_internship_revision', {
+    p_revision_id: id,
+    p_approve: approve,
+    p_feedback: feedback,
+  })
+  if (error) throw error
+}
+
 async function updateInternshipStatus(id, status, feedback) {
   const updateData = { status }
   
@@ -69,6 +112,10 @@ export default function PendingInternships() {
   const [feedback, setFeedback] = useState('')
   const [statusFilter, setStatusFilter] = useState('all') // 'all', 'pending', 'approved', 'rejected'
   const [processingAction, setProcessingAction] = useState(false) // Loading state for actions
+  const [revisionTarget, setRevisionTarget] = useState(null) // { revision, approve }
+  const [revisionFeedback, setRevisionFeedback] = useState('')
+  const [historyTarget, setHistoryTarget] = useState(null)
+  const [rulesDraft, setRulesDraft] = useState(null)
   const queryClient = useQueryClient()
 
   const { data, isLoading } = useQuery({
@@ -76,6 +123,71 @@ export default function PendingInternships() {
     queryFn: fetchAllInternships
   })
 
+  const { data: pendingRevisions = [] } = useQuery({
+    queryKey: ['internship-revisions', 'pending'],
+    queryFn: fetchPendingRevisions
+  })
+
+  const { data: reviewSettings } = useQuery({
+    queryKey: ['internship-review-settings'],
+    queryFn: fetchReviewSettings
+  })
+
+  const revisionMutation = useMutation({
+    mutationFn: ({ id, approve, feedback }) => reviewRevision(id, approve, feedback),
+    onSuccess: (_, variables) => {
+      queryClient.invalidateQueries({ queryKey: ['internship-revisions'] })
+      queryClient.invalidateQueries({ queryKey: ['internships', 'all'] })
+      toast.success(variables.approve ? 'Changes approved and published' : 'Changes rejected')
+      setRevisionTarget(null)
+      setRevisionFeedback('')
+    },
+    onError: (error) => toast.error(error.message)
+  })
+
+  const rulesMutation = useMutation({
+    mutationFn: async (rules) => {
+      const { data: { user } } = await supabase.auth.getUser()
+      const { error } = await supabase
+        .from('internship_review_settings')
+        .update({
+          skip_cosmetic_review: rules.skip_cosmetic_review,
+          cosmetic_fields: rules.cosmetic_fields,
+          cosmetic_max_word_changes: rules.cosmetic_max_word_changes,
+          exempt_fields: rules.exempt_fields,
+          updated_by: user?.id || null,
+          updated_at: new Date().toISOString(),
+        })
+        .eq('id', true)
+      if (error) throw error
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['internship-review-settings'] })
+      toast.success('Review rules saved')
+      setRulesDraft(null)
+    },
+    onError: (error) => toast.error(error.message)
+  })
+
+  const handleRevisionConfirm = () => {
+    if (revisionMutation.isPending || !revisionTarget) return
+    if (!revisionTarget.approve && !revisionFeedback.trim()) {
+      return toast.error('Please explain why the changes are rejected')
+    }
+    revisionMutation.mutate({
+      id: revisionTarget.revision.id,
+      approve: revisionTarget.approve,
+      feedback: revisionFeedback.trim() || null
+    })
+  }
+
+  const toggleRuleField = (key, field) => {
+    setRulesDraft((draft) => ({
+      ...draft,
+      [key]: draft[key].includes(field) ? draft[key].filter((f) => f !== field) : [...draft[key], field]
+    }))
+  }
+
   const updateMutation = useMutation({
     mutationFn: ({ id, status, feedback }) => updateInternshipStatus(id, status, feedback),
     onMutate: () => {
@@ -171,6 +283,12 @@ export default function PendingInternships() {
               </p>
             </div>
             <div className="flex items-center gap-3 flex-wrap">
+              <button
+                onClick={() => setRulesDraft({ ...DEFAULT_REVIEW_SETTINGS, ...reviewSettings })}
+                className="px-4 py-2 bg-white text-indigo-700 border border-indigo-200 rounded-lg text-sm font-semibold hover:bg-indigo-50 transition-colors"
+              >
+                Review Rules
+              </button>
               {/* Status Statistics */}
               <div className="bg-white px-4 py-2 rounded-lg shadow-sm border border-indigo-200">
                 <div className="text-xs text-gray-500">Total</div>
@@ -245,6 +363,42 @@ export default function PendingInternships() {
         </div>
       </div>
 
+      {pendingRevisions.length > 0 && (
+        <div className="bg-white rounded-xl shadow-lg border border-amber-200 overflow-hidden">
+          <div className="px-6 py-4 bg-amber-50 border-b border-amber-200">
+            <h2 className="text-lg font-bold text-amber-800">Changes to Review ({pendingRevisions.length})</h2>
+            <p className="text-sm text-amber-700">
+              Edits to approved postings. The approved version stays live until you approve the changes.
+            </p>
+          </div>
+          <ul className="divide-y divide-gray-100">
+            {pendingRevisions.map((revision) => (
+              <li key={revision.id} className="px-6 py-4 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                <div className="min-w-0">
+                  <p className="font-semibold text-gray-900">{revision.internship?.title}</p>
+                  <p className="text-sm text-gray-600">
+                    {revision.internship?.profiles?.organization_name || revision.internship?.profiles?.full_name || 'N/A'}
+                    {' • '}
+                    {new Date(revision.created_at).toLocaleString()}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Changed: {(revision.changes || []).map((c) => FIELD_LABELS[c.field] || c.field).join(', ')}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2 shrink-0">
+                  <button
+                    onClick={() => setRevisionTarget({ revision, approve: true })}
+                    className="px-4 py-2 bg-gradient-to-r from-green-600 to-emerald-600 text-white rounded-lg text-sm font-semibold hover:from-green-700 hover:to-emerald-700 transition-all duration-200 shadow-md"
+                  >
+                    Review
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {!filteredInternships || filteredInternships.length === 0 ? (
         <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-12 text-center">
           <div className="w-20 h-20 mx-auto mb-4 bg-gradient-to-br from-green-100 to-emerald-100 rounded-full flex items-center justify-center">
@@ -362,6 +516,13 @@ export default function PendingInternships() {
                   Header: 'Actions', 
                   accessor: (r) => (
             <div className="flex items-center gap-2">
+                      <button
+                        onClick={() => setHistoryTarget(r)}
+                        className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg text-sm font-semibold hover:bg-gray-200 transition-colors"
+                        title="Revision history"
+                      >
+                        History
+                      </button>
                       {r.status === 'pending' && (
                         <>
                           <button
@@ -701,6 +862,172 @@ export default function PendingInternships() {
           </div>
         </div>
       </Modal>
+
+      {/* Revision Review Modal */}
+      <Modal
+        isOpen={!!revisionTarget}
+        onClose={() => {
+          if (revisionMutation.isPending) return
+          setRevisionTarget(null)
+          setRevisionFeedback('')
+        }}
+        title={`Review Changes: ${revisionTarget?.revision.internship?.title || ''}`}
+        size="large"
+      >
+        {revisionTarget && (
+          <div className="space-y-5">
+            <p className="text-sm text-gray-600">
+              Submitted by {revisionTarget.revision.internship?.profiles?.organization_name || revisionTarget.revision.internship?.profiles?.full_name || 'N/A'} on {new Date(revisionTarget.revision.created_at).toLocaleString()}.
+            </p>
+            <InternshipRevisionDiff changes={revisionTarget.revision.changes} />
+
+            <div className="flex gap-2">
+              <button
+                onClick={() => setRevisionTarget({ ...revisionTarget, approve: true })}
+                className={`px-4 py-2 rounded-lg text-sm font-semibold ${revisionTarget.approve ? 'bg-green-600 text-white' : 'bg-white text-gray-700 border border-gray-300'}`}
+              >
+                Approve
+              </button>
+              <button
+                onClick={() => setRevisionTarget({ ...revisionTarget, approve: false })}
+                className={`px-4 py-2 rounded-lg text-sm font-semibold ${!revisionTarget.approve ? 'bg-red-600 text-white' : 'bg-white text-gray-700 border border-gray-300'}`}
+              >
+                Reject
+              </button>
+            </div>
+
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">
+                Feedback {!revisionTarget.approve && <span className="text-red-500">*</span>}
+              </label>
+              <textarea
+                value={revisionFeedback}
+                onChange={(e) => setRevisionFeedback(e.target.value)}
+                rows={3}
+                placeholder={revisionTarget.approve ? 'Optional note for the software house' : 'Explain what needs to change'}
+                className="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 resize-none"
+              />
+            </div>
+
+            <div className="flex justify-end gap-3 pt-4 border-t border-gray-200">
+              <button
+                onClick={() => {
+                  setRevisionTarget(null)
+                  setRevisionFeedback('')
+                }}
+                disabled={revisionMutation.isPending}
+                className="px-6 py-2.5 border-2 border-gray-300 rounded-lg text-gray-700 font-semibold hover:bg-gray-50 transition-all disabled:opacity-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleRevisionConfirm}
+                disabled={revisionMutation.isPending}
+                className={`px-6 py-2.5 text-white rounded-lg font-semibold shadow-lg disabled:opacity-50 ${revisionTarget.approve ? 'bg-gradient-to-r from-green-600 to-emerald-600' : 'bg-gradient-to-r from-red-600 to-rose-600'}`}
+              >
+                {revisionMutation.isPending ? 'Processing...' : revisionTarget.approve ? 'Approve & Publish' : 'Reject Changes'}
+              </button>
+            </div>
+          </div>
+        )}
+      </Modal>
+
+      {/* Review Rules Modal */}
+      <Modal
+        isOpen={!!rulesDraft}
+        onClose={() => setRulesDraft(null)}
+        title="Review Rules for Edited Postings"
+        size="large"
+      >
+        {rulesDraft && (
+          <div className="space-y-5">
+            <label className="flex items-start gap-3">
+              <input
+                type="checkbox"
+                checked={rulesDraft.skip_cosmetic_review}
+                onChange={(e) => setRulesDraft({ ...rulesDraft, skip_cosmetic_review: e.target.checked })}
+                className="mt-1"
+              />
+              <span className="text-sm text-gray-700">
+                <span className="font-semibold">Publish cosmetic edits without review.</span>{' '}
+                Any other edit to an approved posting waits for an admin.
+              </span>
+            </label>
+
+            <div>
+              <p className="text-sm font-semibold text-gray-700 mb-2">Always cosmetic</p>
+              <p className="text-xs text-gray-500 mb-2">Changes to these fields never need review.</p>
+              <div className="flex flex-wrap gap-2">
+                {EDITABLE_FIELDS.map((field) => (
+                  <label key={field} className="flex items-center gap-1.5 px-3 py-1.5 border border-gray-200 rounded-lg text-sm">
+                    <input
+                      type="checkbox"
+                      checked={rulesDraft.exempt_fields.includes(field)}
+                      onChange={() => toggleRuleField('exempt_fields', field)}
+                    />
+                    {FIELD_LABELS[field]}
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <p className="text-sm font-semibold text-gray-700 mb-2">Cosmetic when only a few words change</p>
+              <div className="flex flex-wrap gap-2">
+                {WORDING_FIELDS.map((field) => (
+                  <label key={field} className="flex items-center gap-1.5 px-3 py-1.5 border border-gray-200 rounded-lg text-sm">
+                    <input
+                      type="checkbox"
+                      checked={rulesDraft.cosmetic_fields.includes(field)}
+                      onChange={() => toggleRuleField('cosmetic_fields', field)}
+                    />
+                    {FIELD_LABELS[field]}
+                  </label>
+                ))}
+              </div>
+              <div className="mt-3 flex items-center gap-3">
+                <label className="text-sm text-gray-700">Maximum words added or removed</label>
+                <input
+                  type="number"
+                  min={0}
+                  max={50}
+                  value={rulesDraft.cosmetic_max_word_changes}
+                  onChange={(e) => setRulesDraft({ ...rulesDraft, cosmetic_max_word_changes: Number(e.target.value) })}
+                  className="w-24 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+              </div>
+            </div>
+
+            <div className="flex justify-end gap-3 pt-4 border-t border-gray-200">
+              <button
+                onClick={() => setRulesDraft(null)}
+                className="px-6 py-2.5 border-2 border-gray-300 rounded-lg text-gray-700 font-semibold hover:bg-gray-50 transition-all"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={() => {
+                  const limit = rulesDraft.cosmetic_max_word_changes
+                  if (!Number.isInteger(limit) || limit < 0 || limit > 50) {
+                    return toast.error('Word limit must be a whole number between 0 and 50')
+                  }
+                  rulesMutation.mutate(rulesDraft)
+                }}
+                disabled={rulesMutation.isPending}
+                className="px-6 py-2.5 bg-gradient-to-r from-blue-600 to-indigo-600 text-white rounded-lg font-semibold shadow-lg disabled:opacity-50"
+              >
+                {rulesMutation.isPending ? 'Saving...' : 'Save Rules'}
+              </button>
+            </div>
+          </div>
+        )}
+      </Modal>
+
+      <InternshipRevisionHistory
+        isOpen={!!historyTarget}
+        onClose={() => setHistoryTarget(null)}
+        internship={historyTarget}
+      />
     </div>
   )
-}
\ No newline at end of file
+}
@@ -4,9 +4,12 @@ import { uploadProfilePicture, getProfilePictureUrl } from '../../utils/api'
 import { logProfilePictureUpload } from '../../utils/logging'
 import { supabase } from '../../utils/supabase'
 import toast from 'react-hot-toast'
+import SettingsTabs from '../../components/SettingsTabs'
+import NotificationPreferences from '../../components/NotificationPreferences'
 
 export default function Settings() {
   const { user, profile, updateProfile } = useAuth()
+  const [tab, setTab] = useState('account')
   const [uploading, setUploading] = useState(false)
   const [preview, setPreview] = useState(null)
   const fileInputRef = useRef(null)
@@ -165,90 +168,58 @@ export default function Settings() {
         </div>
       </div>
 
-      {/* Profile Picture Section */}
-      <div className="bg-white rounded-lg shadow p-6">
-        <h2 className="text-xl font-semibold text-gray-900 mb-4">Profile Picture</h2>
+      <SettingsTabs value={tab} onChange={setTab} />
 
-        <div className="flex flex-col md:flex-row gap-6">
-          {/* Current/Preview Picture */}
-          <div className="flex-shrink-0">
-            <div className="w-32 h-32 rounded-full overflow-hidden border-4 border-gray-200 shadow-lg">
-              {preview ? (
-                <img
-                  src={preview}
-                  alt="Preview"
-                  className="w-full h-full object-cover"
-                />
-              ) : pictureUrl ? (
-                <img
-                  src={pictureUrl}
-                  alt="Profile"
-                  className="w-full h-full object-cover"
-                />
-              ) : (
-                <div className="w-full h-full bg-gradient-to-br from-blue-500 to-indigo-600 flex items-center justify-center">
-                  <span className="text-4xl font-bold text-white">{initial}</span>
+      {tab === 'notifications' ? (
+        <NotificationPreferences userId={user?.id} role={profile?.role} />
+      ) : (
+        <>
+          {/* Profile Picture Section */}
+          <div className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-xl font-semibold text-gray-900 mb-4">Profile Picture</h2>
+
+            <div className="flex flex-col md:flex-row gap-6">
+              {/* Current/Preview Picture */}
+              <div className="flex-shrink-0">
+                <div className="w-32 h-32 rounded-full overflow-hidden border-4 border-gray-200 shadow-lg">
+                  {preview ? (
+                    <img
+                      src={preview}
+                      alt="Preview"
+                      className="w-full h-full object-cover"
+                    />
+                  ) : pictureUrl ? (
+                    <img
+                      src={pictureUrl}
+                      alt="Profile"
+                      className="w-full h-full object-cover"
+                    />
+                  ) : (
+                    <div className="w-full h-full bg-gradient-to-br from-blue-500 to-indigo-600 flex items-center justify-center">
+                      <span className="text-4xl font-bold text-white">{initial}</span>
+                    </div>
+                  )}
                 </div>
-              )}
-            </div>
-          </div>
+              </div>
 
-          {/* Upload Section */}
-          <div className="flex-1 space-y-4">
-            <div
-              className="border-2 border-dashed border-indigo-200 rounded-lg p-6 hover:border-indigo-500 transition-colors cursor-pointer"
-              onDragOver={handleDragOver}
-              onDrop={handleDrop}
-              onClick={() => fileInputRef.current?.click()}
-            >
-              <input
-                ref={fileInputRef}
-                type="file"
-                accept="image/jpeg,image/jpg,image/png,image/webp"
-                onChange={handleFileSelect}
-                className="hidden"
-              />
-              <div className="text-center">
-                <svg
-                  className="w-12 h-12 text-gray-400 mx-auto mb-3"
-                  fill="none"
-                  stroke="currentColor"
-                  viewBox="0 0 24 24"
+              {/* Upload Section */}
+              <div className="flex-1 space-y-4">
+                <div
+                  className="border-2 border-dashed border-indigo-200 rounded-lg p-6 hover:border-indigo-500 transition-colors cursor-pointer"
+                  onDragOver={handleDragOver}
+                  onDrop={handleDrop}
+                  onClick={() => fileInputRef.current?.click()}
                 >
-                  <path
-                    strokeLinecap="round"
-                    strokeLinejoin="round"
-                    strokeWidth={2}
-                    d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z"
+                  <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept="image/jpeg,image/jpg,image/png,image/webp"
+                    onChange={handleFileSelect}
+                    className="hidden"
                   />
-                </svg>
-                <p className="text-sm text-gray-600 mb-1">
-                  <span className="text-blue-600 font-medium">Click to upload</span> or drag and drop
-                </p>
-                <p className="text-xs text-gray-500">
-                  PNG, JPG, WEBP up to 5MB
-                </p>
-              </div>
-            </div>
-
-            {preview && (
-              <button
-                onClick={handleUpload}
-                disabled={uploading}
-                className="w-full px-4 py-2.5 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
-              >
-                {uploading ? (
-                  <>
-                    <svg className="animate-spin w-4 h-4" viewBox="0 0 24 24">
-                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v4a4 4 0 00-4 4H4z"></path>
-                    </svg>
-                    <span>Uploading...</span>
-                  </>
-                ) : (
-                  <>
+                  <div className="text-center">
                     <svg
-                      className="w-5 h-5"
+                      className="w-12 h-12 text-gray-400 mx-auto mb-3"
                       fill="none"
                       stroke="currentColor"
                       viewBox="0 0 24 24"
@@ -257,89 +228,129 @@ export default function Settings() {
                         strokeLinecap="round"
                         strokeLinejoin="round"
                         strokeWidth={2}
-                        d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12"
+                        d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z"
                       />
                     </svg>
-                    <span>Upload Picture</span>
-                  </>
+                    <p className="text-sm text-gray-600 mb-1">
+                      <span className="text-blue-600 font-medium">Click to upload</span> or drag and drop
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      PNG, JPG, WEBP up to 5MB
+                    </p>
+                  </div>
+                </div>
+
+                {preview && (
+                  <button
+                    onClick={handleUpload}
+                    disabled={uploading}
+                    className="w-full px-4 py-2.5 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+                  >
+                    {uploading ? (
+                      <>
+                        <svg className="animate-spin w-4 h-4" viewBox="0 0 24 24">
+                          <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                          <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v4a4 4 0 00-4 4H4z"></path>
+                        </svg>
+                        <span>Uploading...</span>
+                      </>
+                    ) : (
+                      <>
+                        <svg
+                          className="w-5 h-5"
+                          fill="none"
+                          stroke="currentColor"
+                          viewBox="0 0 24 24"
+                        >
+                          <path
+                            strokeLinecap="round"
+                            strokeLinejoin="round"
+                            strokeWidth={2}
+                            d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12"
+                          />
+                        </svg>
+                        <span>Upload Picture</span>
+                      </>
+                    )}
+                  </button>
                 )}
-              </button>
-            )}
+              </div>
+            </div>
           </div>
-        </div>
-      </div>
 
-      {/* Account Information */}
-      <div className="bg-white rounded-lg shadow p-6 border border-gray-100">
-        <h2 className="text-xl font-semibold text-gray-900 mb-4">Account Information</h2>
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-          <div>
-            <label className="block text-sm font-medium text-indigo-700 mb-2">Full Name</label>
-            <input
-              type="text"
-              value={fullName}
-              onChange={(e) => setFullName(e.target.value)}
-              className="w-full px-3 py-2 bg-white border border-indigo-200 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
-              placeholder="Enter your full name"
-            />
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-indigo-700 mb-2">Organization Name</label>
-            <input
-              type="text"
-              value={orgName}
-              onChange={(e) => setOrgName(e.target.value)}
-              className="w-full px-3 py-2 bg-white border border-indigo-200 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
-              placeholder="Enter organization name"
-            />
+          {/* Account Information */}
+          <div className="bg-white rounded-lg shadow p-6 border border-gray-100">
+            <h2 className="text-xl font-semibold text-gray-900 mb-4">Account Information</h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-indigo-700 mb-2">Full Name</label>
+                <input
+                  type="text"
+                  value={fullName}
+                  onChange={(e) => setFullName(e.target.value)}
+                  className="w-full px-3 py-2 bg-white border border-indigo-200 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  placeholder="Enter your full name"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-indigo-700 mb-2">Organization Name</label>
+                <input
+                  type="text"
+                  value={orgName}
+                  onChange={(e) => setOrgName(e.target.value)}
+                  className="w-full px-3 py-2 bg-white border border-indigo-200 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  placeholder="Enter organization name"
+                />
+              </div>
+            </div>
+            <div className="mt-4">
+              <button
+                onClick={handleSaveInfo}
+                disabled={savingInfo}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {savingInfo ? 'Saving...' : 'Save Changes'}
+              </button>
+            </div>
           </div>
-        </div>
-        <div className="mt-4">
-          <button
-            onClick={handleSaveInfo}
-            disabled={savingInfo}
-            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            {savingInfo ? 'Saving...' : 'Save Changes'}
-          </button>
-        </div>
-      </div>
 
-      {/* Security */}
-      <div className="bg-white rounded-lg shadow p-6 border border-gray-100">
-        <h2 className="text-xl font-semibold text-gray-900 mb-4">Security</h2>
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-          <div>
-            <label className="block text-sm font-medium text-indigo-700 mb-2">New Password</label>
-            <input
-              type="password"
-              value={newPassword}
-              onChange={(e) => setNewPassword(e.target.value)}
-              className="w-full px-3 py-2 bg-white border border-indigo-200 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
-              placeholder="Enter new password"
-            />
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-indigo-700 mb-2">Confirm Password</label>
-            <input
-              type="password"
-              value={confirmPassword}
-              onChange={(e) => setConfirmPassword(e.target.value)}
-              className="w-full px-3 py-2 bg-white border border-indigo-200 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
-              placeholder="Re-enter new password"
-            />
+          {/* Security */}
+          <div className="bg-white rounded-lg shadow p-6 border border-gray-100">
+            <h2 className="text-xl font-semibold text-gray-900 mb-4">Security</h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-indigo-700 mb-2">New Password</label>
+                <input
+                  type="password"
+                  value={newPassword}
+                  onChange={(e) => setNewPassword(e.target.value)}
+                  className="w-full px-3 py-2 bg-white border border-indigo-200 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  placeholder="Enter new password"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-indigo-700 mb-2">Confirm Password</label>
+                <input
+                  type="password"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  className="w-full px-3 py-2 bg-white border border-indigo-200 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  placeholder="Re-enter new password"
+                />
+              </div>
+            </div>
+            <div className="mt-4">
+              <button
+                onClick={changePassword}
+                disabled={changingPassword}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {changingPassword ? 'Updating...' : 'Update Password'}
+              </button>
+            </div>
           </div>
-        </div>
-        <div className="mt-4">
-          <button
-            onClick={changePassword}
-            disabled={changingPassword}
-            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            {changingPassword ? 'Updating...' : 'Update Password'}
-          </button>
-        </div>
-      </div>
+        </>
+      )}
     </div>
   )
 }
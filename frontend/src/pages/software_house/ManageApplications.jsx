@@ -6,7 +6,24 @@ import Spinner from '../../components/Spinner'
 import Table from '../../components/Table'
 import Modal from '../../components/Modal'
 import CVPreview from '../CVPreview'
+import InterviewPanel from '../../components/InterviewPanel'
+import MessageThread from '../../components/MessageThread'
+import PlacementPanel from '../../components/PlacementPanel'
+import { useUnreadMessageCounts } from '../../hooks/useUnreadMessageCounts'
+import CVPdfButton from '../../components/CVPdfButton'
 import toast from 'react-hot-toast'
+import {
+  DEFAULT_STAGES,
+  DEFAULT_TRANSITIONS,
+  fetchPipelineConfig,
+  fetchStageHistory,
+  getNextStages,
+  getStageLabel,
+  getStageBadgeClass
+} from '../../utils/applicationPipeline'
+import { scoreCandidate } from '@backend/utils/skillMatching.js'
+import { getMatchScoreClass } from '../../utils/skillMatching'
+import { formatScreeningAnswer } from '../../utils/screening'
 
 async function fetchApplicationsForOwner(ownerId) {
   const { data: internships } = await supabase
@@ -26,7 +43,8 @@ async function fetchApplicationsForOwner(ownerId) {
         id,
         title,
         description,
-        skills
+        skills,
+        requirements
       ),
       profiles:user_id (
         id,
@@ -78,6 +96,8 @@ export default function ManageApplications() {
   const [searchTerm, setSearchTerm] = useState('')
   const [statusFilter, setStatusFilter] = useState('')
   const [internshipFilter, setInternshipFilter] = useState('')
+  const [sortBy, setSortBy] = useState('date')
+  const [minScore, setMinScore] = useState(0)
   const [currentPage, setCurrentPage] = useState(1)
   const pageSize = 10
   const [showDetailsModal, setShowDetailsModal] = useState(false)
@@ -89,6 +109,23 @@ export default function ManageApplications() {
     enabled: !!profile?.id
   })
 
+  const { counts: unreadMessages } = useUnreadMessageCounts(!!profile?.id)
+
+  const { data: pipeline } = useQuery({
+    queryKey: ['applicationPipeline'],
+    queryFn: fetchPipelineConfig,
+    staleTime: 5 * 60 * 1000
+  })
+  const stages = pipeline?.stages || DEFAULT_STAGES
+  const transitions = pipeline?.transitions || DEFAULT_TRANSITIONS
+  const nextStagesFor = (application) => getNextStages(application?.status, 'software_house', transitions)
+
+  const { data: stageHistory = [] } = useQuery({
+    queryKey: ['applicationStageHistory', selectedApplication?.id],
+    queryFn: () => fetchStageHistory(selectedApplication.id),
+    enabled: showDetailsModal && !!selectedApplication?.id
+  })
+
   const updateMutation = useMutation({
     mutationFn: ({ applicationId, status, feedback }) => updateApplicationStatus(applicationId, status, feedback),
     onMutate: () => {
@@ -96,9 +133,12 @@ export default function ManageApplications() {
     },
     onSuccess: (data) => {
       queryClient.invalidateQueries(['applications', 'owner', profile?.id])
-      const message = action === 'accepted' 
-        ? 'Application accepted successfully!' 
-        : 'Application rejected successfully!'
+      queryClient.invalidateQueries(['applicationStageHistory', selectedApplication?.id])
+      const message = action === 'accepted'
+        ? 'Application accepted successfully!'
+        : action === 'rejected'
+          ? 'Application rejected successfully!'
+          : `Application moved to ${getStageLabel(action, stages)}`
       toast.success(message)
       setShowStatusModal(false)
       setShowDetailsModal(false)
@@ -122,6 +162,9 @@ export default function ManageApplications() {
 
   const handleConfirm = () => {
     if (processingAction) return
+    if (!nextStagesFor(selectedApplication).includes(action)) {
+      return toast.error(`Cannot move this application from ${getStageLabel(selectedApplication?.status, stages)} to ${getStageLabel(action, stages)}`)
+    }
     // Feedback is required for rejection, optional for acceptance
     if (action === 'rejected' && !feedback.trim()) {
       return toast.error('Please provide feedback for rejection')
@@ -134,26 +177,28 @@ export default function ManageApplications() {
   }
 
   const getStatusBadge = (status) => {
-    const styles = {
-      pending: 'bg-yellow-100 text-yellow-800',
-      accepted: 'bg-green-100 text-green-800',
-      rejected: 'bg-red-100 text-red-800'
-    }
     return (
-      <span className={`px-2 py-1 rounded-full text-xs font-medium ${styles[status] || 'bg-gray-100 text-gray-800'}`}>
-        {status.charAt(0).toUpperCase() + status.slice(1)}
+      <span className={`px-2 py-1 rounded-full text-xs font-medium whitespace-nowrap ${getStageBadgeClass(status)}`}>
+        {getStageLabel(status, stages)}
       </span>
     )
   }
 
+  const isRejecting = action === 'rejected'
+
   // Derived filters and pagination (must be declared before any early returns)
   const internshipsOptions = useMemo(() => {
     const titles = Array.from(new Set((data || []).map(r => r.internships?.title).filter(Boolean)))
     return titles.sort()
   }, [data])
 
+  // Match score for each application, from its cv_data snapshot
+  const scoredData = useMemo(() => {
+    return (data || []).map(r => ({ ...r, match: scoreCandidate(r.cv_data, r.internships) }))
+  }, [data])
+
   const filtered = useMemo(() => {
-    let list = data || []
+    let list = scoredData
     if (searchTerm.trim()) {
       const s = searchTerm.trim().toLowerCase()
       list = list.filter(r =>
@@ -168,8 +213,14 @@ export default function ManageApplications() {
     if (internshipFilter) {
       list = list.filter(r => r.internships?.title === internshipFilter)
     }
+    if (minScore > 0) {
+      list = list.filter(r => r.match.score >= minScore)
+    }
+    if (sortBy === 'score') {
+      list = [...list].sort((a, b) => b.match.score - a.match.score)
+    }
     return list
-  }, [data, searchTerm, statusFilter, internshipFilter])
+  }, [scoredData, searchTerm, statusFilter, internshipFilter, minScore, sortBy])
 
   const totalPages = Math.max(1, Math.ceil((filtered?.length || 0) / pageSize))
   const pageData = filtered.slice((currentPage - 1) * pageSize, currentPage * pageSize)
@@ -242,9 +293,9 @@ export default function ManageApplications() {
               className="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition"
             >
               <option value="">All Statuses</option>
-              <option value="pending">Pending</option>
-              <option value="accepted">Accepted</option>
-              <option value="rejected">Rejected</option>
+              {stages.map(s => (
+                <option key={s.stage} value={s.stage}>{s.label}</option>
+              ))}
             </select>
           </div>
 
@@ -267,6 +318,46 @@ export default function ManageApplications() {
               ))}
             </select>
           </div>
+
+          {/* Sort */}
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2 flex items-center gap-2">
+              <svg className="w-4 h-4 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 4h13M3 8h9m-9 4h6m4 0l4-4m0 0l4 4m-4-4v12" />
+              </svg>
+              Sort By
+            </label>
+            <select
+              value={sortBy}
+              onChange={(e) => { setSortBy(e.target.value); resetPagination() }}
+              className="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition"
+            >
+              <option value="date">Newest first</option>
+              <option value="score">Best match first</option>
+            </select>
+          </div>
+
+          {/* Minimum Score */}
+          <div className="md:col-span-2">
+            <label className="block text-sm font-semibold text-gray-700 mb-2 flex items-center gap-2">
+              <svg className="w-4 h-4 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
+              </svg>
+              Minimum Match Score: <span className="text-blue-600">{minScore}%</span>
+            </label>
+            <input
+              type="range"
+              min="0"
+              max="100"
+              step="5"
+              value={minScore}
+              onChange={(e) => { setMinScore(Number(e.target.value)); resetPagination() }}
+              className="w-full accent-blue-600"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Scores combine required-skill coverage, relevant projects and experience, and GPA from the CV submitted with the application.
+            </p>
+          </div>
         </div>
       </div>
 
@@ -306,6 +397,21 @@ export default function ManageApplications() {
                   </div>
                 )
               },
+              {
+                Header: 'Match',
+                accessor: (r) => (
+                  <div title={r.match.explanation}>
+                    <span className={`px-2 py-1 rounded-full text-xs font-semibold border whitespace-nowrap ${getMatchScoreClass(r.match.score)}`}>
+                      {r.match.score}%
+                    </span>
+                    {r.internships?.skills?.length > 0 && (
+                      <p className="text-xs text-gray-500 mt-1 whitespace-nowrap">
+                        {r.match.matched.length}/{r.match.matched.length + r.match.missing.length} skills
+                      </p>
+                    )}
+                  </div>
+                )
+              },
               {
                 Header: 'Applied Date',
                 accessor: (r) => new Date(r.applied_at).toLocaleDateString()
@@ -330,7 +436,14 @@ export default function ManageApplications() {
               },
               {
                 Header: 'Status',
-                accessor: (r) => getStatusBadge(r.status)
+                accessor: (r) => (
+                  <div className="flex flex-col items-start gap-1">
+                    {getStatusBadge(r.status)}
+                    {r.screening_passed === false && (
+                      <span className="text-[11px] font-medium text-rose-600">Failed screening</span>
+                    )}
+                  </div>
+                )
               },
               {
                 Header: 'Action',
@@ -338,34 +451,41 @@ export default function ManageApplications() {
             <div className="flex items-center gap-2">
                     <button
                       onClick={() => { setSelectedApplication(r); setShowDetailsModal(true) }}
-                      className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50 transition shadow-sm"
+                      className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50 transition shadow-sm flex items-center gap-2"
                     >
                       Details
+                      {unreadMessages[r.id] > 0 && (
+                        <span className="px-1.5 py-0.5 bg-blue-600 text-white rounded-full text-xs font-semibold" title="Unread messages">
+                          {unreadMessages[r.id]}
+                        </span>
+                      )}
                     </button>
-                    {r.status === 'pending' && (
-                      <>
-                        <button
-                          onClick={() => handleStatusUpdate(r, 'accepted')}
-                          className="p-1.5 bg-green-100 text-green-600 rounded hover:bg-green-200 transition"
-                          title="Accept"
-                        >
-                          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                          </svg>
-                        </button>
-                        <button
-                          onClick={() => handleStatusUpdate(r, 'rejected')}
-                          className="p-1.5 bg-red-100 text-red-600 rounded hover:bg-red-200 transition"
-                          title="Reject"
-                        >
-                          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                          </svg>
-                        </button>
-                      </>
+                    {nextStagesFor(r).filter(st => st !== 'rejected').length > 0 && (
+                      <select
+                        value=""
+                        onChange={(e) => e.target.value && handleStatusUpdate(r, e.target.value)}
+                        className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition"
+                        title="Move to stage"
+                      >
+                        <option value="">Move to...</option>
+                        {nextStagesFor(r).filter(st => st !== 'rejected').map(st => (
+                          <option key={st} value={st}>{getStageLabel(st, stages)}</option>
+                        ))}
+                      </select>
                     )}
-                    {r.status !== 'pending' && (
-                      <span className="text-sm text-gray-500">Reviewed</span>
+                    {nextStagesFor(r).includes('rejected') && (
+                      <button
+                        onClick={() => handleStatusUpdate(r, 'rejected')}
+                        className="p-1.5 bg-red-100 text-red-600 rounded hover:bg-red-200 transition"
+                        title="Reject"
+                      >
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                      </button>
+                    )}
+                    {nextStagesFor(r).length === 0 && (
+                      <span className="text-sm text-gray-500">Closed</span>
                     )}
             </div>
                 )
@@ -435,11 +555,11 @@ export default function ManageApplications() {
         title={
           <div className="flex items-center gap-3">
             <div className={`w-10 h-10 rounded-lg flex items-center justify-center ${
-              action === 'accepted' 
+              !isRejecting 
                 ? 'bg-gradient-to-br from-green-100 to-emerald-100' 
                 : 'bg-gradient-to-br from-red-100 to-rose-100'
             }`}>
-              {action === 'accepted' ? (
+              {!isRejecting ? (
                 <svg className="w-6 h-6 text-green-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
                 </svg>
@@ -451,12 +571,16 @@ export default function ManageApplications() {
             </div>
             <div>
               <h2 className="text-xl font-bold text-gray-900">
-                {action === 'accepted' ? 'Accept' : 'Reject'} Application
+                {action === 'accepted'
+                  ? 'Accept Application'
+                  : isRejecting
+                    ? 'Reject Application'
+                    : `Move to ${getStageLabel(action, stages)}`}
               </h2>
               <p className="text-sm text-gray-500 mt-0.5">
-                {action === 'accepted'
-                  ? 'This applicant will be notified of acceptance'
-                  : 'This applicant will be notified of rejection'
+                {isRejecting
+                  ? 'This applicant will be notified of rejection'
+                  : `This applicant will be notified that their application is now ${getStageLabel(action, stages).toLowerCase()}`
                 }
               </p>
             </div>
@@ -554,7 +678,7 @@ export default function ManageApplications() {
           {/* Feedback Section - Required for rejection, optional for acceptance */}
           <div>
             <label className="block text-sm font-semibold text-gray-700 mb-2 flex items-center gap-2">
-              {action === 'accepted' ? (
+              {!isRejecting ? (
                 <>
                   <svg className="w-4 h-4 text-green-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
@@ -574,21 +698,21 @@ export default function ManageApplications() {
               value={feedback}
               onChange={(e) => setFeedback(e.target.value)}
               placeholder={
-                action === 'accepted'
-                  ? "Add optional feedback for the applicant (e.g., next steps, welcome message)..."
+                !isRejecting
+                  ? "Add optional feedback for the applicant (e.g., next steps, interview details, welcome message)..."
                   : "Provide reason for rejection. This will be sent to the applicant..."
               }
               rows={4}
               className={`w-full px-4 py-3 border-2 rounded-lg transition-all ${
-                action === 'accepted'
+                !isRejecting
                   ? 'border-gray-300 focus:ring-2 focus:ring-green-500 focus:border-green-500'
                   : 'border-gray-300 focus:ring-2 focus:ring-red-500 focus:border-red-500'
               }`}
               required={action === 'rejected'}
             />
-            {action === 'accepted' && (
+            {!isRejecting && (
               <p className="text-xs text-gray-500 mt-1">
-                Optional: Add a welcome message or next steps for the accepted applicant.
+                Optional: Add a message or next steps for the applicant.
               </p>
             )}
             {action === 'rejected' && (
@@ -616,7 +740,7 @@ export default function ManageApplications() {
               onClick={handleConfirm}
               disabled={processingAction}
               className={`px-6 py-2.5 rounded-lg text-white font-semibold transition-all duration-200 shadow-lg flex items-center gap-2 ${
-                action === 'accepted'
+                !isRejecting
                   ? 'bg-gradient-to-r from-green-600 to-emerald-600 hover:from-green-700 hover:to-emerald-700'
                   : 'bg-gradient-to-r from-red-600 to-rose-600 hover:from-red-700 hover:to-rose-700'
               } disabled:opacity-50 disabled:cursor-not-allowed`}
@@ -631,12 +755,12 @@ export default function ManageApplications() {
                 </span>
               ) : (
                 <>
-                  {action === 'accepted' ? (
+                  {!isRejecting ? (
                     <>
                       <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
                       </svg>
-                      <span>Accept Application</span>
+                      <span>{action === 'accepted' ? 'Accept Application' : `Move to ${getStageLabel(action, stages)}`}</span>
                     </>
                   ) : (
                     <>
@@ -708,6 +832,66 @@ export default function ManageApplications() {
               )}
             </div>
 
+            {/* Match Breakdown */}
+            {selectedApplication.match && (
+              <div className="bg-white border border-gray-200 rounded-xl p-5">
+                <div className="flex items-center justify-between mb-3">
+                  <h4 className="text-sm font-semibold text-gray-700 uppercase">Match Breakdown</h4>
+                  <span className={`px-3 py-1 rounded-full text-sm font-bold border ${getMatchScoreClass(selectedApplication.match.score)}`}>
+                    {selectedApplication.match.score}% match
+                  </span>
+                </div>
+                <p className="text-sm text-gray-600 mb-4">{selectedApplication.match.explanation}</p>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+                  {[
+                    ['skills', 'Skills'],
+                    ['projects', 'Projects'],
+                    ['experience', 'Experience'],
+                    ['education', 'GPA'],
+                  ].map(([key, label]) => {
+                    const value = selectedApplication.match.breakdown[key]
+                    return (
+                      <div key={key} className="bg-gray-50 rounded-lg p-3">
+                        <div className="flex items-center justify-between text-xs text-gray-500 mb-1">
+                          <span>{label}</span>
+                          <span className="font-semibold text-gray-900">{value === null ? 'N/A' : `${value}%`}</span>
+                        </div>
+                        <div className="h-1.5 bg-gray-200 rounded-full overflow-hidden">
+                          <div className="h-full bg-blue-500 rounded-full" style={{ width: `${value || 0}%` }}></div>
+                        </div>
+                      </div>
+                    )
+                  })}
+                </div>
+                {(selectedApplication.match.matched.length > 0 || selectedApplication.match.missing.length > 0) && (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <span className="text-xs font-semibold text-gray-500 uppercase">Matched Skills</span>
+                      <div className="flex flex-wrap gap-2 mt-2">
+                        {selectedApplication.match.matched.length === 0 && <span className="text-xs text-gray-400">None</span>}
+                        {selectedApplication.match.matched.map(skill => (
+                          <span key={skill} className="px-3 py-1 bg-emerald-50 text-emerald-700 rounded-md text-xs font-medium border border-emerald-200">
+                            {skill}
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+                    <div>
+                      <span className="text-xs font-semibold text-gray-500 uppercase">Missing Skills</span>
+                      <div className="flex flex-wrap gap-2 mt-2">
+                        {selectedApplication.match.missing.length === 0 && <span className="text-xs text-gray-400">None</span>}
+                        {selectedApplication.match.missing.map(skill => (
+                          <span key={skill} className="px-3 py-1 bg-rose-50 text-rose-700 rounded-md text-xs font-medium border border-rose-200">
+                            {skill}
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
             {/* CV Summary */}
             {selectedApplication.cv_data && (
               <div className="bg-white border-2 border-blue-200 rounded-xl p-5">
@@ -718,19 +902,22 @@ export default function ManageApplications() {
                     </svg>
                     CV Summary
                   </h4>
-                  <button
-                    onClick={() => {
-                      setShowDetailsModal(false)
-                      setShowCVModal(true)
-                    }}
-                    className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-semibold hover:bg-blue-700 transition-all flex items-center gap-2"
-                  >
-                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
-                    </svg>
-                    View Full CV
-                  </button>
+                  <div className="flex flex-wrap items-center gap-2">
+                    <CVPdfButton applicationId={selectedApplication.id} />
+                    <button
+                      onClick={() => {
+                        setShowDetailsModal(false)
+                        setShowCVModal(true)
+                      }}
+                      className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-semibold hover:bg-blue-700 transition-all flex items-center gap-2"
+                    >
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
+                      </svg>
+                      View Full CV
+                    </button>
+                  </div>
                 </div>
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                   {selectedApplication.cv_data.personal && (
@@ -794,6 +981,41 @@ export default function ManageApplications() {
               </div>
             )}
 
+            {/* Screening Answers */}
+            {selectedApplication.screening_answers?.length > 0 && (
+              <div className="bg-white border border-gray-200 rounded-xl p-5">
+                <div className="flex items-center justify-between mb-3">
+                  <h4 className="text-sm font-semibold text-gray-700 uppercase">Screening Answers</h4>
+                  {selectedApplication.screening_passed === false && (
+                    <span className="px-2.5 py-0.5 rounded-full text-xs font-semibold bg-rose-100 text-rose-800 border border-rose-200">
+                      Auto-rejected
+                    </span>
+                  )}
+                  {selectedApplication.screening_passed === true && (
+                    <span className="px-2.5 py-0.5 rounded-full text-xs font-semibold bg-emerald-100 text-emerald-800 border border-emerald-200">
+                      Passed knockout questions
+                    </span>
+                  )}
+                </div>
+                <dl className="space-y-3">
+                  {selectedApplication.screening_answers.map((entry) => (
+                    <div key={entry.question_id}>
+                      <dt className="text-xs font-semibold text-gray-500">{entry.prompt}</dt>
+                      <dd className="text-sm text-gray-900 whitespace-pre-wrap">{formatScreeningAnswer(entry)}</dd>
+                    </div>
+                  ))}
+                </dl>
+              </div>
+            )}
+
+            {/* Cover Letter */}
+            {selectedApplication.cover_letter && (
+              <div className="bg-white border border-gray-200 rounded-xl p-5">
+                <h4 className="text-sm font-semibold text-gray-700 mb-3 uppercase">Cover Letter</h4>
+                <p className="text-sm text-gray-800 whitespace-pre-wrap leading-relaxed">{selectedApplication.cover_letter}</p>
+              </div>
+            )}
+
             {/* Feedback if reviewed */}
             {selectedApplication.feedback && (
               <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 rounded-r-lg">
@@ -802,23 +1024,65 @@ export default function ManageApplications() {
               </div>
             )}
 
+            {/* Interview */}
+            <div className="bg-white border border-gray-200 rounded-xl p-5">
+              <h4 className="text-sm font-semibold text-gray-700 mb-3 uppercase">Interview</h4>
+              <InterviewPanel
+                applicationId={selectedApplication.id}
+                applicationStatus={selectedApplication.status}
+                side="software_house"
+                onChange={() => queryClient.invalidateQueries(['applications', 'owner', profile?.id])}
+              />
+            </div>
+
+            {/* Placement (after the offer is accepted) */}
+            <PlacementPanel applicationId={selectedApplication.id} applicationStatus={selectedApplication.status} side="software_house" />
+
+            {/* Messages */}
+            <div className="bg-white border border-gray-200 rounded-xl p-5">
+              <h4 className="text-sm font-semibold text-gray-700 mb-3 uppercase">Messages</h4>
+              <MessageThread applicationId={selectedApplication.id} side="software_house" />
+            </div>
+
+            {/* Stage History */}
+            {stageHistory.length > 0 && (
+              <div className="bg-white border border-gray-200 rounded-xl p-5">
+                <h4 className="text-sm font-semibold text-gray-700 mb-3 uppercase">Stage History</h4>
+                <ol className="relative border-l-2 border-gray-200 ml-2 space-y-4">
+                  {stageHistory.map((h) => (
+                    <li key={h.id} className="ml-4">
+                      <div className="absolute -left-[7px] w-3 h-3 bg-blue-500 rounded-full border-2 border-white"></div>
+                      <div className="flex items-center gap-2 flex-wrap">
+                        {getStatusBadge(h.to_stage)}
+                        <span className="text-xs text-gray-500">{new Date(h.created_at).toLocaleString()}</span>
+                      </div>
+                      {h.note && <p className="text-sm text-gray-600 mt-1">{h.note}</p>}
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            )}
+
             {/* Action Buttons */}
-            <div className="flex justify-end gap-3 pt-4 border-t border-gray-200">
-              {selectedApplication.status === 'pending' && (
+            <div className="flex flex-wrap justify-end gap-3 pt-4 border-t border-gray-200">
+              {nextStagesFor(selectedApplication).filter(st => st !== 'rejected').map(st => (
+                <button
+                  key={st}
+                  onClick={() => {
+                    setShowDetailsModal(false)
+                    handleStatusUpdate(selectedApplication, st)
+                  }}
+                  disabled={processingAction}
+                  className="px-6 py-2.5 bg-gradient-to-r from-green-600 to-emerald-600 text-white rounded-lg font-semibold hover:from-green-700 hover:to-emerald-700 transition-all shadow-lg flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                  </svg>
+                  {st === 'accepted' ? 'Accept' : getStageLabel(st, stages)}
+                </button>
+              ))}
+              {nextStagesFor(selectedApplication).includes('rejected') && (
                 <>
-                  <button
-                    onClick={() => {
-                      setShowDetailsModal(false)
-                      handleStatusUpdate(selectedApplication, 'accepted')
-                    }}
-                    disabled={processingAction}
-                    className="px-6 py-2.5 bg-gradient-to-r from-green-600 to-emerald-600 text-white rounded-lg font-semibold hover:from-green-700 hover:to-emerald-700 transition-all shadow-lg flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
-                  >
-                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                    </svg>
-                    Accept
-                  </button>
                   <button
                     onClick={() => {
                       setShowDetailsModal(false)
@@ -854,12 +1118,14 @@ export default function ManageApplications() {
 }
 
 function exportCsv(rows) {
-  const headers = ['Applicant Name', 'Applicant Email', 'Internship Title', 'Status', 'Applied At']
+  const headers = ['Applicant Name', 'Applicant Email', 'Internship Title', 'Match Score', 'Missing Skills', 'Status', 'Applied At']
   const lines = rows.map(r => [
     escapeCsv(r.profiles?.full_name || ''),
     escapeCsv(r.profiles?.email || ''),
     escapeCsv(r.internships?.title || ''),
-    escapeCsv(r.status || ''),
+    escapeCsv(r.match ? String(r.match.score) : ''),
+    escapeCsv(r.match ? r.match.missing.join('; ') : ''),
+    escapeCsv(getStageLabel(r.status) || ''),
     escapeCsv(new Date(r.applied_at).toISOString()),
   ].join(','))
   const csv = [headers.join(','), ...lines].join('\n')
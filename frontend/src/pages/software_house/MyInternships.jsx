@@ -4,7 +4,18 @@ import { supabase } from '../../utils/supabase'
 import { useAuth } from '../../context/AuthContext'
 import Spinner from '../../components/Spinner'
 import Modal from '../../components/Modal'
+import InternshipRevisionHistory from '../../components/InternshipRevisionHistory'
 import toast from 'react-hot-toast'
+import { useNavigate } from 'react-router-dom'
+import {
+  POSTING_STATUSES,
+  POSTING_STATUS_BADGES,
+  MAX_OPENINGS,
+  getPostingStatus,
+  formatDeadline,
+  deadlineFromDateInput,
+  deadlineToDateInput,
+} from '../../utils/internshipLifecycle'
 
 async function fetchMine(userId) {
   const { data, error } = await supabase
@@ -18,10 +29,16 @@ async function fetchMine(userId) {
 
 export default function MyInternships() {
   const { profile } = useAuth()
+  const navigate = useNavigate()
+  const [historyTarget, setHistoryTarget] = useState(null)
   const [statusFilter, setStatusFilter] = useState('all') // 'all', 'pending', 'approved', 'rejected'
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false)
   const [internshipToDelete, setInternshipToDelete] = useState(null)
   const [deleting, setDeleting] = useState(false)
+  const [lifecycleTarget, setLifecycleTarget] = useState(null) // { internship, action: 'close' | 'reopen' }
+  const [reopenDeadline, setReopenDeadline] = useState('')
+  const [reopenOpenings, setReopenOpenings] = useState('')
+  const [savingLifecycle, setSavingLifecycle] = useState(false)
   const { data, isLoading, refetch } = useQuery({ 
     queryKey: ['internships', 'mine', profile?.id], 
     queryFn: () => fetchMine(profile.id), 
@@ -53,6 +70,42 @@ export default function MyInternships() {
     }
   }
 
+  const openLifecycleModal = (internship, action) => {
+    setLifecycleTarget({ internship, action })
+    setReopenDeadline(
+      internship.application_deadline && new Date(internship.application_deadline) > new Date()
+        ? deadlineToDateInput(internship.application_deadline)
+        : ''
+    )
+    setReopenOpenings(internship.openings ? String(internship.openings) : '')
+  }
+
+  const handleConfirmLifecycle = async () => {
+    if (!lifecycleTarget) return
+    const { internship, action } = lifecycleTarget
+    try {
+      setSavingLifecycle(true)
+      const { error } = action === 'close'
+        ? await supabase.rpc('close_internship_posting', { p_internship_id: internship.id })
+        : await supabase.rpc('reopen_internship_posting', {
+            p_internship_id: internship.id,
+            p_deadline: deadlineFromDateInput(reopenDeadline),
+            p_openings: reopenOpenings ? Number(reopenOpenings) : null,
+          })
+      if (error) {
+        toast.error(error.message)
+        return
+      }
+      toast.success(action === 'close' ? 'Internship closed to new applications' : 'Internship reopened')
+      setLifecycleTarget(null)
+      refetch()
+    } catch (error) {
+      toast.error(error.message || 'Failed to update internship')
+    } finally {
+      setSavingLifecycle(false)
+    }
+  }
+
   const getStatusBadge = (status) => {
     const styles = {
       approved: 'bg-gradient-to-r from-green-500 to-emerald-600 text-white',
@@ -216,6 +269,8 @@ export default function MyInternships() {
               'from-lime-500 via-green-600 to-emerald-700',
             ]
             const gradientClass = gradients[index % gradients.length]
+            const postingStatus = getPostingStatus(internship)
+            const deadlineText = postingStatus === 'open' ? formatDeadline(internship.application_deadline) : null
             
             return (
             <div
@@ -234,11 +289,28 @@ export default function MyInternships() {
                   </div>
                 </div>
                 {/* Status Badge */}
-                <div className="absolute top-4 right-4">
+                <div className="absolute top-4 right-4 flex flex-col items-end gap-2">
                   <span className={`px-3 py-1 rounded-full text-xs font-semibold shadow-lg ${getStatusBadge(internship.status)}`}>
                     {internship.status.charAt(0).toUpperCase() + internship.status.slice(1)}
                   </span>
+                  {internship.status === 'approved' && (
+                    <span className={`px-3 py-1 rounded-full text-xs font-semibold shadow-lg ${POSTING_STATUS_BADGES[postingStatus]}`}>
+                      {POSTING_STATUSES[postingStatus]}
+                    </span>
+                  )}
+                  {internship.pending_revision_id && (
+                    <span className="px-3 py-1 rounded-full text-xs font-semibold shadow-lg bg-amber-100 text-amber-800">
+                      Changes pending review
+                    </span>
+                  )}
                 </div>
+                {deadlineText && (
+                  <div className="absolute bottom-4 left-4">
+                    <span className="px-3 py-1 rounded-full text-xs font-semibold bg-white/90 text-gray-800 shadow">
+                      {deadlineText}
+                    </span>
+                  </div>
+                )}
               </div>
 
               {/* Content */}
@@ -314,6 +386,28 @@ export default function MyInternships() {
                       </div>
                     </div>
                   )}
+                  {internship.application_deadline && (
+                    <div className="flex items-start gap-2">
+                      <svg className="w-5 h-5 text-gray-400 mt-0.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                      </svg>
+                      <div>
+                        <div className="text-xs text-gray-500">Deadline</div>
+                        <div className="text-sm font-medium text-gray-900">{formatDate(internship.application_deadline)}</div>
+                      </div>
+                    </div>
+                  )}
+                  {internship.openings && (
+                    <div className="flex items-start gap-2">
+                      <svg className="w-5 h-5 text-gray-400 mt-0.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0z" />
+                      </svg>
+                      <div>
+                        <div className="text-xs text-gray-500">Openings</div>
+                        <div className="text-sm font-medium text-gray-900">{internship.openings}</div>
+                      </div>
+                    </div>
+                  )}
                 </div>
 
                 {/* Skills */}
@@ -343,7 +437,19 @@ export default function MyInternships() {
                   <div className="text-xs text-gray-500">
                     ID: {internship.id.slice(0, 8)}...
                   </div>
-                  <div className="flex items-center gap-2">
+                  <div className="flex items-center gap-2 flex-wrap justify-end">
+                    <button
+                      onClick={() => setHistoryTarget(internship)}
+                      className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-200 transition-colors"
+                    >
+                      History
+                    </button>
+                    <button
+                      onClick={() => navigate(`/internships/${internship.id}/edit`)}
+                      className="px-4 py-2 bg-indigo-50 text-indigo-700 rounded-lg text-sm font-medium hover:bg-indigo-100 transition-colors"
+                    >
+                      Edit
+                    </button>
                     {internship.status === 'pending' && (
                       <button
                         onClick={() => handleDeleteClick(internship)}
@@ -355,13 +461,29 @@ export default function MyInternships() {
                         Delete
                       </button>
                     )}
-                    {internship.status === 'approved' && (
-                      <span className="px-4 py-2 bg-green-50 text-green-600 rounded-lg text-sm font-medium flex items-center gap-2">
-                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
-                        </svg>
-                        Active
-                      </span>
+                    {internship.status === 'approved' && postingStatus === 'open' && (
+                      <>
+                        <span className="px-4 py-2 bg-green-50 text-green-600 rounded-lg text-sm font-medium flex items-center gap-2">
+                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
+                          </svg>
+                          Active
+                        </span>
+                        <button
+                          onClick={() => openLifecycleModal(internship, 'close')}
+                          className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-200 transition-colors"
+                        >
+                          Close
+                        </button>
+                      </>
+                    )}
+                    {internship.status === 'approved' && postingStatus !== 'open' && (
+                      <button
+                        onClick={() => openLifecycleModal(internship, 'reopen')}
+                        className="px-4 py-2 bg-blue-50 text-blue-700 rounded-lg text-sm font-medium hover:bg-blue-100 transition-colors"
+                      >
+                        Reopen
+                      </button>
                     )}
                     {internship.status === 'rejected' && (
                       <span className="px-4 py-2 bg-red-50 text-red-600 rounded-lg text-sm font-medium flex items-center gap-2">
@@ -397,6 +519,81 @@ export default function MyInternships() {
         </div>
       )}
 
+      <InternshipRevisionHistory
+        isOpen={!!historyTarget}
+        onClose={() => setHistoryTarget(null)}
+        internship={historyTarget}
+      />
+
+      {/* Close / Reopen Modal */}
+      <Modal
+        isOpen={!!lifecycleTarget}
+        onClose={() => setLifecycleTarget(null)}
+        title={lifecycleTarget?.action === 'close' ? 'Close Internship' : 'Reopen Internship'}
+        size="small"
+      >
+        {lifecycleTarget && (
+          <div className="space-y-4">
+            {lifecycleTarget.action === 'close' ? (
+              <p className="text-sm text-gray-700">
+                Stop taking applications for <strong>{lifecycleTarget.internship.title}</strong>? Students who already
+                applied stay in your pipeline, and you can reopen the posting later.
+              </p>
+            ) : (
+              <>
+                <p className="text-sm text-gray-700">
+                  Take applications for <strong>{lifecycleTarget.internship.title}</strong> again.
+                  {lifecycleTarget.internship.posting_status === 'filled'
+                    ? ' All openings are filled, so add more openings to reopen it.'
+                    : ' If the deadline has passed, choose a new one.'}
+                </p>
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-xs font-semibold text-gray-700 mb-1">Application deadline</label>
+                    <input
+                      type="date"
+                      value={reopenDeadline}
+                      min={deadlineToDateInput(new Date().toISOString())}
+                      onChange={(e) => setReopenDeadline(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-semibold text-gray-700 mb-1">Openings</label>
+                    <input
+                      type="number"
+                      min={1}
+                      max={MAX_OPENINGS}
+                      value={reopenOpenings}
+                      onChange={(e) => setReopenOpenings(e.target.value)}
+                      placeholder="No limit"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </div>
+                </div>
+              </>
+            )}
+
+            <div className="flex justify-end gap-3 pt-4 border-t border-gray-200">
+              <button
+                onClick={() => setLifecycleTarget(null)}
+                disabled={savingLifecycle}
+                className="px-5 py-2.5 rounded-lg border border-gray-300 text-gray-700 font-medium hover:bg-gray-50 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleConfirmLifecycle}
+                disabled={savingLifecycle}
+                className="px-5 py-2.5 rounded-lg bg-gradient-to-r from-blue-600 to-indigo-600 text-white font-semibold hover:from-blue-700 hover:to-indigo-700 transition-all shadow-md hover:shadow-lg disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {savingLifecycle ? 'Saving...' : lifecycleTarget.action === 'close' ? 'Close Internship' : 'Reopen Internship'}
+              </button>
+            </div>
+          </div>
+        )}
+      </Modal>
+
       {/* Delete Confirmation Modal */}
       <Modal
         isOpen={showDeleteConfirm}
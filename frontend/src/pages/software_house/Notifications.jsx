@@ -1,43 +1,31 @@
 import React, { useState, useMemo } from 'react'
 import { useNotifications } from '../../hooks/useNotifications'
 import { formatRelativeTime, getNotificationIcon, formatNotificationMessage } from '../../utils/notifications'
+import { SEVERITY_STYLES, getNotificationSeverity } from '../../utils/notificationTypes'
 import Spinner from '../../components/Spinner'
 import Modal from '../../components/Modal'
 import toast from 'react-hot-toast'
 
+const APPLICANT_NOTIFICATION_TYPES = ['new_application', 'application_status', 'interview', 'message', 'logbook']
+
 export default function SoftwareHouseNotifications() {
   const [activeTab, setActiveTab] = useState('all')
   const { notifications, isLoading, markAsRead, markAllAsRead, deleteNotification, deleteAllNotifications } = useNotifications()
   const [showDeleteAllConfirm, setShowDeleteAllConfirm] = useState(false)
   const [deleting, setDeleting] = useState(false)
 
-  // Filter notifications by tab (software house only sees internship_approval and new_application)
-  // Software house should NOT see pending internship approvals, only approved/rejected
+  // Filter notifications by tab (useNotifications already limits them to the
+  // types and statuses the notification type registry shows software houses)
   const filteredNotifications = useMemo(() => {
     if (!notifications) return []
-    
-    // Software house should only see:
-    // - internship_approval with status 'approved' or 'rejected' (NOT 'pending')
-    // - new_application types
-    const softwareHouseNotifications = notifications.filter(n => {
-      if (n.type === 'new_application') return true
-      if (n.type === 'internship_approval') {
-        // Only show approved or rejected, exclude pending
-        return n.metadata?.status === 'approved' || n.metadata?.status === 'rejected'
-      }
-      return false
-    })
-    
+
     switch (activeTab) {
       case 'internship_updates':
-        return softwareHouseNotifications.filter(n => 
-          n.type === 'internship_approval' && 
-          (n.metadata?.status === 'approved' || n.metadata?.status === 'rejected')
-        )
+        return notifications.filter(n => n.type === 'internship_closed' || n.type === 'internship_approval')
       case 'new_applications':
-        return softwareHouseNotifications.filter(n => n.type === 'new_application')
+        return notifications.filter(n => APPLICANT_NOTIFICATION_TYPES.includes(n.type))
       default:
-        return softwareHouseNotifications
+        return notifications
     }
   }, [notifications, activeTab])
 
@@ -172,7 +160,7 @@ export default function SoftwareHouseNotifications() {
                   : 'text-gray-600 hover:text-indigo-600 hover:bg-white/50'
               }`}
             >
-              New Applications
+              Applicants
               {activeTab === 'new_applications' && (
                 <span className="absolute bottom-0 left-0 right-0 h-0.5 bg-gradient-to-r from-indigo-500 to-blue-500"></span>
               )}
@@ -193,7 +181,7 @@ export default function SoftwareHouseNotifications() {
               <p className="text-gray-500 max-w-sm mx-auto">
                 {activeTab === 'all' 
                   ? "You're all caught up! No new notifications at the moment."
-                  : `No ${activeTab === 'internship_updates' ? 'internship update' : 'new application'} notifications.`}
+                  : `No ${activeTab === 'internship_updates' ? 'internship update' : 'applicant'} notifications.`}
               </p>
             </div>
           ) : (
@@ -212,13 +200,7 @@ export default function SoftwareHouseNotifications() {
                 )}
                 <div className="flex items-start gap-5">
                   {/* Icon */}
-                  <div className={`flex-shrink-0 w-14 h-14 rounded-xl flex items-center justify-center shadow-md transform transition-transform group-hover:scale-110 ${
-                    notification.type === 'internship_approval'
-                      ? 'bg-gradient-to-br from-blue-400 to-indigo-600 text-white'
-                      : notification.type === 'new_application'
-                      ? 'bg-gradient-to-br from-emerald-400 to-emerald-600 text-white'
-                      : 'bg-gradient-to-br from-gray-400 to-gray-600 text-white'
-                  }`}>
+                  <div className={`flex-shrink-0 w-14 h-14 rounded-xl flex items-center justify-center shadow-md transform transition-transform group-hover:scale-110 ${SEVERITY_STYLES[getNotificationSeverity(notification)]}`}>
                     <div className="w-7 h-7">
                       {getNotificationIcon(notification.type)}
                     </div>
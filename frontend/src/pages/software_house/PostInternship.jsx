@@ -1,11 +1,16 @@
-import React, { useState } from 'react'
+import React, { useEffect, useState } from 'react'
 import { useForm } from 'react-hook-form'
 import { z } from 'zod'
 import { zodResolver } from '@hookform/resolvers/zod'
 import { supabase } from '../../utils/supabase'
 import { useAuth } from '../../context/AuthContext'
 import toast from 'react-hot-toast'
-import { useNavigate } from 'react-router-dom'
+import { useNavigate, useParams } from 'react-router-dom'
+import { useQuery, useQueryClient } from '@tanstack/react-query'
+import ScreeningQuestionsEditor from '../../components/ScreeningQuestionsEditor'
+import { normalizeScreeningQuestions } from '../../utils/screening'
+import { MAX_OPENINGS, deadlineFromDateInput, deadlineToDateInput } from '../../utils/internshipLifecycle'
+import { DEFAULT_REVIEW_SETTINGS, diffInternship, needsReview } from '../../utils/internshipRevisions'
 
 const schema = z.object({
   title: z.string().min(3, 'Title must be at least 3 characters'),
@@ -14,23 +19,136 @@ const schema = z.object({
   duration: z.string().min(1, 'Duration is required'),
   location: z.string().optional(),
   type: z.string().optional(),
+  // Must be in the future when set or changed (checked on submit, so an
+  // edited posting can keep a deadline that has already passed)
+  application_deadline: z.string().optional(),
+  openings: z.string().optional().refine(
+    (value) => !value || (Number.isInteger(Number(value)) && Number(value) >= 1 && Number(value) <= MAX_OPENINGS),
+    `Enter a whole number between 1 and ${MAX_OPENINGS}`
+  ),
 })
 
 export default function PostInternship() {
   const { profile } = useAuth()
   const navigate = useNavigate()
+  const queryClient = useQueryClient()
+  const { id: editingId } = useParams()
+  const isEditing = !!editingId
   const [isSubmitting, setIsSubmitting] = useState(false)
-  const { register, handleSubmit, formState: { errors, isValid }, watch } = useForm({
+  const [screeningQuestions, setScreeningQuestions] = useState([])
+  const { register, handleSubmit, formState: { errors, isValid }, watch, reset, setError } = useForm({
     resolver: zodResolver(schema),
     mode: 'onChange' // Real-time validation
   })
 
+  // When editing, the form starts from the pending revision if there is one
+  const { data: editing, isLoading: loadingEditing } = useQuery({
+    queryKey: ['internship-edit', editingId],
+    queryFn: async () => {
+      const [{ data: internship, error }, { data: settings }] = await Promise.all([
+        supabase
+          .from('internships')
+          .select('*, pending_revision:pending_revision_id (id, proposed, created_at)')
+          .eq('id', editingId)
+          .eq('software_house_id', profile.id)
+          .single(),
+        supabase.from('internship_review_settings').select('*').eq('id', true).maybeSingle(),
+      ])
+      if (error) throw error
+      return {
+        internship,
+        draft: { ...internship, ...(internship.pending_revision?.proposed || {}) },
+        settings: settings || DEFAULT_REVIEW_SETTINGS,
+      }
+    },
+    enabled: isEditing && !!profile?.id,
+  })
+
+  useEffect(() => {
+    if (!editing) return
+    const { draft } = editing
+    reset({
+      title: draft.title || '',
+      description: draft.description || '',
+      skills: (draft.skills || []).join(', '),
+      duration: draft.duration || '',
+      location: draft.location || '',
+      type: draft.type || '',
+      application_deadline: deadlineToDateInput(draft.application_deadline),
+      openings: draft.openings ? String(draft.openings) : '',
+    })
+    setScreeningQuestions(draft.screening_questions || [])
+  }, [editing, reset])
+
   const skillsInput = watch('skills', '')
   const skillsArray = skillsInput ? skillsInput.split(',').map(s => s.trim()).filter(Boolean) : []
 
+  // Keep the stored timestamp when the date was left alone, so an untouched
+  // deadline does not show up as a change
+  const toDeadline = (dateInput) => {
+    const current = editing?.draft.application_deadline
+    if (current && dateInput === deadlineToDateInput(current)) return current
+    return deadlineFromDateInput(dateInput)
+  }
+
+  const buildEditValues = (form, questions) => ({
+    title: form.title,
+    description: form.description,
+    skills: form.skills ? form.skills.split(',').map(s => s.trim()).filter(Boolean) : [],
+    duration: form.duration,
+    location: form.location || null,
+    type: form.type || null,
+    screening_questions: questions,
+    application_deadline: toDeadline(form.application_deadline),
+    openings: form.openings ? Number(form.openings) : null,
+  })
+
+  const watched = watch()
+  const previewChanges = editing
+    ? diffInternship(editing.internship, buildEditValues(watched, screeningQuestions), editing.settings)
+    : []
+  const previewNeedsReview = editing ? needsReview(editing.internship, previewChanges, editing.settings) : false
+
+  const submitEdit = async (form, questions) => {
+    const { data, error } = await supabase.rpc('submit_internship_revision', {
+      p_internship_id: editingId,
+      p_values: buildEditValues(form, questions),
+    })
+    if (error) throw error
+
+    if (data?.status === 'pending') {
+      toast.success('Changes sent for admin review. The current version stays live until they are approved.')
+    } else if (editing.internship.status === 'rejected') {
+      toast.success('Changes saved and resubmitted for approval.')
+    } else {
+      toast.success('Changes saved.')
+    }
+    queryClient.invalidateQueries({ queryKey: ['internship-edit', editingId] })
+    queryClient.invalidateQueries({ queryKey: ['internship-revisions', editingId] })
+    navigate('/internships/my')
+  }
+
   const onSubmit = async (form) => {
+    const { questions, error: screeningError } = normalizeScreeningQuestions(screeningQuestions)
+    if (screeningError) {
+      toast.error(screeningError)
+      return
+    }
+
+    const deadlineChanged = !isEditing ||
+      form.application_deadline !== deadlineToDateInput(editing?.draft.application_deadline)
+    if (form.application_deadline && deadlineChanged && new Date(`${form.application_deadline}T23:59:59`) <= new Date()) {
+      setError('application_deadline', { message: 'Deadline must be today or later' })
+      return
+    }
+
     setIsSubmitting(true)
     try {
+    if (isEditing) {
+      await submitEdit(form, questions)
+      return
+    }
+
     // Build payload with explicit column selection to avoid schema cache issues
     const payload = {
       title: form.title,
@@ -39,6 +157,9 @@ export default function PostInternship() {
       duration: form.duration,
       location: form.location || null,
       type: form.type || null,
+      screening_questions: questions,
+      application_deadline: deadlineFromDateInput(form.application_deadline),
+      openings: form.openings ? Number(form.openings) : null,
       status: 'pending',
       software_house_id: profile.id,
     }
@@ -67,20 +188,37 @@ export default function PostInternship() {
     }
   }
 
+  if (isEditing && loadingEditing) {
+    return <div className="text-center py-12 text-gray-500">Loading internship...</div>
+  }
+
+  if (isEditing && !editing) {
+    return <div className="text-center py-12 text-gray-500">Internship not found.</div>
+  }
+
   return (
     <div className="space-y-6">
       {/* Header aligned with Admin Dashboard (colored panel) */}
       <div className="bg-indigo-50 border border-indigo-100 rounded-xl p-4">
         <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
           <div>
-            <h1 className="text-3xl font-bold text-blue-600">Post an Internship</h1>
+            <h1 className="text-3xl font-bold text-blue-600">{isEditing ? 'Edit Internship' : 'Post an Internship'}</h1>
             <p className="text-sm text-gray-600 mt-1">
-              Create a new internship posting. All posts require admin approval before going live.
+              {isEditing
+                ? 'Small wording fixes go live straight away. Other changes to an approved posting are reviewed by an admin first.'
+                : 'Create a new internship posting. All posts require admin approval before going live.'}
             </p>
           </div>
         </div>
       </div>
 
+      {editing?.internship.pending_revision && (
+        <div className="bg-amber-50 border border-amber-200 text-amber-800 rounded-xl px-4 py-3 text-sm">
+          Changes submitted on {new Date(editing.internship.pending_revision.created_at).toLocaleDateString()} are waiting for admin review.
+          The form shows them; saving again replaces them.
+        </div>
+      )}
+
       <div className="bg-white rounded-xl shadow-lg border border-gray-200 overflow-hidden">
         {/* Form Header with gradient */}
         <div className="bg-gradient-to-r from-blue-600 to-indigo-600 px-6 py-4">
@@ -219,6 +357,53 @@ export default function PostInternship() {
             </div>
           </div>
 
+          {/* Deadline and Openings Grid */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {/* Application Deadline */}
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2 flex items-center gap-2">
+                <svg className="w-4 h-4 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                </svg>
+                Application Deadline
+              </label>
+              <input
+                type="date"
+                {...register('application_deadline')}
+                min={deadlineToDateInput(new Date().toISOString())}
+                className="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition"
+              />
+              {errors.application_deadline ? (
+                <p className="mt-1 text-sm text-red-600">{errors.application_deadline.message}</p>
+              ) : (
+                <p className="mt-1 text-xs text-gray-500">The posting closes at the end of this day. Leave empty to keep it open.</p>
+              )}
+            </div>
+
+            {/* Openings */}
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2 flex items-center gap-2">
+                <svg className="w-4 h-4 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0z" />
+                </svg>
+                Number of Openings
+              </label>
+              <input
+                type="number"
+                min={1}
+                max={MAX_OPENINGS}
+                {...register('openings')}
+                placeholder="e.g., 3"
+                className="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition"
+              />
+              {errors.openings ? (
+                <p className="mt-1 text-sm text-red-600">{errors.openings.message}</p>
+              ) : (
+                <p className="mt-1 text-xs text-gray-500">The posting is marked filled once this many offers are accepted.</p>
+              )}
+            </div>
+          </div>
+
           {/* Type */}
           <div>
             <label className="block text-sm font-semibold text-gray-700 mb-2 flex items-center gap-2">
@@ -239,6 +424,33 @@ export default function PostInternship() {
             </select>
           </div>
 
+          {/* Screening Questions */}
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-1 flex items-center gap-2">
+              <svg className="w-4 h-4 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8.228 9c.549-1.165 2.03-2 3.772-2 2.21 0 4 1.343 4 3 0 1.4-1.278 2.575-3.006 2.907-.542.104-.994.54-.994 1.093m0 3h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+              </svg>
+              Screening Questions
+            </label>
+            <p className="text-xs text-gray-500 mb-3">
+              Optional questions applicants answer when they apply, alongside an optional cover letter.
+            </p>
+            <ScreeningQuestionsEditor value={screeningQuestions} onChange={setScreeningQuestions} />
+          </div>
+
+          {isEditing && previewChanges.length > 0 && (
+            <div className={`rounded-lg border px-4 py-3 text-sm ${previewNeedsReview ? 'bg-amber-50 border-amber-200 text-amber-800' : 'bg-emerald-50 border-emerald-200 text-emerald-800'}`}>
+              <p className="font-medium">
+                {previewNeedsReview
+                  ? 'These changes will be sent for admin review.'
+                  : 'These changes will be published straight away.'}
+              </p>
+              <p className="mt-1">
+                Changed: {previewChanges.map((c) => `${c.label}${c.cosmetic ? '' : ' (material)'}`).join(', ')}
+              </p>
+            </div>
+          )}
+
           {/* Submit Button */}
           <div className="flex justify-end gap-3 pt-4 border-t border-gray-200">
             <button
@@ -250,7 +462,7 @@ export default function PostInternship() {
             </button>
             <button
               type="submit"
-              disabled={isSubmitting || !isValid}
+              disabled={isSubmitting || !isValid || (isEditing && previewChanges.length === 0)}
               className="px-6 py-2.5 bg-gradient-to-r from-blue-600 to-indigo-600 text-white rounded-lg hover:from-blue-700 hover:to-indigo-700 transition-all duration-200 font-semibold shadow-lg flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
             >
               {isSubmitting ? (
@@ -259,14 +471,14 @@ export default function PostInternship() {
                     <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
                     <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                   </svg>
-                  Posting...
+                  {isEditing ? 'Saving...' : 'Posting...'}
                 </>
               ) : (
                 <>
                   <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
                   </svg>
-                  Post Internship
+                  {isEditing ? 'Save Changes' : 'Post Internship'}
                 </>
               )}
             </button>
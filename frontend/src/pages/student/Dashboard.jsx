@@ -1,6 +1,6 @@
 import React, { useMemo, useState, useEffect } from 'react'
 import { Link, useNavigate } from 'react-router-dom'
-import { useQuery } from '@tanstack/react-query'
+import { useQuery, useQueryClient } from '@tanstack/react-query'
 import { supabase } from '../../utils/supabase'
 import { useAuth } from '../../context/AuthContext'
 import { useNotifications } from '../../hooks/useNotifications'
@@ -8,8 +8,11 @@ import Spinner from '../../components/Spinner'
 import Card from '../../components/Card'
 import Table from '../../components/Table'
 import toast from 'react-hot-toast'
-import { getProfilePictureUrl } from '../../utils/api'
+import { apiRequest, getProfilePictureUrl } from '../../utils/api'
 import ProfilePictureModal from '../../components/ProfilePictureModal'
+import ApplyModal from '../../components/ApplyModal'
+import { getMatchScoreClass } from '../../utils/skillMatching'
+import { isAcceptingApplications, formatDeadline } from '../../utils/internshipLifecycle'
 
 async function fetchStudentStats(userId) {
   const { data: applications, error } = await supabase
@@ -30,6 +33,7 @@ async function fetchStudentStats(userId) {
 export default function StudentDashboard() {
   const { user, profile } = useAuth()
   const navigate = useNavigate()
+  const queryClient = useQueryClient()
   const { unreadCount } = useNotifications()
   const { data: stats, isLoading } = useQuery({
     queryKey: ['student-stats', profile?.id],
@@ -48,6 +52,7 @@ export default function StudentDashboard() {
         .from('internships')
         .select('*')
         .eq('status', 'approved')
+        .eq('posting_status', 'open')
       
       console.log('[Student Dashboard] Basic query result:', {
         count: basicData?.length || 0,
@@ -72,6 +77,7 @@ export default function StudentDashboard() {
           )
         `)
         .eq('status', 'approved')
+        .eq('posting_status', 'open')
         .order('created_at', { ascending: false })
       
       if (error) {
@@ -79,7 +85,7 @@ export default function StudentDashboard() {
         // If join fails, return basic data without profiles
         if (basicData && basicData.length > 0) {
           console.warn('[Student Dashboard] Join failed, returning data without profiles')
-          return basicData.map(item => ({ ...item, profiles: null }))
+          return basicData.filter((item) => isAcceptingApplications(item)).map(item => ({ ...item, profiles: null }))
         }
         throw error
       }
@@ -90,7 +96,7 @@ export default function StudentDashboard() {
         sample: data?.[0]
       })
       
-      return data || []
+      return (data || []).filter((item) => isAcceptingApplications(item))
     },
     retry: 2,
     staleTime: 30000 // Cache for 30 seconds
@@ -101,7 +107,7 @@ export default function StudentDashboard() {
   const [durationFilter, setDurationFilter] = useState('') // kept for potential future use
   const [typeFilter, setTypeFilter] = useState('') // kept for potential future use
   const [showModal, setShowModal] = useState(false)
-  const [applyingId, setApplyingId] = useState(null)
+  const [applyTarget, setApplyTarget] = useState(null)
 
   const filteredInternships = useMemo(() => {
     let result = internships || []
@@ -137,6 +143,14 @@ export default function StudentDashboard() {
     return result
   }, [internships, term, skillsFilter, durationFilter, typeFilter])
 
+  // Top matches ranked by the backend against the student's CV skills
+  const { data: recommendationData } = useQuery({
+    queryKey: ['student-recommendations', profile?.id],
+    queryFn: () => apiRequest('/api/v1/recommendations?limit=3'),
+    enabled: !!profile?.id
+  })
+  const recommendations = recommendationData?.recommendations || []
+
   // Applications data (mini table)
   const { data: applications, isLoading: loadingApplications, refetch: refetchApplications } = useQuery({
     queryKey: ['applications', profile?.id, 'dashboard-mini'],
@@ -181,83 +195,19 @@ export default function StudentDashboard() {
     }
   }, [profile?.id, refetchApplications])
 
-  const checkCVComplete = async (userId) => {
-    const { data, error } = await supabase
-      .from('cv_forms')
-      .select('is_complete')
-      .eq('user_id', userId)
-      .single()
-    if (error && error.code !== 'PGRST116') throw error
-    return data?.is_complete || false
-  }
-
-  const apply = async (internshipId) => {
+  const apply = (internship) => {
     if (!profile?.id) {
       toast.error('Please login to apply')
       navigate('/login')
       return
     }
+    setApplyTarget(internship)
+  }
 
-    const cvComplete = await checkCVComplete(profile.id)
-    if (!cvComplete) {
-      toast.error('Please complete your CV Form before applying')
-      navigate('/cv')
-      return
-    }
-
-    try {
-      setApplyingId(internshipId)
-
-      const { data: existing } = await supabase
-        .from('applications')
-        .select('id')
-        .eq('user_id', profile.id)
-        .eq('internship_id', internshipId)
-        .maybeSingle()
-
-      if (existing) {
-        toast.error('You have already applied for this internship')
-        return
-      }
-
-      // Fetch CV data to include in application
-      const { data: cvData, error: cvError } = await supabase
-        .from('cv_forms')
-        .select('*')
-        .eq('user_id', profile.id)
-        .single()
-
-      if (cvError || !cvData) {
-        toast.error('CV data not found. Please complete your CV Form.')
-        navigate('/cv')
-        return
-      }
-
-      // Apply with CV data
-      const { error } = await supabase
-        .from('applications')
-        .insert({
-          user_id: profile.id,
-          internship_id: internshipId,
-          status: 'pending',
-          cv_data: cvData
-        })
-
-      if (error) {
-        if (error.code === '23505') {
-          toast.error('You have already applied for this internship')
-        } else {
-          toast.error(error.message)
-        }
-        return
-      }
-
-      toast.success('Applied successfully!')
-      refetchInternships()
-      refetchApplications()
-    } finally {
-      setApplyingId(null)
-    }
+  const handleApplied = () => {
+    refetchInternships()
+    refetchApplications()
+    queryClient.invalidateQueries({ queryKey: ['student-recommendations', profile.id] })
   }
 
   // Show error if internships query failed
@@ -358,6 +308,85 @@ export default function StudentDashboard() {
         </div>
       </div>
 
+      {/* Recommended for you */}
+      <div className="bg-white rounded-xl shadow-lg border border-slate-200 overflow-hidden">
+        <div className="flex items-center justify-between px-4 md:px-6 py-4 border-b bg-gradient-to-r from-emerald-50 to-slate-50">
+          <div className="flex items-center gap-2">
+            <span className="inline-flex h-9 w-9 items-center justify-center rounded-lg bg-emerald-600/10 text-emerald-600">
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z" />
+              </svg>
+            </span>
+            <div>
+              <h2 className="text-base md:text-lg font-semibold text-slate-900">Recommended for you</h2>
+              <p className="text-xs md:text-sm text-slate-500 mt-0.5">Ranked by how well your CV skills and project technologies match</p>
+            </div>
+          </div>
+        </div>
+
+        <div className="p-4 md:p-6">
+          {recommendations.length === 0 ? (
+            <div className="flex flex-col items-center justify-center py-6 text-center">
+              <p className="text-xs md:text-sm text-slate-500">
+                {recommendationData?.skills?.length
+                  ? 'No internships match your skills yet. Add more skills or project technologies to your CV to improve suggestions.'
+                  : 'Complete your CV with skills and projects to get personalised recommendations.'}
+              </p>
+              <Link
+                to="/cv"
+                className="mt-3 text-xs md:text-sm font-medium text-emerald-600 hover:text-emerald-700"
+              >
+                Update CV
+              </Link>
+            </div>
+          ) : (
+            <ul className="divide-y divide-slate-100">
+              {recommendations.map(({ internship: i, score, matched, missing, explanation }) => {
+                const isProcessing = applyTarget?.id === i.id
+                return (
+                  <li key={i.id} className="py-4 first:pt-0 last:pb-0 flex flex-col md:flex-row md:items-center gap-3 md:gap-6">
+                    <div className="flex-1 min-w-0">
+                      <div className="flex items-center gap-2 flex-wrap">
+                        <h3 className="text-sm md:text-base font-semibold text-slate-900 truncate">{i.title}</h3>
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-semibold border ${getMatchScoreClass(score)}`}>
+                          {score}% match
+                        </span>
+                      </div>
+                      <p className="text-xs md:text-sm text-slate-500 mt-0.5">
+                        {i.profiles?.organization_name || i.profiles?.full_name || 'Software House'}
+                        {i.location ? ` • ${i.location}` : ''}
+                        {i.duration ? ` • ${i.duration}` : ''}
+                        {i.application_deadline ? ` • ${formatDeadline(i.application_deadline)}` : ''}
+                      </p>
+                      <p className="text-xs md:text-sm text-slate-700 mt-2">{explanation}</p>
+                      <div className="flex flex-wrap gap-1.5 mt-2">
+                        {matched.map((skill) => (
+                          <span key={`m-${skill}`} className="px-2 py-0.5 bg-emerald-50 text-emerald-700 rounded-full text-xs font-medium border border-emerald-200">
+                            {skill}
+                          </span>
+                        ))}
+                        {missing.map((skill) => (
+                          <span key={`x-${skill}`} className="px-2 py-0.5 bg-rose-50 text-rose-700 rounded-full text-xs font-medium border border-rose-200 line-through decoration-rose-300">
+                            {skill}
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => !isProcessing && apply(i)}
+                      disabled={isProcessing}
+                      className="md:w-36 px-4 py-2 rounded-lg text-sm font-semibold bg-gradient-to-r from-emerald-600 to-teal-600 text-white hover:from-emerald-700 hover:to-teal-700 disabled:opacity-60 disabled:cursor-not-allowed transition"
+                    >
+                      {isProcessing ? 'Applying...' : 'Apply Now'}
+                    </button>
+                  </li>
+                )
+              })}
+            </ul>
+          )}
+        </div>
+      </div>
+
       {/* Available Internships */}
       <div className="bg-white rounded-xl shadow-lg border border-slate-200 overflow-hidden">
         <div className="flex items-center justify-between px-4 md:px-6 py-4 border-b bg-gradient-to-r from-indigo-50 to-slate-50">
@@ -369,7 +398,7 @@ export default function StudentDashboard() {
             </span>
             <div>
               <h2 className="text-base md:text-lg font-semibold text-slate-900">Available Internships</h2>
-              <p className="text-xs md:text-sm text-slate-500 mt-0.5">Recommended opportunities for you</p>
+              <p className="text-xs md:text-sm text-slate-500 mt-0.5">Latest approved opportunities</p>
             </div>
           </div>
           <Link
@@ -423,7 +452,7 @@ export default function StudentDashboard() {
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
               {filteredInternships.slice(0, 3).map((i, index) => {
                 const alreadyApplied = (applications || []).some(a => a.internship_id === i.id)
-                const isProcessing = applyingId === i.id
+                const isProcessing = applyTarget?.id === i.id
                 const disabled = isProcessing || alreadyApplied
                 
                 // Different gradient colors for each post (same as software house)
@@ -462,6 +491,20 @@ export default function StudentDashboard() {
                           Approved
                         </span>
                       </div>
+                      {(i.application_deadline || i.openings) && (
+                        <div className="absolute bottom-4 left-4 flex flex-wrap gap-2">
+                          {i.application_deadline && (
+                            <span className="px-3 py-1 rounded-full text-xs font-semibold bg-white/90 text-gray-800 shadow">
+                              {formatDeadline(i.application_deadline)}
+                            </span>
+                          )}
+                          {i.openings && (
+                            <span className="px-3 py-1 rounded-full text-xs font-semibold bg-white/90 text-gray-800 shadow">
+                              {i.openings} {i.openings === 1 ? 'opening' : 'openings'}
+                            </span>
+                          )}
+                        </div>
+                      )}
                     </div>
 
                     {/* Content */}
@@ -545,7 +588,7 @@ export default function StudentDashboard() {
                       {/* Apply Button */}
                       <div className="pt-4 border-t border-gray-200">
                         <button
-                          onClick={() => !disabled && apply(i.id)}
+                          onClick={() => !disabled && apply(i)}
                           disabled={disabled}
                           className={`w-full px-4 py-2.5 rounded-lg text-sm font-semibold transition flex items-center justify-center gap-2 ${
                             alreadyApplied
@@ -690,6 +733,13 @@ export default function StudentDashboard() {
         userName={profile?.full_name || 'Student'}
         userRole={profile?.role || ''}
       />
+
+      <ApplyModal
+        isOpen={!!applyTarget}
+        onClose={() => setApplyTarget(null)}
+        internship={applyTarget}
+        onApplied={handleApplied}
+      />
     </div>
   )
 }
\ No newline at end of file
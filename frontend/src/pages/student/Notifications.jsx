@@ -1,6 +1,7 @@
 import React, { useState, useMemo } from 'react'
 import { useNotifications } from '../../hooks/useNotifications'
 import { formatRelativeTime, getNotificationIcon, formatNotificationMessage } from '../../utils/notifications'
+import { SEVERITY_STYLES, getNotificationSeverity } from '../../utils/notificationTypes'
 import Spinner from '../../components/Spinner'
 import Modal from '../../components/Modal'
 import toast from 'react-hot-toast'
@@ -12,10 +13,10 @@ export default function StudentNotifications() {
   const [showDeleteAllConfirm, setShowDeleteAllConfirm] = useState(false)
   const [deleting, setDeleting] = useState(false)
 
-  // Student/guest should only see application_status notifications
+  // Student/guest should only see application, interview, message and logbook notifications
   const filteredNotifications = useMemo(() => {
     if (!notifications) return []
-    return notifications.filter(n => n.type === 'application_status')
+    return notifications.filter(n => ['application_status', 'interview', 'message', 'logbook', 'logbook_reminder'].includes(n.type))
   }, [notifications])
 
   const unreadCount = useMemo(() => {
@@ -140,13 +141,7 @@ export default function StudentNotifications() {
                 )}
                 <div className="flex items-start gap-5">
                   {/* Icon */}
-                  <div className={`flex-shrink-0 w-14 h-14 rounded-xl flex items-center justify-center shadow-md transform transition-transform group-hover:scale-110 ${
-                    notification.type === 'application_status'
-                      ? notification.metadata?.status === 'accepted'
-                        ? 'bg-gradient-to-br from-emerald-400 to-emerald-600 text-white'
-                        : 'bg-gradient-to-br from-rose-400 to-rose-600 text-white'
-                      : 'bg-gradient-to-br from-gray-400 to-gray-600 text-white'
-                  }`}>
+                  <div className={`flex-shrink-0 w-14 h-14 rounded-xl flex items-center justify-center shadow-md transform transition-transform group-hover:scale-110 ${SEVERITY_STYLES[getNotificationSeverity(notification)]}`}>
                     <div className="w-7 h-7">
                       {getNotificationIcon(notification.type)}
                     </div>
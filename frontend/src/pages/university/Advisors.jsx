@@ -0,0 +1,289 @@
+import React, { useMemo, useState } from 'react'
+import { useQuery, useQueryClient } from '@tanstack/react-query'
+import toast from 'react-hot-toast'
+import { supabase } from '../../utils/supabase'
+import { useAuth } from '../../context/AuthContext'
+import Table from '../../components/Table'
+import Spinner from '../../components/Spinner'
+import Modal from '../../components/Modal'
+import AdvisorAssignmentsEditor from '../../components/AdvisorAssignmentsEditor'
+import {
+  fetchAdvisors,
+  createAdvisor,
+  updateAdvisor,
+  isAssignedStudent,
+  describeAssignments
+} from '../../utils/advisors'
+
+const EMPTY_ACCOUNT = { full_name: '', email: '', password: '' }
+
+async function fetchUniversityStudents(universityId) {
+  const { data, error } = await supabase
+    .from('students')
+    .select('id, user_id, name, email, student_id, batch, degree_program')
+    .eq('university_id', universityId)
+    .order('name', { ascending: true })
+  if (error) throw error
+  return data || []
+}
+
+export default function Advisors() {
+  const { profile } = useAuth()
+  const queryClient = useQueryClient()
+  const [createOpen, setCreateOpen] = useState(false)
+  const [account, setAccount] = useState(EMPTY_ACCOUNT)
+  const [creating, setCreating] = useState(false)
+  const [editingId, setEditingId] = useState(null)
+  const [togglingId, setTogglingId] = useState(null)
+
+  const { data: advisors = [], isLoading, error } = useQuery({
+    queryKey: ['university-advisors', profile?.id],
+    queryFn: () => fetchAdvisors(profile.id),
+    enabled: !!profile?.id
+  })
+
+  const { data: students = [] } = useQuery({
+    queryKey: ['university-advisor-students', profile?.id],
+    queryFn: () => fetchUniversityStudents(profile.id),
+    enabled: !!profile?.id
+  })
+
+  const editing = advisors.find(a => a.id === editingId) || null
+
+  const coverage = useMemo(() => Object.fromEntries(
+    advisors.map(a => [a.id, students.filter(s => isAssignedStudent(s, a.assignments)).length])
+  ), [advisors, students])
+
+  // Students no active advisor covers
+  const unassignedCount = useMemo(() => {
+    const active = advisors.filter(a => a.is_active !== false)
+    return students.filter(s => !active.some(a => isAssignedStudent(s, a.assignments))).length
+  }, [advisors, students])
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    if (creating) return
+    try {
+      setCreating(true)
+      const { advisor, warning } = await createAdvisor(account)
+      toast.success(`${advisor.full_name} can now log in as a faculty advisor`)
+      if (warning) toast.error(warning)
+      setCreateOpen(false)
+      setAccount(EMPTY_ACCOUNT)
+      await queryClient.invalidateQueries({ queryKey: ['university-advisors'] })
+      setEditingId(advisor.id)
+    } catch (err) {
+      toast.error(err.message || 'Failed to create advisor')
+    } finally {
+      setCreating(false)
+    }
+  }
+
+  const toggleActive = async (advisor) => {
+    if (togglingId) return
+    const activate = advisor.is_active === false
+    if (!activate && !window.confirm(`Deactivate ${advisor.full_name}? They will no longer be able to log in or see any students.`)) return
+    try {
+      setTogglingId(advisor.id)
+      await updateAdvisor(advisor.id, { is_active: activate })
+      toast.success(activate ? 'Advisor reactivated' : 'Advisor deactivated')
+      queryClient.invalidateQueries({ queryKey: ['university-advisors'] })
+    } catch (err) {
+      toast.error(err.message || 'Failed to update advisor')
+    } finally {
+      setTogglingId(null)
+    }
+  }
+
+  if (isLoading) return <Spinner />
+
+  if (error) {
+    return (
+      <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-12 text-center">
+        <h3 className="text-lg font-semibold text-gray-900 mb-2">Error Loading Advisors</h3>
+        <p className="text-gray-600">{error.message || 'Please try again later.'}</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-indigo-50 border border-indigo-100 rounded-xl p-4">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+          <div className="flex items-center gap-3">
+            <span className="inline-flex h-10 w-10 items-center justify-center rounded-lg bg-blue-600/10 text-blue-600">
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 20h5v-2a3 3 0 00-5.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M12 12a4 4 0 100-8 4 4 0 000 8zm0 0a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
+              </svg>
+            </span>
+            <div>
+              <h1 className="text-2xl md:text-3xl font-bold text-blue-600">Faculty Advisors</h1>
+              <p className="text-xs md:text-sm text-gray-600 mt-1">
+                Give faculty their own login and the students they supervise
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={() => setCreateOpen(true)}
+            className="inline-flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-blue-600 to-indigo-600 text-white rounded-lg hover:from-blue-700 hover:to-indigo-700 transition shadow-sm font-medium"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+            </svg>
+            Add Advisor
+          </button>
+        </div>
+      </div>
+
+      {advisors.length > 0 && unassignedCount > 0 && (
+        <div className="bg-amber-50 border border-amber-200 rounded-xl px-4 py-3 text-sm text-amber-800">
+          {unassignedCount} of your {students.length} students are not assigned to any active advisor.
+        </div>
+      )}
+
+      <div className="bg-white rounded-xl shadow-lg border border-gray-200 overflow-hidden">
+        {advisors.length === 0 ? (
+          <div className="p-12 text-center">
+            <h3 className="text-lg font-semibold text-gray-900 mb-2">No faculty advisors yet</h3>
+            <p className="text-gray-600">
+              Add an advisor and assign them students by batch, degree program or by name.
+            </p>
+          </div>
+        ) : (
+          <Table
+            columns={[
+              {
+                Header: 'Advisor',
+                accessor: (a) => (
+                  <div>
+                    <p className="font-medium text-gray-900">{a.full_name || '—'}</p>
+                    <p className="text-xs text-gray-500">{a.email}</p>
+                  </div>
+                )
+              },
+              {
+                Header: 'Assigned',
+                accessor: (a) => (
+                  <span className="text-sm text-gray-700">
+                    {describeAssignments(a.assignments) || <span className="text-gray-400">Nothing assigned</span>}
+                  </span>
+                )
+              },
+              {
+                Header: 'Students',
+                accessor: (a) => <span className="text-sm font-semibold text-gray-900">{coverage[a.id] ?? 0}</span>
+              },
+              {
+                Header: 'Status',
+                accessor: (a) => (
+                  <span className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold border ${
+                    a.is_active === false
+                      ? 'bg-gray-100 text-gray-700 border-gray-200'
+                      : 'bg-emerald-100 text-emerald-800 border-emerald-200'
+                  }`}>
+                    {a.is_active === false ? 'Deactivated' : 'Active'}
+                  </span>
+                )
+              },
+              {
+                Header: 'Action',
+                accessor: (a) => (
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => setEditingId(a.id)}
+                      className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50 transition shadow-sm"
+                    >
+                      Assign Students
+                    </button>
+                    <button
+                      onClick={() => toggleActive(a)}
+                      disabled={togglingId === a.id}
+                      className={`px-3 py-1.5 rounded-lg text-sm font-medium transition disabled:opacity-50 ${
+                        a.is_active === false ? 'text-emerald-700 hover:bg-emerald-50' : 'text-rose-700 hover:bg-rose-50'
+                      }`}
+                    >
+                      {a.is_active === false ? 'Reactivate' : 'Deactivate'}
+                    </button>
+                  </div>
+                )
+              }
+            ]}
+            data={advisors}
+          />
+        )}
+      </div>
+
+      <Modal isOpen={createOpen} onClose={() => setCreateOpen(false)} title="Add Faculty Advisor" size="small">
+        <form onSubmit={handleCreate} className="space-y-4">
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Full name</span>
+            <input
+              type="text"
+              required
+              value={account.full_name}
+              onChange={(e) => setAccount(v => ({ ...v, full_name: e.target.value }))}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </label>
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Email</span>
+            <input
+              type="email"
+              required
+              value={account.email}
+              onChange={(e) => setAccount(v => ({ ...v, email: e.target.value }))}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </label>
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Temporary password</span>
+            <input
+              type="password"
+              required
+              minLength={8}
+              autoComplete="new-password"
+              value={account.password}
+              onChange={(e) => setAccount(v => ({ ...v, password: e.target.value }))}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+            <span className="mt-1 block text-xs text-gray-500">
+              At least 8 characters. Share it with the advisor; they can change it under Settings.
+            </span>
+          </label>
+          <div className="flex items-center justify-end gap-3 border-t border-gray-200 pt-4">
+            <button
+              type="button"
+              onClick={() => setCreateOpen(false)}
+              className="px-6 py-2.5 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 transition font-medium shadow-sm"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={creating}
+              className="px-6 py-2.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition font-medium shadow-sm disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {creating ? 'Creating...' : 'Create Advisor'}
+            </button>
+          </div>
+        </form>
+      </Modal>
+
+      <Modal
+        isOpen={!!editing}
+        onClose={() => setEditingId(null)}
+        title={`Assign Students${editing?.full_name ? ` - ${editing.full_name}` : ''}`}
+        size="large"
+      >
+        {editing && (
+          <AdvisorAssignmentsEditor
+            key={editing.id}
+            advisor={editing}
+            students={students}
+            onSaved={() => setEditingId(null)}
+          />
+        )}
+      </Modal>
+    </div>
+  )
+}
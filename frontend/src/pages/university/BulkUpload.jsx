@@ -1,20 +1,61 @@
 import React, { useState } from 'react'
 import Papa from 'papaparse'
 import toast from 'react-hot-toast'
+import { useQuery, useQueryClient } from '@tanstack/react-query'
 import { supabase } from '../../utils/supabase'
+import { apiRequest } from '../../utils/api'
 import { useAuth } from '../../context/AuthContext'
 import Spinner from '../../components/Spinner'
+import BulkUploadJobs from '../../components/BulkUploadJobs'
+import BulkImportReport from '../../components/BulkImportReport'
+import ColumnMappingEditor from '../../components/ColumnMappingEditor'
+import {
+  IMPORT_ACCEPT,
+  IMPORT_MODES,
+  MAX_IMPORT_SIZE,
+  getImportFileType,
+  initialColumnMapping,
+  validateColumnMapping,
+  applyColumnMapping,
+  readImportFile,
+} from '../../utils/studentImport'
 
 export default function BulkUpload() {
   const { profile } = useAuth()
+  const queryClient = useQueryClient()
   const [file, setFile] = useState(null)
   const [rows, setRows] = useState([])
+  const [headers, setHeaders] = useState([])
+  const [mapping, setMapping] = useState({})
+  const [rememberMapping, setRememberMapping] = useState(true)
+  const [mode, setMode] = useState('create')
+  const [reading, setReading] = useState(false)
   const [uploading, setUploading] = useState(false)
+  const [checking, setChecking] = useState(false)
+  const [dryRun, setDryRun] = useState(null)
   const [dragActive, setDragActive] = useState(false)
 
+  // Column mapping used for this university's last import
+  const { data: savedMapping } = useQuery({
+    queryKey: ['student-import-mapping', profile?.id],
+    queryFn: async () => {
+      const { data, error } = await supabase
+        .from('student_import_mappings')
+        .select('mapping')
+        .eq('university_id', profile.id)
+        .maybeSingle()
+      if (error) throw error
+      return data?.mapping || null
+    },
+    enabled: !!profile?.id,
+  })
+
+  const mappingError = headers.length > 0 ? validateColumnMapping(mapping, headers, mode) : null
+  const previewRows = applyColumnMapping(rows, mapping)
+
   const downloadTemplate = () => {
-    const headers = ['name', 'email', 'student_id', 'batch', 'degree_program', 'semester']
-    const exampleRow = ['John Doe', 'john.doe@example.com', 'STU001', '2022', 'BSE', '6']
+    const headers = ['name', 'email', 'student_id', 'batch', 'degree_program', 'semester', 'phone', 'cgpa']
+    const exampleRow = ['John Doe', 'john.doe@example.com', 'STU001', '2022', 'BSE', '6', '+92 300 1234567', '3.45']
     const csvContent = [headers, exampleRow].map(row => row.join(',')).join('\n')
     
     const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' })
@@ -37,23 +78,72 @@ export default function BulkUpload() {
         if (results.errors.length > 0) {
           toast.error(`CSV parsing errors: ${results.errors.map(e => e.message).join(', ')}`)
         }
-        setRows(results.data)
-        toast.success(`Parsed ${results.data.length} rows`)
+        loadRows(results.meta.fields || [], results.data)
       },
       error: (err) => toast.error(err.message),
     })
   }
 
+  const loadRows = (fileHeaders, fileRows) => {
+    setHeaders(fileHeaders)
+    setRows(fileRows)
+    setMapping(initialColumnMapping(fileHeaders, savedMapping))
+    toast.success(`Parsed ${fileRows.length} rows`)
+  }
+
+  // XLSX and ODS workbooks are read by the backend
+  const readSpreadsheet = async (file) => {
+    try {
+      setReading(true)
+      const result = await readImportFile(file)
+      loadRows(result.headers, result.rows)
+      if (result.truncated) {
+        toast.error(`Only the first ${result.rows.length} rows of the sheet were read`)
+      }
+    } catch (e) {
+      toast.error(e.message)
+      setFile(null)
+    } finally {
+      setReading(false)
+    }
+  }
+
   const handleFile = (file) => {
     if (!file) return
-    if (file.type !== 'text/csv' && !file.name.endsWith('.csv')) {
-      return toast.error('Please upload a CSV file')
+    const type = getImportFileType(file)
+    if (!type) {
+      return toast.error('Please upload a CSV, XLSX or ODS file')
     }
-    if (file.size > 5 * 1024 * 1024) {
+    if (file.size > MAX_IMPORT_SIZE) {
       return toast.error('File size must be less than 5MB')
     }
     setFile(file)
-    parseCsv(file)
+    setRows([])
+    setHeaders([])
+    setDryRun(null)
+    if (type === 'csv') parseCsv(file)
+    else readSpreadsheet(file)
+  }
+
+  // The backend parses CSV text; workbooks are sent as CSV built from the rows read
+  const buildCsvText = async () =>
+    getImportFileType(file) === 'csv' ? file.text() : Papa.unparse(rows, { columns: headers })
+
+  const saveMapping = async () => {
+    if (!rememberMapping) return
+    const { error } = await supabase
+      .from('student_import_mappings')
+      .upsert({
+        university_id: profile.id,
+        mapping,
+        source_headers: headers,
+        updated_at: new Date().toISOString(),
+      })
+    if (error) {
+      console.warn('Could not save column mapping:', error.message)
+      return
+    }
+    queryClient.invalidateQueries({ queryKey: ['student-import-mapping', profile.id] })
   }
 
   const handleDrag = (e) => {
@@ -75,24 +165,43 @@ export default function BulkUpload() {
     }
   }
 
+  // Check the file against existing students without creating anything
+  const runDryRun = async () => {
+    if (!file) return toast.error('Select a file')
+    if (mappingError) return toast.error(mappingError)
+    try {
+      setChecking(true)
+      const result = await apiRequest('/api/university/bulk-upload-students/dry-run', {
+        method: 'POST',
+        body: { csvText: await buildCsvText(), mapping, mode },
+      })
+      setDryRun(result)
+    } catch (e) {
+      toast.error(e.message)
+    } finally {
+      setChecking(false)
+    }
+  }
+
   const uploadCsv = async () => {
-    if (!file) return toast.error('Select a CSV file')
+    if (!file) return toast.error('Select a file')
     if (rows.length === 0) return toast.error('No valid data to upload')
+    if (mappingError) return toast.error(mappingError)
     
     try {
       setUploading(true)
       // Read CSV text locally and bypass Storage upload
-      const csvText = await file.text()
+      const csvText = await buildCsvText()
       const inlinePath = `inline-upload/${profile.id}/${Date.now()}-${file.name}`
 
-      // Create bulk upload record
+      // Create bulk upload record. The API queues it once the rows are stored.
       const { data: bulkUpload, error: bulkError } = await supabase
         .from('bulk_uploads')
         .insert({
           university_id: profile.id,
           file_name: file.name,
           file_path: inlinePath,
-          status: 'processing',
+          status: 'uploading',
           total_records: rows.length
         })
         .select()
@@ -100,83 +209,35 @@ export default function BulkUpload() {
 
       if (bulkError) throw bulkError
 
-      // Call backend API endpoint to process CSV
-      const { data: { session } } = await supabase.auth.getSession()
-      const token = session?.access_token
-      
-      if (!token) {
-        throw new Error('Authentication required. Please log in again.')
-      }
+      // The backend stores the rows and returns straight away; accounts are
+      // created in the background and the progress shows under Recent Uploads
+      const result = await apiRequest('/api/university/bulk-upload-students', {
+        method: 'POST',
+        body: {
+          csvText,
+          mapping,
+          mode,
+          universityId: profile.id,
+          bulkUploadId: bulkUpload.id
+        },
+      })
 
-      // In development, always use relative path to leverage Vite proxy
-      // In production, use VITE_BACKEND_URL if set
-      const isDev = !import.meta.env.PROD
-      const backendUrl = import.meta.env.VITE_BACKEND_URL || ''
-      const apiUrl = isDev 
-        ? '/api/university/bulk-upload-students' 
-        : (backendUrl ? `${backendUrl}/api/university/bulk-upload-students` : '/api/university/bulk-upload-students')
-      
-      console.log('[BulkUpload] Sending request to:', apiUrl, isDev ? '(via Vite proxy)' : '(direct)')
-      
-      // Create AbortController for timeout
-      const controller = new AbortController()
-      const timeoutId = setTimeout(() => controller.abort(), 300000) // 5 minute timeout
-      
-      try {
-        const resp = await fetch(apiUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${token}`,
-          },
-          body: JSON.stringify({ 
-            csvText, 
-            universityId: profile.id, 
-            bulkUploadId: bulkUpload.id 
-          }),
-          signal: controller.signal,
-        })
-        
-        clearTimeout(timeoutId)
-
-        console.log('[BulkUpload] Response status:', resp.status, resp.statusText)
-
-        if (!resp.ok) {
-          const errorData = await resp.json().catch(() => ({ error: resp.statusText }))
-          console.error('[BulkUpload] Error response:', errorData)
-          throw new Error(errorData.error || `CSV processing failed: ${resp.status} ${resp.statusText}`)
-        }
-
-        const result = await resp.json()
-        console.log('[BulkUpload] Success response:', result)
-        
-        // Handle response - check for success field or assume success if status is 200
-        if (result.success !== false) {
-          const successCount = result.results?.successful || result.successful || 0
-          const failedCount = result.results?.failed || result.failed || 0
-          const total = result.results?.total || result.total || rows.length
-          
-          if (failedCount > 0) {
-            toast.success(`CSV processed: ${successCount} students created, ${failedCount} failed out of ${total} total.`)
-          } else {
-            toast.success(`CSV processed successfully: ${successCount} students created.`)
-          }
-        } else {
-          throw new Error(result.error || 'CSV processing failed')
-        }
-      } catch (fetchError) {
-        clearTimeout(timeoutId)
-        if (fetchError.name === 'AbortError') {
-          throw new Error('Request timeout: CSV processing took too long. Please check the backend logs.')
-        }
-        throw fetchError
-      }
+      const skipped = result.parseErrors?.length || 0
+      toast.success(
+        `${result.total} ${result.total === 1 ? 'row' : 'rows'} queued for ${mode === 'sync' ? 'sync' : 'import'}.` +
+        (skipped > 0 ? ` ${skipped} unreadable ${skipped === 1 ? 'line was' : 'lines were'} skipped.` : '')
+      )
+      queryClient.invalidateQueries({ queryKey: ['bulk-uploads', profile.id] })
+      await saveMapping()
       
       // Reset form
       setFile(null)
       setRows([])
+      setHeaders([])
+      setDryRun(null)
     } catch (e) {
       toast.error(e.message)
+      queryClient.invalidateQueries({ queryKey: ['bulk-uploads', profile.id] })
     } finally {
       setUploading(false)
     }
@@ -196,7 +257,7 @@ export default function BulkUpload() {
             <div>
               <h1 className="text-2xl md:text-3xl font-bold text-blue-600">Bulk Upload Student Data</h1>
               <p className="text-xs md:text-sm text-gray-600 mt-1">
-                Upload CSV file to add multiple students at once
+                Upload a CSV or Excel file to add multiple students at once
               </p>
             </div>
           </div>
@@ -221,7 +282,7 @@ export default function BulkUpload() {
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
               </svg>
             </span>
-            <h2 className="text-lg font-semibold text-gray-900">Upload CSV File</h2>
+            <h2 className="text-lg font-semibold text-gray-900">Upload Student File</h2>
           </div>
         </div>
         <div className="p-6">
@@ -247,21 +308,21 @@ export default function BulkUpload() {
                 </svg>
               </div>
               <h3 className="text-xl font-semibold text-gray-900 mb-2">
-                {dragActive ? 'Drop your CSV file here' : 'Upload a CSV file with student information'}
+                {dragActive ? 'Drop your file here' : 'Upload a CSV, XLSX or ODS file with student information'}
               </h3>
               <p className="text-sm text-gray-600 mb-6 max-w-md">
-                Upload a CSV file with student information to get started.{' '}
+                Any column names work; you will match them to student fields after choosing the file.{' '}
                 <button
                   onClick={downloadTemplate}
                   className="text-blue-600 hover:text-blue-700 underline font-medium"
                 >
                   Download a template
                 </button>{' '}
-                to see the required format.
+                to see the expected format.
               </p>
               <input
                 type="file"
-                accept=".csv"
+                accept={IMPORT_ACCEPT}
                 onChange={(e) => handleFile(e.target.files?.[0])}
                 className="hidden"
                 id="csv-upload"
@@ -275,7 +336,13 @@ export default function BulkUpload() {
                 </svg>
                 Choose File
               </label>
-              {file && (
+              {reading && (
+                <div className="mt-6 inline-flex items-center gap-2 text-sm text-gray-600">
+                  <Spinner />
+                  <span>Reading spreadsheet...</span>
+                </div>
+              )}
+              {file && !reading && (
                 <div className="mt-6 p-4 bg-emerald-50 border border-emerald-200 rounded-lg inline-flex items-center gap-3">
                   <svg className="w-5 h-5 text-emerald-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
@@ -293,6 +360,65 @@ export default function BulkUpload() {
         </div>
       </div>
 
+      {/* Column mapping */}
+      {headers.length > 0 && (
+        <div className="bg-white rounded-xl shadow-lg border border-gray-200 overflow-hidden">
+          <div className="bg-gradient-to-r from-blue-50 to-indigo-50 px-6 py-4 border-b border-gray-200 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Match Columns</h3>
+              <p className="text-xs text-gray-600 mt-0.5">Choose which column of your file holds each field. Fields marked * are required.</p>
+            </div>
+            <label className="inline-flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={rememberMapping}
+                onChange={(e) => setRememberMapping(e.target.checked)}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              Remember for next upload
+            </label>
+          </div>
+          <div className="p-6 space-y-5">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              {IMPORT_MODES.map((option) => (
+                <label
+                  key={option.value}
+                  className={`flex gap-3 p-4 rounded-lg border cursor-pointer transition ${
+                    mode === option.value ? 'border-blue-500 bg-blue-50/60' : 'border-gray-200 hover:border-blue-300'
+                  }`}
+                >
+                  <input
+                    type="radio"
+                    name="import-mode"
+                    value={option.value}
+                    checked={mode === option.value}
+                    onChange={() => {
+                      setMode(option.value)
+                      setDryRun(null)
+                    }}
+                    className="mt-1 text-blue-600 focus:ring-blue-500"
+                  />
+                  <span>
+                    <span className="block text-sm font-semibold text-gray-900">{option.label}</span>
+                    <span className="block text-xs text-gray-600 mt-0.5">{option.description}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+            <ColumnMappingEditor
+              mode={mode}
+              headers={headers}
+              mapping={mapping}
+              onChange={(next) => {
+                setMapping(next)
+                setDryRun(null)
+              }}
+              error={mappingError}
+            />
+          </div>
+        </div>
+      )}
+
       {/* Preview */}
       {rows.length > 0 && (
         <div className="bg-white rounded-xl shadow-lg border border-gray-200 overflow-hidden">
@@ -309,25 +435,34 @@ export default function BulkUpload() {
                   <p className="text-xs text-gray-600 mt-0.5">{rows.length} {rows.length === 1 ? 'row' : 'rows'} ready to upload</p>
                 </div>
               </div>
-              <button
-                onClick={uploadCsv}
-                disabled={uploading}
-                className="inline-flex items-center gap-2 px-6 py-3 bg-gradient-to-r from-emerald-600 to-teal-600 text-white rounded-lg hover:from-emerald-700 hover:to-teal-700 transition shadow-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
-              >
-                {uploading ? (
-                  <>
-                    <Spinner />
-                    <span>Processing...</span>
-                  </>
-                ) : (
-                  <>
-                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
-                    </svg>
-                    <span>Upload & Process</span>
-                  </>
-                )}
-              </button>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={runDryRun}
+                  disabled={checking || uploading || !!mappingError}
+                  className="inline-flex items-center gap-2 px-5 py-3 bg-white border border-emerald-300 text-emerald-700 rounded-lg hover:bg-emerald-50 transition shadow-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {checking ? 'Checking...' : 'Dry Run'}
+                </button>
+                <button
+                  onClick={uploadCsv}
+                  disabled={uploading || checking || !!mappingError}
+                  className="inline-flex items-center gap-2 px-6 py-3 bg-gradient-to-r from-emerald-600 to-teal-600 text-white rounded-lg hover:from-emerald-700 hover:to-teal-700 transition shadow-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {uploading ? (
+                    <>
+                      <Spinner />
+                      <span>Queueing...</span>
+                    </>
+                  ) : (
+                    <>
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
+                      </svg>
+                      <span>{mode === 'sync' ? 'Sync Students' : 'Upload & Process'}</span>
+                    </>
+                  )}
+                </button>
+              </div>
             </div>
           </div>
           <div className="p-6">
@@ -335,7 +470,7 @@ export default function BulkUpload() {
               <table className="min-w-full text-sm">
                 <thead>
                   <tr className="bg-gradient-to-r from-gray-50 to-blue-50">
-                    {Object.keys(rows[0] || {}).map((k) => {
+                    {Object.keys(previewRows[0] || {}).map((k) => {
                       // Get icon for column header
                       const getColumnIcon = (columnName) => {
                         const col = columnName.toLowerCase()
@@ -399,7 +534,7 @@ export default function BulkUpload() {
                   </tr>
                 </thead>
                 <tbody className="divide-y divide-gray-100 bg-white">
-                  {rows.slice(0, 20).map((r, idx) => (
+                  {previewRows.slice(0, 20).map((r, idx) => (
                     <tr key={idx} className="hover:bg-gray-50 transition-colors">
                       {Object.entries(r).map(([key, value], i) => {
                         // Get icon for cell based on column type
@@ -486,6 +621,12 @@ export default function BulkUpload() {
           </div>
         </div>
       )}
+
+      {dryRun && (
+        <BulkImportReport result={dryRun} fileName={file?.name} onClose={() => setDryRun(null)} />
+      )}
+
+      <BulkUploadJobs universityId={profile?.id} />
     </div>
   )
-}
\ No newline at end of file
+}
@@ -4,6 +4,7 @@ import { useQuery } from '@tanstack/react-query'
 import { supabase } from '../../utils/supabase'
 import { useAuth } from '../../context/AuthContext'
 import Spinner from '../../components/Spinner'
+import { ADVISOR_ROLE, getUniversityId } from '../../utils/advisors'
  
 async function fetchDashboard(universityId) {
   // Fetch students
@@ -114,9 +115,10 @@ function Donut({ percentage }) {
 
 export default function UniversityDashboard() {
   const { profile } = useAuth()
+  const isAdvisor = profile?.role === ADVISOR_ROLE
   const { data, isLoading } = useQuery({
     queryKey: ['university-dashboard', profile?.id],
-    queryFn: () => fetchDashboard(profile.id),
+    queryFn: () => fetchDashboard(getUniversityId(profile)),
     enabled: !!profile?.id,
   })
 
@@ -244,50 +246,52 @@ export default function UniversityDashboard() {
         </div>
       </div>
 
-      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <div className={`grid grid-cols-1 gap-6 ${isAdvisor ? '' : 'lg:grid-cols-3'}`}>
         {/* Bulk Upload Tile */}
-        <div className="lg:col-span-2">
-          <div className="bg-white rounded-xl shadow-lg border border-gray-200 overflow-hidden">
-            <div className="bg-gradient-to-r from-blue-50 to-indigo-50 px-6 py-4 border-b border-gray-200">
-              <div className="flex items-center gap-2">
-                <span className="inline-flex h-8 w-8 items-center justify-center rounded-lg bg-blue-100 text-blue-600">
-                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 11V3m0 8l-3-3m3 3l3-3M6 13a4 4 0 01-.88-7.903A5 5 0 1114.9 6H15a5 5 0 011 9.9" />
-                  </svg>
-                </span>
-                <h3 className="text-lg font-semibold text-gray-900">{COPY.bulkUploadTitle}</h3>
-              </div>
-            </div>
-            <div className="p-6">
-              <div className="border-2 border-dashed border-gray-300 rounded-xl p-8 text-center hover:border-blue-400 hover:bg-blue-50/30 transition-colors">
-                <div className="flex flex-col items-center">
-                  <div className="w-16 h-16 rounded-full bg-gradient-to-br from-blue-100 to-indigo-100 flex items-center justify-center mb-4">
-                    <svg className="w-8 h-8 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
-                    </svg>
-                  </div>
-                  <h4 className="text-lg font-semibold text-gray-900 mb-2">{COPY.bulkUploadTitle}</h4>
-                  <p className="text-sm text-gray-600 mb-4 max-w-md">
-                    {COPY.bulkUploadHelp.split('template')[0]}
-                    <button onClick={downloadTemplate} className="text-blue-600 hover:text-blue-700 underline font-medium">
-                      template
-                    </button>
-                    {COPY.bulkUploadHelp.split('template')[1] || ''}
-                  </p>
-                  <Link
-                    to="/bulk-upload"
-                    className="inline-flex items-center gap-2 px-6 py-3 bg-gradient-to-r from-blue-600 to-indigo-600 text-white rounded-lg hover:from-blue-700 hover:to-indigo-700 transition shadow-sm font-medium"
-                  >
-                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        {!isAdvisor && (
+          <div className="lg:col-span-2">
+            <div className="bg-white rounded-xl shadow-lg border border-gray-200 overflow-hidden">
+              <div className="bg-gradient-to-r from-blue-50 to-indigo-50 px-6 py-4 border-b border-gray-200">
+                <div className="flex items-center gap-2">
+                  <span className="inline-flex h-8 w-8 items-center justify-center rounded-lg bg-blue-100 text-blue-600">
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 11V3m0 8l-3-3m3 3l3-3M6 13a4 4 0 01-.88-7.903A5 5 0 1114.9 6H15a5 5 0 011 9.9" />
                     </svg>
-                    {COPY.uploadCta}
-        </Link>
+                  </span>
+                  <h3 className="text-lg font-semibold text-gray-900">{COPY.bulkUploadTitle}</h3>
+                </div>
+              </div>
+              <div className="p-6">
+                <div className="border-2 border-dashed border-gray-300 rounded-xl p-8 text-center hover:border-blue-400 hover:bg-blue-50/30 transition-colors">
+                  <div className="flex flex-col items-center">
+                    <div className="w-16 h-16 rounded-full bg-gradient-to-br from-blue-100 to-indigo-100 flex items-center justify-center mb-4">
+                      <svg className="w-8 h-8 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
+                      </svg>
+                    </div>
+                    <h4 className="text-lg font-semibold text-gray-900 mb-2">{COPY.bulkUploadTitle}</h4>
+                    <p className="text-sm text-gray-600 mb-4 max-w-md">
+                      {COPY.bulkUploadHelp.split('template')[0]}
+                      <button onClick={downloadTemplate} className="text-blue-600 hover:text-blue-700 underline font-medium">
+                        template
+                      </button>
+                      {COPY.bulkUploadHelp.split('template')[1] || ''}
+                    </p>
+                    <Link
+                      to="/bulk-upload"
+                      className="inline-flex items-center gap-2 px-6 py-3 bg-gradient-to-r from-blue-600 to-indigo-600 text-white rounded-lg hover:from-blue-700 hover:to-indigo-700 transition shadow-sm font-medium"
+                    >
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 11V3m0 8l-3-3m3 3l3-3M6 13a4 4 0 01-.88-7.903A5 5 0 1114.9 6H15a5 5 0 011 9.9" />
+                      </svg>
+                      {COPY.uploadCta}
+          </Link>
+                  </div>
                 </div>
               </div>
             </div>
           </div>
-        </div>
+        )}
 
         {/* Placement Performance */}
         <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
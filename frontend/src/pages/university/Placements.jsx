@@ -0,0 +1,423 @@
+import React, { useMemo, useState } from 'react'
+import { useQuery, useQueryClient } from '@tanstack/react-query'
+import toast from 'react-hot-toast'
+import { useAuth } from '../../context/AuthContext'
+import Table from '../../components/Table'
+import Spinner from '../../components/Spinner'
+import Modal from '../../components/Modal'
+import EvaluationFormEditor from '../../components/EvaluationFormEditor'
+import CertificateButton from '../../components/CertificateButton'
+import {
+  PLACEMENT_STATUS_LABELS,
+  PLACEMENT_STATUS_STYLES,
+  CREDIT_STATUS_LABELS,
+  CREDIT_STATUS_STYLES,
+  fetchUniversityPlacements,
+  updatePlacement,
+  formatPlacementDates
+} from '../../utils/placements'
+import { ADVISOR_ROLE, getUniversityId } from '../../utils/advisors'
+
+const CREDIT_FIELDS = ['course_code', 'credit_hours', 'credit_status', 'university_notes']
+
+export default function Placements() {
+  const { profile } = useAuth()
+  const queryClient = useQueryClient()
+  // Advisors can follow placements; credit, forms and certificates stay with the university
+  const isAdvisor = profile?.role === ADVISOR_ROLE
+  const [searchFilter, setSearchFilter] = useState('')
+  const [batchFilter, setBatchFilter] = useState('')
+  const [statusFilter, setStatusFilter] = useState('')
+  const [creditFilter, setCreditFilter] = useState('')
+  const [selected, setSelected] = useState(null)
+  const [draft, setDraft] = useState({})
+  const [saving, setSaving] = useState(false)
+  const [formEditorOpen, setFormEditorOpen] = useState(false)
+
+  const { data = [], isLoading, error } = useQuery({
+    queryKey: ['university-placements', profile?.id],
+    queryFn: () => fetchUniversityPlacements(getUniversityId(profile)),
+    enabled: !!profile?.id
+  })
+
+  const availableBatches = useMemo(() => {
+    const batches = new Set(data.map(p => p.student?.batch).filter(Boolean).map(String))
+    return Array.from(batches).sort((a, b) => b.localeCompare(a, undefined, { numeric: true }))
+  }, [data])
+
+  const filtered = useMemo(() => {
+    const term = searchFilter.trim().toLowerCase()
+    return data.filter(p => {
+      if (statusFilter && p.status !== statusFilter) return false
+      if (creditFilter && p.credit_status !== creditFilter) return false
+      if (batchFilter && String(p.student?.batch) !== batchFilter) return false
+      if (term) {
+        const haystack = [p.student?.name, p.student?.student_id, p.internships?.title, p.course_code]
+          .filter(Boolean).join(' ').toLowerCase()
+        if (!haystack.includes(term)) return false
+      }
+      return true
+    })
+  }, [data, searchFilter, statusFilter, creditFilter, batchFilter])
+
+  const stats = {
+    ongoing: data.filter(p => p.status === 'ongoing').length,
+    completed: data.filter(p => p.status === 'completed').length,
+    awaitingCredit: data.filter(p => p.status === 'completed' && p.credit_status === 'pending').length,
+    creditApproved: data.filter(p => p.credit_status === 'approved').length
+  }
+
+  const openPlacement = (placement) => {
+    setSelected(placement)
+    setDraft(Object.fromEntries(CREDIT_FIELDS.map(key => [key, placement[key] ?? ''])))
+  }
+
+  const handleSave = async () => {
+    if (saving || !selected) return
+    const changes = Object.fromEntries(
+      CREDIT_FIELDS
+        .filter(key => String(draft[key]) !== String(selected[key] ?? ''))
+        .map(key => [key, draft[key]])
+    )
+    if (Object.keys(changes).length === 0) {
+      setSelected(null)
+      return
+    }
+    try {
+      setSaving(true)
+      await updatePlacement(selected.id, changes)
+      toast.success('Credit record saved')
+      setSelected(null)
+      queryClient.invalidateQueries({ queryKey: ['university-placements', profile?.id] })
+    } catch (err) {
+      toast.error(err.message || 'Failed to save credit record')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (isLoading) return <Spinner />
+
+  if (error) {
+    return (
+      <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-12 text-center">
+        <h3 className="text-lg font-semibold text-gray-900 mb-2">Error Loading Placements</h3>
+        <p className="text-gray-600">{error.message || 'Please try again later.'}</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-indigo-50 border border-indigo-100 rounded-xl p-4">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+          <div className="flex items-center gap-3">
+            <span className="inline-flex h-10 w-10 items-center justify-center rounded-lg bg-blue-600/10 text-blue-600">
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 13.255A23.931 23.931 0 0112 15c-3.183 0-6.22-.62-9-1.745M16 6V4a2 2 0 00-2-2h-4a2 2 0 00-2 2v2m4 6h.01M5 20h14a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+              </svg>
+            </span>
+            <div>
+              <h1 className="text-2xl md:text-3xl font-bold text-blue-600">Placements</h1>
+              <p className="text-xs md:text-sm text-gray-600 mt-1">
+                Track accepted internships through to completion and record course credit
+              </p>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            {!isAdvisor && (
+              <button
+                onClick={() => setFormEditorOpen(true)}
+                className="inline-flex items-center gap-2 px-4 py-2 bg-white border border-blue-200 rounded-lg text-sm font-medium text-gray-900 hover:bg-blue-50 transition"
+              >
+                <svg className="w-4 h-4 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01" />
+                </svg>
+                Evaluation Form
+              </button>
+            )}
+            <button
+              onClick={() => exportPlacementsCsv(filtered)}
+              disabled={filtered.length === 0}
+              className="inline-flex items-center gap-2 px-4 py-2 bg-white border border-blue-200 rounded-lg text-sm font-medium text-gray-900 hover:bg-blue-50 transition disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <svg className="w-4 h-4 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+              </svg>
+              Export CSV
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Stats */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {[
+          { label: 'Ongoing', value: stats.ongoing, className: 'text-purple-700' },
+          { label: 'Completed', value: stats.completed, className: 'text-emerald-700' },
+          { label: 'Awaiting credit decision', value: stats.awaitingCredit, className: 'text-amber-700' },
+          { label: 'Credit approved', value: stats.creditApproved, className: 'text-blue-700' }
+        ].map(stat => (
+          <div key={stat.label} className="bg-white rounded-xl shadow border border-gray-200 p-4">
+            <p className="text-xs font-semibold text-gray-500 uppercase">{stat.label}</p>
+            <p className={`text-2xl font-bold mt-1 ${stat.className}`}>{stat.value}</p>
+          </div>
+        ))}
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <input
+            type="text"
+            value={searchFilter}
+            onChange={(e) => setSearchFilter(e.target.value)}
+            placeholder="Search student, internship or course..."
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+          <select
+            value={batchFilter}
+            onChange={(e) => setBatchFilter(e.target.value)}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white"
+          >
+            <option value="">All Batches</option>
+            {availableBatches.map(b => (
+              <option key={b} value={b}>Batch {b}</option>
+            ))}
+          </select>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white"
+          >
+            <option value="">All Placement Statuses</option>
+            {Object.entries(PLACEMENT_STATUS_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select
+            value={creditFilter}
+            onChange={(e) => setCreditFilter(e.target.value)}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white"
+          >
+            <option value="">All Credit Statuses</option>
+            {Object.entries(CREDIT_STATUS_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {filtered.length === 0 ? (
+        <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-12 text-center">
+          <h3 className="text-lg font-semibold text-gray-900 mb-2">No Placements Found</h3>
+          <p className="text-gray-600">
+            {searchFilter || batchFilter || statusFilter || creditFilter
+              ? 'Try adjusting your filters'
+              : 'Placements appear here once your students accept an internship offer.'}
+          </p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-xl shadow-lg border border-gray-200 overflow-hidden">
+          <Table
+            columns={[
+              {
+                Header: 'Student',
+                accessor: (p) => (
+                  <div>
+                    <p className="font-medium text-gray-900">{p.student?.name || 'N/A'}</p>
+                    <p className="text-xs text-gray-600">
+                      {[p.student?.student_id, p.student?.batch && `Batch ${p.student.batch}`].filter(Boolean).join(' · ')}
+                    </p>
+                  </div>
+                )
+              },
+              {
+                Header: 'Internship',
+                accessor: (p) => (
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">{p.internships?.title || 'N/A'}</p>
+                    <p className="text-xs text-gray-600">{p.software_house?.organization_name || p.software_house?.full_name || ''}</p>
+                  </div>
+                )
+              },
+              {
+                Header: 'Dates',
+                accessor: (p) => <span className="text-sm text-gray-700">{formatPlacementDates(p)}</span>
+              },
+              {
+                Header: 'Supervisor',
+                accessor: (p) => <span className="text-sm text-gray-700">{p.supervisor_name || '-'}</span>
+              },
+              {
+                Header: 'Attendance',
+                accessor: (p) => <span className="text-sm text-gray-700">{p.attendance_percent != null ? `${p.attendance_percent}%` : '-'}</span>
+              },
+              {
+                Header: 'Status',
+                accessor: (p) => (
+                  <span className={`px-2 py-1 rounded-full text-xs font-medium border whitespace-nowrap ${PLACEMENT_STATUS_STYLES[p.status]}`}>
+                    {PLACEMENT_STATUS_LABELS[p.status]}
+                  </span>
+                )
+              },
+              {
+                Header: 'Credit',
+                accessor: (p) => (
+                  <span className={`px-2 py-1 rounded-full text-xs font-medium border whitespace-nowrap ${CREDIT_STATUS_STYLES[p.credit_status]}`}>
+                    {CREDIT_STATUS_LABELS[p.credit_status]}
+                    {p.credit_hours != null ? ` · ${p.credit_hours} cr` : ''}
+                  </span>
+                )
+              },
+              ...(isAdvisor ? [] : [{
+                Header: 'Action',
+                accessor: (p) => (
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => openPlacement(p)}
+                      className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50 transition shadow-sm"
+                    >
+                      Record Credit
+                    </button>
+                    {p.status === 'completed' && <CertificateButton placementId={p.id} label="Certificate" />}
+                  </div>
+                )
+              }])
+            ]}
+            data={filtered}
+          />
+        </div>
+      )}
+
+      <Modal isOpen={!!selected} onClose={() => setSelected(null)} title="Placement Credit" size="medium">
+        {selected && (
+          <div className="space-y-5">
+            <div className="bg-gray-50 rounded-lg p-4 text-sm space-y-1">
+              <p className="font-semibold text-gray-900">{selected.student?.name} - {selected.internships?.title}</p>
+              <p className="text-gray-700">{formatPlacementDates(selected)} · {PLACEMENT_STATUS_LABELS[selected.status]}</p>
+              <p className="text-gray-700">
+                Supervisor: {selected.supervisor_name || 'Not set'}
+                {selected.supervisor_email ? ` (${selected.supervisor_email})` : ''}
+              </p>
+              <p className="text-gray-700">
+                Attendance: {selected.attendance_percent != null ? `${selected.attendance_percent}%` : 'Not recorded'}
+              </p>
+              {selected.software_house_notes && (
+                <p className="text-gray-600 italic">"{selected.software_house_notes}"</p>
+              )}
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <label className="block">
+                <span className="text-sm font-medium text-gray-700">Course code</span>
+                <input
+                  type="text"
+                  value={draft.course_code}
+                  onChange={(e) => setDraft(d => ({ ...d, course_code: e.target.value }))}
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </label>
+              <label className="block">
+                <span className="text-sm font-medium text-gray-700">Credit hours</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  value={draft.credit_hours}
+                  onChange={(e) => setDraft(d => ({ ...d, credit_hours: e.target.value }))}
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </label>
+              <label className="block">
+                <span className="text-sm font-medium text-gray-700">Credit status</span>
+                <select
+                  value={draft.credit_status}
+                  onChange={(e) => setDraft(d => ({ ...d, credit_status: e.target.value }))}
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white"
+                >
+                  {Object.entries(CREDIT_STATUS_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">Internship office notes</span>
+              <textarea
+                rows={3}
+                value={draft.university_notes}
+                onChange={(e) => setDraft(d => ({ ...d, university_notes: e.target.value }))}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </label>
+            {draft.credit_status === 'approved' && selected.status !== 'completed' && (
+              <p className="text-xs text-amber-700">The software house has not marked this placement as completed yet.</p>
+            )}
+
+            <div className="flex items-center justify-end gap-3 border-t border-gray-200 pt-4">
+              <button
+                onClick={() => setSelected(null)}
+                className="px-6 py-2.5 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 transition font-medium shadow-sm"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={saving}
+                className="px-6 py-2.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition font-medium shadow-sm disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </div>
+        )}
+      </Modal>
+
+      <Modal isOpen={formEditorOpen} onClose={() => setFormEditorOpen(false)} title="Supervisor Evaluation Form" size="large">
+        <EvaluationFormEditor universityId={profile?.id} onSaved={() => setFormEditorOpen(false)} />
+      </Modal>
+    </div>
+  )
+}
+
+function exportPlacementsCsv(rows) {
+  const headers = [
+    'Student', 'Student ID', 'Batch', 'Degree Program', 'Internship', 'Software House',
+    'Start Date', 'End Date', 'Supervisor', 'Supervisor Email', 'Attendance %',
+    'Status', 'Course Code', 'Credit Hours', 'Credit Status'
+  ]
+  const lines = rows.map(p => [
+    escapeCsv(p.student?.name || ''),
+    escapeCsv(p.student?.student_id || ''),
+    escapeCsv(p.student?.batch || ''),
+    escapeCsv(p.student?.degree_program || ''),
+    escapeCsv(p.internships?.title || ''),
+    escapeCsv(p.software_house?.organization_name || p.software_house?.full_name || ''),
+    escapeCsv(p.start_date || ''),
+    escapeCsv(p.end_date || ''),
+    escapeCsv(p.supervisor_name || ''),
+    escapeCsv(p.supervisor_email || ''),
+    escapeCsv(p.attendance_percent != null ? String(p.attendance_percent) : ''),
+    escapeCsv(PLACEMENT_STATUS_LABELS[p.status] || ''),
+    escapeCsv(p.course_code || ''),
+    escapeCsv(p.credit_hours != null ? String(p.credit_hours) : ''),
+    escapeCsv(CREDIT_STATUS_LABELS[p.credit_status] || ''),
+  ].join(','))
+  const csv = [headers.join(','), ...lines].join('\n')
+  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `placements-${new Date().toISOString().slice(0,10)}.csv`
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+function escapeCsv(value) {
+  const v = String(value || '')
+  if (v.includes(',') || v.includes('"') || v.includes('\n')) {
+    return '"' + v.replace(/"/g, '""') + '"'
+  }
+  return v
+}
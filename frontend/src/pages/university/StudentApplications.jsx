@@ -4,7 +4,11 @@ import { supabase } from '../../utils/supabase'
 import { useAuth } from '../../context/AuthContext'
 import Table from '../../components/Table'
 import Spinner from '../../components/Spinner'
+import Modal from '../../components/Modal'
+import MessageThread from '../../components/MessageThread'
 import toast from 'react-hot-toast'
+import { DEFAULT_STAGES, getStageLabel, getStageBadgeClass } from '../../utils/applicationPipeline'
+import { ADVISOR_ROLE, getUniversityId } from '../../utils/advisors'
 
 async function fetchStudentApplications(universityId, filters = {}) {
   // Get all students for this university
@@ -201,9 +205,11 @@ async function fetchStudentApplications(universityId, filters = {}) {
 
 export default function StudentApplications() {
   const { profile } = useAuth()
+  const isAdvisor = profile?.role === ADVISOR_ROLE
   const [statusFilter, setStatusFilter] = useState('')
   const [searchFilter, setSearchFilter] = useState('')
   const [batchFilter, setBatchFilter] = useState('')
+  const [threadApplication, setThreadApplication] = useState(null)
 
   const filters = useMemo(() => ({
     status: statusFilter || undefined,
@@ -213,7 +219,7 @@ export default function StudentApplications() {
 
   const { data, isLoading, error, refetch } = useQuery({
     queryKey: ['university-applications', profile?.id, filters],
-    queryFn: () => fetchStudentApplications(profile.id, filters),
+    queryFn: () => fetchStudentApplications(getUniversityId(profile), filters),
     enabled: !!profile?.id,
     onError: (err) => {
       console.error('[StudentApplications] Query error:', err)
@@ -239,14 +245,9 @@ export default function StudentApplications() {
   }, [data])
 
   const getStatusBadge = (status) => {
-    const styles = {
-      pending: 'bg-yellow-100 text-yellow-800',
-      accepted: 'bg-green-100 text-green-800',
-      rejected: 'bg-red-100 text-red-800'
-    }
     return (
-      <span className={`px-2 py-1 rounded-full text-xs font-medium ${styles[status] || 'bg-gray-100 text-gray-800'}`}>
-        {status.charAt(0).toUpperCase() + status.slice(1)}
+      <span className={`px-2 py-1 rounded-full text-xs font-medium whitespace-nowrap ${getStageBadgeClass(status)}`}>
+        {getStageLabel(status)}
       </span>
     )
   }
@@ -389,9 +390,9 @@ export default function StudentApplications() {
                 className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white"
               >
                 <option value="">All Statuses</option>
-                <option value="pending">Pending</option>
-                <option value="accepted">Accepted</option>
-                <option value="rejected">Rejected</option>
+                {DEFAULT_STAGES.map(s => (
+                  <option key={s.stage} value={s.stage}>{s.label}</option>
+                ))}
               </select>
             </div>
           </div>
@@ -577,12 +578,36 @@ export default function StudentApplications() {
                     <span className="text-sm text-gray-700">{new Date(r.updated_at).toLocaleDateString()}</span>
                   </div>
                 )
-              }
+              },
+              // Advisors follow applications but are not party to the message threads
+              ...(isAdvisor ? [] : [{
+                Header: 'Messages',
+                accessor: (r) => (
+                  <button
+                    onClick={() => setThreadApplication(r)}
+                    className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50 transition shadow-sm"
+                  >
+                    View
+                  </button>
+                )
+              }])
             ]}
             data={data || []}
           />
         </div>
       )}
+
+      {/* Message thread (read-only for the university) */}
+      <Modal
+        isOpen={!!threadApplication}
+        onClose={() => setThreadApplication(null)}
+        title={`Messages${threadApplication?.internships?.title ? ` - ${threadApplication.internships.title}` : ''}`}
+        size="large"
+      >
+        {threadApplication && (
+          <MessageThread applicationId={threadApplication.id} side="university" />
+        )}
+      </Modal>
     </div>
   )
 }
@@ -5,6 +5,16 @@ import { supabase } from '../../utils/supabase'
 import { getProfilePictureUrl, getDefaultProfilePictureUrl } from '../../utils/api'
 import Spinner from '../../components/Spinner'
 import ProfilePictureModal from '../../components/ProfilePictureModal'
+import CVPdfButton from '../../components/CVPdfButton'
+import EvaluationSummary from '../../components/EvaluationSummary'
+import LogbookPanel from '../../components/LogbookPanel'
+import {
+  PLACEMENT_STATUS_LABELS,
+  PLACEMENT_STATUS_STYLES,
+  CREDIT_STATUS_LABELS,
+  formatPlacementDates
+} from '../../utils/placements'
+import { fetchPlacementEvaluations } from '../../utils/evaluations'
 
 async function fetchStudentDetail(userId) {
   // Fetch student data
@@ -63,9 +73,34 @@ async function fetchStudentDetail(userId) {
     console.error('[StudentDetail] Error fetching applications:', appsError)
   }
 
+  // Placements with the supervisor's evaluation and the student's review
+  let placements = []
+  try {
+    const { data: placementRows, error: placementsError } = await supabase
+      .from('placements')
+      .select('*, internships:internship_id ( title )')
+      .eq('student_id', userId)
+      .order('created_at', { ascending: false })
+    if (placementsError) throw placementsError
+
+    const evaluations = await fetchPlacementEvaluations((placementRows || []).map(p => p.id))
+    placements = (placementRows || []).map(p => {
+      const softwareHouse = (applications || []).find(a => a.id === p.application_id)?.internships?.software_house
+      return {
+        ...p,
+        companyName: softwareHouse?.organization_name || softwareHouse?.full_name || null,
+        supervisorEvaluation: evaluations.find(e => e.placement_id === p.id && e.kind === 'supervisor') || null,
+        studentReview: evaluations.find(e => e.placement_id === p.id && e.kind === 'student') || null
+      }
+    })
+  } catch (err) {
+    console.warn('[StudentDetail] Error fetching placements:', err)
+  }
+
   return { 
     student: student ? { ...student, updatedName, profilePicture, role: studentRole } : null, 
-    applications: applications || [] 
+    applications: applications || [],
+    placements
   }
 }
 
@@ -96,6 +131,7 @@ export default function StudentDetail() {
   if (isLoading) return <Spinner />
   const s = data?.student
   const apps = data?.applications || []
+  const placements = data?.placements || []
 
   return (
     <div className="space-y-6">
@@ -115,12 +151,15 @@ export default function StudentDetail() {
               </p>
             </div>
           </div>
-          <div className="inline-flex items-center gap-2 px-4 py-2 bg-white border border-blue-200 rounded-lg">
-            <svg className="w-4 h-4 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-            </svg>
-            <span className="text-sm font-semibold text-gray-900">{apps.length}</span>
-            <span className="text-sm text-gray-600">{apps.length === 1 ? 'application' : 'applications'}</span>
+          <div className="flex flex-col sm:flex-row sm:items-center gap-2 sm:gap-3">
+            {s?.user_id && <CVPdfButton userId={s.user_id} />}
+            <div className="inline-flex items-center gap-2 px-4 py-2 bg-white border border-blue-200 rounded-lg">
+              <svg className="w-4 h-4 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+              </svg>
+              <span className="text-sm font-semibold text-gray-900">{apps.length}</span>
+              <span className="text-sm text-gray-600">{apps.length === 1 ? 'application' : 'applications'}</span>
+            </div>
           </div>
         </div>
       </div>
@@ -323,6 +362,65 @@ export default function StudentDetail() {
         </div>
       </div>
 
+      {/* Placements & Evaluations */}
+      {placements.length > 0 && (
+        <div className="bg-white rounded-xl shadow-lg border border-gray-200 overflow-hidden">
+          <div className="bg-gradient-to-r from-indigo-50 to-slate-50 px-6 py-4 border-b border-gray-200">
+            <div className="flex items-center gap-2">
+              <span className="inline-flex h-8 w-8 items-center justify-center rounded-lg bg-blue-100 text-blue-600">
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z" />
+                </svg>
+              </span>
+              <h3 className="text-lg font-semibold text-gray-900">Placements & Evaluations</h3>
+            </div>
+          </div>
+          <div className="p-6 space-y-6">
+            {placements.map((p) => (
+              <div key={p.id} className="border border-gray-200 rounded-lg p-4 space-y-4">
+                <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+                  <div>
+                    <p className="font-semibold text-gray-900">{p.internships?.title || 'Internship'}</p>
+                    <p className="text-sm text-gray-600">
+                      {[p.companyName, formatPlacementDates(p)].filter(Boolean).join(' · ')}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2 flex-wrap">
+                    <span className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold border ${PLACEMENT_STATUS_STYLES[p.status]}`}>
+                      {PLACEMENT_STATUS_LABELS[p.status]}
+                    </span>
+                    <span className="text-xs text-gray-600">
+                      Attendance: {p.attendance_percent != null ? `${p.attendance_percent}%` : '—'}
+                    </span>
+                    <span className="text-xs text-gray-600">Credit: {CREDIT_STATUS_LABELS[p.credit_status]}</span>
+                  </div>
+                </div>
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                  {p.supervisorEvaluation ? (
+                    <EvaluationSummary
+                      evaluation={p.supervisorEvaluation}
+                      title={`Supervisor evaluation${p.supervisor_name ? ` by ${p.supervisor_name}` : ''}`}
+                    />
+                  ) : (
+                    <p className="text-sm text-gray-500 border border-dashed border-gray-200 rounded-lg p-4">
+                      The software house has not submitted its evaluation yet.
+                    </p>
+                  )}
+                  {p.studentReview ? (
+                    <EvaluationSummary evaluation={p.studentReview} title="Student's review of the software house" />
+                  ) : (
+                    <p className="text-sm text-gray-500 border border-dashed border-gray-200 rounded-lg p-4">
+                      The student has not reviewed the software house yet.
+                    </p>
+                  )}
+                </div>
+                <LogbookPanel placement={p} side="university" />
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Profile Picture Modal */}
       <ProfilePictureModal
         isOpen={showModal}
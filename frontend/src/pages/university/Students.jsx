@@ -1,14 +1,18 @@
 import React, { useMemo, useState } from 'react'
 import { Link } from 'react-router-dom'
-import { useQuery } from '@tanstack/react-query'
+import { useQuery, useQueryClient } from '@tanstack/react-query'
+import toast from 'react-hot-toast'
 import { supabase } from '../../utils/supabase'
+import { apiRequest } from '../../utils/api'
 import { useAuth } from '../../context/AuthContext'
 import Spinner from '../../components/Spinner'
+import { fetchLogbookCompliance, getComplianceStyle } from '../../utils/logbook'
+import { ADVISOR_ROLE, getUniversityId } from '../../utils/advisors'
 
 async function fetchStudents(universityId) {
   const { data, error } = await supabase
     .from('students')
-    .select('user_id, name, email, student_id, batch, degree_program, semester, created_at')
+    .select('id, user_id, name, email, student_id, batch, degree_program, semester, is_active, invited_at, activated_at, created_at')
     .eq('university_id', universityId)
     .order('created_at', { ascending: false })
   if (error) throw error
@@ -48,17 +52,27 @@ async function fetchStudents(universityId) {
 
 export default function Students() {
   const { profile } = useAuth()
+  const queryClient = useQueryClient()
+  const isAdvisor = profile?.role === ADVISOR_ROLE
   const { data, isLoading } = useQuery({
     queryKey: ['university-students', profile?.id],
-    queryFn: () => fetchStudents(profile.id),
+    queryFn: () => fetchStudents(getUniversityId(profile)),
     enabled: !!profile?.id,
   })
 
+  const studentUserIds = useMemo(() => (data || []).map(s => s.user_id).filter(Boolean), [data])
+  const { data: compliance = {} } = useQuery({
+    queryKey: ['logbook-compliance', studentUserIds],
+    queryFn: () => fetchLogbookCompliance(studentUserIds),
+    enabled: studentUserIds.length > 0,
+  })
+
   const [search, setSearch] = useState('')
   const [program, setProgram] = useState('')
   const [batch, setBatch] = useState('')
   const [semester, setSemester] = useState('')
   const [page, setPage] = useState(1)
+  const [inviting, setInviting] = useState(null)
   const pageSize = 10
 
   const programs = useMemo(() => Array.from(new Set((data || []).map(s => s.degree_program).filter(Boolean))), [data])
@@ -83,6 +97,36 @@ export default function Students() {
     })
   }, [data, search, program, batch, semester])
 
+  // Current students who have not set a password yet
+  const notActivated = useMemo(() => filtered.filter(s => !s.activated_at && s.is_active !== false), [filtered])
+
+  const sendInvitations = async (students, key) => {
+    try {
+      setInviting(key)
+      // The backend takes at most 500 students per request
+      const result = { sent: [], failed: [] }
+      for (let start = 0; start < students.length; start += 500) {
+        const batchResult = await apiRequest('/api/university/students/invitations', {
+          method: 'POST',
+          body: { studentIds: students.slice(start, start + 500).map(s => s.id) },
+        })
+        result.sent.push(...batchResult.sent)
+        result.failed.push(...batchResult.failed)
+      }
+      if (result.sent.length > 0) {
+        toast.success(`Activation ${result.sent.length === 1 ? 'link' : 'links'} sent to ${result.sent.length} ${result.sent.length === 1 ? 'student' : 'students'}`)
+      }
+      if (result.failed.length > 0) {
+        toast.error(`${result.failed.length} could not be sent: ${result.failed[0].error}`)
+      }
+      queryClient.invalidateQueries({ queryKey: ['university-students', profile?.id] })
+    } catch (e) {
+      toast.error(e.message)
+    } finally {
+      setInviting(null)
+    }
+  }
+
   const totalRows = filtered.length
   const totalPages = Math.max(1, Math.ceil(totalRows / pageSize))
   const currentPage = Math.min(page, totalPages)
@@ -103,17 +147,34 @@ export default function Students() {
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4.354a4 4 0 110 5.292M15 21H3v-1a6 6 0 0112 0v1zm0 0h6v-1a6 6 0 00-9-5.197M13 7a4 4 0 11-8 0 4 4 0 018 0z" />
                 </svg>
               </span>
-              <h2 className="text-lg font-semibold text-gray-900">Students</h2>
+              <h2 className="text-lg font-semibold text-gray-900">{isAdvisor ? 'My Students' : 'Students'}</h2>
             </div>
-            <Link
-              to="/bulk-upload"
-              className="inline-flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-blue-600 to-indigo-600 text-white rounded-lg hover:from-blue-700 hover:to-indigo-700 transition shadow-sm font-medium"
-            >
-              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
-              </svg>
-              Bulk Upload
-            </Link>
+            {!isAdvisor && (
+            <div className="flex items-center gap-3">
+              {notActivated.length > 0 && (
+                <button
+                  onClick={() => sendInvitations(notActivated, 'all')}
+                  disabled={inviting !== null}
+                  title="Email a new one-time activation link to each listed student who has not set a password"
+                  className="inline-flex items-center gap-2 px-4 py-2 border border-blue-200 bg-white text-blue-700 rounded-lg hover:bg-blue-50 transition font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+                  </svg>
+                  {inviting === 'all' ? 'Sending...' : `Send activation links (${notActivated.length})`}
+                </button>
+              )}
+              <Link
+                to="/bulk-upload"
+                className="inline-flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-blue-600 to-indigo-600 text-white rounded-lg hover:from-blue-700 hover:to-indigo-700 transition shadow-sm font-medium"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
+                </svg>
+                Bulk Upload
+              </Link>
+            </div>
+            )}
           </div>
         </div>
 
@@ -180,6 +241,7 @@ export default function Students() {
                     <th className="px-6 py-4">Program</th>
                     <th className="px-6 py-4">Batch</th>
                     <th className="px-6 py-4">Semester</th>
+                    <th className="px-6 py-4" title="Weekly logs submitted out of those due, across the student's placements">Logbook</th>
                     <th className="px-6 py-4">Actions</th>
                   </tr>
                 </thead>
@@ -187,6 +249,7 @@ export default function Students() {
                   {pageRows.map((s) => {
                     // Use updated name from profiles if available, otherwise fall back to students.name
                     const displayName = s.profilesMap?.[s.user_id] || s.name || '—'
+                    const logbook = compliance[s.user_id]
                     return (
                       <tr key={s.user_id} className="hover:bg-gray-50 transition-colors">
                         <td className="px-6 py-4">
@@ -197,6 +260,17 @@ export default function Students() {
                               </svg>
                             </span>
                             <span className="font-medium text-gray-900">{displayName}</span>
+                            {s.is_active === false && (
+                              <span className="px-2 py-0.5 rounded-full bg-gray-100 text-gray-600 text-xs font-medium">Left</span>
+                            )}
+                            {!s.activated_at && s.is_active !== false && (
+                              <span
+                                title={s.invited_at ? `Activation link sent ${new Date(s.invited_at).toLocaleString()}` : 'No activation link sent yet'}
+                                className="px-2 py-0.5 rounded-full bg-amber-50 text-amber-700 text-xs font-medium"
+                              >
+                                {s.invited_at ? 'Invited' : 'Not activated'}
+                              </span>
+                            )}
                           </div>
                         </td>
                         <td className="px-6 py-4">
@@ -234,6 +308,28 @@ export default function Students() {
                             {s.semester || '—'}
                           </span>
                         </td>
+                        <td className="px-6 py-4">
+                          {logbook ? (
+                            <div className="flex flex-col gap-1">
+                              <span
+                                title={`${logbook.submitted} of ${logbook.due} due weekly logs submitted`}
+                                className={`inline-flex w-fit px-2.5 py-1 rounded-md text-sm font-medium ${getComplianceStyle(logbook.percent)}`}
+                              >
+                                {logbook.percent !== null ? `${logbook.percent}%` : 'None due'}
+                              </span>
+                              {(logbook.overdue > 0 || logbook.flagged > 0) && (
+                                <span className="text-xs text-rose-600">
+                                  {[
+                                    logbook.overdue > 0 && `${logbook.overdue} overdue`,
+                                    logbook.flagged > 0 && `${logbook.flagged} flagged`,
+                                  ].filter(Boolean).join(' · ')}
+                                </span>
+                              )}
+                            </div>
+                          ) : (
+                            <span className="text-sm text-gray-400">—</span>
+                          )}
+                        </td>
                         <td className="px-6 py-4">
                           <Link 
                             to={`/university/students/${s.user_id}`} 
@@ -245,6 +341,15 @@ export default function Students() {
                             </svg>
                             View
                           </Link>
+                          {!isAdvisor && !s.activated_at && s.is_active !== false && (
+                            <button
+                              onClick={() => sendInvitations([s], s.id)}
+                              disabled={inviting !== null}
+                              className="ml-1 px-3 py-1.5 text-amber-700 hover:bg-amber-50 rounded-lg transition font-medium text-sm disabled:opacity-50"
+                            >
+                              {inviting === s.id ? 'Sending...' : s.invited_at ? 'Resend link' : 'Send link'}
+                            </button>
+                          )}
                       </td>
                     </tr>
                     )
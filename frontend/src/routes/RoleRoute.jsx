@@ -1,9 +1,21 @@
 import React from 'react'
-import { Navigate, Outlet } from 'react-router-dom'
+import { Navigate, Outlet, useParams } from 'react-router-dom'
+import { useQuery } from '@tanstack/react-query'
 import { useAuth } from '../context/AuthContext'
+import { ADVISOR_ROLE, isMyAdvisedStudent } from '../utils/advisors'
 
-export default function RoleRoute({ allowed }) {
+// assignedStudentOnly: the route's :userId is a student, and faculty advisors
+// may only open the students assigned to them
+export default function RoleRoute({ allowed, assignedStudentOnly = false, children }) {
   const { user, profile, loading, initialized } = useAuth()
+  const { userId } = useParams()
+
+  const checkAssignment = assignedStudentOnly && profile?.role === ADVISOR_ROLE && !!userId
+  const { data: assigned, isLoading: checkingAssignment } = useQuery({
+    queryKey: ['advised-student', profile?.id, userId],
+    queryFn: () => isMyAdvisedStudent(userId),
+    enabled: checkAssignment,
+  })
 
   // Wait for auth initialization
   if (loading || !initialized) return <div className="p-6">Restoring session...</div>
@@ -17,5 +29,11 @@ export default function RoleRoute({ allowed }) {
   // Enforce role access
   if (!allowed.includes(profile.role)) return <Navigate to="/" replace />
 
-  return <Outlet />
-}
\ No newline at end of file
+  // Enforce advisor assignments
+  if (checkAssignment) {
+    if (checkingAssignment) return <div className="p-6">Checking access...</div>
+    if (!assigned) return <Navigate to="/university/students" replace />
+  }
+
+  return children || <Outlet />
+}
@@ -0,0 +1,108 @@
+// Faculty advisors and their student assignments
+// (shared with the API from backend/utils/advisors.js)
+import { supabase } from './supabase'
+import { apiRequest } from './api'
+import { ADVISOR_ROLE } from '@backend/utils/advisors.js'
+
+export { ADVISOR_ROLE, isAssignedStudent } from '@backend/utils/advisors.js'
+
+/**
+ * The university whose students the user works with: a university's own
+ * profile ID, or the university a faculty advisor belongs to
+ * @param {object} profile
+ * @returns {string|null}
+ */
+export function getUniversityId(profile) {
+  if (!profile) return null
+  return profile.role === ADVISOR_ROLE ? profile.university_id : profile.id
+}
+
+/**
+ * Whether a student is assigned to the signed-in advisor
+ * @param {string} studentUserId - The student's profile ID
+ * @returns {Promise<boolean>}
+ */
+export async function isMyAdvisedStudent(studentUserId) {
+  const { data, error } = await supabase
+    .rpc('advised_students')
+    .eq('user_id', studentUserId)
+    .limit(1)
+  if (error) throw error
+  return (data || []).length > 0
+}
+
+/**
+ * A university's advisors, each with its assignments
+ * @param {string} universityId
+ * @returns {Promise<Array<object>>}
+ */
+export async function fetchAdvisors(universityId) {
+  const [{ data: advisors, error }, { data: assignments, error: assignmentsError }] = await Promise.all([
+    supabase
+      .from('profiles')
+      .select('id, full_name, email, is_active, created_at')
+      .eq('role', ADVISOR_ROLE)
+      .eq('university_id', universityId)
+      .order('full_name', { ascending: true }),
+    supabase
+      .from('advisor_assignments')
+      .select('id, advisor_id, kind, batch, degree_program, student_id')
+      .eq('university_id', universityId),
+  ])
+  if (error) throw error
+  if (assignmentsError) throw assignmentsError
+
+  return (advisors || []).map(advisor => ({
+    ...advisor,
+    assignments: (assignments || []).filter(a => a.advisor_id === advisor.id),
+  }))
+}
+
+/**
+ * Create an advisor account
+ * @param {{ full_name: string, email: string, password: string, assignments?: Array<object> }} values
+ * @returns {Promise<{ advisor: object, assignments: Array<object>, warning?: string }>}
+ */
+export async function createAdvisor(values) {
+  return apiRequest('/api/university/advisors', { method: 'POST', body: values })
+}
+
+/**
+ * Rename an advisor or (de)activate the account
+ * @param {string} advisorId
+ * @param {{ full_name?: string, is_active?: boolean }} updates
+ * @returns {Promise<object>}
+ */
+export async function updateAdvisor(advisorId, updates) {
+  const data = await apiRequest(`/api/university/advisors/${advisorId}`, { method: 'PUT', body: updates })
+  return data.advisor
+}
+
+/**
+ * Replace an advisor's assignments
+ * @param {string} advisorId
+ * @param {Array<{ kind: string, batch?: number, degree_program?: string, student_id?: string }>} assignments
+ * @returns {Promise<Array<object>>}
+ */
+export async function saveAdvisorAssignments(advisorId, assignments) {
+  const data = await apiRequest(`/api/university/advisors/${advisorId}/assignments`, {
+    method: 'PUT',
+    body: { assignments },
+  })
+  return data.assignments
+}
+
+/**
+ * Short description of an advisor's assignments, e.g. "Batch 2022 · BSCS · 3 students"
+ * @param {Array<object>} assignments
+ * @returns {string}
+ */
+export function describeAssignments(assignments = []) {
+  const parts = [
+    ...assignments.filter(a => a.kind === 'batch').map(a => `Batch ${a.batch}`),
+    ...assignments.filter(a => a.kind === 'degree_program').map(a => a.degree_program),
+  ]
+  const students = assignments.filter(a => a.kind === 'student').length
+  if (students > 0) parts.push(`${students} ${students === 1 ? 'student' : 'students'}`)
+  return parts.join(' · ')
+}
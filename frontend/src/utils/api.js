@@ -7,6 +7,71 @@ const API_BASE_URL = rawBackendUrl && rawBackendUrl.startsWith('http')
   ? rawBackendUrl.replace(/\/$/, '') 
   : ''
 
+/**
+ * Build a backend URL (relative in dev so requests go through the Vite proxy)
+ * @param {string} path - API path starting with /api
+ * @returns {string}
+ */
+export function apiUrl(path) {
+  const isDev = !import.meta.env.PROD
+  if (isDev) return path
+  return API_BASE_URL ? `${API_BASE_URL}${path}` : path
+}
+
+/**
+ * Call an authenticated backend endpoint
+ * @param {string} path - API path starting with /api
+ * @param {{ method?: string, body?: object, raw?: boolean }} options
+ *   raw: return the fetch Response instead of parsed JSON (e.g. for file downloads)
+ * @returns {Promise<object|Response>} Parsed JSON body
+ * @throws {Error} With the server's error message when the request fails
+ */
+export async function apiRequest(path, { method = 'GET', body, raw = false } = {}) {
+  const {
+    data: { session },
+  } = await supabase.auth.getSession()
+
+  if (!session) {
+    throw new Error('Not authenticated')
+  }
+
+  let response
+  try {
+    response = await fetch(apiUrl(path), {
+      method,
+      headers: {
+        Accept: 'application/json',
+        Authorization: `Bearer ${session.access_token}`,
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    })
+  } catch (error) {
+    throw new Error('Cannot connect to backend server. Please make sure it is running.')
+  }
+
+  const contentType = response.headers.get('content-type') || ''
+
+  if (!response.ok) {
+    let message = `Request failed: ${response.status} ${response.statusText}`
+    if (contentType.includes('application/json')) {
+      const data = await response.json().catch(() => ({}))
+      if (data.code === 'SERVICE_ROLE_KEY_MISSING') {
+        message = 'Backend configuration error: Service role key is not configured.'
+      } else if (data.error) {
+        message = data.error
+      }
+    }
+    throw new Error(message)
+  }
+
+  if (raw) return response
+  if (!contentType.includes('application/json')) {
+    throw new Error(`Server error: unexpected response from ${path}. Is the backend server running?`)
+  }
+  return response.json()
+}
+
 // Default fallback: 1x1 transparent PNG as data URI (prevents broken image icon)
 export function getDefaultProfilePictureUrl() {
   // Return a transparent 1x1 PNG data URI to prevent broken image icon
@@ -0,0 +1,76 @@
+import { supabase } from './supabase'
+import { apiRequest } from './api'
+import { DEFAULT_STAGES } from '@backend/utils/applicationPipeline.js'
+
+// Stages, transitions and their helpers are shared with the API from
+// backend/utils/applicationPipeline.js; the live config is served by
+// GET /api/v1/applications/pipeline
+export {
+  DEFAULT_STAGES,
+  DEFAULT_TRANSITIONS,
+  ACTIVE_STAGES,
+  SUCCESS_STAGES,
+  getNextStages,
+  getStageLabel,
+} from '@backend/utils/applicationPipeline.js'
+
+const STAGE_BADGE_CLASSES = {
+  pending: 'bg-yellow-100 text-yellow-800 border-yellow-200',
+  shortlisted: 'bg-blue-100 text-blue-800 border-blue-200',
+  interview_scheduled: 'bg-purple-100 text-purple-800 border-purple-200',
+  offer_extended: 'bg-cyan-100 text-cyan-800 border-cyan-200',
+  offer_accepted: 'bg-teal-100 text-teal-800 border-teal-200',
+  accepted: 'bg-green-100 text-green-800 border-green-200',
+  joined: 'bg-emerald-100 text-emerald-800 border-emerald-200',
+  rejected: 'bg-red-100 text-red-800 border-red-200',
+  withdrawn: 'bg-gray-100 text-gray-700 border-gray-200',
+}
+
+/**
+ * Fetch pipeline stages and transitions (the API falls back to the defaults)
+ * @returns {Promise<{stages: Array, transitions: Array}>}
+ */
+export async function fetchPipelineConfig() {
+  const { stages, transitions } = await apiRequest('/api/v1/applications/pipeline')
+  return { stages, transitions }
+}
+
+/**
+ * Fetch stage history for an application (oldest first)
+ * @param {string} applicationId - Application ID
+ * @returns {Promise<Array>}
+ */
+export async function fetchStageHistory(applicationId) {
+  if (!applicationId) return []
+  const { data, error } = await supabase
+    .from('application_stage_history')
+    .select('*')
+    .eq('application_id', applicationId)
+    .order('created_at', { ascending: true })
+
+  if (error) {
+    // Table may not exist yet; timeline is optional
+    console.warn('[Pipeline] Could not load stage history:', error.message)
+    return []
+  }
+  return data || []
+}
+
+/**
+ * Tailwind classes for a stage badge
+ * @param {string} stage
+ * @returns {string}
+ */
+export function getStageBadgeClass(stage) {
+  return STAGE_BADGE_CLASSES[stage] || 'bg-gray-100 text-gray-800 border-gray-200'
+}
+
+/**
+ * Whether a stage ends the pipeline
+ * @param {string} stage
+ * @param {Array} stages
+ * @returns {boolean}
+ */
+export function isTerminalStage(stage, stages = DEFAULT_STAGES) {
+  return !!stages.find((s) => s.stage === stage)?.is_terminal
+}
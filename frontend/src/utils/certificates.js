@@ -0,0 +1,46 @@
+// Internship completion certificates
+// (issued and rendered by backend/utils/certificates.js)
+import { apiRequest, apiUrl } from './api'
+
+/**
+ * Download the completion certificate of a completed placement
+ * (issued by the backend on first download if it does not exist yet)
+ * @param {string} placementId
+ */
+export async function downloadCertificate(placementId) {
+  const response = await apiRequest(`/api/placements/${placementId}/certificate`, { raw: true })
+
+  const disposition = response.headers.get('content-disposition') || ''
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'certificate.pdf'
+
+  const blob = await response.blob()
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Look up a certificate by verification code (public, no login needed)
+ * @param {string} code
+ * @returns {Promise<object|null>} The certificate, or null if no certificate matches
+ */
+export async function verifyCertificate(code) {
+  let response
+  try {
+    response = await fetch(apiUrl(`/api/certificates/verify/${encodeURIComponent(code)}`), {
+      headers: { Accept: 'application/json' },
+    })
+  } catch (error) {
+    throw new Error('Cannot connect to backend server. Please make sure it is running.')
+  }
+
+  if (response.status === 404) return null
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed: ${response.status} ${response.statusText}`)
+  }
+  return data.certificate
+}
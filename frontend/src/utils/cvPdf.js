@@ -0,0 +1,38 @@
+import { apiRequest } from './api'
+
+/**
+ * CV templates the backend can render, and the one it uses by default
+ * @returns {Promise<{templates: Array<{id: string, label: string, description: string}>, default: string}>}
+ */
+export async function fetchCVTemplates() {
+  return apiRequest('/api/cv/templates')
+}
+
+/**
+ * Download a CV as a PDF rendered by the backend
+ * Pass applicationId to get the CV snapshot submitted with that application,
+ * otherwise userId selects the student's current CV (or versionId one of
+ * their named CV versions).
+ * @param {{ userId?: string, applicationId?: string, versionId?: string, template?: string }} options
+ */
+export async function downloadCVPdf({ userId, applicationId, versionId, template }) {
+  const path = applicationId
+    ? `/api/applications/${applicationId}/cv/pdf`
+    : `/api/cv/${userId}/pdf`
+  const params = new URLSearchParams()
+  if (template) params.set('template', template)
+  if (versionId && !applicationId) params.set('version', versionId)
+  const query = params.toString() ? `?${params}` : ''
+  const response = await apiRequest(`${path}${query}`, { raw: true })
+
+  const disposition = response.headers.get('content-disposition') || ''
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'cv.pdf'
+
+  const blob = await response.blob()
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
@@ -0,0 +1,86 @@
+// Placement evaluations (supervisor) and software house reviews (student)
+// (shared with the API from backend/utils/evaluations.js)
+import { supabase } from './supabase'
+import { apiRequest } from './api'
+import { MIN_REVIEWS_FOR_RATING } from '@backend/utils/evaluations.js'
+
+export {
+  EVALUATION_KINDS,
+  RATING_SCALE,
+  MAX_COMMENT_LENGTH,
+  MIN_REVIEWS_FOR_RATING,
+  isPlacementEnded,
+} from '@backend/utils/evaluations.js'
+
+/**
+ * The form an evaluation of this kind is filled in against: the university's
+ * own supervisor form if it has one, otherwise the default
+ * @param {string} kind - 'supervisor' | 'student'
+ * @param {string|null} universityId
+ * @returns {Promise<object|null>}
+ */
+export async function fetchEvaluationForm(kind, universityId = null) {
+  let query = supabase
+    .from('evaluation_forms')
+    .select('id, kind, university_id, title, questions')
+    .eq('kind', kind)
+  query = kind === 'supervisor' && universityId
+    ? query.or(`university_id.eq.${universityId},university_id.is.null`)
+    : query.is('university_id', null)
+
+  const { data, error } = await query
+  if (error) throw error
+  return (data || []).find(f => f.university_id) || (data || [])[0] || null
+}
+
+/**
+ * Evaluations of the given placements that the caller can see
+ * @param {string[]} placementIds
+ * @returns {Promise<Array<object>>}
+ */
+export async function fetchPlacementEvaluations(placementIds) {
+  if (!placementIds?.length) return []
+  const { data, error } = await supabase
+    .from('placement_evaluations')
+    .select('id, placement_id, kind, questions, answers, overall_rating, submitted_at')
+    .in('placement_id', placementIds)
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Submit the caller's evaluation of a placement
+ * @param {string} placementId
+ * @param {object} answers - { question key: rating | comment }
+ * @returns {Promise<object>}
+ */
+export async function submitEvaluation(placementId, answers) {
+  const data = await apiRequest(`/api/placements/${placementId}/evaluations`, { method: 'POST', body: { answers } })
+  return data.evaluation
+}
+
+/**
+ * Save an evaluation form (universities: their supervisor form; admins: the defaults)
+ * @param {string} kind - 'supervisor' | 'student'
+ * @param {{ title: string, questions: Array<object> }} form
+ * @returns {Promise<object>}
+ */
+export async function saveEvaluationForm(kind, form) {
+  const data = await apiRequest(`/api/evaluation-forms/${kind}`, { method: 'PUT', body: form })
+  return data.form
+}
+
+/**
+ * Average student rating per software house (only those with enough reviews)
+ * @param {string[]} softwareHouseIds
+ * @returns {Promise<Object<string, { review_count: number, average_rating: number }>>}
+ */
+export async function fetchSoftwareHouseRatings(softwareHouseIds) {
+  if (!softwareHouseIds?.length) return {}
+  const { data, error } = await supabase.rpc('get_software_house_ratings', { house_ids: softwareHouseIds })
+  if (error) throw error
+  return Object.fromEntries((data || []).filter(r => r.review_count >= MIN_REVIEWS_FOR_RATING).map(r => [
+    r.software_house_id,
+    { review_count: r.review_count, average_rating: Number(r.average_rating) },
+  ]))
+}
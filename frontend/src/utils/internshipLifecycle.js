@@ -0,0 +1,65 @@
+// Deadline, openings and open/closed/filled state of a posting
+// (shared with the API from backend/utils/internshipLifecycle.js)
+import { isAcceptingApplications } from '@backend/utils/internshipLifecycle.js'
+
+export {
+  POSTING_STATUSES,
+  MAX_OPENINGS,
+  isAcceptingApplications,
+  getClosedMessage,
+} from '@backend/utils/internshipLifecycle.js'
+
+export const POSTING_STATUS_BADGES = {
+  open: 'bg-emerald-100 text-emerald-800',
+  closed: 'bg-gray-200 text-gray-700',
+  filled: 'bg-indigo-100 text-indigo-800',
+}
+
+/**
+ * Posting state shown to users; an open posting past its deadline counts as closed
+ * @param {object} internship
+ * @returns {'open'|'closed'|'filled'}
+ */
+export function getPostingStatus(internship, now = new Date()) {
+  const status = internship?.posting_status || 'open'
+  if (status === 'open' && !isAcceptingApplications(internship, now)) return 'closed'
+  return status
+}
+
+/**
+ * Short deadline text, e.g. "Closes in 3 days"
+ * @param {string} deadline - ISO timestamp
+ * @param {Date} now
+ * @returns {string|null}
+ */
+export function formatDeadline(deadline, now = new Date()) {
+  if (!deadline) return null
+  const date = new Date(deadline)
+  const days = Math.ceil((date - now) / (24 * 60 * 60 * 1000))
+  if (date <= now) return `Closed ${date.toLocaleDateString()}`
+  if (days <= 1) return 'Closes today'
+  if (days <= 7) return `Closes in ${days} days`
+  return `Apply by ${date.toLocaleDateString()}`
+}
+
+/**
+ * Deadline from a date input (end of that day, local time)
+ * @param {string} value - YYYY-MM-DD
+ * @returns {string|null} - ISO timestamp
+ */
+export function deadlineFromDateInput(value) {
+  if (!value) return null
+  return new Date(`${value}T23:59:59`).toISOString()
+}
+
+/**
+ * Value for a date input from a stored deadline
+ * @param {string} deadline - ISO timestamp
+ * @returns {string} - YYYY-MM-DD
+ */
+export function deadlineToDateInput(deadline) {
+  if (!deadline) return ''
+  const date = new Date(deadline)
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
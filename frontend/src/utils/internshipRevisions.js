@@ -0,0 +1,38 @@
+// Field-level diffs of posting edits and the cosmetic/material rules
+// (shared with the API from backend/utils/internshipRevisions.js)
+
+export {
+  EDITABLE_FIELDS,
+  FIELD_LABELS,
+  WORDING_FIELDS,
+  DEFAULT_REVIEW_SETTINGS,
+  countWordChanges,
+  diffInternship,
+  classifyChanges,
+  needsReview,
+} from '@backend/utils/internshipRevisions.js'
+
+export const REVISION_STATUS_STYLES = {
+  applied: 'bg-gray-100 text-gray-700',
+  pending: 'bg-amber-100 text-amber-800',
+  approved: 'bg-emerald-100 text-emerald-800',
+  rejected: 'bg-rose-100 text-rose-800',
+  superseded: 'bg-slate-100 text-slate-500',
+}
+
+/**
+ * Readable value of a field in a diff
+ * @param {string} field
+ * @param {*} value
+ * @returns {string}
+ */
+export function formatRevisionValue(field, value) {
+  if (value === null || value === undefined || value === '') return ''
+  if (field === 'application_deadline') return new Date(value).toLocaleDateString()
+  if (field === 'skills' && Array.isArray(value)) return value.join(', ')
+  if (field === 'screening_questions' && Array.isArray(value)) {
+    return value.map((q, i) => `${i + 1}. ${q.prompt}${q.knockout ? ' (knockout)' : ''}`).join('\n')
+  }
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
@@ -0,0 +1,98 @@
+import { apiRequest } from './api'
+
+export const INTERVIEW_STATUS_LABELS = {
+  proposed: 'Awaiting Booking',
+  scheduled: 'Scheduled',
+  reschedule_requested: 'Reschedule Requested',
+  cancelled: 'Cancelled',
+  completed: 'Completed',
+}
+
+export const INTERVIEW_STATUS_STYLES = {
+  proposed: 'bg-amber-100 text-amber-800 border-amber-200',
+  scheduled: 'bg-purple-100 text-purple-800 border-purple-200',
+  reschedule_requested: 'bg-orange-100 text-orange-800 border-orange-200',
+  cancelled: 'bg-gray-100 text-gray-700 border-gray-200',
+  completed: 'bg-emerald-100 text-emerald-800 border-emerald-200',
+}
+
+export const ACTIVE_INTERVIEW_STATUSES = ['proposed', 'scheduled', 'reschedule_requested']
+
+/**
+ * List interviews for an application
+ * @param {string} applicationId
+ * @returns {Promise<Array>}
+ */
+export async function fetchInterviews(applicationId) {
+  const query = applicationId ? `?application_id=${encodeURIComponent(applicationId)}` : ''
+  const data = await apiRequest(`/api/interviews${query}`)
+  return data.interviews || []
+}
+
+/**
+ * Propose interview slots (software house)
+ * @param {{ application_id: string, slots: Array<{start_at: string}>, duration_minutes?: number, location?: string, meeting_link?: string, notes?: string }} payload
+ */
+export async function proposeInterview(payload) {
+  const data = await apiRequest('/api/interviews', { method: 'POST', body: payload })
+  return data.interview
+}
+
+/**
+ * Book a proposed slot (applicant)
+ * @param {string} interviewId
+ * @param {string} slotId
+ */
+export async function bookInterviewSlot(interviewId, slotId) {
+  const data = await apiRequest(`/api/interviews/${interviewId}/book`, { method: 'POST', body: { slot_id: slotId } })
+  return data.interview
+}
+
+/**
+ * Reschedule: software house sends new slots, applicant sends a reason
+ * @param {string} interviewId
+ * @param {object} payload - { slots, duration_minutes, location, meeting_link, notes, reason }
+ */
+export async function rescheduleInterview(interviewId, payload) {
+  const data = await apiRequest(`/api/interviews/${interviewId}/reschedule`, { method: 'POST', body: payload })
+  return data.interview
+}
+
+/**
+ * Cancel an interview (either side)
+ * @param {string} interviewId
+ * @param {string} reason
+ */
+export async function cancelInterview(interviewId, reason) {
+  const data = await apiRequest(`/api/interviews/${interviewId}/cancel`, { method: 'POST', body: { reason } })
+  return data.interview
+}
+
+/**
+ * Download a booked interview as an .ics calendar file
+ * @param {string} interviewId
+ */
+export async function downloadInterviewICS(interviewId) {
+  const response = await apiRequest(`/api/interviews/${interviewId}/ics`, { raw: true })
+  const blob = await response.blob()
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `interview-${interviewId}.ics`
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Format a slot range for display, e.g. "Mon, Nov 3, 10:00 AM – 10:30 AM"
+ * @param {string} start
+ * @param {string} end
+ * @returns {string}
+ */
+export function formatSlot(start, end) {
+  const s = new Date(start)
+  const e = new Date(end)
+  const date = s.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })
+  const time = (d) => d.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })
+  return `${date}, ${time(s)} – ${time(e)}`
+}
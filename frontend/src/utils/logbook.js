@@ -0,0 +1,224 @@
+// Weekly internship logbook
+// (shared with the API from backend/utils/logbook.js)
+import { supabase } from './supabase'
+import { apiRequest, apiUrl } from './api'
+import {
+  LOGBOOK_ATTACHMENT_TYPES,
+  LOGBOOK_GRACE_DAYS,
+  MAX_LOGBOOK_ATTACHMENT_SIZE,
+} from '@backend/utils/logbook.js'
+
+export {
+  LOGBOOK_STATUSES as LOGBOOK_STATUS_LABELS,
+  LOGBOOK_PLACEMENT_STATUSES,
+  LOGBOOK_GRACE_DAYS,
+  MAX_LOGBOOK_TEXT_LENGTH,
+  MAX_LOGBOOK_COMMENT_LENGTH,
+  MAX_WEEKLY_HOURS,
+  MAX_LOGBOOK_ATTACHMENTS,
+  MAX_LOGBOOK_ATTACHMENT_SIZE,
+} from '@backend/utils/logbook.js'
+
+export const LOGBOOK_STATUS_STYLES = {
+  submitted: 'bg-blue-50 text-blue-700 border-blue-200',
+  approved: 'bg-emerald-50 text-emerald-700 border-emerald-200',
+  changes_requested: 'bg-amber-50 text-amber-700 border-amber-200',
+}
+
+export const LOGBOOK_ATTACHMENT_ACCEPT = Object.keys(LOGBOOK_ATTACHMENT_TYPES).join(',')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Calendar date as UTC midnight, so time zones do not shift weeks
+// (YYYY-MM-DD strings are taken as is, anything else as a local date)
+const toUtcDay = (value) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return Date.parse(`${value.slice(0, 10)}T00:00:00Z`)
+  const date = new Date(value)
+  return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate())
+}
+
+/**
+ * Monday of the week a date falls in
+ * @param {string|Date} value - Defaults to today
+ * @returns {string} YYYY-MM-DD
+ */
+export function getWeekStart(value = new Date()) {
+  const day = toUtcDay(value)
+  const weekday = new Date(day).getUTCDay() || 7
+  return new Date(day - (weekday - 1) * DAY_MS).toISOString().slice(0, 10)
+}
+
+/**
+ * "6 Oct – 12 Oct 2025" for the week starting on a Monday
+ * @param {string} weekStart - YYYY-MM-DD
+ * @returns {string}
+ */
+export function formatWeek(weekStart) {
+  const start = new Date(toUtcDay(weekStart))
+  const end = new Date(start.getTime() + 6 * DAY_MS)
+  const opts = { day: 'numeric', month: 'short', timeZone: 'UTC' }
+  return `${start.toLocaleDateString(undefined, opts)} – ${end.toLocaleDateString(undefined, { ...opts, year: 'numeric' })}`
+}
+
+/**
+ * Weeks a placement can be logged for, newest first
+ * (from the week it started up to this week, or the week it ended)
+ * @param {object} placement
+ * @returns {string[]}
+ */
+export function getLoggableWeeks(placement) {
+  if (!placement?.start_date) return [getWeekStart()]
+  const first = getWeekStart(placement.start_date)
+  const thisWeek = getWeekStart()
+  const last = placement.end_date && getWeekStart(placement.end_date) < thisWeek ? getWeekStart(placement.end_date) : thisWeek
+  const weeks = []
+  for (let t = toUtcDay(last); t >= toUtcDay(first); t -= 7 * DAY_MS) {
+    weeks.push(new Date(t).toISOString().slice(0, 10))
+  }
+  return weeks
+}
+
+/**
+ * Whether a missing log for this week is overdue: the week and its grace
+ * days have passed (matches logbook_due_weeks() in add_logbook.sql)
+ * @param {string} weekStart - YYYY-MM-DD
+ * @returns {boolean}
+ */
+export function isWeekOverdue(weekStart) {
+  return toUtcDay(new Date()) > toUtcDay(weekStart) + (6 + LOGBOOK_GRACE_DAYS) * DAY_MS
+}
+
+/**
+ * Logbook entries of a placement, newest week first
+ * @param {string} placementId
+ * @returns {Promise<Array<object>>}
+ */
+export async function fetchLogbookEntries(placementId) {
+  const { data, error } = await supabase
+    .from('logbook_entries')
+    .select('*')
+    .eq('placement_id', placementId)
+    .order('week_start', { ascending: false })
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Submit (or resubmit) the log for a week, with optional new attachments
+ * @param {string} placementId
+ * @param {{ week_start: string, tasks: string, hours: number|string, learnings: string }} entry
+ * @param {File[]} files
+ * @returns {Promise<object>} The stored entry
+ * @throws {Error} With the server's error message when saving fails
+ */
+export async function submitLogbookEntry(placementId, entry, files = []) {
+  const tooLarge = files.find(f => f.size > MAX_LOGBOOK_ATTACHMENT_SIZE)
+  if (tooLarge) {
+    throw new Error(`${tooLarge.name} is too large (max 10MB)`)
+  }
+
+  const {
+    data: { session },
+  } = await supabase.auth.getSession()
+
+  if (!session) {
+    throw new Error('Not authenticated')
+  }
+
+  const formData = new FormData()
+  Object.entries(entry).forEach(([key, value]) => formData.append(key, value ?? ''))
+  files.forEach(file => formData.append('attachments', file))
+
+  let response
+  try {
+    response = await fetch(apiUrl(`/api/placements/${placementId}/logbook`), {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${session.access_token}`,
+      },
+      body: formData,
+    })
+  } catch (error) {
+    throw new Error('Cannot connect to backend server. Please make sure it is running.')
+  }
+
+  const contentType = response.headers.get('content-type') || ''
+  if (!contentType.includes('application/json')) {
+    throw new Error(`Server error: ${response.status} ${response.statusText}. Is the backend server running?`)
+  }
+
+  const data = await response.json()
+  if (!response.ok) {
+    throw new Error(data.error || `Saving failed: ${response.status}`)
+  }
+  return data.entry
+}
+
+/**
+ * Approve an entry or ask for changes (software house)
+ * @param {string} entryId
+ * @param {{ decision: 'approved'|'changes_requested', comment?: string }} review
+ * @returns {Promise<object>}
+ */
+export async function reviewLogbookEntry(entryId, review) {
+  const data = await apiRequest(`/api/logbook/${entryId}/review`, { method: 'PUT', body: review })
+  return data.entry
+}
+
+/**
+ * Flag an entry or clear its flag (university)
+ * @param {string} entryId
+ * @param {{ flagged: boolean, note?: string }} flag
+ * @returns {Promise<object>}
+ */
+export async function flagLogbookEntry(entryId, flag) {
+  const data = await apiRequest(`/api/logbook/${entryId}/flag`, { method: 'PUT', body: flag })
+  return data.entry
+}
+
+/**
+ * Download a logbook attachment through a short-lived link
+ * @param {string} entryId
+ * @param {number} index - Position in the entry's attachments
+ */
+export async function openLogbookAttachment(entryId, index) {
+  const { url } = await apiRequest(`/api/logbook/${entryId}/attachments/${index}`)
+  window.location.assign(url)
+}
+
+/**
+ * Logbook compliance per student, over all their started placements
+ * @param {string[]} studentIds - Profile IDs
+ * @returns {Promise<Object<string, { due: number, submitted: number, overdue: number, flagged: number, percent: number|null }>>}
+ */
+export async function fetchLogbookCompliance(studentIds) {
+  if (!studentIds?.length) return {}
+  const { data, error } = await supabase.rpc('get_logbook_compliance', { student_ids: studentIds })
+  if (error) throw error
+
+  const byStudent = {}
+  ;(data || []).forEach(row => {
+    const current = byStudent[row.student_id] || { due: 0, submitted: 0, overdue: 0, flagged: 0 }
+    current.due += row.due_weeks
+    current.submitted += row.submitted_weeks
+    current.overdue += row.overdue_weeks
+    current.flagged += row.flagged_entries
+    byStudent[row.student_id] = current
+  })
+  Object.values(byStudent).forEach(c => {
+    c.percent = c.due > 0 ? Math.round((c.submitted / c.due) * 100) : null
+  })
+  return byStudent
+}
+
+/**
+ * Badge style for a compliance percentage
+ * @param {number|null} percent
+ * @returns {string}
+ */
+export function getComplianceStyle(percent) {
+  if (percent === null || percent === undefined) return 'bg-gray-100 text-gray-600'
+  if (percent >= 90) return 'bg-emerald-50 text-emerald-700'
+  if (percent >= 70) return 'bg-amber-50 text-amber-700'
+  return 'bg-rose-50 text-rose-700'
+}
@@ -0,0 +1,132 @@
+// Per-application message threads between applicants and software houses
+// (shared with the API from backend/utils/messages.js)
+import { supabase } from './supabase'
+import { apiRequest, apiUrl } from './api'
+import {
+  MESSAGE_ATTACHMENT_TYPES,
+  MAX_MESSAGE_ATTACHMENTS,
+  MAX_MESSAGE_ATTACHMENT_SIZE,
+} from '@backend/utils/messages.js'
+
+export {
+  MAX_MESSAGE_LENGTH,
+  MAX_MESSAGE_ATTACHMENTS,
+  MAX_MESSAGE_ATTACHMENT_SIZE,
+} from '@backend/utils/messages.js'
+
+export const MESSAGE_ATTACHMENT_ACCEPT = Object.keys(MESSAGE_ATTACHMENT_TYPES).join(',')
+
+/**
+ * Messages of a thread, oldest first
+ * @param {string} applicationId
+ * @returns {Promise<Array<object>>}
+ */
+export async function fetchMessages(applicationId) {
+  const { data, error } = await supabase
+    .from('application_messages')
+    .select('id, application_id, sender_id, sender_side, body, attachments, created_at')
+    .eq('application_id', applicationId)
+    .order('created_at', { ascending: true })
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Send a message with optional attachments
+ * @param {string} applicationId
+ * @param {{ body: string, files?: File[] }} message
+ * @returns {Promise<object>} The stored message
+ * @throws {Error} With the server's error message when sending fails
+ */
+export async function sendMessage(applicationId, { body, files = [] }) {
+  if (files.length > MAX_MESSAGE_ATTACHMENTS) {
+    throw new Error(`Attach at most ${MAX_MESSAGE_ATTACHMENTS} files`)
+  }
+  const tooLarge = files.find(f => f.size > MAX_MESSAGE_ATTACHMENT_SIZE)
+  if (tooLarge) {
+    throw new Error(`${tooLarge.name} is too large (max 10MB)`)
+  }
+
+  const {
+    data: { session },
+  } = await supabase.auth.getSession()
+
+  if (!session) {
+    throw new Error('Not authenticated')
+  }
+
+  const formData = new FormData()
+  formData.append('body', body || '')
+  files.forEach(file => formData.append('attachments', file))
+
+  let response
+  try {
+    response = await fetch(apiUrl(`/api/applications/${applicationId}/messages`), {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${session.access_token}`,
+      },
+      body: formData,
+    })
+  } catch (error) {
+    throw new Error('Cannot connect to backend server. Please make sure it is running.')
+  }
+
+  const contentType = response.headers.get('content-type') || ''
+  if (!contentType.includes('application/json')) {
+    throw new Error(`Server error: ${response.status} ${response.statusText}. Is the backend server running?`)
+  }
+
+  const data = await response.json()
+  if (!response.ok) {
+    throw new Error(data.error || `Sending failed: ${response.status}`)
+  }
+  return data.message
+}
+
+/**
+ * Mark a thread as read up to now for the user
+ * @param {string} applicationId
+ * @param {string} userId
+ */
+export async function markThreadRead(applicationId, userId) {
+  const { error } = await supabase
+    .from('application_message_reads')
+    .upsert(
+      { application_id: applicationId, user_id: userId, last_read_at: new Date().toISOString() },
+      { onConflict: 'application_id,user_id' }
+    )
+  if (error) throw error
+}
+
+/**
+ * Unread messages per application for the signed-in user
+ * @returns {Promise<Object<string, number>>} application_id -> unread count
+ */
+export async function fetchUnreadMessageCounts() {
+  const { data, error } = await supabase.rpc('get_unread_message_counts')
+  if (error) throw error
+  return Object.fromEntries((data || []).map(row => [row.application_id, row.unread]))
+}
+
+/**
+ * Open an attachment through a short-lived signed link
+ * @param {string} messageId
+ * @param {number} index - Position in the message's attachments
+ */
+export async function openAttachment(messageId, index) {
+  const { url } = await apiRequest(`/api/messages/${messageId}/attachments/${index}`)
+  // The link is served as a download, so following it keeps the page open
+  window.location.assign(url)
+}
+
+/**
+ * Readable file size
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatFileSize(bytes) {
+  if (!bytes) return '0 KB'
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
@@ -0,0 +1,45 @@
+// Per-user in-app/email choice for each notification type
+// (shared with the API from backend/utils/notificationPreferences.js)
+import { supabase } from './supabase'
+import { fetchNotificationTypes, getPreferenceTypesForRole, getDefaultPreference } from './notificationTypes'
+
+export { EMAIL_CHANNELS } from '@backend/utils/notificationPreferences.js'
+
+/**
+ * The user's preferences for the role's types, with defaults filled in
+ * @param {string} userId
+ * @param {string} role
+ * @returns {Promise<Array<object>>}
+ */
+export async function fetchNotificationPreferences(userId, role) {
+  const [types, { data, error }] = await Promise.all([
+    fetchNotificationTypes(),
+    supabase
+      .from('notification_preferences')
+      .select('type, in_app, email')
+      .eq('user_id', userId),
+  ])
+  if (error) throw error
+
+  const saved = new Map((data || []).map(p => [p.type, p]))
+  return getPreferenceTypesForRole(types, role).map(typeEntry => ({
+    ...getDefaultPreference(typeEntry, role),
+    ...(saved.get(typeEntry.type) || {}),
+  }))
+}
+
+/**
+ * Save preferences
+ * @param {string} userId
+ * @param {Array<{ type: string, in_app: boolean, email: string }>} preferences
+ */
+export async function saveNotificationPreferences(userId, preferences) {
+  const now = new Date().toISOString()
+  const { error } = await supabase
+    .from('notification_preferences')
+    .upsert(
+      preferences.map(p => ({ user_id: userId, type: p.type, in_app: p.in_app, email: p.email, updated_at: now })),
+      { onConflict: 'user_id,type' }
+    )
+  if (error) throw error
+}
@@ -0,0 +1,82 @@
+// Label, icon, severity, audiences and default channels of each notification type
+// The registry lives in the notification_types and notification_type_audiences
+// tables; the rules for reading it are shared with the API from
+// backend/utils/notificationTypes.js
+import { supabase } from './supabase'
+import {
+  getAudience,
+  getNotificationSeverity as getSeverityForType,
+} from '@backend/utils/notificationTypes.js'
+
+export {
+  getAudience,
+  isNotificationVisible,
+  getPreferenceTypesForRole,
+  getDefaultPreference,
+} from '@backend/utils/notificationTypes.js'
+
+export const SEVERITY_STYLES = {
+  neutral: 'bg-gradient-to-br from-slate-400 to-slate-600 text-white',
+  info: 'bg-gradient-to-br from-blue-400 to-indigo-600 text-white',
+  success: 'bg-gradient-to-br from-emerald-400 to-emerald-600 text-white',
+  warning: 'bg-gradient-to-br from-amber-400 to-amber-600 text-white',
+  critical: 'bg-gradient-to-br from-rose-400 to-rose-600 text-white',
+}
+
+// Last registry loaded, so synchronous helpers like getNotificationIcon can use it
+let registry = []
+let pending = null
+
+/**
+ * Load the registry (once per page load unless `force` is set)
+ * @param {{ force?: boolean }} options
+ * @returns {Promise<Array<object>>}
+ */
+export async function fetchNotificationTypes({ force = false } = {}) {
+  if (registry.length > 0 && !force) return registry
+  if (!pending) {
+    pending = supabase
+      .from('notification_types')
+      .select('type, label, description, icon, severity, status_severity, default_in_app, default_email, configurable, sort_order, audiences:notification_type_audiences(role, statuses, default_email)')
+      .order('sort_order', { ascending: true })
+      .then(({ data, error }) => {
+        pending = null
+        if (error) throw error
+        registry = data || []
+        return registry
+      }, (err) => {
+        pending = null
+        throw err
+      })
+  }
+  return pending
+}
+
+/**
+ * Registry entry of a type from the last load
+ * @param {string} type
+ * @returns {object|null}
+ */
+export function getNotificationType(type) {
+  return registry.find(t => t.type === type) || null
+}
+
+/**
+ * Types a role sees
+ * @param {Array<object>} types
+ * @param {string} role
+ * @returns {Array<string>}
+ */
+export function getAllowedNotificationTypes(types, role) {
+  return types.filter(t => getAudience(t, role)).map(t => t.type)
+}
+
+/**
+ * Severity of a notification: by its status when the type sets one
+ * @param {object} notification
+ * @returns {string}
+ */
+export function getNotificationSeverity(notification) {
+  const typeEntry = getNotificationType(notification?.type)
+  return typeEntry ? getSeverityForType(typeEntry, notification) : 'neutral'
+}
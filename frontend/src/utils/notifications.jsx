@@ -1,5 +1,7 @@
 import React from 'react'
 import { supabase } from './supabase'
+import { getStageLabel } from './applicationPipeline'
+import { fetchNotificationTypes, getAllowedNotificationTypes, getNotificationType, isNotificationVisible } from './notificationTypes'
 
 /**
  * Fetch notifications for the current user
@@ -67,25 +69,6 @@ export async function fetchNotifications(options = {}) {
   return verifiedNotifications
 }
 
-/**
- * Get allowed notification types based on user role
- * @param {string} role - User role
- * @returns {Array<string>} Allowed notification types
- */
-function getAllowedNotificationTypes(role) {
-  switch (role) {
-    case 'admin':
-      return ['user_approval', 'internship_approval']
-    case 'software_house':
-      return ['internship_approval', 'new_application']
-    case 'student':
-    case 'guest':
-      return ['application_status']
-    default:
-      return []
-  }
-}
-
 /**
  * Get unread notification count for the current user (filtered by role)
  * IMPORTANT: This function ensures complete data isolation - each user (admin, software_house, student, guest)
@@ -120,8 +103,9 @@ export async function getUnreadCount(role = null) {
     return data || 0
   }
 
-  // Fallback to client-side filtering
-  const allowedTypes = getAllowedNotificationTypes(role)
+  // Fallback to client-side filtering with the same registry
+  const types = await fetchNotificationTypes().catch(() => [])
+  const allowedTypes = getAllowedNotificationTypes(types, role)
   if (allowedTypes.length === 0) return 0
 
   // Explicitly filter by current user's ID to ensure complete isolation:
@@ -158,24 +142,8 @@ export async function getUnreadCount(role = null) {
     return true
   })
 
-  // Filter notifications based on role-specific rules
-  const filtered = verifiedNotifications.filter(n => {
-    // For admin: only count pending internship approvals
-    if (role === 'admin' && n.type === 'internship_approval') {
-      return n.metadata?.status === 'pending'
-    }
-    // For software_house: only count approved/rejected internship approvals (exclude pending)
-    if (role === 'software_house' && n.type === 'internship_approval') {
-      return n.metadata?.status === 'approved' || n.metadata?.status === 'rejected'
-    }
-    // For students/guests: only count their own application_status notifications
-    // (already filtered by user_id above, this is just for type verification)
-    if ((role === 'student' || role === 'guest') && n.type === 'application_status') {
-      return true // All application_status notifications for this user are valid
-    }
-    // All other notifications pass through
-    return true
-  })
+  // Only the statuses the registry shows to this role
+  const filtered = verifiedNotifications.filter(n => isNotificationVisible(types, n, role))
 
   return filtered.length || 0
 }
@@ -290,60 +258,62 @@ export function formatNotificationMessage(notification) {
         ? 'Your account has been approved.'
         : 'Your account has been rejected.'
     case 'internship_approval':
+      if (notification.metadata?.revision_id) {
+        return notification.metadata?.status === 'approved'
+          ? 'Your changes to an internship have been approved.'
+          : 'Your changes to an internship have been rejected.'
+      }
       return notification.metadata?.status === 'approved'
         ? 'Your internship has been approved.'
         : 'Your internship has been rejected.'
+    case 'internship_closed':
+      return notification.metadata?.posting_status === 'filled'
+        ? 'All openings for your internship are filled.'
+        : 'Your internship has closed to new applications.'
     case 'application_status':
-      return notification.metadata?.status === 'accepted'
-        ? 'Your application has been accepted.'
-        : 'Your application has been rejected.'
+      return `Your application is now ${getStageLabel(notification.metadata?.status).toLowerCase() || 'updated'}.`
     case 'new_application':
       return 'You have received a new application.'
+    case 'interview':
+      return 'Your interview schedule has been updated.'
+    case 'message':
+      return 'You have a new message about an application.'
+    case 'logbook':
+      return notification.metadata?.status === 'submitted'
+        ? 'An intern submitted a weekly log.'
+        : 'One of your weekly logs has been reviewed.'
+    case 'logbook_reminder':
+      return 'A weekly log for your internship is overdue.'
     default:
       return notification.title || 'New notification'
   }
 }
 
+// Icon keys used by notification_types.icon
+const NOTIFICATION_ICONS = {
+  'check-circle': 'M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z',
+  clipboard: 'M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z',
+  document: 'M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z',
+  lock: 'M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z',
+  'user-add': 'M18 9v3m0 0v3m0-3h3m-3 0h-3m-2-5a4 4 0 11-8 0 4 4 0 018 0zM3 20a6 6 0 0112 0v1H3v-1z',
+  calendar: 'M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z',
+  chat: 'M8 10h.01M12 10h.01M16 10h.01M9 16H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-5l-5 5v-5z',
+  book: 'M12 6.253v13m0-13C10.832 5.477 9.246 5 7.5 5S4.168 5.477 3 6.253v13C4.168 18.477 5.754 18 7.5 18s3.332.477 4.5 1.253m0-13C13.168 5.477 14.754 5 16.5 5c1.747 0 3.332.477 4.5 1.253v13C19.832 18.477 18.247 18 16.5 18c-1.746 0-3.332.477-4.5 1.253',
+  bell: 'M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6 6 0 10-12 0v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9',
+}
+
 /**
- * Get notification icon based on type
+ * Get notification icon based on type (icon key from the notification type registry)
  * @param {string} type - Notification type
  * @returns {JSX.Element} Icon component
  */
 export function getNotificationIcon(type) {
-  const iconClass = "w-5 h-5"
-  
-  switch (type) {
-    case 'user_approval':
-      return (
-        <svg className={iconClass} fill="none" stroke="currentColor" viewBox="0 0 24 24">
-          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
-        </svg>
-      )
-    case 'internship_approval':
-      return (
-        <svg className={iconClass} fill="none" stroke="currentColor" viewBox="0 0 24 24">
-          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-        </svg>
-      )
-    case 'application_status':
-      return (
-        <svg className={iconClass} fill="none" stroke="currentColor" viewBox="0 0 24 24">
-          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-        </svg>
-      )
-    case 'new_application':
-      return (
-        <svg className={iconClass} fill="none" stroke="currentColor" viewBox="0 0 24 24">
-          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M18 9v3m0 0v3m0-3h3m-3 0h-3m-2-5a4 4 0 11-8 0 4 4 0 018 0zM3 20a6 6 0 0112 0v1H3v-1z" />
-        </svg>
-      )
-    default:
-      return (
-        <svg className={iconClass} fill="none" stroke="currentColor" viewBox="0 0 24 24">
-          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6 6 0 10-12 0v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
-        </svg>
-      )
-  }
+  const icon = getNotificationType(type)?.icon
+  return (
+    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d={NOTIFICATION_ICONS[icon] || NOTIFICATION_ICONS.bell} />
+    </svg>
+  )
 }
 
 /**
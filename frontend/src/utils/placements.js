@@ -0,0 +1,102 @@
+// Placement / completion records after an accepted offer
+// (shared with the API from backend/utils/placements.js)
+import { supabase } from './supabase'
+import { apiRequest } from './api'
+
+export {
+  PLACEMENT_STATUSES as PLACEMENT_STATUS_LABELS,
+  CREDIT_STATUSES as CREDIT_STATUS_LABELS,
+} from '@backend/utils/placements.js'
+
+export const PLACEMENT_STATUS_STYLES = {
+  upcoming: 'bg-blue-100 text-blue-800 border-blue-200',
+  ongoing: 'bg-purple-100 text-purple-800 border-purple-200',
+  completed: 'bg-emerald-100 text-emerald-800 border-emerald-200',
+  incomplete: 'bg-amber-100 text-amber-800 border-amber-200',
+  cancelled: 'bg-gray-100 text-gray-700 border-gray-200',
+}
+
+export const CREDIT_STATUS_STYLES = {
+  pending: 'bg-gray-100 text-gray-700 border-gray-200',
+  approved: 'bg-emerald-100 text-emerald-800 border-emerald-200',
+  rejected: 'bg-red-100 text-red-800 border-red-200',
+}
+
+/**
+ * Placement of an application, or null before the offer is accepted
+ * @param {string} applicationId
+ * @returns {Promise<object|null>}
+ */
+export async function fetchPlacementForApplication(applicationId) {
+  const { data, error } = await supabase
+    .from('placements')
+    .select('*')
+    .eq('application_id', applicationId)
+    .maybeSingle()
+  if (error) throw error
+  return data
+}
+
+/**
+ * Placements of a university's students, with student, internship and
+ * software house details merged in
+ * @param {string} universityId
+ * @returns {Promise<Array<object>>}
+ */
+export async function fetchUniversityPlacements(universityId) {
+  const { data, error } = await supabase
+    .from('placements')
+    .select('*, internships:internship_id ( id, title, location, duration )')
+    .eq('university_id', universityId)
+    .order('created_at', { ascending: false })
+  if (error) throw error
+
+  const placements = data || []
+  if (placements.length === 0) return []
+
+  // Fetched separately to avoid profile join issues
+  const studentIds = [...new Set(placements.map(p => p.student_id))]
+  const softwareHouseIds = [...new Set(placements.map(p => p.software_house_id))]
+  const [{ data: students }, { data: softwareHouses }] = await Promise.all([
+    supabase
+      .from('students')
+      .select('user_id, name, email, student_id, batch, degree_program')
+      .in('user_id', studentIds),
+    supabase
+      .from('profiles')
+      .select('id, organization_name, full_name, email')
+      .in('id', softwareHouseIds),
+  ])
+
+  const studentsMap = new Map((students || []).map(s => [s.user_id, s]))
+  const softwareHousesMap = new Map((softwareHouses || []).map(sh => [sh.id, sh]))
+  return placements.map(p => ({
+    ...p,
+    student: studentsMap.get(p.student_id) || null,
+    software_house: softwareHousesMap.get(p.software_house_id) || null,
+  }))
+}
+
+/**
+ * Update a placement; the backend only accepts the caller's own fields
+ * @param {string} placementId
+ * @param {object} values
+ * @returns {Promise<object>} Updated placement
+ */
+export async function updatePlacement(placementId, values) {
+  const data = await apiRequest(`/api/placements/${placementId}`, { method: 'PUT', body: values })
+  return data.placement
+}
+
+/**
+ * Date range of a placement as text
+ * @param {object} placement
+ * @returns {string}
+ */
+export function formatPlacementDates(placement) {
+  const format = (d) => new Date(`${d}T00:00:00`).toLocaleDateString()
+  if (placement?.start_date && placement?.end_date) return `${format(placement.start_date)} - ${format(placement.end_date)}`
+  if (placement?.start_date) return `From ${format(placement.start_date)}`
+  if (placement?.end_date) return `Until ${format(placement.end_date)}`
+  return 'Dates not set'
+}
@@ -0,0 +1,112 @@
+import { supabase } from './supabase'
+import { apiUrl } from './api'
+import { RESUME_MIME_TYPES, MAX_RESUME_SIZE, toAcceptAttribute } from '@backend/utils/uploadTypes.js'
+
+// Accepted types and size are shared with the API from backend/utils/uploadTypes.js
+export { MAX_RESUME_SIZE }
+export const RESUME_ACCEPT = toAcceptAttribute(RESUME_MIME_TYPES)
+
+// Sections of the cv_forms shape that an import can fill, in form order
+export const RESUME_SECTIONS = [
+  { key: 'personal', label: 'Personal Information' },
+  { key: 'education', label: 'Education' },
+  { key: 'skills', label: 'Skills' },
+  { key: 'experience', label: 'Experience' },
+  { key: 'projects', label: 'Projects' },
+  { key: 'certifications', label: 'Certifications' },
+  { key: 'languages', label: 'Languages' },
+]
+
+/**
+ * Upload a PDF/DOCX resume and get a CV prefill back (nothing is saved)
+ * @param {File} file
+ * @returns {Promise<{cv: object, confidence: object, warnings: string[], source: object}>}
+ * @throws {Error} With the server's error message when the file cannot be read
+ */
+export async function importResume(file) {
+  if (file.size > MAX_RESUME_SIZE) {
+    throw new Error(`Resume is too large (max ${MAX_RESUME_SIZE / (1024 * 1024)}MB)`)
+  }
+
+  const {
+    data: { session },
+  } = await supabase.auth.getSession()
+
+  if (!session) {
+    throw new Error('Not authenticated')
+  }
+
+  const formData = new FormData()
+  formData.append('resume', file)
+
+  let response
+  try {
+    response = await fetch(apiUrl('/api/cv/import'), {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${session.access_token}`,
+      },
+      body: formData,
+    })
+  } catch (error) {
+    throw new Error('Cannot connect to backend server. Please make sure it is running.')
+  }
+
+  const contentType = response.headers.get('content-type') || ''
+  if (!contentType.includes('application/json')) {
+    throw new Error(`Server error: ${response.status} ${response.statusText}. Is the backend server running?`)
+  }
+
+  const data = await response.json()
+  if (!response.ok) {
+    throw new Error(data.error || `Import failed: ${response.status}`)
+  }
+  return data
+}
+
+/**
+ * Confidence level for a field ('high' | 'medium' | 'low'), or null if not extracted
+ * @param {object} confidence - Map returned by importResume
+ * @param {string} path - e.g. 'personal.email', 'education.0', 'skills'
+ * @returns {string|null}
+ */
+export function getFieldConfidence(confidence, path) {
+  return confidence?.[path] || null
+}
+
+/**
+ * Paths of fields extracted with low confidence, as readable labels
+ * @param {object} cv
+ * @param {object} confidence
+ * @param {string[]} sections - Sections that were applied to the form
+ * @returns {string[]}
+ */
+export function getLowConfidenceFields(cv, confidence, sections) {
+  const labels = []
+  Object.entries(confidence || {}).forEach(([path, level]) => {
+    if (level !== 'low') return
+    const [section, key] = path.split('.')
+    if (!sections.includes(section)) return
+
+    const label = RESUME_SECTIONS.find((s) => s.key === section)?.label || section
+    if (key === undefined) {
+      labels.push(label)
+    } else if (section === 'personal') {
+      labels.push(`${label}: ${key.replace(/_/g, ' ')}`)
+    } else {
+      labels.push(`${label} #${Number(key) + 1}`)
+    }
+  })
+  return labels
+}
+
+/**
+ * Tailwind classes for a confidence badge
+ * @param {string} level
+ * @returns {string}
+ */
+export function getConfidenceClass(level) {
+  if (level === 'high') return 'bg-emerald-100 text-emerald-800 border-emerald-200'
+  if (level === 'medium') return 'bg-amber-100 text-amber-800 border-amber-200'
+  return 'bg-rose-100 text-rose-800 border-rose-200'
+}
@@ -0,0 +1,43 @@
+// Screening questions on postings and the answers submitted with applications
+// (shared with the API from backend/utils/screening.js)
+
+export {
+  SCREENING_QUESTION_TYPES,
+  MAX_SCREENING_QUESTIONS,
+  MAX_COVER_LETTER_LENGTH,
+  MAX_TEXT_ANSWER_LENGTH,
+  normalizeScreeningQuestions,
+  validateScreeningAnswers,
+  buildScreeningAnswers,
+  evaluateKnockouts,
+} from '@backend/utils/screening.js'
+
+/**
+ * A blank question of the given type for the posting form
+ * @param {string} type
+ * @returns {object}
+ */
+export function createScreeningQuestion(type = 'text') {
+  return {
+    id: `q_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    type,
+    prompt: '',
+    required: true,
+    options: type === 'multiple_choice' ? ['', ''] : [],
+    knockout: false,
+    expected_answer: 'yes',
+    min: '',
+    max: '',
+  }
+}
+
+/**
+ * Display text for a stored screening answer
+ * @param {{type: string, answer: any}} entry
+ * @returns {string}
+ */
+export function formatScreeningAnswer(entry) {
+  if (entry?.answer === null || entry?.answer === undefined || entry.answer === '') return 'No answer'
+  if (entry.type === 'yes_no') return entry.answer === 'yes' ? 'Yes' : 'No'
+  return String(entry.answer)
+}
@@ -0,0 +1,14 @@
+// Match score badge styling; the scores themselves come from
+// backend/utils/skillMatching.js (the API, or @backend when scored in the page)
+
+/**
+ * Tailwind classes for a match score badge
+ * @param {number} score
+ * @returns {string}
+ */
+export function getMatchScoreClass(score) {
+  if (score >= 75) return 'bg-emerald-100 text-emerald-800 border-emerald-200'
+  if (score >= 50) return 'bg-blue-100 text-blue-800 border-blue-200'
+  if (score >= 25) return 'bg-amber-100 text-amber-800 border-amber-200'
+  return 'bg-gray-100 text-gray-700 border-gray-200'
+}
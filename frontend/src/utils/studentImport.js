@@ -0,0 +1,114 @@
+import { supabase } from './supabase'
+import { apiUrl } from './api'
+import {
+  STUDENT_IMPORT_FIELDS,
+  IMPORT_MODES as IMPORT_MODE_VALUES,
+  normalizeHeader,
+  suggestColumnMapping,
+} from '@backend/utils/csvParser.js'
+import {
+  SPREADSHEET_TYPES,
+  MAX_SPREADSHEET_SIZE,
+  getSpreadsheetType,
+  toAcceptAttribute,
+} from '@backend/utils/uploadTypes.js'
+
+// Fields, column matching and file types are shared with the API from
+// backend/utils/csvParser.js and backend/utils/uploadTypes.js
+export {
+  STUDENT_IMPORT_FIELDS,
+  suggestColumnMapping,
+  validateColumnMapping,
+  applyColumnMapping,
+} from '@backend/utils/csvParser.js'
+
+export const IMPORT_ACCEPT = toAcceptAttribute(SPREADSHEET_TYPES)
+export const MAX_IMPORT_SIZE = MAX_SPREADSHEET_SIZE
+
+const IMPORT_MODE_LABELS = {
+  create: { label: 'Add new students', description: 'Creates an account for every row. Students that already exist are skipped.' },
+  sync: { label: 'Update & sync', description: 'Matches rows to existing students by student ID or email, updates changed fields, deactivates students marked as left (e.g. "graduated") and adds new ones. Blank cells keep the stored value.' },
+}
+
+export const IMPORT_MODES = IMPORT_MODE_VALUES.map((value) => ({ value, ...IMPORT_MODE_LABELS[value] }))
+
+/**
+ * Spreadsheet type of a selected file, or null if it cannot be imported
+ * @param {File} file
+ * @returns {'csv'|'xlsx'|'ods'|null}
+ */
+export function getImportFileType(file) {
+  return getSpreadsheetType(file.type, file.name)
+}
+
+/**
+ * Start from the university's saved mapping, keeping only the columns this
+ * file has, and let name matching fill the rest
+ * @param {string[]} headers
+ * @param {object|null} saved - student_import_mappings.mapping
+ * @returns {object} { field: header }
+ */
+export function initialColumnMapping(headers, saved) {
+  const suggested = suggestColumnMapping(headers)
+  const known = new Map(headers.map((h) => [normalizeHeader(h), h]))
+  const mapping = {}
+  const used = new Set()
+
+  STUDENT_IMPORT_FIELDS.forEach(({ key }) => {
+    const fromSaved = saved?.[key] && known.get(normalizeHeader(saved[key]))
+    const header = fromSaved || suggested[key]
+    if (header && !used.has(header)) {
+      mapping[key] = header
+      used.add(header)
+    }
+  })
+
+  return mapping
+}
+
+/**
+ * Upload an XLSX/ODS (or CSV) file and get its header row and rows back (nothing is saved)
+ * @param {File} file
+ * @returns {Promise<{headers: string[], rows: object[], truncated: boolean, suggestedMapping: object}>}
+ * @throws {Error} With the server's error message when the file cannot be read
+ */
+export async function readImportFile(file) {
+  if (file.size > MAX_IMPORT_SIZE) {
+    throw new Error(`File size must be less than ${MAX_IMPORT_SIZE / (1024 * 1024)}MB`)
+  }
+
+  const {
+    data: { session },
+  } = await supabase.auth.getSession()
+
+  if (!session) {
+    throw new Error('Not authenticated')
+  }
+
+  const formData = new FormData()
+  formData.append('file', file)
+
+  let response
+  try {
+    response = await fetch(apiUrl('/api/university/bulk-upload-students/read'), {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${session.access_token}`,
+      },
+      body: formData,
+    })
+  } catch (error) {
+    throw new Error('Cannot connect to backend server. Please make sure it is running.')
+  }
+
+  const contentType = response.headers.get('content-type') || ''
+  if (!contentType.includes('application/json')) {
+    throw new Error(`Server error: ${response.status} ${response.statusText}. Is the backend server running?`)
+  }
+
+  const data = await response.json()
+  if (!response.ok) {
+    throw new Error(data.error || `Could not read the file: ${response.status}`)
+  }
+  return data
+}
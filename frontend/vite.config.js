@@ -1,8 +1,15 @@
+import { fileURLToPath, URL } from 'node:url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: {
+      // Browser-safe backend modules (backend/utils) shared with the UI
+      '@backend': fileURLToPath(new URL('../backend', import.meta.url)),
+    },
+  },
   server: {
     port: 5173,
     open: true,
@@ -39,7 +46,4 @@ export default defineConfig({
       },
     },
   },
-  build: {
-    chunkSizeWarningLimit: 1600,
-  }
 })
\ No newline at end of file